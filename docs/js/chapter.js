@@ -0,0 +1,302 @@
+// Chapter page helpers shared by all books
+//
+// Anchored headings are scrolled to below the sticky header and briefly highlighted,
+// and get a button that copies a link to them. Chapters with enough sections get an
+// "На этой странице" outline of their h2/h3 headings that follows the scrolling: a
+// column on the right of wide screens, the top of the sidebar drawer (menuBtn/closeSidebar)
+// on narrower ones. A page without a sidebar gets a drawer of its own for the outline.
+// Escape closes the drawer.
+//
+// A chapter opened as a pane of html/compare.html (with ?compare) leaves out its header
+// and navigation, reports its sections and scrolling to the comparison and scrolls where
+// the comparison tells it to. Its keys switch the panes instead of the chapters.
+
+// Space kept above an anchored heading so the sticky header does not cover it
+function getHeaderOffset() {
+    const header = document.querySelector('header.sticky');
+    return (header ? header.offsetHeight : 0) + 16;
+}
+
+// Scroll to the heading named in the URL hash and briefly highlight it
+function revealAnchor() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const target = id && document.getElementById(id);
+    if (!target) return;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    target.classList.remove('anchor-highlight');
+    void target.offsetWidth; // restart the animation when the same anchor is opened again
+    target.classList.add('anchor-highlight');
+    setTimeout(() => target.classList.remove('anchor-highlight'), 2000);
+}
+
+// ←/→ and J/K open the previous and the next chapter, the rel="prev" and rel="next"
+// links of the pager generated by scripts/build-nav.js
+function openAdjacentChapter(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (typeof isSearchOpen === 'function' && isSearchOpen()) return;
+
+    // J and K by key position, so that they also work in the Russian layout
+    const rel = { ArrowLeft: 'prev', ArrowRight: 'next' }[event.key] || { KeyK: 'prev', KeyJ: 'next' }[event.code];
+    const link = rel && document.querySelector(`a[rel="${rel}"]`);
+    if (!link) return;
+
+    event.preventDefault();
+    window.location.href = link.href;
+}
+
+const COMPARE_PANE = window.parent !== window && new URLSearchParams(window.location.search).has('compare');
+
+function postToComparison(message) {
+    // Pages opened from disk have an opaque origin, so any target origin is accepted
+    window.parent.postMessage(Object.assign({ source: 'book-compare' }, message), '*');
+}
+
+// A pane hidden on a narrow screen has no layout to report
+function reportCompareLayout() {
+    if (!window.innerHeight) return;
+    const sections = Array.from(document.querySelectorAll('h2'))
+        .filter(heading => !heading.closest(TOC_SKIP))
+        .map(heading => ({ title: headingText(heading), top: Math.round(heading.getBoundingClientRect().top + window.scrollY) }));
+    const max = document.documentElement.scrollHeight - window.innerHeight;
+    postToComparison({ type: 'layout', sections: sections, max: Math.max(max, 0) });
+}
+
+// I, A, ←, → and Esc belong to the comparison
+function forwardCompareKey(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (!['KeyI', 'KeyA'].includes(event.code) && !['ArrowLeft', 'ArrowRight', 'Escape'].includes(event.key)) return;
+
+    event.preventDefault();
+    postToComparison({ type: 'key', key: event.key, code: event.code });
+}
+
+function initComparePane() {
+    document.documentElement.classList.add('compare-pane');
+
+    // Layout changes while styles, fonts and highlighting arrive
+    let frame = null;
+    function update() {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            reportCompareLayout();
+        });
+    }
+    new ResizeObserver(update).observe(document.body);
+    window.addEventListener('load', update);
+
+    window.addEventListener('scroll', () => postToComparison({ type: 'scroll', y: window.scrollY }), { passive: true });
+    ['pointerdown', 'wheel', 'touchstart', 'keydown'].forEach(type => {
+        window.addEventListener(type, () => postToComparison({ type: 'input' }), { passive: true });
+    });
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (event.source !== window.parent || !message || message.source !== 'book-compare') return;
+        if (message.type === 'scroll') window.scrollTo({ top: message.y, behavior: 'instant' });
+    });
+    document.addEventListener('keydown', forwardCompareKey);
+}
+
+// Headings of the outline: quiz questions and the repeated quizzes of the review page
+// are left out
+const TOC_MIN_HEADINGS = 3;
+const TOC_SKIP = '#sidebar, #toc, .quiz, #reviewQuestions';
+
+function tocHeadings() {
+    return Array.from(document.querySelectorAll('h2[id], h3[id]'))
+        .filter(heading => !heading.closest(TOC_SKIP));
+}
+
+function headingText(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelectorAll('.heading-link').forEach(button => button.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// The drawer of the book pages that have none, for the outline alone. It opens from the
+// right, and its button takes the end of the row of the back link: the header of a
+// SwiftUI chapter, the links above an Android one.
+function addSidebar() {
+    const button = position => `
+        <button id="menuBtn" type="button" class="2xl:hidden ${position} p-2 text-zinc-600 dark:text-zinc-300 border border-zinc-200 dark:border-zinc-700 rounded-lg hover:text-primary transition-colors" aria-label="На этой странице">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h10M4 12h16M4 18h12"/>
+            </svg>
+        </button>`;
+    const back = document.querySelector('a[href="../index.html"]');
+    if (back && back.parentElement.classList.contains('flex')) {
+        // What follows the back link moves to the end of the row with the button
+        if (back.nextElementSibling) back.nextElementSibling.classList.add('ml-auto');
+        back.parentElement.insertAdjacentHTML('beforeend', button('shrink-0 ml-4'));
+    } else if (back) {
+        back.insertAdjacentHTML('beforebegin', button('float-right ml-4'));
+    } else {
+        document.body.insertAdjacentHTML('afterbegin', button('fixed top-4 right-4 z-50 bg-white dark:bg-zinc-800 shadow-lg'));
+    }
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="overlay" class="fixed inset-0 bg-black/50 z-40 2xl:hidden hidden" onclick="closeSidebar()"></div>
+        <aside id="sidebar" class="2xl:hidden fixed inset-y-0 right-0 w-72 z-50 flex flex-col bg-zinc-50 dark:bg-zinc-900 border-l border-zinc-200 dark:border-zinc-800 transform translate-x-full transition-transform duration-300">
+            <nav class="flex-1 overflow-y-auto p-4"></nav>
+        </aside>
+    `);
+
+    const sidebar = document.getElementById('sidebar');
+    const overlay = document.getElementById('overlay');
+    document.getElementById('menuBtn').addEventListener('click', () => {
+        sidebar.classList.toggle('translate-x-full');
+        overlay.classList.toggle('hidden');
+    });
+    window.closeSidebar = () => {
+        sidebar.classList.add('translate-x-full');
+        overlay.classList.add('hidden');
+    };
+    return sidebar;
+}
+
+function renderToc(headings) {
+    const links = headings.map(heading => {
+        const indent = heading.tagName === 'H3' ? 'pl-6' : 'pl-3';
+        return `<a href="#${encodeURIComponent(heading.id)}" data-toc="${escapeMarkup(heading.id)}" class="block ${indent} pr-3 py-1.5 border-l-2 border-transparent text-zinc-500 hover:text-zinc-900 dark:hover:text-white transition-colors">${escapeMarkup(headingText(heading))}</a>`;
+    }).join('');
+    const title = '<p class="px-3 mb-3 text-xs font-semibold uppercase tracking-wider text-zinc-400">На этой странице</p>';
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <aside id="toc" aria-label="На этой странице" class="hidden 2xl:block fixed top-24 bottom-0 right-0 w-64 z-30 overflow-y-auto p-5 text-sm">
+            ${title}
+            <nav>${links}</nav>
+        </aside>
+    `);
+
+    // Below 2xl the outline opens the list of the sidebar, and picking a section closes it
+    const sidebar = document.getElementById('sidebar') || addSidebar();
+    (sidebar.querySelector('nav') || sidebar).insertAdjacentHTML('afterbegin', `
+        <div id="sidebarToc" class="2xl:hidden mb-6 pb-6 border-b border-zinc-200 dark:border-zinc-800 text-sm">
+            ${title}
+            <nav aria-label="На этой странице">${links}</nav>
+        </div>
+    `);
+    document.querySelectorAll('#sidebarToc a').forEach(link => link.addEventListener('click', () => closeSidebar()));
+}
+
+// Escape closes the open sidebar drawer, unless the search is open or has already
+// closed on it (search.js marks the event as used)
+function closeSidebarOnEscape(event) {
+    if (event.defaultPrevented || event.key !== 'Escape') return;
+    if (typeof isSearchOpen === 'function' && isSearchOpen()) return;
+    const overlay = document.getElementById('overlay');
+    if (!overlay || overlay.classList.contains('hidden') || typeof closeSidebar !== 'function') return;
+
+    event.preventDefault();
+    closeSidebar();
+}
+
+// The current section is the last heading scrolled past the sticky header
+function highlightTocSection(headings) {
+    const offset = getHeaderOffset() + 8;
+    let current = headings[0];
+    headings.forEach(heading => {
+        if (heading.getBoundingClientRect().top <= offset) current = heading;
+    });
+
+    document.querySelectorAll('#toc a[data-toc], #sidebarToc a[data-toc]').forEach(link => {
+        const active = link.dataset.toc === current.id;
+        link.classList.toggle('border-transparent', !active);
+        link.classList.toggle('text-zinc-500', !active);
+        link.classList.toggle('border-zinc-900', active);
+        link.classList.toggle('dark:border-white', active);
+        link.classList.toggle('text-zinc-900', active);
+        link.classList.toggle('dark:text-white', active);
+        link.classList.toggle('font-medium', active);
+        if (active) link.setAttribute('aria-current', 'location');
+        else link.removeAttribute('aria-current');
+    });
+}
+
+function watchTocSection(headings) {
+    let frame = null;
+    function update() {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            highlightTocSection(headings);
+        });
+    }
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    highlightTocSection(headings);
+}
+
+// A "#" button after every anchored heading copies the link to it
+function addHeadingLinks() {
+    document.querySelectorAll('h2[id], h3[id]').forEach(heading => {
+        if (heading.closest('#sidebar, #toc, .quiz') || heading.querySelector('.heading-link')) return;
+        heading.insertAdjacentHTML('beforeend',
+            ' <button type="button" class="heading-link ml-1 px-1 text-zinc-400 hover:text-zinc-600 dark:hover:text-zinc-200 font-normal" title="Скопировать ссылку на раздел" aria-label="Скопировать ссылку на раздел">#</button>');
+    });
+}
+
+function copyHeadingLink(event) {
+    const button = event.target.closest('.heading-link');
+    if (!button) return;
+
+    const id = button.closest('[id]').id;
+    const url = `${window.location.origin}${window.location.pathname}#${encodeURIComponent(id)}`;
+    history.replaceState(null, '', `#${encodeURIComponent(id)}`);
+    // The clipboard needs a secure context; the address bar has the link either way
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(() => {
+        button.textContent = '✓';
+        setTimeout(() => { button.textContent = '#'; }, 1500);
+    }, () => {});
+}
+
+// Text for markup and attribute values alike
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function initToc() {
+    const headings = tocHeadings();
+    if (headings.length >= TOC_MIN_HEADINGS && !COMPARE_PANE) {
+        renderToc(headings);
+        watchTocSection(headings);
+    }
+    addHeadingLinks();
+    document.addEventListener('click', copyHeadingLink);
+}
+
+function initChapter() {
+    const style = document.createElement('style');
+    style.textContent = `
+        h2[id], h3[id] { scroll-margin-top: ${getHeaderOffset()}px; }
+        .heading-link { opacity: 0; transition: opacity 0.15s; }
+        :is(h2, h3):hover > .heading-link, .heading-link:focus-visible { opacity: 1; }
+        .compare-pane :is(header.sticky, [data-compare], a[href="../index.html"], nav:has(a[rel="prev"], a[rel="next"])) { display: none; }
+        .anchor-highlight { animation: anchor-flash 2s ease-out; border-radius: 6px; }
+        @keyframes anchor-flash {
+            0%, 40% { background-color: rgba(255, 214, 10, 0.35); box-shadow: 0 0 0 6px rgba(255, 214, 10, 0.35); }
+            100% { background-color: transparent; box-shadow: 0 0 0 6px transparent; }
+        }
+    `;
+    document.head.appendChild(style);
+
+    initToc();
+    revealAnchor();
+    window.addEventListener('hashchange', revealAnchor);
+    if (COMPARE_PANE) {
+        initComparePane();
+    } else {
+        document.addEventListener('keydown', closeSidebarOnEscape);
+        document.addEventListener('keydown', openAdjacentChapter);
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initChapter);
+} else {
+    initChapter();
+}
@@ -0,0 +1,36 @@
+// Offline mode shared by all books
+//
+// Pages load this file with the path of their book's service worker:
+//
+//   <script src="../js/offline.js" data-worker="sw.js"></script>
+//
+// Once the worker has cached the book, an "available offline" note is added to the sidebar.
+
+const offlineScript = document.currentScript;
+
+function showOfflineStatus() {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar || document.getElementById('offlineStatus')) return;
+    sidebar.insertAdjacentHTML('beforeend', `
+        <div id="offlineStatus" class="flex items-center gap-2 px-5 py-3 border-t border-zinc-200 dark:border-zinc-800 text-xs text-zinc-500" title="Книга сохранена в браузере и открывается без интернета">
+            <span class="w-2 h-2 rounded-full bg-green-500"></span>
+            Доступно офлайн
+        </div>
+    `);
+}
+
+function initOffline() {
+    // Service workers need http(s); pages opened as files keep working online only
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register(offlineScript.dataset.worker)
+        .then(() => navigator.serviceWorker.ready)
+        .then(showOfflineStatus)
+        .catch(error => console.warn('Offline mode is unavailable:', error));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initOffline);
+} else {
+    initOffline();
+}
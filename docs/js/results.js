@@ -0,0 +1,189 @@
+// Quiz results of a book: export and completion summary
+//
+// Loaded after progress.js, whose quiz index and saved answers it reads, by the
+// exercises page and chapters/summary.html of every book:
+//
+//   <script src="../../js/results.js"></script>
+//
+// downloadResults('json') and downloadResults('csv') save the answers of every quiz in
+// the book as a file, generated in the browser. The summary page renders a printable
+// summary with the learner's name and the score of each chapter into
+// #completionSummary[data-title="<book title>"], and keeps the name from #learnerName.
+
+const LEARNER_KEY = 'learner-name';
+
+function loadLearner() {
+    try {
+        return localStorage.getItem(LEARNER_KEY) || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function saveLearner(name) {
+    try {
+        localStorage.setItem(LEARNER_KEY, name);
+    } catch (e) {
+        // Storage is unavailable: the name is only used for this page
+    }
+}
+
+// Everything the export and the summary show, with times in seconds
+function collectResults() {
+    const timeSpent = loadTimeSpent();
+    const chapters = Object.keys(quizIndex).map(url => {
+        const result = chapterResult(url);
+        const questions = [];
+        Object.keys(quizIndex[url].sets).forEach(setId => {
+            const answers = savedAnswers(setId);
+            quizIndex[url].sets[setId].forEach(id => {
+                const answer = answers[id];
+                questions.push({
+                    set: setId,
+                    id: id,
+                    answer: answer ? answer.choice : null,
+                    correct: answer ? answer.correct : null,
+                    answeredAt: answer ? new Date(answer.answeredAt).toISOString() : null
+                });
+            });
+        });
+        return {
+            chapter: url,
+            title: quizIndex[url].title,
+            score: { correct: result.correct, answered: result.answered, total: result.total },
+            passed: result.passed,
+            timeSpent: Math.round((timeSpent[url] || 0) / 1000),
+            questions: questions
+        };
+    });
+
+    const total = key => chapters.reduce((sum, chapter) => sum + chapter.score[key], 0);
+    return {
+        book: progressBook,
+        learner: loadLearner(),
+        exportedAt: new Date().toISOString(),
+        score: { correct: total('correct'), answered: total('answered'), total: total('total') },
+        passed: chapters.filter(chapter => chapter.passed).length,
+        timeSpent: Math.round(Object.keys(timeSpent).reduce((sum, url) => sum + timeSpent[url], 0) / 1000),
+        chapters: chapters
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per question; the byte order mark makes spreadsheets read the file as UTF-8
+function resultsCsv(results) {
+    const rows = [['book', 'learner', 'chapter', 'title', 'set', 'question', 'answer', 'correct', 'answered_at', 'chapter_time_spent']];
+    results.chapters.forEach(chapter => {
+        chapter.questions.forEach(question => {
+            rows.push([
+                results.book,
+                results.learner,
+                chapter.chapter,
+                chapter.title,
+                question.set,
+                question.id,
+                question.answer === null ? '' : JSON.stringify(question.answer),
+                question.correct === null ? '' : question.correct ? 1 : 0,
+                question.answeredAt,
+                chapter.timeSpent
+            ]);
+        });
+    });
+    return '\ufeff' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadResults(format) {
+    const results = collectResults();
+    const content = format === 'csv' ? resultsCsv(results) : JSON.stringify(results, null, 2);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const blob = new Blob([content], { type: `${type};charset=utf-8` });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${results.book}-results-${results.exportedAt.slice(0, 10)}.${format === 'csv' ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href));
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} мин`;
+    return `${Math.floor(minutes / 60)} ч ${minutes % 60} мин`;
+}
+
+function escapeText(text) {
+    const element = document.createElement('span');
+    element.textContent = text;
+    return element.innerHTML;
+}
+
+function renderSummary() {
+    const summary = document.getElementById('completionSummary');
+    if (!summary) return;
+
+    const results = collectResults();
+    const date = new Date().toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+    const rows = results.chapters.map(chapter => {
+        const score = chapter.score;
+        const status = chapter.passed
+            ? '<span class="text-green-600 dark:text-green-400">Сдан</span>'
+            : score.answered ? '<span class="text-zinc-500">Не сдан</span>' : '<span class="text-zinc-400">—</span>';
+        return `
+            <tr class="border-t border-zinc-200 dark:border-zinc-800">
+                <td class="py-2 pr-4">${escapeText(chapter.title)}</td>
+                <td class="py-2 pr-4 text-right tabular-nums">${score.correct} / ${score.total}</td>
+                <td class="py-2 pr-4">${status}</td>
+                <td class="py-2 text-right tabular-nums text-zinc-500">${chapter.timeSpent ? formatDuration(chapter.timeSpent) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    summary.innerHTML = `
+        <div class="p-8 sm:p-12 border-2 border-zinc-200 dark:border-zinc-800 rounded-2xl text-center">
+            <p class="text-sm font-semibold uppercase tracking-wider text-zinc-500">Итоги обучения</p>
+            <h2 class="text-3xl sm:text-4xl font-bold mt-4">${escapeText(results.learner) || '<span class="text-zinc-400">Имя не указано</span>'}</h2>
+            <p class="mt-4 text-zinc-600 dark:text-zinc-400">прошёл(а) тесты книги «${escapeText(summary.dataset.title)}»</p>
+            <div class="flex flex-wrap justify-center gap-x-10 gap-y-4 mt-8">
+                <div><div class="text-3xl font-bold">${results.score.correct} / ${results.score.total}</div><div class="text-sm text-zinc-500">правильных ответов</div></div>
+                <div><div class="text-3xl font-bold">${results.passed} / ${results.chapters.length}</div><div class="text-sm text-zinc-500">тестов сдано</div></div>
+                <div><div class="text-3xl font-bold">${formatDuration(results.timeSpent)}</div><div class="text-sm text-zinc-500">на чтение и тесты</div></div>
+            </div>
+            <p class="mt-8 text-sm text-zinc-500">${date}</p>
+        </div>
+        <table class="w-full mt-10 text-sm text-left">
+            <thead>
+                <tr class="text-zinc-500">
+                    <th class="pb-2 pr-4 font-medium">Глава</th>
+                    <th class="pb-2 pr-4 font-medium text-right">Результат</th>
+                    <th class="pb-2 pr-4 font-medium">Тест</th>
+                    <th class="pb-2 font-medium text-right">Время</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function initResults() {
+    const learner = document.getElementById('learnerName');
+    if (learner) {
+        learner.value = loadLearner();
+        learner.addEventListener('input', () => {
+            saveLearner(learner.value.trim());
+            renderSummary();
+        });
+    }
+    renderSummary();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initResults);
+} else {
+    initResults();
+}
@@ -0,0 +1,152 @@
+// Spaced repetition of missed quiz questions
+//
+// Every page of a book loads this file after progress.js, whose book id, quiz index
+// and chapterUrl it uses:
+//
+//   <script src="../../js/review.js"></script>
+//
+// A question answered wrong goes to the first of five Leitner boxes and is due the
+// same day. chapters/review.html shows the questions due today: a correct answer moves
+// a question to the next box and puts off its next review, a wrong one sends it back
+// to the first box for tomorrow, and a correct answer in the last box retires it.
+// The sidebar shows how many questions of each chapter are due.
+
+// Days until the next review after a correct answer in box 1, 2, 3 and 4
+const REVIEW_INTERVALS = [1, 2, 4, 8];
+const REVIEW_BOXES = REVIEW_INTERVALS.length + 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Queued questions by "<set id>#<question id>": { box, due }, due being a day number
+let reviewQueue = {};
+
+function reviewKey() {
+    return `review-queue:${progressBook}`;
+}
+
+function loadQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(reviewKey())) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveQueue() {
+    try {
+        localStorage.setItem(reviewKey(), JSON.stringify(reviewQueue));
+    } catch (e) {
+        // Storage is unavailable: the queue is kept until the page is closed
+    }
+}
+
+// Days since 1970 in local time, so that a day starts at midnight for the reader
+function today() {
+    const now = new Date();
+    return Math.round(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) / DAY);
+}
+
+function reviewEntry(setId, id) {
+    return `${setId}#${id}`;
+}
+
+function isDue(entry) {
+    return Boolean(reviewQueue[entry]) && reviewQueue[entry].due <= today();
+}
+
+function recordAnswer(event) {
+    const answer = event.detail;
+    const entry = reviewEntry(answer.setId, answer.id);
+    const queued = reviewQueue[entry];
+
+    if (!answer.review) {
+        // Chapter quizzes only add questions; getting one right there is not a review
+        if (answer.correct) return;
+        reviewQueue[entry] = { box: 1, due: today() };
+    } else if (!answer.correct) {
+        reviewQueue[entry] = { box: 1, due: today() + 1 };
+    } else if (queued && queued.box < REVIEW_BOXES) {
+        reviewQueue[entry] = { box: queued.box + 1, due: today() + REVIEW_INTERVALS[queued.box - 1] };
+    } else {
+        delete reviewQueue[entry];
+    }
+    saveQueue();
+    markDue();
+}
+
+// Due questions of a chapter ("chapters/05-oop.html"), or of the whole book without one
+function dueCount(url) {
+    const chapters = url ? [url] : Object.keys(quizIndex);
+    let count = 0;
+    chapters.forEach(chapter => {
+        const sets = quizIndex[chapter] ? quizIndex[chapter].sets : {};
+        Object.keys(sets).forEach(setId => {
+            sets[setId].forEach(id => {
+                if (isDue(reviewEntry(setId, id))) count++;
+            });
+        });
+    });
+    return count;
+}
+
+function markDue() {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar) return;
+
+    sidebar.querySelectorAll('nav a[href]').forEach(link => {
+        const url = chapterUrl(link);
+        const count = url === REVIEW_URL ? dueCount(null) : url && dueCount(url);
+        const badge = link.querySelector('.review-due');
+        if (badge) badge.remove();
+        if (!count) return;
+
+        link.insertAdjacentHTML('beforeend',
+            `<span class="review-due float-right ml-2 px-1.5 rounded-full bg-orange-500/10 text-orange-600 dark:text-orange-400 text-xs leading-5" title="Вопросов к повторению">${count}</span>`);
+    });
+}
+
+function formatDay(day) {
+    return new Date(day * DAY).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
+// The review page: only the questions due today stay visible
+function renderReview() {
+    const questions = document.getElementById('reviewQuestions');
+    const summary = document.getElementById('reviewSummary');
+    if (!questions || !summary) return;
+
+    let due = 0;
+    questions.querySelectorAll('.review-chapter').forEach(chapter => {
+        const setId = chapter.querySelector('.quiz-set').dataset.quizSet;
+        let shown = 0;
+        chapter.querySelectorAll('.quiz[data-quiz]').forEach(quiz => {
+            quiz.hidden = !isDue(reviewEntry(setId, quiz.dataset.quiz));
+            if (!quiz.hidden) shown++;
+        });
+        chapter.hidden = shown === 0;
+        due += shown;
+    });
+    questions.classList.remove('hidden');
+
+    const queued = Object.keys(reviewQueue).map(entry => reviewQueue[entry]);
+    if (due) {
+        summary.innerHTML = `<p class="text-lg"><strong>${due}</strong> <span class="text-zinc-500">к повторению сегодня, всего в очереди: ${queued.length}</span></p>`;
+    } else if (queued.length) {
+        const next = Math.min.apply(null, queued.map(item => item.due));
+        summary.innerHTML = `<p class="text-lg">На сегодня всё повторено. <span class="text-zinc-500">Следующее повторение: ${formatDay(next)}, в очереди: ${queued.length}</span></p>`;
+    } else {
+        summary.innerHTML = '<p class="text-lg">Повторять пока нечего. <span class="text-zinc-500">Вопросы, на которые вы ответите неправильно в тестах глав, появятся здесь.</span></p>';
+    }
+}
+
+function initReview() {
+    reviewQueue = loadQueue();
+    renderReview();
+    markDue();
+    document.addEventListener('quizanswer', recordAnswer);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initReview);
+} else {
+    initReview();
+}
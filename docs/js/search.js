@@ -1,146 +1,335 @@
-// Search Data - chapters with keywords
-const searchData = [
-    {
-        title: "Введение",
-        url: "chapters/00-introduction.html",
-        chapter: "Введение",
-        keywords: ["книга", "swift", "ios", "начало", "обзор", "введение", "ecommerce", "viper"]
-    },
-    {
-        title: "Знакомство с Xcode",
-        url: "chapters/01-xcode.html",
-        chapter: "Глава 1",
-        keywords: ["xcode", "ide", "установка", "симулятор", "проект", "playground", "interface builder", "apple"]
-    },
-    {
-        title: "Основы Swift",
-        url: "chapters/02-swift-basics.html",
-        chapter: "Глава 2",
-        keywords: ["swift", "переменные", "var", "let", "константы", "типы", "int", "string", "double", "bool", "интерполяция", "массивы", "словари", "array", "dictionary"]
-    },
-    {
-        title: "Управление потоком",
-        url: "chapters/03-control-flow.html",
-        chapter: "Глава 3",
-        keywords: ["if", "else", "switch", "case", "for", "while", "guard", "условия", "циклы", "control flow"]
-    },
-    {
-        title: "Функции и Closures",
-        url: "chapters/04-functions.html",
-        chapter: "Глава 4",
-        keywords: ["функции", "function", "closure", "замыкания", "параметры", "return", "inout", "escaping", "trailing"]
-    },
-    {
-        title: "ООП в Swift",
-        url: "chapters/05-oop.html",
-        chapter: "Глава 5",
-        keywords: ["ооп", "класс", "class", "struct", "структура", "наследование", "inheritance", "инициализатор", "init", "enum", "enumeration"]
-    },
-    {
-        title: "Протоколы",
-        url: "chapters/06-protocols.html",
-        chapter: "Глава 6",
-        keywords: ["protocol", "протокол", "extension", "расширение", "delegate", "делегат", "pop", "protocol oriented"]
-    },
-    {
-        title: "Optionals",
-        url: "chapters/07-optionals.html",
-        chapter: "Глава 7",
-        keywords: ["optional", "опциональ", "nil", "unwrap", "guard let", "if let", "optional chaining", "nil coalescing", "force unwrap"]
-    },
-    {
-        title: "Управление памятью (ARC)",
-        url: "chapters/08-memory.html",
-        chapter: "Глава 8",
-        keywords: ["память", "memory", "arc", "strong", "weak", "unowned", "retain cycle", "утечка памяти", "reference counting"]
-    },
-    {
-        title: "Generics",
-        url: "chapters/09-generics.html",
-        chapter: "Глава 9",
-        keywords: ["generics", "дженерики", "generic type", "where", "associated type", "type constraint"]
-    },
-    {
-        title: "Concurrency",
-        url: "chapters/10-concurrency.html",
-        chapter: "Глава 10",
-        keywords: ["concurrency", "async", "await", "task", "gcd", "dispatch", "многопоточность", "actor", "main thread"]
-    },
-    {
-        title: "UIKit основы",
-        url: "chapters/11-uikit-basics.html",
-        chapter: "Глава 11",
-        keywords: ["uikit", "uiview", "uiviewcontroller", "auto layout", "constraints", "storyboard", "uibutton", "uilabel", "uitableview"]
-    },
-    {
-        title: "Программный UI",
-        url: "chapters/12-programmatic-ui.html",
-        chapter: "Глава 12",
-        keywords: ["программный ui", "snapkit", "без storyboard", "scenedelegate", "nslayoutconstraint", "программные constraints"]
-    },
-    {
-        title: "VIPER архитектура",
-        url: "chapters/13-viper.html",
-        chapter: "Глава 13",
-        keywords: ["viper", "архитектура", "view", "interactor", "presenter", "entity", "router", "модуль", "clean architecture"]
-    },
-    {
-        title: "Настройка проекта",
-        url: "chapters/14-project-setup.html",
-        chapter: "Глава 14",
-        keywords: ["project setup", "spm", "swift package manager", "firebase", "cocoapods", "структура проекта"]
-    },
-    {
-        title: "Authentication",
-        url: "chapters/15-authentication.html",
-        chapter: "Глава 15",
-        keywords: ["authentication", "аутентификация", "firebase auth", "google sign in", "login", "register", "авторизация"]
-    },
-    {
-        title: "Products",
-        url: "chapters/16-products.html",
-        chapter: "Глава 16",
-        keywords: ["products", "товары", "каталог", "категории", "uicollectionview", "firestore", "product list"]
-    },
-    {
-        title: "Cart",
-        url: "chapters/17-cart.html",
-        chapter: "Глава 17",
-        keywords: ["cart", "корзина", "покупки", "firestore", "добавление", "удаление", "quantity"]
-    },
-    {
-        title: "Favorites",
-        url: "chapters/18-favorites.html",
-        chapter: "Глава 18",
-        keywords: ["favorites", "избранное", "realm", "локальная база", "wishlist", "сохранение"]
-    },
-    {
-        title: "Orders",
-        url: "chapters/19-orders.html",
-        chapter: "Глава 19",
-        keywords: ["orders", "заказы", "оформление", "checkout", "адреса", "история заказов"]
-    },
-    {
-        title: "Profile",
-        url: "chapters/20-profile.html",
-        chapter: "Глава 20",
-        keywords: ["profile", "профиль", "пользователь", "настройки", "logout", "user settings"]
+// Shared search component for all books
+//
+// A page loads this file, then each book's generated js/search-index.js and
+// js/search-data.js, which register the book's content and chapter list:
+//
+//   registerSearchBook({
+//       id: 'viper',
+//       title: 'UIKit + VIPER',
+//       accent: 'blue',         // Tailwind colour used for labels and matches
+//       chapters: [...]         // chapter list with keywords, generated from book.json
+//   });
+//
+// and finally mounts the overlay:
+//
+//   initSearch({
+//       markup: 'tailwind',     // 'tailwind' or 'classic' (classes from css/style.css)
+//       accents: {}             // per-book accent overrides, e.g. { swiftui: 'purple' }
+//   });
+//
+// With several books registered (the landing page) results are grouped by book.
+// Words match other forms of the same word (замыкание / замыкания), prefixes and small
+// typos, ё is treated as е; results are ordered by relevance, chapter titles first.
+// Filters can be mixed into the query and show up as removable chips under the input:
+//   code:          search code samples only; a word after it (code:@Published) is looked
+//                  up as typed, with its @, # or $, or as the start of a longer word
+//   ch:13-21       chapters 13 to 21, or ch:7 for one chapter
+//   book:android   one book, by id prefix (useful on the landing page)
+//   "if let"       an exact phrase
+// With an empty query the overlay lists the book's recent queries and opened chapters
+// (localStorage "search-history:<book id>").
+// Cmd/Ctrl+K opens the search and Escape closes it. Focus stays in the input while the
+// arrow keys, Home/End and PageUp/PageDown move the active result (aria-activedescendant);
+// Enter opens it, Cmd/Ctrl+Enter opens it in a new tab.
+
+// Maximum number of section hits shown under the chapter matches, shared between books
+const MAX_SECTION_RESULTS = 30;
+
+// Results skipped by PageUp/PageDown
+const RESULTS_PAGE_SIZE = 5;
+
+// Recent queries and chapters kept per book in localStorage
+const HISTORY_LIMIT = 5;
+
+// Relevance of each field: chapter titles rank above keywords, keywords above headings and body
+const FIELD_WEIGHTS = { title: 10, keywords: 6, heading: 4, text: 2, code: 1.5 };
+
+// How well a field matched: the literal query, the same stem, a word starting with it, a typo
+const MATCH_QUALITY = { phrase: 1, stem: 0.9, prefix: 0.7, fuzzy: 0.5 };
+
+// Endings removed by stemWord(), longest first
+const RUSSIAN_ENDINGS = [
+    'иями', 'ями', 'ами', 'иях', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ией',
+    'ах', 'ях', 'ов', 'ев', 'ом', 'ем', 'ам', 'ям', 'ой', 'ей', 'ий', 'ый', 'ая', 'яя',
+    'ое', 'ее', 'ые', 'ие', 'ую', 'юю', 'ия', 'ья', 'ье', 'ию', 'ью', 'ии', 'ых', 'их',
+    'а', 'я', 'ы', 'и', 'е', 'у', 'ю', 'о', 'ь', 'й'
+];
+const ENGLISH_ENDINGS = ['ing', 'ies', 'es', 'ed', 's'];
+
+// Letters, digits and underscores; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// Words of code keep the sigil in front of them: @Published, #Preview, $name
+const CODE_WORD_PATTERN = /[@#$]?[\p{L}\p{N}_]+/gu;
+const SIGIL = /^[@#$]/;
+
+// Books registered by js/search-data.js and js/search-index.js, keyed by id
+const searchRegistry = {};
+
+// Settings and prepared books of the current page, filled in by initSearch()
+let searchConfig = null;
+let searchBooks = [];
+
+// Index of the highlighted result, -1 when the list is empty
+let activeResult = -1;
+
+// What each shown option stands for: a page of a book, or a recent query
+let shownResults = [];
+
+// Overlay, empty state and result templates for each markup style
+const searchMarkup = {
+    tailwind: {
+        overlay: config => `
+            <div id="searchOverlay" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 hidden items-start justify-center pt-[15vh]" onclick="closeSearch(event)">
+                <div class="w-full max-w-xl mx-4 bg-white dark:bg-zinc-900 rounded-2xl shadow-2xl overflow-hidden" onclick="event.stopPropagation()">
+                    <div class="flex items-center gap-3 p-4 border-b border-zinc-200 dark:border-zinc-800">
+                        <svg class="w-5 h-5 text-zinc-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <circle cx="11" cy="11" r="8"/>
+                            <path d="m21 21-4.35-4.35"/>
+                        </svg>
+                        <input type="text" id="searchInput" class="flex-1 bg-transparent outline-none text-lg" placeholder="${config.placeholder}" autocomplete="off" role="combobox" aria-expanded="true" aria-controls="searchResults" aria-autocomplete="list" oninput="performSearch(this.value)">
+                        <button onclick="closeSearch(event)" class="px-2 py-1 text-xs text-zinc-400 bg-zinc-100 dark:bg-zinc-800 rounded">Esc</button>
+                    </div>
+                    <div id="searchFilters" class="flex flex-wrap gap-2 px-4 py-2 border-b border-zinc-200 dark:border-zinc-800 empty:hidden"></div>
+                    <div id="searchResults" class="max-h-96 overflow-y-auto" role="listbox"></div>
+                </div>
+            </div>
+        `,
+        empty: (message, hint) => `
+            <div class="p-8 text-center text-zinc-400">
+                <p>${message}</p>
+                <p class="text-sm mt-1">${hint}</p>
+            </div>
+        `,
+        chip: (filter, accent) => `
+            <span class="inline-flex items-center gap-1 pl-2.5 pr-1 py-0.5 text-xs font-medium rounded-full bg-${accent}-50 text-${accent}-600 dark:bg-${accent}-900/30 dark:text-${accent}-300">
+                ${filter.label}
+                <button type="button" data-filter-remove="${filter.index}" class="px-1 hover:text-zinc-900 dark:hover:text-white" title="Убрать фильтр" aria-label="Убрать фильтр">×</button>
+            </span>
+        `,
+        historyTitle: title => `
+            <div role="presentation" class="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wider text-zinc-400">${title}</div>
+        `,
+        historyItem: (item, accent) => `
+            <div role="presentation" class="flex items-center border-b border-zinc-200 dark:border-zinc-800">
+                <a href="${item.href}" id="${item.id}" role="option" aria-selected="false" tabindex="-1" class="search-result-item flex-1 min-w-0 flex items-baseline gap-2 px-4 py-2.5 aria-selected:bg-zinc-100 dark:aria-selected:bg-zinc-800 outline-none">
+                    <span class="truncate text-zinc-900 dark:text-white">${item.title}</span>
+                    ${item.label ? `<span class="shrink-0 text-xs text-${accent}-500">${item.label}</span>` : ''}
+                </a>
+                <button type="button" data-history-remove="${item.index}" class="px-4 py-2.5 text-zinc-400 hover:text-zinc-900 dark:hover:text-white" title="Удалить из истории" aria-label="Удалить из истории">×</button>
+            </div>
+        `,
+        historyClear: () => `
+            <button type="button" data-history-clear class="w-full px-4 py-3 text-sm text-zinc-400 hover:text-zinc-900 dark:hover:text-white">Очистить историю</button>
+        `,
+        group: (book, count) => `
+            <div role="presentation" class="search-result-group sticky top-0 flex items-center justify-between px-4 py-2 text-xs font-semibold uppercase tracking-wider text-${book.accent}-600 dark:text-${book.accent}-400 bg-${book.accent}-50 dark:bg-zinc-800 border-b border-zinc-200 dark:border-zinc-800">
+                <span>${book.title}</span>
+                <span class="text-zinc-400">${count}</span>
+            </div>
+        `,
+        result: (item, accent) => `
+            <a href="${item.href}" id="${item.id}" role="option" aria-selected="false" tabindex="-1" class="search-result-item block px-4 py-3 aria-selected:bg-zinc-100 dark:aria-selected:bg-zinc-800 outline-none border-b border-zinc-200 dark:border-zinc-800 last:border-0">
+                ${item.label ? `<div class="text-xs font-semibold uppercase tracking-wider text-${accent}-500 mb-1">${item.label}</div>` : ''}
+                <div class="font-medium text-zinc-900 dark:text-white">${item.title}</div>
+                ${item.detail ? `<div class="text-sm text-zinc-500 mt-1${item.isCode ? ' font-mono' : ''}">${item.detail}</div>` : ''}
+            </a>
+        `,
+        mark: accent => `<span class="text-${accent}-500 font-semibold">$1</span>`,
+        show: overlay => {
+            overlay.classList.remove('hidden');
+            overlay.classList.add('flex');
+        },
+        hide: overlay => {
+            overlay.classList.add('hidden');
+            overlay.classList.remove('flex');
+        },
+        isOpen: overlay => !overlay.classList.contains('hidden')
     },
-    {
-        title: "Reusable Views",
-        url: "chapters/21-reusable-views.html",
-        chapter: "Глава 21",
-        keywords: ["reusable", "dskit", "компоненты", "переиспользуемые", "ui components", "темизация", "theme"]
+    classic: {
+        overlay: config => `
+            <div class="search-overlay" id="searchOverlay" onclick="closeSearch(event)">
+                <div class="search-modal" onclick="event.stopPropagation()">
+                    <div class="search-header">
+                        <svg class="search-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="11" cy="11" r="8"></circle>
+                            <path d="M21 21l-4.35-4.35"></path>
+                        </svg>
+                        <input type="text" class="search-input" id="searchInput" placeholder="${config.placeholder}" autocomplete="off" role="combobox" aria-expanded="true" aria-controls="searchResults" aria-autocomplete="list" oninput="performSearch(this.value)">
+                        <button class="search-close" onclick="closeSearch(event)">
+                            <kbd>Esc</kbd>
+                        </button>
+                    </div>
+                    <div class="search-filters" id="searchFilters"></div>
+                    <div class="search-results" id="searchResults" role="listbox"></div>
+                </div>
+            </div>
+        `,
+        empty: (message, hint) => `
+            <div class="search-empty">
+                <p>${message}</p>
+                <p class="search-hint">${hint}</p>
+            </div>
+        `,
+        chip: filter => `
+            <span class="search-filter">
+                ${filter.label}
+                <button type="button" data-filter-remove="${filter.index}" class="search-filter-remove" title="Убрать фильтр" aria-label="Убрать фильтр">×</button>
+            </span>
+        `,
+        historyTitle: title => `
+            <div role="presentation" class="search-history-title">${title}</div>
+        `,
+        historyItem: item => `
+            <div role="presentation" class="search-history-item">
+                <a href="${item.href}" id="${item.id}" role="option" aria-selected="false" tabindex="-1" class="search-result-item">
+                    <span class="search-result-title">${item.title}</span>
+                    ${item.label ? `<span class="search-result-chapter">${item.label}</span>` : ''}
+                </a>
+                <button type="button" data-history-remove="${item.index}" class="search-history-remove" title="Удалить из истории" aria-label="Удалить из истории">×</button>
+            </div>
+        `,
+        historyClear: () => `
+            <button type="button" data-history-clear class="search-history-clear">Очистить историю</button>
+        `,
+        group: (book, count) => `
+            <div role="presentation" class="search-result-group">
+                <span>${book.title}</span>
+                <span class="search-result-count">${count}</span>
+            </div>
+        `,
+        result: item => `
+            <a href="${item.href}" id="${item.id}" role="option" aria-selected="false" tabindex="-1" class="search-result-item">
+                ${item.label ? `<span class="search-result-chapter">${item.label}</span>` : ''}
+                <span class="search-result-title">${item.title}</span>
+                ${item.detail ? `<span class="search-result-snippet${item.isCode ? ' is-code' : ''}">${item.detail}</span>` : ''}
+            </a>
+        `,
+        mark: () => '<mark>$1</mark>',
+        show: overlay => overlay.classList.add('active'),
+        hide: overlay => overlay.classList.remove('active'),
+        isOpen: overlay => overlay.classList.contains('active')
     }
-];
+};
 
-// Determine base path based on current location
-function getBasePath() {
-    const path = window.location.pathname;
-    if (path.includes('/chapters/')) {
-        return '../';
+function registeredBook(id) {
+    if (!searchRegistry[id]) {
+        searchRegistry[id] = { id: id, title: '', accent: 'blue', base: '', chapters: [], content: [] };
     }
-    return '';
+    return searchRegistry[id];
+}
+
+// Book folder relative to the page, taken from the src of the registering script:
+// "js/search-data.js" -> "", "viper/js/search-data.js" -> "viper/"
+function currentScriptBase() {
+    const script = document.currentScript;
+    const src = script ? script.getAttribute('src') || '' : '';
+    const index = src.lastIndexOf('js/');
+    return index === -1 ? '' : src.slice(0, index);
+}
+
+// Called by a book's js/search-data.js
+function registerSearchBook(book) {
+    Object.assign(registeredBook(book.id), book, { base: currentScriptBase() });
+}
+
+// Called by a book's generated js/search-index.js
+function registerSearchContent(id, pages) {
+    registeredBook(id).content = pages;
+}
+
+// Merge a book's chapter list with its content
+function prepareBook(book, config) {
+    const chapters = book.chapters.map(item => Object.assign({}, item, {
+        chapter: item.chapter || '',
+        keywords: Array.isArray(item.keywords) ? item.keywords : (item.keywords || '').split(' ').filter(Boolean)
+    }));
+
+    // Chapters found by scripts/build-search-index.js but not listed are still searchable by title
+    book.content.forEach(page => {
+        if (!chapters.some(item => item.url === page.url)) {
+            chapters.push({ title: page.title, url: page.url, chapter: page.chapter, keywords: [] });
+        }
+    });
+
+    const sections = [].concat(...book.content.map(page => {
+        const item = chapters.find(entry => entry.url === page.url);
+        return page.sections.map(section => Object.assign({
+            url: page.url,
+            chapter: item.chapter,
+            title: item.title
+        }, section));
+    }));
+
+    chapters.forEach(item => {
+        item.fields = {
+            title: indexField(item.title),
+            keywords: indexField(item.keywords.join(' '))
+        };
+    });
+    sections.forEach(section => {
+        section.fields = {
+            heading: indexField(sectionLabel(section)),
+            text: indexField(section.text),
+            code: indexField(section.code, true)
+        };
+    });
+
+    // Every stem of the book, used to expand query words into stems, prefixes and typos,
+    // and every word of its code for the words of code:
+    const vocabulary = new Set();
+    const codeWords = new Set();
+    chapters.concat(sections).forEach(item => {
+        Object.values(item.fields).forEach(field => field.stems.forEach(stem => vocabulary.add(stem)));
+    });
+    sections.forEach(section => section.fields.code.words.forEach(word => codeWords.add(word)));
+
+    return {
+        id: book.id,
+        title: book.title,
+        accent: config.accents[book.id] || book.accent,
+        base: book.base,
+        chapters: chapters,
+        sections: sections,
+        vocabulary: vocabulary,
+        codeWords: codeWords
+    };
+}
+
+// Configure search for the registered books and mount the overlay
+function initSearch(config) {
+    searchConfig = Object.assign({
+        markup: 'tailwind',
+        accents: {},
+        placeholder: 'Поиск по книге...'
+    }, config);
+
+    searchBooks = Object.keys(searchRegistry).map(id => prepareBook(searchRegistry[id], searchConfig));
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountSearch);
+    } else {
+        mountSearch();
+    }
+}
+
+// Create the overlay if the page does not have one and bind shortcuts
+function mountSearch() {
+    const markup = searchMarkup[searchConfig.markup];
+    if (!document.getElementById('searchOverlay')) {
+        document.body.insertAdjacentHTML('beforeend', markup.overlay(searchConfig));
+    }
+    showSearchHint();
+    document.addEventListener('keydown', handleSearchKeydown);
+
+    // The pointer moves the active result too, so Enter and a click agree
+    document.getElementById('searchResults').addEventListener('mousemove', event => {
+        const option = event.target.closest('.search-result-item');
+        const index = searchOptions().indexOf(option);
+        if (index !== -1 && index !== activeResult) setActiveResult(index);
+    });
+    document.getElementById('searchResults').addEventListener('click', handleResultClick);
+    document.getElementById('searchFilters').addEventListener('click', handleFilterClick);
 }
 
 // Open search modal
@@ -148,7 +337,7 @@ function openSearch() {
     const overlay = document.getElementById('searchOverlay');
     const input = document.getElementById('searchInput');
     if (overlay && input) {
-        overlay.classList.add('active');
+        searchMarkup[searchConfig.markup].show(overlay);
         input.focus();
         document.body.style.overflow = 'hidden';
     }
@@ -159,144 +348,600 @@ function closeSearch(event) {
     if (event) event.preventDefault();
     const overlay = document.getElementById('searchOverlay');
     if (overlay) {
-        overlay.classList.remove('active');
+        searchMarkup[searchConfig.markup].hide(overlay);
         document.body.style.overflow = '';
         document.getElementById('searchInput').value = '';
-        document.getElementById('searchResults').innerHTML = `
-            <div class="search-empty">
-                <p>Введите запрос для поиска</p>
-                <p class="search-hint">Поиск по названиям глав и ключевым словам</p>
-            </div>
-        `;
+        showFilters([]);
+        showSearchHint();
+    }
+}
+
+function isSearchOpen() {
+    const overlay = document.getElementById('searchOverlay');
+    return Boolean(overlay) && searchMarkup[searchConfig.markup].isOpen(overlay);
+}
+
+// Initial state of the results list: recent queries and chapters, or a hint when there are none
+function showSearchHint() {
+    const markup = searchMarkup[searchConfig.markup];
+    const grouped = searchBooks.length > 1;
+    const html = [];
+    shownResults = [];
+
+    searchBooks.forEach(book => {
+        const history = loadHistory(book);
+        const entries = history.queries.map(query => ({ book: book, query: query }))
+            .concat(history.chapters.map(page => Object.assign({ book: book }, page)));
+        if (entries.length === 0) return;
+
+        if (grouped) html.push(markup.group(book, entries.length));
+        entries.forEach((entry, i) => {
+            if (i === 0 && entry.query !== undefined) html.push(markup.historyTitle('Недавние запросы'));
+            if (entry.query === undefined && (i === 0 || entries[i - 1].query !== undefined)) {
+                html.push(markup.historyTitle('Недавние главы'));
+            }
+            const index = shownResults.push(entry) - 1;
+            html.push(markup.historyItem({
+                id: 'search-result-' + index,
+                index: index,
+                href: entry.query === undefined ? book.base + entry.url : '#',
+                title: escapeHtml(entry.query === undefined ? entry.title : entry.query),
+                label: entry.query === undefined ? escapeHtml(entry.chapter) : ''
+            }, book.accent));
+        });
+    });
+
+    const resultsContainer = document.getElementById('searchResults');
+    if (html.length === 0) {
+        resultsContainer.innerHTML = markup.empty('Введите запрос для поиска', 'Фильтры: code:, ch:13-21, book:android, "точная фраза"');
+    } else {
+        resultsContainer.innerHTML = html.join('') + markup.historyClear();
+    }
+    setActiveResult(-1);
+}
+
+function historyKey(book) {
+    return 'search-history:' + book.id;
+}
+
+// Saved history of a book; storage may be unavailable (private mode, file:// in some browsers)
+function loadHistory(book) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(historyKey(book)));
+        if (saved) return { queries: saved.queries || [], chapters: saved.chapters || [] };
+    } catch (e) {
+        // Fall through to an empty history
+    }
+    return { queries: [], chapters: [] };
+}
+
+function saveHistory(book, history) {
+    try {
+        localStorage.setItem(historyKey(book), JSON.stringify(history));
+    } catch (e) {
+        // History is a convenience; searching works without it
+    }
+}
+
+// Remember the query and the chapter of an opened result
+function rememberVisit(entry) {
+    const history = loadHistory(entry.book);
+    const query = document.getElementById('searchInput').value.trim();
+    if (query.length >= 2) {
+        history.queries = [query].concat(history.queries.filter(item => item !== query)).slice(0, HISTORY_LIMIT);
+    }
+    history.chapters = [{ url: entry.url, title: entry.title, chapter: entry.chapter }]
+        .concat(history.chapters.filter(item => item.url !== entry.url))
+        .slice(0, HISTORY_LIMIT);
+    saveHistory(entry.book, history);
+}
+
+function forgetHistoryEntry(entry) {
+    const history = loadHistory(entry.book);
+    if (entry.query !== undefined) {
+        history.queries = history.queries.filter(item => item !== entry.query);
+    } else {
+        history.chapters = history.chapters.filter(item => item.url !== entry.url);
+    }
+    saveHistory(entry.book, history);
+}
+
+function clearHistory() {
+    searchBooks.forEach(book => {
+        try {
+            localStorage.removeItem(historyKey(book));
+        } catch (e) {
+            // Nothing was stored
+        }
+    });
+}
+
+// Run a recent query again
+function repeatQuery(query) {
+    const input = document.getElementById('searchInput');
+    input.value = query;
+    input.focus();
+    performSearch(query);
+}
+
+// Chips for the filters found in the query
+function showFilters(filters) {
+    const markup = searchMarkup[searchConfig.markup];
+    const accent = searchBooks.length === 1 ? searchBooks[0].accent : 'zinc';
+    document.getElementById('searchFilters').innerHTML = filters.map(filter => markup.chip(filter, accent)).join('');
+}
+
+// Removing a chip removes its token from the query
+function handleFilterClick(event) {
+    const remove = event.target.closest('[data-filter-remove]');
+    if (!remove) return;
+    const input = document.getElementById('searchInput');
+    const tokens = parseSearchSyntax(input.value).tokens;
+    tokens.splice(Number(remove.dataset.filterRemove), 1);
+    input.value = tokens.join(' ');
+    input.focus();
+    performSearch(input.value);
+}
+
+// Clicks on results and on the history controls of the empty state
+function handleResultClick(event) {
+    const remove = event.target.closest('[data-history-remove]');
+    if (remove) {
+        forgetHistoryEntry(shownResults[Number(remove.dataset.historyRemove)]);
+        showSearchHint();
+        document.getElementById('searchInput').focus();
+        return;
+    }
+    if (event.target.closest('[data-history-clear]')) {
+        clearHistory();
+        showSearchHint();
+        document.getElementById('searchInput').focus();
+        return;
+    }
+
+    const entry = shownResults[searchOptions().indexOf(event.target.closest('.search-result-item'))];
+    if (!entry) return;
+    if (entry.query !== undefined) {
+        event.preventDefault();
+        repeatQuery(entry.query);
+    } else {
+        rememberVisit(entry);
+    }
+}
+
+// Collapse whitespace left over from the markup
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Lower-case and treat ё as е, keeping the length so indexes still point into the original text
+function foldText(text) {
+    return text.toLowerCase().replace(/ё/g, 'е');
+}
+
+// Light stemming: strip one inflectional ending, keeping at least three letters
+const stemCache = new Map();
+function stemWord(word) {
+    if (stemCache.has(word)) return stemCache.get(word);
+    const endings = /[а-я]/.test(word) ? RUSSIAN_ENDINGS : ENGLISH_ENDINGS;
+    const ending = endings.find(item => word.length - item.length >= 3 && word.endsWith(item));
+    const stem = ending ? word.slice(0, -ending.length) : word;
+    stemCache.set(word, stem);
+    return stem;
+}
+
+// Folded text of a field and the stems of its words; for code also its words as they
+// are written, sigils included
+function indexField(text, code) {
+    const folded = foldText(text || '');
+    const stems = new Set();
+    (folded.match(WORD_PATTERN) || []).forEach(word => stems.add(stemWord(word)));
+    const words = code ? new Set(folded.match(CODE_WORD_PATTERN)) : new Set();
+    return { folded: folded, stems: stems, words: words };
+}
+
+// Number of typos forgiven in a word of this length
+function typoLimit(word) {
+    if (word.length >= 9) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+// Edit distance counting a swap of neighbouring letters as one edit; stops early past the limit
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, before[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        before = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+// Separate filters and quoted phrases from the words of the query
+function parseSearchSyntax(query) {
+    const syntax = { text: '', phrases: [], code: false, codeWords: [], chapters: null, book: '', filters: [], tokens: [] };
+    const words = [];
+    const tokenPattern = /"([^"]*)"?|\S+/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query))) {
+        const raw = match[0];
+        const index = syntax.tokens.push(raw) - 1;
+        const lower = raw.toLowerCase();
+        const range = lower.match(/^ch:(\d+)(?:-(\d+))?$/);
+
+        if (match[1] !== undefined) {
+            if (!match[1].trim()) continue;
+            syntax.phrases.push(foldText(match[1].trim()));
+            syntax.filters.push({ index: index, label: `«${escapeHtml(match[1].trim())}»` });
+        } else if (lower.startsWith('code:')) {
+            syntax.code = true;
+            if (raw.length > 5) {
+                words.push(raw.slice(5));
+                syntax.codeWords.push(foldText(raw.slice(5)));
+            }
+            syntax.filters.push({ index: index, label: raw.length > 5 ? `Код: ${escapeHtml(raw.slice(5))}` : 'Только код' });
+        } else if (range) {
+            const from = Number(range[1]);
+            const to = range[2] === undefined ? from : Number(range[2]);
+            syntax.chapters = { from: Math.min(from, to), to: Math.max(from, to) };
+            syntax.filters.push({ index: index, label: from === to ? `Глава ${from}` : `Главы ${syntax.chapters.from}–${syntax.chapters.to}` });
+        } else if (/^book:\S+$/.test(lower)) {
+            syntax.book = lower.slice(5);
+            const book = searchBooks.find(item => item.id.startsWith(syntax.book));
+            syntax.filters.push({ index: index, label: `Книга: ${escapeHtml(book ? book.title : syntax.book)}` });
+        } else {
+            words.push(raw);
+        }
+    }
+
+    syntax.text = words.join(' ');
+    return syntax;
+}
+
+// Chapter number from the file name, e.g. chapters/13-viper.html -> 13; null for extra pages
+function chapterNumber(url) {
+    const match = url.match(/chapters\/(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+// Whether a page passes the ch: filter
+function inChapterRange(url, chapters) {
+    if (!chapters) return true;
+    const number = chapterNumber(url);
+    return number !== null && number >= chapters.from && number <= chapters.to;
+}
+
+// Split the query into words and find the stems of the book each word may stand for,
+// or the words of its code for the words of code:
+function parseQuery(syntax, book) {
+    const text = foldText(syntax.text.trim());
+    const terms = [];
+    text.split(/\s+/).filter(Boolean).forEach(token => {
+        if (syntax.codeWords.includes(token)) {
+            (token.match(CODE_WORD_PATTERN) || []).forEach(word => terms.push(codeTerm(word, book)));
+        } else {
+            (token.match(WORD_PATTERN) || []).forEach(word => terms.push(wordTerm(word, book)));
+        }
+    });
+    const phraseStems = new Set();
+    syntax.phrases.forEach(phrase => (phrase.match(WORD_PATTERN) || []).forEach(word => phraseStems.add(stemWord(word))));
+    return { text: text, terms: terms, phrases: syntax.phrases, phraseStems: phraseStems };
+}
+
+// A word of code: as typed or as the start of a longer word of the code, never a typo
+function codeTerm(word, book) {
+    const matches = new Map();
+    book.codeWords.forEach(candidate => {
+        if (candidate === word) matches.set(candidate, MATCH_QUALITY.stem);
+        else if (candidate.startsWith(word)) matches.set(candidate, MATCH_QUALITY.prefix);
+    });
+    return { stem: word, code: true, matches: matches };
+}
+
+// A word of the text: its stem, the stems it starts, and only when the book has neither,
+// the stems a typo away, so that "publish" does not also find "public"
+function wordTerm(word, book) {
+    const stem = stemWord(word);
+    const matches = new Map();
+    book.vocabulary.forEach(candidate => {
+        if (candidate === stem) matches.set(candidate, MATCH_QUALITY.stem);
+        else if (candidate.startsWith(stem)) matches.set(candidate, MATCH_QUALITY.prefix);
+    });
+    const limit = typoLimit(stem);
+    if (!matches.size && limit) {
+        book.vocabulary.forEach(candidate => {
+            if (editDistance(stem, candidate, limit) <= limit) matches.set(candidate, MATCH_QUALITY.fuzzy);
+        });
+    }
+    return { stem: stem, matches: matches };
+}
+
+// How well a word of a text matches a term of the query, 0 when it does not
+function termMatch(term, word) {
+    if (term.code) return term.matches.get(word) || 0;
+    return term.matches.get(stemWord(word.replace(SIGIL, ''))) || 0;
+}
+
+// Quality of a field match: quoted phrases must appear as typed; then the literal query,
+// or the weakest of the best matches of each word
+function scoreField(field, query) {
+    if (!field.folded) return 0;
+    if (!query.phrases.every(phrase => field.folded.includes(phrase))) return 0;
+    if (!query.text || field.folded.includes(query.text)) return MATCH_QUALITY.phrase;
+    if (query.terms.length === 0) return 0;
+
+    let score = 1;
+    for (const term of query.terms) {
+        let best = 0;
+        (term.code ? field.words : field.stems).forEach(key => {
+            best = Math.max(best, term.matches.get(key) || 0);
+        });
+        if (best === 0) return 0;
+        score = Math.min(score, best);
+    }
+    return score;
+}
+
+// Weighted sum of the field scores of a chapter or section, limited to the given fields
+function scoreItem(item, query, names) {
+    const scores = {};
+    let total = 0;
+    names.filter(name => item.fields[name]).forEach(name => {
+        scores[name] = scoreField(item.fields[name], query);
+        total += scores[name] * FIELD_WEIGHTS[name];
+    });
+    return { total: total, scores: scores };
+}
+
+// Position and length of the first match in a field, -1 when only other fields matched
+function findMatch(field, query) {
+    for (const literal of [query.text].concat(query.phrases).filter(Boolean)) {
+        const index = field.folded.indexOf(literal);
+        if (index !== -1) return { index: index, length: literal.length };
+    }
+    for (const word of field.folded.matchAll(CODE_WORD_PATTERN)) {
+        if (query.terms.some(term => termMatch(term, word[0]))) {
+            return { index: word.index, length: word[0].length };
+        }
     }
+    return { index: -1, length: 0 };
+}
+
+// Heading path shown for a hit, e.g. "Optionals › if let"
+function sectionLabel(section) {
+    return [section.section, section.subsection].filter(Boolean).join(' › ');
+}
+
+// Cut a short snippet around the match
+function makeSnippet(source, index, length) {
+    if (index === -1) {
+        return source.slice(0, 120) + (source.length > 120 ? '…' : '');
+    }
+    const start = Math.max(0, index - 50);
+    const end = Math.min(source.length, index + length + 70);
+    const text = normalizeText(source.slice(start, end));
+    return (start > 0 ? '…' : '') + text + (end < source.length ? '…' : '');
 }
 
 // Perform search
 function performSearch(query) {
     const resultsContainer = document.getElementById('searchResults');
-    const basePath = getBasePath();
+    const markup = searchMarkup[searchConfig.markup];
 
-    if (!query || query.length < 2) {
-        resultsContainer.innerHTML = `
-            <div class="search-empty">
-                <p>Введите запрос для поиска</p>
-                <p class="search-hint">Минимум 2 символа</p>
-            </div>
-        `;
+    const syntax = parseSearchSyntax(query || '');
+    showFilters(syntax.filters);
+
+    if (!query || !query.trim()) {
+        showSearchHint();
+        return;
+    }
+    if ((syntax.text + syntax.phrases.join('')).trim().length < 2) {
+        shownResults = [];
+        resultsContainer.innerHTML = markup.empty('Введите запрос для поиска', syntax.filters.length ? 'Добавьте к фильтрам слово для поиска' : 'Минимум 2 символа');
+        setActiveResult(-1);
         return;
     }
 
-    const normalizedQuery = query.toLowerCase().trim();
-    const results = searchData.filter(item => {
-        const titleMatch = item.title.toLowerCase().includes(normalizedQuery);
-        const keywordMatch = item.keywords.some(kw => kw.includes(normalizedQuery));
-        return titleMatch || keywordMatch;
+    const sectionLimit = Math.ceil(MAX_SECTION_RESULTS / Math.max(searchBooks.length, 1));
+    const grouped = searchBooks.length > 1;
+
+    const html = [];
+    shownResults = [];
+    searchBooks.forEach(book => {
+        const items = searchBook(book, syntax, sectionLimit);
+        if (items.length === 0) return;
+        if (grouped) html.push(markup.group(book, items.length));
+        items.forEach(item => {
+            item.id = 'search-result-' + (shownResults.push(Object.assign({ book: book }, item.page)) - 1);
+            html.push(markup.result(item, book.accent));
+        });
     });
 
-    if (results.length === 0) {
-        resultsContainer.innerHTML = `
-            <div class="search-empty">
-                <p>Ничего не найдено</p>
-                <p class="search-hint">Попробуйте другой запрос</p>
-            </div>
-        `;
+    if (html.length === 0) {
+        resultsContainer.innerHTML = markup.empty('Ничего не найдено', 'Попробуйте другой запрос');
+        setActiveResult(-1);
         return;
     }
 
-    resultsContainer.innerHTML = results.map(item => `
-        <a href="${basePath}${item.url}" class="search-result-item">
-            <span class="search-result-chapter">${item.chapter}</span>
-            <span class="search-result-title">${highlightMatch(item.title, normalizedQuery)}</span>
-            <span class="search-result-keywords">${item.keywords.slice(0, 5).join(', ')}</span>
-        </a>
-    `).join('');
+    resultsContainer.innerHTML = html.join('');
+    // A new query starts again from the best match
+    setActiveResult(0);
 }
 
-// Highlight matching text
-function highlightMatch(text, query) {
-    const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
+// Chapter and section hits of one book, most relevant first
+function searchBook(book, syntax, sectionLimit) {
+    if (syntax.book && !book.id.startsWith(syntax.book)) return [];
+
+    const plan = parseQuery(syntax, book);
+    const highlight = text => highlightMatch(text, plan, book.accent);
+    // code: skips chapter titles and keywords and looks at code samples only
+    const chapterFields = syntax.code ? [] : ['title', 'keywords'];
+    const sectionFields = syntax.code ? ['code'] : ['heading', 'text', 'code'];
+
+    const chapterResults = [];
+    book.chapters.forEach(item => {
+        if (!inChapterRange(item.url, syntax.chapters)) return;
+        const score = scoreItem(item, plan, chapterFields);
+        if (score.total === 0) return;
+        chapterResults.push({
+            score: score.total,
+            page: { url: item.url, title: item.title, chapter: item.chapter },
+            href: book.base + item.url,
+            label: escapeHtml(item.chapter),
+            title: highlight(item.title),
+            detail: highlight(item.keywords.slice(0, 5).join(', '))
+        });
+    });
+
+    const sectionResults = [];
+    book.sections.forEach(section => {
+        if (!inChapterRange(section.url, syntax.chapters)) return;
+        const score = scoreItem(section, plan, sectionFields);
+        if (score.total === 0) return;
+        // Show the prose around the match, or the code when only the code matched
+        const isCode = !score.scores.text && score.scores.code > 0;
+        const source = isCode ? section.code : section.text;
+        const match = findMatch(isCode ? section.fields.code : section.fields.text, plan);
+        sectionResults.push({
+            score: score.total,
+            page: { url: section.url, title: section.title, chapter: section.chapter },
+            href: book.base + section.url + (section.anchor ? '#' + section.anchor : ''),
+            label: escapeHtml([section.chapter, section.title].filter(Boolean).join(' · ')),
+            title: highlight(sectionLabel(section) || section.title),
+            detail: highlight(makeSnippet(source, match.index, match.length)),
+            isCode: isCode
+        });
+    });
+
+    const byScore = (a, b) => b.score - a.score;
+    return chapterResults
+        .concat(sectionResults.sort(byScore).slice(0, sectionLimit))
+        .sort(byScore);
+}
+
+// Wrap the words of the text that match the query
+function highlightMatch(text, query, accent) {
+    const mark = searchMarkup[searchConfig.markup].mark(accent);
+    const wrap = part => part ? mark.replace('$1', () => escapeHtml(part)) : '';
+    const folded = foldText(text);
+    let html = '';
+    let last = 0;
+
+    for (const word of folded.matchAll(CODE_WORD_PATTERN)) {
+        const original = text.substr(word.index, word[0].length);
+        const inner = word[0].indexOf(query.text);
+        html += escapeHtml(text.slice(last, word.index));
+        if (query.phraseStems.has(stemWord(word[0].replace(SIGIL, ''))) || query.terms.some(term => termMatch(term, word[0]))) {
+            html += wrap(original);
+        } else if (inner !== -1 && query.text.length > 0) {
+            // A single-word query found inside a longer identifier, e.g. "view" in UIViewController
+            const end = inner + query.text.length;
+            html += escapeHtml(original.slice(0, inner)) + wrap(original.slice(inner, end)) + escapeHtml(original.slice(end));
+        } else {
+            html += escapeHtml(original);
+        }
+        last = word.index + word[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+// Escape text taken from chapter pages before inserting it as HTML
+function escapeHtml(string) {
+    return string
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Result links in the order they are shown
+function searchOptions() {
+    return Array.from(document.querySelectorAll('#searchResults .search-result-item'));
+}
+
+// Highlight a result and point the input's aria-activedescendant at it; -1 clears the selection
+function setActiveResult(index) {
+    const input = document.getElementById('searchInput');
+    const options = searchOptions();
+    options.forEach(option => option.setAttribute('aria-selected', 'false'));
+
+    if (index < 0 || index >= options.length) {
+        activeResult = -1;
+        input.removeAttribute('aria-activedescendant');
+        return;
+    }
+
+    activeResult = index;
+    const option = options[activeResult];
+    option.setAttribute('aria-selected', 'true');
+    input.setAttribute('aria-activedescendant', option.id);
+    option.scrollIntoView({ block: 'nearest' });
 }
 
-// Escape regex special characters
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Follow the active result, in a new tab when asked to; a recent query is searched again
+function openActiveResult(newTab) {
+    const option = searchOptions()[activeResult];
+    const entry = shownResults[activeResult];
+    if (!option) return;
+    if (entry.query !== undefined) {
+        repeatQuery(entry.query);
+        return;
+    }
+    rememberVisit(entry);
+    if (newTab) {
+        window.open(option.href, '_blank');
+    } else {
+        closeSearch();
+        window.location.href = option.href;
+    }
 }
 
 // Keyboard shortcuts
-document.addEventListener('keydown', function(e) {
+function handleSearchKeydown(e) {
     // Cmd/Ctrl + K to open search
     if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
         e.preventDefault();
         openSearch();
     }
-    // Escape to close search
-    if (e.key === 'Escape') {
-        closeSearch();
+    // Escape to close search; the event is marked as used, so that it closes nothing else
+    if (e.key === 'Escape' && !e.defaultPrevented && isSearchOpen()) {
+        closeSearch(e);
     }
-    // Navigate results with arrow keys
-    const overlay = document.getElementById('searchOverlay');
-    if (overlay && overlay.classList.contains('active')) {
-        const results = document.querySelectorAll('.search-result-item');
-        const focused = document.querySelector('.search-result-item:focus');
+    // Move the active result while the input keeps focus
+    if (isSearchOpen() && searchOptions().length > 0) {
+        const count = searchOptions().length;
+        const last = count - 1;
+        // Arrows wrap around the ends, page keys stop at them
+        const moves = {
+            ArrowDown: (activeResult + 1) % count,
+            ArrowUp: activeResult <= 0 ? last : activeResult - 1,
+            Home: 0,
+            End: last,
+            PageDown: Math.min(activeResult + RESULTS_PAGE_SIZE, last),
+            PageUp: Math.max(activeResult - RESULTS_PAGE_SIZE, 0)
+        };
 
-        if (e.key === 'ArrowDown') {
+        if (e.key in moves) {
             e.preventDefault();
-            if (!focused && results.length > 0) {
-                results[0].focus();
-            } else if (focused) {
-                const index = Array.from(results).indexOf(focused);
-                if (index < results.length - 1) {
-                    results[index + 1].focus();
-                }
-            }
+            setActiveResult(moves[e.key]);
         }
-        if (e.key === 'ArrowUp') {
+        if (e.key === 'Enter') {
             e.preventDefault();
-            if (focused) {
-                const index = Array.from(results).indexOf(focused);
-                if (index > 0) {
-                    results[index - 1].focus();
-                } else {
-                    document.getElementById('searchInput').focus();
-                }
-            }
+            openActiveResult(e.metaKey || e.ctrlKey);
         }
     }
-});
-
-// Create search overlay HTML if not exists
-function initSearch() {
-    if (!document.getElementById('searchOverlay')) {
-        const searchHTML = `
-            <div class="search-overlay" id="searchOverlay" onclick="closeSearch(event)">
-                <div class="search-modal" onclick="event.stopPropagation()">
-                    <div class="search-header">
-                        <svg class="search-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="11" cy="11" r="8"></circle>
-                            <path d="M21 21l-4.35-4.35"></path>
-                        </svg>
-                        <input type="text" class="search-input" id="searchInput" placeholder="Поиск по книге..." autocomplete="off" oninput="performSearch(this.value)">
-                        <button class="search-close" onclick="closeSearch(event)">
-                            <kbd>Esc</kbd>
-                        </button>
-                    </div>
-                    <div class="search-results" id="searchResults">
-                        <div class="search-empty">
-                            <p>Введите запрос для поиска</p>
-                            <p class="search-hint">Поиск по названиям глав и ключевым словам</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-        document.body.insertAdjacentHTML('beforeend', searchHTML);
-    }
-}
-
-// Initialize search when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initSearch);
-} else {
-    initSearch();
 }
@@ -0,0 +1,60 @@
+// Generated by scripts/build-offline.js from the files of the book.
+// Do not edit by hand: run `node scripts/build-offline.js` after changing a page.
+const CACHE_NAME = 'viper-20674813bf';
+const PRECACHE = [
+    "index.html",
+    "manifest.webmanifest",
+    "icon.svg",
+    "chapters/00-introduction.html",
+    "chapters/01-xcode.html",
+    "chapters/02-swift-basics.html",
+    "chapters/03-control-flow.html",
+    "chapters/04-functions.html",
+    "chapters/05-oop.html",
+    "chapters/06-protocols.html",
+    "chapters/07-optionals.html",
+    "chapters/08-memory.html",
+    "chapters/09-generics.html",
+    "chapters/10-concurrency.html",
+    "chapters/11-uikit-basics.html",
+    "chapters/12-programmatic-ui.html",
+    "chapters/13-viper.html",
+    "chapters/14-project-setup.html",
+    "chapters/15-authentication.html",
+    "chapters/16-products.html",
+    "chapters/17-cart.html",
+    "chapters/18-favorites.html",
+    "chapters/19-orders.html",
+    "chapters/20-profile.html",
+    "chapters/21-reusable-views.html",
+    "chapters/22-exercises.html",
+    "chapters/review.html",
+    "chapters/summary.html",
+    "css/style.css",
+    "js/quiz-index.js",
+    "js/search-data.js",
+    "js/search-index.js",
+    "js/chapter.js",
+    "js/code-blocks.js",
+    "js/offline-worker.js",
+    "js/offline.js",
+    "js/progress.js",
+    "js/quiz.js",
+    "js/results.js",
+    "js/review.js",
+    "js/search.js",
+    "vendor/tailwindcss/3.4.10/tailwindcss.js",
+    "vendor/highlight.js/11.9.0/highlight.min.js",
+    "vendor/highlight.js/11.9.0/languages/swift.min.js",
+    "vendor/highlight.js/11.9.0/styles/github-dark.min.css",
+    "vendor/highlight.js/11.9.0/styles/vs2015.min.css"
+];
+const VENDOR = {
+    "https://cdn.tailwindcss.com/": "vendor/tailwindcss/3.4.10/tailwindcss.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js": "vendor/highlight.js/11.9.0/highlight.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/swift.min.js": "vendor/highlight.js/11.9.0/languages/swift.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css": "vendor/highlight.js/11.9.0/styles/github-dark.min.css",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/vs2015.min.css": "vendor/highlight.js/11.9.0/styles/vs2015.min.css"
+};
+
+importScripts('js/offline-worker.js');
@@ -0,0 +1,230 @@
+// Generated by scripts/build-quizzes.js from the quizzes in quizzes/*.json.
+// Do not edit by hand: run `node scripts/build-quizzes.js` after changing a quiz.
+registerQuizIndex('android', {
+    "chapters/00-introduction.html": {
+        "title": "Введение",
+        "sets": {
+            "android/00-introduction": [
+                "ui",
+                "ide",
+                "stack"
+            ]
+        }
+    },
+    "chapters/00a-kotlin-for-developers.html": {
+        "title": "Kotlin для JS/PHP разработчиков",
+        "sets": {
+            "android/00a-kotlin-for-developers": [
+                "val-var",
+                "elvis",
+                "data-class"
+            ]
+        }
+    },
+    "chapters/01-compose-basics.html": {
+        "title": "Глава 1: Основы Compose",
+        "sets": {
+            "android/01-compose-basics": [
+                "composable",
+                "remember",
+                "lazycolumn"
+            ]
+        }
+    },
+    "chapters/02-mvvm.html": {
+        "title": "Глава 2: MVVM + Clean Architecture",
+        "sets": {
+            "android/02-mvvm": [
+                "layers",
+                "stateflow",
+                "viewmodel-survives"
+            ]
+        }
+    },
+    "chapters/03-project-setup.html": {
+        "title": "Глава 3: Настройка проекта",
+        "sets": {
+            "android/03-project-setup": [
+                "gradle",
+                "hilt-app",
+                "resource"
+            ]
+        }
+    },
+    "chapters/04-api-layer.html": {
+        "title": "Глава 4: Retrofit + API",
+        "sets": {
+            "android/04-api-layer": [
+                "retrofit",
+                "dto",
+                "suspend"
+            ]
+        }
+    },
+    "chapters/05-product-list.html": {
+        "title": "Глава 5: Список товаров",
+        "sets": {
+            "android/05-product-list": [
+                "viewmodelscope",
+                "coil",
+                "hiltviewmodel"
+            ]
+        }
+    },
+    "chapters/06-product-detail.html": {
+        "title": "Глава 6: Детали товара",
+        "sets": {
+            "android/06-product-detail": [
+                "nav-arg",
+                "pager",
+                "state-when"
+            ]
+        }
+    },
+    "chapters/07-search.html": {
+        "title": "Глава 7: Поиск",
+        "sets": {
+            "android/07-search": [
+                "flow",
+                "flatmaplatest",
+                "datastore"
+            ]
+        }
+    },
+    "chapters/08-favorites.html": {
+        "title": "Глава 8: Избранное",
+        "sets": {
+            "android/08-favorites": [
+                "room",
+                "flow-dao",
+                "dao"
+            ]
+        }
+    },
+    "chapters/09-cart.html": {
+        "title": "Глава 9: Корзина",
+        "sets": {
+            "android/09-cart": [
+                "upsert",
+                "total",
+                "quantity"
+            ]
+        }
+    },
+    "chapters/10-navigation.html": {
+        "title": "Глава 10: Навигация",
+        "sets": {
+            "android/10-navigation": [
+                "navhost",
+                "navigate",
+                "bottom-nav"
+            ]
+        }
+    },
+    "chapters/11-di-hilt.html": {
+        "title": "Глава 11: Hilt DI",
+        "sets": {
+            "android/11-di-hilt": [
+                "inject",
+                "provides",
+                "singleton"
+            ]
+        }
+    },
+    "chapters/12-testing.html": {
+        "title": "Глава 12: Тестирование",
+        "sets": {
+            "android/12-testing": [
+                "pyramid",
+                "fake",
+                "runtest"
+            ]
+        }
+    },
+    "chapters/13-final.html": {
+        "title": "Глава 13: Финал",
+        "sets": {
+            "android/13-final": [
+                "aab",
+                "r8",
+                "keystore"
+            ]
+        }
+    },
+    "chapters/14-authentication.html": {
+        "title": "Глава 14: Аутентификация",
+        "sets": {
+            "android/14-authentication": [
+                "state",
+                "popup",
+                "validation"
+            ]
+        }
+    },
+    "chapters/15-profile.html": {
+        "title": "Глава 15: Профиль пользователя",
+        "sets": {
+            "android/15-profile": [
+                "edit",
+                "domain",
+                "orders"
+            ]
+        }
+    },
+    "chapters/16-dark-theme.html": {
+        "title": "Глава 16: Тёмная тема",
+        "sets": {
+            "android/16-dark-theme": [
+                "scheme",
+                "system",
+                "persist"
+            ]
+        }
+    },
+    "chapters/17-animations.html": {
+        "title": "Глава 17: Анимации",
+        "sets": {
+            "android/17-animations": [
+                "visibility",
+                "animate-state",
+                "animate-item"
+            ]
+        }
+    },
+    "chapters/18-offline.html": {
+        "title": "Глава 18: Офлайн режим",
+        "sets": {
+            "android/18-offline": [
+                "single-source",
+                "workmanager",
+                "monitor"
+            ]
+        }
+    },
+    "chapters/19-pagination.html": {
+        "title": "Глава 19: Пагинация",
+        "sets": {
+            "android/19-pagination": [
+                "pagingsource",
+                "cached",
+                "remote-mediator"
+            ]
+        }
+    },
+    "chapters/exercises.html": {
+        "title": "Практические задания",
+        "sets": {
+            "android/exercises": [
+                "val-var",
+                "elvis",
+                "composable",
+                "remember",
+                "viewmodel",
+                "suspend",
+                "state-holders",
+                "viewmodel-state",
+                "hilt-viewmodel"
+            ]
+        }
+    }
+});
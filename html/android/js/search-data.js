@@ -0,0 +1,406 @@
+// Generated by scripts/build-nav.js from book.json.
+// Do not edit by hand: run `node scripts/build-nav.js` after changing the chapters of the book.
+registerSearchBook({
+    "id": "android",
+    "title": "Compose + MVVM",
+    "accent": "green",
+    "chapters": [
+        {
+            "title": "Введение",
+            "url": "chapters/00-introduction.html",
+            "chapter": "Введение",
+            "keywords": [
+                "введение",
+                "о",
+                "книге",
+                "начало",
+                "старт",
+                "требования",
+                "android",
+                "kotlin"
+            ]
+        },
+        {
+            "title": "Kotlin для JS/PHP разработчиков",
+            "url": "chapters/00a-kotlin-for-developers.html",
+            "chapter": "Введение",
+            "keywords": [
+                "javascript",
+                "php",
+                "typescript",
+                "react",
+                "vue",
+                "nullable",
+                "data",
+                "class",
+                "coroutines",
+                "flow",
+                "suspend",
+                "async"
+            ]
+        },
+        {
+            "title": "Основы Compose",
+            "url": "chapters/01-compose-basics.html",
+            "chapter": "Глава 1",
+            "keywords": [
+                "jetpack",
+                "compose",
+                "composable",
+                "state",
+                "remember",
+                "modifier",
+                "column",
+                "row",
+                "box"
+            ]
+        },
+        {
+            "title": "MVVM + Clean Architecture",
+            "url": "chapters/02-mvvm.html",
+            "chapter": "Глава 2",
+            "keywords": [
+                "mvvm",
+                "model",
+                "view",
+                "viewmodel",
+                "usecase",
+                "repository",
+                "clean",
+                "architecture"
+            ]
+        },
+        {
+            "title": "Настройка проекта",
+            "url": "chapters/03-project-setup.html",
+            "chapter": "Глава 3",
+            "keywords": [
+                "android",
+                "studio",
+                "gradle",
+                "проект",
+                "структура",
+                "модули"
+            ]
+        },
+        {
+            "title": "Retrofit + API",
+            "url": "chapters/04-api-layer.html",
+            "chapter": "Глава 4",
+            "keywords": [
+                "retrofit",
+                "okhttp",
+                "moshi",
+                "network",
+                "api",
+                "dummyjson"
+            ]
+        },
+        {
+            "title": "Парсинг JSON",
+            "url": "chapters/json-parsing.html",
+            "chapter": "Приложение",
+            "keywords": [
+                "json",
+                "parsing",
+                "moshi",
+                "gson",
+                "retrofit",
+                "модели",
+                "массив",
+                "объект",
+                "nested",
+                "вложенный",
+                "annotation",
+                "nullable",
+                "упражнения"
+            ]
+        },
+        {
+            "title": "Список товаров",
+            "url": "chapters/05-product-list.html",
+            "chapter": "Глава 5",
+            "keywords": [
+                "lazycolumn",
+                "lazygrid",
+                "coil",
+                "список",
+                "товары",
+                "product",
+                "grid"
+            ]
+        },
+        {
+            "title": "Детали товара",
+            "url": "chapters/06-product-detail.html",
+            "chapter": "Глава 6",
+            "keywords": [
+                "detail",
+                "screen",
+                "pager",
+                "изображения",
+                "галерея"
+            ]
+        },
+        {
+            "title": "Поиск",
+            "url": "chapters/07-search.html",
+            "chapter": "Глава 7",
+            "keywords": [
+                "search",
+                "searchbar",
+                "поиск",
+                "фильтрация",
+                "flow",
+                "debounce"
+            ]
+        },
+        {
+            "title": "Избранное",
+            "url": "chapters/08-favorites.html",
+            "chapter": "Глава 8",
+            "keywords": [
+                "favorites",
+                "избранное",
+                "room",
+                "database",
+                "datastore"
+            ]
+        },
+        {
+            "title": "Корзина",
+            "url": "chapters/09-cart.html",
+            "chapter": "Глава 9",
+            "keywords": [
+                "cart",
+                "корзина",
+                "badge",
+                "количество",
+                "checkout",
+                "оформление"
+            ]
+        },
+        {
+            "title": "Навигация",
+            "url": "chapters/10-navigation.html",
+            "chapter": "Глава 10",
+            "keywords": [
+                "navigation",
+                "navhost",
+                "navcontroller",
+                "routes",
+                "deep",
+                "linking"
+            ]
+        },
+        {
+            "title": "Hilt DI",
+            "url": "chapters/11-di-hilt.html",
+            "chapter": "Глава 11",
+            "keywords": [
+                "hilt",
+                "dagger",
+                "dependency",
+                "injection",
+                "modules",
+                "provides",
+                "binds"
+            ]
+        },
+        {
+            "title": "Тестирование",
+            "url": "chapters/12-testing.html",
+            "chapter": "Глава 12",
+            "keywords": [
+                "testing",
+                "junit",
+                "mockito",
+                "ui",
+                "tests",
+                "espresso"
+            ]
+        },
+        {
+            "title": "Финал",
+            "url": "chapters/13-final.html",
+            "chapter": "Глава 13",
+            "keywords": [
+                "финал",
+                "proguard",
+                "play",
+                "store",
+                "публикация",
+                "release"
+            ]
+        },
+        {
+            "title": "Аутентификация",
+            "url": "chapters/14-authentication.html",
+            "chapter": "Глава 14",
+            "keywords": [
+                "аутентификация",
+                "authentication",
+                "firebase",
+                "auth",
+                "login",
+                "register",
+                "токен",
+                "сессия"
+            ]
+        },
+        {
+            "title": "Профиль пользователя",
+            "url": "chapters/15-profile.html",
+            "chapter": "Глава 15",
+            "keywords": [
+                "профиль",
+                "profile",
+                "пользователь",
+                "настройки",
+                "logout",
+                "аватар"
+            ]
+        },
+        {
+            "title": "Тёмная тема",
+            "url": "chapters/16-dark-theme.html",
+            "chapter": "Глава 16",
+            "keywords": [
+                "тёмная",
+                "тема",
+                "dark",
+                "theme",
+                "materialtheme",
+                "colorscheme",
+                "dynamic",
+                "color"
+            ]
+        },
+        {
+            "title": "Анимации",
+            "url": "chapters/17-animations.html",
+            "chapter": "Глава 17",
+            "keywords": [
+                "анимации",
+                "animation",
+                "animate*asstate",
+                "animatedvisibility",
+                "transition",
+                "crossfade"
+            ]
+        },
+        {
+            "title": "Офлайн режим",
+            "url": "chapters/18-offline.html",
+            "chapter": "Глава 18",
+            "keywords": [
+                "офлайн",
+                "offline",
+                "room",
+                "кэш",
+                "cache",
+                "single",
+                "source",
+                "of",
+                "truth",
+                "синхронизация"
+            ]
+        },
+        {
+            "title": "Пагинация",
+            "url": "chapters/19-pagination.html",
+            "chapter": "Глава 19",
+            "keywords": [
+                "пагинация",
+                "pagination",
+                "paging",
+                "3",
+                "pagingsource",
+                "lazypagingitems",
+                "подгрузка"
+            ]
+        },
+        {
+            "title": "Шпаргалка Kotlin vs JS",
+            "url": "chapters/cheatsheet.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "шпаргалка",
+                "cheatsheet",
+                "справка",
+                "kotlin",
+                "javascript",
+                "php",
+                "типы"
+            ]
+        },
+        {
+            "title": "Частые ошибки новичков",
+            "url": "chapters/common-mistakes.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "ошибки",
+                "mistakes",
+                "nullable",
+                "npe",
+                "coroutines",
+                "crash"
+            ]
+        },
+        {
+            "title": "Глоссарий терминов",
+            "url": "chapters/glossary.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "глоссарий",
+                "термины",
+                "словарь",
+                "compose",
+                "viewmodel",
+                "flow",
+                "coroutines"
+            ]
+        },
+        {
+            "title": "Практические задания",
+            "url": "chapters/exercises.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "задания",
+                "упражнения",
+                "тесты",
+                "quiz",
+                "практика",
+                "exercises"
+            ]
+        },
+        {
+            "title": "Повторение",
+            "url": "chapters/review.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "повторение",
+                "интервальные",
+                "повторения",
+                "ошибки",
+                "тесты",
+                "review",
+                "карточки"
+            ]
+        },
+        {
+            "title": "Итоги обучения",
+            "url": "chapters/summary.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "итоги",
+                "результаты",
+                "сертификат",
+                "экспорт",
+                "json",
+                "csv",
+                "печать"
+            ]
+        }
+    ]
+});
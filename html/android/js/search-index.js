@@ -0,0 +1,2538 @@
+// Generated by scripts/build-search-index.js from chapters/*.html.
+// Do not edit by hand: run `node scripts/build-search-index.js` after changing a chapter.
+registerSearchContent('android', [
+    {
+        "url": "chapters/00-introduction.html",
+        "chapter": "Введение",
+        "title": "Введение",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Введение",
+                "code": ""
+            },
+            {
+                "section": "О книге",
+                "subsection": "",
+                "anchor": "o-knige",
+                "text": "Это практическое руководство по созданию современного Android приложения E-Commerce с использованием Jetpack Compose и архитектуры MVVM + Clean Architecture.",
+                "code": ""
+            },
+            {
+                "section": "О книге",
+                "subsection": "Что вы создадите",
+                "anchor": "chto-vy-sozdadite",
+                "text": "Полноценное приложение интернет-магазина с каталогом товаров, поиском, избранным, корзиной и оформлением заказа.",
+                "code": ""
+            },
+            {
+                "section": "Для кого эта книга?",
+                "subsection": "",
+                "anchor": "dlya-kogo-eta-kniga",
+                "text": "✓ Web-разработчики — переходящие на мобильную разработку ✓ iOS разработчики — желающие изучить Android ✓ Начинающие Android разработчики — желающие освоить современный стек ✓ Java разработчики — переходящие на Kotlin + Compose",
+                "code": ""
+            },
+            {
+                "section": "Требования",
+                "subsection": "",
+                "anchor": "trebovaniya",
+                "text": "Оборудование • Windows / macOS / Linux • 8 GB RAM (16 GB рекомендуется) • 10 GB свободного места Софт • Android Studio Hedgehog+ • JDK 17+ • Android SDK 24+",
+                "code": ""
+            },
+            {
+                "section": "Технологический стек",
+                "subsection": "",
+                "anchor": "tehnologicheskiy-stek",
+                "text": "🟣 Kotlin 🎨 Compose 🏗️ MVVM 💉 Hilt 🌐 Retrofit 💾 Room 🔄 Coroutines 📡 Flow",
+                "code": ""
+            },
+            {
+                "section": "Исходный проект",
+                "subsection": "",
+                "anchor": "ishodnyy-proekt",
+                "text": "Книга основана на открытом проекте Ecommerce-Compose от Mustafa Unlu.",
+                "code": ""
+            },
+            {
+                "section": "Исходный проект",
+                "subsection": "Структура курса",
+                "anchor": "struktura-kursa",
+                "text": "Главы 0-2: Основы Kotlin и Jetpack Compose Главы 3-4: Настройка проекта и API Главы 5-10: Создание фич приложения Главы 11-13: DI, тестирование, публикация",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/00a-kotlin-for-developers.html",
+        "chapter": "Введение",
+        "title": "Kotlin для JS/PHP разработчиков",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Kotlin для JS/PHP разработчиков Быстрый переход с JavaScript/TypeScript/PHP на Kotlin",
+                "code": ""
+            },
+            {
+                "section": "1. Переменные",
+                "subsection": "",
+                "anchor": "1-peremennye",
+                "text": "JavaScript / TypeScript Kotlin Правило: Всегда используйте val по умолчанию. Используйте var только когда значение должно меняться.",
+                "code": "let name = \"John\"      // изменяемая\nconst age = 25         // константа\nlet score: number = 100 // с типом\nvar name = \"John\"      // изменяемая\nval age = 25           // константа (immutable)\nvar score: Int = 100  // с типом"
+            },
+            {
+                "section": "2. Nullable типы (важно!)",
+                "subsection": "",
+                "anchor": "2-nullable-tipy-vazhno",
+                "text": "JavaScript / TypeScript Kotlin Опасно: !! — force unwrap. Выбросит исключение если null. Избегайте!",
+                "code": "let name: string | null = null\nlet user: User | undefined\n\n// Optional chaining\nconst city = user?.address?.city\n\n// Nullish coalescing\nconst result = value ?? \"default\"\nvar name: String? = null  // ? = nullable\nvar user: User? = null\n\n// Safe call\nval city = user?.address?.city\n\n// Elvis operator\nval result = value ?: \"default\"\nval name = user!!.name  // NPE если user == null"
+            },
+            {
+                "section": "3. Функции",
+                "subsection": "",
+                "anchor": "3-funktsii",
+                "text": "JavaScript / TypeScript Kotlin",
+                "code": "// Обычная функция\nfunction greet(name: string): string {\n    return `Hello, ${name}!`\n}\n\n// Arrow function\nconst add = (a: number, b: number) => a + b\n\n// Default параметр\nfunction log(msg: string, level = \"info\") {}\n// Обычная функция\nfun greet(name: String): String {\n    return \"Hello, $name!\"\n}\n\n// Single expression\nfun add(a: Int, b: Int) = a + b\n\n// Default параметр\nfun log(msg: String, level: String = \"info\") {}"
+            },
+            {
+                "section": "4. Data Class (аналог interface/type)",
+                "subsection": "",
+                "anchor": "4-data-class-analog-interface-type",
+                "text": "TypeScript Kotlin Вывод Бонус: data class автоматически генерирует equals(), hashCode(), toString(), copy()",
+                "code": "interface User {\n    id: number\n    name: string\n    email: string\n}\n\nconst user: User = {\n    id: 1,\n    name: \"John\",\n    email: \"john@mail.com\"\n}\ndata class User(\n    val id: Int,\n    val name: String,\n    val email: String\n)\n\nval user = User(\n    id = 1,\n    name = \"John\",\n    email = \"john@mail.com\"\n)\nprintln(user)  // toString() из data class\nUser(id=1, name=John, email=john@mail.com)"
+            },
+            {
+                "section": "5. Коллекции",
+                "subsection": "",
+                "anchor": "5-kollektsii",
+                "text": "JavaScript Kotlin",
+                "code": "const nums = [1, 2, 3]\nconst doubled = nums.map(n => n * 2)\nconst evens = nums.filter(n => n % 2 === 0)\nconst sum = nums.reduce((a, b) => a + b, 0)\nconst first = nums.find(n => n > 1)\nval nums = listOf(1, 2, 3)\nval doubled = nums.map { it * 2 }\nval evens = nums.filter { it % 2 == 0 }\nval sum = nums.reduce { a, b -> a + b }\nval first = nums.find { it > 1 }"
+            },
+            {
+                "section": "6. Асинхронность: Coroutines",
+                "subsection": "",
+                "anchor": "6-asinhronnost-coroutines",
+                "text": "JavaScript async/await Kotlin Coroutines Ключевое: suspend функции можно вызывать только из других suspend функций или coroutine scope.",
+                "code": "async function fetchUser(): Promise<User> {\n    const response = await fetch(url)\n    return response.json()\n}\n\n// Вызов\nconst user = await fetchUser()\nsuspend fun fetchUser(): User {\n    val response = api.getUser()\n    return response\n}\n\n// Вызов\nviewModelScope.launch {\n    val user = fetchUser()\n}"
+            },
+            {
+                "section": "7. Лямбды и замыкания",
+                "subsection": "",
+                "anchor": "7-lyambdy-i-zamykaniya",
+                "text": "JavaScript Kotlin",
+                "code": "// Arrow function\nconst onClick = (item) => {\n    console.log(item)\n}\n\n// Callback\nbutton.addEventListener('click', () => {\n    console.log('clicked')\n})\n// Lambda\nval onClick: (Item) -> Unit = { item ->\n    println(item)\n}\n\n// Trailing lambda\nbutton.setOnClickListener {\n    println(\"clicked\")\n}"
+            },
+            {
+                "section": "8. When (switch на стероидах)",
+                "subsection": "",
+                "anchor": "8-when-switch-na-steroidah",
+                "text": "JavaScript Kotlin",
+                "code": "switch (status) {\n    case 'loading':\n        return 'Loading...'\n    case 'success':\n        return 'Done!'\n    case 'error':\n        return 'Failed'\n    default:\n        return 'Unknown'\n}\nwhen (status) {\n    \"loading\" -> \"Loading...\"\n    \"success\" -> \"Done!\"\n    \"error\" -> \"Failed\"\n    else -> \"Unknown\"\n}\n\n// С типами (sealed class)\nwhen (state) {\n    is Loading -> showLoader()\n    is Success -> showData(state.data)\n    is Error -> showError(state.message)\n}"
+            },
+            {
+                "section": "Шпаргалка: JS → Kotlin с примерами",
+                "subsection": "",
+                "anchor": "shpargalka-js-kotlin-s-primerami",
+                "text": "let → var — изменяемая переменная const → val — неизменяемая (рекомендуется по умолчанию) string | null → String? — может быть null ?? → ?: — значение по умолчанию если null Promise → suspend / Flow — асинхронные операции Promise — одно значение в будущем (запрос к API). suspend — функция которая может \"приостановиться\" (как await). Flow — поток значений (как Observable в RxJS). async/await → suspend — ожидание без блокировки interface/type → data class — модель данных (x) => x * 2 → { x -> x * 2 } — лямбда-функция switch → when — множественный выбор",
+                "code": "// JavaScript\nlet count = 0\ncount = 1  // OK\n// Kotlin\nvar count = 0\ncount = 1  // OK\n// JavaScript\nconst name = \"John\"\nname = \"Bob\"  // Ошибка!\n// Kotlin\nval name = \"John\"\nname = \"Bob\"  // Ошибка!\n// TypeScript\nlet name: string | null = null\nlet user: User | undefined\n// Kotlin — ? означает nullable\nvar name: String? = null\nvar user: User? = null\n// JavaScript — nullish coalescing\nconst result = value ?? \"default\"\n// Если value = null/undefined → \"default\"\n// Kotlin — Elvis operator\nval result = value ?: \"default\"\n// Если value = null → \"default\"\n// JavaScript — одно значение\nasync function getUser(): Promise<User> {\n  const res = await fetch(url)\n  return res.json()\n}\n\n// Вызов\nconst user = await getUser()\n// Kotlin — одно значение\nsuspend fun getUser(): User {\n  return api.getUser()\n}\n\n// Вызов из coroutine\nval user = getUser()\n// JavaScript — поток значений\nconst observable = new Observable(...)\nobservable.subscribe(value => {\n  console.log(value)\n})\n// Kotlin — Flow (поток значений)\nfun getProducts(): Flow<List<Product>>\n\n// Подписка\ngetProducts().collect { products ->\n  println(products)\n}\n// JavaScript\nasync function loadData() {\n  const a = await fetchA()\n  const b = await fetchB()\n  return { a, b }\n}\n// Kotlin\nsuspend fun loadData(): Data {\n  val a = fetchA()  // await неявный\n  val b = fetchB()\n  return Data(a, b)\n}\n// TypeScript\ninterface User {\n  id: number\n  name: string\n}\nconst user: User = { id: 1, name: \"John\" }\n// Kotlin\ndata class User(\n  val id: Int,\n  val name: String\n)\nval user = User(id = 1, name = \"John\")\n// JavaScript\nconst doubled = nums.map(n => n * 2)\nconst evens = nums.filter(n => n % 2 === 0)\nbutton.onClick(() => alert(\"Hi\"))\n// Kotlin — it = единственный параметр\nval doubled = nums.map { it * 2 }\nval evens = nums.filter { it % 2 == 0 }\nbutton.onClick { showAlert(\"Hi\") }\n// JavaScript\nswitch (status) {\n  case \"loading\": return \"...\"\n  case \"success\": return \"OK\"\n  default: return \"?\"\n}\n// Kotlin — без break, возвращает значение\nwhen (status) {\n  \"loading\" -> \"...\"\n  \"success\" -> \"OK\"\n  else -> \"?\"\n}"
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/01-compose-basics.html",
+        "chapter": "Глава 1",
+        "title": "Основы Compose",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Глава 1: Основы Jetpack Compose",
+                "code": ""
+            },
+            {
+                "section": "Что такое Jetpack Compose?",
+                "subsection": "",
+                "anchor": "chto-takoe-jetpack-compose",
+                "text": "Jetpack Compose — это современный декларативный UI-фреймворк для Android. Вместо XML-разметки вы описываете интерфейс с помощью Kotlin-функций.",
+                "code": ""
+            },
+            {
+                "section": "Что такое Jetpack Compose?",
+                "subsection": "Compose vs XML",
+                "anchor": "compose-vs-xml",
+                "text": "XML (старый подход) • Императивный подход • Разметка в XML файлах • findViewById / ViewBinding • Ручное обновление UI Compose (новый подход) • Декларативный подход • UI на Kotlin • Composable функции • Автоматическая рекомпозиция",
+                "code": ""
+            },
+            {
+                "section": "Composable функции",
+                "subsection": "",
+                "anchor": "composable-funktsii",
+                "text": "Composable — это функция с аннотацией @Composable, которая описывает часть UI. Правила: Composable функции можно вызывать только из других Composable функций. Имена Composable функций начинаются с заглавной буквы.",
+                "code": "@Composable\nfun Greeting(name: String) {\n    Text(text = \"Привет, $name!\")\n}\n\n// Использование\n@Composable\nfun MyScreen() {\n    Greeting(name = \"Android\")\n}"
+            },
+            {
+                "section": "Базовые компоненты",
+                "subsection": "Text",
+                "anchor": "text",
+                "text": "",
+                "code": "Text(\n    text = \"Заголовок\",\n    fontSize = 24.sp,\n    fontWeight = FontWeight.Bold,\n    color = Color.Black\n)"
+            },
+            {
+                "section": "Базовые компоненты",
+                "subsection": "Button",
+                "anchor": "button",
+                "text": "",
+                "code": "Button(\n    onClick = { /* действие */ },\n    colors = ButtonDefaults.buttonColors(\n        containerColor = Color.Green\n    )\n) {\n    Text(\"Нажми меня\")\n}"
+            },
+            {
+                "section": "Базовые компоненты",
+                "subsection": "Image",
+                "anchor": "image",
+                "text": "",
+                "code": "Image(\n    painter = painterResource(id = R.drawable.logo),\n    contentDescription = \"Логотип\",\n    modifier = Modifier.size(100.dp)\n)\n\n// Загрузка из сети с Coil\nAsyncImage(\n    model = \"https://example.com/image.jpg\",\n    contentDescription = null\n)"
+            },
+            {
+                "section": "Базовые компоненты",
+                "subsection": "TextField",
+                "anchor": "textfield",
+                "text": "",
+                "code": "var text by remember { mutableStateOf(\"\") }\n\nTextField(\n    value = text,\n    onValueChange = { text = it },\n    label = { Text(\"Введите текст\") },\n    placeholder = { Text(\"Подсказка\") }\n)"
+            },
+            {
+                "section": "Layouts: Column, Row, Box",
+                "subsection": "Column — вертикальный список",
+                "anchor": "column-vertikalnyy-spisok",
+                "text": "",
+                "code": "Column(\n    modifier = Modifier.padding(16.dp),\n    verticalArrangement = Arrangement.spacedBy(8.dp)\n) {\n    Text(\"Первый\")\n    Text(\"Второй\")\n    Text(\"Третий\")\n}"
+            },
+            {
+                "section": "Layouts: Column, Row, Box",
+                "subsection": "Row — горизонтальный список",
+                "anchor": "row-gorizontalnyy-spisok",
+                "text": "",
+                "code": "Row(\n    modifier = Modifier.fillMaxWidth(),\n    horizontalArrangement = Arrangement.SpaceBetween,\n    verticalAlignment = Alignment.CenterVertically\n) {\n    Text(\"Слева\")\n    Text(\"Справа\")\n}"
+            },
+            {
+                "section": "Layouts: Column, Row, Box",
+                "subsection": "Box — наложение элементов",
+                "anchor": "box-nalozhenie-elementov",
+                "text": "",
+                "code": "Box(\n    modifier = Modifier.size(200.dp),\n    contentAlignment = Alignment.Center\n) {\n    Image(painter = painterResource(R.drawable.bg), \"bg\")\n    Text(\"Поверх изображения\", color = Color.White)\n}"
+            },
+            {
+                "section": "Modifier — настройка компонентов",
+                "subsection": "",
+                "anchor": "modifier-nastroyka-komponentov",
+                "text": "Modifier позволяет изменять размер, отступы, фон, клики и многое другое.",
+                "code": "Text(\n    text = \"Стилизованный текст\",\n    modifier = Modifier\n        .fillMaxWidth()          // На всю ширину\n        .padding(16.dp)           // Отступы\n        .background(Color.Gray)  // Фон\n        .clickable { }           // Обработка клика\n)"
+            },
+            {
+                "section": "Modifier — настройка компонентов",
+                "subsection": "Популярные Modifiers",
+                "anchor": "populyarnye-modifiers",
+                "text": "fillMaxWidth() — на всю ширину fillMaxHeight() — на всю высоту fillMaxSize() — на весь размер size(100.dp) — фиксированный размер padding(16.dp) — отступы background(Color) — фон clip(RoundedCornerShape) — скругление border(1.dp, Color) — рамка",
+                "code": ""
+            },
+            {
+                "section": "State — управление состоянием",
+                "subsection": "",
+                "anchor": "state-upravlenie-sostoyaniem",
+                "text": "В Compose UI автоматически обновляется при изменении состояния. Для этого используется remember и mutableStateOf. Как это работает: При изменении count Compose автоматически перерисовывает только те части UI, которые зависят от этого значения. Это называется рекомпозицией.",
+                "code": "@Composable\nfun Counter() {\n    // remember сохраняет значение между рекомпозициями\n    var count by remember { mutableStateOf(0) }\n\n    Column(horizontalAlignment = Alignment.CenterHorizontally) {\n        Text(\n            text = \"Счётчик: $count\",\n            fontSize = 24.sp\n        )\n\n        Button(onClick = { count++ }) {\n            Text(\"Увеличить\")\n        }\n    }\n}"
+            },
+            {
+                "section": "State — управление состоянием",
+                "subsection": "rememberSaveable — сохранение при повороте",
+                "anchor": "remembersaveable-sohranenie-pri-povorote",
+                "text": "",
+                "code": "// remember теряется при повороте экрана\nvar count by remember { mutableStateOf(0) }\n\n// rememberSaveable сохраняется при повороте\nvar count by rememberSaveable { mutableStateOf(0) }"
+            },
+            {
+                "section": "LazyColumn и LazyRow — списки",
+                "subsection": "",
+                "anchor": "lazycolumn-i-lazyrow-spiski",
+                "text": "Для больших списков используйте LazyColumn (аналог RecyclerView) — он рендерит только видимые элементы.",
+                "code": "@Composable\nfun ProductList(products: List<Product>) {\n    LazyColumn(\n        contentPadding = PaddingValues(16.dp),\n        verticalArrangement = Arrangement.spacedBy(8.dp)\n    ) {\n        items(products) { product ->\n            ProductCard(product)\n        }\n    }\n}\n\n// С ключом для оптимизации\nitems(\n    items = products,\n    key = { it.id }\n) { product ->\n    ProductCard(product)\n}"
+            },
+            {
+                "section": "LazyColumn и LazyRow — списки",
+                "subsection": "LazyVerticalGrid — сетка",
+                "anchor": "lazyverticalgrid-setka",
+                "text": "",
+                "code": "LazyVerticalGrid(\n    columns = GridCells.Fixed(2),  // 2 колонки\n    contentPadding = PaddingValues(16.dp),\n    horizontalArrangement = Arrangement.spacedBy(8.dp),\n    verticalArrangement = Arrangement.spacedBy(8.dp)\n) {\n    items(products) { product ->\n        ProductCard(product)\n    }\n}"
+            },
+            {
+                "section": "Scaffold — структура экрана",
+                "subsection": "",
+                "anchor": "scaffold-struktura-ekrana",
+                "text": "Scaffold предоставляет стандартную структуру Material Design экрана.",
+                "code": "@Composable\nfun MainScreen() {\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"E-Commerce\") },\n                actions = {\n                    IconButton(onClick = { }) {\n                        Icon(Icons.Default.Search, \"Поиск\")\n                    }\n                }\n            )\n        },\n        bottomBar = {\n            NavigationBar {\n                NavigationBarItem(\n                    selected = true,\n                    onClick = { },\n                    icon = { Icon(Icons.Default.Home, null) },\n                    label = { Text(\"Главная\") }\n                )\n            }\n        },\n        floatingActionButton = {\n            FloatingActionButton(onClick = { }) {\n                Icon(Icons.Default.Add, \"Добавить\")\n            }\n        }\n    ) { paddingValues ->\n        // Основной контент\n        ProductList(\n            modifier = Modifier.padding(paddingValues)\n        )\n    }\n}"
+            },
+            {
+                "section": "Карточка товара",
+                "subsection": "",
+                "anchor": "kartochka-tovara",
+                "text": "",
+                "code": "@Composable\nfun ProductCard(product: Product, onClick: () -> Unit) {\n    Card(\n        modifier = Modifier\n            .fillMaxWidth()\n            .clickable { onClick() },\n        elevation = CardDefaults.cardElevation(defaultElevation = 4.dp),\n        shape = RoundedCornerShape(12.dp)\n    ) {\n        Column {\n            AsyncImage(\n                model = product.thumbnail,\n                contentDescription = product.title,\n                modifier = Modifier\n                    .fillMaxWidth()\n                    .height(150.dp),\n                contentScale = ContentScale.Crop\n            )\n\n            Column(modifier = Modifier.padding(12.dp)) {\n                Text(\n                    text = product.title,\n                    fontWeight = FontWeight.Bold,\n                    maxLines = 1,\n                    overflow = TextOverflow.Ellipsis\n                )\n\n                Spacer(modifier = Modifier.height(4.dp))\n\n                Text(\n                    text = \"$${product.price}\",\n                    color = MaterialTheme.colorScheme.primary,\n                    fontWeight = FontWeight.SemiBold\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Preview — предпросмотр",
+                "subsection": "",
+                "anchor": "preview-predprosmotr",
+                "text": "Используйте @Preview для просмотра UI прямо в Android Studio.",
+                "code": "@Preview(showBackground = true)\n@Composable\nfun ProductCardPreview() {\n    ProductCard(\n        product = Product(\n            id = 1,\n            title = \"iPhone 15\",\n            price = 999.0,\n            thumbnail = \"\"\n        ),\n        onClick = { }\n    )\n}\n\n// Несколько превью\n@Preview(name = \"Light\")\n@Preview(name = \"Dark\", uiMode = UI_MODE_NIGHT_YES)\n@Composable\nfun ThemePreview() { ... }"
+            },
+            {
+                "section": "Сравнение с React",
+                "subsection": "",
+                "anchor": "sravnenie-s-react",
+                "text": "React Compose useState remember { mutableStateOf() } useEffect LaunchedEffect <div> Box flex-direction: column Column flex-direction: row Row map() для списков LazyColumn { items() } props Параметры функции",
+                "code": ""
+            },
+            {
+                "section": "Сравнение с React",
+                "subsection": "Ключевые концепции",
+                "anchor": "klyuchevye-kontseptsii",
+                "text": "• @Composable — аннотация для UI-функций • Column/Row/Box — основные layouts • Modifier — настройка внешнего вида и поведения • remember + mutableStateOf — управление состоянием • LazyColumn/LazyRow — эффективные списки • Scaffold — структура экрана Material Design",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/02-mvvm.html",
+        "chapter": "Глава 2",
+        "title": "MVVM + Clean Architecture",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 2: MVVM + Clean Architecture",
+                "code": ""
+            },
+            {
+                "section": "Зачем нужна архитектура?",
+                "subsection": "",
+                "anchor": "zachem-nuzhna-arhitektura",
+                "text": "Хорошая архитектура позволяет: Разделить ответственность между компонентами Упростить тестирование Облегчить поддержку и расширение кода Работать в команде без конфликтов",
+                "code": ""
+            },
+            {
+                "section": "Паттерн MVVM",
+                "subsection": "",
+                "anchor": "pattern-mvvm",
+                "text": "MVVM (Model-View-ViewModel) разделяет приложение на три слоя: Model Данные и бизнес-логика. Data classes, Repository, UseCase. View UI слой. Composable функции, которые отображают данные. ViewModel Связь между Model и View. Хранит UI state, обрабатывает события.",
+                "code": "┌─────────────────────────────────────────────────────┐\n│                      VIEW                           │\n│              (Composable функции)                   │\n│         Отображает state, отправляет events         │\n└─────────────────────┬───────────────────────────────┘\n                      │ state ↑  │ events ↓\n┌─────────────────────┴───────────────────────────────┐\n│                   VIEWMODEL                         │\n│       Хранит UI State, обрабатывает логику          │\n│              StateFlow / LiveData                   │\n└─────────────────────┬───────────────────────────────┘\n                      │\n┌─────────────────────┴───────────────────────────────┐\n│                    USE CASE                         │\n│            Бизнес-логика приложения                 │\n└─────────────────────┬───────────────────────────────┘\n                      │\n┌─────────────────────┴───────────────────────────────┐\n│                   REPOSITORY                        │\n│         Источник данных (API, Database)             │\n└─────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Clean Architecture",
+                "subsection": "",
+                "anchor": "clean-architecture",
+                "text": "Clean Architecture добавляет чёткое разделение на слои с однонаправленными зависимостями. Presentation Layer UI компоненты и ViewModel. Зависит от Domain. Domain Layer UseCase и бизнес-модели. Не зависит ни от чего. Data Layer Repository, API, Database. Реализует интерфейсы из Domain.",
+                "code": ""
+            },
+            {
+                "section": "Структура проекта",
+                "subsection": "",
+                "anchor": "struktura-proekta",
+                "text": "",
+                "code": "app/\n├── di/                    # Hilt модули\n├── common/                # Общие утилиты\n│\n├── data/                  # Data Layer\n│   ├── api/              # Retrofit сервисы\n│   ├── dto/              # Data Transfer Objects\n│   ├── mapper/           # DTO → Domain маперы\n│   └── repository/       # Реализации репозиториев\n│\n├── domain/               # Domain Layer\n│   ├── model/           # Бизнес-модели\n│   ├── repository/      # Интерфейсы репозиториев\n│   └── usecase/         # Use Cases\n│\n└── presentation/         # Presentation Layer\n    ├── home/\n    │   ├── HomeScreen.kt\n    │   └── HomeViewModel.kt\n    ├── detail/\n    ├── cart/\n    └── components/       # Общие UI компоненты"
+            },
+            {
+                "section": "Model: Data Classes",
+                "subsection": "",
+                "anchor": "model-data-classes",
+                "text": "",
+                "code": "// Domain model — чистая бизнес-модель\ndata class Product(\n    val id: Int,\n    val title: String,\n    val description: String,\n    val price: Double,\n    val discountPercentage: Double,\n    val rating: Double,\n    val stock: Int,\n    val brand: String,\n    val category: String,\n    val thumbnail: String,\n    val images: List<String>\n)\n\n// DTO — модель для API (Data Layer)\n@JsonClass(generateAdapter = true)\ndata class ProductDto(\n    @Json(name = \"id\") val id: Int,\n    @Json(name = \"title\") val title: String,\n    // ...\n)"
+            },
+            {
+                "section": "Model: Data Classes",
+                "subsection": "Mapper: DTO → Domain",
+                "anchor": "mapper-dto-domain",
+                "text": "",
+                "code": "// Extension функция для маппинга\nfun ProductDto.toDomain(): Product {\n    return Product(\n        id = id,\n        title = title,\n        description = description,\n        price = price,\n        discountPercentage = discountPercentage,\n        rating = rating,\n        stock = stock,\n        brand = brand,\n        category = category,\n        thumbnail = thumbnail,\n        images = images\n    )\n}\n\n// Для списков\nfun List<ProductDto>.toDomain(): List<Product> = map { it.toDomain() }"
+            },
+            {
+                "section": "Repository",
+                "subsection": "",
+                "anchor": "repository",
+                "text": "",
+                "code": "// Domain Layer — интерфейс\ninterface ProductRepository {\n    suspend fun getProducts(): List<Product>\n    suspend fun getProductById(id: Int): Product\n    suspend fun searchProducts(query: String): List<Product>\n}\n\n// Data Layer — реализация\nclass ProductRepositoryImpl @Inject constructor(\n    private val api: ProductApi\n) : ProductRepository {\n\n    override suspend fun getProducts(): List<Product> {\n        return api.getProducts().products.toDomain()\n    }\n\n    override suspend fun getProductById(id: Int): Product {\n        return api.getProductById(id).toDomain()\n    }\n\n    override suspend fun searchProducts(query: String): List<Product> {\n        return api.searchProducts(query).products.toDomain()\n    }\n}"
+            },
+            {
+                "section": "UseCase",
+                "subsection": "",
+                "anchor": "usecase",
+                "text": "UseCase инкапсулирует одну бизнес-операцию. Это делает код переиспользуемым и тестируемым.",
+                "code": "class GetProductsUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    suspend operator fun invoke(): Result<List<Product>> {\n        return try {\n            Result.success(repository.getProducts())\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n}\n\n// UseCase с параметрами\nclass GetProductByIdUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    suspend operator fun invoke(id: Int): Result<Product> {\n        return try {\n            Result.success(repository.getProductById(id))\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n}"
+            },
+            {
+                "section": "ViewModel",
+                "subsection": "",
+                "anchor": "viewmodel",
+                "text": "ViewModel хранит UI state и обрабатывает пользовательские события.",
+                "code": "// UI State\ndata class HomeUiState(\n    val isLoading: Boolean = false,\n    val products: List<Product> = emptyList(),\n    val error: String? = null\n)\n\n// ViewModel\n@HiltViewModel\nclass HomeViewModel @Inject constructor(\n    private val getProductsUseCase: GetProductsUseCase\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow(HomeUiState())\n    val uiState: StateFlow<HomeUiState> = _uiState.asStateFlow()\n\n    init {\n        loadProducts()\n    }\n\n    fun loadProducts() {\n        viewModelScope.launch {\n            _uiState.update { it.copy(isLoading = true) }\n\n            getProductsUseCase()\n                .onSuccess { products ->\n                    _uiState.update {\n                        it.copy(isLoading = false, products = products)\n                    }\n                }\n                .onFailure { error ->\n                    _uiState.update {\n                        it.copy(isLoading = false, error = error.message)\n                    }\n                }\n        }\n    }\n\n    fun retry() {\n        _uiState.update { it.copy(error = null) }\n        loadProducts()\n    }\n}"
+            },
+            {
+                "section": "View (Composable)",
+                "subsection": "",
+                "anchor": "view-composable",
+                "text": "",
+                "code": "@Composable\nfun HomeScreen(\n    viewModel: HomeViewModel = hiltViewModel(),\n    onProductClick: (Int) -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    when {\n        uiState.isLoading -> {\n            LoadingIndicator()\n        }\n        uiState.error != null -> {\n            ErrorMessage(\n                message = uiState.error!!,\n                onRetry = { viewModel.retry() }\n            )\n        }\n        else -> {\n            ProductList(\n                products = uiState.products,\n                onProductClick = onProductClick\n            )\n        }\n    }\n}\n\n@Composable\nprivate fun ProductList(\n    products: List<Product>,\n    onProductClick: (Int) -> Unit\n) {\n    LazyVerticalGrid(\n        columns = GridCells.Fixed(2),\n        contentPadding = PaddingValues(16.dp),\n        horizontalArrangement = Arrangement.spacedBy(8.dp),\n        verticalArrangement = Arrangement.spacedBy(8.dp)\n    ) {\n        items(products, key = { it.id }) { product ->\n            ProductCard(\n                product = product,\n                onClick = { onProductClick(product.id) }\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "StateFlow vs LiveData",
+                "subsection": "",
+                "anchor": "stateflow-vs-livedata",
+                "text": "Характеристика StateFlow LiveData Требует начальное значение Да Нет Null-safety Безопасен Может быть null Lifecycle aware С расширением Да Для Compose Рекомендуется Работает",
+                "code": ""
+            },
+            {
+                "section": "Однонаправленный поток данных (UDF)",
+                "subsection": "",
+                "anchor": "odnonapravlennyy-potok-dannyh-udf",
+                "text": "",
+                "code": "┌──────────────────────────────────┐\n     │            UI (View)             │\n     │     Отображает UI State          │\n     └────────────┬───────────────┬─────┘\n                  │               │\n         UI State │               │ Events\n                  ↑               ↓\n     ┌────────────┴───────────────┴─────┐\n     │          ViewModel               │\n     │   Обрабатывает события,          │\n     │   обновляет state                │\n     └──────────────────────────────────┘"
+            },
+            {
+                "section": "Однонаправленный поток данных (UDF)",
+                "subsection": "Преимущества UDF",
+                "anchor": "preimuschestva-udf",
+                "text": "• Предсказуемость — state изменяется только в одном месте • Отладка — легко отследить изменения • Тестирование — можно тестировать ViewModel изолированно • Time Travel — можно воспроизвести последовательность событий",
+                "code": ""
+            },
+            {
+                "section": "Sealed Class для UI State",
+                "subsection": "",
+                "anchor": "sealed-class-dlya-ui-state",
+                "text": "",
+                "code": "sealed class ProductDetailState {\n    object Loading : ProductDetailState()\n    data class Success(val product: Product) : ProductDetailState()\n    data class Error(val message: String) : ProductDetailState()\n}\n\n// В ViewModel\nprivate val _state = MutableStateFlow<ProductDetailState>(ProductDetailState.Loading)\nval state: StateFlow<ProductDetailState> = _state.asStateFlow()\n\n// В Composable\nwhen (val state = uiState) {\n    is ProductDetailState.Loading -> LoadingIndicator()\n    is ProductDetailState.Success -> ProductContent(state.product)\n    is ProductDetailState.Error -> ErrorMessage(state.message)\n}"
+            },
+            {
+                "section": "Sealed Class для UI State",
+                "subsection": "Ключевые концепции",
+                "anchor": "klyuchevye-kontseptsii",
+                "text": "• MVVM — разделение на Model, View, ViewModel • Clean Architecture — слои Presentation, Domain, Data • Repository — абстракция над источниками данных • UseCase — инкапсуляция бизнес-логики • StateFlow — реактивное хранение UI state • UDF — однонаправленный поток данных",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/03-project-setup.html",
+        "chapter": "Глава 3",
+        "title": "Настройка проекта",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 3: Настройка проекта",
+                "code": ""
+            },
+            {
+                "section": "Создание проекта",
+                "subsection": "",
+                "anchor": "sozdanie-proekta",
+                "text": "Откройте Android Studio File → New → New Project Выберите \"Empty Activity\" (Compose) Укажите имя: EcommerceApp Package: com.example.ecommerce Minimum SDK: API 24 (Android 7.0)",
+                "code": ""
+            },
+            {
+                "section": "build.gradle.kts (Project)",
+                "subsection": "",
+                "anchor": "build-gradle-kts-project",
+                "text": "",
+                "code": "// Top-level build file\nplugins {\n    id(\"com.android.application\") version \"8.2.0\" apply false\n    id(\"org.jetbrains.kotlin.android\") version \"1.9.20\" apply false\n    id(\"com.google.dagger.hilt.android\") version \"2.48\" apply false\n    id(\"com.google.devtools.ksp\") version \"1.9.20-1.0.14\" apply false\n}"
+            },
+            {
+                "section": "build.gradle.kts (App)",
+                "subsection": "",
+                "anchor": "build-gradle-kts-app",
+                "text": "",
+                "code": "plugins {\n    id(\"com.android.application\")\n    id(\"org.jetbrains.kotlin.android\")\n    id(\"com.google.dagger.hilt.android\")\n    id(\"com.google.devtools.ksp\")\n}\n\nandroid {\n    namespace = \"com.example.ecommerce\"\n    compileSdk = 34\n\n    defaultConfig {\n        applicationId = \"com.example.ecommerce\"\n        minSdk = 24\n        targetSdk = 34\n        versionCode = 1\n        versionName = \"1.0\"\n    }\n\n    buildTypes {\n        release {\n            isMinifyEnabled = true\n            proguardFiles(\n                getDefaultProguardFile(\"proguard-android-optimize.txt\"),\n                \"proguard-rules.pro\"\n            )\n        }\n    }\n\n    compileOptions {\n        sourceCompatibility = JavaVersion.VERSION_17\n        targetCompatibility = JavaVersion.VERSION_17\n    }\n\n    kotlinOptions {\n        jvmTarget = \"17\"\n    }\n\n    buildFeatures {\n        compose = true\n    }\n\n    composeOptions {\n        kotlinCompilerExtensionVersion = \"1.5.5\"\n    }\n}"
+            },
+            {
+                "section": "Зависимости",
+                "subsection": "",
+                "anchor": "zavisimosti",
+                "text": "",
+                "code": "dependencies {\n    // Compose BOM\n    val composeBom = platform(\"androidx.compose:compose-bom:2024.01.00\")\n    implementation(composeBom)\n\n    // Core\n    implementation(\"androidx.core:core-ktx:1.12.0\")\n    implementation(\"androidx.lifecycle:lifecycle-runtime-ktx:2.7.0\")\n    implementation(\"androidx.activity:activity-compose:1.8.2\")\n\n    // Compose\n    implementation(\"androidx.compose.ui:ui\")\n    implementation(\"androidx.compose.ui:ui-graphics\")\n    implementation(\"androidx.compose.ui:ui-tooling-preview\")\n    implementation(\"androidx.compose.material3:material3\")\n\n    // Navigation\n    implementation(\"androidx.navigation:navigation-compose:2.7.6\")\n\n    // Hilt\n    implementation(\"com.google.dagger:hilt-android:2.48\")\n    ksp(\"com.google.dagger:hilt-compiler:2.48\")\n    implementation(\"androidx.hilt:hilt-navigation-compose:1.1.0\")\n\n    // Retrofit + Moshi\n    implementation(\"com.squareup.retrofit2:retrofit:2.9.0\")\n    implementation(\"com.squareup.retrofit2:converter-moshi:2.9.0\")\n    implementation(\"com.squareup.moshi:moshi-kotlin:1.15.0\")\n    ksp(\"com.squareup.moshi:moshi-kotlin-codegen:1.15.0\")\n\n    // OkHttp\n    implementation(\"com.squareup.okhttp3:okhttp:4.12.0\")\n    implementation(\"com.squareup.okhttp3:logging-interceptor:4.12.0\")\n\n    // Coil (Image Loading)\n    implementation(\"io.coil-kt:coil-compose:2.5.0\")\n\n    // Room\n    implementation(\"androidx.room:room-runtime:2.6.1\")\n    implementation(\"androidx.room:room-ktx:2.6.1\")\n    ksp(\"androidx.room:room-compiler:2.6.1\")\n\n    // DataStore\n    implementation(\"androidx.datastore:datastore-preferences:1.0.0\")\n\n    // Lifecycle\n    implementation(\"androidx.lifecycle:lifecycle-viewmodel-compose:2.7.0\")\n    implementation(\"androidx.lifecycle:lifecycle-runtime-compose:2.7.0\")\n\n    // Testing\n    testImplementation(\"junit:junit:4.13.2\")\n    testImplementation(\"org.mockito:mockito-core:5.8.0\")\n    testImplementation(\"org.jetbrains.kotlinx:kotlinx-coroutines-test:1.7.3\")\n    androidTestImplementation(\"androidx.test.ext:junit:1.1.5\")\n    androidTestImplementation(\"androidx.compose.ui:ui-test-junit4\")\n    debugImplementation(\"androidx.compose.ui:ui-tooling\")\n}"
+            },
+            {
+                "section": "Структура папок",
+                "subsection": "",
+                "anchor": "struktura-papok",
+                "text": "",
+                "code": "app/src/main/java/com/example/ecommerce/\n├── EcommerceApp.kt          # Application class\n├── MainActivity.kt\n│\n├── common/\n│   ├── Resource.kt          # Wrapper для состояний\n│   └── Constants.kt\n│\n├── di/\n│   ├── AppModule.kt         # Hilt модули\n│   └── NetworkModule.kt\n│\n├── data/\n│   ├── api/\n│   │   └── ProductApi.kt\n│   ├── dto/\n│   │   ├── ProductDto.kt\n│   │   └── ProductsResponse.kt\n│   ├── mapper/\n│   │   └── ProductMapper.kt\n│   └── repository/\n│       └── ProductRepositoryImpl.kt\n│\n├── domain/\n│   ├── model/\n│   │   └── Product.kt\n│   ├── repository/\n│   │   └── ProductRepository.kt\n│   └── usecase/\n│       ├── GetProductsUseCase.kt\n│       └── GetProductByIdUseCase.kt\n│\n└── presentation/\n    ├── navigation/\n    │   └── NavGraph.kt\n    ├── home/\n    │   ├── HomeScreen.kt\n    │   └── HomeViewModel.kt\n    ├── detail/\n    │   ├── DetailScreen.kt\n    │   └── DetailViewModel.kt\n    ├── cart/\n    ├── search/\n    └── components/\n        ├── ProductCard.kt\n        └── LoadingIndicator.kt"
+            },
+            {
+                "section": "Application Class",
+                "subsection": "",
+                "anchor": "application-class",
+                "text": "Зарегистрируйте в AndroidManifest.xml:",
+                "code": "@HiltAndroidApp\nclass EcommerceApp : Application()\n<application\n    android:name=\".EcommerceApp\"\n    android:allowBackup=\"true\"\n    android:icon=\"@mipmap/ic_launcher\"\n    android:label=\"@string/app_name\"\n    android:theme=\"@style/Theme.EcommerceApp\"\n    android:usesCleartextTraffic=\"true\">\n\n    <activity\n        android:name=\".MainActivity\"\n        android:exported=\"true\">\n        <intent-filter>\n            <action android:name=\"android.intent.action.MAIN\" />\n            <category android:name=\"android.intent.category.LAUNCHER\" />\n        </intent-filter>\n    </activity>\n\n</application>"
+            },
+            {
+                "section": "MainActivity",
+                "subsection": "",
+                "anchor": "mainactivity",
+                "text": "",
+                "code": "@AndroidEntryPoint\nclass MainActivity : ComponentActivity() {\n    override fun onCreate(savedInstanceState: Bundle?) {\n        super.onCreate(savedInstanceState)\n        setContent {\n            EcommerceTheme {\n                Surface(\n                    modifier = Modifier.fillMaxSize(),\n                    color = MaterialTheme.colorScheme.background\n                ) {\n                    EcommerceNavGraph()\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Resource: Wrapper для состояний",
+                "subsection": "",
+                "anchor": "resource-wrapper-dlya-sostoyaniy",
+                "text": "",
+                "code": "sealed class Resource<out T> {\n    data class Success<T>(val data: T) : Resource<T>()\n    data class Error(val message: String) : Resource<Nothing>()\n    object Loading : Resource<Nothing>()\n}\n\n// Использование в Repository\nfun <T> safeApiCall(call: suspend () -> T): Flow<Resource<T>> = flow {\n    emit(Resource.Loading)\n    try {\n        emit(Resource.Success(call()))\n    } catch (e: Exception) {\n        emit(Resource.Error(e.message ?: \"Unknown error\"))\n    }\n}"
+            },
+            {
+                "section": "Constants",
+                "subsection": "",
+                "anchor": "constants",
+                "text": "",
+                "code": "object Constants {\n    const val BASE_URL = \"https://dummyjson.com/\"\n    const val DATABASE_NAME = \"ecommerce_db\"\n}"
+            },
+            {
+                "section": "Разрешения",
+                "subsection": "",
+                "anchor": "razresheniya",
+                "text": "Добавьте в AndroidManifest.xml: Важно: После добавления зависимостей нажмите \"Sync Now\" в Android Studio для загрузки библиотек.",
+                "code": "<uses-permission android:name=\"android.permission.INTERNET\" />"
+            },
+            {
+                "section": "Проверка настройки",
+                "subsection": "",
+                "anchor": "proverka-nastroyki",
+                "text": "Запустите проект на эмуляторе или устройстве. Если всё настроено правильно, вы увидите пустой экран с темой Material 3.",
+                "code": ""
+            },
+            {
+                "section": "Проверка настройки",
+                "subsection": "Что мы настроили",
+                "anchor": "chto-my-nastroili",
+                "text": "• Проект с Jetpack Compose • Hilt для Dependency Injection • Retrofit + Moshi для работы с API • Room для локальной базы данных • Coil для загрузки изображений • Структуру папок по Clean Architecture",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/04-api-layer.html",
+        "chapter": "Глава 4",
+        "title": "Retrofit + API",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 4: Retrofit + API",
+                "code": ""
+            },
+            {
+                "section": "DummyJSON API",
+                "subsection": "",
+                "anchor": "dummyjson-api",
+                "text": "Мы используем бесплатный API dummyjson.com для получения данных о товарах.",
+                "code": ""
+            },
+            {
+                "section": "DummyJSON API",
+                "subsection": "Основные эндпоинты",
+                "anchor": "osnovnye-endpointy",
+                "text": "GET /products — список товаров GET /products/{id} — товар по ID GET /products/search?q={query} — поиск GET /products/categories — категории GET /products/category/{name} — товары категории",
+                "code": ""
+            },
+            {
+                "section": "Пример ответа API",
+                "subsection": "",
+                "anchor": "primer-otveta-api",
+                "text": "",
+                "code": "{\n  \"products\": [\n    {\n      \"id\": 1,\n      \"title\": \"iPhone 9\",\n      \"description\": \"An apple mobile...\",\n      \"price\": 549,\n      \"discountPercentage\": 12.96,\n      \"rating\": 4.69,\n      \"stock\": 94,\n      \"brand\": \"Apple\",\n      \"category\": \"smartphones\",\n      \"thumbnail\": \"https://...\",\n      \"images\": [\"https://...\", \"https://...\"]\n    }\n  ],\n  \"total\": 100,\n  \"skip\": 0,\n  \"limit\": 30\n}"
+            },
+            {
+                "section": "DTO модели",
+                "subsection": "",
+                "anchor": "dto-modeli",
+                "text": "",
+                "code": "// data/dto/ProductDto.kt\n@JsonClass(generateAdapter = true)\ndata class ProductDto(\n    @Json(name = \"id\") val id: Int,\n    @Json(name = \"title\") val title: String,\n    @Json(name = \"description\") val description: String,\n    @Json(name = \"price\") val price: Double,\n    @Json(name = \"discountPercentage\") val discountPercentage: Double,\n    @Json(name = \"rating\") val rating: Double,\n    @Json(name = \"stock\") val stock: Int,\n    @Json(name = \"brand\") val brand: String?,\n    @Json(name = \"category\") val category: String,\n    @Json(name = \"thumbnail\") val thumbnail: String,\n    @Json(name = \"images\") val images: List<String>\n)\n\n// data/dto/ProductsResponse.kt\n@JsonClass(generateAdapter = true)\ndata class ProductsResponse(\n    @Json(name = \"products\") val products: List<ProductDto>,\n    @Json(name = \"total\") val total: Int,\n    @Json(name = \"skip\") val skip: Int,\n    @Json(name = \"limit\") val limit: Int\n)"
+            },
+            {
+                "section": "API Interface",
+                "subsection": "",
+                "anchor": "api-interface",
+                "text": "",
+                "code": "// data/api/ProductApi.kt\ninterface ProductApi {\n\n    @GET(\"products\")\n    suspend fun getProducts(\n        @Query(\"limit\") limit: Int = 30,\n        @Query(\"skip\") skip: Int = 0\n    ): ProductsResponse\n\n    @GET(\"products/{id}\")\n    suspend fun getProductById(\n        @Path(\"id\") id: Int\n    ): ProductDto\n\n    @GET(\"products/search\")\n    suspend fun searchProducts(\n        @Query(\"q\") query: String\n    ): ProductsResponse\n\n    @GET(\"products/categories\")\n    suspend fun getCategories(): List<String>\n\n    @GET(\"products/category/{category}\")\n    suspend fun getProductsByCategory(\n        @Path(\"category\") category: String\n    ): ProductsResponse\n}"
+            },
+            {
+                "section": "Network Module (Hilt)",
+                "subsection": "",
+                "anchor": "network-module-hilt",
+                "text": "",
+                "code": "// di/NetworkModule.kt\n@Module\n@InstallIn(SingletonComponent::class)\nobject NetworkModule {\n\n    @Provides\n    @Singleton\n    fun provideMoshi(): Moshi {\n        return Moshi.Builder()\n            .add(KotlinJsonAdapterFactory())\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideOkHttpClient(): OkHttpClient {\n        return OkHttpClient.Builder()\n            .addInterceptor(HttpLoggingInterceptor().apply {\n                level = HttpLoggingInterceptor.Level.BODY\n            })\n            .connectTimeout(30, TimeUnit.SECONDS)\n            .readTimeout(30, TimeUnit.SECONDS)\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideRetrofit(\n        okHttpClient: OkHttpClient,\n        moshi: Moshi\n    ): Retrofit {\n        return Retrofit.Builder()\n            .baseUrl(Constants.BASE_URL)\n            .client(okHttpClient)\n            .addConverterFactory(MoshiConverterFactory.create(moshi))\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideProductApi(retrofit: Retrofit): ProductApi {\n        return retrofit.create(ProductApi::class.java)\n    }\n}"
+            },
+            {
+                "section": "Repository",
+                "subsection": "",
+                "anchor": "repository",
+                "text": "",
+                "code": "// domain/repository/ProductRepository.kt\ninterface ProductRepository {\n    fun getProducts(): Flow<Resource<List<Product>>>\n    fun getProductById(id: Int): Flow<Resource<Product>>\n    fun searchProducts(query: String): Flow<Resource<List<Product>>>\n}\n\n// data/repository/ProductRepositoryImpl.kt\nclass ProductRepositoryImpl @Inject constructor(\n    private val api: ProductApi\n) : ProductRepository {\n\n    override fun getProducts(): Flow<Resource<List<Product>>> = flow {\n        emit(Resource.Loading)\n        try {\n            val response = api.getProducts()\n            val products = response.products.map { it.toDomain() }\n            emit(Resource.Success(products))\n        } catch (e: HttpException) {\n            emit(Resource.Error(\"Ошибка сервера: \\${e.code()}\"))\n        } catch (e: IOException) {\n            emit(Resource.Error(\"Проверьте подключение к интернету\"))\n        }\n    }\n\n    override fun getProductById(id: Int): Flow<Resource<Product>> = flow {\n        emit(Resource.Loading)\n        try {\n            val product = api.getProductById(id).toDomain()\n            emit(Resource.Success(product))\n        } catch (e: Exception) {\n            emit(Resource.Error(e.message ?: \"Неизвестная ошибка\"))\n        }\n    }\n\n    override fun searchProducts(query: String): Flow<Resource<List<Product>>> = flow {\n        emit(Resource.Loading)\n        try {\n            val response = api.searchProducts(query)\n            val products = response.products.map { it.toDomain() }\n            emit(Resource.Success(products))\n        } catch (e: Exception) {\n            emit(Resource.Error(e.message ?: \"Ошибка поиска\"))\n        }\n    }\n}"
+            },
+            {
+                "section": "Mapper",
+                "subsection": "",
+                "anchor": "mapper",
+                "text": "",
+                "code": "// data/mapper/ProductMapper.kt\nfun ProductDto.toDomain(): Product {\n    return Product(\n        id = id,\n        title = title,\n        description = description,\n        price = price,\n        discountPercentage = discountPercentage,\n        rating = rating,\n        stock = stock,\n        brand = brand ?: \"Unknown\",\n        category = category,\n        thumbnail = thumbnail,\n        images = images\n    )\n}"
+            },
+            {
+                "section": "Repository Module",
+                "subsection": "",
+                "anchor": "repository-module",
+                "text": "",
+                "code": "// di/RepositoryModule.kt\n@Module\n@InstallIn(SingletonComponent::class)\nabstract class RepositoryModule {\n\n    @Binds\n    @Singleton\n    abstract fun bindProductRepository(\n        impl: ProductRepositoryImpl\n    ): ProductRepository\n}"
+            },
+            {
+                "section": "Аннотации Retrofit",
+                "subsection": "",
+                "anchor": "annotatsii-retrofit",
+                "text": "Аннотация Описание Пример @GET GET запрос @GET(\"products\") @POST POST запрос @POST(\"auth/login\") @Path Параметр в URL @Path(\"id\") id: Int @Query Query параметр @Query(\"q\") query: String @Body Тело запроса @Body request: LoginRequest @Header Заголовок @Header(\"Authorization\") token: String",
+                "code": ""
+            },
+            {
+                "section": "Обработка ошибок",
+                "subsection": "",
+                "anchor": "obrabotka-oshibok",
+                "text": "",
+                "code": "sealed class NetworkError : Exception() {\n    object NoConnection : NetworkError()\n    data class ServerError(val code: Int) : NetworkError()\n    data class Unknown(override val message: String?) : NetworkError()\n}\n\nsuspend fun <T> safeApiCall(\n    call: suspend () -> T\n): Result<T> {\n    return try {\n        Result.success(call())\n    } catch (e: HttpException) {\n        Result.failure(NetworkError.ServerError(e.code()))\n    } catch (e: IOException) {\n        Result.failure(NetworkError.NoConnection)\n    } catch (e: Exception) {\n        Result.failure(NetworkError.Unknown(e.message))\n    }\n}"
+            },
+            {
+                "section": "Обработка ошибок",
+                "subsection": "Совет по отладке",
+                "anchor": "sovet-po-otladke",
+                "text": "Используйте HttpLoggingInterceptor для просмотра всех запросов и ответов в Logcat. В релизной сборке отключите логирование для безопасности.",
+                "code": ""
+            },
+            {
+                "section": "Обработка ошибок",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• DTO модели для API ответов • Retrofit API interface с suspend функциями • Hilt модуль для настройки сети • Repository с Flow и обработкой ошибок • Mapper для преобразования DTO → Domain",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/json-parsing.html",
+        "chapter": "Приложение",
+        "title": "Парсинг JSON",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Парсинг JSON в Kotlin Полное руководство по Moshi и Gson с практическими упражнениями",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Moshi",
+                "anchor": "moshi",
+                "text": "Современная библиотека от Square ✓ Kotlin-first подход ✓ Codegen для производительности ✓ Null-safety из коробки ✓ Рекомендуется для новых проектов",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Gson",
+                "anchor": "gson-2",
+                "text": "Библиотека от Google ✓ Проверенная временем ✓ Простой API ✓ Большое сообщество ✓ Хороша для legacy проектов",
+                "code": ""
+            },
+            {
+                "section": "Содержание",
+                "subsection": "",
+                "anchor": "soderzhanie",
+                "text": "1. Основы Moshi 2. Простой объект 3. Массивы и списки 4. Вложенные объекты 5. @Json аннотация 6. Nullable поля 7. Интеграция с Retrofit 8. Альтернатива: Gson 9. Обработка ошибок 10. Реальные API примеры 11. Упражнения",
+                "code": ""
+            },
+            {
+                "section": "1. Основы Moshi",
+                "subsection": "Что такое Moshi?",
+                "anchor": "chto-takoe-moshi",
+                "text": "Moshi — современная JSON библиотека для Kotlin/Java от Square (создатели Retrofit, OkHttp). Использует аннотации и codegen для быстрого и безопасного парсинга.",
+                "code": ""
+            },
+            {
+                "section": "1. Основы Moshi",
+                "subsection": "Подключение в Gradle",
+                "anchor": "podklyuchenie-v-gradle",
+                "text": "JSON Kotlin Data Class Аналог в JavaScript/TypeScript",
+                "code": "// build.gradle.kts (Module: app)\nplugins {\n    id(\"com.google.devtools.ksp\") version \"1.9.0-1.0.13\"\n}\n\ndependencies {\n    // Moshi core\n    implementation(\"com.squareup.moshi:moshi:1.15.0\")\n    implementation(\"com.squareup.moshi:moshi-kotlin:1.15.0\")\n\n    // Codegen (рекомендуется для производительности)\n    ksp(\"com.squareup.moshi:moshi-kotlin-codegen:1.15.0\")\n}\n{\n  \"id\": 1,\n  \"name\": \"iPhone\",\n  \"price\": 999.99\n}\n@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val name: String,\n    val price: Double\n)\n// TypeScript interface\ninterface Product {\n    id: number;\n    name: string;\n    price: number;\n}\n\n// Парсинг\nconst product: Product = JSON.parse(jsonString);"
+            },
+            {
+                "section": "2. Парсинг простого объекта",
+                "subsection": "",
+                "anchor": "2-parsing-prostogo-obekta",
+                "text": "Важно! • @JsonClass(generateAdapter = true) — генерирует адаптер во время компиляции (быстрее) • KotlinJsonAdapterFactory() — нужен для reflection (медленнее, но без аннотаций) • Имена свойств должны совпадать с ключами в JSON",
+                "code": "import com.squareup.moshi.Moshi\nimport com.squareup.moshi.kotlin.reflect.KotlinJsonAdapterFactory\n\n// 1. Создаём модель\n@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val name: String,\n    val price: Double\n)\n\n// 2. Создаём Moshi instance\nval moshi = Moshi.Builder()\n    .addLast(KotlinJsonAdapterFactory())\n    .build()\n\n// 3. Получаем адаптер для нашего типа\nval adapter = moshi.adapter(Product::class.java)\n\n// 4. Парсим JSON строку\nval jsonString = \"\"\"\n    {\n        \"id\": 1,\n        \"name\": \"MacBook Pro\",\n        \"price\": 1999.99\n    }\n\"\"\"\n\nval product = adapter.fromJson(jsonString)\n\n// 5. Используем\nprintln(product?.name)  // \"MacBook Pro\"\nprintln(product?.price) // 1999.99\n\n// Обратно в JSON\nval json = adapter.toJson(product)\nprintln(json) // {\"id\":1,\"name\":\"MacBook Pro\",\"price\":1999.99}"
+            },
+            {
+                "section": "3. Массивы и списки",
+                "subsection": "Список объектов",
+                "anchor": "spisok-obektov",
+                "text": "JSON Kotlin",
+                "code": "[\n  { \"id\": 1, \"name\": \"iPhone\" },\n  { \"id\": 2, \"name\": \"iPad\" },\n  { \"id\": 3, \"name\": \"MacBook\" }\n]\nimport com.squareup.moshi.Types\n\n// Создаём тип для List<Product>\nval listType = Types.newParameterizedType(\n    List::class.java,\n    Product::class.java\n)\n\nval adapter = moshi.adapter<List<Product>>(listType)\n\nval products = adapter.fromJson(jsonString)\n// products: List<Product>?"
+            },
+            {
+                "section": "3. Массивы и списки",
+                "subsection": "Список внутри объекта (чаще всего)",
+                "anchor": "spisok-vnutri-obekta-chasche-vsego",
+                "text": "JSON Kotlin",
+                "code": "{\n  \"products\": [\n    { \"id\": 1, \"name\": \"iPhone\" },\n    { \"id\": 2, \"name\": \"iPad\" }\n  ],\n  \"total\": 2,\n  \"skip\": 0,\n  \"limit\": 30\n}\n@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val name: String\n)\n\n@JsonClass(generateAdapter = true)\ndata class ProductsResponse(\n    val products: List<Product>,\n    val total: Int,\n    val skip: Int,\n    val limit: Int\n)\n\n// Парсинг\nval adapter = moshi.adapter(ProductsResponse::class.java)\nval response = adapter.fromJson(json)\nprintln(response?.products.size)"
+            },
+            {
+                "section": "4. Вложенные объекты",
+                "subsection": "",
+                "anchor": "4-vlozhennye-obekty",
+                "text": "",
+                "code": "// JSON с вложенными объектами\n{\n  \"id\": 1,\n  \"title\": \"iPhone 15\",\n  \"price\": 999,\n  \"category\": {\n    \"id\": 5,\n    \"name\": \"Electronics\",\n    \"slug\": \"electronics\"\n  },\n  \"images\": [\"img1.jpg\", \"img2.jpg\"],\n  \"meta\": {\n    \"createdAt\": \"2024-01-15T10:00:00Z\",\n    \"barcode\": \"1234567890\"\n  }\n}\n// Kotlin модели\n\n@JsonClass(generateAdapter = true)\ndata class Category(\n    val id: Int,\n    val name: String,\n    val slug: String\n)\n\n@JsonClass(generateAdapter = true)\ndata class ProductMeta(\n    val createdAt: String,\n    val barcode: String\n)\n\n@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val title: String,\n    val price: Int,\n    val category: Category,          // вложенный объект\n    val images: List<String>,        // список строк\n    val meta: ProductMeta             // вложенный объект\n)\n\n// Использование\nval product = adapter.fromJson(json)\nprintln(product?.category.name)  // \"Electronics\"\nprintln(product?.images[0])       // \"img1.jpg\"\nprintln(product?.meta.barcode)   // \"1234567890\""
+            },
+            {
+                "section": "5. @Json аннотация — переименование полей",
+                "subsection": "",
+                "anchor": "5-json-annotatsiya-pereimenovanie-poley",
+                "text": "Когда нужен @Json? • JSON ключи в snake_case, а Kotlin использует camelCase • JSON ключ — зарезервированное слово Kotlin (class, object, when) • Хотите использовать другое имя в коде",
+                "code": ""
+            },
+            {
+                "section": "5. @Json аннотация — переименование полей",
+                "subsection": "Пример: snake_case → camelCase",
+                "anchor": "primer-snake-case-camelcase",
+                "text": "JSON (snake_case) Kotlin (camelCase)",
+                "code": "{\n  \"user_id\": 123,\n  \"first_name\": \"Серик\",\n  \"last_name\": \"Иванов\",\n  \"discount_percentage\": 12.5\n}\nimport com.squareup.moshi.Json\n\n@JsonClass(generateAdapter = true)\ndata class User(\n    @Json(name = \"user_id\")\n    val userId: Int,\n\n    @Json(name = \"first_name\")\n    val firstName: String,\n\n    @Json(name = \"last_name\")\n    val lastName: String,\n\n    @Json(name = \"discount_percentage\")\n    val discountPercentage: Double\n)"
+            },
+            {
+                "section": "5. @Json аннотация — переименование полей",
+                "subsection": "Реальный пример из проекта",
+                "anchor": "realnyy-primer-iz-proekta",
+                "text": "",
+                "code": "// Из Ecommerce-Compose проекта\n@JsonClass(generateAdapter = true)\ndata class Product(\n    @Json(name = \"brand\")\n    val brand: String,\n\n    @Json(name = \"category\")\n    val category: String,\n\n    @Json(name = \"description\")\n    val description: String,\n\n    @Json(name = \"discountPercentage\")\n    val discountPercentage: Double,\n\n    @Json(name = \"id\")\n    val id: Int,\n\n    @Json(name = \"images\")\n    val images: List<String>,\n\n    @Json(name = \"price\")\n    val price: Int,\n\n    @Json(name = \"rating\")\n    val rating: Double,\n\n    @Json(name = \"stock\")\n    val stock: Int,\n\n    @Json(name = \"thumbnail\")\n    val thumbnail: String,\n\n    @Json(name = \"title\")\n    val title: String\n)"
+            },
+            {
+                "section": "6. Nullable поля",
+                "subsection": "",
+                "anchor": "6-nullable-polya",
+                "text": "Проблема Если в JSON отсутствует поле, которое объявлено как non-null — Moshi выбросит исключение!",
+                "code": ""
+            },
+            {
+                "section": "6. Nullable поля",
+                "subsection": "Решение: Nullable типы",
+                "anchor": "reshenie-nullable-tipy",
+                "text": "JSON (поле может отсутствовать) Kotlin",
+                "code": "// Иногда есть discount\n{\n  \"id\": 1,\n  \"price\": 100,\n  \"discount\": 10\n}\n\n// Иногда нет\n{\n  \"id\": 2,\n  \"price\": 200\n}\n@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val price: Double,\n    val discount: Double? = null  // Nullable!\n)\n\n// Использование\nval discount = product.discount ?: 0.0\nprintln(\"Скидка: $discount%\")"
+            },
+            {
+                "section": "6. Nullable поля",
+                "subsection": "Значения по умолчанию",
+                "anchor": "znacheniya-po-umolchaniyu",
+                "text": "Kotlin vs Swift сравнение Kotlin: Swift:",
+                "code": "@JsonClass(generateAdapter = true)\ndata class Product(\n    val id: Int,\n    val title: String,\n    val description: String? = null,      // может быть null\n    val discount: Double = 0.0,           // значение по умолчанию\n    val tags: List<String> = emptyList(), // пустой список\n    val isActive: Boolean = true         // по умолчанию true\n)\nval discount: Double? = null\nval value = discount ?: 0.0\nlet discount: Double? = nil\nlet value = discount ?? 0.0"
+            },
+            {
+                "section": "7. Интеграция с Retrofit",
+                "subsection": "",
+                "anchor": "7-integratsiya-s-retrofit",
+                "text": "",
+                "code": "// build.gradle.kts\ndependencies {\n    implementation(\"com.squareup.retrofit2:retrofit:2.9.0\")\n    implementation(\"com.squareup.retrofit2:converter-moshi:2.9.0\")\n    implementation(\"com.squareup.moshi:moshi-kotlin:1.15.0\")\n}\n// ApiService.kt\ninterface ApiService {\n\n    @GET(\"products\")\n    suspend fun getProducts(): ProductsResponse\n\n    @GET(\"products/{id}\")\n    suspend fun getProductById(\n        @Path(\"id\") productId: Int\n    ): Product\n\n    @GET(\"products/search\")\n    suspend fun searchProducts(\n        @Query(\"q\") query: String\n    ): ProductsResponse\n\n    @GET(\"products/category/{name}\")\n    suspend fun getProductsByCategory(\n        @Path(\"name\") categoryName: String\n    ): ProductsResponse\n}\n// Retrofit Setup\nobject RetrofitClient {\n\n    private const val BASE_URL = \"https://dummyjson.com/\"\n\n    private val moshi = Moshi.Builder()\n        .addLast(KotlinJsonAdapterFactory())\n        .build()\n\n    private val retrofit = Retrofit.Builder()\n        .baseUrl(BASE_URL)\n        .addConverterFactory(MoshiConverterFactory.create(moshi))\n        .build()\n\n    val api: ApiService = retrofit.create(ApiService::class.java)\n}\n\n// Использование в ViewModel\nclass HomeViewModel : ViewModel() {\n\n    private val _products = MutableStateFlow<List<Product>>(emptyList())\n    val products: StateFlow<List<Product>> = _products\n\n    fun loadProducts() {\n        viewModelScope.launch {\n            try {\n                val response = RetrofitClient.api.getProducts()\n                _products.value = response.products\n            } catch (e: Exception) {\n                // Обработка ошибки\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "8. Альтернатива: Gson",
+                "subsection": "",
+                "anchor": "8-alternativa-gson",
+                "text": "Moshi Gson Moshi vs Gson Критерий Moshi Gson Kotlin поддержка Отличная Хорошая Null-safety Строгая проверка Может пропустить null Codegen Есть (быстро) Нет (reflection) Сообщество Растущее Огромное",
+                "code": "// build.gradle.kts\ndependencies {\n    implementation(\"com.google.code.gson:gson:2.10.1\")\n    // Для Retrofit\n    implementation(\"com.squareup.retrofit2:converter-gson:2.9.0\")\n}\n@JsonClass(generateAdapter = true)\ndata class User(\n    @Json(name = \"user_id\")\n    val userId: Int,\n\n    @Json(name = \"first_name\")\n    val firstName: String\n)\n\n// Парсинг\nval moshi = Moshi.Builder()\n    .addLast(KotlinJsonAdapterFactory())\n    .build()\nval adapter = moshi.adapter(User::class.java)\nval user = adapter.fromJson(json)\ndata class User(\n    @SerializedName(\"user_id\")\n    val userId: Int,\n\n    @SerializedName(\"first_name\")\n    val firstName: String\n)\n\n// Парсинг\nval gson = Gson()\nval user = gson.fromJson(json, User::class.java)\n\n// Обратно в JSON\nval jsonOutput = gson.toJson(user)"
+            },
+            {
+                "section": "9. Обработка ошибок парсинга",
+                "subsection": "",
+                "anchor": "9-obrabotka-oshibok-parsinga",
+                "text": "",
+                "code": "try {\n    val product = adapter.fromJson(jsonString)\n    println(\"Успех: ${product?.title}\")\n\n} catch (e: JsonDataException) {\n    // Ошибка в структуре данных (неверный тип, отсутствующее поле)\n    println(\"Ошибка данных: ${e.message}\")\n\n} catch (e: JsonEncodingException) {\n    // Невалидный JSON (синтаксическая ошибка)\n    println(\"Невалидный JSON: ${e.message}\")\n\n} catch (e: IOException) {\n    // Ошибка ввода-вывода\n    println(\"IO ошибка: ${e.message}\")\n}"
+            },
+            {
+                "section": "9. Обработка ошибок парсинга",
+                "subsection": "Безопасный парсинг с Result",
+                "anchor": "bezopasnyy-parsing-s-result",
+                "text": "",
+                "code": "sealed class ParseResult<out T> {\n    data class Success<T>(val data: T) : ParseResult<T>()\n    data class Error(val message: String) : ParseResult<Nothing>()\n}\n\nfun <T> safeFromJson(\n    adapter: JsonAdapter<T>,\n    json: String\n): ParseResult<T> {\n    return try {\n        val result = adapter.fromJson(json)\n        if (result != null) {\n            ParseResult.Success(result)\n        } else {\n            ParseResult.Error(\"Результат null\")\n        }\n    } catch (e: JsonDataException) {\n        ParseResult.Error(\"Ошибка структуры: ${e.message}\")\n    } catch (e: Exception) {\n        ParseResult.Error(\"Неизвестная ошибка: ${e.message}\")\n    }\n}\n\n// Использование\nwhen (val result = safeFromJson(adapter, json)) {\n    is ParseResult.Success -> println(result.data.title)\n    is ParseResult.Error -> println(result.message)\n}"
+            },
+            {
+                "section": "10. Реальные примеры API",
+                "subsection": "Полный пример: DummyJSON API",
+                "anchor": "polnyy-primer-dummyjson-api",
+                "text": "",
+                "code": "// DTO модели (Data Transfer Objects)\n\n@JsonClass(generateAdapter = true)\ndata class ProductDto(\n    @Json(name = \"id\") val id: Int,\n    @Json(name = \"title\") val title: String,\n    @Json(name = \"description\") val description: String,\n    @Json(name = \"price\") val price: Int,\n    @Json(name = \"discountPercentage\") val discountPercentage: Double,\n    @Json(name = \"rating\") val rating: Double,\n    @Json(name = \"stock\") val stock: Int,\n    @Json(name = \"brand\") val brand: String? = null,\n    @Json(name = \"category\") val category: String,\n    @Json(name = \"thumbnail\") val thumbnail: String,\n    @Json(name = \"images\") val images: List<String>\n)\n\n@JsonClass(generateAdapter = true)\ndata class ProductsResponseDto(\n    @Json(name = \"products\") val products: List<ProductDto>,\n    @Json(name = \"total\") val total: Int,\n    @Json(name = \"skip\") val skip: Int,\n    @Json(name = \"limit\") val limit: Int\n)\n\n// Domain модель (чистая, без аннотаций)\ndata class Product(\n    val id: Int,\n    val title: String,\n    val price: String,\n    val imageUrl: String,\n    val rating: Double\n)\n\n// Mapper: DTO -> Domain\nfun ProductDto.toDomain(): Product {\n    return Product(\n        id = this.id,\n        title = this.title,\n        price = \"$${this.price}\",\n        imageUrl = this.thumbnail,\n        rating = this.rating\n    )\n}\n\nfun List<ProductDto>.toDomainList(): List<Product> {\n    return this.map { it.toDomain() }\n}"
+            },
+            {
+                "section": "10. Реальные примеры API",
+                "subsection": "Repository с Retrofit",
+                "anchor": "repository-s-retrofit",
+                "text": "",
+                "code": "class ProductRepository(\n    private val api: ApiService\n) {\n    suspend fun getProducts(): Result<List<Product>> {\n        return try {\n            val response = api.getProducts()\n            Result.success(response.products.toDomainList())\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n\n    suspend fun searchProducts(query: String): Result<List<Product>> {\n        return try {\n            val response = api.searchProducts(query)\n            Result.success(response.products.toDomainList())\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n}\n\n// Использование в ViewModel\n@HiltViewModel\nclass HomeViewModel @Inject constructor(\n    private val repository: ProductRepository\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow<HomeUiState>(HomeUiState.Loading)\n    val uiState: StateFlow<HomeUiState> = _uiState.asStateFlow()\n\n    init {\n        loadProducts()\n    }\n\n    private fun loadProducts() {\n        viewModelScope.launch {\n            repository.getProducts()\n                .onSuccess { products ->\n                    _uiState.value = HomeUiState.Success(products)\n                }\n                .onFailure { error ->\n                    _uiState.value = HomeUiState.Error(error.message ?: \"Ошибка\")\n                }\n        }\n    }\n}\n\nsealed class HomeUiState {\n    object Loading : HomeUiState()\n    data class Success(val products: List<Product>) : HomeUiState()\n    data class Error(val message: String) : HomeUiState()\n}"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "",
+                "anchor": "11-uprazhneniya",
+                "text": "Easy",
+                "code": ""
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 1: Простой объект",
+                "anchor": "uprazhnenie-1-prostoy-obekt",
+                "text": "Создайте data class для парсинга: Показать ответ Easy",
+                "code": "{\n  \"id\": 42,\n  \"username\": \"kotlin_dev\",\n  \"email\": \"dev@example.com\",\n  \"isActive\": true\n}\n@JsonClass(generateAdapter = true)\ndata class User(\n    @Json(name = \"id\")\n    val id: Int,\n\n    @Json(name = \"username\")\n    val username: String,\n\n    @Json(name = \"email\")\n    val email: String,\n\n    @Json(name = \"isActive\")\n    val isActive: Boolean\n)\n\n// Парсинг\nval adapter = moshi.adapter(User::class.java)\nval user = adapter.fromJson(jsonString)"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 2: Список объектов",
+                "anchor": "uprazhnenie-2-spisok-obektov",
+                "text": "Создайте модели для парсинга списка городов: Показать ответ Medium",
+                "code": "[\n  { \"name\": \"Almaty\", \"population\": 2000000 },\n  { \"name\": \"Astana\", \"population\": 1200000 },\n  { \"name\": \"Shymkent\", \"population\": 1000000 }\n]\n@JsonClass(generateAdapter = true)\ndata class City(\n    @Json(name = \"name\")\n    val name: String,\n\n    @Json(name = \"population\")\n    val population: Int\n)\n\n// Парсинг списка\nval listType = Types.newParameterizedType(\n    List::class.java,\n    City::class.java\n)\nval adapter = moshi.adapter<List<City>>(listType)\nval cities = adapter.fromJson(jsonString)\n\n// Использование\ncities?.forEach { city ->\n    println(\"${city.name}: ${city.population}\")\n}"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 3: snake_case ключи",
+                "anchor": "uprazhnenie-3-snake-case-klyuchi",
+                "text": "Создайте модель с @Json аннотациями: Показать ответ Medium",
+                "code": "{\n  \"user_id\": 100,\n  \"full_name\": \"Иван Петров\",\n  \"phone_number\": \"+7 777 123 4567\",\n  \"registered_at\": \"2024-01-15\"\n}\n@JsonClass(generateAdapter = true)\ndata class User(\n    @Json(name = \"user_id\")\n    val userId: Int,\n\n    @Json(name = \"full_name\")\n    val fullName: String,\n\n    @Json(name = \"phone_number\")\n    val phoneNumber: String,\n\n    @Json(name = \"registered_at\")\n    val registeredAt: String\n)"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 4: Вложенные объекты",
+                "anchor": "uprazhnenie-4-vlozhennye-obekty",
+                "text": "Создайте модели для заказа: Показать ответ Medium",
+                "code": "{\n  \"orderId\": \"ORD-12345\",\n  \"total\": 15000,\n  \"customer\": {\n    \"name\": \"Алия\",\n    \"email\": \"aliya@mail.kz\"\n  },\n  \"items\": [\n    { \"name\": \"iPhone\", \"qty\": 1, \"price\": 10000 },\n    { \"name\": \"Case\", \"qty\": 2, \"price\": 2500 }\n  ]\n}\n@JsonClass(generateAdapter = true)\ndata class Customer(\n    @Json(name = \"name\") val name: String,\n    @Json(name = \"email\") val email: String\n)\n\n@JsonClass(generateAdapter = true)\ndata class OrderItem(\n    @Json(name = \"name\") val name: String,\n    @Json(name = \"qty\") val qty: Int,\n    @Json(name = \"price\") val price: Int\n)\n\n@JsonClass(generateAdapter = true)\ndata class Order(\n    @Json(name = \"orderId\") val orderId: String,\n    @Json(name = \"total\") val total: Int,\n    @Json(name = \"customer\") val customer: Customer,\n    @Json(name = \"items\") val items: List<OrderItem>\n)\n\n// Использование\nval order = adapter.fromJson(json)\nprintln(\"Заказ: ${order?.orderId}\")\nprintln(\"Клиент: ${order?.customer?.name}\")\nprintln(\"Товаров: ${order?.items?.size}\")"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 5: Nullable поля",
+                "anchor": "uprazhnenie-5-nullable-polya",
+                "text": "Создайте модель которая парсит ОБА этих JSON: Показать ответ Hard",
+                "code": "// JSON 1 - все поля\n{\n  \"id\": 1,\n  \"title\": \"Product A\",\n  \"description\": \"Great product\",\n  \"discount\": 15,\n  \"tags\": [\"new\", \"sale\"]\n}\n\n// JSON 2 - минимум полей\n{\n  \"id\": 2,\n  \"title\": \"Product B\"\n}\n@JsonClass(generateAdapter = true)\ndata class Product(\n    @Json(name = \"id\")\n    val id: Int,\n\n    @Json(name = \"title\")\n    val title: String,\n\n    @Json(name = \"description\")\n    val description: String? = null,  // Nullable\n\n    @Json(name = \"discount\")\n    val discount: Int? = null,        // Nullable\n\n    @Json(name = \"tags\")\n    val tags: List<String>? = null   // Nullable список\n)\n\n// Безопасное использование\nval discount = product.discount ?: 0\nval tagsCount = product.tags?.size ?: 0\n\nprintln(\"Скидка: $discount%\")\nprintln(\"Тегов: $tagsCount\")"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 6: Полный API Response",
+                "anchor": "uprazhnenie-6-polnyy-api-response",
+                "text": "Создайте все модели и Retrofit ApiService: Показать ответ",
+                "code": "{\n  \"success\": true,\n  \"data\": {\n    \"users\": [\n      {\n        \"id\": 1,\n        \"name\": \"Серик\",\n        \"role\": \"admin\",\n        \"profile\": {\n          \"avatar_url\": \"https://example.com/avatar.jpg\",\n          \"bio\": \"Kotlin developer\"\n        }\n      }\n    ],\n    \"total\": 1\n  }\n}\n// Модели от внутренних к внешним\n\n@JsonClass(generateAdapter = true)\ndata class UserProfile(\n    @Json(name = \"avatar_url\")\n    val avatarUrl: String,\n\n    @Json(name = \"bio\")\n    val bio: String? = null\n)\n\n@JsonClass(generateAdapter = true)\ndata class User(\n    @Json(name = \"id\") val id: Int,\n    @Json(name = \"name\") val name: String,\n    @Json(name = \"role\") val role: String,\n    @Json(name = \"profile\") val profile: UserProfile\n)\n\n@JsonClass(generateAdapter = true)\ndata class UsersData(\n    @Json(name = \"users\") val users: List<User>,\n    @Json(name = \"total\") val total: Int\n)\n\n@JsonClass(generateAdapter = true)\ndata class ApiResponse(\n    @Json(name = \"success\") val success: Boolean,\n    @Json(name = \"data\") val data: UsersData\n)\n\n// Retrofit ApiService\ninterface ApiService {\n    @GET(\"users\")\n    suspend fun getUsers(): ApiResponse\n}\n\n// Использование\nval response = api.getUsers()\nif (response.success) {\n    response.data.users.forEach { user ->\n        println(\"${user.name} - ${user.role}\")\n        println(\"Avatar: ${user.profile.avatarUrl}\")\n    }\n}"
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Moshi",
+                "anchor": "moshi-2",
+                "text": "@JsonClass(generateAdapter = true) @Json(name = \"key\") — переименование moshi.adapter(Type::class.java) adapter.fromJson(json)",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Gson",
+                "anchor": "gson-3",
+                "text": "@SerializedName(\"key\") — переименование Gson().fromJson(json, Type::class.java) gson.toJson(object)",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Nullable",
+                "anchor": "nullable-2",
+                "text": "val field: String? = null field ?: \"default\" — Elvis operator field?.property — safe call",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Retrofit",
+                "anchor": "retrofit-2",
+                "text": "MoshiConverterFactory.create(moshi) suspend fun getX(): Response @GET, @POST, @Path, @Query",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/05-product-list.html",
+        "chapter": "Глава 5",
+        "title": "Список товаров",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 5: Список товаров",
+                "code": ""
+            },
+            {
+                "section": "GetProductsUseCase",
+                "subsection": "",
+                "anchor": "getproductsusecase",
+                "text": "",
+                "code": "class GetProductsUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    operator fun invoke(): Flow<Resource<List<Product>>> {\n        return repository.getProducts()\n    }\n}"
+            },
+            {
+                "section": "HomeViewModel",
+                "subsection": "",
+                "anchor": "homeviewmodel",
+                "text": "",
+                "code": "data class HomeUiState(\n    val isLoading: Boolean = false,\n    val products: List<Product> = emptyList(),\n    val error: String? = null\n)\n\n@HiltViewModel\nclass HomeViewModel @Inject constructor(\n    private val getProductsUseCase: GetProductsUseCase\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow(HomeUiState())\n    val uiState: StateFlow<HomeUiState> = _uiState.asStateFlow()\n\n    init {\n        loadProducts()\n    }\n\n    fun loadProducts() {\n        getProductsUseCase().onEach { result ->\n            when (result) {\n                is Resource.Loading -> {\n                    _uiState.update { it.copy(isLoading = true) }\n                }\n                is Resource.Success -> {\n                    _uiState.update {\n                        it.copy(isLoading = false, products = result.data)\n                    }\n                }\n                is Resource.Error -> {\n                    _uiState.update {\n                        it.copy(isLoading = false, error = result.message)\n                    }\n                }\n            }\n        }.launchIn(viewModelScope)\n    }\n\n    fun retry() {\n        _uiState.update { it.copy(error = null) }\n        loadProducts()\n    }\n}"
+            },
+            {
+                "section": "HomeScreen",
+                "subsection": "",
+                "anchor": "homescreen",
+                "text": "",
+                "code": "@Composable\nfun HomeScreen(\n    viewModel: HomeViewModel = hiltViewModel(),\n    onProductClick: (Int) -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"E-Commerce\") },\n                colors = TopAppBarDefaults.topAppBarColors(\n                    containerColor = MaterialTheme.colorScheme.primary,\n                    titleContentColor = Color.White\n                )\n            )\n        }\n    ) { paddingValues ->\n        Box(\n            modifier = Modifier\n                .fillMaxSize()\n                .padding(paddingValues)\n        ) {\n            when {\n                uiState.isLoading -> {\n                    CircularProgressIndicator(\n                        modifier = Modifier.align(Alignment.Center)\n                    )\n                }\n                uiState.error != null -> {\n                    ErrorContent(\n                        message = uiState.error!!,\n                        onRetry = { viewModel.retry() }\n                    )\n                }\n                else -> {\n                    ProductGrid(\n                        products = uiState.products,\n                        onProductClick = onProductClick\n                    )\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "ProductGrid",
+                "subsection": "",
+                "anchor": "productgrid",
+                "text": "",
+                "code": "@Composable\nfun ProductGrid(\n    products: List<Product>,\n    onProductClick: (Int) -> Unit,\n    modifier: Modifier = Modifier\n) {\n    LazyVerticalGrid(\n        columns = GridCells.Fixed(2),\n        contentPadding = PaddingValues(16.dp),\n        horizontalArrangement = Arrangement.spacedBy(12.dp),\n        verticalArrangement = Arrangement.spacedBy(12.dp),\n        modifier = modifier.fillMaxSize()\n    ) {\n        items(\n            items = products,\n            key = { it.id }\n        ) { product ->\n            ProductCard(\n                product = product,\n                onClick = { onProductClick(product.id) }\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "ProductCard",
+                "subsection": "",
+                "anchor": "productcard",
+                "text": "",
+                "code": "@Composable\nfun ProductCard(\n    product: Product,\n    onClick: () -> Unit,\n    modifier: Modifier = Modifier\n) {\n    Card(\n        modifier = modifier\n            .fillMaxWidth()\n            .clickable { onClick() },\n        elevation = CardDefaults.cardElevation(defaultElevation = 4.dp),\n        shape = RoundedCornerShape(12.dp)\n    ) {\n        Column {\n            // Изображение\n            AsyncImage(\n                model = ImageRequest.Builder(LocalContext.current)\n                    .data(product.thumbnail)\n                    .crossfade(true)\n                    .build(),\n                contentDescription = product.title,\n                contentScale = ContentScale.Crop,\n                modifier = Modifier\n                    .fillMaxWidth()\n                    .height(150.dp)\n            )\n\n            // Информация\n            Column(modifier = Modifier.padding(12.dp)) {\n                Text(\n                    text = product.title,\n                    style = MaterialTheme.typography.titleMedium,\n                    maxLines = 1,\n                    overflow = TextOverflow.Ellipsis\n                )\n\n                Spacer(modifier = Modifier.height(4.dp))\n\n                Row(\n                    verticalAlignment = Alignment.CenterVertically\n                ) {\n                    Text(\n                        text = \"$${product.price}\",\n                        style = MaterialTheme.typography.titleSmall,\n                        color = MaterialTheme.colorScheme.primary,\n                        fontWeight = FontWeight.Bold\n                    )\n\n                    if (product.discountPercentage > 0) {\n                        Spacer(modifier = Modifier.width(8.dp))\n                        Text(\n                            text = \"-${product.discountPercentage.toInt()}%\",\n                            style = MaterialTheme.typography.labelSmall,\n                            color = Color.Red\n                        )\n                    }\n                }\n\n                Spacer(modifier = Modifier.height(4.dp))\n\n                // Рейтинг\n                Row(verticalAlignment = Alignment.CenterVertically) {\n                    Icon(\n                        imageVector = Icons.Default.Star,\n                        contentDescription = null,\n                        tint = Color(0xFFFFB800),\n                        modifier = Modifier.size(16.dp)\n                    )\n                    Text(\n                        text = String.format(\"%.1f\", product.rating),\n                        style = MaterialTheme.typography.labelMedium,\n                        modifier = Modifier.padding(start = 4.dp)\n                    )\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "ErrorContent",
+                "subsection": "",
+                "anchor": "errorcontent",
+                "text": "",
+                "code": "@Composable\nfun ErrorContent(\n    message: String,\n    onRetry: () -> Unit,\n    modifier: Modifier = Modifier\n) {\n    Column(\n        modifier = modifier\n            .fillMaxSize()\n            .padding(32.dp),\n        horizontalAlignment = Alignment.CenterHorizontally,\n        verticalArrangement = Arrangement.Center\n    ) {\n        Icon(\n            imageVector = Icons.Default.Warning,\n            contentDescription = null,\n            tint = MaterialTheme.colorScheme.error,\n            modifier = Modifier.size(64.dp)\n        )\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        Text(\n            text = message,\n            style = MaterialTheme.typography.bodyLarge,\n            textAlign = TextAlign.Center\n        )\n\n        Spacer(modifier = Modifier.height(24.dp))\n\n        Button(onClick = onRetry) {\n            Text(\"Повторить\")\n        }\n    }\n}"
+            },
+            {
+                "section": "Coil для изображений",
+                "subsection": "Возможности Coil",
+                "anchor": "vozmozhnosti-coil",
+                "text": "• crossfade — анимация появления • placeholder — заглушка при загрузке • error — изображение при ошибке • memoryCachePolicy — кэширование в памяти • diskCachePolicy — кэширование на диске",
+                "code": "AsyncImage(\n    model = ImageRequest.Builder(LocalContext.current)\n        .data(product.thumbnail)\n        .crossfade(true)\n        .placeholder(R.drawable.placeholder)\n        .error(R.drawable.error)\n        .memoryCachePolicy(CachePolicy.ENABLED)\n        .build(),\n    contentDescription = product.title,\n    contentScale = ContentScale.Crop,\n    modifier = Modifier.fillMaxWidth()\n)"
+            },
+            {
+                "section": "Pull to Refresh",
+                "subsection": "",
+                "anchor": "pull-to-refresh",
+                "text": "",
+                "code": "@OptIn(ExperimentalMaterial3Api::class)\n@Composable\nfun HomeScreen(...) {\n    val pullRefreshState = rememberPullToRefreshState()\n\n    PullToRefreshBox(\n        isRefreshing = uiState.isLoading,\n        onRefresh = { viewModel.loadProducts() },\n        state = pullRefreshState\n    ) {\n        ProductGrid(\n            products = uiState.products,\n            onProductClick = onProductClick\n        )\n    }\n}"
+            },
+            {
+                "section": "Pull to Refresh",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• UseCase для получения списка товаров • ViewModel с UI State • HomeScreen с обработкой состояний • ProductGrid с LazyVerticalGrid • ProductCard с Coil для изображений • ErrorContent для отображения ошибок",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/06-product-detail.html",
+        "chapter": "Глава 6",
+        "title": "Детали товара",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 6: Детали товара",
+                "code": ""
+            },
+            {
+                "section": "GetProductByIdUseCase",
+                "subsection": "",
+                "anchor": "getproductbyidusecase",
+                "text": "",
+                "code": "class GetProductByIdUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    operator fun invoke(id: Int): Flow<Resource<Product>> {\n        return repository.getProductById(id)\n    }\n}"
+            },
+            {
+                "section": "DetailViewModel",
+                "subsection": "",
+                "anchor": "detailviewmodel",
+                "text": "",
+                "code": "sealed class DetailUiState {\n    object Loading : DetailUiState()\n    data class Success(val product: Product) : DetailUiState()\n    data class Error(val message: String) : DetailUiState()\n}\n\n@HiltViewModel\nclass DetailViewModel @Inject constructor(\n    private val getProductByIdUseCase: GetProductByIdUseCase,\n    private val addToCartUseCase: AddToCartUseCase,\n    savedStateHandle: SavedStateHandle\n) : ViewModel() {\n\n    private val productId: Int = savedStateHandle.get<Int>(\"productId\") ?: 0\n\n    private val _uiState = MutableStateFlow<DetailUiState>(DetailUiState.Loading)\n    val uiState: StateFlow<DetailUiState> = _uiState.asStateFlow()\n\n    init {\n        loadProduct()\n    }\n\n    private fun loadProduct() {\n        getProductByIdUseCase(productId).onEach { result ->\n            _uiState.value = when (result) {\n                is Resource.Loading -> DetailUiState.Loading\n                is Resource.Success -> DetailUiState.Success(result.data)\n                is Resource.Error -> DetailUiState.Error(result.message)\n            }\n        }.launchIn(viewModelScope)\n    }\n\n    fun addToCart() {\n        val state = _uiState.value\n        if (state is DetailUiState.Success) {\n            viewModelScope.launch {\n                addToCartUseCase(state.product)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "DetailScreen",
+                "subsection": "",
+                "anchor": "detailscreen",
+                "text": "",
+                "code": "@Composable\nfun DetailScreen(\n    viewModel: DetailViewModel = hiltViewModel(),\n    onBackClick: () -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"Детали товара\") },\n                navigationIcon = {\n                    IconButton(onClick = onBackClick) {\n                        Icon(Icons.AutoMirrored.Filled.ArrowBack, \"Назад\")\n                    }\n                }\n            )\n        }\n    ) { paddingValues ->\n        when (val state = uiState) {\n            is DetailUiState.Loading -> {\n                LoadingIndicator(Modifier.padding(paddingValues))\n            }\n            is DetailUiState.Error -> {\n                ErrorContent(message = state.message, onRetry = { })\n            }\n            is DetailUiState.Success -> {\n                ProductDetailContent(\n                    product = state.product,\n                    onAddToCart = { viewModel.addToCart() },\n                    modifier = Modifier.padding(paddingValues)\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "ProductDetailContent",
+                "subsection": "",
+                "anchor": "productdetailcontent",
+                "text": "",
+                "code": "@Composable\nfun ProductDetailContent(\n    product: Product,\n    onAddToCart: () -> Unit,\n    modifier: Modifier = Modifier\n) {\n    Column(\n        modifier = modifier\n            .fillMaxSize()\n            .verticalScroll(rememberScrollState())\n    ) {\n        // Галерея изображений\n        ImagePager(images = product.images)\n\n        Column(modifier = Modifier.padding(16.dp)) {\n            // Заголовок и бренд\n            Text(\n                text = product.title,\n                style = MaterialTheme.typography.headlineMedium,\n                fontWeight = FontWeight.Bold\n            )\n\n            Spacer(modifier = Modifier.height(4.dp))\n\n            Text(\n                text = product.brand,\n                style = MaterialTheme.typography.bodyLarge,\n                color = MaterialTheme.colorScheme.onSurfaceVariant\n            )\n\n            Spacer(modifier = Modifier.height(16.dp))\n\n            // Цена\n            PriceSection(\n                price = product.price,\n                discountPercentage = product.discountPercentage\n            )\n\n            Spacer(modifier = Modifier.height(16.dp))\n\n            // Рейтинг и наличие\n            Row(\n                horizontalArrangement = Arrangement.spacedBy(24.dp)\n            ) {\n                RatingBadge(rating = product.rating)\n                StockBadge(stock = product.stock)\n            }\n\n            Spacer(modifier = Modifier.height(24.dp))\n\n            // Описание\n            Text(\n                text = \"Описание\",\n                style = MaterialTheme.typography.titleMedium,\n                fontWeight = FontWeight.SemiBold\n            )\n\n            Spacer(modifier = Modifier.height(8.dp))\n\n            Text(\n                text = product.description,\n                style = MaterialTheme.typography.bodyMedium\n            )\n\n            Spacer(modifier = Modifier.height(32.dp))\n\n            // Кнопка добавления\n            Button(\n                onClick = onAddToCart,\n                modifier = Modifier.fillMaxWidth(),\n                shape = RoundedCornerShape(12.dp)\n            ) {\n                Icon(Icons.Default.ShoppingCart, null)\n                Spacer(modifier = Modifier.width(8.dp))\n                Text(\"Добавить в корзину\")\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "ImagePager — галерея изображений",
+                "subsection": "",
+                "anchor": "imagepager-galereya-izobrazheniy",
+                "text": "",
+                "code": "@OptIn(ExperimentalFoundationApi::class)\n@Composable\nfun ImagePager(images: List<String>) {\n    val pagerState = rememberPagerState(pageCount = { images.size })\n\n    Box {\n        HorizontalPager(\n            state = pagerState,\n            modifier = Modifier\n                .fillMaxWidth()\n                .height(300.dp)\n        ) { page ->\n            AsyncImage(\n                model = images[page],\n                contentDescription = null,\n                contentScale = ContentScale.Fit,\n                modifier = Modifier.fillMaxSize()\n            )\n        }\n\n        // Индикатор страниц\n        Row(\n            modifier = Modifier\n                .align(Alignment.BottomCenter)\n                .padding(bottom = 16.dp),\n            horizontalArrangement = Arrangement.spacedBy(8.dp)\n        ) {\n            repeat(images.size) { index ->\n                Box(\n                    modifier = Modifier\n                        .size(8.dp)\n                        .clip(CircleShape)\n                        .background(\n                            if (pagerState.currentPage == index)\n                                MaterialTheme.colorScheme.primary\n                            else\n                                Color.Gray.copy(alpha = 0.5f)\n                        )\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "PriceSection",
+                "subsection": "",
+                "anchor": "pricesection",
+                "text": "",
+                "code": "@Composable\nfun PriceSection(\n    price: Double,\n    discountPercentage: Double\n) {\n    val discountedPrice = price * (1 - discountPercentage / 100)\n\n    Row(verticalAlignment = Alignment.CenterVertically) {\n        Text(\n            text = \"$${String.format(\"%.2f\", discountedPrice)}\",\n            style = MaterialTheme.typography.headlineSmall,\n            fontWeight = FontWeight.Bold,\n            color = MaterialTheme.colorScheme.primary\n        )\n\n        if (discountPercentage > 0) {\n            Spacer(modifier = Modifier.width(12.dp))\n\n            Text(\n                text = \"$$price\",\n                style = MaterialTheme.typography.bodyLarge,\n                textDecoration = TextDecoration.LineThrough,\n                color = Color.Gray\n            )\n\n            Spacer(modifier = Modifier.width(8.dp))\n\n            Surface(\n                color = Color.Red.copy(alpha = 0.1f),\n                shape = RoundedCornerShape(4.dp)\n            ) {\n                Text(\n                    text = \"-${discountPercentage.toInt()}%\",\n                    color = Color.Red,\n                    modifier = Modifier.padding(horizontal = 6.dp, vertical = 2.dp),\n                    style = MaterialTheme.typography.labelMedium\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "RatingBadge и StockBadge",
+                "subsection": "",
+                "anchor": "ratingbadge-i-stockbadge",
+                "text": "",
+                "code": "@Composable\nfun RatingBadge(rating: Double) {\n    Row(verticalAlignment = Alignment.CenterVertically) {\n        Icon(\n            imageVector = Icons.Default.Star,\n            contentDescription = null,\n            tint = Color(0xFFFFB800),\n            modifier = Modifier.size(20.dp)\n        )\n        Spacer(modifier = Modifier.width(4.dp))\n        Text(\n            text = String.format(\"%.1f\", rating),\n            style = MaterialTheme.typography.bodyLarge,\n            fontWeight = FontWeight.Medium\n        )\n    }\n}\n\n@Composable\nfun StockBadge(stock: Int) {\n    val (text, color) = when {\n        stock > 10 -> \"В наличии\" to Color.Green\n        stock > 0 -> \"Мало\" to Color(0xFFFF9800)\n        else -> \"Нет в наличии\" to Color.Red\n    }\n\n    Text(\n        text = text,\n        color = color,\n        style = MaterialTheme.typography.bodyLarge,\n        fontWeight = FontWeight.Medium\n    )\n}"
+            },
+            {
+                "section": "RatingBadge и StockBadge",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• DetailViewModel с Sealed Class для состояний • HorizontalPager для галереи изображений • Секцию с ценой и скидкой • Бейджи рейтинга и наличия • Кнопку добавления в корзину",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/07-search.html",
+        "chapter": "Глава 7",
+        "title": "Поиск",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 7: Поиск",
+                "code": ""
+            },
+            {
+                "section": "SearchProductsUseCase",
+                "subsection": "",
+                "anchor": "searchproductsusecase",
+                "text": "",
+                "code": "class SearchProductsUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    operator fun invoke(query: String): Flow<Resource<List<Product>>> {\n        return repository.searchProducts(query)\n    }\n}"
+            },
+            {
+                "section": "SearchViewModel с Debounce",
+                "subsection": "",
+                "anchor": "searchviewmodel-s-debounce",
+                "text": "",
+                "code": "data class SearchUiState(\n    val query: String = \"\",\n    val isLoading: Boolean = false,\n    val products: List<Product> = emptyList(),\n    val error: String? = null,\n    val isSearchActive: Boolean = false\n)\n\n@HiltViewModel\nclass SearchViewModel @Inject constructor(\n    private val searchProductsUseCase: SearchProductsUseCase\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow(SearchUiState())\n    val uiState: StateFlow<SearchUiState> = _uiState.asStateFlow()\n\n    private val searchQuery = MutableStateFlow(\"\")\n\n    init {\n        // Debounce: ждём 300ms после ввода перед поиском\n        searchQuery\n            .debounce(300)\n            .filter { it.length >= 2 }\n            .distinctUntilChanged()\n            .flatMapLatest { query ->\n                searchProductsUseCase(query)\n            }\n            .onEach { result ->\n                when (result) {\n                    is Resource.Loading -> {\n                        _uiState.update { it.copy(isLoading = true) }\n                    }\n                    is Resource.Success -> {\n                        _uiState.update {\n                            it.copy(isLoading = false, products = result.data)\n                        }\n                    }\n                    is Resource.Error -> {\n                        _uiState.update {\n                            it.copy(isLoading = false, error = result.message)\n                        }\n                    }\n                }\n            }\n            .launchIn(viewModelScope)\n    }\n\n    fun onQueryChange(query: String) {\n        _uiState.update { it.copy(query = query) }\n        searchQuery.value = query\n\n        if (query.isEmpty()) {\n            _uiState.update { it.copy(products = emptyList()) }\n        }\n    }\n\n    fun onSearchActiveChange(active: Boolean) {\n        _uiState.update { it.copy(isSearchActive = active) }\n    }\n\n    fun clearSearch() {\n        _uiState.update {\n            it.copy(query = \"\", products = emptyList())\n        }\n        searchQuery.value = \"\"\n    }\n}"
+            },
+            {
+                "section": "SearchViewModel с Debounce",
+                "subsection": "Что такое Debounce?",
+                "anchor": "chto-takoe-debounce",
+                "text": "Debounce откладывает выполнение до тех пор, пока не пройдёт указанное время без новых событий. Это предотвращает лишние API запросы при каждом нажатии клавиши.",
+                "code": ""
+            },
+            {
+                "section": "SearchScreen",
+                "subsection": "",
+                "anchor": "searchscreen",
+                "text": "",
+                "code": "@OptIn(ExperimentalMaterial3Api::class)\n@Composable\nfun SearchScreen(\n    viewModel: SearchViewModel = hiltViewModel(),\n    onProductClick: (Int) -> Unit,\n    onBackClick: () -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    Column(modifier = Modifier.fillMaxSize()) {\n        // Поле поиска\n        SearchBar(\n            query = uiState.query,\n            onQueryChange = { viewModel.onQueryChange(it) },\n            onSearch = { },\n            active = uiState.isSearchActive,\n            onActiveChange = { viewModel.onSearchActiveChange(it) },\n            placeholder = { Text(\"Поиск товаров...\") },\n            leadingIcon = {\n                IconButton(onClick = onBackClick) {\n                    Icon(Icons.AutoMirrored.Filled.ArrowBack, \"Назад\")\n                }\n            },\n            trailingIcon = {\n                if (uiState.query.isNotEmpty()) {\n                    IconButton(onClick = { viewModel.clearSearch() }) {\n                        Icon(Icons.Default.Close, \"Очистить\")\n                    }\n                }\n            },\n            modifier = Modifier\n                .fillMaxWidth()\n                .padding(16.dp)\n        ) {\n            // Результаты поиска\n            SearchResults(\n                isLoading = uiState.isLoading,\n                products = uiState.products,\n                onProductClick = onProductClick\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "SearchResults",
+                "subsection": "",
+                "anchor": "searchresults",
+                "text": "",
+                "code": "@Composable\nfun SearchResults(\n    isLoading: Boolean,\n    products: List<Product>,\n    onProductClick: (Int) -> Unit\n) {\n    when {\n        isLoading -> {\n            Box(\n                modifier = Modifier.fillMaxWidth().padding(32.dp),\n                contentAlignment = Alignment.Center\n            ) {\n                CircularProgressIndicator()\n            }\n        }\n        products.isEmpty() -> {\n            EmptySearchResult()\n        }\n        else -> {\n            LazyColumn(\n                contentPadding = PaddingValues(16.dp),\n                verticalArrangement = Arrangement.spacedBy(8.dp)\n            ) {\n                items(products, key = { it.id }) { product ->\n                    SearchResultItem(\n                        product = product,\n                        onClick = { onProductClick(product.id) }\n                    )\n                }\n            }\n        }\n    }\n}\n\n@Composable\nfun EmptySearchResult() {\n    Column(\n        modifier = Modifier\n            .fillMaxWidth()\n            .padding(32.dp),\n        horizontalAlignment = Alignment.CenterHorizontally\n    ) {\n        Icon(\n            imageVector = Icons.Default.Search,\n            contentDescription = null,\n            modifier = Modifier.size(64.dp),\n            tint = Color.Gray\n        )\n        Spacer(modifier = Modifier.height(16.dp))\n        Text(\n            text = \"Ничего не найдено\",\n            style = MaterialTheme.typography.bodyLarge,\n            color = Color.Gray\n        )\n    }\n}"
+            },
+            {
+                "section": "SearchResultItem",
+                "subsection": "",
+                "anchor": "searchresultitem",
+                "text": "",
+                "code": "@Composable\nfun SearchResultItem(\n    product: Product,\n    onClick: () -> Unit\n) {\n    Card(\n        modifier = Modifier\n            .fillMaxWidth()\n            .clickable { onClick() },\n        shape = RoundedCornerShape(8.dp)\n    ) {\n        Row(\n            modifier = Modifier.padding(12.dp),\n            verticalAlignment = Alignment.CenterVertically\n        ) {\n            AsyncImage(\n                model = product.thumbnail,\n                contentDescription = null,\n                modifier = Modifier\n                    .size(60.dp)\n                    .clip(RoundedCornerShape(8.dp)),\n                contentScale = ContentScale.Crop\n            )\n\n            Spacer(modifier = Modifier.width(12.dp))\n\n            Column(modifier = Modifier.weight(1f)) {\n                Text(\n                    text = product.title,\n                    style = MaterialTheme.typography.titleMedium,\n                    maxLines = 1,\n                    overflow = TextOverflow.Ellipsis\n                )\n\n                Text(\n                    text = product.category,\n                    style = MaterialTheme.typography.bodySmall,\n                    color = Color.Gray\n                )\n\n                Text(\n                    text = \"$${product.price}\",\n                    style = MaterialTheme.typography.titleSmall,\n                    color = MaterialTheme.colorScheme.primary,\n                    fontWeight = FontWeight.Bold\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Flow операторы для поиска",
+                "subsection": "",
+                "anchor": "flow-operatory-dlya-poiska",
+                "text": "Оператор Описание debounce(300) Ждёт 300ms без новых значений filter { } Фильтрует значения (мин. 2 символа) distinctUntilChanged() Пропускает повторяющиеся значения flatMapLatest { } Отменяет предыдущий запрос при новом",
+                "code": ""
+            },
+            {
+                "section": "История поиска (DataStore)",
+                "subsection": "",
+                "anchor": "istoriya-poiska-datastore",
+                "text": "",
+                "code": "class SearchHistoryDataStore @Inject constructor(\n    private val dataStore: DataStore<Preferences>\n) {\n    private val SEARCH_HISTORY_KEY = stringSetPreferencesKey(\"search_history\")\n\n    val searchHistory: Flow<List<String>> = dataStore.data.map { prefs ->\n        prefs[SEARCH_HISTORY_KEY]?.toList() ?: emptyList()\n    }\n\n    suspend fun addToHistory(query: String) {\n        dataStore.edit { prefs ->\n            val current = prefs[SEARCH_HISTORY_KEY]?.toMutableSet() ?: mutableSetOf()\n            current.add(query)\n            // Храним только последние 10\n            prefs[SEARCH_HISTORY_KEY] = current.takeLast(10).toSet()\n        }\n    }\n\n    suspend fun clearHistory() {\n        dataStore.edit { prefs ->\n            prefs.remove(SEARCH_HISTORY_KEY)\n        }\n    }\n}"
+            },
+            {
+                "section": "История поиска (DataStore)",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• SearchViewModel с debounce • Material 3 SearchBar • Результаты поиска с LazyColumn • Историю поиска с DataStore • Использование Flow операторов",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/08-favorites.html",
+        "chapter": "Глава 8",
+        "title": "Избранное",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 8: Избранное",
+                "code": ""
+            },
+            {
+                "section": "Room Entity",
+                "subsection": "",
+                "anchor": "room-entity",
+                "text": "",
+                "code": "@Entity(tableName = \"favorites\")\ndata class FavoriteEntity(\n    @PrimaryKey\n    val id: Int,\n    val title: String,\n    val price: Double,\n    val thumbnail: String,\n    val addedAt: Long = System.currentTimeMillis()\n)"
+            },
+            {
+                "section": "DAO",
+                "subsection": "",
+                "anchor": "dao",
+                "text": "",
+                "code": "@Dao\ninterface FavoriteDao {\n\n    @Query(\"SELECT * FROM favorites ORDER BY addedAt DESC\")\n    fun getAllFavorites(): Flow<List<FavoriteEntity>>\n\n    @Query(\"SELECT EXISTS(SELECT 1 FROM favorites WHERE id = :productId)\")\n    fun isFavorite(productId: Int): Flow<Boolean>\n\n    @Insert(onConflict = OnConflictStrategy.REPLACE)\n    suspend fun addToFavorites(favorite: FavoriteEntity)\n\n    @Query(\"DELETE FROM favorites WHERE id = :productId\")\n    suspend fun removeFromFavorites(productId: Int)\n\n    @Query(\"SELECT COUNT(*) FROM favorites\")\n    fun getFavoritesCount(): Flow<Int>\n}"
+            },
+            {
+                "section": "Database",
+                "subsection": "",
+                "anchor": "database",
+                "text": "",
+                "code": "@Database(\n    entities = [FavoriteEntity::class, CartEntity::class],\n    version = 1,\n    exportSchema = false\n)\nabstract class EcommerceDatabase : RoomDatabase() {\n    abstract fun favoriteDao(): FavoriteDao\n    abstract fun cartDao(): CartDao\n}"
+            },
+            {
+                "section": "Database Module",
+                "subsection": "",
+                "anchor": "database-module",
+                "text": "",
+                "code": "@Module\n@InstallIn(SingletonComponent::class)\nobject DatabaseModule {\n\n    @Provides\n    @Singleton\n    fun provideDatabase(\n        @ApplicationContext context: Context\n    ): EcommerceDatabase {\n        return Room.databaseBuilder(\n            context,\n            EcommerceDatabase::class.java,\n            Constants.DATABASE_NAME\n        ).build()\n    }\n\n    @Provides\n    fun provideFavoriteDao(db: EcommerceDatabase): FavoriteDao {\n        return db.favoriteDao()\n    }\n}"
+            },
+            {
+                "section": "FavoriteRepository",
+                "subsection": "",
+                "anchor": "favoriterepository",
+                "text": "",
+                "code": "interface FavoriteRepository {\n    fun getAllFavorites(): Flow<List<Product>>\n    fun isFavorite(productId: Int): Flow<Boolean>\n    suspend fun toggleFavorite(product: Product)\n}\n\nclass FavoriteRepositoryImpl @Inject constructor(\n    private val favoriteDao: FavoriteDao\n) : FavoriteRepository {\n\n    override fun getAllFavorites(): Flow<List<Product>> {\n        return favoriteDao.getAllFavorites().map { entities ->\n            entities.map { it.toDomain() }\n        }\n    }\n\n    override fun isFavorite(productId: Int): Flow<Boolean> {\n        return favoriteDao.isFavorite(productId)\n    }\n\n    override suspend fun toggleFavorite(product: Product) {\n        val isFav = favoriteDao.isFavorite(product.id).first()\n        if (isFav) {\n            favoriteDao.removeFromFavorites(product.id)\n        } else {\n            favoriteDao.addToFavorites(product.toEntity())\n        }\n    }\n}"
+            },
+            {
+                "section": "Mappers",
+                "subsection": "",
+                "anchor": "mappers",
+                "text": "",
+                "code": "fun FavoriteEntity.toDomain(): Product {\n    return Product(\n        id = id,\n        title = title,\n        price = price,\n        thumbnail = thumbnail,\n        // Остальные поля по умолчанию\n        description = \"\",\n        discountPercentage = 0.0,\n        rating = 0.0,\n        stock = 0,\n        brand = \"\",\n        category = \"\",\n        images = emptyList()\n    )\n}\n\nfun Product.toEntity(): FavoriteEntity {\n    return FavoriteEntity(\n        id = id,\n        title = title,\n        price = price,\n        thumbnail = thumbnail\n    )\n}"
+            },
+            {
+                "section": "FavoritesViewModel",
+                "subsection": "",
+                "anchor": "favoritesviewmodel",
+                "text": "",
+                "code": "@HiltViewModel\nclass FavoritesViewModel @Inject constructor(\n    private val favoriteRepository: FavoriteRepository\n) : ViewModel() {\n\n    val favorites: StateFlow<List<Product>> = favoriteRepository\n        .getAllFavorites()\n        .stateIn(\n            scope = viewModelScope,\n            started = SharingStarted.WhileSubscribed(5000),\n            initialValue = emptyList()\n        )\n\n    fun removeFromFavorites(product: Product) {\n        viewModelScope.launch {\n            favoriteRepository.toggleFavorite(product)\n        }\n    }\n}"
+            },
+            {
+                "section": "FavoriteButton",
+                "subsection": "",
+                "anchor": "favoritebutton",
+                "text": "",
+                "code": "@Composable\nfun FavoriteButton(\n    isFavorite: Boolean,\n    onToggle: () -> Unit,\n    modifier: Modifier = Modifier\n) {\n    IconButton(\n        onClick = onToggle,\n        modifier = modifier\n    ) {\n        Icon(\n            imageVector = if (isFavorite)\n                Icons.Filled.Favorite\n            else\n                Icons.Outlined.FavoriteBorder,\n            contentDescription = if (isFavorite) \"Убрать из избранного\" else \"Добавить в избранное\",\n            tint = if (isFavorite) Color.Red else Color.Gray\n        )\n    }\n}"
+            },
+            {
+                "section": "FavoritesScreen",
+                "subsection": "",
+                "anchor": "favoritesscreen",
+                "text": "",
+                "code": "@Composable\nfun FavoritesScreen(\n    viewModel: FavoritesViewModel = hiltViewModel(),\n    onProductClick: (Int) -> Unit\n) {\n    val favorites by viewModel.favorites.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"Избранное\") }\n            )\n        }\n    ) { paddingValues ->\n        if (favorites.isEmpty()) {\n            EmptyFavorites(Modifier.padding(paddingValues))\n        } else {\n            LazyColumn(\n                contentPadding = paddingValues,\n                modifier = Modifier.fillMaxSize()\n            ) {\n                items(\n                    items = favorites,\n                    key = { it.id }\n                ) { product ->\n                    FavoriteItem(\n                        product = product,\n                        onProductClick = { onProductClick(product.id) },\n                        onRemove = { viewModel.removeFromFavorites(product) }\n                    )\n                }\n            }\n        }\n    }\n}\n\n@Composable\nfun EmptyFavorites(modifier: Modifier = Modifier) {\n    Column(\n        modifier = modifier.fillMaxSize(),\n        horizontalAlignment = Alignment.CenterHorizontally,\n        verticalArrangement = Arrangement.Center\n    ) {\n        Icon(\n            imageVector = Icons.Outlined.FavoriteBorder,\n            contentDescription = null,\n            modifier = Modifier.size(80.dp),\n            tint = Color.Gray\n        )\n        Spacer(modifier = Modifier.height(16.dp))\n        Text(\n            text = \"Нет избранных товаров\",\n            style = MaterialTheme.typography.bodyLarge,\n            color = Color.Gray\n        )\n    }\n}"
+            },
+            {
+                "section": "FavoriteItem с Swipe to Delete",
+                "subsection": "",
+                "anchor": "favoriteitem-s-swipe-to-delete",
+                "text": "",
+                "code": "@OptIn(ExperimentalMaterial3Api::class)\n@Composable\nfun FavoriteItem(\n    product: Product,\n    onProductClick: () -> Unit,\n    onRemove: () -> Unit\n) {\n    val dismissState = rememberSwipeToDismissBoxState(\n        confirmValueChange = { value ->\n            if (value == SwipeToDismissBoxValue.EndToStart) {\n                onRemove()\n                true\n            } else false\n        }\n    )\n\n    SwipeToDismissBox(\n        state = dismissState,\n        backgroundContent = {\n            Box(\n                modifier = Modifier\n                    .fillMaxSize()\n                    .background(Color.Red)\n                    .padding(horizontal = 16.dp),\n                contentAlignment = Alignment.CenterEnd\n            ) {\n                Icon(\n                    imageVector = Icons.Default.Delete,\n                    contentDescription = \"Удалить\",\n                    tint = Color.White\n                )\n            }\n        }\n    ) {\n        Card(\n            modifier = Modifier\n                .fillMaxWidth()\n                .clickable { onProductClick() }\n        ) {\n            Row(\n                modifier = Modifier.padding(12.dp),\n                verticalAlignment = Alignment.CenterVertically\n            ) {\n                AsyncImage(\n                    model = product.thumbnail,\n                    contentDescription = null,\n                    modifier = Modifier\n                        .size(80.dp)\n                        .clip(RoundedCornerShape(8.dp))\n                )\n\n                Spacer(modifier = Modifier.width(12.dp))\n\n                Column(modifier = Modifier.weight(1f)) {\n                    Text(\n                        text = product.title,\n                        style = MaterialTheme.typography.titleMedium\n                    )\n                    Text(\n                        text = \"$${product.price}\",\n                        style = MaterialTheme.typography.bodyLarge,\n                        color = MaterialTheme.colorScheme.primary\n                    )\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "FavoriteItem с Swipe to Delete",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• Room Entity и DAO для избранного • FavoriteRepository с Flow • FavoriteButton компонент • FavoritesScreen со списком • Swipe to Delete для удаления",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/09-cart.html",
+        "chapter": "Глава 9",
+        "title": "Корзина",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 9: Корзина",
+                "code": ""
+            },
+            {
+                "section": "CartItem модель",
+                "subsection": "",
+                "anchor": "cartitem-model",
+                "text": "",
+                "code": "// domain/model/CartItem.kt\ndata class CartItem(\n    val product: Product,\n    val quantity: Int\n) {\n    val totalPrice: Double\n        get() = product.price * quantity\n}"
+            },
+            {
+                "section": "CartEntity",
+                "subsection": "",
+                "anchor": "cartentity",
+                "text": "",
+                "code": "@Entity(tableName = \"cart\")\ndata class CartEntity(\n    @PrimaryKey\n    val productId: Int,\n    val title: String,\n    val price: Double,\n    val thumbnail: String,\n    val quantity: Int\n)"
+            },
+            {
+                "section": "CartDao",
+                "subsection": "",
+                "anchor": "cartdao",
+                "text": "",
+                "code": "@Dao\ninterface CartDao {\n\n    @Query(\"SELECT * FROM cart\")\n    fun getAllItems(): Flow<List<CartEntity>>\n\n    @Query(\"SELECT SUM(quantity) FROM cart\")\n    fun getTotalItemCount(): Flow<Int?>\n\n    @Query(\"SELECT SUM(price * quantity) FROM cart\")\n    fun getTotalPrice(): Flow<Double?>\n\n    @Insert(onConflict = OnConflictStrategy.REPLACE)\n    suspend fun insertItem(item: CartEntity)\n\n    @Query(\"UPDATE cart SET quantity = quantity + 1 WHERE productId = :productId\")\n    suspend fun incrementQuantity(productId: Int)\n\n    @Query(\"UPDATE cart SET quantity = quantity - 1 WHERE productId = :productId AND quantity > 1\")\n    suspend fun decrementQuantity(productId: Int)\n\n    @Query(\"DELETE FROM cart WHERE productId = :productId\")\n    suspend fun removeItem(productId: Int)\n\n    @Query(\"DELETE FROM cart\")\n    suspend fun clearCart()\n\n    @Query(\"SELECT * FROM cart WHERE productId = :productId\")\n    suspend fun getItem(productId: Int): CartEntity?\n}"
+            },
+            {
+                "section": "CartRepository",
+                "subsection": "",
+                "anchor": "cartrepository",
+                "text": "",
+                "code": "class CartRepositoryImpl @Inject constructor(\n    private val cartDao: CartDao\n) : CartRepository {\n\n    override fun getCartItems(): Flow<List<CartItem>> {\n        return cartDao.getAllItems().map { entities ->\n            entities.map { it.toDomain() }\n        }\n    }\n\n    override fun getCartCount(): Flow<Int> {\n        return cartDao.getTotalItemCount().map { it ?: 0 }\n    }\n\n    override fun getTotalPrice(): Flow<Double> {\n        return cartDao.getTotalPrice().map { it ?: 0.0 }\n    }\n\n    override suspend fun addToCart(product: Product) {\n        val existing = cartDao.getItem(product.id)\n        if (existing != null) {\n            cartDao.incrementQuantity(product.id)\n        } else {\n            cartDao.insertItem(product.toCartEntity())\n        }\n    }\n\n    override suspend fun updateQuantity(productId: Int, increment: Boolean) {\n        if (increment) {\n            cartDao.incrementQuantity(productId)\n        } else {\n            val item = cartDao.getItem(productId)\n            if (item != null && item.quantity > 1) {\n                cartDao.decrementQuantity(productId)\n            } else {\n                cartDao.removeItem(productId)\n            }\n        }\n    }\n\n    override suspend fun removeFromCart(productId: Int) {\n        cartDao.removeItem(productId)\n    }\n\n    override suspend fun clearCart() {\n        cartDao.clearCart()\n    }\n}"
+            },
+            {
+                "section": "CartViewModel",
+                "subsection": "",
+                "anchor": "cartviewmodel",
+                "text": "",
+                "code": "data class CartUiState(\n    val items: List<CartItem> = emptyList(),\n    val totalPrice: Double = 0.0,\n    val isCheckingOut: Boolean = false\n)\n\n@HiltViewModel\nclass CartViewModel @Inject constructor(\n    private val cartRepository: CartRepository\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow(CartUiState())\n    val uiState: StateFlow<CartUiState> = _uiState.asStateFlow()\n\n    init {\n        viewModelScope.launch {\n            combine(\n                cartRepository.getCartItems(),\n                cartRepository.getTotalPrice()\n            ) { items, total ->\n                CartUiState(items = items, totalPrice = total)\n            }.collect { state ->\n                _uiState.value = state\n            }\n        }\n    }\n\n    fun incrementQuantity(productId: Int) {\n        viewModelScope.launch {\n            cartRepository.updateQuantity(productId, increment = true)\n        }\n    }\n\n    fun decrementQuantity(productId: Int) {\n        viewModelScope.launch {\n            cartRepository.updateQuantity(productId, increment = false)\n        }\n    }\n\n    fun removeItem(productId: Int) {\n        viewModelScope.launch {\n            cartRepository.removeFromCart(productId)\n        }\n    }\n\n    fun checkout() {\n        viewModelScope.launch {\n            _uiState.update { it.copy(isCheckingOut = true) }\n            // Имитация оформления заказа\n            delay(2000)\n            cartRepository.clearCart()\n            _uiState.update { it.copy(isCheckingOut = false) }\n        }\n    }\n}"
+            },
+            {
+                "section": "CartScreen",
+                "subsection": "",
+                "anchor": "cartscreen",
+                "text": "",
+                "code": "@Composable\nfun CartScreen(\n    viewModel: CartViewModel = hiltViewModel()\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(title = { Text(\"Корзина\") })\n        },\n        bottomBar = {\n            if (uiState.items.isNotEmpty()) {\n                CartBottomBar(\n                    totalPrice = uiState.totalPrice,\n                    isLoading = uiState.isCheckingOut,\n                    onCheckout = { viewModel.checkout() }\n                )\n            }\n        }\n    ) { paddingValues ->\n        if (uiState.items.isEmpty()) {\n            EmptyCart(Modifier.padding(paddingValues))\n        } else {\n            LazyColumn(\n                contentPadding = paddingValues,\n                verticalArrangement = Arrangement.spacedBy(8.dp),\n                modifier = Modifier.padding(horizontal = 16.dp)\n            ) {\n                items(uiState.items, key = { it.product.id }) { item ->\n                    CartItemCard(\n                        item = item,\n                        onIncrement = { viewModel.incrementQuantity(item.product.id) },\n                        onDecrement = { viewModel.decrementQuantity(item.product.id) },\n                        onRemove = { viewModel.removeItem(item.product.id) }\n                    )\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "CartItemCard",
+                "subsection": "",
+                "anchor": "cartitemcard",
+                "text": "",
+                "code": "@Composable\nfun CartItemCard(\n    item: CartItem,\n    onIncrement: () -> Unit,\n    onDecrement: () -> Unit,\n    onRemove: () -> Unit\n) {\n    Card(\n        modifier = Modifier.fillMaxWidth(),\n        shape = RoundedCornerShape(12.dp)\n    ) {\n        Row(\n            modifier = Modifier.padding(12.dp),\n            verticalAlignment = Alignment.CenterVertically\n        ) {\n            AsyncImage(\n                model = item.product.thumbnail,\n                contentDescription = null,\n                modifier = Modifier\n                    .size(80.dp)\n                    .clip(RoundedCornerShape(8.dp))\n            )\n\n            Spacer(modifier = Modifier.width(12.dp))\n\n            Column(modifier = Modifier.weight(1f)) {\n                Text(\n                    text = item.product.title,\n                    style = MaterialTheme.typography.titleMedium,\n                    maxLines = 2\n                )\n\n                Spacer(modifier = Modifier.height(4.dp))\n\n                Text(\n                    text = \"$${String.format(\"%.2f\", item.totalPrice)}\",\n                    style = MaterialTheme.typography.titleSmall,\n                    color = MaterialTheme.colorScheme.primary\n                )\n\n                Spacer(modifier = Modifier.height(8.dp))\n\n                // Количество\n                QuantitySelector(\n                    quantity = item.quantity,\n                    onIncrement = onIncrement,\n                    onDecrement = onDecrement\n                )\n            }\n\n            IconButton(onClick = onRemove) {\n                Icon(\n                    imageVector = Icons.Default.Delete,\n                    contentDescription = \"Удалить\",\n                    tint = Color.Red\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "QuantitySelector",
+                "subsection": "",
+                "anchor": "quantityselector",
+                "text": "",
+                "code": "@Composable\nfun QuantitySelector(\n    quantity: Int,\n    onIncrement: () -> Unit,\n    onDecrement: () -> Unit\n) {\n    Row(\n        verticalAlignment = Alignment.CenterVertically,\n        modifier = Modifier\n            .background(\n                MaterialTheme.colorScheme.surfaceVariant,\n                RoundedCornerShape(8.dp)\n            )\n    ) {\n        IconButton(\n            onClick = onDecrement,\n            modifier = Modifier.size(32.dp)\n        ) {\n            Icon(\n                imageVector = Icons.Default.Remove,\n                contentDescription = \"Уменьшить\",\n                modifier = Modifier.size(16.dp)\n            )\n        }\n\n        Text(\n            text = quantity.toString(),\n            style = MaterialTheme.typography.titleMedium,\n            modifier = Modifier.padding(horizontal = 12.dp)\n        )\n\n        IconButton(\n            onClick = onIncrement,\n            modifier = Modifier.size(32.dp)\n        ) {\n            Icon(\n                imageVector = Icons.Default.Add,\n                contentDescription = \"Увеличить\",\n                modifier = Modifier.size(16.dp)\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "CartBottomBar",
+                "subsection": "",
+                "anchor": "cartbottombar",
+                "text": "",
+                "code": "@Composable\nfun CartBottomBar(\n    totalPrice: Double,\n    isLoading: Boolean,\n    onCheckout: () -> Unit\n) {\n    Surface(\n        tonalElevation = 8.dp,\n        modifier = Modifier.fillMaxWidth()\n    ) {\n        Row(\n            modifier = Modifier\n                .padding(16.dp)\n                .fillMaxWidth(),\n            horizontalArrangement = Arrangement.SpaceBetween,\n            verticalAlignment = Alignment.CenterVertically\n        ) {\n            Column {\n                Text(\n                    text = \"Итого:\",\n                    style = MaterialTheme.typography.bodyMedium,\n                    color = Color.Gray\n                )\n                Text(\n                    text = \"$${String.format(\"%.2f\", totalPrice)}\",\n                    style = MaterialTheme.typography.headlineSmall,\n                    fontWeight = FontWeight.Bold\n                )\n            }\n\n            Button(\n                onClick = onCheckout,\n                enabled = !isLoading,\n                shape = RoundedCornerShape(12.dp)\n            ) {\n                if (isLoading) {\n                    CircularProgressIndicator(\n                        modifier = Modifier.size(20.dp),\n                        color = Color.White\n                    )\n                } else {\n                    Text(\"Оформить заказ\")\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Cart Badge в навигации",
+                "subsection": "",
+                "anchor": "cart-badge-v-navigatsii",
+                "text": "",
+                "code": "@Composable\nfun CartBadge(count: Int) {\n    BadgedBox(\n        badge = {\n            if (count > 0) {\n                Badge {\n                    Text(if (count > 99) \"99+\" else count.toString())\n                }\n            }\n        }\n    ) {\n        Icon(\n            imageVector = Icons.Default.ShoppingCart,\n            contentDescription = \"Корзина\"\n        )\n    }\n}"
+            },
+            {
+                "section": "Cart Badge в навигации",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• CartEntity и CartDao для хранения • CartRepository с управлением количеством • CartViewModel с combine для подсчёта • CartItemCard с QuantitySelector • CartBottomBar с кнопкой оформления • BadgedBox для отображения количества",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/10-navigation.html",
+        "chapter": "Глава 10",
+        "title": "Навигация",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с iOS &harr; Глава 10: Навигация",
+                "code": ""
+            },
+            {
+                "section": "Определение маршрутов",
+                "subsection": "",
+                "anchor": "opredelenie-marshrutov",
+                "text": "",
+                "code": "sealed class Screen(val route: String) {\n    object Home : Screen(\"home\")\n    object Search : Screen(\"search\")\n    object Favorites : Screen(\"favorites\")\n    object Cart : Screen(\"cart\")\n    object Profile : Screen(\"profile\")\n\n    object ProductDetail : Screen(\"product/{productId}\") {\n        fun createRoute(productId: Int) = \"product/$productId\"\n    }\n\n    object Category : Screen(\"category/{categoryName}\") {\n        fun createRoute(name: String) = \"category/$name\"\n    }\n}"
+            },
+            {
+                "section": "NavGraph",
+                "subsection": "",
+                "anchor": "navgraph",
+                "text": "",
+                "code": "@Composable\nfun EcommerceNavGraph(\n    navController: NavHostController = rememberNavController()\n) {\n    NavHost(\n        navController = navController,\n        startDestination = Screen.Home.route\n    ) {\n        // Главная\n        composable(route = Screen.Home.route) {\n            HomeScreen(\n                onProductClick = { productId ->\n                    navController.navigate(Screen.ProductDetail.createRoute(productId))\n                },\n                onSearchClick = {\n                    navController.navigate(Screen.Search.route)\n                }\n            )\n        }\n\n        // Детали товара\n        composable(\n            route = Screen.ProductDetail.route,\n            arguments = listOf(\n                navArgument(\"productId\") { type = NavType.IntType }\n            )\n        ) {\n            DetailScreen(\n                onBackClick = { navController.popBackStack() }\n            )\n        }\n\n        // Поиск\n        composable(route = Screen.Search.route) {\n            SearchScreen(\n                onProductClick = { productId ->\n                    navController.navigate(Screen.ProductDetail.createRoute(productId))\n                },\n                onBackClick = { navController.popBackStack() }\n            )\n        }\n\n        // Избранное\n        composable(route = Screen.Favorites.route) {\n            FavoritesScreen(\n                onProductClick = { productId ->\n                    navController.navigate(Screen.ProductDetail.createRoute(productId))\n                }\n            )\n        }\n\n        // Корзина\n        composable(route = Screen.Cart.route) {\n            CartScreen()\n        }\n    }\n}"
+            },
+            {
+                "section": "Bottom Navigation",
+                "subsection": "",
+                "anchor": "bottom-navigation",
+                "text": "",
+                "code": "sealed class BottomNavItem(\n    val route: String,\n    val icon: ImageVector,\n    val label: String\n) {\n    object Home : BottomNavItem(\"home\", Icons.Default.Home, \"Главная\")\n    object Favorites : BottomNavItem(\"favorites\", Icons.Default.Favorite, \"Избранное\")\n    object Cart : BottomNavItem(\"cart\", Icons.Default.ShoppingCart, \"Корзина\")\n    object Profile : BottomNavItem(\"profile\", Icons.Default.Person, \"Профиль\")\n}\n\n@Composable\nfun BottomNavigationBar(\n    navController: NavHostController,\n    cartCount: Int\n) {\n    val items = listOf(\n        BottomNavItem.Home,\n        BottomNavItem.Favorites,\n        BottomNavItem.Cart,\n        BottomNavItem.Profile\n    )\n\n    val navBackStackEntry by navController.currentBackStackEntryAsState()\n    val currentRoute = navBackStackEntry?.destination?.route\n\n    NavigationBar {\n        items.forEach { item ->\n            NavigationBarItem(\n                selected = currentRoute == item.route,\n                onClick = {\n                    navController.navigate(item.route) {\n                        // Избегаем дублирования в стеке\n                        popUpTo(navController.graph.startDestinationId) {\n                            saveState = true\n                        }\n                        launchSingleTop = true\n                        restoreState = true\n                    }\n                },\n                icon = {\n                    if (item == BottomNavItem.Cart && cartCount > 0) {\n                        BadgedBox(badge = { Badge { Text(cartCount.toString()) } }) {\n                            Icon(item.icon, item.label)\n                        }\n                    } else {\n                        Icon(item.icon, item.label)\n                    }\n                },\n                label = { Text(item.label) }\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "MainScreen с Navigation",
+                "subsection": "",
+                "anchor": "mainscreen-s-navigation",
+                "text": "",
+                "code": "@Composable\nfun MainScreen() {\n    val navController = rememberNavController()\n    val cartViewModel: CartViewModel = hiltViewModel()\n    val cartCount by cartViewModel.cartCount.collectAsStateWithLifecycle()\n\n    val navBackStackEntry by navController.currentBackStackEntryAsState()\n    val currentRoute = navBackStackEntry?.destination?.route\n\n    // Скрываем bottom bar на экране деталей\n    val showBottomBar = currentRoute in listOf(\n        Screen.Home.route,\n        Screen.Favorites.route,\n        Screen.Cart.route,\n        Screen.Profile.route\n    )\n\n    Scaffold(\n        bottomBar = {\n            if (showBottomBar) {\n                BottomNavigationBar(\n                    navController = navController,\n                    cartCount = cartCount\n                )\n            }\n        }\n    ) { paddingValues ->\n        EcommerceNavGraph(\n            navController = navController,\n            modifier = Modifier.padding(paddingValues)\n        )\n    }\n}"
+            },
+            {
+                "section": "Deep Links",
+                "subsection": "",
+                "anchor": "deep-links",
+                "text": "Добавьте в AndroidManifest.xml:",
+                "code": "composable(\n    route = Screen.ProductDetail.route,\n    arguments = listOf(\n        navArgument(\"productId\") { type = NavType.IntType }\n    ),\n    deepLinks = listOf(\n        navDeepLink {\n            uriPattern = \"https://myshop.com/product/{productId}\"\n        }\n    )\n) {\n    DetailScreen(onBackClick = { navController.popBackStack() })\n}\n<intent-filter>\n    <action android:name=\"android.intent.action.VIEW\" />\n    <category android:name=\"android.intent.category.DEFAULT\" />\n    <category android:name=\"android.intent.category.BROWSABLE\" />\n    <data\n        android:scheme=\"https\"\n        android:host=\"myshop.com\"\n        android:pathPrefix=\"/product\" />\n</intent-filter>"
+            },
+            {
+                "section": "Анимации переходов",
+                "subsection": "",
+                "anchor": "animatsii-perehodov",
+                "text": "",
+                "code": "composable(\n    route = Screen.ProductDetail.route,\n    enterTransition = {\n        slideInHorizontally(\n            initialOffsetX = { it },\n            animationSpec = tween(300)\n        )\n    },\n    exitTransition = {\n        slideOutHorizontally(\n            targetOffsetX = { -it },\n            animationSpec = tween(300)\n        )\n    },\n    popEnterTransition = {\n        slideInHorizontally(\n            initialOffsetX = { -it },\n            animationSpec = tween(300)\n        )\n    },\n    popExitTransition = {\n        slideOutHorizontally(\n            targetOffsetX = { it },\n            animationSpec = tween(300)\n        )\n    }\n) {\n    DetailScreen(onBackClick = { navController.popBackStack() })\n}"
+            },
+            {
+                "section": "Передача данных между экранами",
+                "subsection": "",
+                "anchor": "peredacha-dannyh-mezhdu-ekranami",
+                "text": "",
+                "code": "// Получение аргументов в ViewModel через SavedStateHandle\n@HiltViewModel\nclass DetailViewModel @Inject constructor(\n    savedStateHandle: SavedStateHandle,\n    private val getProductByIdUseCase: GetProductByIdUseCase\n) : ViewModel() {\n\n    // Автоматически получаем productId из навигации\n    private val productId: Int = savedStateHandle.get<Int>(\"productId\") ?: 0\n\n    init {\n        loadProduct(productId)\n    }\n}"
+            },
+            {
+                "section": "Навигация с результатом",
+                "subsection": "",
+                "anchor": "navigatsiya-s-rezultatom",
+                "text": "",
+                "code": "// Отправка результата\nnavController.previousBackStackEntry\n    ?.savedStateHandle\n    ?.set(\"selected_product\", productId)\nnavController.popBackStack()\n\n// Получение результата\nval result = navController.currentBackStackEntry\n    ?.savedStateHandle\n    ?.getLiveData<Int>(\"selected_product\")\n    ?.observeAsState()"
+            },
+            {
+                "section": "Навигация с результатом",
+                "subsection": "Что мы создали",
+                "anchor": "chto-my-sozdali",
+                "text": "• Sealed class для маршрутов • NavHost с composable • Bottom Navigation с Badge • Deep Links для внешних ссылок • Анимации переходов • Передача аргументов",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/11-di-hilt.html",
+        "chapter": "Глава 11",
+        "title": "Hilt DI",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Глава 11: Hilt Dependency Injection",
+                "code": ""
+            },
+            {
+                "section": "Что такое Dependency Injection?",
+                "subsection": "",
+                "anchor": "chto-takoe-dependency-injection",
+                "text": "Dependency Injection (DI) — это паттерн, при котором зависимости передаются объекту извне, а не создаются внутри него. Это упрощает тестирование и делает код гибким. Без DI (плохо) С DI (хорошо)",
+                "code": "class HomeViewModel : ViewModel() {\n    // Жёсткая связь — сложно тестировать\n    private val repo = ProductRepositoryImpl(\n        api = Retrofit.create(ProductApi::class)\n    )\n}\n@HiltViewModel\nclass HomeViewModel @Inject constructor(\n    // Зависимость передаётся извне\n    private val repo: ProductRepository\n) : ViewModel()"
+            },
+            {
+                "section": "Что такое Dependency Injection?",
+                "subsection": "Преимущества DI",
+                "anchor": "preimuschestva-di",
+                "text": "• Тестируемость — легко подменить зависимости на mock/fake • Гибкость — можно менять реализации без изменения кода • Модульность — чёткое разделение ответственности • Переиспользуемость — один экземпляр на всё приложение",
+                "code": ""
+            },
+            {
+                "section": "Настройка Hilt",
+                "subsection": "1. Зависимости в build.gradle",
+                "anchor": "1-zavisimosti-v-build-gradle",
+                "text": "",
+                "code": "// build.gradle.kts (Project)\nplugins {\n    id(\"com.google.dagger.hilt.android\") version \"2.48\" apply false\n}\n\n// build.gradle.kts (App)\nplugins {\n    id(\"com.google.dagger.hilt.android\")\n    id(\"com.google.devtools.ksp\")\n}\n\ndependencies {\n    implementation(\"com.google.dagger:hilt-android:2.48\")\n    ksp(\"com.google.dagger:hilt-compiler:2.48\")\n    implementation(\"androidx.hilt:hilt-navigation-compose:1.1.0\")\n}"
+            },
+            {
+                "section": "Настройка Hilt",
+                "subsection": "2. Application class",
+                "anchor": "2-application-class",
+                "text": "",
+                "code": "@HiltAndroidApp\nclass EcommerceApp : Application() {\n    // Hilt генерирует компоненты автоматически\n}"
+            },
+            {
+                "section": "Настройка Hilt",
+                "subsection": "3. Activity с @AndroidEntryPoint",
+                "anchor": "3-activity-s-androidentrypoint",
+                "text": "",
+                "code": "@AndroidEntryPoint\nclass MainActivity : ComponentActivity() {\n    override fun onCreate(savedInstanceState: Bundle?) {\n        super.onCreate(savedInstanceState)\n        setContent {\n            EcommerceApp()\n        }\n    }\n}"
+            },
+            {
+                "section": "Настройка Hilt",
+                "subsection": "4. ViewModel с @HiltViewModel",
+                "anchor": "4-viewmodel-s-hiltviewmodel",
+                "text": "",
+                "code": "@HiltViewModel\nclass HomeViewModel @Inject constructor(\n    private val getProductsUseCase: GetProductsUseCase,\n    private val savedStateHandle: SavedStateHandle\n) : ViewModel() {\n    // Hilt автоматически создаст и внедрит зависимости\n}\n\n// В Composable\n@Composable\nfun HomeScreen(\n    viewModel: HomeViewModel = hiltViewModel()\n) {\n    // ...\n}"
+            },
+            {
+                "section": "Hilt Modules",
+                "subsection": "",
+                "anchor": "hilt-modules",
+                "text": "Модули говорят Hilt как создавать зависимости. Есть два способа: @Provides и @Binds.",
+                "code": ""
+            },
+            {
+                "section": "Hilt Modules",
+                "subsection": "@Provides — для внешних классов",
+                "anchor": "provides-dlya-vneshnih-klassov",
+                "text": "Используйте для классов, которые вы не можете изменить (Retrofit, Room, OkHttp).",
+                "code": "@Module\n@InstallIn(SingletonComponent::class)\nobject NetworkModule {\n\n    @Provides\n    @Singleton\n    fun provideMoshi(): Moshi {\n        return Moshi.Builder()\n            .add(KotlinJsonAdapterFactory())\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideOkHttpClient(): OkHttpClient {\n        return OkHttpClient.Builder()\n            .addInterceptor(HttpLoggingInterceptor().apply {\n                level = HttpLoggingInterceptor.Level.BODY\n            })\n            .connectTimeout(30, TimeUnit.SECONDS)\n            .readTimeout(30, TimeUnit.SECONDS)\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideRetrofit(\n        okHttpClient: OkHttpClient,\n        moshi: Moshi\n    ): Retrofit {\n        return Retrofit.Builder()\n            .baseUrl(\"https://dummyjson.com/\")\n            .client(okHttpClient)\n            .addConverterFactory(MoshiConverterFactory.create(moshi))\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideProductApi(retrofit: Retrofit): ProductApi {\n        return retrofit.create(ProductApi::class.java)\n    }\n}"
+            },
+            {
+                "section": "Hilt Modules",
+                "subsection": "@Binds — для интерфейсов",
+                "anchor": "binds-dlya-interfeysov",
+                "text": "Используйте для связывания интерфейса с его реализацией.",
+                "code": "@Module\n@InstallIn(SingletonComponent::class)\nabstract class RepositoryModule {\n\n    @Binds\n    @Singleton\n    abstract fun bindProductRepository(\n        impl: ProductRepositoryImpl\n    ): ProductRepository\n\n    @Binds\n    @Singleton\n    abstract fun bindCartRepository(\n        impl: CartRepositoryImpl\n    ): CartRepository\n\n    @Binds\n    @Singleton\n    abstract fun bindFavoriteRepository(\n        impl: FavoriteRepositoryImpl\n    ): FavoriteRepository\n}"
+            },
+            {
+                "section": "Hilt Modules",
+                "subsection": "Database Module",
+                "anchor": "database-module",
+                "text": "",
+                "code": "@Module\n@InstallIn(SingletonComponent::class)\nobject DatabaseModule {\n\n    @Provides\n    @Singleton\n    fun provideDatabase(\n        @ApplicationContext context: Context\n    ): EcommerceDatabase {\n        return Room.databaseBuilder(\n            context,\n            EcommerceDatabase::class.java,\n            \"ecommerce.db\"\n        )\n        .fallbackToDestructiveMigration()\n        .build()\n    }\n\n    @Provides\n    fun provideProductDao(db: EcommerceDatabase): ProductDao = db.productDao()\n\n    @Provides\n    fun provideCartDao(db: EcommerceDatabase): CartDao = db.cartDao()\n\n    @Provides\n    fun provideFavoriteDao(db: EcommerceDatabase): FavoriteDao = db.favoriteDao()\n}"
+            },
+            {
+                "section": "Scopes (области видимости)",
+                "subsection": "",
+                "anchor": "scopes-oblasti-vidimosti",
+                "text": "Component Scope Время жизни SingletonComponent @Singleton Всё приложение ActivityComponent @ActivityScoped Activity ViewModelComponent @ViewModelScoped ViewModel FragmentComponent @FragmentScoped Fragment",
+                "code": ""
+            },
+            {
+                "section": "UseCase с @Inject",
+                "subsection": "",
+                "anchor": "usecase-s-inject",
+                "text": "UseCase не требуют модуля — достаточно @Inject constructor.",
+                "code": "class GetProductsUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    operator fun invoke(): Flow<Resource<List<Product>>> {\n        return repository.getProducts()\n    }\n}\n\nclass GetProductByIdUseCase @Inject constructor(\n    private val repository: ProductRepository\n) {\n    operator fun invoke(id: Int): Flow<Resource<Product>> {\n        return repository.getProductById(id)\n    }\n}\n\nclass AddToCartUseCase @Inject constructor(\n    private val cartRepository: CartRepository\n) {\n    suspend operator fun invoke(product: Product) {\n        cartRepository.addToCart(product)\n    }\n}"
+            },
+            {
+                "section": "Qualifiers — различение зависимостей",
+                "subsection": "",
+                "anchor": "qualifiers-razlichenie-zavisimostey",
+                "text": "Когда есть несколько зависимостей одного типа, используйте Qualifier.",
+                "code": "// Создаём Qualifier аннотации\n@Qualifier\n@Retention(AnnotationRetention.BINARY)\nannotation class IoDispatcher\n\n@Qualifier\n@Retention(AnnotationRetention.BINARY)\nannotation class MainDispatcher\n\n@Qualifier\n@Retention(AnnotationRetention.BINARY)\nannotation class DefaultDispatcher\n\n// В модуле\n@Module\n@InstallIn(SingletonComponent::class)\nobject DispatcherModule {\n\n    @Provides\n    @IoDispatcher\n    fun provideIoDispatcher(): CoroutineDispatcher = Dispatchers.IO\n\n    @Provides\n    @MainDispatcher\n    fun provideMainDispatcher(): CoroutineDispatcher = Dispatchers.Main\n\n    @Provides\n    @DefaultDispatcher\n    fun provideDefaultDispatcher(): CoroutineDispatcher = Dispatchers.Default\n}\n\n// Использование\nclass ProductRepositoryImpl @Inject constructor(\n    private val api: ProductApi,\n    @IoDispatcher private val ioDispatcher: CoroutineDispatcher\n) : ProductRepository {\n\n    override fun getProducts() = flow {\n        val products = api.getProducts()\n        emit(products)\n    }.flowOn(ioDispatcher)\n}"
+            },
+            {
+                "section": "Граф зависимостей E-Commerce",
+                "subsection": "",
+                "anchor": "graf-zavisimostey-e-commerce",
+                "text": "",
+                "code": "SingletonComponent\n│\n├── NetworkModule\n│   ├── Moshi\n│   ├── OkHttpClient\n│   ├── Retrofit\n│   └── ProductApi\n│\n├── DatabaseModule\n│   ├── EcommerceDatabase\n│   ├── ProductDao\n│   ├── CartDao\n│   └── FavoriteDao\n│\n├── RepositoryModule\n│   ├── ProductRepository ← ProductRepositoryImpl\n│   ├── CartRepository ← CartRepositoryImpl\n│   └── FavoriteRepository ← FavoriteRepositoryImpl\n│\n├── DispatcherModule\n│   ├── @IoDispatcher\n│   ├── @MainDispatcher\n│   └── @DefaultDispatcher\n│\n└── UseCases (via @Inject constructor)\n    ├── GetProductsUseCase\n    ├── GetProductByIdUseCase\n    ├── SearchProductsUseCase\n    ├── AddToCartUseCase\n    ├── RemoveFromCartUseCase\n    ├── AddToFavoritesUseCase\n    └── RemoveFromFavoritesUseCase"
+            },
+            {
+                "section": "Тестирование с Hilt",
+                "subsection": "",
+                "anchor": "testirovanie-s-hilt",
+                "text": "",
+                "code": "// Замена реальной зависимости на fake для тестов\n@Module\n@TestInstallIn(\n    components = [SingletonComponent::class],\n    replaces = [RepositoryModule::class]\n)\nabstract class FakeRepositoryModule {\n\n    @Binds\n    @Singleton\n    abstract fun bindProductRepository(\n        impl: FakeProductRepository\n    ): ProductRepository\n}\n\n// Fake реализация для тестов\nclass FakeProductRepository @Inject constructor() : ProductRepository {\n\n    private val fakeProducts = listOf(\n        Product(id = 1, title = \"Test iPhone\", price = 999.0, ...),\n        Product(id = 2, title = \"Test MacBook\", price = 1999.0, ...)\n    )\n\n    override fun getProducts() = flow {\n        emit(Resource.Success(fakeProducts))\n    }\n\n    override fun getProductById(id: Int) = flow {\n        val product = fakeProducts.find { it.id == id }\n        if (product != null) {\n            emit(Resource.Success(product))\n        } else {\n            emit(Resource.Error(\"Product not found\"))\n        }\n    }\n}"
+            },
+            {
+                "section": "Частые ошибки",
+                "subsection": "",
+                "anchor": "chastye-oshibki",
+                "text": "Забыли @AndroidEntryPoint Activity/Fragment без этой аннотации не получит зависимости. @HiltViewModel без @Inject constructor ViewModel требует обе аннотации для работы. @Singleton без @InstallIn(SingletonComponent) Scope должен соответствовать компоненту.",
+                "code": ""
+            },
+            {
+                "section": "Частые ошибки",
+                "subsection": "Ключевые концепции",
+                "anchor": "klyuchevye-kontseptsii",
+                "text": "• @HiltAndroidApp — точка входа для Hilt в Application • @AndroidEntryPoint — включает DI для Activity/Fragment • @HiltViewModel — DI для ViewModel • @Module + @InstallIn — модули с зависимостями • @Provides — для внешних классов (Retrofit, Room) • @Binds — для связывания интерфейсов • @Singleton — один экземпляр на приложение • @Qualifier — различение зависимостей одного типа",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/12-testing.html",
+        "chapter": "Глава 12",
+        "title": "Тестирование",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 12: Тестирование Зачем тесты? Тесты — это страховка. Они позволяют смело рефакторить код, быстро находить баги и документировать поведение системы.",
+                "code": ""
+            },
+            {
+                "section": "Пирамида тестирования",
+                "subsection": "",
+                "anchor": "piramida-testirovaniya",
+                "text": "E2E Integration Unit Tests Unit (70%) — быстрые, изолированные, много Integration (20%) — проверка связей между модулями E2E/UI (10%) — медленные, хрупкие, мало",
+                "code": ""
+            },
+            {
+                "section": "Настройка зависимостей",
+                "subsection": "",
+                "anchor": "nastroyka-zavisimostey",
+                "text": "Добавьте в build.gradle.kts:",
+                "code": "// build.gradle.kts (app)\ndependencies {\n    // Unit тесты\n    testImplementation(\"junit:junit:4.13.2\")\n    testImplementation(\"org.jetbrains.kotlinx:kotlinx-coroutines-test:1.7.3\")\n    testImplementation(\"io.mockk:mockk:1.13.8\")\n    testImplementation(\"app.cash.turbine:turbine:1.0.0\")  // Flow testing\n    testImplementation(\"com.google.truth:truth:1.1.5\")  // Assertions\n\n    // Hilt testing\n    testImplementation(\"com.google.dagger:hilt-android-testing:2.48\")\n    kspTest(\"com.google.dagger:hilt-android-compiler:2.48\")\n\n    // Android/UI тесты\n    androidTestImplementation(\"androidx.test.ext:junit:1.1.5\")\n    androidTestImplementation(\"androidx.test.espresso:espresso-core:3.5.1\")\n    androidTestImplementation(\"androidx.compose.ui:ui-test-junit4\")\n    debugImplementation(\"androidx.compose.ui:ui-test-manifest\")\n\n    // MockWebServer для API тестов\n    testImplementation(\"com.squareup.okhttp3:mockwebserver:4.12.0\")\n\n    // Room testing\n    testImplementation(\"androidx.room:room-testing:2.6.1\")\n}"
+            },
+            {
+                "section": "Unit тесты",
+                "subsection": "Тестирование UseCase",
+                "anchor": "testirovanie-usecase",
+                "text": "Начнем с самого простого — UseCase с моком репозитория: Given-When-Then — паттерн структурирования тестов: • Given — начальное состояние (моки, данные) • When — действие которое тестируем • Then — проверка результата",
+                "code": "class GetProductsUseCaseTest {\n\n    private lateinit var useCase: GetProductsUseCase\n    private lateinit var repository: ProductRepository\n\n    @Before\n    fun setup() {\n        repository = mockk()  // MockK создает мок\n        useCase = GetProductsUseCase(repository)\n    }\n\n    @Test\n    fun `invoke returns products from repository`() = runTest {\n        // Given - подготовка данных\n        val products = listOf(\n            Product(id = 1, title = \"iPhone\", price = 999.0),\n            Product(id = 2, title = \"MacBook\", price = 1999.0)\n        )\n        coEvery { repository.getProducts() } returns flowOf(Resource.Success(products))\n\n        // When - выполнение\n        val result = useCase().first()\n\n        // Then - проверка\n        assertThat(result).isInstanceOf(Resource.Success::class.java)\n        assertThat((result as Resource.Success).data).hasSize(2)\n    }\n\n    @Test\n    fun `invoke returns error when repository fails`() = runTest {\n        // Given\n        coEvery { repository.getProducts() } returns flowOf(\n            Resource.Error(\"Network error\")\n        )\n\n        // When\n        val result = useCase().first()\n\n        // Then\n        assertThat(result).isInstanceOf(Resource.Error::class.java)\n        assertThat((result as Resource.Error).message).isEqualTo(\"Network error\")\n    }\n}"
+            },
+            {
+                "section": "Unit тесты",
+                "subsection": "Тестирование ViewModel с Turbine",
+                "anchor": "testirovanie-viewmodel-s-turbine",
+                "text": "Turbine — библиотека для тестирования Flow. Позволяет проверять последовательность эмитов:",
+                "code": "@OptIn(ExperimentalCoroutinesApi::class)\nclass HomeViewModelTest {\n\n    private lateinit var viewModel: HomeViewModel\n    private lateinit var getProductsUseCase: GetProductsUseCase\n\n    @get:Rule\n    val mainDispatcherRule = MainDispatcherRule()\n\n    @Before\n    fun setup() {\n        getProductsUseCase = mockk()\n    }\n\n    @Test\n    fun `loadProducts emits loading then success`() = runTest {\n        // Given\n        val products = listOf(Product(id = 1, title = \"iPhone\"))\n        coEvery { getProductsUseCase() } returns flow {\n            emit(Resource.Loading())\n            delay(100)\n            emit(Resource.Success(products))\n        }\n\n        viewModel = HomeViewModel(getProductsUseCase)\n\n        // When & Then - используем Turbine\n        viewModel.uiState.test {\n            // Начальное состояние\n            val initial = awaitItem()\n            assertThat(initial.isLoading).isFalse()\n            assertThat(initial.products).isEmpty()\n\n            // Загрузка\n            viewModel.loadProducts()\n\n            val loading = awaitItem()\n            assertThat(loading.isLoading).isTrue()\n\n            // Успех\n            val success = awaitItem()\n            assertThat(success.isLoading).isFalse()\n            assertThat(success.products).hasSize(1)\n            assertThat(success.products[0].title).isEqualTo(\"iPhone\")\n\n            cancelAndIgnoreRemainingEvents()\n        }\n    }\n\n    @Test\n    fun `loadProducts shows error message on failure`() = runTest {\n        // Given\n        coEvery { getProductsUseCase() } returns flowOf(\n            Resource.Error(\"Нет интернета\")\n        )\n\n        viewModel = HomeViewModel(getProductsUseCase)\n\n        // When & Then\n        viewModel.uiState.test {\n            awaitItem() // initial\n\n            viewModel.loadProducts()\n\n            val error = awaitItem()\n            assertThat(error.error).isEqualTo(\"Нет интернета\")\n            assertThat(error.isLoading).isFalse()\n\n            cancelAndIgnoreRemainingEvents()\n        }\n    }\n}"
+            },
+            {
+                "section": "Unit тесты",
+                "subsection": "MainDispatcherRule",
+                "anchor": "maindispatcherrule",
+                "text": "ViewModel использует viewModelScope который привязан к Main диспетчеру. В тестах нужно его заменить:",
+                "code": "@OptIn(ExperimentalCoroutinesApi::class)\nclass MainDispatcherRule(\n    private val dispatcher: TestDispatcher = UnconfinedTestDispatcher()\n) : TestWatcher() {\n\n    override fun starting(description: Description) {\n        Dispatchers.setMain(dispatcher)\n    }\n\n    override fun finished(description: Description) {\n        Dispatchers.resetMain()\n    }\n}\n\n// Использование в тесте:\nclass MyViewModelTest {\n    @get:Rule\n    val mainDispatcherRule = MainDispatcherRule()\n\n    // теперь viewModelScope работает в тестах\n}"
+            },
+            {
+                "section": "Fake vs Mock",
+                "subsection": "",
+                "anchor": "fake-vs-mock",
+                "text": "Mock (MockK) Быстро создать, задать поведение. Хорошо для простых случаев. Fake (своя реализация) Больше контроля, переиспользуется в разных тестах. Полный пример Fake Repository:",
+                "code": "val repo = mockk<ProductRepository>()\ncoEvery { repo.getProducts() } returns flowOf(...)\n\n// Проверка вызова\ncoVerify { repo.getProducts() }\nclass FakeProductRepository : ProductRepository {\n    var products = mutableListOf<Product>()\n    var shouldFail = false\n\n    override fun getProducts() = flow {\n        if (shouldFail) emit(Resource.Error(\"Error\"))\n        else emit(Resource.Success(products))\n    }\n}\nclass FakeProductRepository : ProductRepository {\n\n    private val products = mutableListOf<Product>()\n    private val favorites = mutableSetOf<Int>()\n\n    var networkError: String? = null\n    var delay: Long = 0L\n\n    fun addProduct(product: Product) {\n        products.add(product)\n    }\n\n    override fun getProducts(): Flow<Resource<List<Product>>> = flow {\n        emit(Resource.Loading())\n\n        if (delay > 0) delay(delay)\n\n        networkError?.let {\n            emit(Resource.Error(it))\n            return@flow\n        }\n\n        emit(Resource.Success(products.toList()))\n    }\n\n    override fun getProductById(id: Int): Flow<Resource<Product>> = flow {\n        emit(Resource.Loading())\n\n        val product = products.find { it.id == id }\n        if (product != null) {\n            emit(Resource.Success(product))\n        } else {\n            emit(Resource.Error(\"Product not found\"))\n        }\n    }\n\n    override suspend fun toggleFavorite(productId: Int) {\n        if (favorites.contains(productId)) {\n            favorites.remove(productId)\n        } else {\n            favorites.add(productId)\n        }\n    }\n\n    override fun getFavorites(): Flow<List<Product>> = flow {\n        emit(products.filter { favorites.contains(it.id) })\n    }\n}"
+            },
+            {
+                "section": "Integration тесты",
+                "subsection": "Тестирование Room DAO",
+                "anchor": "testirovanie-room-dao",
+                "text": "Room предоставляет in-memory базу для тестов:",
+                "code": "@RunWith(AndroidJUnit4::class)\nclass ProductDaoTest {\n\n    private lateinit var database: AppDatabase\n    private lateinit var productDao: ProductDao\n\n    @Before\n    fun setup() {\n        val context = ApplicationProvider.getApplicationContext<Context>()\n        database = Room.inMemoryDatabaseBuilder(context, AppDatabase::class.java)\n            .allowMainThreadQueries()  // только для тестов!\n            .build()\n        productDao = database.productDao()\n    }\n\n    @After\n    fun tearDown() {\n        database.close()\n    }\n\n    @Test\n    fun insertAndGetProducts() = runTest {\n        // Given\n        val products = listOf(\n            ProductEntity(id = 1, title = \"iPhone\", price = 999.0),\n            ProductEntity(id = 2, title = \"MacBook\", price = 1999.0)\n        )\n\n        // When\n        productDao.insertAll(products)\n        val result = productDao.getAllProducts().first()\n\n        // Then\n        assertThat(result).hasSize(2)\n        assertThat(result[0].title).isEqualTo(\"iPhone\")\n    }\n\n    @Test\n    fun searchProducts() = runTest {\n        // Given\n        productDao.insertAll(listOf(\n            ProductEntity(id = 1, title = \"iPhone 15\"),\n            ProductEntity(id = 2, title = \"MacBook Pro\"),\n            ProductEntity(id = 3, title = \"iPhone 14\")\n        ))\n\n        // When\n        val result = productDao.searchProducts(\"%iPhone%\").first()\n\n        // Then\n        assertThat(result).hasSize(2)\n        assertThat(result.map { it.title }).containsExactly(\"iPhone 15\", \"iPhone 14\")\n    }\n\n    @Test\n    fun deleteProduct() = runTest {\n        // Given\n        val product = ProductEntity(id = 1, title = \"iPhone\")\n        productDao.insert(product)\n\n        // When\n        productDao.delete(product)\n        val result = productDao.getAllProducts().first()\n\n        // Then\n        assertThat(result).isEmpty()\n    }\n}"
+            },
+            {
+                "section": "Integration тесты",
+                "subsection": "Тестирование API с MockWebServer",
+                "anchor": "testirovanie-api-s-mockwebserver",
+                "text": "MockWebServer позволяет эмулировать HTTP сервер:",
+                "code": "class ProductApiTest {\n\n    private lateinit var mockWebServer: MockWebServer\n    private lateinit var api: ProductApi\n\n    @Before\n    fun setup() {\n        mockWebServer = MockWebServer()\n        mockWebServer.start()\n\n        api = Retrofit.Builder()\n            .baseUrl(mockWebServer.url(\"/\"))\n            .addConverterFactory(MoshiConverterFactory.create())\n            .build()\n            .create(ProductApi::class.java)\n    }\n\n    @After\n    fun tearDown() {\n        mockWebServer.shutdown()\n    }\n\n    @Test\n    fun `getProducts returns list on success`() = runTest {\n        // Given - подготовим ответ сервера\n        val json = \"\"\"\n            {\n                \"products\": [\n                    {\"id\": 1, \"title\": \"iPhone\", \"price\": 999},\n                    {\"id\": 2, \"title\": \"MacBook\", \"price\": 1999}\n                ]\n            }\n        \"\"\".trimIndent()\n\n        mockWebServer.enqueue(\n            MockResponse()\n                .setResponseCode(200)\n                .setBody(json)\n                .addHeader(\"Content-Type\", \"application/json\")\n        )\n\n        // When\n        val response = api.getProducts()\n\n        // Then\n        assertThat(response.products).hasSize(2)\n        assertThat(response.products[0].title).isEqualTo(\"iPhone\")\n\n        // Проверим что запрос был правильный\n        val request = mockWebServer.takeRequest()\n        assertThat(request.path).isEqualTo(\"/products\")\n        assertThat(request.method).isEqualTo(\"GET\")\n    }\n\n    @Test\n    fun `getProducts throws on 500 error`() = runTest {\n        // Given\n        mockWebServer.enqueue(\n            MockResponse().setResponseCode(500)\n        )\n\n        // When & Then\n        assertThrows(HttpException::class.java) {\n            runBlocking { api.getProducts() }\n        }\n    }\n\n    @Test\n    fun `getProducts handles network timeout`() = runTest {\n        // Given - ответ с задержкой\n        mockWebServer.enqueue(\n            MockResponse()\n                .setBodyDelay(5, TimeUnit.SECONDS)\n                .setBody(\"{}\")\n        )\n\n        // API с коротким таймаутом\n        val client = OkHttpClient.Builder()\n            .readTimeout(1, TimeUnit.SECONDS)\n            .build()\n\n        val apiWithTimeout = Retrofit.Builder()\n            .baseUrl(mockWebServer.url(\"/\"))\n            .client(client)\n            .addConverterFactory(MoshiConverterFactory.create())\n            .build()\n            .create(ProductApi::class.java)\n\n        // When & Then\n        assertThrows(SocketTimeoutException::class.java) {\n            runBlocking { apiWithTimeout.getProducts() }\n        }\n    }\n}"
+            },
+            {
+                "section": "UI тесты Compose",
+                "subsection": "Базовый UI тест",
+                "anchor": "bazovyy-ui-test",
+                "text": "",
+                "code": "class ProductCardTest {\n\n    @get:Rule\n    val composeTestRule = createComposeRule()\n\n    @Test\n    fun `product card displays all information`() {\n        // Given\n        val product = Product(\n            id = 1,\n            title = \"iPhone 15 Pro\",\n            price = 999.0,\n            thumbnail = \"https://example.com/image.jpg\"\n        )\n\n        // When\n        composeTestRule.setContent {\n            MaterialTheme {\n                ProductCard(\n                    product = product,\n                    onClick = {},\n                    onFavoriteClick = {}\n                )\n            }\n        }\n\n        // Then\n        composeTestRule.onNodeWithText(\"iPhone 15 Pro\").assertIsDisplayed()\n        composeTestRule.onNodeWithText(\"$999\").assertIsDisplayed()\n    }\n\n    @Test\n    fun `clicking card triggers onClick`() {\n        // Given\n        var clicked = false\n        val product = Product(id = 1, title = \"iPhone\")\n\n        composeTestRule.setContent {\n            ProductCard(\n                product = product,\n                onClick = { clicked = true },\n                onFavoriteClick = {}\n            )\n        }\n\n        // When\n        composeTestRule.onNodeWithText(\"iPhone\").performClick()\n\n        // Then\n        assertThat(clicked).isTrue()\n    }\n}"
+            },
+            {
+                "section": "UI тесты Compose",
+                "subsection": "Поиск элементов",
+                "anchor": "poisk-elementov",
+                "text": "Метод Описание onNodeWithText(\"text\")По тексту onNodeWithTag(\"tag\")По testTag onNodeWithContentDescription(\"desc\")По accessibility onAllNodesWithText(\"text\")Все с текстом onNode(hasClickAction())По свойству",
+                "code": "// Добавляем testTag в Composable\n@Composable\nfun ProductCard(...) {\n    Card(\n        modifier = Modifier.testTag(\"product_card_\\${product.id}\")\n    ) {\n        // ...\n        IconButton(\n            modifier = Modifier.testTag(\"favorite_button\"),\n            onClick = onFavoriteClick\n        ) {\n            Icon(Icons.Default.Favorite, null)\n        }\n    }\n}\n\n// В тесте\ncomposeTestRule.onNodeWithTag(\"product_card_1\").assertExists()\ncomposeTestRule.onNodeWithTag(\"favorite_button\").performClick()"
+            },
+            {
+                "section": "UI тесты Compose",
+                "subsection": "Действия и проверки",
+                "anchor": "deystviya-i-proverki",
+                "text": "",
+                "code": "@Test\nfun `search filters products`() {\n    composeTestRule.setContent {\n        SearchScreen(viewModel = viewModel)\n    }\n\n    // Ввод текста\n    composeTestRule\n        .onNodeWithTag(\"search_field\")\n        .performTextInput(\"iPhone\")\n\n    // Ожидание результата\n    composeTestRule.waitUntil(timeoutMillis = 5000) {\n        composeTestRule\n            .onAllNodesWithTag(\"product_card\")\n            .fetchSemanticsNodes()\n            .isNotEmpty()\n    }\n\n    // Проверка\n    composeTestRule.onNodeWithText(\"iPhone 15\").assertIsDisplayed()\n    composeTestRule.onNodeWithText(\"MacBook\").assertDoesNotExist()\n}\n\n@Test\nfun `scroll to item in list`() {\n    composeTestRule.setContent {\n        ProductListScreen(products = (1..100).map { Product(id = it, title = \"Product $it\") })\n    }\n\n    // Скроллим к элементу\n    composeTestRule\n        .onNodeWithTag(\"product_list\")\n        .performScrollToNode(hasText(\"Product 50\"))\n\n    composeTestRule.onNodeWithText(\"Product 50\").assertIsDisplayed()\n}"
+            },
+            {
+                "section": "UI тесты Compose",
+                "subsection": "Тестирование с Hilt",
+                "anchor": "testirovanie-s-hilt",
+                "text": "",
+                "code": "@HiltAndroidTest\n@RunWith(AndroidJUnit4::class)\nclass HomeScreenTest {\n\n    @get:Rule(order = 0)\n    val hiltRule = HiltAndroidRule(this)\n\n    @get:Rule(order = 1)\n    val composeTestRule = createAndroidComposeRule<MainActivity>()\n\n    @Inject\n    lateinit var fakeRepository: FakeProductRepository\n\n    @Before\n    fun setup() {\n        hiltRule.inject()\n\n        // Подготовка данных\n        fakeRepository.addProduct(Product(id = 1, title = \"iPhone\"))\n        fakeRepository.addProduct(Product(id = 2, title = \"MacBook\"))\n    }\n\n    @Test\n    fun `home screen shows products from repository`() {\n        composeTestRule.onNodeWithText(\"iPhone\").assertIsDisplayed()\n        composeTestRule.onNodeWithText(\"MacBook\").assertIsDisplayed()\n    }\n}\n\n// Модуль для тестов - заменяет реальный репозиторий\n@Module\n@TestInstallIn(\n    components = [SingletonComponent::class],\n    replaces = [RepositoryModule::class]\n)\nobject FakeRepositoryModule {\n\n    @Provides\n    @Singleton\n    fun provideProductRepository(): ProductRepository {\n        return FakeProductRepository()\n    }\n}"
+            },
+            {
+                "section": "Best Practices",
+                "subsection": "",
+                "anchor": "best-practices",
+                "text": "1. Один тест = одна проверка 2. Понятные названия тестов 3. Изолированные тесты 4. Не тестируйте приватные методы Тестируйте публичный API. Если приватный метод содержит важную логику — вынесите его в отдельный класс.",
+                "code": "// Плохо - много проверок в одном тесте\n@Test\nfun testEverything() {\n    viewModel.loadProducts()\n    assertThat(state.products).hasSize(2)\n    viewModel.search(\"iPhone\")\n    assertThat(state.products).hasSize(1)\n    viewModel.addToFavorites(1)\n    assertThat(state.favorites).hasSize(1)\n}\n\n// Хорошо - отдельные тесты\n@Test fun `loadProducts returns all products`() { ... }\n@Test fun `search filters by query`() { ... }\n@Test fun `addToFavorites adds to list`() { ... }\n// Плохо\n@Test fun test1() { ... }\n@Test fun testProducts() { ... }\n\n// Хорошо - описывает что и когда\n@Test fun `loadProducts shows error when network fails`() { ... }\n@Test fun `search returns empty list for unknown query`() { ... }\n// Плохо - тесты зависят друг от друга\nclass CartTest {\n    companion object {\n        val cart = Cart() // shared state!\n    }\n}\n\n// Хорошо - каждый тест создает свои данные\nclass CartTest {\n    private lateinit var cart: Cart\n\n    @Before\n    fun setup() {\n        cart = Cart() // fresh instance\n    }\n}"
+            },
+            {
+                "section": "Test Coverage",
+                "subsection": "",
+                "anchor": "test-coverage",
+                "text": "Добавьте в build.gradle.kts для измерения покрытия: Рекомендуемое покрытие: • UseCase/ViewModel — 80%+ • Repository — 70%+ • UI — ключевые сценарии • Не гонитесь за 100% — это не цель",
+                "code": "android {\n    buildTypes {\n        debug {\n            enableUnitTestCoverage = true\n            enableAndroidTestCoverage = true\n        }\n    }\n}\n\n// Запуск с покрытием\n// ./gradlew createDebugCoverageReport"
+            },
+            {
+                "section": "Запуск тестов",
+                "subsection": "",
+                "anchor": "zapusk-testov",
+                "text": "",
+                "code": "# Unit тесты\n./gradlew test\n\n# Конкретный класс\n./gradlew test --tests \"HomeViewModelTest\"\n\n# Android/UI тесты (нужен эмулятор)\n./gradlew connectedAndroidTest\n\n# С покрытием\n./gradlew createDebugCoverageReport"
+            },
+            {
+                "section": "Запуск тестов",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• Пирамида тестов — много unit, меньше integration, мало UI • Unit тесты — UseCase, ViewModel с MockK и Turbine • Fake vs Mock — когда что использовать • Integration — Room DAO, API с MockWebServer • UI тесты — Compose testing, поиск элементов, действия • Hilt в тестах — замена зависимостей на фейки",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/13-final.html",
+        "chapter": "Глава 13",
+        "title": "Финал",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 13: Финализация и публикация Приложение готово! В этой главе мы подготовим его к публикации в Google Play: настроим оптимизацию, подпишем, добавим аналитику и crash-репортинг.",
+                "code": ""
+            },
+            {
+                "section": "Обзор архитектуры",
+                "subsection": "",
+                "anchor": "obzor-arhitektury",
+                "text": "Вот что мы построили за эту книгу:",
+                "code": "┌─────────────────────────────────────────────────────────────┐\n│                      Presentation Layer                       │\n│  ┌─────────────┐    ┌─────────────┐    ┌─────────────┐     │\n│  │   Screens   │    │  ViewModels │    │  UI State   │     │\n│  │  (Compose)  │───▶│   (Hilt)    │───▶│  (StateFlow)│     │\n│  └─────────────┘    └─────────────┘    └─────────────┘     │\n├─────────────────────────────────────────────────────────────┤\n│                       Domain Layer                          │\n│  ┌─────────────┐    ┌─────────────┐    ┌─────────────┐     │\n│  │   UseCases  │    │   Entities  │    │ Repositories│     │\n│  │             │───▶│   (Models)  │    │ (Interfaces)│     │\n│  └─────────────┘    └─────────────┘    └─────────────┘     │\n├─────────────────────────────────────────────────────────────┤\n│                        Data Layer                          │\n│  ┌─────────────┐    ┌─────────────┐    ┌─────────────┐     │\n│  │  Repository │    │   Remote    │    │    Local    │     │\n│  │    Impl     │───▶│  (Retrofit) │    │   (Room)    │     │\n│  └─────────────┘    └─────────────┘    └─────────────┘     │\n└─────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Управление версиями",
+                "subsection": "",
+                "anchor": "upravlenie-versiyami",
+                "text": "Google Play требует увеличение versionCode при каждой публикации: Semantic Versioning: • MAJOR.MINOR.PATCH (например 1.2.3) • MAJOR — несовместимые изменения • MINOR — новые функции, совместимые • PATCH — исправления багов",
+                "code": "// build.gradle.kts (app)\nandroid {\n    defaultConfig {\n        applicationId = \"com.example.ecommerce\"\n        minSdk = 26\n        targetSdk = 34\n\n        // versionCode - внутренний номер, увеличивается каждый раз\n        versionCode = 1\n\n        // versionName - публичная версия для пользователей\n        versionName = \"1.0.0\"\n    }\n}\n\n// Автоматическое увеличение из CI\nval versionCode = System.getenv(\"BUILD_NUMBER\")?.toIntOrNull() ?: 1"
+            },
+            {
+                "section": "Оптимизация с R8",
+                "subsection": "",
+                "anchor": "optimizatsiya-s-r8",
+                "text": "R8 (замена ProGuard) уменьшает размер APK и обфусцирует код: Правила для нашего приложения:",
+                "code": "// build.gradle.kts (app)\nandroid {\n    buildTypes {\n        release {\n            // Включить минификацию кода\n            isMinifyEnabled = true\n\n            // Удалить неиспользуемые ресурсы\n            isShrinkResources = true\n\n            proguardFiles(\n                getDefaultProguardFile(\"proguard-android-optimize.txt\"),\n                \"proguard-rules.pro\"\n            )\n        }\n    }\n}\n# proguard-rules.pro\n\n# Сохранить DTO классы (для Moshi/Retrofit)\n-keep class com.example.ecommerce.data.dto.** { *; }\n-keep class com.example.ecommerce.domain.model.** { *; }\n\n# Moshi\n-keepclassmembers class * {\n    @com.squareup.moshi.Json ;\n}\n-keep class **JsonAdapter {\n    (...);\n    ;\n}\n\n# Retrofit\n-keepattributes Signature\n-keepattributes Exceptions\n-keepattributes *Annotation*\n\n# Coroutines\n-keepnames class kotlinx.coroutines.internal.MainDispatcherFactory {}\n-keepnames class kotlinx.coroutines.CoroutineExceptionHandler {}\n\n# Room\n-keep class * extends androidx.room.RoomDatabase\n-keep @androidx.room.Entity class *\n-dontwarn androidx.room.paging.**\n\n# Hilt\n-keep class dagger.hilt.** { *; }\n-keep class javax.inject.** { *; }\n-keep class * extends dagger.hilt.android.internal.lifecycle.HiltViewModelFactory { *; }\n\n# Compose\n-dontwarn androidx.compose.**\n\n# Убрать логи в release\n-assumenosideeffects class android.util.Log {\n    public static int v(...);\n    public static int d(...);\n    public static int i(...);\n}"
+            },
+            {
+                "section": "Подписание приложения",
+                "subsection": "1. Создание keystore",
+                "anchor": "1-sozdanie-keystore",
+                "text": "Важно! Храните keystore в безопасном месте. Если потеряете — не сможете обновлять приложение в Google Play!",
+                "code": "# Создание нового keystore\nkeytool -genkey -v \\\n  -keystore release-key.jks \\\n  -keyalg RSA \\\n  -keysize 2048 \\\n  -validity 10000 \\\n  -alias ecommerce\n\n# Вас попросят ввести:\n# - Пароль keystore\n# - Имя, организация, город, страна\n# - Пароль для alias"
+            },
+            {
+                "section": "Подписание приложения",
+                "subsection": "2. Конфигурация в Gradle",
+                "anchor": "2-konfiguratsiya-v-gradle",
+                "text": "",
+                "code": "// build.gradle.kts (app)\nandroid {\n    signingConfigs {\n        create(\"release\") {\n            // Не храните пароли в коде!\n            storeFile = file(\"../keystore/release-key.jks\")\n            storePassword = System.getenv(\"KEYSTORE_PASSWORD\")\n            keyAlias = System.getenv(\"KEY_ALIAS\")\n            keyPassword = System.getenv(\"KEY_PASSWORD\")\n        }\n    }\n\n    buildTypes {\n        release {\n            signingConfig = signingConfigs.getByName(\"release\")\n            // ...\n        }\n    }\n}\n\n// Или через local.properties (НЕ коммитить!)\nval localProperties = Properties()\nlocalProperties.load(rootProject.file(\"local.properties\").inputStream())\n\nsigningConfigs {\n    create(\"release\") {\n        storeFile = file(localProperties[\"KEYSTORE_FILE\"] as String)\n        storePassword = localProperties[\"KEYSTORE_PASSWORD\"] as String\n        keyAlias = localProperties[\"KEY_ALIAS\"] as String\n        keyPassword = localProperties[\"KEY_PASSWORD\"] as String\n    }\n}"
+            },
+            {
+                "section": "App Bundle vs APK",
+                "subsection": "",
+                "anchor": "app-bundle-vs-apk",
+                "text": "AAB (App Bundle) + Меньший размер для пользователя + Google оптимизирует под устройство + Обязателен для Google Play - Нельзя установить напрямую APK + Можно установить напрямую + Для тестирования - Больший размер - Не принимается в Google Play",
+                "code": "# Сборка App Bundle\n./gradlew bundleRelease\n# Результат: app/build/outputs/bundle/release/app-release.aab\n\n# Сборка APK (для тестирования)\n./gradlew assembleRelease\n# Результат: app/build/outputs/apk/release/app-release.apk"
+            },
+            {
+                "section": "Firebase Crashlytics",
+                "subsection": "",
+                "anchor": "firebase-crashlytics",
+                "text": "Crash-репортинг позволяет узнавать о падениях приложения у пользователей: Настройка в коде:",
+                "code": "// build.gradle.kts (project)\nplugins {\n    id(\"com.google.gms.google-services\") version \"4.4.0\" apply false\n    id(\"com.google.firebase.crashlytics\") version \"2.9.9\" apply false\n}\n\n// build.gradle.kts (app)\nplugins {\n    id(\"com.google.gms.google-services\")\n    id(\"com.google.firebase.crashlytics\")\n}\n\ndependencies {\n    implementation(platform(\"com.google.firebase:firebase-bom:32.7.0\"))\n    implementation(\"com.google.firebase:firebase-crashlytics-ktx\")\n    implementation(\"com.google.firebase:firebase-analytics-ktx\")\n}\n@HiltAndroidApp\nclass ECommerceApp : Application() {\n\n    override fun onCreate() {\n        super.onCreate()\n\n        // Отключить в debug режиме\n        FirebaseCrashlytics.getInstance().setCrashlyticsCollectionEnabled(!BuildConfig.DEBUG)\n    }\n}\n\n// Логирование ошибок вручную\ntry {\n    // опасный код\n} catch (e: Exception) {\n    FirebaseCrashlytics.getInstance().recordException(e)\n}\n\n// Добавление контекста\nFirebaseCrashlytics.getInstance().apply {\n    setUserId(\"user_123\")\n    setCustomKey(\"screen\", \"ProductDetail\")\n    setCustomKey(\"product_id\", productId)\n}"
+            },
+            {
+                "section": "CI/CD с GitHub Actions",
+                "subsection": "",
+                "anchor": "ci-cd-s-github-actions",
+                "text": "Автоматическая сборка и тестирование при каждом пуше:",
+                "code": "# .github/workflows/android.yml\nname: Android CI\n\non:\n  push:\n    branches: [ main, develop ]\n  pull_request:\n    branches: [ main ]\n\njobs:\n  build:\n    runs-on: ubuntu-latest\n\n    steps:\n    - uses: actions/checkout@v4\n\n    - name: Set up JDK 17\n      uses: actions/setup-java@v4\n      with:\n        java-version: '17'\n        distribution: 'temurin'\n        cache: gradle\n\n    - name: Grant execute permission\n      run: chmod +x gradlew\n\n    - name: Run tests\n      run: ./gradlew test\n\n    - name: Build debug APK\n      run: ./gradlew assembleDebug\n\n    - name: Upload APK\n      uses: actions/upload-artifact@v4\n      with:\n        name: app-debug\n        path: app/build/outputs/apk/debug/app-debug.apk\n\n  release:\n    needs: build\n    if: github.ref == 'refs/heads/main'\n    runs-on: ubuntu-latest\n\n    steps:\n    - uses: actions/checkout@v4\n\n    - name: Set up JDK 17\n      uses: actions/setup-java@v4\n      with:\n        java-version: '17'\n        distribution: 'temurin'\n\n    - name: Decode keystore\n      run: echo \"${{ secrets.KEYSTORE_BASE64 }}\" | base64 -d > keystore.jks\n\n    - name: Build release AAB\n      env:\n        KEYSTORE_PASSWORD: ${{ secrets.KEYSTORE_PASSWORD }}\n        KEY_ALIAS: ${{ secrets.KEY_ALIAS }}\n        KEY_PASSWORD: ${{ secrets.KEY_PASSWORD }}\n      run: ./gradlew bundleRelease\n\n    - name: Upload to Play Store\n      uses: r0adkll/upload-google-play@v1\n      with:\n        serviceAccountJsonPlainText: ${{ secrets.PLAY_SERVICE_ACCOUNT }}\n        packageName: com.example.ecommerce\n        releaseFiles: app/build/outputs/bundle/release/app-release.aab\n        track: internal"
+            },
+            {
+                "section": "Google Play Console",
+                "subsection": "",
+                "anchor": "google-play-console",
+                "text": "1. Создание приложения Play Console → Create app → Выберите название, язык, тип (app/game) 2. Store Listing Название, описание, скриншоты, иконка, feature graphic 3. Content Rating Заполните опросник IARC для получения возрастного рейтинга 4. App Content Privacy Policy, Data Safety, Ads declaration 5. Testing tracks Internal → Closed → Open → Production",
+                "code": ""
+            },
+            {
+                "section": "Чеклист перед публикацией",
+                "subsection": "",
+                "anchor": "cheklist-pered-publikatsiey",
+                "text": "✓ Удалены логи и debug код ✓ Настроен ProGuard/R8 ✓ Протестировано на разных устройствах ✓ API ключи убраны из кода ✓ Иконки адаптивные (foreground + background) ✓ Скриншоты для разных экранов ✓ Privacy Policy готова ✓ Firebase Crashlytics подключен ✓ versionCode увеличен",
+                "code": ""
+            },
+            {
+                "section": "Что изучить дальше?",
+                "subsection": "",
+                "anchor": "chto-izuchit-dalshe",
+                "text": "Performance • Baseline Profiles • Benchmark Library • Memory Profiler • Compose Metrics Advanced Features • WorkManager (фоновые задачи) • Push Notifications (FCM) • In-App Purchases • Deep Links Architecture • Multi-module projects • MVI pattern • Kotlin Multiplatform • Compose Multiplatform Testing • Screenshot Testing • Firebase Test Lab • Property-based Testing • Mutation Testing",
+                "code": ""
+            },
+            {
+                "section": "Что изучить дальше?",
+                "subsection": "Поздравляем!",
+                "anchor": "pozdravlyaem",
+                "text": "Вы создали полноценное E-Commerce приложение на Android с: • Jetpack Compose — современный декларативный UI • MVVM + Clean Architecture — масштабируемая архитектура • Hilt — Dependency Injection • Retrofit + Room — сетевой слой и локальное хранение • Coroutines + Flow — асинхронность • Navigation Compose — навигация • Unit & UI Tests — тестирование Теперь вы готовы создавать свои Android приложения!",
+                "code": ""
+            },
+            {
+                "section": "Полезные ресурсы",
+                "subsection": "",
+                "anchor": "poleznye-resursy",
+                "text": "• Android Compose Documentation • Official Compose Samples • Modern Android Development • Kotlin Coroutines Guide",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/14-authentication.html",
+        "chapter": "Глава 14",
+        "title": "Аутентификация",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 14: Аутентификация В этой главе мы добавим полноценную аутентификацию: регистрацию, вход, хранение токенов и защиту API запросов.",
+                "code": ""
+            },
+            {
+                "section": "Архитектура аутентификации",
+                "subsection": "",
+                "anchor": "arhitektura-autentifikatsii",
+                "text": "",
+                "code": "┌──────────────┐     ┌──────────────┐     ┌──────────────┐\n│  LoginScreen │────▶│AuthViewModel │────▶│ LoginUseCase │\n│              │     │              │     │              │\n│ RegisterScr. │     │ AuthState    │     │RegisterUseCase│\n└──────────────┘     └──────────────┘     └──────────────┘\n                            │                     │\n                            ▼                     ▼\n                     ┌──────────────┐     ┌──────────────┐\n                     │ TokenManager │     │ AuthRepository│\n                     │(DataStore)   │     │   (API)      │\n                     └──────────────┘     └──────────────┘"
+            },
+            {
+                "section": "Data Layer",
+                "subsection": "Auth API",
+                "anchor": "auth-api",
+                "text": "",
+                "code": "// data/remote/AuthApi.kt\ninterface AuthApi {\n\n    @POST(\"auth/login\")\n    suspend fun login(\n        @Body request: LoginRequest\n    ): AuthResponse\n\n    @POST(\"auth/register\")\n    suspend fun register(\n        @Body request: RegisterRequest\n    ): AuthResponse\n\n    @POST(\"auth/refresh\")\n    suspend fun refreshToken(\n        @Body request: RefreshRequest\n    ): AuthResponse\n\n    @GET(\"auth/me\")\n    suspend fun getCurrentUser(): UserDto\n}\n\n// DTO классы\ndata class LoginRequest(\n    val username: String,\n    val password: String\n)\n\ndata class RegisterRequest(\n    val username: String,\n    val email: String,\n    val password: String\n)\n\ndata class RefreshRequest(\n    val refreshToken: String\n)\n\ndata class AuthResponse(\n    val accessToken: String,\n    val refreshToken: String,\n    val expiresIn: Long,\n    val user: UserDto\n)\n\ndata class UserDto(\n    val id: Int,\n    val username: String,\n    val email: String,\n    val firstName: String,\n    val lastName: String,\n    val image: String?\n)"
+            },
+            {
+                "section": "Data Layer",
+                "subsection": "Token Manager (DataStore)",
+                "anchor": "token-manager-datastore",
+                "text": "Используем DataStore для безопасного хранения токенов:",
+                "code": "// data/local/TokenManager.kt\ninterface TokenManager {\n    val accessToken: Flow<String?>\n    val refreshToken: Flow<String?>\n    val isLoggedIn: Flow<Boolean>\n\n    suspend fun saveTokens(accessToken: String, refreshToken: String)\n    suspend fun clearTokens()\n    suspend fun getAccessTokenSync(): String?\n}\n\n@Singleton\nclass TokenManagerImpl @Inject constructor(\n    @ApplicationContext private val context: Context\n) : TokenManager {\n\n    private val Context.dataStore by preferencesDataStore(name = \"auth_prefs\")\n\n    private object Keys {\n        val ACCESS_TOKEN = stringPreferencesKey(\"access_token\")\n        val REFRESH_TOKEN = stringPreferencesKey(\"refresh_token\")\n    }\n\n    override val accessToken: Flow<String?> = context.dataStore.data\n        .map { prefs -> prefs[Keys.ACCESS_TOKEN] }\n\n    override val refreshToken: Flow<String?> = context.dataStore.data\n        .map { prefs -> prefs[Keys.REFRESH_TOKEN] }\n\n    override val isLoggedIn: Flow<Boolean> = accessToken\n        .map { it != null }\n\n    override suspend fun saveTokens(accessToken: String, refreshToken: String) {\n        context.dataStore.edit { prefs ->\n            prefs[Keys.ACCESS_TOKEN] = accessToken\n            prefs[Keys.REFRESH_TOKEN] = refreshToken\n        }\n    }\n\n    override suspend fun clearTokens() {\n        context.dataStore.edit { prefs ->\n            prefs.remove(Keys.ACCESS_TOKEN)\n            prefs.remove(Keys.REFRESH_TOKEN)\n        }\n    }\n\n    override suspend fun getAccessTokenSync(): String? {\n        return context.dataStore.data.first()[Keys.ACCESS_TOKEN]\n    }\n}"
+            },
+            {
+                "section": "Data Layer",
+                "subsection": "Auth Interceptor",
+                "anchor": "auth-interceptor",
+                "text": "Автоматически добавляем токен ко всем запросам:",
+                "code": "// data/remote/AuthInterceptor.kt\n@Singleton\nclass AuthInterceptor @Inject constructor(\n    private val tokenManager: TokenManager\n) : Interceptor {\n\n    override fun intercept(chain: Interceptor.Chain): Response {\n        val originalRequest = chain.request()\n\n        // Пропускаем auth endpoints\n        if (originalRequest.url.encodedPath.contains(\"auth/\")) {\n            return chain.proceed(originalRequest)\n        }\n\n        val token = runBlocking {\n            tokenManager.getAccessTokenSync()\n        }\n\n        val request = if (token != null) {\n            originalRequest.newBuilder()\n                .addHeader(\"Authorization\", \"Bearer $token\")\n                .build()\n        } else {\n            originalRequest\n        }\n\n        return chain.proceed(request)\n    }\n}"
+            },
+            {
+                "section": "Data Layer",
+                "subsection": "Token Authenticator (Auto-Refresh)",
+                "anchor": "token-authenticator-auto-refresh",
+                "text": "",
+                "code": "// data/remote/TokenAuthenticator.kt\n@Singleton\nclass TokenAuthenticator @Inject constructor(\n    private val tokenManager: TokenManager,\n    private val authApiProvider: Provider<AuthApi>  // Lazy для избежания circular dependency\n) : Authenticator {\n\n    private val mutex = Mutex()\n\n    override fun authenticate(route: Route?, response: Response): Request? {\n        // Только при 401 ошибке\n        if (response.code != 401) return null\n\n        return runBlocking {\n            mutex.withLock {\n                // Проверяем, не обновили ли токен уже\n                val currentToken = tokenManager.getAccessTokenSync()\n                val requestToken = response.request.header(\"Authorization\")\n                    ?.removePrefix(\"Bearer \")\n\n                if (currentToken != requestToken && currentToken != null) {\n                    // Токен уже обновлен другим запросом\n                    return@runBlocking response.request.newBuilder()\n                        .header(\"Authorization\", \"Bearer $currentToken\")\n                        .build()\n                }\n\n                // Пробуем обновить токен\n                val refreshToken = tokenManager.refreshToken.first()\n                    ?: return@runBlocking null\n\n                try {\n                    val newTokens = authApiProvider.get().refreshToken(\n                        RefreshRequest(refreshToken)\n                    )\n                    tokenManager.saveTokens(\n                        newTokens.accessToken,\n                        newTokens.refreshToken\n                    )\n\n                    response.request.newBuilder()\n                        .header(\"Authorization\", \"Bearer \\${newTokens.accessToken}\")\n                        .build()\n\n                } catch (e: Exception) {\n                    // Refresh failed - logout\n                    tokenManager.clearTokens()\n                    null\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Data Layer",
+                "subsection": "Auth Repository",
+                "anchor": "auth-repository",
+                "text": "",
+                "code": "// domain/repository/AuthRepository.kt\ninterface AuthRepository {\n    val isLoggedIn: Flow<Boolean>\n    val currentUser: Flow<User?>\n\n    suspend fun login(username: String, password: String): Result<User>\n    suspend fun register(username: String, email: String, password: String): Result<User>\n    suspend fun logout()\n    suspend fun getCurrentUser(): Result<User>\n}\n\n// data/repository/AuthRepositoryImpl.kt\n@Singleton\nclass AuthRepositoryImpl @Inject constructor(\n    private val authApi: AuthApi,\n    private val tokenManager: TokenManager,\n    private val userDao: UserDao\n) : AuthRepository {\n\n    override val isLoggedIn: Flow<Boolean> = tokenManager.isLoggedIn\n\n    override val currentUser: Flow<User?> = userDao.getCurrentUser()\n        .map { it?.toDomain() }\n\n    override suspend fun login(username: String, password: String): Result<User> {\n        return try {\n            val response = authApi.login(LoginRequest(username, password))\n            tokenManager.saveTokens(response.accessToken, response.refreshToken)\n\n            val user = response.user.toDomain()\n            userDao.insertUser(user.toEntity())\n\n            Result.success(user)\n        } catch (e: HttpException) {\n            when (e.code()) {\n                401 -> Result.failure(AuthException.InvalidCredentials)\n                else -> Result.failure(e)\n            }\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n\n    override suspend fun register(\n        username: String,\n        email: String,\n        password: String\n    ): Result<User> {\n        return try {\n            val response = authApi.register(RegisterRequest(username, email, password))\n            tokenManager.saveTokens(response.accessToken, response.refreshToken)\n\n            val user = response.user.toDomain()\n            userDao.insertUser(user.toEntity())\n\n            Result.success(user)\n        } catch (e: HttpException) {\n            when (e.code()) {\n                409 -> Result.failure(AuthException.UserAlreadyExists)\n                else -> Result.failure(e)\n            }\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n\n    override suspend fun logout() {\n        tokenManager.clearTokens()\n        userDao.deleteAllUsers()\n    }\n\n    override suspend fun getCurrentUser(): Result<User> {\n        return try {\n            val userDto = authApi.getCurrentUser()\n            val user = userDto.toDomain()\n            userDao.insertUser(user.toEntity())\n            Result.success(user)\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n}\n\n// Кастомные ошибки\nsealed class AuthException : Exception() {\n    object InvalidCredentials : AuthException()\n    object UserAlreadyExists : AuthException()\n    object TokenExpired : AuthException()\n}"
+            },
+            {
+                "section": "Presentation Layer",
+                "subsection": "Auth ViewModel",
+                "anchor": "auth-viewmodel",
+                "text": "",
+                "code": "// presentation/auth/AuthViewModel.kt\n@HiltViewModel\nclass AuthViewModel @Inject constructor(\n    private val authRepository: AuthRepository\n) : ViewModel() {\n\n    private val _uiState = MutableStateFlow(AuthUiState())\n    val uiState: StateFlow<AuthUiState> = _uiState.asStateFlow()\n\n    val isLoggedIn = authRepository.isLoggedIn\n        .stateIn(viewModelScope, SharingStarted.WhileSubscribed(5000), false)\n\n    fun login(username: String, password: String) {\n        if (!validateInput(username, password)) return\n\n        viewModelScope.launch {\n            _uiState.update { it.copy(isLoading = true, error = null) }\n\n            authRepository.login(username, password)\n                .onSuccess { user ->\n                    _uiState.update { it.copy(\n                        isLoading = false,\n                        isSuccess = true,\n                        user = user\n                    )}\n                }\n                .onFailure { error ->\n                    val message = when (error) {\n                        is AuthException.InvalidCredentials -> \"Неверный логин или пароль\"\n                        is IOException -> \"Нет подключения к интернету\"\n                        else -> \"Произошла ошибка\"\n                    }\n                    _uiState.update { it.copy(isLoading = false, error = message) }\n                }\n        }\n    }\n\n    fun register(username: String, email: String, password: String) {\n        if (!validateRegistration(username, email, password)) return\n\n        viewModelScope.launch {\n            _uiState.update { it.copy(isLoading = true, error = null) }\n\n            authRepository.register(username, email, password)\n                .onSuccess { user ->\n                    _uiState.update { it.copy(\n                        isLoading = false,\n                        isSuccess = true,\n                        user = user\n                    )}\n                }\n                .onFailure { error ->\n                    val message = when (error) {\n                        is AuthException.UserAlreadyExists -> \"Пользователь уже существует\"\n                        else -> \"Ошибка регистрации\"\n                    }\n                    _uiState.update { it.copy(isLoading = false, error = message) }\n                }\n        }\n    }\n\n    fun logout() {\n        viewModelScope.launch {\n            authRepository.logout()\n            _uiState.value = AuthUiState()\n        }\n    }\n\n    private fun validateInput(username: String, password: String): Boolean {\n        if (username.isBlank()) {\n            _uiState.update { it.copy(error = \"Введите имя пользователя\") }\n            return false\n        }\n        if (password.length 6) {\n            _uiState.update { it.copy(error = \"Пароль минимум 6 символов\") }\n            return false\n        }\n        return true\n    }\n\n    private fun validateRegistration(\n        username: String,\n        email: String,\n        password: String\n    ): Boolean {\n        if (!validateInput(username, password)) return false\n\n        if (!android.util.Patterns.EMAIL_ADDRESS.matcher(email).matches()) {\n            _uiState.update { it.copy(error = \"Некорректный email\") }\n            return false\n        }\n        return true\n    }\n\n    fun clearError() {\n        _uiState.update { it.copy(error = null) }\n    }\n}\n\ndata class AuthUiState(\n    val isLoading: Boolean = false,\n    val isSuccess: Boolean = false,\n    val error: String? = null,\n    val user: User? = null\n)"
+            },
+            {
+                "section": "Presentation Layer",
+                "subsection": "Login Screen",
+                "anchor": "login-screen",
+                "text": "",
+                "code": "@Composable\nfun LoginScreen(\n    viewModel: AuthViewModel = hiltViewModel(),\n    onNavigateToRegister: () -> Unit,\n    onLoginSuccess: () -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    var username by remember { mutableStateOf(\"\") }\n    var password by remember { mutableStateOf(\"\") }\n    var passwordVisible by remember { mutableStateOf(false) }\n\n    // Навигация при успехе\n    LaunchedEffect(uiState.isSuccess) {\n        if (uiState.isSuccess) {\n            onLoginSuccess()\n        }\n    }\n\n    Column(\n        modifier = Modifier\n            .fillMaxSize()\n            .padding(24.dp),\n        horizontalAlignment = Alignment.CenterHorizontally,\n        verticalArrangement = Arrangement.Center\n    ) {\n        Text(\n            text = \"Вход\",\n            style = MaterialTheme.typography.headlineLarge,\n            fontWeight = FontWeight.Bold\n        )\n\n        Spacer(modifier = Modifier.height(32.dp))\n\n        // Username field\n        OutlinedTextField(\n            value = username,\n            onValueChange = { username = it },\n            label = { Text(\"Имя пользователя\") },\n            leadingIcon = { Icon(Icons.Default.Person, null) },\n            singleLine = true,\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        // Password field\n        OutlinedTextField(\n            value = password,\n            onValueChange = { password = it },\n            label = { Text(\"Пароль\") },\n            leadingIcon = { Icon(Icons.Default.Lock, null) },\n            trailingIcon = {\n                IconButton(onClick = { passwordVisible = !passwordVisible }) {\n                    Icon(\n                        if (passwordVisible) Icons.Default.VisibilityOff\n                        else Icons.Default.Visibility,\n                        null\n                    )\n                }\n            },\n            visualTransformation = if (passwordVisible)\n                VisualTransformation.None\n            else\n                PasswordVisualTransformation(),\n            singleLine = true,\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        // Error message\n        uiState.error?.let { error ->\n            Spacer(modifier = Modifier.height(8.dp))\n            Text(\n                text = error,\n                color = MaterialTheme.colorScheme.error,\n                style = MaterialTheme.typography.bodySmall\n            )\n        }\n\n        Spacer(modifier = Modifier.height(24.dp))\n\n        // Login button\n        Button(\n            onClick = { viewModel.login(username, password) },\n            enabled = !uiState.isLoading,\n            modifier = Modifier\n                .fillMaxWidth()\n                .height(50.dp)\n        ) {\n            if (uiState.isLoading) {\n                CircularProgressIndicator(\n                    modifier = Modifier.size(24.dp),\n                    color = MaterialTheme.colorScheme.onPrimary\n                )\n            } else {\n                Text(\"Войти\")\n            }\n        }\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        // Register link\n        TextButton(onClick = onNavigateToRegister) {\n            Text(\"Нет аккаунта? Зарегистрироваться\")\n        }\n    }\n}"
+            },
+            {
+                "section": "Presentation Layer",
+                "subsection": "Register Screen",
+                "anchor": "register-screen",
+                "text": "",
+                "code": "@Composable\nfun RegisterScreen(\n    viewModel: AuthViewModel = hiltViewModel(),\n    onNavigateToLogin: () -> Unit,\n    onRegisterSuccess: () -> Unit\n) {\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    var username by remember { mutableStateOf(\"\") }\n    var email by remember { mutableStateOf(\"\") }\n    var password by remember { mutableStateOf(\"\") }\n    var confirmPassword by remember { mutableStateOf(\"\") }\n\n    LaunchedEffect(uiState.isSuccess) {\n        if (uiState.isSuccess) {\n            onRegisterSuccess()\n        }\n    }\n\n    Column(\n        modifier = Modifier\n            .fillMaxSize()\n            .verticalScroll(rememberScrollState())\n            .padding(24.dp),\n        horizontalAlignment = Alignment.CenterHorizontally\n    ) {\n        Text(\n            text = \"Регистрация\",\n            style = MaterialTheme.typography.headlineLarge,\n            fontWeight = FontWeight.Bold\n        )\n\n        Spacer(modifier = Modifier.height(32.dp))\n\n        OutlinedTextField(\n            value = username,\n            onValueChange = { username = it },\n            label = { Text(\"Имя пользователя\") },\n            leadingIcon = { Icon(Icons.Default.Person, null) },\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        OutlinedTextField(\n            value = email,\n            onValueChange = { email = it },\n            label = { Text(\"Email\") },\n            leadingIcon = { Icon(Icons.Default.Email, null) },\n            keyboardOptions = KeyboardOptions(keyboardType = KeyboardType.Email),\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        OutlinedTextField(\n            value = password,\n            onValueChange = { password = it },\n            label = { Text(\"Пароль\") },\n            leadingIcon = { Icon(Icons.Default.Lock, null) },\n            visualTransformation = PasswordVisualTransformation(),\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        OutlinedTextField(\n            value = confirmPassword,\n            onValueChange = { confirmPassword = it },\n            label = { Text(\"Подтвердите пароль\") },\n            leadingIcon = { Icon(Icons.Default.Lock, null) },\n            visualTransformation = PasswordVisualTransformation(),\n            isError = confirmPassword.isNotEmpty() && password != confirmPassword,\n            modifier = Modifier.fillMaxWidth()\n        )\n\n        uiState.error?.let { error ->\n            Spacer(modifier = Modifier.height(8.dp))\n            Text(\n                text = error,\n                color = MaterialTheme.colorScheme.error\n            )\n        }\n\n        Spacer(modifier = Modifier.height(24.dp))\n\n        Button(\n            onClick = { viewModel.register(username, email, password) },\n            enabled = !uiState.isLoading && password == confirmPassword,\n            modifier = Modifier\n                .fillMaxWidth()\n                .height(50.dp)\n        ) {\n            if (uiState.isLoading) {\n                CircularProgressIndicator(\n                    modifier = Modifier.size(24.dp),\n                    color = MaterialTheme.colorScheme.onPrimary\n                )\n            } else {\n                Text(\"Зарегистрироваться\")\n            }\n        }\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        TextButton(onClick = onNavigateToLogin) {\n            Text(\"Уже есть аккаунт? Войти\")\n        }\n    }\n}"
+            },
+            {
+                "section": "Навигация с аутентификацией",
+                "subsection": "",
+                "anchor": "navigatsiya-s-autentifikatsiey",
+                "text": "",
+                "code": "@Composable\nfun AppNavigation(\n    authViewModel: AuthViewModel = hiltViewModel()\n) {\n    val navController = rememberNavController()\n    val isLoggedIn by authViewModel.isLoggedIn.collectAsStateWithLifecycle()\n\n    // Стартовый экран зависит от состояния авторизации\n    val startDestination = if (isLoggedIn) \"home\" else \"login\"\n\n    NavHost(\n        navController = navController,\n        startDestination = startDestination\n    ) {\n        // Auth flow\n        composable(\"login\") {\n            LoginScreen(\n                onNavigateToRegister = { navController.navigate(\"register\") },\n                onLoginSuccess = {\n                    navController.navigate(\"home\") {\n                        popUpTo(\"login\") { inclusive = true }\n                    }\n                }\n            )\n        }\n\n        composable(\"register\") {\n            RegisterScreen(\n                onNavigateToLogin = { navController.popBackStack() },\n                onRegisterSuccess = {\n                    navController.navigate(\"home\") {\n                        popUpTo(\"login\") { inclusive = true }\n                    }\n                }\n            )\n        }\n\n        // Main app flow\n        composable(\"home\") {\n            HomeScreen(\n                onLogout = {\n                    authViewModel.logout()\n                    navController.navigate(\"login\") {\n                        popUpTo(0) { inclusive = true }\n                    }\n                }\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "Hilt Module",
+                "subsection": "",
+                "anchor": "hilt-module",
+                "text": "",
+                "code": "@Module\n@InstallIn(SingletonComponent::class)\nobject AuthModule {\n\n    @Provides\n    @Singleton\n    fun provideTokenManager(\n        @ApplicationContext context: Context\n    ): TokenManager {\n        return TokenManagerImpl(context)\n    }\n\n    @Provides\n    @Singleton\n    fun provideAuthInterceptor(\n        tokenManager: TokenManager\n    ): AuthInterceptor {\n        return AuthInterceptor(tokenManager)\n    }\n\n    @Provides\n    @Singleton\n    fun provideOkHttpClient(\n        authInterceptor: AuthInterceptor,\n        tokenAuthenticator: TokenAuthenticator\n    ): OkHttpClient {\n        return OkHttpClient.Builder()\n            .addInterceptor(authInterceptor)\n            .authenticator(tokenAuthenticator)\n            .addInterceptor(HttpLoggingInterceptor().apply {\n                level = HttpLoggingInterceptor.Level.BODY\n            })\n            .build()\n    }\n\n    @Provides\n    @Singleton\n    fun provideAuthApi(\n        retrofit: Retrofit\n    ): AuthApi {\n        return retrofit.create(AuthApi::class.java)\n    }\n}"
+            },
+            {
+                "section": "Hilt Module",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• TokenManager — хранение токенов в DataStore • AuthInterceptor — автоматическое добавление токена • TokenAuthenticator — автоматический refresh токена • Auth Repository — логин, регистрация, logout • Auth ViewModel — управление UI состоянием • Login/Register Screens — формы с валидацией",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/15-profile.html",
+        "chapter": "Глава 15",
+        "title": "Профиль пользователя",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 15: Профиль пользователя В этой главе создадим экран профиля с аватаром, редактированием данных, историей заказов и настройками приложения.",
+                "code": ""
+            },
+            {
+                "section": "Domain Model",
+                "subsection": "",
+                "anchor": "domain-model",
+                "text": "",
+                "code": "// domain/model/User.kt\ndata class User(\n    val id: Int,\n    val username: String,\n    val email: String,\n    val firstName: String,\n    val lastName: String,\n    val phone: String? = null,\n    val image: String? = null,\n    val address: Address? = null\n) {\n    val fullName: String\n        get() = \"$firstName $lastName\".trim()\n\n    val initials: String\n        get() = \"${firstName.firstOrNull() ?: \"\"}${lastName.firstOrNull() ?: \"\"}\"\n            .uppercase()\n}\n\ndata class Address(\n    val street: String,\n    val city: String,\n    val state: String,\n    val postalCode: String,\n    val country: String\n) {\n    val formatted: String\n        get() = \"$street, $city, $state $postalCode, $country\"\n}\n\n// domain/model/Order.kt\ndata class Order(\n    val id: String,\n    val products: List<OrderItem>,\n    val total: Double,\n    val status: OrderStatus,\n    val createdAt: LocalDateTime,\n    val shippingAddress: Address\n)\n\ndata class OrderItem(\n    val productId: Int,\n    val title: String,\n    val price: Double,\n    val quantity: Int,\n    val thumbnail: String\n)\n\nenum class OrderStatus {\n    PENDING,\n    PROCESSING,\n    SHIPPED,\n    DELIVERED,\n    CANCELLED\n}"
+            },
+            {
+                "section": "Profile Repository",
+                "subsection": "",
+                "anchor": "profile-repository",
+                "text": "",
+                "code": "// domain/repository/ProfileRepository.kt\ninterface ProfileRepository {\n    fun getCurrentUser(): Flow<User?>\n    suspend fun updateProfile(user: User): Result<User>\n    suspend fun uploadAvatar(imageUri: Uri): Result<String>\n    fun getOrders(): Flow<List<Order>>\n    suspend fun getOrderById(id: String): Result<Order>\n}\n\n// data/repository/ProfileRepositoryImpl.kt\n@Singleton\nclass ProfileRepositoryImpl @Inject constructor(\n    private val profileApi: ProfileApi,\n    private val userDao: UserDao,\n    private val orderDao: OrderDao\n) : ProfileRepository {\n\n    override fun getCurrentUser(): Flow<User?> {\n        return userDao.getCurrentUser()\n            .map { it?.toDomain() }\n    }\n\n    override suspend fun updateProfile(user: User): Result<User> {\n        return try {\n            val response = profileApi.updateProfile(user.toDto())\n            val updated = response.toDomain()\n            userDao.updateUser(updated.toEntity())\n            Result.success(updated)\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n\n    override suspend fun uploadAvatar(imageUri: Uri): Result<String> {\n        return try {\n            val file = imageUri.toFile()\n            val requestBody = file.asRequestBody(\"image/*\".toMediaType())\n            val part = MultipartBody.Part.createFormData(\"avatar\", file.name, requestBody)\n\n            val response = profileApi.uploadAvatar(part)\n            Result.success(response.imageUrl)\n        } catch (e: Exception) {\n            Result.failure(e)\n        }\n    }\n\n    override fun getOrders(): Flow<List<Order>> {\n        return flow {\n            // Сначала кэш\n            emitAll(orderDao.getAllOrders().map { list -> list.map { it.toDomain() } })\n\n            // Затем обновляем с сервера\n            try {\n                val orders = profileApi.getOrders()\n                orderDao.insertAll(orders.map { it.toEntity() })\n            } catch (e: Exception) {\n                // Игнорируем, показываем кэш\n            }\n        }\n    }\n\n    override suspend fun getOrderById(id: String): Result<Order> {\n        return try {\n            val order = profileApi.getOrder(id)\n            Result.success(order.toDomain())\n        } catch (e: Exception) {\n            // Пробуем кэш\n            orderDao.getOrderById(id)?.let {\n                Result.success(it.toDomain())\n            } ?: Result.failure(e)\n        }\n    }\n}"
+            },
+            {
+                "section": "Profile ViewModel",
+                "subsection": "",
+                "anchor": "profile-viewmodel",
+                "text": "",
+                "code": "@HiltViewModel\nclass ProfileViewModel @Inject constructor(\n    private val profileRepository: ProfileRepository,\n    private val authRepository: AuthRepository\n) : ViewModel() {\n\n    val user = profileRepository.getCurrentUser()\n        .stateIn(viewModelScope, SharingStarted.WhileSubscribed(5000), null)\n\n    val orders = profileRepository.getOrders()\n        .stateIn(viewModelScope, SharingStarted.WhileSubscribed(5000), emptyList())\n\n    private val _uiState = MutableStateFlow(ProfileUiState())\n    val uiState: StateFlow<ProfileUiState> = _uiState.asStateFlow()\n\n    fun updateProfile(\n        firstName: String,\n        lastName: String,\n        phone: String?\n    ) {\n        val currentUser = user.value ?: return\n\n        viewModelScope.launch {\n            _uiState.update { it.copy(isLoading = true) }\n\n            val updated = currentUser.copy(\n                firstName = firstName,\n                lastName = lastName,\n                phone = phone\n            )\n\n            profileRepository.updateProfile(updated)\n                .onSuccess {\n                    _uiState.update { it.copy(\n                        isLoading = false,\n                        message = \"Профиль обновлён\"\n                    )}\n                }\n                .onFailure { error ->\n                    _uiState.update { it.copy(\n                        isLoading = false,\n                        error = error.message\n                    )}\n                }\n        }\n    }\n\n    fun uploadAvatar(imageUri: Uri) {\n        viewModelScope.launch {\n            _uiState.update { it.copy(isUploadingAvatar = true) }\n\n            profileRepository.uploadAvatar(imageUri)\n                .onSuccess { imageUrl ->\n                    // Обновляем пользователя с новым аватаром\n                    user.value?.let { currentUser ->\n                        profileRepository.updateProfile(currentUser.copy(image = imageUrl))\n                    }\n                    _uiState.update { it.copy(isUploadingAvatar = false) }\n                }\n                .onFailure { error ->\n                    _uiState.update { it.copy(\n                        isUploadingAvatar = false,\n                        error = \"Не удалось загрузить фото\"\n                    )}\n                }\n        }\n    }\n\n    fun logout() {\n        viewModelScope.launch {\n            authRepository.logout()\n        }\n    }\n\n    fun clearMessage() {\n        _uiState.update { it.copy(message = null, error = null) }\n    }\n}\n\ndata class ProfileUiState(\n    val isLoading: Boolean = false,\n    val isUploadingAvatar: Boolean = false,\n    val message: String? = null,\n    val error: String? = null\n)"
+            },
+            {
+                "section": "Profile Screen",
+                "subsection": "",
+                "anchor": "profile-screen",
+                "text": "",
+                "code": "@Composable\nfun ProfileScreen(\n    viewModel: ProfileViewModel = hiltViewModel(),\n    onNavigateToOrders: () -> Unit,\n    onNavigateToSettings: () -> Unit,\n    onLogout: () -> Unit\n) {\n    val user by viewModel.user.collectAsStateWithLifecycle()\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n    val orders by viewModel.orders.collectAsStateWithLifecycle()\n\n    // Image picker\n    val launcher = rememberLauncherForActivityResult(\n        ActivityResultContracts.GetContent()\n    ) { uri: Uri? ->\n        uri?.let { viewModel.uploadAvatar(it) }\n    }\n\n    val snackbarHostState = remember { SnackbarHostState() }\n\n    // Show messages\n    LaunchedEffect(uiState.message, uiState.error) {\n        (uiState.message ?: uiState.error)?.let {\n            snackbarHostState.showSnackbar(it)\n            viewModel.clearMessage()\n        }\n    }\n\n    Scaffold(\n        snackbarHost = { SnackbarHost(snackbarHostState) }\n    ) { padding ->\n        LazyColumn(\n            modifier = Modifier\n                .fillMaxSize()\n                .padding(padding),\n            horizontalAlignment = Alignment.CenterHorizontally\n        ) {\n            // Avatar section\n            item {\n                ProfileHeader(\n                    user = user,\n                    isUploadingAvatar = uiState.isUploadingAvatar,\n                    onAvatarClick = { launcher.launch(\"image/*\") }\n                )\n            }\n\n            // Menu items\n            item {\n                ProfileMenuItem(\n                    icon = Icons.Default.ShoppingBag,\n                    title = \"Мои заказы\",\n                    subtitle = \"${orders.size} заказов\",\n                    onClick = onNavigateToOrders\n                )\n            }\n\n            item {\n                ProfileMenuItem(\n                    icon = Icons.Default.Favorite,\n                    title = \"Избранное\",\n                    onClick = { /* navigate */ }\n                )\n            }\n\n            item {\n                ProfileMenuItem(\n                    icon = Icons.Default.LocationOn,\n                    title = \"Адреса доставки\",\n                    onClick = { /* navigate */ }\n                )\n            }\n\n            item {\n                ProfileMenuItem(\n                    icon = Icons.Default.CreditCard,\n                    title = \"Способы оплаты\",\n                    onClick = { /* navigate */ }\n                )\n            }\n\n            item {\n                ProfileMenuItem(\n                    icon = Icons.Default.Settings,\n                    title = \"Настройки\",\n                    onClick = onNavigateToSettings\n                )\n            }\n\n            item {\n                Spacer(modifier = Modifier.height(16.dp))\n\n                TextButton(\n                    onClick = {\n                        viewModel.logout()\n                        onLogout()\n                    },\n                    modifier = Modifier.padding(16.dp)\n                ) {\n                    Icon(\n                        Icons.Default.ExitToApp,\n                        null,\n                        tint = MaterialTheme.colorScheme.error\n                    )\n                    Spacer(Modifier.width(8.dp))\n                    Text(\n                        \"Выйти\",\n                        color = MaterialTheme.colorScheme.error\n                    )\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Profile Screen",
+                "subsection": "Profile Header Component",
+                "anchor": "profile-header-component",
+                "text": "",
+                "code": "@Composable\nfun ProfileHeader(\n    user: User?,\n    isUploadingAvatar: Boolean,\n    onAvatarClick: () -> Unit\n) {\n    Column(\n        modifier = Modifier\n            .fillMaxWidth()\n            .padding(24.dp),\n        horizontalAlignment = Alignment.CenterHorizontally\n    ) {\n        Box {\n            // Avatar\n            if (user?.image != null) {\n                AsyncImage(\n                    model = user.image,\n                    contentDescription = \"Аватар\",\n                    modifier = Modifier\n                        .size(100.dp)\n                        .clip(CircleShape)\n                        .clickable(onClick = onAvatarClick),\n                    contentScale = ContentScale.Crop\n                )\n            } else {\n                Box(\n                    modifier = Modifier\n                        .size(100.dp)\n                        .clip(CircleShape)\n                        .background(MaterialTheme.colorScheme.primaryContainer)\n                        .clickable(onClick = onAvatarClick),\n                    contentAlignment = Alignment.Center\n                ) {\n                    Text(\n                        text = user?.initials ?: \"?\",\n                        style = MaterialTheme.typography.headlineLarge,\n                        color = MaterialTheme.colorScheme.onPrimaryContainer\n                    )\n                }\n            }\n\n            // Edit button\n            Box(\n                modifier = Modifier\n                    .align(Alignment.BottomEnd)\n                    .size(32.dp)\n                    .clip(CircleShape)\n                    .background(MaterialTheme.colorScheme.primary)\n                    .clickable(onClick = onAvatarClick),\n                contentAlignment = Alignment.Center\n            ) {\n                if (isUploadingAvatar) {\n                    CircularProgressIndicator(\n                        modifier = Modifier.size(16.dp),\n                        color = MaterialTheme.colorScheme.onPrimary,\n                        strokeWidth = 2.dp\n                    )\n                } else {\n                    Icon(\n                        Icons.Default.CameraAlt,\n                        null,\n                        tint = MaterialTheme.colorScheme.onPrimary,\n                        modifier = Modifier.size(16.dp)\n                    )\n                }\n            }\n        }\n\n        Spacer(modifier = Modifier.height(16.dp))\n\n        Text(\n            text = user?.fullName ?: \"Загрузка...\",\n            style = MaterialTheme.typography.titleLarge,\n            fontWeight = FontWeight.Bold\n        )\n\n        Text(\n            text = user?.email ?: \"\",\n            style = MaterialTheme.typography.bodyMedium,\n            color = MaterialTheme.colorScheme.onSurfaceVariant\n        )\n    }\n}\n\n@Composable\nfun ProfileMenuItem(\n    icon: ImageVector,\n    title: String,\n    subtitle: String? = null,\n    onClick: () -> Unit\n) {\n    Surface(\n        onClick = onClick,\n        modifier = Modifier.fillMaxWidth()\n    ) {\n        Row(\n            modifier = Modifier\n                .padding(horizontal = 16.dp, vertical = 12.dp),\n            verticalAlignment = Alignment.CenterVertically\n        ) {\n            Icon(\n                icon,\n                null,\n                tint = MaterialTheme.colorScheme.primary,\n                modifier = Modifier.size(24.dp)\n            )\n\n            Column(\n                modifier = Modifier\n                    .weight(1f)\n                    .padding(horizontal = 16.dp)\n            ) {\n                Text(\n                    text = title,\n                    style = MaterialTheme.typography.bodyLarge\n                )\n                subtitle?.let {\n                    Text(\n                        text = it,\n                        style = MaterialTheme.typography.bodySmall,\n                        color = MaterialTheme.colorScheme.onSurfaceVariant\n                    )\n                }\n            }\n\n            Icon(\n                Icons.Default.ChevronRight,\n                null,\n                tint = MaterialTheme.colorScheme.onSurfaceVariant\n            )\n        }\n    }\n\n    HorizontalDivider(modifier = Modifier.padding(start = 56.dp))\n}"
+            },
+            {
+                "section": "Edit Profile Screen",
+                "subsection": "",
+                "anchor": "edit-profile-screen",
+                "text": "",
+                "code": "@Composable\nfun EditProfileScreen(\n    viewModel: ProfileViewModel = hiltViewModel(),\n    onNavigateBack: () -> Unit\n) {\n    val user by viewModel.user.collectAsStateWithLifecycle()\n    val uiState by viewModel.uiState.collectAsStateWithLifecycle()\n\n    var firstName by remember(user) { mutableStateOf(user?.firstName ?: \"\") }\n    var lastName by remember(user) { mutableStateOf(user?.lastName ?: \"\") }\n    var phone by remember(user) { mutableStateOf(user?.phone ?: \"\") }\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"Редактировать профиль\") },\n                navigationIcon = {\n                    IconButton(onClick = onNavigateBack) {\n                        Icon(Icons.AutoMirrored.Filled.ArrowBack, null)\n                    }\n                },\n                actions = {\n                    TextButton(\n                        onClick = {\n                            viewModel.updateProfile(firstName, lastName, phone.ifBlank { null })\n                        },\n                        enabled = !uiState.isLoading\n                    ) {\n                        if (uiState.isLoading) {\n                            CircularProgressIndicator(modifier = Modifier.size(16.dp))\n                        } else {\n                            Text(\"Сохранить\")\n                        }\n                    }\n                }\n            )\n        }\n    ) { padding ->\n        Column(\n            modifier = Modifier\n                .fillMaxSize()\n                .padding(padding)\n                .padding(16.dp)\n        ) {\n            OutlinedTextField(\n                value = firstName,\n                onValueChange = { firstName = it },\n                label = { Text(\"Имя\") },\n                modifier = Modifier.fillMaxWidth()\n            )\n\n            Spacer(modifier = Modifier.height(16.dp))\n\n            OutlinedTextField(\n                value = lastName,\n                onValueChange = { lastName = it },\n                label = { Text(\"Фамилия\") },\n                modifier = Modifier.fillMaxWidth()\n            )\n\n            Spacer(modifier = Modifier.height(16.dp))\n\n            OutlinedTextField(\n                value = phone,\n                onValueChange = { phone = it },\n                label = { Text(\"Телефон\") },\n                keyboardOptions = KeyboardOptions(keyboardType = KeyboardType.Phone),\n                modifier = Modifier.fillMaxWidth()\n            )\n\n            Spacer(modifier = Modifier.height(16.dp))\n\n            // Email (read-only)\n            OutlinedTextField(\n                value = user?.email ?: \"\",\n                onValueChange = {},\n                label = { Text(\"Email\") },\n                enabled = false,\n                modifier = Modifier.fillMaxWidth()\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "Orders Screen",
+                "subsection": "",
+                "anchor": "orders-screen",
+                "text": "",
+                "code": "@Composable\nfun OrdersScreen(\n    viewModel: ProfileViewModel = hiltViewModel(),\n    onNavigateToOrder: (String) -> Unit,\n    onNavigateBack: () -> Unit\n) {\n    val orders by viewModel.orders.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"Мои заказы\") },\n                navigationIcon = {\n                    IconButton(onClick = onNavigateBack) {\n                        Icon(Icons.AutoMirrored.Filled.ArrowBack, null)\n                    }\n                }\n            )\n        }\n    ) { padding ->\n        if (orders.isEmpty()) {\n            EmptyOrdersPlaceholder(modifier = Modifier.padding(padding))\n        } else {\n            LazyColumn(\n                modifier = Modifier.padding(padding),\n                contentPadding = PaddingValues(16.dp),\n                verticalArrangement = Arrangement.spacedBy(12.dp)\n            ) {\n                items(orders, key = { it.id }) { order ->\n                    OrderCard(\n                        order = order,\n                        onClick = { onNavigateToOrder(order.id) }\n                    )\n                }\n            }\n        }\n    }\n}\n\n@Composable\nfun OrderCard(\n    order: Order,\n    onClick: () -> Unit\n) {\n    Card(\n        onClick = onClick,\n        modifier = Modifier.fillMaxWidth()\n    ) {\n        Column(modifier = Modifier.padding(16.dp)) {\n            Row(\n                modifier = Modifier.fillMaxWidth(),\n                horizontalArrangement = Arrangement.SpaceBetween\n            ) {\n                Text(\n                    text = \"Заказ #${order.id.takeLast(6)}\",\n                    style = MaterialTheme.typography.titleMedium,\n                    fontWeight = FontWeight.Bold\n                )\n\n                OrderStatusChip(status = order.status)\n            }\n\n            Spacer(modifier = Modifier.height(8.dp))\n\n            Text(\n                text = order.createdAt.format(DateTimeFormatter.ofPattern(\"dd MMM yyyy\")),\n                style = MaterialTheme.typography.bodySmall,\n                color = MaterialTheme.colorScheme.onSurfaceVariant\n            )\n\n            Spacer(modifier = Modifier.height(12.dp))\n\n            // Product thumbnails\n            Row(horizontalArrangement = Arrangement.spacedBy(8.dp)) {\n                order.products.take(3).forEach { item ->\n                    AsyncImage(\n                        model = item.thumbnail,\n                        contentDescription = null,\n                        modifier = Modifier\n                            .size(48.dp)\n                            .clip(RoundedCornerShape(8.dp)),\n                        contentScale = ContentScale.Crop\n                    )\n                }\n                if (order.products.size > 3) {\n                    Box(\n                        modifier = Modifier\n                            .size(48.dp)\n                            .clip(RoundedCornerShape(8.dp))\n                            .background(MaterialTheme.colorScheme.surfaceVariant),\n                        contentAlignment = Alignment.Center\n                    ) {\n                        Text(\"+${order.products.size - 3}\")\n                    }\n                }\n            }\n\n            Spacer(modifier = Modifier.height(12.dp))\n\n            Row(\n                modifier = Modifier.fillMaxWidth(),\n                horizontalArrangement = Arrangement.SpaceBetween\n            ) {\n                Text(\n                    text = \"${order.products.sumOf { it.quantity }} товаров\",\n                    style = MaterialTheme.typography.bodyMedium\n                )\n                Text(\n                    text = \"$${order.total}\",\n                    style = MaterialTheme.typography.titleMedium,\n                    fontWeight = FontWeight.Bold\n                )\n            }\n        }\n    }\n}\n\n@Composable\nfun OrderStatusChip(status: OrderStatus) {\n    val (color, text) = when (status) {\n        OrderStatus.PENDING -> Pair(Color(0xFFFFA000), \"Ожидает\")\n        OrderStatus.PROCESSING -> Pair(Color(0xFF2196F3), \"В обработке\")\n        OrderStatus.SHIPPED -> Pair(Color(0xFF9C27B0), \"Отправлен\")\n        OrderStatus.DELIVERED -> Pair(Color(0xFF4CAF50), \"Доставлен\")\n        OrderStatus.CANCELLED -> Pair(Color(0xFFF44336), \"Отменён\")\n    }\n\n    Surface(\n        color = color.copy(alpha = 0.1f),\n        shape = RoundedCornerShape(4.dp)\n    ) {\n        Text(\n            text = text,\n            color = color,\n            style = MaterialTheme.typography.labelSmall,\n            modifier = Modifier.padding(horizontal = 8.dp, vertical = 4.dp)\n        )\n    }\n}\n\n@Composable\nfun EmptyOrdersPlaceholder(modifier: Modifier = Modifier) {\n    Column(\n        modifier = modifier.fillMaxSize(),\n        horizontalAlignment = Alignment.CenterHorizontally,\n        verticalArrangement = Arrangement.Center\n    ) {\n        Icon(\n            Icons.Default.ShoppingBag,\n            null,\n            modifier = Modifier.size(64.dp),\n            tint = MaterialTheme.colorScheme.onSurfaceVariant\n        )\n        Spacer(modifier = Modifier.height(16.dp))\n        Text(\n            text = \"Заказов пока нет\",\n            style = MaterialTheme.typography.titleMedium\n        )\n        Text(\n            text = \"Ваши заказы появятся здесь\",\n            style = MaterialTheme.typography.bodyMedium,\n            color = MaterialTheme.colorScheme.onSurfaceVariant\n        )\n    }\n}"
+            },
+            {
+                "section": "Orders Screen",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• Profile Screen — аватар, меню настроек • Image Picker — загрузка фото с ActivityResult API • Edit Profile — форма редактирования • Orders List — история заказов с статусами • Multipart Upload — загрузка файлов на сервер",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/16-dark-theme.html",
+        "chapter": "Глава 16",
+        "title": "Тёмная тема",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 16: Тёмная тема Material 3 в Compose делает реализацию тёмной темы простой. Добавим переключение темы с сохранением выбора пользователя.",
+                "code": ""
+            },
+            {
+                "section": "Определение цветовых схем",
+                "subsection": "",
+                "anchor": "opredelenie-tsvetovyh-shem",
+                "text": "",
+                "code": "// ui/theme/Color.kt\nval Green80 = Color(0xFFA8DAB5)\nval GreenGrey80 = Color(0xFFB8CCB8)\nval Pink80 = Color(0xFFEFB8C8)\n\nval Green40 = Color(0xFF4CAF50)\nval GreenGrey40 = Color(0xFF5D7B5D)\nval Pink40 = Color(0xFF7D5260)\n\n// ui/theme/Theme.kt\nprivate val DarkColorScheme = darkColorScheme(\n    primary = Green80,\n    secondary = GreenGrey80,\n    tertiary = Pink80,\n    background = Color(0xFF121212),\n    surface = Color(0xFF1E1E1E),\n    onPrimary = Color.Black,\n    onSecondary = Color.Black,\n    onBackground = Color.White,\n    onSurface = Color.White\n)\n\nprivate val LightColorScheme = lightColorScheme(\n    primary = Green40,\n    secondary = GreenGrey40,\n    tertiary = Pink40,\n    background = Color.White,\n    surface = Color(0xFFFFFBFE),\n    onPrimary = Color.White,\n    onSecondary = Color.White,\n    onBackground = Color(0xFF1C1B1F),\n    onSurface = Color(0xFF1C1B1F)\n)"
+            },
+            {
+                "section": "Theme Manager",
+                "subsection": "",
+                "anchor": "theme-manager",
+                "text": "",
+                "code": "// domain/model/ThemeMode.kt\nenum class ThemeMode {\n    SYSTEM,  // Следовать системе\n    LIGHT,   // Всегда светлая\n    DARK     // Всегда тёмная\n}\n\n// data/local/ThemeManager.kt\ninterface ThemeManager {\n    val themeMode: Flow<ThemeMode>\n    suspend fun setThemeMode(mode: ThemeMode)\n}\n\n@Singleton\nclass ThemeManagerImpl @Inject constructor(\n    @ApplicationContext private val context: Context\n) : ThemeManager {\n\n    private val Context.dataStore by preferencesDataStore(name = \"settings\")\n\n    private object Keys {\n        val THEME_MODE = stringPreferencesKey(\"theme_mode\")\n    }\n\n    override val themeMode: Flow<ThemeMode> = context.dataStore.data\n        .map { prefs ->\n            val value = prefs[Keys.THEME_MODE] ?: ThemeMode.SYSTEM.name\n            ThemeMode.valueOf(value)\n        }\n\n    override suspend fun setThemeMode(mode: ThemeMode) {\n        context.dataStore.edit { prefs ->\n            prefs[Keys.THEME_MODE] = mode.name\n        }\n    }\n}"
+            },
+            {
+                "section": "Theme Composable",
+                "subsection": "",
+                "anchor": "theme-composable",
+                "text": "",
+                "code": "@Composable\nfun ECommerceTheme(\n    themeMode: ThemeMode = ThemeMode.SYSTEM,\n    dynamicColor: Boolean = true,\n    content: @Composable () -> Unit\n) {\n    val darkTheme = when (themeMode) {\n        ThemeMode.SYSTEM -> isSystemInDarkTheme()\n        ThemeMode.LIGHT -> false\n        ThemeMode.DARK -> true\n    }\n\n    val colorScheme = when {\n        // Dynamic colors (Android 12+)\n        dynamicColor && Build.VERSION.SDK_INT >= Build.VERSION_CODES.S -> {\n            val context = LocalContext.current\n            if (darkTheme) dynamicDarkColorScheme(context)\n            else dynamicLightColorScheme(context)\n        }\n        darkTheme -> DarkColorScheme\n        else -> LightColorScheme\n    }\n\n    // Обновление системных баров\n    val view = LocalView.current\n    if (!view.isInEditMode) {\n        SideEffect {\n            val window = (view.context as Activity).window\n            window.statusBarColor = colorScheme.surface.toArgb()\n            WindowCompat.getInsetsController(window, view)\n                .isAppearanceLightStatusBars = !darkTheme\n        }\n    }\n\n    MaterialTheme(\n        colorScheme = colorScheme,\n        typography = Typography,\n        content = content\n    )\n}"
+            },
+            {
+                "section": "Settings ViewModel",
+                "subsection": "",
+                "anchor": "settings-viewmodel",
+                "text": "",
+                "code": "@HiltViewModel\nclass SettingsViewModel @Inject constructor(\n    private val themeManager: ThemeManager\n) : ViewModel() {\n\n    val themeMode = themeManager.themeMode\n        .stateIn(viewModelScope, SharingStarted.WhileSubscribed(5000), ThemeMode.SYSTEM)\n\n    fun setThemeMode(mode: ThemeMode) {\n        viewModelScope.launch {\n            themeManager.setThemeMode(mode)\n        }\n    }\n}"
+            },
+            {
+                "section": "Settings Screen",
+                "subsection": "",
+                "anchor": "settings-screen",
+                "text": "",
+                "code": "@Composable\nfun SettingsScreen(\n    viewModel: SettingsViewModel = hiltViewModel(),\n    onNavigateBack: () -> Unit\n) {\n    val themeMode by viewModel.themeMode.collectAsStateWithLifecycle()\n\n    Scaffold(\n        topBar = {\n            TopAppBar(\n                title = { Text(\"Настройки\") },\n                navigationIcon = {\n                    IconButton(onClick = onNavigateBack) {\n                        Icon(Icons.AutoMirrored.Filled.ArrowBack, null)\n                    }\n                }\n            )\n        }\n    ) { padding ->\n        Column(modifier = Modifier.padding(padding)) {\n            Text(\n                text = \"Оформление\",\n                style = MaterialTheme.typography.titleSmall,\n                color = MaterialTheme.colorScheme.primary,\n                modifier = Modifier.padding(16.dp)\n            )\n\n            ThemeOption.entries.forEach { option ->\n                Row(\n                    modifier = Modifier\n                        .fillMaxWidth()\n                        .clickable { viewModel.setThemeMode(option.mode) }\n                        .padding(16.dp),\n                    verticalAlignment = Alignment.CenterVertically\n                ) {\n                    Icon(option.icon, null)\n                    Text(\n                        text = option.title,\n                        modifier = Modifier.weight(1f).padding(start = 16.dp)\n                    )\n                    RadioButton(\n                        selected = themeMode == option.mode,\n                        onClick = { viewModel.setThemeMode(option.mode) }\n                    )\n                }\n            }\n        }\n    }\n}\n\nenum class ThemeOption(\n    val mode: ThemeMode,\n    val title: String,\n    val icon: ImageVector\n) {\n    SYSTEM(ThemeMode.SYSTEM, \"Как в системе\", Icons.Default.Brightness6),\n    LIGHT(ThemeMode.LIGHT, \"Светлая\", Icons.Default.LightMode),\n    DARK(ThemeMode.DARK, \"Тёмная\", Icons.Default.DarkMode)\n}"
+            },
+            {
+                "section": "Использование в MainActivity",
+                "subsection": "",
+                "anchor": "ispolzovanie-v-mainactivity",
+                "text": "",
+                "code": "@AndroidEntryPoint\nclass MainActivity : ComponentActivity() {\n\n    private val settingsViewModel: SettingsViewModel by viewModels()\n\n    override fun onCreate(savedInstanceState: Bundle?) {\n        super.onCreate(savedInstanceState)\n        enableEdgeToEdge()\n\n        setContent {\n            val themeMode by settingsViewModel.themeMode.collectAsStateWithLifecycle()\n\n            ECommerceTheme(themeMode = themeMode) {\n                AppNavigation()\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Использование в MainActivity",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• Material 3 Color Schemes — светлая и тёмная палитра • Dynamic Colors — цвета из обоев (Android 12+) • ThemeManager — сохранение выбора в DataStore • System Bars — адаптация статус бара под тему",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/17-animations.html",
+        "chapter": "Глава 17",
+        "title": "Анимации",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 17: Анимации в Compose Анимации делают приложение живым. Compose предлагает мощные API для создания плавных переходов и эффектов.",
+                "code": ""
+            },
+            {
+                "section": "animate*AsState",
+                "subsection": "",
+                "anchor": "animate-asstate",
+                "text": "Простейший способ анимации — изменение значения:",
+                "code": "@Composable\nfun FavoriteButton(\n    isFavorite: Boolean,\n    onClick: () -> Unit\n) {\n    // Анимация размера\n    val size by animateDpAsState(\n        targetValue = if (isFavorite) 32.dp else 24.dp,\n        animationSpec = spring(\n            dampingRatio = Spring.DampingRatioMediumBouncy,\n            stiffness = Spring.StiffnessLow\n        ),\n        label = \"size\"\n    )\n\n    // Анимация цвета\n    val color by animateColorAsState(\n        targetValue = if (isFavorite) Color.Red else Color.Gray,\n        animationSpec = tween(durationMillis = 300),\n        label = \"color\"\n    )\n\n    IconButton(onClick = onClick) {\n        Icon(\n            if (isFavorite) Icons.Filled.Favorite else Icons.Outlined.FavoriteBorder,\n            contentDescription = null,\n            tint = color,\n            modifier = Modifier.size(size)\n        )\n    }\n}"
+            },
+            {
+                "section": "AnimatedVisibility",
+                "subsection": "",
+                "anchor": "animatedvisibility",
+                "text": "",
+                "code": "@Composable\nfun AddToCartButton(\n    isInCart: Boolean,\n    onAddToCart: () -> Unit\n) {\n    AnimatedVisibility(\n        visible = !isInCart,\n        enter = fadeIn() + slideInVertically { it },\n        exit = fadeOut() + slideOutVertically { -it }\n    ) {\n        Button(onClick = onAddToCart) {\n            Icon(Icons.Default.ShoppingCart, null)\n            Spacer(Modifier.width(8.dp))\n            Text(\"В корзину\")\n        }\n    }\n\n    AnimatedVisibility(\n        visible = isInCart,\n        enter = scaleIn() + fadeIn(),\n        exit = scaleOut() + fadeOut()\n    ) {\n        OutlinedButton(onClick = {}) {\n            Icon(Icons.Default.Check, null, tint = Color.Green)\n            Spacer(Modifier.width(8.dp))\n            Text(\"В корзине\")\n        }\n    }\n}"
+            },
+            {
+                "section": "AnimatedContent",
+                "subsection": "",
+                "anchor": "animatedcontent",
+                "text": "",
+                "code": "@Composable\nfun CartItemCount(count: Int) {\n    AnimatedContent(\n        targetState = count,\n        transitionSpec = {\n            if (targetState > initialState) {\n                // Увеличение — сверху вниз\n                slideInVertically { -it } + fadeIn() togetherWith\n                    slideOutVertically { it } + fadeOut()\n            } else {\n                // Уменьшение — снизу вверх\n                slideInVertically { it } + fadeIn() togetherWith\n                    slideOutVertically { -it } + fadeOut()\n            }.using(SizeTransform(clip = false))\n        },\n        label = \"count\"\n    ) { targetCount ->\n        Text(\n            text = targetCount.toString(),\n            style = MaterialTheme.typography.titleLarge,\n            fontWeight = FontWeight.Bold\n        )\n    }\n}"
+            },
+            {
+                "section": "Shimmer эффект (Loading)",
+                "subsection": "",
+                "anchor": "shimmer-effekt-loading",
+                "text": "",
+                "code": "@Composable\nfun ShimmerEffect(\n    modifier: Modifier = Modifier\n) {\n    val shimmerColors = listOf(\n        Color.LightGray.copy(alpha = 0.6f),\n        Color.LightGray.copy(alpha = 0.2f),\n        Color.LightGray.copy(alpha = 0.6f)\n    )\n\n    val transition = rememberInfiniteTransition(label = \"shimmer\")\n    val translateAnim by transition.animateFloat(\n        initialValue = 0f,\n        targetValue = 1000f,\n        animationSpec = infiniteRepeatable(\n            animation = tween(durationMillis = 1200, easing = LinearEasing),\n            repeatMode = RepeatMode.Restart\n        ),\n        label = \"translate\"\n    )\n\n    val brush = Brush.linearGradient(\n        colors = shimmerColors,\n        start = Offset(translateAnim - 200f, 0f),\n        end = Offset(translateAnim, 0f)\n    )\n\n    Box(\n        modifier = modifier.background(brush)\n    )\n}\n\n@Composable\nfun ProductCardSkeleton() {\n    Card(modifier = Modifier.fillMaxWidth()) {\n        Column(modifier = Modifier.padding(16.dp)) {\n            ShimmerEffect(\n                modifier = Modifier\n                    .fillMaxWidth()\n                    .height(200.dp)\n                    .clip(RoundedCornerShape(8.dp))\n            )\n            Spacer(modifier = Modifier.height(8.dp))\n            ShimmerEffect(\n                modifier = Modifier\n                    .fillMaxWidth(0.7f)\n                    .height(20.dp)\n            )\n            Spacer(modifier = Modifier.height(4.dp))\n            ShimmerEffect(\n                modifier = Modifier\n                    .fillMaxWidth(0.4f)\n                    .height(16.dp)\n            )\n        }\n    }\n}"
+            },
+            {
+                "section": "Анимация списка",
+                "subsection": "",
+                "anchor": "animatsiya-spiska",
+                "text": "",
+                "code": "@Composable\nfun AnimatedProductList(products: List<Product>) {\n    LazyColumn {\n        itemsIndexed(\n            items = products,\n            key = { _, product -> product.id }\n        ) { index, product ->\n            var visible by remember { mutableStateOf(false) }\n\n            LaunchedEffect(Unit) {\n                delay(index * 50L)  // Каскадная задержка\n                visible = true\n            }\n\n            AnimatedVisibility(\n                visible = visible,\n                enter = fadeIn(\n                    animationSpec = tween(durationMillis = 300)\n                ) + slideInHorizontally(\n                    initialOffsetX = { 100 },\n                    animationSpec = tween(durationMillis = 300)\n                )\n            ) {\n                ProductCard(\n                    product = product,\n                    modifier = Modifier.animateItem()  // Compose 1.7+\n                )\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Навигационные переходы",
+                "subsection": "",
+                "anchor": "navigatsionnye-perehody",
+                "text": "",
+                "code": "// Navigation Compose с анимациями\nNavHost(\n    navController = navController,\n    startDestination = \"home\",\n    enterTransition = { fadeIn(tween(300)) + slideIntoContainer(AnimatedContentTransitionScope.SlideDirection.Start) },\n    exitTransition = { fadeOut(tween(300)) + slideOutOfContainer(AnimatedContentTransitionScope.SlideDirection.Start) },\n    popEnterTransition = { fadeIn(tween(300)) + slideIntoContainer(AnimatedContentTransitionScope.SlideDirection.End) },\n    popExitTransition = { fadeOut(tween(300)) + slideOutOfContainer(AnimatedContentTransitionScope.SlideDirection.End) }\n) {\n    composable(\"home\") { HomeScreen() }\n\n    composable(\n        \"product/{id}\",\n        enterTransition = { scaleIn(initialScale = 0.9f) + fadeIn() },\n        exitTransition = { scaleOut(targetScale = 0.9f) + fadeOut() }\n    ) { ProductDetailScreen() }\n}"
+            },
+            {
+                "section": "Shared Element Transition",
+                "subsection": "",
+                "anchor": "shared-element-transition",
+                "text": "",
+                "code": "// Compose 1.7+ SharedTransitionLayout\nSharedTransitionLayout {\n    NavHost(navController, startDestination = \"list\") {\n        composable(\"list\") {\n            ProductList(\n                onProductClick = { product ->\n                    navController.navigate(\"detail/\\${product.id}\")\n                },\n                sharedTransitionScope = this@SharedTransitionLayout,\n                animatedVisibilityScope = this@composable\n            )\n        }\n\n        composable(\"detail/{id}\") {\n            ProductDetail(\n                sharedTransitionScope = this@SharedTransitionLayout,\n                animatedVisibilityScope = this@composable\n            )\n        }\n    }\n}\n\n// В ProductCard\nAsyncImage(\n    model = product.thumbnail,\n    modifier = Modifier\n        .sharedElement(\n            rememberSharedContentState(key = \"image-\\${product.id}\"),\n            animatedVisibilityScope = animatedVisibilityScope\n        )\n)"
+            },
+            {
+                "section": "Shared Element Transition",
+                "subsection": "Типы анимаций",
+                "anchor": "tipy-animatsiy",
+                "text": "• animate*AsState — простые переходы значений • AnimatedVisibility — появление/исчезновение • AnimatedContent — замена контента • InfiniteTransition — циклические анимации • SharedElement — переходы между экранами",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/18-offline.html",
+        "chapter": "Глава 18",
+        "title": "Офлайн режим",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 18: Офлайн режим Offline-first подход: приложение работает без интернета, синхронизируя данные когда соединение появляется.",
+                "code": ""
+            },
+            {
+                "section": "Архитектура Offline-First",
+                "subsection": "",
+                "anchor": "arhitektura-offline-first",
+                "text": "",
+                "code": "┌──────────────┐     ┌──────────────┐     ┌──────────────┐\n│     UI       │────▶│  Repository  │────▶│    Room      │\n│              │     │              │     │   (Cache)    │\n└──────────────┘     └──────┬───────┘     └──────────────┘\n                            │                     ▲\n                            ▼                     │\n                     ┌──────────────┐     ┌──────────────┐\n                     │   Network    │────▶│   Sync       │\n                     │   (Retrofit) │     │   (Update)   │\n                     └──────────────┘     └──────────────┘"
+            },
+            {
+                "section": "Network Monitor",
+                "subsection": "",
+                "anchor": "network-monitor",
+                "text": "",
+                "code": "// data/network/NetworkMonitor.kt\ninterface NetworkMonitor {\n    val isOnline: Flow<Boolean>\n}\n\n@Singleton\nclass NetworkMonitorImpl @Inject constructor(\n    @ApplicationContext private val context: Context\n) : NetworkMonitor {\n\n    private val connectivityManager = context.getSystemService<ConnectivityManager>()!!\n\n    override val isOnline: Flow<Boolean> = callbackFlow {\n        val callback = object : ConnectivityManager.NetworkCallback() {\n            override fun onAvailable(network: Network) {\n                trySend(true)\n            }\n\n            override fun onLost(network: Network) {\n                trySend(false)\n            }\n        }\n\n        val request = NetworkRequest.Builder()\n            .addCapability(NetworkCapabilities.NET_CAPABILITY_INTERNET)\n            .build()\n\n        connectivityManager.registerNetworkCallback(request, callback)\n\n        // Начальное состояние\n        trySend(connectivityManager.activeNetwork != null)\n\n        awaitClose {\n            connectivityManager.unregisterNetworkCallback(callback)\n        }\n    }.distinctUntilChanged()\n}"
+            },
+            {
+                "section": "Offline-First Repository",
+                "subsection": "",
+                "anchor": "offline-first-repository",
+                "text": "",
+                "code": "@Singleton\nclass ProductRepositoryImpl @Inject constructor(\n    private val productApi: ProductApi,\n    private val productDao: ProductDao,\n    private val networkMonitor: NetworkMonitor\n) : ProductRepository {\n\n    override fun getProducts(): Flow<Resource<List<Product>>> = flow {\n        emit(Resource.Loading())\n\n        // 1. Сразу показываем кэш\n        val cached = productDao.getAllProducts().first()\n        if (cached.isNotEmpty()) {\n            emit(Resource.Success(cached.map { it.toDomain() }))\n        }\n\n        // 2. Если онлайн — обновляем\n        if (networkMonitor.isOnline.first()) {\n            try {\n                val remote = productApi.getProducts()\n                productDao.deleteAll()\n                productDao.insertAll(remote.products.map { it.toEntity() })\n\n                emit(Resource.Success(remote.products.map { it.toDomain() }))\n            } catch (e: Exception) {\n                // Ошибка сети, но кэш уже показан\n                if (cached.isEmpty()) {\n                    emit(Resource.Error(\"Нет данных. Проверьте интернет.\"))\n                }\n            }\n        } else if (cached.isEmpty()) {\n            emit(Resource.Error(\"Нет интернета и кэша\"))\n        }\n    }\n\n    // Поиск работает офлайн\n    override fun searchProducts(query: String): Flow<List<Product>> {\n        return productDao.searchProducts(\"%$query%\")\n            .map { list -> list.map { it.toDomain() } }\n    }\n}"
+            },
+            {
+                "section": "Синхронизация с WorkManager",
+                "subsection": "",
+                "anchor": "sinhronizatsiya-s-workmanager",
+                "text": "",
+                "code": "// data/sync/SyncWorker.kt\n@HiltWorker\nclass SyncWorker @AssistedInject constructor(\n    @Assisted context: Context,\n    @Assisted params: WorkerParameters,\n    private val productApi: ProductApi,\n    private val productDao: ProductDao\n) : CoroutineWorker(context, params) {\n\n    override suspend fun doWork(): Result {\n        return try {\n            val products = productApi.getProducts()\n            productDao.deleteAll()\n            productDao.insertAll(products.products.map { it.toEntity() })\n            Result.success()\n        } catch (e: Exception) {\n            if (runAttemptCount 3) {\n                Result.retry()\n            } else {\n                Result.failure()\n            }\n        }\n    }\n}\n\n// Запуск синхронизации\n@Singleton\nclass SyncManager @Inject constructor(\n    @ApplicationContext private val context: Context\n) {\n    private val workManager = WorkManager.getInstance(context)\n\n    fun scheduleSync() {\n        val constraints = Constraints.Builder()\n            .setRequiredNetworkType(NetworkType.CONNECTED)\n            .build()\n\n        val request = PeriodicWorkRequestBuilder<SyncWorker>(\n            15, TimeUnit.MINUTES\n        )\n            .setConstraints(constraints)\n            .build()\n\n        workManager.enqueueUniquePeriodicWork(\n            \"sync\",\n            ExistingPeriodicWorkPolicy.KEEP,\n            request\n        )\n    }\n\n    fun syncNow() {\n        val request = OneTimeWorkRequestBuilder<SyncWorker>()\n            .setConstraints(\n                Constraints.Builder()\n                    .setRequiredNetworkType(NetworkType.CONNECTED)\n                    .build()\n            )\n            .build()\n\n        workManager.enqueue(request)\n    }\n}"
+            },
+            {
+                "section": "Offline Actions Queue",
+                "subsection": "",
+                "anchor": "offline-actions-queue",
+                "text": "",
+                "code": "// Сохраняем действия для отложенной отправки\n@Entity(tableName = \"pending_actions\")\ndata class PendingAction(\n    @PrimaryKey(autoGenerate = true)\n    val id: Long = 0,\n    val type: ActionType,\n    val payload: String,  // JSON\n    val createdAt: Long = System.currentTimeMillis()\n)\n\nenum class ActionType {\n    ADD_TO_CART,\n    REMOVE_FROM_CART,\n    ADD_TO_FAVORITES,\n    REMOVE_FROM_FAVORITES\n}\n\n// Добавление в очередь\nsuspend fun addToCart(productId: Int) {\n    if (networkMonitor.isOnline.first()) {\n        cartApi.addToCart(productId)\n    } else {\n        // Сохраняем для отправки позже\n        pendingActionDao.insert(\n            PendingAction(\n                type = ActionType.ADD_TO_CART,\n                payload = \"{\\\"productId\\\": $productId}\"\n            )\n        )\n    }\n    // Всегда обновляем локально\n    cartDao.addProduct(productId)\n}\n\n// Worker для обработки очереди\n@HiltWorker\nclass PendingActionsWorker @AssistedInject constructor(\n    @Assisted context: Context,\n    @Assisted params: WorkerParameters,\n    private val pendingActionDao: PendingActionDao,\n    private val cartApi: CartApi\n) : CoroutineWorker(context, params) {\n\n    override suspend fun doWork(): Result {\n        val actions = pendingActionDao.getAll()\n\n        actions.forEach { action ->\n            try {\n                when (action.type) {\n                    ActionType.ADD_TO_CART -> {\n                        val productId = Json.decodeFromString<AddToCartPayload>(action.payload)\n                        cartApi.addToCart(productId.productId)\n                    }\n                    // ... другие типы\n                }\n                pendingActionDao.delete(action)\n            } catch (e: Exception) {\n                // Оставляем в очереди\n            }\n        }\n\n        return Result.success()\n    }\n}"
+            },
+            {
+                "section": "UI индикатор офлайн",
+                "subsection": "",
+                "anchor": "ui-indikator-oflayn",
+                "text": "",
+                "code": "@Composable\nfun OfflineBanner(\n    networkMonitor: NetworkMonitor = hiltViewModel<MainViewModel>().networkMonitor\n) {\n    val isOnline by networkMonitor.isOnline.collectAsStateWithLifecycle(initialValue = true)\n\n    AnimatedVisibility(\n        visible = !isOnline,\n        enter = slideInVertically() + fadeIn(),\n        exit = slideOutVertically() + fadeOut()\n    ) {\n        Surface(\n            color = MaterialTheme.colorScheme.errorContainer,\n            modifier = Modifier.fillMaxWidth()\n        ) {\n            Row(\n                modifier = Modifier.padding(12.dp),\n                horizontalArrangement = Arrangement.Center,\n                verticalAlignment = Alignment.CenterVertically\n            ) {\n                Icon(\n                    Icons.Default.WifiOff,\n                    contentDescription = null,\n                    tint = MaterialTheme.colorScheme.onErrorContainer\n                )\n                Spacer(Modifier.width(8.dp))\n                Text(\n                    \"Нет подключения к интернету\",\n                    color = MaterialTheme.colorScheme.onErrorContainer\n                )\n            }\n        }\n    }\n}\n\n// Использование в Scaffold\nScaffold(\n    topBar = {\n        Column {\n            TopAppBar(...)\n            OfflineBanner()\n        }\n    }\n) { ... }"
+            },
+            {
+                "section": "UI индикатор офлайн",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• NetworkMonitor — отслеживание состояния сети • Offline-First — сначала кэш, потом сеть • WorkManager — фоновая синхронизация • Pending Actions — очередь офлайн-действий",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/19-pagination.html",
+        "chapter": "Глава 19",
+        "title": "Пагинация",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Глава 19: Пагинация Paging 3 — библиотека для загрузки данных страницами. Автоматически загружает следующую страницу при скролле и кэширует данные.",
+                "code": ""
+            },
+            {
+                "section": "Зависимости",
+                "subsection": "",
+                "anchor": "zavisimosti",
+                "text": "",
+                "code": "// build.gradle.kts\ndependencies {\n    implementation(\"androidx.paging:paging-runtime-ktx:3.2.1\")\n    implementation(\"androidx.paging:paging-compose:3.2.1\")\n    // Для Room\n    implementation(\"androidx.room:room-paging:2.6.1\")\n}"
+            },
+            {
+                "section": "PagingSource",
+                "subsection": "",
+                "anchor": "pagingsource",
+                "text": "",
+                "code": "// data/paging/ProductPagingSource.kt\nclass ProductPagingSource(\n    private val api: ProductApi,\n    private val category: String?\n) : PagingSource<Int, Product>() {\n\n    override fun getRefreshKey(state: PagingState<Int, Product>): Int? {\n        return state.anchorPosition?.let { position ->\n            state.closestPageToPosition(position)?.prevKey?.plus(1)\n                ?: state.closestPageToPosition(position)?.nextKey?.minus(1)\n        }\n    }\n\n    override suspend fun load(params: LoadParams<Int>): LoadResult<Int, Product> {\n        val page = params.key ?: 1\n        val limit = params.loadSize\n\n        return try {\n            val response = api.getProducts(\n                limit = limit,\n                skip = (page - 1) * limit,\n                category = category\n            )\n\n            val products = response.products.map { it.toDomain() }\n\n            LoadResult.Page(\n                data = products,\n                prevKey = if (page == 1) null else page - 1,\n                nextKey = if (products.isEmpty()) null else page + 1\n            )\n        } catch (e: IOException) {\n            LoadResult.Error(e)\n        } catch (e: HttpException) {\n            LoadResult.Error(e)\n        }\n    }\n}"
+            },
+            {
+                "section": "Repository с Pager",
+                "subsection": "",
+                "anchor": "repository-s-pager",
+                "text": "",
+                "code": "@Singleton\nclass ProductRepositoryImpl @Inject constructor(\n    private val api: ProductApi\n) : ProductRepository {\n\n    override fun getProducts(category: String?): Flow<PagingData<Product>> {\n        return Pager(\n            config = PagingConfig(\n                pageSize = 20,\n                prefetchDistance = 5,        // Предзагрузка за 5 элементов\n                enablePlaceholders = false,\n                initialLoadSize = 40         // Первая загрузка больше\n            ),\n            pagingSourceFactory = {\n                ProductPagingSource(api, category)\n            }\n        ).flow\n    }\n}"
+            },
+            {
+                "section": "ViewModel",
+                "subsection": "",
+                "anchor": "viewmodel",
+                "text": "",
+                "code": "@HiltViewModel\nclass ProductListViewModel @Inject constructor(\n    private val repository: ProductRepository\n) : ViewModel() {\n\n    private val _category = MutableStateFlow<String?>(null)\n\n    val products: Flow<PagingData<Product>> = _category\n        .flatMapLatest { category ->\n            repository.getProducts(category)\n        }\n        .cachedIn(viewModelScope)  // Кэширование при поворотах\n\n    fun setCategory(category: String?) {\n        _category.value = category\n    }\n}"
+            },
+            {
+                "section": "UI с LazyColumn",
+                "subsection": "",
+                "anchor": "ui-s-lazycolumn",
+                "text": "",
+                "code": "@Composable\nfun ProductListScreen(\n    viewModel: ProductListViewModel = hiltViewModel()\n) {\n    val products = viewModel.products.collectAsLazyPagingItems()\n\n    LazyColumn {\n        // Состояние загрузки первой страницы\n        when (val state = products.loadState.refresh) {\n            is LoadState.Loading -> {\n                item { FullScreenLoading() }\n            }\n            is LoadState.Error -> {\n                item {\n                    ErrorMessage(\n                        message = state.error.localizedMessage ?: \"Ошибка\",\n                        onRetry = { products.retry() }\n                    )\n                }\n            }\n            is LoadState.NotLoading -> Unit\n        }\n\n        // Элементы списка\n        items(\n            count = products.itemCount,\n            key = products.itemKey { it.id }\n        ) { index ->\n            val product = products[index]\n            if (product != null) {\n                ProductCard(product = product)\n            } else {\n                ProductCardSkeleton()\n            }\n        }\n\n        // Индикатор загрузки следующей страницы\n        when (products.loadState.append) {\n            is LoadState.Loading -> {\n                item {\n                    Box(\n                        modifier = Modifier\n                            .fillMaxWidth()\n                            .padding(16.dp),\n                        contentAlignment = Alignment.Center\n                    ) {\n                        CircularProgressIndicator()\n                    }\n                }\n            }\n            is LoadState.Error -> {\n                item {\n                    RetryButton(onRetry = { products.retry() })\n                }\n            }\n            is LoadState.NotLoading -> Unit\n        }\n    }\n}\n\n@Composable\nfun ErrorMessage(\n    message: String,\n    onRetry: () -> Unit\n) {\n    Column(\n        modifier = Modifier\n            .fillMaxWidth()\n            .padding(32.dp),\n        horizontalAlignment = Alignment.CenterHorizontally\n    ) {\n        Icon(\n            Icons.Default.Error,\n            null,\n            modifier = Modifier.size(48.dp),\n            tint = MaterialTheme.colorScheme.error\n        )\n        Spacer(Modifier.height(16.dp))\n        Text(message, textAlign = TextAlign.Center)\n        Spacer(Modifier.height(16.dp))\n        Button(onClick = onRetry) {\n            Text(\"Повторить\")\n        }\n    }\n}"
+            },
+            {
+                "section": "RemoteMediator (Offline + Paging)",
+                "subsection": "",
+                "anchor": "remotemediator-offline-paging",
+                "text": "RemoteMediator загружает данные в Room и читает оттуда — работает офлайн:",
+                "code": "@OptIn(ExperimentalPagingApi::class)\nclass ProductRemoteMediator(\n    private val api: ProductApi,\n    private val database: AppDatabase\n) : RemoteMediator<Int, ProductEntity>() {\n\n    private val productDao = database.productDao()\n\n    override suspend fun load(\n        loadType: LoadType,\n        state: PagingState<Int, ProductEntity>\n    ): MediatorResult {\n        val page = when (loadType) {\n            LoadType.REFRESH -> 1\n            LoadType.PREPEND -> return MediatorResult.Success(endOfPaginationReached = true)\n            LoadType.APPEND -> {\n                val lastItem = state.lastItemOrNull()\n                    ?: return MediatorResult.Success(endOfPaginationReached = true)\n                (lastItem.id / state.config.pageSize) + 1\n            }\n        }\n\n        return try {\n            val response = api.getProducts(\n                limit = state.config.pageSize,\n                skip = (page - 1) * state.config.pageSize\n            )\n\n            database.withTransaction {\n                if (loadType == LoadType.REFRESH) {\n                    productDao.deleteAll()\n                }\n                productDao.insertAll(response.products.map { it.toEntity() })\n            }\n\n            MediatorResult.Success(\n                endOfPaginationReached = response.products.isEmpty()\n            )\n        } catch (e: Exception) {\n            MediatorResult.Error(e)\n        }\n    }\n}\n\n// Repository с RemoteMediator\n@OptIn(ExperimentalPagingApi::class)\nfun getProducts(): Flow<PagingData<Product>> {\n    return Pager(\n        config = PagingConfig(pageSize = 20),\n        remoteMediator = ProductRemoteMediator(api, database),\n        pagingSourceFactory = { productDao.pagingSource() }  // Room PagingSource\n    ).flow.map { pagingData ->\n        pagingData.map { it.toDomain() }\n    }\n}"
+            },
+            {
+                "section": "Room PagingSource",
+                "subsection": "",
+                "anchor": "room-pagingsource",
+                "text": "",
+                "code": "@Dao\ninterface ProductDao {\n    @Query(\"SELECT * FROM products ORDER BY id ASC\")\n    fun pagingSource(): PagingSource<Int, ProductEntity>\n\n    @Query(\"SELECT * FROM products WHERE category = :category ORDER BY id ASC\")\n    fun pagingSourceByCategory(category: String): PagingSource<Int, ProductEntity>\n\n    @Insert(onConflict = OnConflictStrategy.REPLACE)\n    suspend fun insertAll(products: List<ProductEntity>)\n\n    @Query(\"DELETE FROM products\")\n    suspend fun deleteAll()\n}"
+            },
+            {
+                "section": "Pull-to-Refresh",
+                "subsection": "",
+                "anchor": "pull-to-refresh",
+                "text": "",
+                "code": "@Composable\nfun ProductListWithRefresh(\n    viewModel: ProductListViewModel = hiltViewModel()\n) {\n    val products = viewModel.products.collectAsLazyPagingItems()\n    val isRefreshing = products.loadState.refresh is LoadState.Loading\n\n    PullToRefreshBox(\n        isRefreshing = isRefreshing,\n        onRefresh = { products.refresh() }\n    ) {\n        LazyColumn {\n            items(\n                count = products.itemCount,\n                key = products.itemKey { it.id }\n            ) { index ->\n                products[index]?.let { ProductCard(it) }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Pull-to-Refresh",
+                "subsection": "Что мы изучили",
+                "anchor": "chto-my-izuchili",
+                "text": "• PagingSource — источник данных с пагинацией • Pager — создание потока PagingData • LazyPagingItems — интеграция с Compose • RemoteMediator — офлайн + пагинация • LoadState — обработка состояний загрузки",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/cheatsheet.html",
+        "chapter": "Дополнительно",
+        "title": "Шпаргалка Kotlin vs JS",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Сравнить с iOS &harr; Шпаргалка Kotlin vs JavaScript JavaScriptKotlin let x = 1var x = 1 const x = 1val x = 1 nullnull (требует ?) x ?? defaultx ?: default x?.yx?.y async/awaitsuspend/coroutines PromiseDeferred / Flow array.map()list.map { } array.filter()list.filter { } { key: value }data class interfaceinterface classclass () => {}{ } (lambda) switchwhen typeof xx is Type `${var}`\"$var\" или \"${expr}\"",
+                "code": ""
+            },
+            {
+                "section": "Compose vs React",
+                "subsection": "",
+                "anchor": "compose-vs-react",
+                "text": "ReactCompose useStateremember { mutableStateOf() } useEffectLaunchedEffect <div>Box flex columnColumn flex rowRow map()LazyColumn { items() } propsПараметры функции childrencontent: @Composable () -> Unit",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/common-mistakes.html",
+        "chapter": "Дополнительно",
+        "title": "Частые ошибки новичков",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Сравнить с iOS &harr; Частые ошибки новичков",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "1. NullPointerException",
+                "anchor": "1-nullpointerexception",
+                "text": "Всегда используйте nullable типы и Elvis оператор.",
+                "code": "// Плохо\nval name: String = user.name // crash если null\n\n// Хорошо\nval name: String = user.name ?: \"Unknown\""
+            },
+            {
+                "section": "",
+                "subsection": "2. Сетевой запрос на Main Thread",
+                "anchor": "2-setevoy-zapros-na-main-thread",
+                "text": "Используйте coroutines для асинхронных операций.",
+                "code": "// Плохо - crash!\nval data = api.getData()\n\n// Хорошо\nviewModelScope.launch {\n    val data = api.getData() // suspend функция\n}"
+            },
+            {
+                "section": "",
+                "subsection": "3. Забыли collectAsState",
+                "anchor": "3-zabyli-collectasstate",
+                "text": "Flow нужно собирать с помощью collect.",
+                "code": "// Плохо - UI не обновится\nval state = viewModel.uiState\n\n// Хорошо\nval state by viewModel.uiState.collectAsStateWithLifecycle()"
+            },
+            {
+                "section": "",
+                "subsection": "4. Нет key в LazyColumn",
+                "anchor": "4-net-key-v-lazycolumn",
+                "text": "Всегда добавляйте key для оптимизации.",
+                "code": "// Плохо - проблемы с рекомпозицией\nitems(products) { ProductCard(it) }\n\n// Хорошо\nitems(products, key = { it.id }) { ProductCard(it) }"
+            },
+            {
+                "section": "",
+                "subsection": "5. @Inject без @HiltViewModel",
+                "anchor": "5-inject-bez-hiltviewmodel",
+                "text": "ViewModel требует обе аннотации.",
+                "code": "// Плохо - Hilt не создаст ViewModel\nclass MyViewModel @Inject constructor(...)\n\n// Хорошо\n@HiltViewModel\nclass MyViewModel @Inject constructor(...)"
+            }
+        ]
+    },
+    {
+        "url": "chapters/glossary.html",
+        "chapter": "Дополнительно",
+        "title": "Глоссарий терминов",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Сравнить с iOS &harr; Глоссарий терминов",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Composable",
+                "anchor": "composable",
+                "text": "Функция с аннотацией @Composable, описывающая UI",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Recomposition",
+                "anchor": "recomposition",
+                "text": "Перерисовка UI при изменении состояния",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "StateFlow",
+                "anchor": "stateflow",
+                "text": "Реактивный поток данных с начальным значением",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "ViewModel",
+                "anchor": "viewmodel",
+                "text": "Хранит UI state и переживает изменения конфигурации",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "UseCase",
+                "anchor": "usecase",
+                "text": "Инкапсулирует одну бизнес-операцию",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Repository",
+                "anchor": "repository",
+                "text": "Абстракция над источниками данных (API, DB)",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Coroutine",
+                "anchor": "coroutine",
+                "text": "Лёгкий поток для асинхронного выполнения кода",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Flow",
+                "anchor": "flow",
+                "text": "Асинхронный поток данных (аналог RxJava Observable)",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Hilt",
+                "anchor": "hilt",
+                "text": "Библиотека Dependency Injection для Android",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Room",
+                "anchor": "room",
+                "text": "ORM для локальной SQLite базы данных",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Retrofit",
+                "anchor": "retrofit",
+                "text": "HTTP клиент для работы с REST API",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Moshi",
+                "anchor": "moshi",
+                "text": "JSON библиотека для сериализации/десериализации",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Coil",
+                "anchor": "coil",
+                "text": "Библиотека загрузки изображений для Compose",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Modifier",
+                "anchor": "modifier",
+                "text": "Объект для настройки размера, отступов, кликов UI",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/exercises.html",
+        "chapter": "Дополнительно",
+        "title": "Практические задания",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Сравнить с iOS &harr; Практические задания Проверьте свои знания Kotlin и Jetpack Compose. Ответы сохраняются в браузере. 0 / 0 Сбросить",
+                "code": ""
+            },
+            {
+                "section": "Тесты на понимание",
+                "subsection": "",
+                "anchor": "testy-na-ponimanie",
+                "text": "Результаты всех тестов книги: Скачать JSON Скачать CSV Итоги обучения →",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/review.html",
+        "chapter": "Дополнительно",
+        "title": "Повторение",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Повторение Вопросы из тестов глав, в которых вы ошиблись.",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Как работает повторение",
+                "anchor": "kak-rabotaet-povtorenie",
+                "text": "• Вопрос, на который вы ответили неправильно в тесте главы, появляется здесь в тот же день • Каждый правильный ответ откладывает следующее повторение: через 1, 2, 4, затем 8 дней • После пяти правильных ответов подряд вопрос считается выученным • Ошибка возвращает вопрос в начало, и он придёт снова завтра",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/summary.html",
+        "chapter": "Дополнительно",
+        "title": "Итоги обучения",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад Итоги обучения Результаты тестов по главам: для печати и выгрузки. Имя для итогов Печать Скачать JSON Скачать CSV",
+                "code": ""
+            }
+        ]
+    }
+]);
@@ -0,0 +1,53 @@
+// Generated by scripts/build-offline.js from the files of the book.
+// Do not edit by hand: run `node scripts/build-offline.js` after changing a page.
+const CACHE_NAME = 'android-7096ad4b40';
+const PRECACHE = [
+    "index.html",
+    "manifest.webmanifest",
+    "icon.svg",
+    "chapters/00-introduction.html",
+    "chapters/00a-kotlin-for-developers.html",
+    "chapters/01-compose-basics.html",
+    "chapters/02-mvvm.html",
+    "chapters/03-project-setup.html",
+    "chapters/04-api-layer.html",
+    "chapters/05-product-list.html",
+    "chapters/06-product-detail.html",
+    "chapters/07-search.html",
+    "chapters/08-favorites.html",
+    "chapters/09-cart.html",
+    "chapters/10-navigation.html",
+    "chapters/11-di-hilt.html",
+    "chapters/12-testing.html",
+    "chapters/13-final.html",
+    "chapters/14-authentication.html",
+    "chapters/15-profile.html",
+    "chapters/16-dark-theme.html",
+    "chapters/17-animations.html",
+    "chapters/18-offline.html",
+    "chapters/19-pagination.html",
+    "chapters/cheatsheet.html",
+    "chapters/common-mistakes.html",
+    "chapters/exercises.html",
+    "chapters/glossary.html",
+    "chapters/json-parsing.html",
+    "chapters/review.html",
+    "chapters/summary.html",
+    "js/quiz-index.js",
+    "js/search-data.js",
+    "js/search-index.js",
+    "../js/chapter.js",
+    "../js/offline-worker.js",
+    "../js/offline.js",
+    "../js/progress.js",
+    "../js/quiz.js",
+    "../js/results.js",
+    "../js/review.js",
+    "../js/search.js",
+    "../vendor/tailwindcss/3.4.10/tailwindcss.js"
+];
+const VENDOR = {
+    "https://cdn.tailwindcss.com/": "../vendor/tailwindcss/3.4.10/tailwindcss.js"
+};
+
+importScripts('../js/offline-worker.js');
@@ -0,0 +1,145 @@
+// Code blocks highlighted by highlight.js: copy button, captions, line numbers
+//
+// Pages load this file after the inline hljs.highlightAll() call, which only highlights
+// once the page is parsed:
+//
+//   <script src="../../js/code-blocks.js"></script>
+//
+// Every <pre><code> that highlight.js has highlighted gets a copy button. The <pre> can
+// also ask for more:
+//
+//   <pre data-file="NetworkManager.swift" data-line-numbers data-highlight="3-5,9">
+//
+// data-file puts the file name above the code. A first line that only names a file,
+// like "// Core/Network/Endpoint.swift", is turned into the same caption, and the lines
+// are counted without it. data-line-numbers numbers the lines and data-highlight
+// emphasises the listed lines and ranges.
+
+const COPY_LABEL = 'Копировать';
+const FILE_COMMENT = /^\s*(?:\/\/|#)\s*([\w./-]+\.(?:swift|kt|kts|gradle|xml|json|js|ts|php|plist|ya?ml|sh))\s*$/;
+
+// "3-5,9" -> Set {3, 4, 5, 9}
+function parseLineRanges(value) {
+    const lines = new Set();
+    (value || '').split(',').forEach(part => {
+        const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) return;
+        const from = Number(match[1]);
+        const to = Number(match[2] || match[1]);
+        for (let line = from; line <= to; line++) lines.add(line);
+    });
+    return lines;
+}
+
+// The highlighted markup split into lines; tags left open at a line break are closed
+// at its end and opened again on the next line, so that every line is valid markup
+function splitHighlightedLines(html) {
+    const lines = [];
+    const open = [];
+    let line = '';
+    html.split(/(<[^>]+>|\n)/).forEach(token => {
+        if (token === '\n') {
+            lines.push(line + open.map(() => '</span>').join(''));
+            line = open.join('');
+        } else if (/^<\//.test(token)) {
+            open.pop();
+            line += token;
+        } else if (/^</.test(token)) {
+            open.push(token);
+            line += token;
+        } else {
+            line += token;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+
+    // Pages opened as files may have no clipboard API
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const copied = document.execCommand('copy');
+    area.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error('Copy command failed'));
+}
+
+function copyCode(button) {
+    const code = button.closest('pre').querySelector('code');
+    const text = Array.from(code.querySelectorAll('.code-line'), line => line.textContent).join('\n');
+    copyText(text).then(
+        () => { button.textContent = 'Скопировано'; },
+        () => { button.textContent = 'Не удалось скопировать'; }
+    ).then(() => setTimeout(() => { button.textContent = COPY_LABEL; }, 1500));
+}
+
+function enhanceCodeBlock(code) {
+    const pre = code.parentElement;
+    const lines = splitHighlightedLines(code.innerHTML);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+    let file = pre.dataset.file;
+    const firstLine = code.textContent.split('\n')[0];
+    if (!file && FILE_COMMENT.test(firstLine) && lines.length > 1) {
+        file = firstLine.match(FILE_COMMENT)[1];
+        lines.shift();
+    }
+
+    const highlighted = parseLineRanges(pre.dataset.highlight);
+    code.innerHTML = lines.map((line, index) => {
+        const number = index + 1;
+        const emphasis = highlighted.has(number) ? ' code-line-highlight' : '';
+        return `<span class="code-line${emphasis}" data-line="${number}">${line}</span>`;
+    }).join('\n');
+    code.classList.toggle('code-numbered', pre.hasAttribute('data-line-numbers'));
+
+    pre.classList.add('relative');
+    pre.insertAdjacentHTML('afterbegin',
+        `<button type="button" class="code-copy absolute top-2 right-2 z-10 px-2 py-1 rounded-md bg-white/10 hover:bg-white/20 text-xs text-zinc-300 opacity-60 hover:opacity-100 focus:opacity-100 transition-opacity" onclick="copyCode(this)">${COPY_LABEL}</button>`);
+
+    if (file) {
+        const figure = document.createElement('figure');
+        figure.className = 'code-block';
+        pre.replaceWith(figure);
+        figure.innerHTML = '<figcaption class="px-4 py-2 rounded-t-xl bg-[#252526] border-b border-white/10 font-mono text-xs text-zinc-400"></figcaption>';
+        figure.firstChild.textContent = file;
+        figure.appendChild(pre);
+    }
+    pre.dataset.enhanced = '';
+}
+
+// Can be called again after highlighting more blocks, e.g. a revealed solution
+function enhanceCodeBlocks(root) {
+    (root || document).querySelectorAll('pre > code.hljs').forEach(code => {
+        if (!code.parentElement.hasAttribute('data-enhanced')) enhanceCodeBlock(code);
+    });
+}
+
+function initCodeBlocks() {
+    const style = document.createElement('style');
+    style.textContent = `
+        pre code .code-line { display: inline-block; width: 100%; min-height: 1.6em; }
+        pre code .code-line-highlight { background: rgba(255, 214, 10, 0.12); box-shadow: inset 3px 0 rgba(255, 214, 10, 0.8); }
+        pre code.code-numbered .code-line::before {
+            content: attr(data-line); display: inline-block; width: 2.5em; margin-right: 1em;
+            text-align: right; color: #6e7681; user-select: none;
+        }
+        .code-block figcaption + pre, .code-block figcaption + pre > code { border-top-left-radius: 0; border-top-right-radius: 0; }
+    `;
+    document.head.appendChild(style);
+    enhanceCodeBlocks();
+}
+
+// highlight.js waits for DOMContentLoaded on window, which comes after document
+if (document.readyState === 'loading') {
+    window.addEventListener('DOMContentLoaded', initCodeBlocks);
+} else {
+    initCodeBlocks();
+}
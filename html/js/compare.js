@@ -0,0 +1,177 @@
+// iOS and Android versions of a chapter side by side
+//
+// compare.html?chapter=07-search.html&platform=android opens the chapter of the SwiftUI
+// book and the chapter of the same file of the Android book in two panes. The chapters
+// run html/js/chapter.js, which reports their sections and scrolling here by
+// postMessage, so that the comparison also works for pages opened from disk.
+//
+// The pane the reader scrolls leads and the other pane follows section by section:
+// sections of the same number ("3. Парсинг массивов", "3. Массивы и списки") or of the
+// same title are kept level, and the text between them is stretched to fit. I and A,
+// or ← and →, switch between the platforms; narrow screens show one pane at a time.
+// Esc opens the chapter of the selected platform on its own.
+
+const COMPARE_PLATFORMS = ['swiftui', 'android'];
+
+const comparison = {
+    chapter: null,
+    active: 'swiftui',
+    leader: 'swiftui',
+    panes: {}
+};
+
+function otherPlatform(platform) {
+    return platform === COMPARE_PLATFORMS[0] ? COMPARE_PLATFORMS[1] : COMPARE_PLATFORMS[0];
+}
+
+// Headings that are the same section in both books get the same key
+function sectionKey(title) {
+    const number = title.match(/^(\d+)\./);
+    return number ? `#${number[1]}` : title.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Scroll positions that show the same place in both panes, from the top of the pages to
+// their end, growing in both
+function alignedPositions(from, to) {
+    const points = [[0, 0]];
+    let next = 0;
+    from.sections.forEach(section => {
+        const key = sectionKey(section.title);
+        for (let index = next; index < to.sections.length; index++) {
+            if (sectionKey(to.sections[index].title) !== key) continue;
+            points.push([Math.min(section.top, from.max), Math.min(to.sections[index].top, to.max)]);
+            next = index + 1;
+            break;
+        }
+    });
+    points.push([from.max, to.max]);
+
+    return points.reduce((kept, point) => {
+        const last = kept[kept.length - 1];
+        if (!last || (point[0] > last[0] && point[1] >= last[1])) kept.push(point);
+        return kept;
+    }, []);
+}
+
+function followingPosition(y, points) {
+    for (let index = 1; index < points.length; index++) {
+        const [fromStart, toStart] = points[index - 1];
+        const [fromEnd, toEnd] = points[index];
+        if (y <= fromEnd || index === points.length - 1) {
+            const share = Math.min(Math.max((y - fromStart) / (fromEnd - fromStart), 0), 1);
+            return Math.round(toStart + share * (toEnd - toStart));
+        }
+    }
+    return 0;
+}
+
+function postToPane(platform, message) {
+    // Pages opened from disk have an opaque origin, so any target origin is accepted
+    comparison.panes[platform].frame.contentWindow.postMessage(Object.assign({ source: 'book-compare' }, message), '*');
+}
+
+// Scroll the pane that follows to the place the leading pane shows
+function syncFollower() {
+    const leader = comparison.panes[comparison.leader];
+    const follower = otherPlatform(comparison.leader);
+    if (!leader.sections || !comparison.panes[follower].sections) return;
+
+    const y = followingPosition(leader.y, alignedPositions(leader, comparison.panes[follower]));
+    postToPane(follower, { type: 'scroll', y: y });
+}
+
+// The pane that leads changes once the reader scrolls the other one
+function selectPlatform(platform, focus) {
+    comparison.active = platform;
+
+    document.querySelectorAll('[role="tab"][data-platform]').forEach(tab => {
+        const selected = tab.dataset.platform === platform;
+        tab.setAttribute('aria-selected', selected);
+        tab.classList.toggle('bg-white', selected);
+        tab.classList.toggle('dark:bg-zinc-800', selected);
+        tab.classList.toggle('shadow-sm', selected);
+        tab.classList.toggle('font-medium', selected);
+        tab.classList.toggle('text-zinc-500', !selected);
+    });
+    COMPARE_PLATFORMS.forEach(other => {
+        const frame = comparison.panes[other].frame;
+        frame.classList.toggle('hidden', other !== platform);
+        frame.classList.toggle('lg:block', other !== platform);
+    });
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('platform', platform);
+    history.replaceState(null, '', url);
+    if (focus) comparison.panes[platform].frame.focus();
+}
+
+function openChapter(file) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('chapter', file);
+    window.location.href = url.href;
+}
+
+// Keys pressed on the comparison page or in a pane
+function handleCompareKey(key, code) {
+    if (code === 'KeyI' || key === 'ArrowLeft') selectPlatform('swiftui', true);
+    else if (code === 'KeyA' || key === 'ArrowRight') selectPlatform('android', true);
+    else if (key === 'Escape') window.location.href = `${comparison.active}/chapters/${comparison.chapter}`;
+    else return false;
+    return true;
+}
+
+function onCompareKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (handleCompareKey(event.key, event.code)) event.preventDefault();
+}
+
+function onPaneMessage(event) {
+    const message = event.data;
+    if (!message || message.source !== 'book-compare') return;
+    const platform = COMPARE_PLATFORMS.find(id => comparison.panes[id].frame.contentWindow === event.source);
+    if (!platform) return;
+    const pane = comparison.panes[platform];
+
+    if (message.type === 'layout') {
+        pane.sections = message.sections;
+        pane.max = message.max;
+        syncFollower();
+    } else if (message.type === 'input') {
+        comparison.leader = platform;
+    } else if (message.type === 'scroll') {
+        pane.y = message.y;
+        if (platform === comparison.leader) syncFollower();
+    } else if (message.type === 'key') {
+        handleCompareKey(message.key, message.code);
+    }
+}
+
+function initCompare() {
+    const picker = document.getElementById('compareChapter');
+    const params = new URLSearchParams(window.location.search);
+    const chapters = Array.from(picker.options, option => option.value);
+    comparison.chapter = chapters.includes(params.get('chapter')) ? params.get('chapter') : chapters[0];
+    picker.value = comparison.chapter;
+    picker.addEventListener('change', () => openChapter(picker.value));
+
+    COMPARE_PLATFORMS.forEach(platform => {
+        const frame = document.getElementById(`pane-${platform}`);
+        comparison.panes[platform] = { frame: frame, sections: null, max: 0, y: 0 };
+        frame.src = `${platform}/chapters/${comparison.chapter}?compare`;
+    });
+    document.querySelectorAll('[role="tab"][data-platform]').forEach(tab => {
+        tab.addEventListener('click', () => selectPlatform(tab.dataset.platform, true));
+    });
+
+    window.addEventListener('message', onPaneMessage);
+    document.addEventListener('keydown', onCompareKeydown);
+    comparison.leader = COMPARE_PLATFORMS.includes(params.get('platform')) ? params.get('platform') : 'swiftui';
+    selectPlatform(comparison.leader, false);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCompare);
+} else {
+    initCompare();
+}
@@ -0,0 +1,44 @@
+// Service worker logic shared by all books
+//
+// Each book's sw.js is generated by scripts/build-offline.js. It defines CACHE_NAME,
+// PRECACHE (files relative to the worker) and VENDOR (CDN URL -> vendored copy),
+// then imports this file. Pages of the book are served from the cache first, and
+// requests for Tailwind and highlight.js are answered with the vendored copies.
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions of this book, e.g. "viper-1a2b3c" after "viper-9f8e7d"
+self.addEventListener('activate', event => {
+    const prefix = CACHE_NAME.slice(0, CACHE_NAME.lastIndexOf('-') + 1);
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(prefix) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+
+    const vendored = VENDOR[event.request.url];
+    const url = new URL(vendored || event.request.url, self.location);
+    if (url.origin !== self.location.origin) return;
+
+    // The book folder itself opens its index.html
+    if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+    url.hash = '';
+
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(url.href, { ignoreSearch: true }))
+            .then(cached => cached || fetch(event.request))
+    );
+});
@@ -0,0 +1,369 @@
+// Reading and quiz progress shared by all books
+//
+// Every page of a book loads this file with the id of the book:
+//
+//   <script src="../../js/progress.js" data-book="viper"></script>
+//   <script src="../js/quiz-index.js"></script>
+//
+// A chapter counts as read once it has been scrolled to the end, how far it is scrolled
+// is remembered and shown by a bar under the header, and the time spent on every page
+// is added up while it is visible. Quiz answers are the ones saved by html/js/quiz.js,
+// and js/quiz-index.js (generated by scripts/build-quizzes.js) tells which questions
+// belong to which chapter. The book index renders the dashboard, with a link back to
+// the last position, into #progressDashboard, and every sidebar marks its chapters as
+// read or passed.
+
+const progressScript = document.currentScript;
+const progressBook = progressScript.dataset.book;
+
+// Share of correct answers needed to pass the quiz of a chapter
+const PASS_SHARE = 2 / 3;
+
+// The review page repeats the quizzes of the chapters and the summary page shows their
+// results: neither is a chapter itself
+const REVIEW_URL = 'chapters/review.html';
+const SUMMARY_URL = 'chapters/summary.html';
+
+// Links to a chapter with this hash scroll it back to where it was left
+const CONTINUE_HASH = '#continue';
+
+// By chapter URL ("chapters/04-api-layer.html"): { title, sets }, sets holding the
+// question ids of each quiz set of the chapter
+let quizIndex = {};
+
+function registerQuizIndex(book, chapters) {
+    if (book === progressBook) quizIndex = chapters;
+}
+
+function readingKey() {
+    return `reading-progress:${progressBook}`;
+}
+
+function loadReading() {
+    try {
+        return JSON.parse(localStorage.getItem(readingKey())) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function markChapterRead(url) {
+    const reading = loadReading();
+    if (reading[url]) return;
+    reading[url] = { readAt: Date.now() };
+    try {
+        localStorage.setItem(readingKey(), JSON.stringify(reading));
+    } catch (e) {
+        // Storage is unavailable: the chapter is simply not remembered
+    }
+}
+
+function positionKey() {
+    return `reading-position:${progressBook}`;
+}
+
+// Where each chapter was left, by chapter URL: { share, visitedAt }, share being the
+// scrolled part of the page from 0 to 1
+function loadPositions() {
+    try {
+        return JSON.parse(localStorage.getItem(positionKey())) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function savePosition(url, share) {
+    const positions = loadPositions();
+    positions[url] = { share: Math.round(share * 1000) / 1000, visitedAt: Date.now() };
+    try {
+        localStorage.setItem(positionKey(), JSON.stringify(positions));
+    } catch (e) {
+        // Storage is unavailable: the position is simply not remembered
+    }
+}
+
+// The chapter opened last: { url, share, visitedAt }, or null before the first one
+function lastPosition() {
+    const positions = loadPositions();
+    const urls = Object.keys(positions).filter(isChapter);
+    if (!urls.length) return null;
+    const url = urls.reduce((last, other) => positions[other].visitedAt > positions[last].visitedAt ? other : last);
+    return Object.assign({ url: url }, positions[url]);
+}
+
+function timeKey() {
+    return `time-spent:${progressBook}`;
+}
+
+// Milliseconds each page has been open in a visible tab, by chapter URL
+function loadTimeSpent() {
+    try {
+        return JSON.parse(localStorage.getItem(timeKey())) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function addTimeSpent(url, time) {
+    const spent = loadTimeSpent();
+    spent[url] = (spent[url] || 0) + time;
+    try {
+        localStorage.setItem(timeKey(), JSON.stringify(spent));
+    } catch (e) {
+        // Storage is unavailable: the time is not counted
+    }
+}
+
+// Answers saved by quiz.js for one quiz set
+function savedAnswers(setId) {
+    try {
+        return JSON.parse(localStorage.getItem(`quiz-progress:${setId}`)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Quiz result of a chapter: { total, answered, correct, passed }, or null without a quiz
+function chapterResult(url) {
+    if (!quizIndex[url]) return null;
+    const sets = quizIndex[url].sets;
+
+    const result = { total: 0, answered: 0, correct: 0 };
+    Object.keys(sets).forEach(setId => {
+        const answers = savedAnswers(setId);
+        sets[setId].forEach(id => {
+            result.total++;
+            if (!answers[id]) return;
+            result.answered++;
+            if (answers[id].correct) result.correct++;
+        });
+    });
+    result.passed = result.answered === result.total && result.correct >= result.total * PASS_SHARE;
+    return result;
+}
+
+// "chapters/04-api-layer.html" for links from the book index and from other chapters
+function chapterUrl(link) {
+    const path = new URL(link.href, window.location.href).pathname;
+    const match = path.match(/\/chapters\/([^/]+\.html)$/);
+    return match ? `chapters/${match[1]}` : null;
+}
+
+function isChapter(url) {
+    return Boolean(url) && url !== REVIEW_URL && url !== SUMMARY_URL;
+}
+
+function chapterStatus(url, reading) {
+    const result = chapterResult(url);
+    if (result && result.passed) return 'passed';
+    return reading[url] ? 'read' : null;
+}
+
+function markSidebar() {
+    const sidebar = document.getElementById('sidebar');
+    if (!sidebar) return;
+
+    const reading = loadReading();
+    sidebar.querySelectorAll('nav a[href]').forEach(link => {
+        const url = chapterUrl(link);
+        const status = isChapter(url) && chapterStatus(url, reading);
+        const mark = link.querySelector('.progress-mark');
+        if (mark) mark.remove();
+        if (!status) return;
+
+        link.insertAdjacentHTML('beforeend', status === 'passed'
+            ? '<span class="progress-mark float-right text-green-500" title="Тест сдан">✓✓</span>'
+            : '<span class="progress-mark float-right text-zinc-400" title="Прочитано">✓</span>');
+    });
+}
+
+// Only book indexes have the dashboard; they also load search.js, which provides escapeHtml
+function renderDashboard() {
+    const dashboard = document.getElementById('progressDashboard');
+    if (!dashboard) return;
+
+    const reading = loadReading();
+    const links = Array.from(document.querySelectorAll('#sidebar nav a[href]'))
+        .filter(link => isChapter(chapterUrl(link)))
+        .filter((link, index, all) => all.findIndex(other => chapterUrl(other) === chapterUrl(link)) === index);
+    const rows = links.map(link => ({
+        url: chapterUrl(link),
+        title: link.firstChild.textContent.trim(),
+        read: Boolean(reading[chapterUrl(link)]),
+        result: chapterResult(chapterUrl(link))
+    }));
+    const read = rows.filter(row => row.read).length;
+    const quizzes = rows.filter(row => row.result);
+    const passed = quizzes.filter(row => row.result.passed).length;
+    const percent = rows.length ? Math.round(read / rows.length * 100) : 0;
+    const positions = loadPositions();
+    rows.forEach(row => {
+        row.share = positions[row.url] ? positions[row.url].share : 0;
+    });
+
+    dashboard.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 class="text-2xl font-bold">Ваш прогресс</h2>
+            ${renderContinueLink(rows)}
+        </div>
+        <div class="p-6 bg-zinc-50 dark:bg-zinc-900 rounded-2xl border border-zinc-200 dark:border-zinc-800">
+            <div class="flex flex-wrap gap-x-8 gap-y-2 mb-4 text-sm">
+                <span><strong class="text-lg">${read}</strong> <span class="text-zinc-500">из ${rows.length} глав прочитано</span></span>
+                <span><strong class="text-lg">${passed}</strong> <span class="text-zinc-500">из ${quizzes.length} тестов сдано</span></span>
+            </div>
+            <div class="h-2 bg-zinc-200 dark:bg-zinc-800 rounded-full overflow-hidden mb-6">
+                <div class="h-full bg-green-500 rounded-full" style="width: ${percent}%"></div>
+            </div>
+            <div class="grid sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+                ${rows.map(renderDashboardRow).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderDashboardRow(row) {
+    const result = row.result;
+    let badge = '<span class="text-zinc-400">—</span>';
+    if (result && result.answered) {
+        const color = result.passed ? 'text-green-600 dark:text-green-400' : result.answered === result.total ? 'text-red-500' : 'text-zinc-500';
+        badge = `<span class="${color}" title="Правильных ответов">${result.correct} / ${result.total}</span>`;
+    } else if (result) {
+        badge = `<span class="text-zinc-400" title="Вопросов в тесте">0 / ${result.total}</span>`;
+    }
+    let mark = '<span class="text-zinc-300 dark:text-zinc-700">○</span>';
+    if (row.read) {
+        mark = '<span class="text-green-500" title="Прочитано">✓</span>';
+    } else if (row.share) {
+        mark = `<span class="text-zinc-400 text-xs tabular-nums" title="Прочитано до этого места">${Math.round(row.share * 100)}%</span>`;
+    }
+
+    return `
+        <a href="${row.url}" class="flex items-center gap-3 px-2 py-1.5 rounded-lg hover:bg-zinc-200/50 dark:hover:bg-zinc-800">
+            ${mark}
+            <span class="flex-1 truncate">${escapeHtml(row.title)}</span>
+            ${badge}
+        </a>
+    `;
+}
+
+// "Продолжить чтение" opens the chapter opened last where it was left
+function renderContinueLink(rows) {
+    const last = lastPosition();
+    const row = last && rows.find(other => other.url === last.url);
+    if (!row) return '';
+
+    return `
+        <a href="${row.url}${CONTINUE_HASH}" class="inline-flex items-center gap-2 px-4 py-2 bg-zinc-900 dark:bg-white text-white dark:text-zinc-900 rounded-lg text-sm font-medium">
+            Продолжить чтение
+            <span class="opacity-60 truncate max-w-[14rem]">${escapeHtml(row.title)} · ${Math.round(last.share * 100)}%</span>
+            →
+        </a>
+    `;
+}
+
+// Chapters are read once their end, where the quiz is, comes into view
+function watchReading() {
+    const url = chapterUrl({ href: window.location.href });
+    if (!isChapter(url)) return;
+
+    function checkEnd() {
+        const bottom = window.scrollY + window.innerHeight;
+        if (bottom < document.documentElement.scrollHeight - 300) return;
+        window.removeEventListener('scroll', checkEnd);
+        markChapterRead(url);
+        markSidebar();
+    }
+    window.addEventListener('scroll', checkEnd, { passive: true });
+    checkEnd();
+}
+
+function scrolledShare() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollable > 0 ? Math.min(Math.max(window.scrollY / scrollable, 0), 1) : 1;
+}
+
+// A thin bar at the bottom of the sticky header, or at the top of the window in books
+// without one, shows how far the chapter is scrolled
+function renderProgressBar() {
+    const header = document.querySelector('header.sticky');
+    const bar = document.createElement('div');
+    bar.className = header
+        ? 'absolute left-0 -bottom-px h-0.5 bg-green-500 transition-[width]'
+        : 'fixed top-0 left-0 z-50 h-1 bg-green-500 transition-[width]';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', 'Прочитано');
+    (header || document.body).appendChild(bar);
+    return bar;
+}
+
+// The position is saved shortly after scrolling stops and when the page is left
+function watchPosition() {
+    const url = chapterUrl({ href: window.location.href });
+    if (!isChapter(url)) return;
+
+    const bar = renderProgressBar();
+    let saveTimer = null;
+    function update() {
+        const share = scrolledShare();
+        bar.style.width = `${share * 100}%`;
+        bar.setAttribute('aria-valuenow', Math.round(share * 100));
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => savePosition(url, share), 500);
+    }
+    function start() {
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        window.addEventListener('pagehide', () => savePosition(url, scrolledShare()));
+        update();
+    }
+
+    if (window.location.hash !== CONTINUE_HASH) {
+        start();
+        return;
+    }
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    const saved = loadPositions()[url];
+    // Wait for the page to be laid out, so that the share maps to the same place
+    function restore() {
+        if (saved) window.scrollTo(0, saved.share * (document.documentElement.scrollHeight - window.innerHeight));
+        start();
+    }
+    if (document.readyState === 'complete') {
+        restore();
+    } else {
+        window.addEventListener('load', restore);
+    }
+}
+
+// Time on a page counts while its tab is visible, and is saved whenever it is hidden
+function watchTime() {
+    const url = chapterUrl({ href: window.location.href });
+    if (!url) return;
+
+    let shownAt = document.hidden ? null : Date.now();
+    function update() {
+        if (shownAt !== null) addTimeSpent(url, Date.now() - shownAt);
+        shownAt = document.hidden ? null : Date.now();
+    }
+    document.addEventListener('visibilitychange', update);
+    window.addEventListener('pagehide', update);
+}
+
+function initProgress() {
+    watchReading();
+    watchPosition();
+    watchTime();
+    markSidebar();
+    renderDashboard();
+
+    // Answering a quiz on this page can pass the chapter
+    document.addEventListener('click', event => {
+        if (event.target.closest('.quiz')) setTimeout(markSidebar);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProgress);
+} else {
+    initProgress();
+}
@@ -0,0 +1,385 @@
+// Quizzes shared by all books
+//
+// The markup is generated by scripts/build-quizzes.js from html/<book>/quizzes/*.json:
+// every question is a .quiz[data-quiz] inside a .quiz-set[data-quiz-set="<book>/<name>"].
+// Answers are kept in localStorage per set, so the exercises can be done over several
+// sessions, and #score (when the page has one) counts the answers of all sets on the page.
+// Sets marked data-review (the review page, see html/js/review.js) start unanswered every
+// time and keep no answers. Every answer is announced with a bubbling "quizanswer" event
+// whose detail is { setId, id, correct, review }.
+//
+// Question types (data-type on .quiz, "single" when absent):
+//   single    one .quiz-option[data-correct], answered by clicking it
+//   multiple  several .quiz-option[data-correct], selected and then checked
+//   fill      .quiz-blank inputs in the code, each with data-answers (JSON list of accepted spellings)
+//   order     .quiz-item[data-position] rows, dragged or moved with the arrows into place
+
+const QUIZ_STYLES = `
+    .quiz-option { cursor: pointer; transition: all 0.2s; }
+    .quiz-option:hover { transform: translateX(4px); }
+    .quiz-option.selected { border-color: rgb(59 130 246) !important; background-color: rgb(59 130 246 / 0.1); }
+    .quiz-option.correct, .quiz-item.correct, .quiz-blank.correct { background-color: rgb(34 197 94 / 0.2) !important; border-color: rgb(34 197 94) !important; }
+    .quiz-option.incorrect, .quiz-item.incorrect, .quiz-blank.incorrect { background-color: rgb(239 68 68 / 0.2) !important; border-color: rgb(239 68 68) !important; }
+    .quiz-option.missed { border-color: rgb(34 197 94) !important; border-style: dashed !important; }
+    .quiz pre { background: #1e1e1e; color: #d4d4d4; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+    .quiz pre code { font-size: 13px; line-height: 1.5; }
+    .quiz pre code.hljs { padding: 0; }
+    .quiz-blank { font: inherit; color: inherit; background: rgb(255 255 255 / 0.08); border: 1px solid rgb(255 255 255 / 0.3); border-radius: 4px; padding: 0 4px; }
+    .quiz-blank:focus { outline: 2px solid rgb(59 130 246); }
+    .quiz-item { cursor: grab; }
+    .quiz-item.dragging { opacity: 0.5; }
+    .quiz.answered .quiz-item { cursor: default; }
+    .quiz.answered .quiz-move, .quiz.answered .quiz-check { display: none; }
+    .quiz .solution { display: none; }
+    .quiz .solution.show { display: block; }
+    .quiz .solution.wrong { background-color: rgb(239 68 68 / 0.1) !important; border-color: rgb(239 68 68 / 0.4) !important; }
+    .quiz .solution.wrong .solution-verdict { color: rgb(220 38 38) !important; }
+`;
+
+// Saved answers by set id, then by question id: { choice, correct, answeredAt }
+const quizProgress = {};
+
+// Items of every ordering question in the shuffled order of the page, for resetting
+const shuffledItems = new Map();
+
+function progressKey(setId) {
+    return `quiz-progress:${setId}`;
+}
+
+function loadProgress(setId) {
+    try {
+        return JSON.parse(localStorage.getItem(progressKey(setId))) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveProgress(setId) {
+    try {
+        localStorage.setItem(progressKey(setId), JSON.stringify(quizProgress[setId]));
+    } catch (e) {
+        // Storage is unavailable: answers still count until the page is closed
+    }
+}
+
+function updateScore() {
+    const score = document.getElementById('score');
+    if (!score) return;
+
+    const answers = [];
+    document.querySelectorAll('.quiz-set[data-quiz-set]').forEach(set => {
+        const saved = quizProgress[set.dataset.quizSet] || {};
+        set.querySelectorAll('.quiz[data-quiz]').forEach(quiz => {
+            if (saved[quiz.dataset.quiz]) answers.push(saved[quiz.dataset.quiz]);
+        });
+    });
+    const correct = answers.filter(answer => answer.correct).length;
+    score.textContent = `${correct} / ${answers.length}`;
+}
+
+function formatAnsweredAt(time) {
+    return new Date(time).toLocaleString('ru-RU', { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+}
+
+function blankAnswers(blank) {
+    return JSON.parse(blank.dataset.answers);
+}
+
+function orderItems(quiz) {
+    return Array.from(quiz.querySelectorAll('.quiz-item'));
+}
+
+// Indexes from 0 to count - 1 (and so none of them twice, when `distinct`)
+function isIndexList(choice, count, distinct) {
+    return Array.isArray(choice)
+        && choice.every(index => Number.isInteger(index) && index >= 0 && index < count)
+        && (!distinct || new Set(choice).size === choice.length);
+}
+
+// Per type: whether a saved answer still fits the question, the answer entered on the
+// page (null while there is none), whether an answer is correct, how to mark it on the
+// page and the feedback for a wrong one. Answers are plain JSON so they can be saved: an
+// option index, a list of option indexes, the typed strings, or the positions of the
+// items in the order given.
+const quizTypes = {
+    single: {
+        fits: (quiz, choice) => Number.isInteger(choice) && choice >= 0 && choice < quiz.querySelectorAll('.quiz-option').length,
+        check: (quiz, choice) => quiz.querySelectorAll('.quiz-option')[choice].dataset.correct === 'true',
+        show(quiz, choice) {
+            quiz.querySelectorAll('.quiz-option').forEach((opt, index) => {
+                if (opt.dataset.correct === 'true') opt.classList.add('correct');
+                else if (index === choice) opt.classList.add('incorrect');
+            });
+        },
+        feedback: () => 'Неправильно'
+    },
+
+    multiple: {
+        fits: (quiz, choice) => isIndexList(choice, quiz.querySelectorAll('.quiz-option').length, true),
+        current(quiz) {
+            const choice = [];
+            quiz.querySelectorAll('.quiz-option').forEach((opt, index) => {
+                if (opt.classList.contains('selected')) choice.push(index);
+            });
+            return choice.length ? choice : null;
+        },
+        check(quiz, choice) {
+            return Array.from(quiz.querySelectorAll('.quiz-option'))
+                .every((opt, index) => (opt.dataset.correct === 'true') === choice.includes(index));
+        },
+        show(quiz, choice) {
+            quiz.querySelectorAll('.quiz-option').forEach((opt, index) => {
+                const chosen = choice.includes(index);
+                opt.classList.toggle('selected', chosen);
+                if (opt.dataset.correct === 'true') opt.classList.add(chosen ? 'correct' : 'missed');
+                else if (chosen) opt.classList.add('incorrect');
+            });
+        },
+        feedback(quiz, choice) {
+            const options = Array.from(quiz.querySelectorAll('.quiz-option'));
+            const expected = options.filter(opt => opt.dataset.correct === 'true').length;
+            const found = choice.filter(index => options[index].dataset.correct === 'true').length;
+            const extra = choice.length - found;
+            return `Найдено верных вариантов: ${found} из ${expected}` + (extra ? `, лишних: ${extra}` : '');
+        }
+    },
+
+    fill: {
+        fits(quiz, choice) {
+            return Array.isArray(choice)
+                && choice.length === quiz.querySelectorAll('.quiz-blank').length
+                && choice.every(value => typeof value === 'string');
+        },
+        current(quiz) {
+            const choice = Array.from(quiz.querySelectorAll('.quiz-blank'), blank => blank.value.trim());
+            return choice.some(value => value) ? choice : null;
+        },
+        check(quiz, choice) {
+            return Array.from(quiz.querySelectorAll('.quiz-blank'))
+                .every((blank, index) => blankAnswers(blank).includes(choice[index]));
+        },
+        show(quiz, choice) {
+            quiz.querySelectorAll('.quiz-blank').forEach((blank, index) => {
+                blank.value = choice[index] || '';
+                blank.readOnly = true;
+                blank.classList.add(blankAnswers(blank).includes(blank.value) ? 'correct' : 'incorrect');
+            });
+        },
+        feedback(quiz) {
+            const expected = Array.from(quiz.querySelectorAll('.quiz-blank'), blank => blankAnswers(blank)[0]);
+            return `Правильный ответ: ${expected.join(', ')}`;
+        }
+    },
+
+    order: {
+        fits(quiz, choice) {
+            const count = orderItems(quiz).length;
+            return isIndexList(choice, count, true) && choice.length === count;
+        },
+        current: quiz => orderItems(quiz).map(item => Number(item.dataset.position)),
+        check: (quiz, choice) => choice.every((position, index) => position === index),
+        show(quiz, choice) {
+            const list = quiz.querySelector('.quiz-order');
+            const items = orderItems(quiz);
+            choice.forEach((position, index) => {
+                const item = items.find(candidate => Number(candidate.dataset.position) === position);
+                if (!item) return;
+                list.appendChild(item);
+                item.draggable = false;
+                item.classList.add(position === index ? 'correct' : 'incorrect');
+            });
+        },
+        feedback(quiz, choice) {
+            const placed = choice.filter((position, index) => position === index).length;
+            return `На своих местах: ${placed} из ${choice.length}`;
+        }
+    }
+};
+
+function quizType(quiz) {
+    return quizTypes[quiz.dataset.type || 'single'];
+}
+
+// Mark the answer on the page, show the solution with the feedback and when it was answered
+function showAnswer(quiz, choice, correct, answeredAt) {
+    quiz.classList.add('answered');
+    quiz.querySelectorAll('.quiz-option').forEach(opt => {
+        opt.style.pointerEvents = 'none';
+    });
+    quizType(quiz).show(quiz, choice);
+
+    const solution = quiz.querySelector('.solution');
+    solution.querySelector('.solution-verdict').textContent = correct ? 'Правильно!' : quizType(quiz).feedback(quiz, choice);
+    solution.classList.toggle('wrong', !correct);
+    solution.classList.add('show');
+    quiz.insertAdjacentHTML('beforeend', `<p class="quiz-time mt-3 text-xs text-zinc-400">Ответ: ${formatAnsweredAt(answeredAt)}</p>`);
+}
+
+function isReviewSet(set) {
+    return set.dataset.review !== undefined;
+}
+
+function submitAnswer(quiz, choice) {
+    if (quiz.classList.contains('answered') || choice === null) return;
+
+    const set = quiz.closest('.quiz-set');
+    const setId = set.dataset.quizSet;
+    const correct = quizType(quiz).check(quiz, choice);
+    const answeredAt = Date.now();
+    showAnswer(quiz, choice, correct, answeredAt);
+
+    quizProgress[setId][quiz.dataset.quiz] = {
+        choice: choice,
+        correct: correct,
+        answeredAt: answeredAt
+    };
+    if (!isReviewSet(set)) saveProgress(setId);
+    updateScore();
+
+    quiz.dispatchEvent(new CustomEvent('quizanswer', {
+        bubbles: true,
+        detail: { setId: setId, id: quiz.dataset.quiz, correct: correct, review: isReviewSet(set) }
+    }));
+}
+
+// Single choice: clicking an option answers the question
+function checkAnswer(element) {
+    const quiz = element.closest('.quiz');
+    submitAnswer(quiz, Array.from(quiz.querySelectorAll('.quiz-option')).indexOf(element));
+}
+
+// Multiple choice: clicking an option only selects it until "Проверить"
+function toggleOption(element) {
+    if (element.closest('.quiz').classList.contains('answered')) return;
+    element.classList.toggle('selected');
+}
+
+// "Проверить" of the multiple, fill and order questions
+function submitQuiz(element) {
+    const quiz = element.closest('.quiz');
+    submitAnswer(quiz, quizType(quiz).current(quiz));
+}
+
+// Ordering: the arrow buttons move an item without a mouse, e.g. on touch screens
+function moveItem(button, step) {
+    const item = button.closest('.quiz-item');
+    const sibling = step < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling) return;
+    item.parentNode.insertBefore(item, step < 0 ? sibling : sibling.nextElementSibling);
+    button.focus();
+}
+
+function initOrdering(list) {
+    let dragged = null;
+    shuffledItems.set(list, Array.from(list.querySelectorAll('.quiz-item')));
+
+    list.addEventListener('dragstart', event => {
+        dragged = event.target.closest('.quiz-item');
+        if (!dragged) return;
+        dragged.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', '');
+    });
+    list.addEventListener('dragover', event => {
+        const target = event.target.closest('.quiz-item');
+        if (!dragged || !target || target === dragged) return;
+        event.preventDefault();
+        const box = target.getBoundingClientRect();
+        const after = event.clientY > box.top + box.height / 2;
+        list.insertBefore(dragged, after ? target.nextElementSibling : target);
+    });
+    list.addEventListener('dragend', () => {
+        if (dragged) dragged.classList.remove('dragging');
+        dragged = null;
+    });
+}
+
+// Put back the answers saved in earlier sessions. An answer that no longer fits its
+// question, e.g. after the question changed its type or lost options, is dropped and
+// the question starts unanswered; the others are checked again, in case the correct
+// answer of the question changed.
+function restoreProgress(set) {
+    const setId = set.dataset.quizSet;
+    const saved = quizProgress[setId];
+    let changed = false;
+    set.querySelectorAll('.quiz[data-quiz]').forEach(quiz => {
+        const answer = saved[quiz.dataset.quiz];
+        if (!answer) return;
+        const type = quizType(quiz);
+        if (!type || !type.fits(quiz, answer.choice)) {
+            delete saved[quiz.dataset.quiz];
+            changed = true;
+            return;
+        }
+        const correct = type.check(quiz, answer.choice);
+        if (answer.correct !== correct) {
+            answer.correct = correct;
+            changed = true;
+        }
+        showAnswer(quiz, answer.choice, correct, answer.answeredAt);
+    });
+    if (changed) saveProgress(setId);
+}
+
+function resetQuiz(quiz) {
+    quiz.classList.remove('answered');
+    quiz.querySelectorAll('.quiz-option').forEach(opt => {
+        opt.style.pointerEvents = '';
+        opt.classList.remove('selected', 'correct', 'incorrect', 'missed');
+    });
+    quiz.querySelectorAll('.quiz-blank').forEach(blank => {
+        blank.value = '';
+        blank.readOnly = false;
+        blank.classList.remove('correct', 'incorrect');
+    });
+    const list = quiz.querySelector('.quiz-order');
+    if (list) {
+        shuffledItems.get(list).forEach(item => {
+            item.draggable = true;
+            item.classList.remove('correct', 'incorrect');
+            list.appendChild(item);
+        });
+    }
+    quiz.querySelector('.solution').classList.remove('show', 'wrong');
+    quiz.querySelector('.quiz-time').remove();
+}
+
+function resetProgress() {
+    if (!confirm('Стереть все сохранённые ответы?')) return;
+
+    document.querySelectorAll('.quiz-set[data-quiz-set]:not([data-review])').forEach(set => {
+        quizProgress[set.dataset.quizSet] = {};
+        saveProgress(set.dataset.quizSet);
+    });
+    document.querySelectorAll('.quiz.answered').forEach(resetQuiz);
+    updateScore();
+}
+
+function initQuizzes() {
+    const style = document.createElement('style');
+    style.textContent = QUIZ_STYLES;
+    document.head.appendChild(style);
+
+    document.querySelectorAll('.quiz-order').forEach(initOrdering);
+    document.querySelectorAll('.quiz-blank').forEach(blank => {
+        blank.addEventListener('keydown', event => {
+            if (event.key === 'Enter') submitQuiz(blank);
+        });
+    });
+
+    document.querySelectorAll('.quiz-set[data-quiz-set]').forEach(set => {
+        if (isReviewSet(set)) {
+            quizProgress[set.dataset.quizSet] = {};
+            return;
+        }
+        quizProgress[set.dataset.quizSet] = loadProgress(set.dataset.quizSet);
+        restoreProgress(set);
+    });
+    updateScore();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initQuizzes);
+} else {
+    initQuizzes();
+}
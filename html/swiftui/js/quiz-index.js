@@ -0,0 +1,160 @@
+// Generated by scripts/build-quizzes.js from the quizzes in quizzes/*.json.
+// Do not edit by hand: run `node scripts/build-quizzes.js` after changing a quiz.
+registerQuizIndex('swiftui', {
+    "chapters/00-introduction.html": {
+        "title": "Введение",
+        "sets": {
+            "swiftui/00-introduction": [
+                "architecture",
+                "requirements",
+                "api"
+            ]
+        }
+    },
+    "chapters/00a-swift-for-developers.html": {
+        "title": "Swift для JS/PHP разработчиков",
+        "sets": {
+            "swiftui/00a-swift-for-developers": [
+                "let-var",
+                "struct-class",
+                "guard"
+            ]
+        }
+    },
+    "chapters/01-swiftui-basics.html": {
+        "title": "Глава 1: Основы SwiftUI",
+        "sets": {
+            "swiftui/01-swiftui-basics": [
+                "state",
+                "modifier-order",
+                "binding"
+            ]
+        }
+    },
+    "chapters/02-mvvm.html": {
+        "title": "Глава 2: MVVM архитектура",
+        "sets": {
+            "swiftui/02-mvvm": [
+                "viewmodel",
+                "observable",
+                "di"
+            ]
+        }
+    },
+    "chapters/03-project-setup.html": {
+        "title": "Глава 3: Настройка проекта",
+        "sets": {
+            "swiftui/03-project-setup": [
+                "entry",
+                "spm",
+                "gitignore"
+            ]
+        }
+    },
+    "chapters/04-api-layer.html": {
+        "title": "Глава 4: API Layer",
+        "sets": {
+            "swiftui/04-api-layer": [
+                "endpoint",
+                "decode",
+                "network-error"
+            ]
+        }
+    },
+    "chapters/05-product-list.html": {
+        "title": "Глава 5: Список товаров",
+        "sets": {
+            "swiftui/05-product-list": [
+                "task",
+                "refreshable",
+                "grid"
+            ]
+        }
+    },
+    "chapters/06-product-detail.html": {
+        "title": "Глава 6: Детали товара",
+        "sets": {
+            "swiftui/06-product-detail": [
+                "asyncimage",
+                "page-tabview",
+                "navigation-value"
+            ]
+        }
+    },
+    "chapters/07-search.html": {
+        "title": "Глава 7: Поиск",
+        "sets": {
+            "swiftui/07-search": [
+                "searchable",
+                "debounce",
+                "debounce-steps"
+            ]
+        }
+    },
+    "chapters/08-favorites.html": {
+        "title": "Глава 8: Избранное",
+        "sets": {
+            "swiftui/08-favorites": [
+                "appstorage",
+                "set",
+                "environment"
+            ]
+        }
+    },
+    "chapters/09-cart.html": {
+        "title": "Глава 9: Корзина",
+        "sets": {
+            "swiftui/09-cart": [
+                "total",
+                "reduce",
+                "badge"
+            ]
+        }
+    },
+    "chapters/10-navigation.html": {
+        "title": "Глава 10: Навигация",
+        "sets": {
+            "swiftui/10-navigation": [
+                "path",
+                "sheet",
+                "deeplink"
+            ]
+        }
+    },
+    "chapters/11-testing.html": {
+        "title": "Глава 11: Тестирование",
+        "sets": {
+            "swiftui/11-testing": [
+                "mock",
+                "aaa",
+                "shortcut"
+            ]
+        }
+    },
+    "chapters/12-final.html": {
+        "title": "Глава 12: Финал",
+        "sets": {
+            "swiftui/12-final": [
+                "animation",
+                "app-store",
+                "archive"
+            ]
+        }
+    },
+    "chapters/exercises.html": {
+        "title": "Практические задания",
+        "sets": {
+            "swiftui/exercises": [
+                "1",
+                "2",
+                "3",
+                "4",
+                "5",
+                "6",
+                "7",
+                "8",
+                "9"
+            ]
+        }
+    }
+});
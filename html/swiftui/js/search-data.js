@@ -0,0 +1,365 @@
+// Generated by scripts/build-nav.js from book.json.
+// Do not edit by hand: run `node scripts/build-nav.js` after changing the chapters of the book.
+registerSearchBook({
+    "id": "swiftui",
+    "title": "SwiftUI + MVVM",
+    "accent": "blue",
+    "chapters": [
+        {
+            "title": "Введение",
+            "url": "chapters/00-introduction.html",
+            "chapter": "Введение",
+            "keywords": [
+                "введение",
+                "о",
+                "книге",
+                "начало",
+                "старт",
+                "требования"
+            ]
+        },
+        {
+            "title": "Swift для JS/PHP разработчиков",
+            "url": "chapters/00a-swift-for-developers.html",
+            "chapter": "Введение",
+            "keywords": [
+                "javascript",
+                "php",
+                "typescript",
+                "react",
+                "vue",
+                "optional",
+                "типизация",
+                "state",
+                "binding",
+                "observable",
+                "property",
+                "wrapper",
+                "closure",
+                "async",
+                "await",
+                "struct",
+                "class"
+            ]
+        },
+        {
+            "title": "Основы SwiftUI",
+            "url": "chapters/01-swiftui-basics.html",
+            "chapter": "Глава 1",
+            "keywords": [
+                "swiftui",
+                "view",
+                "state",
+                "binding",
+                "модификаторы",
+                "vstack",
+                "hstack",
+                "zstack"
+            ]
+        },
+        {
+            "title": "MVVM архитектура",
+            "url": "chapters/02-mvvm.html",
+            "chapter": "Глава 2",
+            "keywords": [
+                "mvvm",
+                "model",
+                "view",
+                "viewmodel",
+                "observable",
+                "observedobject",
+                "архитектура"
+            ]
+        },
+        {
+            "title": "Настройка проекта",
+            "url": "chapters/03-project-setup.html",
+            "chapter": "Глава 3",
+            "keywords": [
+                "xcode",
+                "проект",
+                "spm",
+                "swift",
+                "package",
+                "manager",
+                "структура"
+            ]
+        },
+        {
+            "title": "API Layer",
+            "url": "chapters/04-api-layer.html",
+            "chapter": "Глава 4",
+            "keywords": [
+                "api",
+                "network",
+                "urlsession",
+                "async",
+                "await",
+                "json",
+                "codable",
+                "dummyjson"
+            ]
+        },
+        {
+            "title": "Парсинг JSON",
+            "url": "chapters/json-parsing.html",
+            "chapter": "Приложение",
+            "keywords": [
+                "json",
+                "parsing",
+                "codable",
+                "decodable",
+                "encodable",
+                "модели",
+                "массив",
+                "объект",
+                "nested",
+                "вложенный",
+                "codingkeys",
+                "snake_case",
+                "optional",
+                "дата",
+                "date",
+                "decoder",
+                "упражнения"
+            ]
+        },
+        {
+            "title": "Список товаров",
+            "url": "chapters/05-product-list.html",
+            "chapter": "Глава 5",
+            "keywords": [
+                "lazyvgrid",
+                "asyncimage",
+                "список",
+                "товары",
+                "product",
+                "grid"
+            ]
+        },
+        {
+            "title": "Детали товара",
+            "url": "chapters/06-product-detail.html",
+            "chapter": "Глава 6",
+            "keywords": [
+                "detail",
+                "tabview",
+                "slider",
+                "изображения",
+                "галерея"
+            ]
+        },
+        {
+            "title": "Поиск",
+            "url": "chapters/07-search.html",
+            "chapter": "Глава 7",
+            "keywords": [
+                "search",
+                "searchable",
+                "поиск",
+                "фильтрация",
+                "debounce"
+            ]
+        },
+        {
+            "title": "Избранное",
+            "url": "chapters/08-favorites.html",
+            "chapter": "Глава 8",
+            "keywords": [
+                "favorites",
+                "избранное",
+                "userdefaults",
+                "appstorage",
+                "сердце"
+            ]
+        },
+        {
+            "title": "Корзина",
+            "url": "chapters/09-cart.html",
+            "chapter": "Глава 9",
+            "keywords": [
+                "cart",
+                "корзина",
+                "badge",
+                "количество",
+                "checkout",
+                "оформление"
+            ]
+        },
+        {
+            "title": "Навигация",
+            "url": "chapters/10-navigation.html",
+            "chapter": "Глава 10",
+            "keywords": [
+                "navigation",
+                "navigationstack",
+                "tabview",
+                "router",
+                "deep",
+                "linking"
+            ]
+        },
+        {
+            "title": "Тестирование",
+            "url": "chapters/11-testing.html",
+            "chapter": "Глава 11",
+            "keywords": [
+                "testing",
+                "unit",
+                "ui",
+                "tests",
+                "xctest",
+                "mock"
+            ]
+        },
+        {
+            "title": "Финал",
+            "url": "chapters/12-final.html",
+            "chapter": "Глава 12",
+            "keywords": [
+                "финал",
+                "анимации",
+                "app",
+                "store",
+                "публикация",
+                "итог"
+            ]
+        },
+        {
+            "title": "Шпаргалка Swift vs JS",
+            "url": "chapters/cheatsheet.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "шпаргалка",
+                "cheatsheet",
+                "справка",
+                "swift",
+                "javascript",
+                "php",
+                "типы",
+                "массивы",
+                "функции",
+                "closures"
+            ]
+        },
+        {
+            "title": "Частые ошибки новичков",
+            "url": "chapters/common-mistakes.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "ошибки",
+                "mistakes",
+                "let",
+                "var",
+                "optional",
+                "unwrap",
+                "state",
+                "binding",
+                "crash"
+            ]
+        },
+        {
+            "title": "Практические задания",
+            "url": "chapters/exercises.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "задания",
+                "упражнения",
+                "тесты",
+                "quiz",
+                "практика",
+                "exercises"
+            ]
+        },
+        {
+            "title": "Повторение",
+            "url": "chapters/review.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "повторение",
+                "интервальные",
+                "повторения",
+                "ошибки",
+                "тесты",
+                "review",
+                "карточки"
+            ]
+        },
+        {
+            "title": "Итоги обучения",
+            "url": "chapters/summary.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "итоги",
+                "результаты",
+                "сертификат",
+                "экспорт",
+                "json",
+                "csv",
+                "печать"
+            ]
+        },
+        {
+            "title": "Глоссарий терминов",
+            "url": "chapters/glossary.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "глоссарий",
+                "термины",
+                "словарь",
+                "optional",
+                "struct",
+                "class",
+                "protocol",
+                "enum",
+                "closure",
+                "state",
+                "binding",
+                "observable"
+            ]
+        },
+        {
+            "title": "Советы по Xcode",
+            "url": "chapters/xcode-tips.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "xcode",
+                "горячие",
+                "клавиши",
+                "shortcuts",
+                "preview",
+                "debug",
+                "навигация"
+            ]
+        },
+        {
+            "title": "Визуальные схемы",
+            "url": "chapters/diagrams.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "схемы",
+                "диаграммы",
+                "mvvm",
+                "архитектура",
+                "flow",
+                "данные",
+                "структура"
+            ]
+        },
+        {
+            "title": "Отладка",
+            "url": "chapters/debugging.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "отладка",
+                "debug",
+                "print",
+                "breakpoint",
+                "ошибки",
+                "crash",
+                "lldb",
+                "консоль"
+            ]
+        }
+    ]
+});
@@ -0,0 +1,2286 @@
+// Generated by scripts/build-search-index.js from chapters/*.html.
+// Do not edit by hand: run `node scripts/build-search-index.js` after changing a chapter.
+registerSearchContent('swiftui', [
+    {
+        "url": "chapters/00-introduction.html",
+        "chapter": "Введение",
+        "title": "Введение",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Введение",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Что вы изучите",
+                "anchor": "chto-vy-izuchite",
+                "text": "Создание iOS приложений на SwiftUI Архитектура MVVM в реальном проекте Работа с REST API Управление состоянием приложения",
+                "code": ""
+            },
+            {
+                "section": "О книге",
+                "subsection": "",
+                "anchor": "o-knige",
+                "text": "Эта книга научит вас создавать современные iOS приложения на SwiftUI с использованием архитектуры MVVM. Вы создадите полноценное приложение интернет-магазина с нуля.",
+                "code": ""
+            },
+            {
+                "section": "Что создадим",
+                "subsection": "",
+                "anchor": "chto-sozdadim",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────┐\n│          SHOPPING APP - SwiftUI MVVM            │\n├─────────────────────────────────────────────────┤\n│                                                 │\n│  ✅ Каталог товаров (Grid/List)                │\n│  ✅ Поиск товаров                               │\n│  ✅ Детальная страница товара                   │\n│  ✅ Избранное (UserDefaults)                    │\n│  ✅ Корзина покупок                             │\n│  ✅ Programmatic Navigation                     │\n│  ✅ REST API интеграция                         │\n│  ✅ Unit & UI тесты                             │\n│                                                 │\n└─────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Архитектура MVVM",
+                "subsection": "",
+                "anchor": "arhitektura-mvvm",
+                "text": "MVVM (Model-View-ViewModel) — это архитектурный паттерн, который отлично подходит для SwiftUI благодаря реактивной природе фреймворка.",
+                "code": "┌─────────────────────────────────────────────────┐\n│                      MVVM                       │\n├─────────────────────────────────────────────────┤\n│                                                 │\n│   ┌──────────┐         ┌─────────────┐         │\n│   │   VIEW   │ ◄─────► │  VIEWMODEL  │         │\n│   │ (SwiftUI)│         │ (@Observable)│         │\n│   └──────────┘         └──────┬──────┘         │\n│                               │                 │\n│                               ▼                 │\n│                        ┌─────────────┐         │\n│                        │    MODEL    │         │\n│                        │  (Structs)  │         │\n│                        └─────────────┘         │\n│                                                 │\n│   View: Отображение UI                         │\n│   ViewModel: Бизнес-логика, состояние          │\n│   Model: Данные (Product, Cart, etc.)          │\n│                                                 │\n└─────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Для кого эта книга",
+                "subsection": "",
+                "anchor": "dlya-kogo-eta-kniga",
+                "text": "✓ Знаете Swift, но не знаете SwiftUI ✓ Хотите освоить MVVM архитектуру ✓ Переходите с UIKit на SwiftUI ✓ Хотите создать портфолио проект",
+                "code": ""
+            },
+            {
+                "section": "Требования",
+                "subsection": "",
+                "anchor": "trebovaniya",
+                "text": "Оборудование • macOS Sonoma 14.0+ • Xcode 15.0+ • iOS Simulator или устройство Знания • Базовый Swift • Понимание ООП • Желание учиться",
+                "code": ""
+            },
+            {
+                "section": "Быстрый старт",
+                "subsection": "",
+                "anchor": "bystryy-start",
+                "text": "",
+                "code": "# Клонировать оригинальный проект\ngit clone https://github.com/BerkaySancar/ShoppingApp-SwiftUI-MVVM.git\n\n# Открыть в Xcode\ncd ShoppingApp-SwiftUI-MVVM\nopen Shopping.xcodeproj\n\n# Запустить (Cmd + R)"
+            },
+            {
+                "section": "Структура главы",
+                "subsection": "",
+                "anchor": "struktura-glavy",
+                "text": "🎯 Цель Что изучим в этой главе 📖 Теория Объяснение концепций 💻 Код Пошаговая реализация 🎨 UI Создание интерфейса ✅ Результат Что получилось 🏋️ Задания Практика для закрепления",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/00a-swift-for-developers.html",
+        "chapter": "Введение",
+        "title": "Swift для JS/PHP разработчиков",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Для разработчиков Swift для JS/PHP разработчиков",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Понять ключевые отличия Swift от JavaScript/PHP: типизация, optionals, struct vs class, property wrappers и реактивность.",
+                "code": ""
+            },
+            {
+                "section": "1. Строгая типизация",
+                "subsection": "",
+                "anchor": "1-strogaya-tipizatsiya",
+                "text": "В отличие от JS/PHP, Swift — строго типизированный язык. Тип переменной определяется при создании и не может измениться. JavaScript (динамическая) Swift (строгая)",
+                "code": "let price = 100;      // number\nprice = \"сто\";        // теперь string ✓\nprice = { value: 100 }; // теперь object ✓\n\n// Тип может быть чем угодно\nvar price = 100       // Int (выведено)\nprice = \"сто\"         // ❌ Ошибка компиляции!\n\n// Явное указание типа\nvar price: Double = 100.0\nvar name: String = \"iPhone\""
+            },
+            {
+                "section": "1. Строгая типизация",
+                "subsection": "🔧 Компиляция vs Runtime — в чём разница?",
+                "anchor": "kompilyatsiya-vs-runtime-v-chem-raznitsa",
+                "text": "Если вы пришли из JavaScript/PHP, вы привыкли к интерпретируемым языкам. Swift — компилируемый язык. Это принципиальная разница: JS/PHP (Интерпретируемые) Как работает: Пишете код → Запускаете → Код выполняется построчно → Ошибка? Узнаете когда дойдёт до той строки Swift (Компилируемый) Как работает: Пишете код → Нажимаете Build → Компилятор проверяет ВЕСЬ код → Ошибка? Узнаете сразу, до запуска Аналогия: JS/PHP: Как читать книгу вслух — ошибку заметите только когда дойдёте до опечатки Swift: Как проверка орфографии в Word — все ошибки подчёркнуты до того, как вы отправите документ 💡 Почему это важно: В продакшене JS-приложение может крашнуться у пользователя из-за ошибки типа. В Swift такой код просто не скомпилируется — вы исправите ошибку до релиза.",
+                "code": "// Этот код запустится без ошибок\nlet x = 5;\nconsole.log(\"Привет!\");\n\n// Ошибка случится ТОЛЬКО здесь, когда интерпретатор дойдёт до этой строки\nx.toUpperCase(); // 💥 Runtime Error! Приложение крашнется у пользователя\n// Xcode подчеркнёт ошибку СРАЗУ, даже не запуская приложение\nlet x = 5\nprint(\"Привет!\")\n\nx.uppercased() // ❌ Ошибка компиляции! Код не запустится пока не исправите"
+            },
+            {
+                "section": "2. let vs var (константы)",
+                "subsection": "",
+                "anchor": "2-let-vs-var-konstanty",
+                "text": "В Swift let создаёт настоящую константу, которую нельзя изменить. В JS const работает иначе. JavaScript Swift",
+                "code": "const user = { name: \"John\" };\nuser.name = \"Jane\";  // ✓ Можно менять свойства!\nuser = {};           // ❌ Нельзя переприсвоить\n\n// const защищает только ссылку,\n// не содержимое объекта\nlet user = User(name: \"John\")\nuser.name = \"Jane\"  // ❌ Ошибка! (для struct)\n\nvar user2 = User(name: \"John\")\nuser2.name = \"Jane\" // ✓ OK с var\n\n// let = полная неизменяемость"
+            },
+            {
+                "section": "3. Optionals (nil-безопасность)",
+                "subsection": "",
+                "anchor": "3-optionals-nil-bezopasnost",
+                "text": "Главное отличие Swift — Optionals. В JS/PHP любая переменная может быть null/undefined. В Swift нужно явно указать, что значение может отсутствовать. JavaScript — null везде Swift — явные Optionals",
+                "code": "function getUser(id) {\n    return users.find(u => u.id === id);  // Может вернуть undefined!\n}\n\nconst user = getUser(999);\nconsole.log(user.name);\n// 💥 TypeError: Cannot read 'name' of undefined\n// Ошибка в RUNTIME! Приложение крашнется у пользователя\nfunc getUser(id: Int) -> User? {  // User? означает \"User или nil\"\n    return users.first { $0.id == id }\n}\n\nlet user = getUser(id: 999)\nprint(user.name)\n// ❌ Ошибка КОМПИЛЯЦИИ! Xcode не даст запустить код\n// Компилятор заставляет обработать nil"
+            },
+            {
+                "section": "3. Optionals (nil-безопасность)",
+                "subsection": "Работа с Optionals",
+                "anchor": "rabota-s-optionals",
+                "text": "⚠️ Важно: Никогда не используйте ! без проверки. Это главная причина крашей в Swift-приложениях.",
+                "code": "var name: String? = nil  // String? = Optional<String>\n\n// 1. If let — безопасное извлечение\nif let unwrappedName = name {\n    print(unwrappedName)  // Только если name != nil\n}\n\n// 2. Guard let — ранний выход\nfunc greet(name: String?) {\n    guard let name = name else {\n        print(\"Имя не указано\")\n        return\n    }\n    print(\"Привет, \\(name)!\")\n}\n\n// 3. Nil coalescing — значение по умолчанию\nlet displayName = name ?? \"Гость\"  // Как || в JS\n\n// 4. Optional chaining — безопасный доступ\nlet length = name?.count  // Int? (nil если name == nil)\n\n// 5. Force unwrap — ОПАСНО! Только если 100% уверены\nlet forcedName = name!  // 💥 Crash если nil"
+            },
+            {
+                "section": "4. Struct vs Class",
+                "subsection": "",
+                "anchor": "4-struct-vs-class",
+                "text": "В Swift есть и struct, и class. В JS/PHP всё — объекты (reference types). В Swift struct — это value type. Class (Reference Type) Struct (Value Type) Когда что использовать? Struct Модели данных (Product, User), маленькие объекты Class Менеджеры, сервисы, когда нужно разделять состояние SwiftUI View Всегда struct!",
+                "code": "class UserClass {\n    var name: String\n    init(name: String) { self.name = name }\n}\n\nvar user1 = UserClass(name: \"John\")\nvar user2 = user1  // Копируется ССЫЛКА\n\nuser2.name = \"Jane\"\nprint(user1.name)  // \"Jane\" — изменился!\nstruct UserStruct {\n    var name: String\n}\n\nvar user1 = UserStruct(name: \"John\")\nvar user2 = user1  // Копируется ЗНАЧЕНИЕ\n\nuser2.name = \"Jane\"\nprint(user1.name)  // \"John\" — не изменился!"
+            },
+            {
+                "section": "5. Closures (замыкания)",
+                "subsection": "",
+                "anchor": "5-closures-zamykaniya",
+                "text": "Closures в Swift похожи на arrow functions в JS, но с другим синтаксисом. JavaScript Swift",
+                "code": "// Arrow function\nconst add = (a, b) => a + b;\n\n// Array methods\nconst doubled = [1, 2, 3].map(x => x * 2);\n\n// Callback\nfetch(url).then(response => {\n    console.log(response);\n});\n// Closure\nlet add = { (a: Int, b: Int) -> Int in\n    return a + b\n}\n\n// Сокращённая форма\nlet doubled = [1, 2, 3].map { $0 * 2 }\n\n// Trailing closure\nButton(\"Tap\") {\n    print(\"Tapped!\")\n}"
+            },
+            {
+                "section": "5. Closures (замыкания)",
+                "subsection": "Trailing Closure Syntax",
+                "anchor": "trailing-closure-syntax",
+                "text": "",
+                "code": "// Полная форма\nButton(action: {\n    print(\"Tapped\")\n}, label: {\n    Text(\"Tap me\")\n})\n\n// Trailing closure (последний параметр-closure выносится)\nButton {\n    print(\"Tapped\")\n} label: {\n    Text(\"Tap me\")\n}\n\n// Если closure — единственный параметр\n[1, 2, 3].map { $0 * 2 }  // [2, 4, 6]"
+            },
+            {
+                "section": "6. Async/Await",
+                "subsection": "",
+                "anchor": "6-async-await",
+                "text": "Swift имеет async/await, похожий на JS, но с некоторыми отличиями. JavaScript Swift",
+                "code": "async function fetchUser() {\n    try {\n        const response = await fetch(url);\n        const data = await response.json();\n        return data;\n    } catch (error) {\n        console.error(error);\n    }\n}\n\n// Вызов\nfetchUser().then(user => {\n    console.log(user);\n});\nfunc fetchUser() async throws -> User {\n    let (data, _) = try await URLSession\n        .shared.data(from: url)\n    return try JSONDecoder()\n        .decode(User.self, from: data)\n}\n\n// Вызов\nTask {\n    do {\n        let user = try await fetchUser()\n        print(user)\n    } catch {\n        print(error)\n    }\n}"
+            },
+            {
+                "section": "7. Property Wrappers (@State, @Binding...)",
+                "subsection": "",
+                "anchor": "7-property-wrappers-state-binding",
+                "text": "Это самое непривычное для JS/PHP разработчиков. Property wrappers — это \"обёртки\", которые добавляют поведение к переменным. Аналогия с JS:",
+                "code": "// В JS для реактивности используют:\n// React: useState, useEffect\n// Vue: ref(), reactive(), computed()\n\nconst [count, setCount] = useState(0);  // React\nconst count = ref(0);                    // Vue\n// В SwiftUI используются property wrappers:\n\nstruct CounterView: View {\n    // @State — локальное состояние View (как useState в React)\n    @State private var count = 0\n\n    // При изменении count, View автоматически перерисуется\n    var body: some View {\n        Button(\"Count: \\(count)\") {\n            count += 1  // Изменение вызывает re-render\n        }\n    }\n}"
+            },
+            {
+                "section": "7. Property Wrappers (@State, @Binding...)",
+                "subsection": "Основные Property Wrappers",
+                "anchor": "osnovnye-property-wrappers",
+                "text": "Swift React аналог Назначение @State useState() Локальное состояние View @Binding props + callback Двусторонняя связь с родителем @Observable useContext + useState Реактивный класс (ViewModel) @Environment useContext() Глобальные данные @AppStorage localStorage + useState Сохранение в UserDefaults",
+                "code": ""
+            },
+            {
+                "section": "7. Property Wrappers (@State, @Binding...)",
+                "subsection": "@State vs @Binding",
+                "anchor": "state-vs-binding",
+                "text": "💡 Аналогия: @State — это useState в React. @Binding — это как передать setValue дочернему компоненту.",
+                "code": "// РОДИТЕЛЬ владеет данными (@State)\nstruct ParentView: View {\n    @State private var isOn = false  // Источник правды\n\n    var body: some View {\n        // Передаём $isOn — это Binding\n        ChildView(isOn: $isOn)\n    }\n}\n\n// РЕБЁНОК получает ссылку (@Binding)\nstruct ChildView: View {\n    @Binding var isOn: Bool  // Ссылка на родительский State\n\n    var body: some View {\n        Toggle(\"Switch\", isOn: $isOn)\n        // Изменение здесь изменит isOn в родителе!\n    }\n}"
+            },
+            {
+                "section": "8. @Observable (ViewModel)",
+                "subsection": "",
+                "anchor": "8-observable-viewmodel",
+                "text": "Для сложного состояния используется @Observable — это делает класс \"реактивным\". React (Context + State) SwiftUI (@Observable)",
+                "code": "// Store\nconst CartContext = createContext();\n\nfunction CartProvider({ children }) {\n  const [items, setItems] = useState([]);\n\n  const addItem = (product) => {\n    setItems([...items, product]);\n  };\n\n  return (\n    <CartContext.Provider value={{ items, addItem }}>\n      {children}\n    </CartContext.Provider>\n  );\n}\n\n// Использование\nconst { items, addItem } = useContext(CartContext);\n// ViewModel\n@Observable\nclass CartManager {\n    var items: [Product] = []\n\n    func addItem(_ product: Product) {\n        items.append(product)\n        // View автоматически обновится!\n    }\n}\n\n// App.swift\n@main\nstruct App {\n    @State var cart = CartManager()\n\n    var body: some Scene {\n        WindowGroup {\n            ContentView()\n                .environment(cart)\n        }\n    }\n}\n\n// Использование в любом View\n@Environment(CartManager.self) var cart"
+            },
+            {
+                "section": "9. Протоколы (Interfaces)",
+                "subsection": "",
+                "anchor": "9-protokoly-interfaces",
+                "text": "Протоколы в Swift — это как интерфейсы в TypeScript/PHP. TypeScript Swift",
+                "code": "interface Identifiable {\n    id: string;\n}\n\ninterface Product extends Identifiable {\n    name: string;\n    price: number;\n}\n\nconst product: Product = {\n    id: \"1\",\n    name: \"iPhone\",\n    price: 999\n};\nprotocol Identifiable {\n    var id: String { get }\n}\n\nstruct Product: Identifiable, Codable {\n    let id: String\n    let name: String\n    let price: Double\n}\n\nlet product = Product(\n    id: \"1\",\n    name: \"iPhone\",\n    price: 999\n)"
+            },
+            {
+                "section": "10. Codable (JSON parsing)",
+                "subsection": "",
+                "anchor": "10-codable-json-parsing",
+                "text": "В Swift JSON парсинг строго типизирован через протокол Codable. JavaScript Swift",
+                "code": "// JSON → Object (нет типов)\nconst json = '{\"name\":\"John\",\"age\":30}';\nconst user = JSON.parse(json);\n\n// user.name — any, может быть что угодно\n// Ошибки только в runtime\nstruct User: Codable {\n    let name: String\n    let age: Int\n}\n\nlet json = \"\"\"\n{\"name\":\"John\",\"age\":30}\n\"\"\".data(using: .utf8)!\n\nlet user = try JSONDecoder()\n    .decode(User.self, from: json)\n// user.name — точно String"
+            },
+            {
+                "section": "Шпаргалка: JS → Swift",
+                "subsection": "",
+                "anchor": "shpargalka-js-swift",
+                "text": "Концепция JavaScript Swift Переменная let / const var / let Null/undefined null, undefined nil (только Optional) Optional chaining user?.name user?.name Default value name || \"Guest\" name ?? \"Guest\" Arrow function (x) => x * 2 { $0 * 2 } Template string `Hello ${name}` \"Hello \\(name)\" Array map arr.map(x => x*2) arr.map { $0*2 } Array filter arr.filter(x => x > 0) arr.filter { $0 > 0 } Async/await await fetch() try await fetch() Interface interface protocol useState useState(0) @State var x = 0 useContext useContext(Ctx) @Environment(X.self)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/01-swiftui-basics.html",
+        "chapter": "Глава 1",
+        "title": "Основы SwiftUI",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 1 Основы SwiftUI",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Изучить базовые концепции SwiftUI: View, модификаторы, @State, @Binding и понять декларативный подход к построению интерфейсов.",
+                "code": ""
+            },
+            {
+                "section": "Что такое SwiftUI?",
+                "subsection": "",
+                "anchor": "chto-takoe-swiftui",
+                "text": "SwiftUI — это декларативный UI-фреймворк от Apple, представленный в 2019 году. В отличие от императивного UIKit, где вы описываете как создать интерфейс шаг за шагом, в SwiftUI вы описываете что должно быть показано. UIKit (Императивный) SwiftUI (Декларативный)",
+                "code": "let label = UILabel()\nlabel.text = \"Hello\"\nlabel.textColor = .blue\nlabel.font = .boldSystemFont(ofSize: 20)\nview.addSubview(label)\nText(\"Hello\")\n    .foregroundColor(.blue)\n    .font(.system(size: 20, weight: .bold))"
+            },
+            {
+                "section": "View — основа всего",
+                "subsection": "",
+                "anchor": "view-osnova-vsego",
+                "text": "В SwiftUI все компоненты UI являются View. View — это протокол, который требует свойство body.",
+                "code": "import SwiftUI\n\nstruct ContentView: View {\n    var body: some View {\n        Text(\"Привет, SwiftUI!\")\n    }\n}"
+            },
+            {
+                "section": "Модификаторы",
+                "subsection": "",
+                "anchor": "modifikatory",
+                "text": "Модификаторы изменяют внешний вид и поведение View. Они возвращают новый View, что позволяет их цепочить. ⚠️ Важно: Порядок модификаторов имеет значение! padding().background() и background().padding() дадут разный результат.",
+                "code": "Text(\"Продукт\")\n    .font(.title)                    // Размер шрифта\n    .fontWeight(.bold)               // Жирность\n    .foregroundColor(.primary)       // Цвет текста\n    .padding()                       // Отступы\n    .background(Color.blue)          // Фон\n    .cornerRadius(10)                // Скругление"
+            },
+            {
+                "section": "@State — локальное состояние",
+                "subsection": "",
+                "anchor": "state-lokalnoe-sostoyanie",
+                "text": "@State — property wrapper для хранения локального состояния View. При изменении @State, View автоматически перерисовывается.",
+                "code": "struct CounterView: View {\n    @State private var count = 0\n\n    var body: some View {\n        VStack(spacing: 20) {\n            Text(\"Счётчик: \\(count)\")\n                .font(.largeTitle)\n\n            HStack(spacing: 20) {\n                Button(\"−\") { count -= 1 }\n                Button(\"+\") { count += 1 }\n            }\n            .font(.title)\n        }\n    }\n}"
+            },
+            {
+                "section": "@Binding — двусторонняя связь",
+                "subsection": "",
+                "anchor": "binding-dvustoronnyaya-svyaz",
+                "text": "@Binding позволяет дочернему View изменять состояние родителя. Передаётся через $ префикс.",
+                "code": "// Родительский View\nstruct ParentView: View {\n    @State private var isOn = false\n\n    var body: some View {\n        ToggleRow(isOn: $isOn)  // Передаём binding через $\n    }\n}\n\n// Дочерний View\nstruct ToggleRow: View {\n    @Binding var isOn: Bool  // Получаем binding\n\n    var body: some View {\n        Toggle(\"Включить\", isOn: $isOn)\n    }\n}"
+            },
+            {
+                "section": "Основные компоненты",
+                "subsection": "Контейнеры",
+                "anchor": "konteynery",
+                "text": "",
+                "code": "// Вертикальный стек\nVStack(alignment: .leading, spacing: 10) {\n    Text(\"Первый\")\n    Text(\"Второй\")\n}\n\n// Горизонтальный стек\nHStack(spacing: 20) {\n    Image(systemName: \"star\")\n    Text(\"Рейтинг\")\n}\n\n// Наложение\nZStack {\n    Color.blue\n    Text(\"Поверх\")\n}"
+            },
+            {
+                "section": "Основные компоненты",
+                "subsection": "Списки",
+                "anchor": "spiski",
+                "text": "",
+                "code": "struct Product: Identifiable {\n    let id = UUID()\n    let name: String\n    let price: Double\n}\n\nstruct ProductListView: View {\n    let products = [\n        Product(name: \"iPhone\", price: 999),\n        Product(name: \"MacBook\", price: 1999)\n    ]\n\n    var body: some View {\n        List(products) { product in\n            HStack {\n                Text(product.name)\n                Spacer()\n                Text(\"$\\(product.price, specifier: \"%.0f\")\")\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Основные компоненты",
+                "subsection": "Изображения",
+                "anchor": "izobrazheniya",
+                "text": "",
+                "code": "// SF Symbols\nImage(systemName: \"cart.fill\")\n    .font(.largeTitle)\n    .foregroundColor(.blue)\n\n// Из Assets\nImage(\"product-image\")\n    .resizable()\n    .aspectRatio(contentMode: .fit)\n    .frame(width: 200, height: 200)\n\n// Асинхронная загрузка\nAsyncImage(url: URL(string: \"https://...\")) { image in\n    image.resizable().aspectRatio(contentMode: .fit)\n} placeholder: {\n    ProgressView()\n}"
+            },
+            {
+                "section": "Практика: Карточка товара",
+                "subsection": "",
+                "anchor": "praktika-kartochka-tovara",
+                "text": "Создадим простую карточку товара, используя изученные концепции:",
+                "code": "struct ProductCard: View {\n    let name: String\n    let price: Double\n    let imageURL: String\n\n    @State private var isFavorite = false\n\n    var body: some View {\n        VStack(alignment: .leading, spacing: 12) {\n            // Изображение\n            AsyncImage(url: URL(string: imageURL)) { image in\n                image\n                    .resizable()\n                    .aspectRatio(contentMode: .fill)\n            } placeholder: {\n                Color.gray.opacity(0.3)\n            }\n            .frame(height: 150)\n            .clipped()\n\n            // Контент\n            VStack(alignment: .leading, spacing: 4) {\n                Text(name)\n                    .font(.headline)\n                    .lineLimit(2)\n\n                HStack {\n                    Text(\"$\\(price, specifier: \"%.2f\")\")\n                        .font(.subheadline)\n                        .fontWeight(.bold)\n                        .foregroundColor(.blue)\n\n                    Spacer()\n\n                    Button {\n                        isFavorite.toggle()\n                    } label: {\n                        Image(systemName: isFavorite ? \"heart.fill\" : \"heart\")\n                            .foregroundColor(isFavorite ? .red : .gray)\n                    }\n                }\n            }\n            .padding(.horizontal, 12)\n            .padding(.bottom, 12)\n        }\n        .background(Color.white)\n        .cornerRadius(12)\n        .shadow(radius: 4)\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Создайте View с кнопкой \"Добавить в корзину\", которая увеличивает счётчик при нажатии 2. Добавьте анимацию при изменении состояния избранного (.animation(.spring())) 3. Создайте сетку из 4 карточек товаров используя LazyVGrid",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/02-mvvm.html",
+        "chapter": "Глава 2",
+        "title": "MVVM архитектура",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 2 Архитектура MVVM",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Понять паттерн MVVM и научиться разделять UI и бизнес-логику с помощью @Observable и @ObservedObject.",
+                "code": ""
+            },
+            {
+                "section": "Зачем нужна архитектура?",
+                "subsection": "",
+                "anchor": "zachem-nuzhna-arhitektura",
+                "text": "Без чёткой архитектуры код быстро превращается в \"спагетти\" — всё связано со всем, изменение в одном месте ломает другое, тестирование невозможно.",
+                "code": "┌─────────────────────────────────────────────────┐\n│                      MVVM                       │\n├─────────────────────────────────────────────────┤\n│                                                 │\n│   ┌──────────┐         ┌─────────────┐         │\n│   │   VIEW   │ ◄─────► │  VIEWMODEL  │         │\n│   │ (SwiftUI)│         │ (@Observable)│         │\n│   └──────────┘         └──────┬──────┘         │\n│         │                     │                 │\n│         │ Отображает          │ Обрабатывает   │\n│         │ данные              │ логику          │\n│         │                     │                 │\n│         │                     ▼                 │\n│         │              ┌─────────────┐         │\n│         │              │    MODEL    │         │\n│         │              │  (Structs)  │         │\n│         │              └─────────────┘         │\n│         │                     │                 │\n│         └─────────────────────┘                 │\n│           Данные передаются                     │\n│                                                 │\n└─────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Model — данные",
+                "subsection": "",
+                "anchor": "model-dannye",
+                "text": "Model представляет данные приложения. В Swift это обычно структуры с протоколом Codable для работы с JSON.",
+                "code": "// Models/Product.swift\nstruct Product: Identifiable, Codable {\n    let id: Int\n    let title: String\n    let description: String\n    let price: Double\n    let discountPercentage: Double\n    let rating: Double\n    let stock: Int\n    let brand: String\n    let category: String\n    let thumbnail: String\n    let images: [String]\n}\n\n// Ответ API\nstruct ProductResponse: Codable {\n    let products: [Product]\n    let total: Int\n    let skip: Int\n    let limit: Int\n}"
+            },
+            {
+                "section": "ViewModel — логика",
+                "subsection": "",
+                "anchor": "viewmodel-logika",
+                "text": "ViewModel содержит бизнес-логику и состояние. В iOS 17+ используем @Observable, для более ранних версий — ObservableObject.",
+                "code": ""
+            },
+            {
+                "section": "ViewModel — логика",
+                "subsection": "iOS 17+ (@Observable)",
+                "anchor": "ios-17-observable",
+                "text": "",
+                "code": "import Observation\n\n@Observable\nfinal class ProductViewModel {\n    // MARK: - Properties\n    var products: [Product] = []\n    var isLoading = false\n    var errorMessage: String?\n    var searchText = \"\"\n\n    // Отфильтрованные товары\n    var filteredProducts: [Product] {\n        if searchText.isEmpty {\n            return products\n        }\n        return products.filter {\n            $0.title.localizedCaseInsensitiveContains(searchText)\n        }\n    }\n\n    // MARK: - Methods\n    func fetchProducts() async {\n        isLoading = true\n        errorMessage = nil\n\n        do {\n            let url = URL(string: \"https://dummyjson.com/products\")!\n            let (data, _) = try await URLSession.shared.data(from: url)\n            let response = try JSONDecoder().decode(ProductResponse.self, from: data)\n            products = response.products\n        } catch {\n            errorMessage = error.localizedDescription\n        }\n\n        isLoading = false\n    }\n}"
+            },
+            {
+                "section": "ViewModel — логика",
+                "subsection": "iOS 14-16 (ObservableObject)",
+                "anchor": "ios-14-16-observableobject",
+                "text": "",
+                "code": "import Combine\n\nfinal class ProductViewModel: ObservableObject {\n    @Published var products: [Product] = []\n    @Published var isLoading = false\n    @Published var errorMessage: String?\n\n    // Аналогичная логика...\n}"
+            },
+            {
+                "section": "View — отображение",
+                "subsection": "",
+                "anchor": "view-otobrazhenie",
+                "text": "View только отображает данные из ViewModel и вызывает его методы. Никакой бизнес-логики в View!",
+                "code": "struct ProductListView: View {\n    @State private var viewModel = ProductViewModel()\n\n    var body: some View {\n        NavigationStack {\n            Group {\n                if viewModel.isLoading {\n                    ProgressView(\"Загрузка...\")\n                } else if let error = viewModel.errorMessage {\n                    ErrorView(message: error) {\n                        Task { await viewModel.fetchProducts() }\n                    }\n                } else {\n                    productGrid\n                }\n            }\n            .navigationTitle(\"Товары\")\n            .searchable(text: $viewModel.searchText)\n        }\n        .task {\n            await viewModel.fetchProducts()\n        }\n    }\n\n    private var productGrid: some View {\n        ScrollView {\n            LazyVGrid(columns: [\n                GridItem(.flexible()),\n                GridItem(.flexible())\n            ], spacing: 16) {\n                ForEach(viewModel.filteredProducts) { product in\n                    ProductCard(product: product)\n                }\n            }\n            .padding()\n        }\n    }\n}"
+            },
+            {
+                "section": "Внедрение зависимостей",
+                "subsection": "",
+                "anchor": "vnedrenie-zavisimostey",
+                "text": "Для тестирования важно использовать протоколы и внедрять зависимости:",
+                "code": "// Протокол для сетевого слоя\nprotocol ProductServiceProtocol {\n    func fetchProducts() async throws -> [Product]\n}\n\n// Реальная реализация\nfinal class ProductService: ProductServiceProtocol {\n    func fetchProducts() async throws -> [Product] {\n        let url = URL(string: \"https://dummyjson.com/products\")!\n        let (data, _) = try await URLSession.shared.data(from: url)\n        let response = try JSONDecoder().decode(ProductResponse.self, from: data)\n        return response.products\n    }\n}\n\n// ViewModel с внедрённой зависимостью\n@Observable\nfinal class ProductViewModel {\n    private let service: ProductServiceProtocol\n\n    var products: [Product] = []\n    var isLoading = false\n\n    init(service: ProductServiceProtocol = ProductService()) {\n        self.service = service\n    }\n\n    func fetchProducts() async {\n        isLoading = true\n        do {\n            products = try await service.fetchProducts()\n        } catch {\n            // handle error\n        }\n        isLoading = false\n    }\n}\n\n// Mock для тестов\nfinal class MockProductService: ProductServiceProtocol {\n    var mockProducts: [Product] = []\n\n    func fetchProducts() async throws -> [Product] {\n        return mockProducts\n    }\n}"
+            },
+            {
+                "section": "@Environment и @EnvironmentObject",
+                "subsection": "",
+                "anchor": "environment-i-environmentobject",
+                "text": "Для глобального состояния (корзина, избранное) используем Environment:",
+                "code": "// Глобальный менеджер корзины\n@Observable\nfinal class CartManager {\n    var items: [CartItem] = []\n\n    var totalPrice: Double {\n        items.reduce(0) { $0 + $1.price * Double($1.quantity) }\n    }\n\n    func add(_ product: Product) {\n        if let index = items.firstIndex(where: { $0.productId == product.id }) {\n            items[index].quantity += 1\n        } else {\n            items.append(CartItem(product: product, quantity: 1))\n        }\n    }\n}\n\n// App.swift\n@main\nstruct ShoppingApp: App {\n    @State private var cartManager = CartManager()\n\n    var body: some Scene {\n        WindowGroup {\n            ContentView()\n                .environment(cartManager)\n        }\n    }\n}\n\n// Использование в любом View\nstruct ProductDetailView: View {\n    @Environment(CartManager.self) private var cart\n    let product: Product\n\n    var body: some View {\n        Button(\"Добавить в корзину\") {\n            cart.add(product)\n        }\n    }\n}"
+            },
+            {
+                "section": "Структура проекта MVVM",
+                "subsection": "",
+                "anchor": "struktura-proekta-mvvm",
+                "text": "",
+                "code": "ShoppingApp/\n├── App/\n│   └── ShoppingApp.swift\n├── Models/\n│   ├── Product.swift\n│   ├── CartItem.swift\n│   └── User.swift\n├── ViewModels/\n│   ├── ProductViewModel.swift\n│   ├── CartViewModel.swift\n│   └── FavoritesViewModel.swift\n├── Views/\n│   ├── ProductList/\n│   │   ├── ProductListView.swift\n│   │   └── ProductCard.swift\n│   ├── ProductDetail/\n│   │   └── ProductDetailView.swift\n│   └── Cart/\n│       └── CartView.swift\n├── Services/\n│   ├── NetworkService.swift\n│   └── ProductService.swift\n└── Utilities/\n    └── Extensions.swift"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Создайте FavoritesViewModel с методами add/remove и сохранением в UserDefaults 2. Добавьте в ProductViewModel сортировку по цене и рейтингу 3. Реализуйте пагинацию (загрузка по 20 товаров при скролле)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/03-project-setup.html",
+        "chapter": "Глава 3",
+        "title": "Настройка проекта",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 3 Настройка проекта",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать проект в Xcode, настроить структуру папок и подключить необходимые зависимости через SPM.",
+                "code": ""
+            },
+            {
+                "section": "Создание проекта",
+                "subsection": "",
+                "anchor": "sozdanie-proekta",
+                "text": "1. Откройте Xcode → File → New → Project 2. Выберите iOS → App 3. Заполните: • Product Name: Shopping • Team: Ваш Apple ID • Organization Identifier: com.yourname • Interface: SwiftUI • Language: Swift 4. Снимите галочки с Core Data и Tests (добавим позже)",
+                "code": ""
+            },
+            {
+                "section": "Структура папок",
+                "subsection": "",
+                "anchor": "struktura-papok",
+                "text": "Организуем проект по модулям MVVM:",
+                "code": "Shopping/\n├── ShoppingApp.swift          # Точка входа\n├── ContentView.swift          # Главный View\n│\n├── Core/\n│   ├── Network/\n│   │   ├── NetworkManager.swift\n│   │   ├── Endpoint.swift\n│   │   └── NetworkError.swift\n│   └── Extensions/\n│       ├── View+Extensions.swift\n│       └── Color+Extensions.swift\n│\n├── Features/\n│   ├── Products/\n│   │   ├── Models/\n│   │   │   └── Product.swift\n│   │   ├── ViewModels/\n│   │   │   └── ProductViewModel.swift\n│   │   └── Views/\n│   │       ├── ProductListView.swift\n│   │       ├── ProductDetailView.swift\n│   │       └── Components/\n│   │           └── ProductCard.swift\n│   │\n│   ├── Cart/\n│   │   ├── Models/\n│   │   ├── ViewModels/\n│   │   └── Views/\n│   │\n│   └── Favorites/\n│       ├── Models/\n│       ├── ViewModels/\n│       └── Views/\n│\n├── Shared/\n│   ├── Components/\n│   │   ├── LoadingView.swift\n│   │   └── ErrorView.swift\n│   └── Managers/\n│       ├── CartManager.swift\n│       └── FavoritesManager.swift\n│\n└── Resources/\n    └── Assets.xcassets"
+            },
+            {
+                "section": "Создание папок в Xcode",
+                "subsection": "",
+                "anchor": "sozdanie-papok-v-xcode",
+                "text": "1. ПКМ на папке Shopping → New Group 2. Создайте: Core, Features, Shared, Resources 3. Внутри Features создайте: Products, Cart, Favorites 4. В каждой feature создайте: Models, ViewModels, Views",
+                "code": ""
+            },
+            {
+                "section": "Swift Package Manager (SPM)",
+                "subsection": "",
+                "anchor": "swift-package-manager-spm",
+                "text": "Для нашего проекта понадобятся пакеты для загрузки изображений и работы с ключами: 1. File → Add Package Dependencies... 2. Вставьте URL пакета и нажмите Add Package",
+                "code": ""
+            },
+            {
+                "section": "Swift Package Manager (SPM)",
+                "subsection": "Рекомендуемые пакеты",
+                "anchor": "rekomenduemye-pakety",
+                "text": "Пакет Назначение Nuke Быстрая загрузка изображений с кэшированием KeychainAccess Безопасное хранение токенов 💡 Совет: В нашем проекте мы будем использовать встроенный AsyncImage, поэтому Nuke опционален. Но для production-приложений рекомендуется.",
+                "code": ""
+            },
+            {
+                "section": "Настройка App Entry Point",
+                "subsection": "",
+                "anchor": "nastroyka-app-entry-point",
+                "text": "",
+                "code": "// ShoppingApp.swift\nimport SwiftUI\n\n@main\nstruct ShoppingApp: App {\n    // Глобальные менеджеры\n    @State private var cartManager = CartManager()\n    @State private var favoritesManager = FavoritesManager()\n\n    var body: some Scene {\n        WindowGroup {\n            ContentView()\n                .environment(cartManager)\n                .environment(favoritesManager)\n        }\n    }\n}"
+            },
+            {
+                "section": "Базовые модели",
+                "subsection": "",
+                "anchor": "bazovye-modeli",
+                "text": "",
+                "code": "// Features/Products/Models/Product.swift\nimport Foundation\n\nstruct Product: Identifiable, Codable, Hashable {\n    let id: Int\n    let title: String\n    let description: String\n    let price: Double\n    let discountPercentage: Double\n    let rating: Double\n    let stock: Int\n    let brand: String\n    let category: String\n    let thumbnail: String\n    let images: [String]\n\n    // Вычисляемые свойства\n    var discountedPrice: Double {\n        price * (1 - discountPercentage / 100)\n    }\n\n    var formattedPrice: String {\n        String(format: \"$%.2f\", price)\n    }\n}\n\nstruct ProductResponse: Codable {\n    let products: [Product]\n    let total: Int\n    let skip: Int\n    let limit: Int\n}"
+            },
+            {
+                "section": "Info.plist настройки",
+                "subsection": "",
+                "anchor": "info-plist-nastroyki",
+                "text": "Добавьте в Info.plist разрешение на сетевые запросы (если используете HTTP): ⚠️ Важно: В production используйте только HTTPS. DummyJSON API поддерживает HTTPS, поэтому эта настройка не обязательна.",
+                "code": "<key>NSAppTransportSecurity</key>\n<dict>\n    <key>NSAllowsArbitraryLoads</key>\n    <true/>\n</dict>"
+            },
+            {
+                "section": "Git инициализация",
+                "subsection": "",
+                "anchor": "git-initsializatsiya",
+                "text": "",
+                "code": "# Инициализировать репозиторий\ncd Shopping\ngit init\n\n# Создать .gitignore\ncat > .gitignore"
+            },
+            {
+                "section": "✅ Результат",
+                "subsection": "",
+                "anchor": "rezultat",
+                "text": "У вас должен быть настроенный проект со структурой папок MVVM, готовый к разработке.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/04-api-layer.html",
+        "chapter": "Глава 4",
+        "title": "API Layer",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 4 API Layer",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать переиспользуемый сетевой слой с Generic запросами, обработкой ошибок и интеграцией с DummyJSON API.",
+                "code": ""
+            },
+            {
+                "section": "DummyJSON API",
+                "subsection": "",
+                "anchor": "dummyjson-api",
+                "text": "DummyJSON — бесплатный REST API с тестовыми данными. Отличная альтернатива реальному бэкенду для обучения. Endpoint Описание GET /products Все товары GET /products/{id} Товар по ID GET /products/search?q= Поиск товаров GET /products/categories Список категорий",
+                "code": ""
+            },
+            {
+                "section": "Endpoint enum",
+                "subsection": "",
+                "anchor": "endpoint-enum",
+                "text": "",
+                "code": "// Core/Network/Endpoint.swift\nimport Foundation\n\nenum Endpoint {\n    case products\n    case product(id: Int)\n    case search(query: String)\n    case category(name: String)\n    case categories\n\n    var path: String {\n        switch self {\n        case .products:\n            return \"/products\"\n        case .product(let id):\n            return \"/products/\\(id)\"\n        case .search(let query):\n            return \"/products/search?q=\\(query)\"\n        case .category(let name):\n            return \"/products/category/\\(name)\"\n        case .categories:\n            return \"/products/categories\"\n        }\n    }\n\n    var url: URL? {\n        URL(string: \"https://dummyjson.com\" + path)\n    }\n}"
+            },
+            {
+                "section": "Network Error",
+                "subsection": "",
+                "anchor": "network-error",
+                "text": "",
+                "code": "// Core/Network/NetworkError.swift\nimport Foundation\n\nenum NetworkError: LocalizedError {\n    case invalidURL\n    case noData\n    case decodingError(Error)\n    case serverError(Int)\n    case unknown(Error)\n\n    var errorDescription: String? {\n        switch self {\n        case .invalidURL:\n            return \"Неверный URL\"\n        case .noData:\n            return \"Данные не получены\"\n        case .decodingError(let error):\n            return \"Ошибка декодирования: \\(error.localizedDescription)\"\n        case .serverError(let code):\n            return \"Ошибка сервера: \\(code)\"\n        case .unknown(let error):\n            return error.localizedDescription\n        }\n    }\n}"
+            },
+            {
+                "section": "Network Manager",
+                "subsection": "",
+                "anchor": "network-manager",
+                "text": "",
+                "code": "// Core/Network/NetworkManager.swift\nimport Foundation\n\nprotocol NetworkManagerProtocol {\n    func fetch(_ endpoint: Endpoint) async throws -> T\n}\n\nfinal class NetworkManager: NetworkManagerProtocol {\n    static let shared = NetworkManager()\n\n    private let decoder: JSONDecoder = {\n        let decoder = JSONDecoder()\n        decoder.keyDecodingStrategy = .convertFromSnakeCase\n        return decoder\n    }()\n\n    private init() {}\n\n    func fetch(_ endpoint: Endpoint) async throws -> T {\n        guard let url = endpoint.url else {\n            throw NetworkError.invalidURL\n        }\n\n        do {\n            let (data, response) = try await URLSession.shared.data(from: url)\n\n            guard let httpResponse = response as? HTTPURLResponse else {\n                throw NetworkError.unknown(URLError(.badServerResponse))\n            }\n\n            guard (200...299).contains(httpResponse.statusCode) else {\n                throw NetworkError.serverError(httpResponse.statusCode)\n            }\n\n            do {\n                return try decoder.decode(T.self, from: data)\n            } catch {\n                throw NetworkError.decodingError(error)\n            }\n        } catch let error as NetworkError {\n            throw error\n        } catch {\n            throw NetworkError.unknown(error)\n        }\n    }\n}"
+            },
+            {
+                "section": "Product Service",
+                "subsection": "",
+                "anchor": "product-service",
+                "text": "",
+                "code": "// Features/Products/Services/ProductService.swift\nimport Foundation\n\nprotocol ProductServiceProtocol {\n    func fetchProducts() async throws -> [Product]\n    func fetchProduct(id: Int) async throws -> Product\n    func searchProducts(query: String) async throws -> [Product]\n    func fetchCategories() async throws -> [String]\n}\n\nfinal class ProductService: ProductServiceProtocol {\n    private let networkManager: NetworkManagerProtocol\n\n    init(networkManager: NetworkManagerProtocol = NetworkManager.shared) {\n        self.networkManager = networkManager\n    }\n\n    func fetchProducts() async throws -> [Product] {\n        let response: ProductResponse = try await networkManager.fetch(.products)\n        return response.products\n    }\n\n    func fetchProduct(id: Int) async throws -> Product {\n        try await networkManager.fetch(.product(id: id))\n    }\n\n    func searchProducts(query: String) async throws -> [Product] {\n        let response: ProductResponse = try await networkManager.fetch(.search(query: query))\n        return response.products\n    }\n\n    func fetchCategories() async throws -> [String] {\n        try await networkManager.fetch(.categories)\n    }\n}"
+            },
+            {
+                "section": "Использование в ViewModel",
+                "subsection": "",
+                "anchor": "ispolzovanie-v-viewmodel",
+                "text": "",
+                "code": "// Features/Products/ViewModels/ProductViewModel.swift\nimport Observation\n\n@Observable\nfinal class ProductViewModel {\n    private let service: ProductServiceProtocol\n\n    var products: [Product] = []\n    var isLoading = false\n    var errorMessage: String?\n\n    init(service: ProductServiceProtocol = ProductService()) {\n        self.service = service\n    }\n\n    @MainActor\n    func fetchProducts() async {\n        isLoading = true\n        errorMessage = nil\n\n        do {\n            products = try await service.fetchProducts()\n        } catch {\n            errorMessage = error.localizedDescription\n        }\n\n        isLoading = false\n    }\n\n    @MainActor\n    func search(query: String) async {\n        guard !query.isEmpty else {\n            await fetchProducts()\n            return\n        }\n\n        isLoading = true\n\n        do {\n            products = try await service.searchProducts(query: query)\n        } catch {\n            errorMessage = error.localizedDescription\n        }\n\n        isLoading = false\n    }\n}"
+            },
+            {
+                "section": "Mock для тестов",
+                "subsection": "",
+                "anchor": "mock-dlya-testov",
+                "text": "",
+                "code": "// Tests/Mocks/MockProductService.swift\nfinal class MockProductService: ProductServiceProtocol {\n    var mockProducts: [Product] = []\n    var shouldThrowError = false\n\n    func fetchProducts() async throws -> [Product] {\n        if shouldThrowError {\n            throw NetworkError.noData\n        }\n        return mockProducts\n    }\n\n    func fetchProduct(id: Int) async throws -> Product {\n        guard let product = mockProducts.first(where: { $0.id == id }) else {\n            throw NetworkError.noData\n        }\n        return product\n    }\n\n    func searchProducts(query: String) async throws -> [Product] {\n        return mockProducts.filter {\n            $0.title.localizedCaseInsensitiveContains(query)\n        }\n    }\n\n    func fetchCategories() async throws -> [String] {\n        return [\"smartphones\", \"laptops\", \"fragrances\"]\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Добавьте endpoint для пагинации: /products?limit=10&skip=0 2. Реализуйте кэширование ответов с помощью URLCache 3. Добавьте retry логику при ошибке сети (3 попытки)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/json-parsing.html",
+        "chapter": "Приложение",
+        "title": "Парсинг JSON",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "← Назад к оглавлению Сравнить с Android Парсинг JSON в Swift Полное руководство по преобразованию JSON в модели Swift с практическими упражнениями",
+                "code": ""
+            },
+            {
+                "section": "Содержание",
+                "subsection": "",
+                "anchor": "soderzhanie",
+                "text": "1. Основы Codable 2. Простой объект 3. Массивы 4. Вложенные объекты 5. CodingKeys 6. Опциональные поля 7. Парсинг дат 8. Сложные структуры 9. Обработка ошибок 10. Реальные API примеры 11. Упражнения",
+                "code": ""
+            },
+            {
+                "section": "1. Основы Codable",
+                "subsection": "Что такое Codable?",
+                "anchor": "chto-takoe-codable",
+                "text": "Codable — это протокол Swift, который объединяет Encodable (для кодирования в JSON) и Decodable (для декодирования из JSON). Это магия Swift для работы с JSON! JSON Swift Model Аналог в JavaScript/TypeScript",
+                "code": "{\n  \"id\": 1,\n  \"name\": \"iPhone\",\n  \"price\": 999.99\n}\nstruct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n}\n// TypeScript interface\ninterface Product {\n    id: number;\n    name: string;\n    price: number;\n}\n\n// Парсинг\nconst product: Product = JSON.parse(jsonString);"
+            },
+            {
+                "section": "2. Парсинг простого объекта",
+                "subsection": "",
+                "anchor": "2-parsing-prostogo-obekta",
+                "text": "Важно! Имена свойств в модели должны точно совпадать с ключами в JSON Типы данных должны соответствовать (Int, String, Double и т.д.) decode() может выбросить ошибку — используйте try",
+                "code": "// JSON строка\nlet jsonString = \"\"\"\n{\n    \"id\": 1,\n    \"name\": \"MacBook Pro\",\n    \"price\": 1999.99\n}\n\"\"\"\n\n// 1. Создаём модель\nstruct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n}\n\n// 2. Преобразуем строку в Data\nlet jsonData = jsonString.data(using: .utf8)!\n\n// 3. Декодируем\nlet decoder = JSONDecoder()\nlet product = try decoder.decode(Product.self, from: jsonData)\n\n// 4. Используем\nprint(product.name)  // \"MacBook Pro\"\nprint(product.price) // 1999.99"
+            },
+            {
+                "section": "3. Парсинг массивов",
+                "subsection": "Массив объектов",
+                "anchor": "massiv-obektov",
+                "text": "JSON Swift",
+                "code": "[\n  { \"id\": 1, \"name\": \"iPhone\" },\n  { \"id\": 2, \"name\": \"iPad\" },\n  { \"id\": 3, \"name\": \"MacBook\" }\n]\nstruct Product: Codable {\n    let id: Int\n    let name: String\n}\n\n// Декодируем массив\nlet products = try decoder.decode(\n    [Product].self,\n    from: jsonData\n)"
+            },
+            {
+                "section": "3. Парсинг массивов",
+                "subsection": "Массив внутри объекта",
+                "anchor": "massiv-vnutri-obekta",
+                "text": "JSON Swift",
+                "code": "{\n  \"products\": [\n    { \"id\": 1, \"name\": \"iPhone\" },\n    { \"id\": 2, \"name\": \"iPad\" }\n  ],\n  \"total\": 2\n}\nstruct Product: Codable {\n    let id: Int\n    let name: String\n}\n\nstruct ProductResponse: Codable {\n    let products: [Product]\n    let total: Int\n}\n\nlet response = try decoder.decode(\n    ProductResponse.self,\n    from: jsonData\n)\nprint(response.products.count)"
+            },
+            {
+                "section": "3. Парсинг массивов",
+                "subsection": "Массив примитивов",
+                "anchor": "massiv-primitivov",
+                "text": "",
+                "code": "// JSON: [\"apple\", \"banana\", \"cherry\"]\nlet fruits = try decoder.decode([String].self, from: jsonData)\n\n// JSON: [1, 2, 3, 4, 5]\nlet numbers = try decoder.decode([Int].self, from: jsonData)\n\n// JSON: [true, false, true]\nlet flags = try decoder.decode([Bool].self, from: jsonData)"
+            },
+            {
+                "section": "4. Вложенные объекты",
+                "subsection": "",
+                "anchor": "4-vlozhennye-obekty",
+                "text": "JSON Swift Models",
+                "code": "{\n  \"id\": 1,\n  \"title\": \"iPhone 15\",\n  \"price\": 999,\n  \"category\": {\n    \"id\": 5,\n    \"name\": \"Electronics\",\n    \"slug\": \"electronics\"\n  },\n  \"images\": [\n    \"img1.jpg\",\n    \"img2.jpg\"\n  ]\n}\n// Вложенная модель\nstruct Category: Codable {\n    let id: Int\n    let name: String\n    let slug: String\n}\n\n// Главная модель\nstruct Product: Codable {\n    let id: Int\n    let title: String\n    let price: Int\n    let category: Category\n    let images: [String]\n}\n\n// Использование\nlet product = try decoder.decode(\n    Product.self, from: data\n)\nprint(product.category.name)"
+            },
+            {
+                "section": "4. Вложенные объекты",
+                "subsection": "Глубокая вложенность",
+                "anchor": "glubokaya-vlozhennost",
+                "text": "",
+                "code": "// JSON с глубокой вложенностью\n{\n  \"user\": {\n    \"profile\": {\n      \"address\": {\n        \"city\": \"Almaty\",\n        \"country\": \"Kazakhstan\"\n      }\n    }\n  }\n}\n\n// Swift модели - каждый уровень = отдельный struct\nstruct Address: Codable {\n    let city: String\n    let country: String\n}\n\nstruct Profile: Codable {\n    let address: Address\n}\n\nstruct User: Codable {\n    let profile: Profile\n}\n\nstruct Response: Codable {\n    let user: User\n}\n\n// Доступ к данным\nlet response = try decoder.decode(Response.self, from: data)\nprint(response.user.profile.address.city) // \"Almaty\""
+            },
+            {
+                "section": "5. CodingKeys — переименование полей",
+                "subsection": "",
+                "anchor": "5-codingkeys-pereimenovanie-poley",
+                "text": "Когда нужны CodingKeys? JSON ключи в snake_case, а Swift использует camelCase JSON ключ — зарезервированное слово Swift (class, struct, type) Хотите использовать другое имя в коде",
+                "code": ""
+            },
+            {
+                "section": "5. CodingKeys — переименование полей",
+                "subsection": "Пример: snake_case → camelCase",
+                "anchor": "primer-snake-case-camelcase",
+                "text": "JSON (snake_case) Swift (camelCase) Автоматическое преобразование snake_case",
+                "code": "{\n  \"user_id\": 123,\n  \"first_name\": \"Серик\",\n  \"last_name\": \"Иванов\",\n  \"created_at\": \"2024-01-15\"\n}\nstruct User: Codable {\n    let userId: Int\n    let firstName: String\n    let lastName: String\n    let createdAt: String\n\n    enum CodingKeys: String, CodingKey {\n        case userId = \"user_id\"\n        case firstName = \"first_name\"\n        case lastName = \"last_name\"\n        case createdAt = \"created_at\"\n    }\n}\n// Вместо CodingKeys можно настроить decoder\nlet decoder = JSONDecoder()\ndecoder.keyDecodingStrategy = .convertFromSnakeCase\n\n// Теперь user_id автоматически станет userId!\nstruct User: Codable {\n    let userId: Int       // из user_id\n    let firstName: String // из first_name\n}"
+            },
+            {
+                "section": "5. CodingKeys — переименование полей",
+                "subsection": "Зарезервированные слова",
+                "anchor": "zarezervirovannye-slova",
+                "text": "",
+                "code": "// JSON с ключом \"description\" или \"class\"\n{\n  \"id\": 1,\n  \"description\": \"Product info\",\n  \"class\": \"electronics\"\n}\n\nstruct Product: Codable {\n    let id: Int\n    let productDescription: String  // переименовали\n    let productClass: String        // переименовали\n\n    enum CodingKeys: String, CodingKey {\n        case id\n        case productDescription = \"description\"\n        case productClass = \"class\"\n    }\n}"
+            },
+            {
+                "section": "6. Опциональные поля",
+                "subsection": "",
+                "anchor": "6-optsionalnye-polya",
+                "text": "Проблема Если в JSON отсутствует поле, которое объявлено как обязательное в модели — парсинг упадёт с ошибкой!",
+                "code": ""
+            },
+            {
+                "section": "6. Опциональные поля",
+                "subsection": "Решение: Optional типы",
+                "anchor": "reshenie-optional-tipy",
+                "text": "JSON (поле может отсутствовать) Swift Model",
+                "code": "// Иногда есть discount\n{\n  \"id\": 1,\n  \"price\": 100,\n  \"discount\": 10\n}\n\n// Иногда нет\n{\n  \"id\": 2,\n  \"price\": 200\n}\nstruct Product: Codable {\n    let id: Int\n    let price: Double\n    let discount: Double? // Optional!\n}\n\n// Использование\nif let discount = product.discount {\n    print(\"Скидка: \\(discount)%\")\n} else {\n    print(\"Без скидки\")\n}"
+            },
+            {
+                "section": "6. Опциональные поля",
+                "subsection": "Значения по умолчанию",
+                "anchor": "znacheniya-po-umolchaniyu",
+                "text": "",
+                "code": "struct Product: Codable {\n    let id: Int\n    let price: Double\n    var discount: Double  // НЕ optional\n\n    init(from decoder: Decoder) throws {\n        let container = try decoder.container(keyedBy: CodingKeys.self)\n        id = try container.decode(Int.self, forKey: .id)\n        price = try container.decode(Double.self, forKey: .price)\n        // Значение по умолчанию = 0\n        discount = try container.decodeIfPresent(Double.self, forKey: .discount) ?? 0\n    }\n}"
+            },
+            {
+                "section": "6. Опциональные поля",
+                "subsection": "null в JSON",
+                "anchor": "null-v-json",
+                "text": "",
+                "code": "// JSON с null\n{\n  \"name\": \"Product\",\n  \"description\": null\n}\n\n// Swift - null автоматически станет nil для Optional\nstruct Product: Codable {\n    let name: String\n    let description: String?  // будет nil\n}"
+            },
+            {
+                "section": "7. Парсинг дат",
+                "subsection": "ISO 8601 формат",
+                "anchor": "iso-8601-format",
+                "text": "",
+                "code": "// JSON: \"2024-01-15T10:30:00Z\"\nlet decoder = JSONDecoder()\ndecoder.dateDecodingStrategy = .iso8601\n\nstruct Event: Codable {\n    let title: String\n    let createdAt: Date  // Автоматически распарсится\n}"
+            },
+            {
+                "section": "7. Парсинг дат",
+                "subsection": "Unix timestamp (секунды)",
+                "anchor": "unix-timestamp-sekundy",
+                "text": "",
+                "code": "// JSON: 1705312200\ndecoder.dateDecodingStrategy = .secondsSince1970"
+            },
+            {
+                "section": "7. Парсинг дат",
+                "subsection": "Unix timestamp (миллисекунды)",
+                "anchor": "unix-timestamp-millisekundy",
+                "text": "",
+                "code": "// JSON: 1705312200000\ndecoder.dateDecodingStrategy = .millisecondsSince1970"
+            },
+            {
+                "section": "7. Парсинг дат",
+                "subsection": "Кастомный формат",
+                "anchor": "kastomnyy-format",
+                "text": "",
+                "code": "// JSON: \"15.01.2024\" или \"January 15, 2024\"\nlet formatter = DateFormatter()\nformatter.dateFormat = \"dd.MM.yyyy\"  // или другой формат\nformatter.locale = Locale(identifier: \"ru_RU\")\n\ndecoder.dateDecodingStrategy = .formatted(formatter)"
+            },
+            {
+                "section": "8. Сложные структуры",
+                "subsection": "Реальный пример: DummyJSON API",
+                "anchor": "realnyy-primer-dummyjson-api",
+                "text": "",
+                "code": "// Реальный ответ от https://dummyjson.com/products/1\n{\n  \"id\": 1,\n  \"title\": \"iPhone 9\",\n  \"description\": \"An apple mobile...\",\n  \"price\": 549,\n  \"discountPercentage\": 12.96,\n  \"rating\": 4.69,\n  \"stock\": 94,\n  \"brand\": \"Apple\",\n  \"category\": \"smartphones\",\n  \"thumbnail\": \"https://...\",\n  \"images\": [\"https://...\", \"https://...\"],\n  \"reviews\": [\n    {\n      \"rating\": 5,\n      \"comment\": \"Great!\",\n      \"date\": \"2024-01-15\",\n      \"reviewerName\": \"John\"\n    }\n  ],\n  \"meta\": {\n    \"createdAt\": \"2024-01-15T10:00:00Z\",\n    \"updatedAt\": \"2024-01-16T10:00:00Z\",\n    \"barcode\": \"1234567890\"\n  }\n}\n// Swift модели\n\nstruct Review: Codable {\n    let rating: Int\n    let comment: String\n    let date: String\n    let reviewerName: String\n}\n\nstruct ProductMeta: Codable {\n    let createdAt: String\n    let updatedAt: String\n    let barcode: String\n}\n\nstruct Product: Codable, Identifiable {\n    let id: Int\n    let title: String\n    let description: String\n    let price: Double\n    let discountPercentage: Double\n    let rating: Double\n    let stock: Int\n    let brand: String?           // может отсутствовать\n    let category: String\n    let thumbnail: String\n    let images: [String]\n    let reviews: [Review]?       // может отсутствовать\n    let meta: ProductMeta?       // может отсутствовать\n}\n\n// Ответ со списком продуктов\nstruct ProductsResponse: Codable {\n    let products: [Product]\n    let total: Int\n    let skip: Int\n    let limit: Int\n}"
+            },
+            {
+                "section": "8. Сложные структуры",
+                "subsection": "Enum для фиксированных значений",
+                "anchor": "enum-dlya-fiksirovannyh-znacheniy",
+                "text": "",
+                "code": "// Если category имеет фиксированные значения\nenum Category: String, Codable {\n    case smartphones\n    case laptops\n    case fragrances\n    case skincare\n    case groceries\n}\n\nstruct Product: Codable {\n    let id: Int\n    let title: String\n    let category: Category  // Enum вместо String\n}"
+            },
+            {
+                "section": "9. Обработка ошибок парсинга",
+                "subsection": "",
+                "anchor": "9-obrabotka-oshibok-parsinga",
+                "text": "Частые ошибки и их причины Ошибка Причина keyNotFound В JSON нет ключа, который есть в модели (и он не Optional) typeMismatch Тип в JSON не соответствует типу в модели (String вместо Int) valueNotFound В JSON null, но в модели тип не Optional dataCorrupted JSON невалидный или не соответствует ожидаемой структуре",
+                "code": "do {\n    let product = try decoder.decode(Product.self, from: data)\n    print(\"Успех: \\(product.title)\")\n} catch DecodingError.keyNotFound(let key, let context) {\n    print(\"Отсутствует ключ: \\(key.stringValue)\")\n    print(\"Путь: \\(context.codingPath)\")\n\n} catch DecodingError.typeMismatch(let type, let context) {\n    print(\"Неверный тип. Ожидался: \\(type)\")\n    print(\"Путь: \\(context.codingPath)\")\n\n} catch DecodingError.valueNotFound(let type, let context) {\n    print(\"Значение nil для non-optional типа: \\(type)\")\n\n} catch DecodingError.dataCorrupted(let context) {\n    print(\"Повреждённые данные: \\(context.debugDescription)\")\n\n} catch {\n    print(\"Неизвестная ошибка: \\(error)\")\n}"
+            },
+            {
+                "section": "10. Реальные примеры API",
+                "subsection": "Полный пример с URLSession",
+                "anchor": "polnyy-primer-s-urlsession",
+                "text": "",
+                "code": "class APIService {\n    private let decoder: JSONDecoder = {\n        let decoder = JSONDecoder()\n        decoder.keyDecodingStrategy = .convertFromSnakeCase\n        return decoder\n    }()\n\n    func fetchProducts() async throws -> [Product] {\n        let url = URL(string: \"https://dummyjson.com/products\")!\n\n        // 1. Загружаем данные\n        let (data, response) = try await URLSession.shared.data(from: url)\n\n        // 2. Проверяем статус\n        guard let httpResponse = response as? HTTPURLResponse,\n              httpResponse.statusCode == 200 else {\n            throw URLError(.badServerResponse)\n        }\n\n        // 3. Декодируем JSON\n        let response = try decoder.decode(ProductsResponse.self, from: data)\n\n        return response.products\n    }\n}\n\n// Использование в SwiftUI\nstruct ContentView: View {\n    @State private var products: [Product] = []\n    @State private var error: String?\n\n    var body: some View {\n        List(products) { product in\n            Text(product.title)\n        }\n        .task {\n            do {\n                products = try await APIService().fetchProducts()\n            } catch {\n                self.error = error.localizedDescription\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "10. Реальные примеры API",
+                "subsection": "Generic метод для любых моделей",
+                "anchor": "generic-metod-dlya-lyubyh-modeley",
+                "text": "",
+                "code": "class APIService {\n    func fetch<T: Decodable>(from urlString: String) async throws -> T {\n        guard let url = URL(string: urlString) else {\n            throw URLError(.badURL)\n        }\n\n        let (data, _) = try await URLSession.shared.data(from: url)\n        return try JSONDecoder().decode(T.self, from: data)\n    }\n}\n\n// Использование\nlet api = APIService()\n\n// Получаем один продукт\nlet product: Product = try await api.fetch(from: \"https://dummyjson.com/products/1\")\n\n// Получаем список\nlet response: ProductsResponse = try await api.fetch(from: \"https://dummyjson.com/products\")"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "",
+                "anchor": "11-uprazhneniya",
+                "text": "Easy",
+                "code": ""
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 1: Простой объект",
+                "anchor": "uprazhnenie-1-prostoy-obekt",
+                "text": "Создайте модель для парсинга этого JSON: Показать ответ Easy",
+                "code": "{\n  \"id\": 42,\n  \"username\": \"swift_dev\",\n  \"email\": \"dev@example.com\",\n  \"isActive\": true\n}\nstruct User: Codable {\n    let id: Int\n    let username: String\n    let email: String\n    let isActive: Bool\n}\n\n// Парсинг\nlet user = try JSONDecoder().decode(User.self, from: jsonData)"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 2: Массив объектов",
+                "anchor": "uprazhnenie-2-massiv-obektov",
+                "text": "Создайте модель и напишите код парсинга: Показать ответ Medium",
+                "code": "[\n  { \"name\": \"Almaty\", \"population\": 2000000 },\n  { \"name\": \"Astana\", \"population\": 1200000 },\n  { \"name\": \"Shymkent\", \"population\": 1000000 }\n]\nstruct City: Codable {\n    let name: String\n    let population: Int\n}\n\n// Парсинг массива\nlet cities = try JSONDecoder().decode([City].self, from: jsonData)\n\n// Использование\nfor city in cities {\n    print(\"\\(city.name): \\(city.population)\")\n}"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 3: snake_case ключи",
+                "anchor": "uprazhnenie-3-snake-case-klyuchi",
+                "text": "Создайте модель с CodingKeys: Показать ответ Способ 1: CodingKeys Способ 2: Автоматическое преобразование (проще!) Medium",
+                "code": "{\n  \"user_id\": 100,\n  \"full_name\": \"Иван Петров\",\n  \"phone_number\": \"+7 777 123 4567\",\n  \"registered_at\": \"2024-01-15\"\n}\nstruct User: Codable {\n    let userId: Int\n    let fullName: String\n    let phoneNumber: String\n    let registeredAt: String\n\n    enum CodingKeys: String, CodingKey {\n        case userId = \"user_id\"\n        case fullName = \"full_name\"\n        case phoneNumber = \"phone_number\"\n        case registeredAt = \"registered_at\"\n    }\n}\nstruct User: Codable {\n    let userId: Int\n    let fullName: String\n    let phoneNumber: String\n    let registeredAt: String\n}\n\nlet decoder = JSONDecoder()\ndecoder.keyDecodingStrategy = .convertFromSnakeCase\nlet user = try decoder.decode(User.self, from: jsonData)"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 4: Вложенные объекты",
+                "anchor": "uprazhnenie-4-vlozhennye-obekty",
+                "text": "Создайте модели для парсинга: Показать ответ Medium",
+                "code": "{\n  \"orderId\": \"ORD-12345\",\n  \"total\": 15000,\n  \"customer\": {\n    \"name\": \"Алия\",\n    \"email\": \"aliya@mail.kz\"\n  },\n  \"items\": [\n    { \"name\": \"iPhone\", \"qty\": 1, \"price\": 10000 },\n    { \"name\": \"Case\", \"qty\": 2, \"price\": 2500 }\n  ]\n}\nstruct Customer: Codable {\n    let name: String\n    let email: String\n}\n\nstruct OrderItem: Codable {\n    let name: String\n    let qty: Int\n    let price: Int\n}\n\nstruct Order: Codable {\n    let orderId: String\n    let total: Int\n    let customer: Customer\n    let items: [OrderItem]\n}\n\n// Парсинг\nlet order = try JSONDecoder().decode(Order.self, from: jsonData)\n\n// Использование\nprint(\"Заказ: \\(order.orderId)\")\nprint(\"Клиент: \\(order.customer.name)\")\nprint(\"Товаров: \\(order.items.count)\")"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 5: Опциональные поля",
+                "anchor": "uprazhnenie-5-optsionalnye-polya",
+                "text": "Создайте модель, которая корректно парсит ОБА этих JSON: Показать ответ Hard",
+                "code": "// JSON 1 - все поля есть\n{\n  \"id\": 1,\n  \"title\": \"Product A\",\n  \"description\": \"Great product\",\n  \"discount\": 15,\n  \"tags\": [\"new\", \"sale\"]\n}\n\n// JSON 2 - некоторые поля отсутствуют\n{\n  \"id\": 2,\n  \"title\": \"Product B\"\n}\nstruct Product: Codable {\n    let id: Int\n    let title: String\n    let description: String?   // Optional\n    let discount: Int?         // Optional\n    let tags: [String]?        // Optional\n}\n\n// Парсинг - работает для обоих JSON\nlet product1 = try decoder.decode(Product.self, from: json1Data)\nlet product2 = try decoder.decode(Product.self, from: json2Data)\n\n// Безопасное использование\nif let discount = product.discount {\n    print(\"Скидка: \\(discount)%\")\n}\n\nlet tagsCount = product.tags?.count ?? 0\nprint(\"Тегов: \\(tagsCount)\")"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 6: Сложная структура API",
+                "anchor": "uprazhnenie-6-slozhnaya-struktura-api",
+                "text": "Создайте полный набор моделей для этого реального ответа API: Показать ответ Hard",
+                "code": "{\n  \"success\": true,\n  \"data\": {\n    \"users\": [\n      {\n        \"id\": 1,\n        \"name\": \"Серик\",\n        \"role\": \"admin\",\n        \"profile\": {\n          \"avatar_url\": \"https://example.com/avatar.jpg\",\n          \"bio\": \"Swift developer\"\n        },\n        \"permissions\": [\"read\", \"write\", \"delete\"]\n      }\n    ],\n    \"pagination\": {\n      \"current_page\": 1,\n      \"total_pages\": 5,\n      \"per_page\": 20\n    }\n  },\n  \"meta\": {\n    \"request_id\": \"abc-123\",\n    \"timestamp\": 1705312200\n  }\n}\n// Модели от внутренних к внешним\n\nstruct UserProfile: Codable {\n    let avatarUrl: String\n    let bio: String?\n}\n\nenum UserRole: String, Codable {\n    case admin\n    case user\n    case guest\n}\n\nstruct User: Codable, Identifiable {\n    let id: Int\n    let name: String\n    let role: UserRole\n    let profile: UserProfile\n    let permissions: [String]\n}\n\nstruct Pagination: Codable {\n    let currentPage: Int\n    let totalPages: Int\n    let perPage: Int\n}\n\nstruct UsersData: Codable {\n    let users: [User]\n    let pagination: Pagination\n}\n\nstruct ResponseMeta: Codable {\n    let requestId: String\n    let timestamp: Int\n}\n\nstruct APIResponse: Codable {\n    let success: Bool\n    let data: UsersData\n    let meta: ResponseMeta\n}\n\n// Парсинг с автоконвертацией snake_case\nlet decoder = JSONDecoder()\ndecoder.keyDecodingStrategy = .convertFromSnakeCase\nlet response = try decoder.decode(APIResponse.self, from: jsonData)\n\n// Использование\nfor user in response.data.users {\n    print(\"\\(user.name) - \\(user.role)\")\n    print(\"Avatar: \\(user.profile.avatarUrl)\")\n    print(\"Permissions: \\(user.permissions.joined(separator: \\\", \\\"))\")\n}"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 7: Обработка ошибок",
+                "anchor": "uprazhnenie-7-obrabotka-oshibok",
+                "text": "Напишите функцию safeDecodeProducts, которая: Принимает Data Пытается распарсить как массив Product Возвращает Result<[Product], Error> При ошибке выводит понятное сообщение Показать ответ Hard",
+                "code": "struct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n}\nenum ParseError: Error, LocalizedError {\n    case missingKey(String)\n    case wrongType(expected: String, got: String)\n    case invalidJSON\n    case unknown(Error)\n\n    var errorDescription: String? {\n        switch self {\n        case .missingKey(let key):\n            return \"Отсутствует обязательное поле: \\(key)\"\n        case .wrongType(let expected, let got):\n            return \"Неверный тип данных. Ожидался \\(expected), получен \\(got)\"\n        case .invalidJSON:\n            return \"Невалидный JSON\"\n        case .unknown(let error):\n            return \"Неизвестная ошибка: \\(error.localizedDescription)\"\n        }\n    }\n}\n\nfunc safeDecodeProducts(from data: Data) -> Result<[Product], ParseError> {\n    do {\n        let products = try JSONDecoder().decode([Product].self, from: data)\n        return .success(products)\n    } catch DecodingError.keyNotFound(let key, _) {\n        return .failure(.missingKey(key.stringValue))\n    } catch DecodingError.typeMismatch(let type, _) {\n        return .failure(.wrongType(expected: String(describing: type), got: \"другой тип\"))\n    } catch DecodingError.dataCorrupted(_) {\n        return .failure(.invalidJSON)\n    } catch {\n        return .failure(.unknown(error))\n    }\n}\n\n// Использование\nswitch safeDecodeProducts(from: jsonData) {\ncase .success(let products):\n    print(\"Загружено \\(products.count) товаров\")\ncase .failure(let error):\n    print(\"Ошибка: \\(error.localizedDescription)\")\n}"
+            },
+            {
+                "section": "11. Упражнения",
+                "subsection": "Упражнение 8: Generic API Service",
+                "anchor": "uprazhnenie-8-generic-api-service",
+                "text": "Создайте класс APIService с generic методом fetch, который: Работает с любым Decodable типом Использует async/await Автоматически конвертирует snake_case Обрабатывает HTTP ошибки Показать ответ",
+                "code": "enum APIError: Error {\n    case invalidURL\n    case httpError(statusCode: Int)\n    case decodingError(Error)\n    case networkError(Error)\n}\n\nclass APIService {\n    static let shared = APIService()\n\n    private let decoder: JSONDecoder = {\n        let decoder = JSONDecoder()\n        decoder.keyDecodingStrategy = .convertFromSnakeCase\n        decoder.dateDecodingStrategy = .iso8601\n        return decoder\n    }()\n\n    func fetch<T: Decodable>(\n        from urlString: String\n    ) async throws -> T {\n        // 1. Валидация URL\n        guard let url = URL(string: urlString) else {\n            throw APIError.invalidURL\n        }\n\n        // 2. Выполнение запроса\n        let data: Data\n        let response: URLResponse\n\n        do {\n            (data, response) = try await URLSession.shared.data(from: url)\n        } catch {\n            throw APIError.networkError(error)\n        }\n\n        // 3. Проверка HTTP статуса\n        if let httpResponse = response as? HTTPURLResponse,\n           !(200...299).contains(httpResponse.statusCode) {\n            throw APIError.httpError(statusCode: httpResponse.statusCode)\n        }\n\n        // 4. Декодирование\n        do {\n            return try decoder.decode(T.self, from: data)\n        } catch {\n            throw APIError.decodingError(error)\n        }\n    }\n}\n\n// Использование\nstruct Product: Codable, Identifiable {\n    let id: Int\n    let title: String\n    let price: Double\n}\n\nstruct ProductsResponse: Codable {\n    let products: [Product]\n    let total: Int\n}\n\n// В SwiftUI View\nstruct ProductListView: View {\n    @State private var products: [Product] = []\n    @State private var errorMessage: String?\n\n    var body: some View {\n        List(products) { product in\n            Text(product.title)\n        }\n        .task {\n            do {\n                let response: ProductsResponse = try await APIService.shared.fetch(\n                    from: \"https://dummyjson.com/products\"\n                )\n                products = response.products\n            } catch let error as APIError {\n                switch error {\n                case .invalidURL:\n                    errorMessage = \"Неверный URL\"\n                case .httpError(let code):\n                    errorMessage = \"HTTP ошибка: \\(code)\"\n                case .decodingError:\n                    errorMessage = \"Ошибка парсинга JSON\"\n                case .networkError:\n                    errorMessage = \"Нет соединения\"\n                }\n            } catch {\n                errorMessage = error.localizedDescription\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Основное",
+                "anchor": "osnovnoe",
+                "text": "Codable = Encodable + Decodable JSONDecoder().decode(Type.self, from: data) Имена свойств должны совпадать с JSON ключами Используйте ? для опциональных полей",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "CodingKeys",
+                "anchor": "codingkeys",
+                "text": "enum CodingKeys: String, CodingKey case myProperty = \"json_key\" Или: decoder.keyDecodingStrategy = .convertFromSnakeCase",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Массивы",
+                "anchor": "massivy",
+                "text": "[Product].self — массив объектов [String].self — массив строк Вложенный массив: let items: [Item]",
+                "code": ""
+            },
+            {
+                "section": "Шпаргалка",
+                "subsection": "Ошибки",
+                "anchor": "oshibki",
+                "text": "keyNotFound — нет ключа в JSON typeMismatch — неверный тип valueNotFound — null для non-optional",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/05-product-list.html",
+        "chapter": "Глава 5",
+        "title": "Список товаров",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 5 Список товаров",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать экран списка товаров с LazyVGrid, AsyncImage и анимациями загрузки.",
+                "code": ""
+            },
+            {
+                "section": "ProductCard компонент",
+                "subsection": "",
+                "anchor": "productcard-komponent",
+                "text": "",
+                "code": "// Features/Products/Views/Components/ProductCard.swift\nimport SwiftUI\n\nstruct ProductCard: View {\n    let product: Product\n    @Environment(FavoritesManager.self) private var favorites\n\n    var body: some View {\n        VStack(alignment: .leading, spacing: 0) {\n            // Изображение\n            ZStack(alignment: .topTrailing) {\n                AsyncImage(url: URL(string: product.thumbnail)) { phase in\n                    switch phase {\n                    case .empty:\n                        Rectangle()\n                            .fill(Color.gray.opacity(0.2))\n                            .overlay(ProgressView())\n                    case .success(let image):\n                        image\n                            .resizable()\n                            .aspectRatio(contentMode: .fill)\n                    case .failure:\n                        Rectangle()\n                            .fill(Color.gray.opacity(0.2))\n                            .overlay(\n                                Image(systemName: \"photo\")\n                                    .foregroundColor(.gray)\n                            )\n                    @unknown default:\n                        EmptyView()\n                    }\n                }\n                .frame(height: 150)\n                .clipped()\n\n                // Кнопка избранного\n                Button {\n                    favorites.toggle(product)\n                } label: {\n                    Image(systemName: favorites.contains(product) ? \"heart.fill\" : \"heart\")\n                        .font(.system(size: 20))\n                        .foregroundColor(favorites.contains(product) ? .red : .white)\n                        .padding(8)\n                        .background(.ultraThinMaterial)\n                        .clipShape(Circle())\n                }\n                .padding(8)\n            }\n\n            // Контент\n            VStack(alignment: .leading, spacing: 6) {\n                Text(product.title)\n                    .font(.subheadline)\n                    .fontWeight(.medium)\n                    .lineLimit(2)\n                    .foregroundColor(.primary)\n\n                HStack {\n                    Text(product.formattedPrice)\n                        .font(.headline)\n                        .foregroundColor(.blue)\n\n                    if product.discountPercentage > 0 {\n                        Text(\"-\\(Int(product.discountPercentage))%\")\n                            .font(.caption)\n                            .fontWeight(.semibold)\n                            .foregroundColor(.white)\n                            .padding(.horizontal, 6)\n                            .padding(.vertical, 2)\n                            .background(Color.red)\n                            .cornerRadius(4)\n                    }\n                }\n\n                // Рейтинг\n                HStack(spacing: 4) {\n                    Image(systemName: \"star.fill\")\n                        .font(.caption)\n                        .foregroundColor(.yellow)\n                    Text(String(format: \"%.1f\", product.rating))\n                        .font(.caption)\n                        .foregroundColor(.secondary)\n                }\n            }\n            .padding(12)\n        }\n        .background(Color(.systemBackground))\n        .cornerRadius(12)\n        .shadow(color: .black.opacity(0.1), radius: 5, x: 0, y: 2)\n    }\n}\n\n#Preview {\n    ProductCard(product: .mock)\n        .frame(width: 180)\n        .environment(FavoritesManager())\n}\n\n// Мок для Preview\nextension Product {\n    static var mock: Product {\n        Product(\n            id: 1,\n            title: \"iPhone 15 Pro Max\",\n            description: \"Latest iPhone\",\n            price: 1199,\n            discountPercentage: 10,\n            rating: 4.8,\n            stock: 50,\n            brand: \"Apple\",\n            category: \"smartphones\",\n            thumbnail: \"https://cdn.dummyjson.com/product-images/1/thumbnail.jpg\",\n            images: []\n        )\n    }\n}"
+            },
+            {
+                "section": "ProductListView",
+                "subsection": "",
+                "anchor": "productlistview",
+                "text": "",
+                "code": "// Features/Products/Views/ProductListView.swift\nimport SwiftUI\n\nstruct ProductListView: View {\n    @State private var viewModel = ProductViewModel()\n    @State private var selectedProduct: Product?\n\n    private let columns = [\n        GridItem(.flexible(), spacing: 16),\n        GridItem(.flexible(), spacing: 16)\n    ]\n\n    var body: some View {\n        NavigationStack {\n            Group {\n                if viewModel.isLoading && viewModel.products.isEmpty {\n                    loadingView\n                } else if let error = viewModel.errorMessage {\n                    errorView(error)\n                } else {\n                    productGrid\n                }\n            }\n            .navigationTitle(\"Товары\")\n            .toolbar {\n                ToolbarItem(placement: .navigationBarTrailing) {\n                    NavigationLink {\n                        CartView()\n                    } label: {\n                        CartBadgeView()\n                    }\n                }\n            }\n        }\n        .task {\n            await viewModel.fetchProducts()\n        }\n    }\n\n    // MARK: - Views\n\n    private var loadingView: some View {\n        VStack(spacing: 16) {\n            ProgressView()\n                .scaleEffect(1.5)\n            Text(\"Загрузка товаров...\")\n                .foregroundColor(.secondary)\n        }\n    }\n\n    private func errorView(_ message: String) -> some View {\n        VStack(spacing: 16) {\n            Image(systemName: \"wifi.exclamationmark\")\n                .font(.system(size: 50))\n                .foregroundColor(.red)\n\n            Text(\"Ошибка загрузки\")\n                .font(.headline)\n\n            Text(message)\n                .font(.subheadline)\n                .foregroundColor(.secondary)\n                .multilineTextAlignment(.center)\n\n            Button(\"Повторить\") {\n                Task {\n                    await viewModel.fetchProducts()\n                }\n            }\n            .buttonStyle(.borderedProminent)\n        }\n        .padding()\n    }\n\n    private var productGrid: some View {\n        ScrollView {\n            LazyVGrid(columns: columns, spacing: 16) {\n                ForEach(viewModel.products) { product in\n                    NavigationLink(value: product) {\n                        ProductCard(product: product)\n                    }\n                    .buttonStyle(.plain)\n                }\n            }\n            .padding()\n        }\n        .refreshable {\n            await viewModel.fetchProducts()\n        }\n        .navigationDestination(for: Product.self) { product in\n            ProductDetailView(product: product)\n        }\n    }\n}"
+            },
+            {
+                "section": "Скелетон загрузки",
+                "subsection": "",
+                "anchor": "skeleton-zagruzki",
+                "text": "",
+                "code": "// Shared/Components/SkeletonView.swift\nstruct SkeletonView: View {\n    @State private var isAnimating = false\n\n    var body: some View {\n        Rectangle()\n            .fill(\n                LinearGradient(\n                    colors: [\n                        Color.gray.opacity(0.3),\n                        Color.gray.opacity(0.1),\n                        Color.gray.opacity(0.3)\n                    ],\n                    startPoint: .leading,\n                    endPoint: .trailing\n                )\n            )\n            .overlay(\n                Rectangle()\n                    .fill(Color.white.opacity(0.3))\n                    .offset(x: isAnimating ? 300 : -300)\n            )\n            .clipped()\n            .onAppear {\n                withAnimation(.linear(duration: 1.5).repeatForever(autoreverses: false)) {\n                    isAnimating = true\n                }\n            }\n    }\n}\n\n// Скелетон карточки товара\nstruct ProductCardSkeleton: View {\n    var body: some View {\n        VStack(alignment: .leading, spacing: 0) {\n            SkeletonView()\n                .frame(height: 150)\n\n            VStack(alignment: .leading, spacing: 8) {\n                SkeletonView()\n                    .frame(height: 16)\n                    .cornerRadius(4)\n\n                SkeletonView()\n                    .frame(width: 80, height: 20)\n                    .cornerRadius(4)\n            }\n            .padding(12)\n        }\n        .background(Color(.systemBackground))\n        .cornerRadius(12)\n    }\n}"
+            },
+            {
+                "section": "Pull-to-Refresh",
+                "subsection": "",
+                "anchor": "pull-to-refresh",
+                "text": "SwiftUI предоставляет встроенный модификатор .refreshable для обновления данных свайпом вниз.",
+                "code": "ScrollView {\n    // контент\n}\n.refreshable {\n    await viewModel.fetchProducts()\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Добавьте переключатель Grid/List для отображения товаров 2. Реализуйте бесконечный скролл (пагинацию) 3. Добавьте анимацию появления карточек (.transition)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/06-product-detail.html",
+        "chapter": "Глава 6",
+        "title": "Детали товара",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 6 Детали товара",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать детальную страницу товара с галереей изображений, TabView и кнопкой добавления в корзину.",
+                "code": ""
+            },
+            {
+                "section": "ImageSlider",
+                "subsection": "",
+                "anchor": "imageslider",
+                "text": "",
+                "code": "// Features/Products/Views/Components/ImageSlider.swift\nimport SwiftUI\n\nstruct ImageSlider: View {\n    let images: [String]\n    @State private var currentIndex = 0\n\n    var body: some View {\n        VStack(spacing: 12) {\n            // Слайдер\n            TabView(selection: $currentIndex) {\n                ForEach(images.indices, id: \\.self) { index in\n                    AsyncImage(url: URL(string: images[index])) { phase in\n                        switch phase {\n                        case .empty:\n                            Rectangle()\n                                .fill(Color.gray.opacity(0.2))\n                                .overlay(ProgressView())\n                        case .success(let image):\n                            image\n                                .resizable()\n                                .aspectRatio(contentMode: .fit)\n                        case .failure:\n                            Rectangle()\n                                .fill(Color.gray.opacity(0.2))\n                                .overlay(\n                                    Image(systemName: \"photo\")\n                                        .font(.largeTitle)\n                                        .foregroundColor(.gray)\n                                )\n                        @unknown default:\n                            EmptyView()\n                        }\n                    }\n                    .tag(index)\n                }\n            }\n            .tabViewStyle(.page(indexDisplayMode: .never))\n            .frame(height: 300)\n\n            // Индикаторы\n            HStack(spacing: 8) {\n                ForEach(images.indices, id: \\.self) { index in\n                    Circle()\n                        .fill(index == currentIndex ? Color.blue : Color.gray.opacity(0.5))\n                        .frame(width: 8, height: 8)\n                        .scaleEffect(index == currentIndex ? 1.2 : 1)\n                        .animation(.spring(), value: currentIndex)\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "ProductDetailView",
+                "subsection": "",
+                "anchor": "productdetailview",
+                "text": "",
+                "code": "// Features/Products/Views/ProductDetailView.swift\nimport SwiftUI\n\nstruct ProductDetailView: View {\n    let product: Product\n    @Environment(CartManager.self) private var cart\n    @Environment(FavoritesManager.self) private var favorites\n    @State private var showAddedToCart = false\n\n    var body: some View {\n        ScrollView {\n            VStack(alignment: .leading, spacing: 0) {\n                // Галерея изображений\n                ImageSlider(images: product.images.isEmpty ? [product.thumbnail] : product.images)\n\n                VStack(alignment: .leading, spacing: 16) {\n                    // Бренд и название\n                    VStack(alignment: .leading, spacing: 4) {\n                        Text(product.brand.uppercased())\n                            .font(.caption)\n                            .fontWeight(.semibold)\n                            .foregroundColor(.secondary)\n\n                        Text(product.title)\n                            .font(.title2)\n                            .fontWeight(.bold)\n                    }\n\n                    // Цена и скидка\n                    HStack(alignment: .bottom, spacing: 8) {\n                        Text(product.formattedPrice)\n                            .font(.title)\n                            .fontWeight(.bold)\n                            .foregroundColor(.blue)\n\n                        if product.discountPercentage > 0 {\n                            Text(String(format: \"$%.2f\", product.price))\n                                .font(.subheadline)\n                                .strikethrough()\n                                .foregroundColor(.secondary)\n\n                            Text(\"-\\(Int(product.discountPercentage))%\")\n                                .font(.caption)\n                                .fontWeight(.bold)\n                                .foregroundColor(.white)\n                                .padding(.horizontal, 8)\n                                .padding(.vertical, 4)\n                                .background(Color.red)\n                                .cornerRadius(4)\n                        }\n                    }\n\n                    // Рейтинг и наличие\n                    HStack(spacing: 16) {\n                        // Рейтинг\n                        HStack(spacing: 4) {\n                            ForEach(0.. 0 ? Color.green : Color.red)\n                                .frame(width: 8, height: 8)\n                            Text(product.stock > 0 ? \"В наличии (\\(product.stock))\" : \"Нет в наличии\")\n                                .font(.caption)\n                                .foregroundColor(.secondary)\n                        }\n                    }\n\n                    Divider()\n\n                    // Описание\n                    VStack(alignment: .leading, spacing: 8) {\n                        Text(\"Описание\")\n                            .font(.headline)\n\n                        Text(product.description)\n                            .font(.body)\n                            .foregroundColor(.secondary)\n                    }\n\n                    // Категория\n                    HStack {\n                        Text(\"Категория:\")\n                            .foregroundColor(.secondary)\n                        Text(product.category.capitalized)\n                            .fontWeight(.medium)\n                    }\n                    .font(.subheadline)\n                }\n                .padding()\n            }\n        }\n        .safeAreaInset(edge: .bottom) {\n            bottomBar\n        }\n        .navigationBarTitleDisplayMode(.inline)\n        .toolbar {\n            ToolbarItem(placement: .navigationBarTrailing) {\n                Button {\n                    favorites.toggle(product)\n                } label: {\n                    Image(systemName: favorites.contains(product) ? \"heart.fill\" : \"heart\")\n                        .foregroundColor(favorites.contains(product) ? .red : .primary)\n                }\n            }\n        }\n        .overlay {\n            if showAddedToCart {\n                addedToCartOverlay\n            }\n        }\n    }\n\n    // MARK: - Bottom Bar\n\n    private var bottomBar: some View {\n        HStack(spacing: 16) {\n            VStack(alignment: .leading, spacing: 2) {\n                Text(\"Итого\")\n                    .font(.caption)\n                    .foregroundColor(.secondary)\n                Text(String(format: \"$%.2f\", product.discountedPrice))\n                    .font(.title3)\n                    .fontWeight(.bold)\n            }\n\n            Button {\n                cart.add(product)\n                showAddedToCartAnimation()\n            } label: {\n                HStack {\n                    Image(systemName: \"cart.badge.plus\")\n                    Text(\"В корзину\")\n                }\n                .font(.headline)\n                .foregroundColor(.white)\n                .frame(maxWidth: .infinity)\n                .padding()\n                .background(Color.blue)\n                .cornerRadius(12)\n            }\n        }\n        .padding()\n        .background(.ultraThinMaterial)\n    }\n\n    // MARK: - Added to Cart Overlay\n\n    private var addedToCartOverlay: some View {\n        VStack {\n            HStack {\n                Image(systemName: \"checkmark.circle.fill\")\n                    .font(.title2)\n                Text(\"Добавлено в корзину\")\n                    .font(.headline)\n            }\n            .foregroundColor(.white)\n            .padding()\n            .background(Color.green)\n            .cornerRadius(12)\n            .shadow(radius: 10)\n        }\n        .transition(.move(edge: .top).combined(with: .opacity))\n    }\n\n    private func showAddedToCartAnimation() {\n        withAnimation(.spring()) {\n            showAddedToCart = true\n        }\n        DispatchQueue.main.asyncAfter(deadline: .now() + 1.5) {\n            withAnimation(.spring()) {\n                showAddedToCart = false\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Добавьте возможность увеличения изображения по тапу (fullscreen) 2. Реализуйте выбор количества товара перед добавлением в корзину 3. Добавьте кнопку \"Поделиться\" с ShareLink",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/07-search.html",
+        "chapter": "Глава 7",
+        "title": "Поиск",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 7 Поиск",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Реализовать поиск товаров с использованием .searchable, debounce и API-поиска.",
+                "code": ""
+            },
+            {
+                "section": "Модификатор .searchable",
+                "subsection": "",
+                "anchor": "modifikator-searchable",
+                "text": "SwiftUI предоставляет встроенный модификатор для добавления строки поиска:",
+                "code": "struct ProductListView: View {\n    @State private var viewModel = ProductViewModel()\n    @State private var searchText = \"\"\n\n    var body: some View {\n        NavigationStack {\n            List(viewModel.filteredProducts) { product in\n                ProductRow(product: product)\n            }\n            .navigationTitle(\"Товары\")\n            .searchable(text: $searchText, prompt: \"Поиск товаров...\")\n        }\n    }\n}"
+            },
+            {
+                "section": "Локальная фильтрация",
+                "subsection": "",
+                "anchor": "lokalnaya-filtratsiya",
+                "text": "",
+                "code": "@Observable\nfinal class ProductViewModel {\n    var products: [Product] = []\n    var searchText = \"\"\n\n    // Фильтрация на стороне клиента\n    var filteredProducts: [Product] {\n        guard !searchText.isEmpty else { return products }\n\n        return products.filter { product in\n            product.title.localizedCaseInsensitiveContains(searchText) ||\n            product.brand.localizedCaseInsensitiveContains(searchText) ||\n            product.category.localizedCaseInsensitiveContains(searchText)\n        }\n    }\n}"
+            },
+            {
+                "section": "API-поиск с Debounce",
+                "subsection": "",
+                "anchor": "api-poisk-s-debounce",
+                "text": "Для API-поиска важно использовать debounce, чтобы не отправлять запрос на каждый символ:",
+                "code": "import Combine\n\n@Observable\nfinal class SearchViewModel {\n    var searchText = \"\"\n    var products: [Product] = []\n    var isSearching = false\n\n    private let service: ProductServiceProtocol\n    private var searchTask: Task?\n\n    init(service: ProductServiceProtocol = ProductService()) {\n        self.service = service\n    }\n\n    func search() {\n        // Отменяем предыдущий запрос\n        searchTask?.cancel()\n\n        guard !searchText.isEmpty else {\n            products = []\n            return\n        }\n\n        // Debounce: ждём 0.5 секунды\n        searchTask = Task {\n            try? await Task.sleep(nanoseconds: 500_000_000)\n\n            // Проверяем, что задача не отменена\n            guard !Task.isCancelled else { return }\n\n            await performSearch()\n        }\n    }\n\n    @MainActor\n    private func performSearch() async {\n        isSearching = true\n\n        do {\n            products = try await service.searchProducts(query: searchText)\n        } catch {\n            products = []\n        }\n\n        isSearching = false\n    }\n}"
+            },
+            {
+                "section": "SearchView",
+                "subsection": "",
+                "anchor": "searchview",
+                "text": "",
+                "code": "struct SearchView: View {\n    @State private var viewModel = SearchViewModel()\n\n    var body: some View {\n        NavigationStack {\n            Group {\n                if viewModel.searchText.isEmpty {\n                    emptyState\n                } else if viewModel.isSearching {\n                    ProgressView(\"Поиск...\")\n                } else if viewModel.products.isEmpty {\n                    noResults\n                } else {\n                    searchResults\n                }\n            }\n            .navigationTitle(\"Поиск\")\n            .searchable(\n                text: $viewModel.searchText,\n                prompt: \"Название, бренд, категория...\"\n            )\n            .onChange(of: viewModel.searchText) { _, _ in\n                viewModel.search()\n            }\n        }\n    }\n\n    private var emptyState: some View {\n        VStack(spacing: 16) {\n            Image(systemName: \"magnifyingglass\")\n                .font(.system(size: 60))\n                .foregroundColor(.secondary)\n\n            Text(\"Введите запрос для поиска\")\n                .font(.headline)\n                .foregroundColor(.secondary)\n        }\n    }\n\n    private var noResults: some View {\n        VStack(spacing: 16) {\n            Image(systemName: \"doc.text.magnifyingglass\")\n                .font(.system(size: 60))\n                .foregroundColor(.secondary)\n\n            Text(\"Ничего не найдено\")\n                .font(.headline)\n\n            Text(\"Попробуйте изменить запрос\")\n                .font(.subheadline)\n                .foregroundColor(.secondary)\n        }\n    }\n\n    private var searchResults: some View {\n        List(viewModel.products) { product in\n            NavigationLink(value: product) {\n                SearchResultRow(product: product)\n            }\n        }\n        .navigationDestination(for: Product.self) { product in\n            ProductDetailView(product: product)\n        }\n    }\n}\n\nstruct SearchResultRow: View {\n    let product: Product\n\n    var body: some View {\n        HStack(spacing: 12) {\n            AsyncImage(url: URL(string: product.thumbnail)) { image in\n                image.resizable().aspectRatio(contentMode: .fill)\n            } placeholder: {\n                Color.gray.opacity(0.2)\n            }\n            .frame(width: 60, height: 60)\n            .cornerRadius(8)\n\n            VStack(alignment: .leading, spacing: 4) {\n                Text(product.title)\n                    .font(.subheadline)\n                    .fontWeight(.medium)\n                    .lineLimit(2)\n\n                Text(product.brand)\n                    .font(.caption)\n                    .foregroundColor(.secondary)\n\n                Text(product.formattedPrice)\n                    .font(.subheadline)\n                    .fontWeight(.bold)\n                    .foregroundColor(.blue)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Search Suggestions",
+                "subsection": "",
+                "anchor": "search-suggestions",
+                "text": "",
+                "code": ".searchable(text: $searchText) {\n    // Недавние поиски\n    ForEach(recentSearches, id: \\.self) { term in\n        Label(term, systemImage: \"clock\")\n            .searchCompletion(term)\n    }\n\n    // Популярные категории\n    Section(\"Категории\") {\n        ForEach(categories, id: \\.self) { category in\n            Label(category, systemImage: \"tag\")\n                .searchCompletion(category)\n        }\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Сохраняйте историю поиска в UserDefaults (последние 10 запросов) 2. Добавьте фильтрацию по категориям и ценовому диапазону 3. Реализуйте сортировку результатов (по цене, рейтингу, названию)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/08-favorites.html",
+        "chapter": "Глава 8",
+        "title": "Избранное",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 8 Избранное",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать менеджер избранных товаров с сохранением в UserDefaults и @AppStorage.",
+                "code": ""
+            },
+            {
+                "section": "FavoritesManager",
+                "subsection": "",
+                "anchor": "favoritesmanager",
+                "text": "",
+                "code": "// Shared/Managers/FavoritesManager.swift\nimport Foundation\nimport Observation\n\n@Observable\nfinal class FavoritesManager {\n    private let key = \"favorites\"\n    private(set) var favorites: [Product] = []\n\n    init() {\n        load()\n    }\n\n    // MARK: - Public Methods\n\n    func add(_ product: Product) {\n        guard !contains(product) else { return }\n        favorites.append(product)\n        save()\n    }\n\n    func remove(_ product: Product) {\n        favorites.removeAll { $0.id == product.id }\n        save()\n    }\n\n    func toggle(_ product: Product) {\n        if contains(product) {\n            remove(product)\n        } else {\n            add(product)\n        }\n    }\n\n    func contains(_ product: Product) -> Bool {\n        favorites.contains { $0.id == product.id }\n    }\n\n    // MARK: - Persistence\n\n    private func save() {\n        if let data = try? JSONEncoder().encode(favorites) {\n            UserDefaults.standard.set(data, forKey: key)\n        }\n    }\n\n    private func load() {\n        guard let data = UserDefaults.standard.data(forKey: key),\n              let decoded = try? JSONDecoder().decode([Product].self, from: data) else {\n            return\n        }\n        favorites = decoded\n    }\n}"
+            },
+            {
+                "section": "Регистрация в App",
+                "subsection": "",
+                "anchor": "registratsiya-v-app",
+                "text": "",
+                "code": "// ShoppingApp.swift\n@main\nstruct ShoppingApp: App {\n    @State private var favoritesManager = FavoritesManager()\n\n    var body: some Scene {\n        WindowGroup {\n            ContentView()\n                .environment(favoritesManager)\n        }\n    }\n}"
+            },
+            {
+                "section": "FavoritesView",
+                "subsection": "",
+                "anchor": "favoritesview",
+                "text": "",
+                "code": "// Features/Favorites/Views/FavoritesView.swift\nimport SwiftUI\n\nstruct FavoritesView: View {\n    @Environment(FavoritesManager.self) private var manager\n\n    var body: some View {\n        NavigationStack {\n            Group {\n                if manager.favorites.isEmpty {\n                    emptyState\n                } else {\n                    favoritesList\n                }\n            }\n            .navigationTitle(\"Избранное\")\n        }\n    }\n\n    private var emptyState: some View {\n        VStack(spacing: 16) {\n            Image(systemName: \"heart.slash\")\n                .font(.system(size: 60))\n                .foregroundColor(.secondary)\n\n            Text(\"Список избранного пуст\")\n                .font(.headline)\n\n            Text(\"Добавляйте товары, нажимая на сердечко\")\n                .font(.subheadline)\n                .foregroundColor(.secondary)\n                .multilineTextAlignment(.center)\n        }\n        .padding()\n    }\n\n    private var favoritesList: some View {\n        List {\n            ForEach(manager.favorites) { product in\n                NavigationLink(value: product) {\n                    FavoriteRow(product: product)\n                }\n            }\n            .onDelete(perform: delete)\n        }\n        .navigationDestination(for: Product.self) { product in\n            ProductDetailView(product: product)\n        }\n        .toolbar {\n            EditButton()\n        }\n    }\n\n    private func delete(at offsets: IndexSet) {\n        for index in offsets {\n            let product = manager.favorites[index]\n            manager.remove(product)\n        }\n    }\n}\n\nstruct FavoriteRow: View {\n    let product: Product\n    @Environment(FavoritesManager.self) private var favorites\n\n    var body: some View {\n        HStack(spacing: 12) {\n            AsyncImage(url: URL(string: product.thumbnail)) { image in\n                image.resizable().aspectRatio(contentMode: .fill)\n            } placeholder: {\n                Color.gray.opacity(0.2)\n            }\n            .frame(width: 80, height: 80)\n            .cornerRadius(8)\n\n            VStack(alignment: .leading, spacing: 6) {\n                Text(product.title)\n                    .font(.headline)\n                    .lineLimit(2)\n\n                Text(product.brand)\n                    .font(.caption)\n                    .foregroundColor(.secondary)\n\n                Text(product.formattedPrice)\n                    .font(.subheadline)\n                    .fontWeight(.bold)\n                    .foregroundColor(.blue)\n            }\n\n            Spacer()\n\n            Button {\n                withAnimation {\n                    favorites.remove(product)\n                }\n            } label: {\n                Image(systemName: \"heart.fill\")\n                    .foregroundColor(.red)\n            }\n        }\n        .padding(.vertical, 4)\n    }\n}"
+            },
+            {
+                "section": "Использование @AppStorage",
+                "subsection": "",
+                "anchor": "ispolzovanie-appstorage",
+                "text": "Для простых значений можно использовать @AppStorage напрямую:",
+                "code": "// Хранение ID избранных товаров\nstruct FavoritesStorage {\n    @AppStorage(\"favoriteIds\") private var idsData: Data = Data()\n\n    var ids: Set {\n        get {\n            (try? JSONDecoder().decode(Set.self, from: idsData)) ?? []\n        }\n        set {\n            idsData = (try? JSONEncoder().encode(newValue)) ?? Data()\n        }\n    }\n\n    mutating func toggle(_ id: Int) {\n        if ids.contains(id) {\n            ids.remove(id)\n        } else {\n            ids.insert(id)\n        }\n    }\n}"
+            },
+            {
+                "section": "Кнопка избранного",
+                "subsection": "",
+                "anchor": "knopka-izbrannogo",
+                "text": "",
+                "code": "struct FavoriteButton: View {\n    let product: Product\n    @Environment(FavoritesManager.self) private var favorites\n\n    var body: some View {\n        Button {\n            withAnimation(.spring(response: 0.3, dampingFraction: 0.6)) {\n                favorites.toggle(product)\n            }\n        } label: {\n            Image(systemName: favorites.contains(product) ? \"heart.fill\" : \"heart\")\n                .font(.title2)\n                .foregroundColor(favorites.contains(product) ? .red : .gray)\n                .scaleEffect(favorites.contains(product) ? 1.2 : 1)\n        }\n        .sensoryFeedback(.impact(flexibility: .soft), trigger: favorites.contains(product))\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Добавьте сортировку избранного (по дате добавления, цене, названию) 2. Реализуйте \"Добавить всё в корзину\" для избранного 3. Добавьте возможность создания списков желаний (Wishlist)",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/09-cart.html",
+        "chapter": "Глава 9",
+        "title": "Корзина",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 9 Корзина",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Создать корзину покупок с управлением количеством, подсчётом суммы и badge на иконке.",
+                "code": ""
+            },
+            {
+                "section": "CartItem модель",
+                "subsection": "",
+                "anchor": "cartitem-model",
+                "text": "",
+                "code": "// Features/Cart/Models/CartItem.swift\nimport Foundation\n\nstruct CartItem: Identifiable, Codable {\n    let id: UUID\n    let product: Product\n    var quantity: Int\n\n    init(product: Product, quantity: Int = 1) {\n        self.id = UUID()\n        self.product = product\n        self.quantity = quantity\n    }\n\n    var totalPrice: Double {\n        product.discountedPrice * Double(quantity)\n    }\n}"
+            },
+            {
+                "section": "CartManager",
+                "subsection": "",
+                "anchor": "cartmanager",
+                "text": "",
+                "code": "// Shared/Managers/CartManager.swift\nimport Foundation\nimport Observation\n\n@Observable\nfinal class CartManager {\n    private(set) var items: [CartItem] = []\n\n    // MARK: - Computed Properties\n\n    var totalItems: Int {\n        items.reduce(0) { $0 + $1.quantity }\n    }\n\n    var totalPrice: Double {\n        items.reduce(0) { $0 + $1.totalPrice }\n    }\n\n    var isEmpty: Bool {\n        items.isEmpty\n    }\n\n    // MARK: - Methods\n\n    func add(_ product: Product) {\n        if let index = items.firstIndex(where: { $0.product.id == product.id }) {\n            items[index].quantity += 1\n        } else {\n            items.append(CartItem(product: product))\n        }\n    }\n\n    func remove(_ product: Product) {\n        items.removeAll { $0.product.id == product.id }\n    }\n\n    func updateQuantity(for product: Product, quantity: Int) {\n        guard let index = items.firstIndex(where: { $0.product.id == product.id }) else {\n            return\n        }\n\n        if quantity  1 {\n            items[index].quantity -= 1\n        } else {\n            items.remove(at: index)\n        }\n    }\n\n    func clear() {\n        items.removeAll()\n    }\n\n    func contains(_ product: Product) -> Bool {\n        items.contains { $0.product.id == product.id }\n    }\n}"
+            },
+            {
+                "section": "CartView",
+                "subsection": "",
+                "anchor": "cartview",
+                "text": "",
+                "code": "// Features/Cart/Views/CartView.swift\nimport SwiftUI\n\nstruct CartView: View {\n    @Environment(CartManager.self) private var cart\n    @State private var showCheckout = false\n\n    var body: some View {\n        NavigationStack {\n            Group {\n                if cart.isEmpty {\n                    emptyState\n                } else {\n                    cartContent\n                }\n            }\n            .navigationTitle(\"Корзина\")\n            .toolbar {\n                if !cart.isEmpty {\n                    ToolbarItem(placement: .navigationBarTrailing) {\n                        Button(\"Очистить\", role: .destructive) {\n                            withAnimation {\n                                cart.clear()\n                            }\n                        }\n                    }\n                }\n            }\n        }\n    }\n\n    private var emptyState: some View {\n        VStack(spacing: 16) {\n            Image(systemName: \"cart\")\n                .font(.system(size: 60))\n                .foregroundColor(.secondary)\n\n            Text(\"Корзина пуста\")\n                .font(.headline)\n\n            Text(\"Добавьте товары для оформления заказа\")\n                .font(.subheadline)\n                .foregroundColor(.secondary)\n        }\n    }\n\n    private var cartContent: some View {\n        VStack(spacing: 0) {\n            List {\n                ForEach(cart.items) { item in\n                    CartItemRow(item: item)\n                }\n                .onDelete(perform: delete)\n            }\n            .listStyle(.plain)\n\n            // Bottom summary\n            VStack(spacing: 16) {\n                HStack {\n                    Text(\"Итого (\\(cart.totalItems) товаров)\")\n                        .foregroundColor(.secondary)\n                    Spacer()\n                    Text(String(format: \"$%.2f\", cart.totalPrice))\n                        .font(.title2)\n                        .fontWeight(.bold)\n                }\n\n                Button {\n                    showCheckout = true\n                } label: {\n                    Text(\"Оформить заказ\")\n                        .font(.headline)\n                        .foregroundColor(.white)\n                        .frame(maxWidth: .infinity)\n                        .padding()\n                        .background(Color.blue)\n                        .cornerRadius(12)\n                }\n            }\n            .padding()\n            .background(Color(.systemBackground))\n            .shadow(color: .black.opacity(0.1), radius: 10, x: 0, y: -5)\n        }\n        .sheet(isPresented: $showCheckout) {\n            CheckoutView()\n        }\n    }\n\n    private func delete(at offsets: IndexSet) {\n        for index in offsets {\n            let item = cart.items[index]\n            cart.remove(item.product)\n        }\n    }\n}"
+            },
+            {
+                "section": "CartItemRow",
+                "subsection": "",
+                "anchor": "cartitemrow",
+                "text": "",
+                "code": "struct CartItemRow: View {\n    let item: CartItem\n    @Environment(CartManager.self) private var cart\n\n    var body: some View {\n        HStack(spacing: 12) {\n            // Image\n            AsyncImage(url: URL(string: item.product.thumbnail)) { image in\n                image.resizable().aspectRatio(contentMode: .fill)\n            } placeholder: {\n                Color.gray.opacity(0.2)\n            }\n            .frame(width: 80, height: 80)\n            .cornerRadius(8)\n\n            // Info\n            VStack(alignment: .leading, spacing: 4) {\n                Text(item.product.title)\n                    .font(.subheadline)\n                    .fontWeight(.medium)\n                    .lineLimit(2)\n\n                Text(String(format: \"$%.2f\", item.product.discountedPrice))\n                    .font(.caption)\n                    .foregroundColor(.secondary)\n\n                // Quantity stepper\n                HStack(spacing: 12) {\n                    Button {\n                        cart.decrement(item.product)\n                    } label: {\n                        Image(systemName: \"minus.circle.fill\")\n                            .font(.title2)\n                            .foregroundColor(.blue)\n                    }\n\n                    Text(\"\\(item.quantity)\")\n                        .font(.headline)\n                        .frame(minWidth: 30)\n\n                    Button {\n                        cart.increment(item.product)\n                    } label: {\n                        Image(systemName: \"plus.circle.fill\")\n                            .font(.title2)\n                            .foregroundColor(.blue)\n                    }\n                }\n            }\n\n            Spacer()\n\n            // Total\n            Text(String(format: \"$%.2f\", item.totalPrice))\n                .font(.headline)\n                .foregroundColor(.blue)\n        }\n        .padding(.vertical, 8)\n    }\n}"
+            },
+            {
+                "section": "CartBadgeView",
+                "subsection": "",
+                "anchor": "cartbadgeview",
+                "text": "",
+                "code": "struct CartBadgeView: View {\n    @Environment(CartManager.self) private var cart\n\n    var body: some View {\n        ZStack(alignment: .topTrailing) {\n            Image(systemName: \"cart\")\n                .font(.title2)\n\n            if cart.totalItems > 0 {\n                Text(\"\\(min(cart.totalItems, 99))\")\n                    .font(.caption2)\n                    .fontWeight(.bold)\n                    .foregroundColor(.white)\n                    .padding(4)\n                    .background(Color.red)\n                    .clipShape(Circle())\n                    .offset(x: 10, y: -10)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Добавьте сохранение корзины в UserDefaults 2. Реализуйте swipe-to-delete для удаления товаров 3. Добавьте промокоды со скидкой на заказ",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/10-navigation.html",
+        "chapter": "Глава 10",
+        "title": "Навигация",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 10 Навигация",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Реализовать программную навигацию с NavigationStack, TabView и Router паттерном.",
+                "code": ""
+            },
+            {
+                "section": "TabView",
+                "subsection": "",
+                "anchor": "tabview",
+                "text": "",
+                "code": "// ContentView.swift\nimport SwiftUI\n\nstruct ContentView: View {\n    @State private var selectedTab = 0\n    @Environment(CartManager.self) private var cart\n\n    var body: some View {\n        TabView(selection: $selectedTab) {\n            ProductListView()\n                .tabItem {\n                    Label(\"Товары\", systemImage: \"square.grid.2x2\")\n                }\n                .tag(0)\n\n            SearchView()\n                .tabItem {\n                    Label(\"Поиск\", systemImage: \"magnifyingglass\")\n                }\n                .tag(1)\n\n            FavoritesView()\n                .tabItem {\n                    Label(\"Избранное\", systemImage: \"heart\")\n                }\n                .tag(2)\n\n            CartView()\n                .tabItem {\n                    Label(\"Корзина\", systemImage: \"cart\")\n                }\n                .badge(cart.totalItems > 0 ? \"\\(cart.totalItems)\" : nil)\n                .tag(3)\n        }\n    }\n}"
+            },
+            {
+                "section": "NavigationStack (iOS 16+)",
+                "subsection": "",
+                "anchor": "navigationstack-ios-16",
+                "text": "",
+                "code": "struct ProductListView: View {\n    @State private var path = NavigationPath()\n\n    var body: some View {\n        NavigationStack(path: $path) {\n            List(products) { product in\n                NavigationLink(value: product) {\n                    ProductRow(product: product)\n                }\n            }\n            .navigationDestination(for: Product.self) { product in\n                ProductDetailView(product: product)\n            }\n            .navigationDestination(for: Category.self) { category in\n                CategoryView(category: category)\n            }\n        }\n    }\n\n    // Программная навигация\n    func navigateToProduct(_ product: Product) {\n        path.append(product)\n    }\n\n    func popToRoot() {\n        path.removeLast(path.count)\n    }\n}"
+            },
+            {
+                "section": "Router паттерн",
+                "subsection": "",
+                "anchor": "router-pattern",
+                "text": "",
+                "code": "// Core/Navigation/Router.swift\nimport SwiftUI\nimport Observation\n\nenum Route: Hashable {\n    case productDetail(Product)\n    case category(String)\n    case cart\n    case checkout\n    case orderSuccess(orderId: String)\n}\n\n@Observable\nfinal class Router {\n    var path = NavigationPath()\n\n    func navigate(to route: Route) {\n        path.append(route)\n    }\n\n    func pop() {\n        guard !path.isEmpty else { return }\n        path.removeLast()\n    }\n\n    func popToRoot() {\n        path.removeLast(path.count)\n    }\n}\n\n// Использование\nstruct ProductListView: View {\n    @Environment(Router.self) private var router\n\n    var body: some View {\n        @Bindable var router = router\n\n        NavigationStack(path: $router.path) {\n            List(products) { product in\n                Button {\n                    router.navigate(to: .productDetail(product))\n                } label: {\n                    ProductRow(product: product)\n                }\n            }\n            .navigationDestination(for: Route.self) { route in\n                switch route {\n                case .productDetail(let product):\n                    ProductDetailView(product: product)\n                case .category(let name):\n                    CategoryView(categoryName: name)\n                case .cart:\n                    CartView()\n                case .checkout:\n                    CheckoutView()\n                case .orderSuccess(let orderId):\n                    OrderSuccessView(orderId: orderId)\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Deep Linking",
+                "subsection": "",
+                "anchor": "deep-linking",
+                "text": "",
+                "code": "// ShoppingApp.swift\n@main\nstruct ShoppingApp: App {\n    @State private var router = Router()\n\n    var body: some Scene {\n        WindowGroup {\n            ContentView()\n                .environment(router)\n                .onOpenURL { url in\n                    handleDeepLink(url)\n                }\n        }\n    }\n\n    private func handleDeepLink(_ url: URL) {\n        // shopping://product/123\n        guard let components = URLComponents(url: url, resolvingAgainstBaseURL: true),\n              let host = components.host else {\n            return\n        }\n\n        switch host {\n        case \"product\":\n            if let idString = components.path.split(separator: \"/\").first,\n               let id = Int(idString) {\n                // Загрузить продукт и перейти\n                Task {\n                    if let product = try? await ProductService().fetchProduct(id: id) {\n                        router.navigate(to: .productDetail(product))\n                    }\n                }\n            }\n        case \"cart\":\n            // Переключить на tab корзины\n            break\n        default:\n            break\n        }\n    }\n}"
+            },
+            {
+                "section": "Sheet & FullScreenCover",
+                "subsection": "",
+                "anchor": "sheet-fullscreencover",
+                "text": "",
+                "code": "struct ProductDetailView: View {\n    @State private var showImageGallery = false\n    @State private var showCheckout = false\n\n    var body: some View {\n        VStack {\n            // Content\n        }\n        // Полноэкранная галерея\n        .fullScreenCover(isPresented: $showImageGallery) {\n            ImageGalleryView(images: product.images)\n        }\n        // Sheet для оформления\n        .sheet(isPresented: $showCheckout) {\n            CheckoutView()\n                .presentationDetents([.medium, .large])\n                .presentationDragIndicator(.visible)\n        }\n    }\n}"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Реализуйте сохранение состояния навигации при сворачивании приложения 2. Добавьте deep link для открытия категории (shopping://category/smartphones) 3. Реализуйте custom transition анимацию между экранами",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/11-testing.html",
+        "chapter": "Глава 11",
+        "title": "Тестирование",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 11 Тестирование",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎯 Цель главы",
+                "anchor": "tsel-glavy",
+                "text": "Написать Unit Tests для ViewModel и Services, UI Tests для основных сценариев.",
+                "code": ""
+            },
+            {
+                "section": "Добавление Test Target",
+                "subsection": "",
+                "anchor": "dobavlenie-test-target",
+                "text": "1. File → New → Target 2. Выберите Unit Testing Bundle → ShoppingTests 3. Повторите для UI Testing Bundle → ShoppingUITests",
+                "code": ""
+            },
+            {
+                "section": "Mock Service",
+                "subsection": "",
+                "anchor": "mock-service",
+                "text": "",
+                "code": "// Tests/Mocks/MockProductService.swift\nimport Foundation\n@testable import Shopping\n\nfinal class MockProductService: ProductServiceProtocol {\n    var products: [Product] = []\n    var shouldThrowError = false\n    var errorToThrow: Error = NetworkError.noData\n\n    func fetchProducts() async throws -> [Product] {\n        if shouldThrowError {\n            throw errorToThrow\n        }\n        return products\n    }\n\n    func fetchProduct(id: Int) async throws -> Product {\n        guard let product = products.first(where: { $0.id == id }) else {\n            throw NetworkError.noData\n        }\n        return product\n    }\n\n    func searchProducts(query: String) async throws -> [Product] {\n        return products.filter {\n            $0.title.localizedCaseInsensitiveContains(query)\n        }\n    }\n\n    func fetchCategories() async throws -> [String] {\n        return [\"smartphones\", \"laptops\"]\n    }\n}"
+            },
+            {
+                "section": "Unit Tests для ViewModel",
+                "subsection": "",
+                "anchor": "unit-tests-dlya-viewmodel",
+                "text": "",
+                "code": "// ShoppingTests/ProductViewModelTests.swift\nimport XCTest\n@testable import Shopping\n\n@MainActor\nfinal class ProductViewModelTests: XCTestCase {\n    var sut: ProductViewModel!\n    var mockService: MockProductService!\n\n    override func setUp() {\n        super.setUp()\n        mockService = MockProductService()\n        sut = ProductViewModel(service: mockService)\n    }\n\n    override func tearDown() {\n        sut = nil\n        mockService = nil\n        super.tearDown()\n    }\n\n    // MARK: - Tests\n\n    func testFetchProducts_Success() async {\n        // Given\n        mockService.products = [.mock, .mock2]\n\n        // When\n        await sut.fetchProducts()\n\n        // Then\n        XCTAssertEqual(sut.products.count, 2)\n        XCTAssertFalse(sut.isLoading)\n        XCTAssertNil(sut.errorMessage)\n    }\n\n    func testFetchProducts_Failure() async {\n        // Given\n        mockService.shouldThrowError = true\n        mockService.errorToThrow = NetworkError.serverError(500)\n\n        // When\n        await sut.fetchProducts()\n\n        // Then\n        XCTAssertTrue(sut.products.isEmpty)\n        XCTAssertFalse(sut.isLoading)\n        XCTAssertNotNil(sut.errorMessage)\n    }\n\n    func testFilteredProducts_EmptySearch() async {\n        // Given\n        mockService.products = [.mock, .mock2]\n        await sut.fetchProducts()\n\n        // When\n        sut.searchText = \"\"\n\n        // Then\n        XCTAssertEqual(sut.filteredProducts.count, 2)\n    }\n\n    func testFilteredProducts_WithSearchText() async {\n        // Given\n        mockService.products = [\n            Product.mock(title: \"iPhone\"),\n            Product.mock(title: \"MacBook\")\n        ]\n        await sut.fetchProducts()\n\n        // When\n        sut.searchText = \"iPhone\"\n\n        // Then\n        XCTAssertEqual(sut.filteredProducts.count, 1)\n        XCTAssertEqual(sut.filteredProducts.first?.title, \"iPhone\")\n    }\n}"
+            },
+            {
+                "section": "Unit Tests для CartManager",
+                "subsection": "",
+                "anchor": "unit-tests-dlya-cartmanager",
+                "text": "",
+                "code": "// ShoppingTests/CartManagerTests.swift\nimport XCTest\n@testable import Shopping\n\nfinal class CartManagerTests: XCTestCase {\n    var sut: CartManager!\n\n    override func setUp() {\n        super.setUp()\n        sut = CartManager()\n    }\n\n    override func tearDown() {\n        sut = nil\n        super.tearDown()\n    }\n\n    func testAddProduct() {\n        // Given\n        let product = Product.mock\n\n        // When\n        sut.add(product)\n\n        // Then\n        XCTAssertEqual(sut.items.count, 1)\n        XCTAssertEqual(sut.totalItems, 1)\n    }\n\n    func testAddSameProductTwice_IncreasesQuantity() {\n        // Given\n        let product = Product.mock\n\n        // When\n        sut.add(product)\n        sut.add(product)\n\n        // Then\n        XCTAssertEqual(sut.items.count, 1)\n        XCTAssertEqual(sut.totalItems, 2)\n        XCTAssertEqual(sut.items.first?.quantity, 2)\n    }\n\n    func testRemoveProduct() {\n        // Given\n        let product = Product.mock\n        sut.add(product)\n\n        // When\n        sut.remove(product)\n\n        // Then\n        XCTAssertTrue(sut.items.isEmpty)\n    }\n\n    func testTotalPrice() {\n        // Given\n        let product1 = Product.mock(price: 100, discountPercentage: 0)\n        let product2 = Product.mock(price: 50, discountPercentage: 10) // 45\n\n        // When\n        sut.add(product1)\n        sut.add(product2)\n\n        // Then\n        XCTAssertEqual(sut.totalPrice, 145, accuracy: 0.01)\n    }\n\n    func testClear() {\n        // Given\n        sut.add(.mock)\n        sut.add(.mock2)\n\n        // When\n        sut.clear()\n\n        // Then\n        XCTAssertTrue(sut.isEmpty)\n    }\n}"
+            },
+            {
+                "section": "UI Tests",
+                "subsection": "",
+                "anchor": "ui-tests",
+                "text": "",
+                "code": "// ShoppingUITests/ProductListUITests.swift\nimport XCTest\n\nfinal class ProductListUITests: XCTestCase {\n    var app: XCUIApplication!\n\n    override func setUp() {\n        super.setUp()\n        continueAfterFailure = false\n        app = XCUIApplication()\n        app.launchArguments = [\"--uitesting\"]\n        app.launch()\n    }\n\n    func testProductListLoads() {\n        // Given the app is launched\n\n        // Then products should be visible\n        let productCell = app.collectionViews.cells.firstMatch\n        XCTAssertTrue(productCell.waitForExistence(timeout: 5))\n    }\n\n    func testNavigateToProductDetail() {\n        // Given\n        let productCell = app.collectionViews.cells.firstMatch\n        XCTAssertTrue(productCell.waitForExistence(timeout: 5))\n\n        // When\n        productCell.tap()\n\n        // Then\n        let addToCartButton = app.buttons[\"В корзину\"]\n        XCTAssertTrue(addToCartButton.waitForExistence(timeout: 2))\n    }\n\n    func testAddToCart() {\n        // Given\n        let productCell = app.collectionViews.cells.firstMatch\n        XCTAssertTrue(productCell.waitForExistence(timeout: 5))\n        productCell.tap()\n\n        // When\n        let addButton = app.buttons[\"В корзину\"]\n        XCTAssertTrue(addButton.waitForExistence(timeout: 2))\n        addButton.tap()\n\n        // Then\n        let successMessage = app.staticTexts[\"Добавлено в корзину\"]\n        XCTAssertTrue(successMessage.waitForExistence(timeout: 2))\n    }\n\n    func testSearch() {\n        // Given\n        let searchTab = app.tabBars.buttons[\"Поиск\"]\n        searchTab.tap()\n\n        // When\n        let searchField = app.searchFields.firstMatch\n        XCTAssertTrue(searchField.waitForExistence(timeout: 2))\n        searchField.tap()\n        searchField.typeText(\"iPhone\")\n\n        // Then\n        let searchResult = app.cells.firstMatch\n        XCTAssertTrue(searchResult.waitForExistence(timeout: 3))\n    }\n}"
+            },
+            {
+                "section": "Запуск тестов",
+                "subsection": "",
+                "anchor": "zapusk-testov",
+                "text": "",
+                "code": "# Все unit тесты\nxcodebuild test -scheme Shopping -destination 'platform=iOS Simulator,name=iPhone 15'\n\n# Только UI тесты\nxcodebuild test -scheme Shopping -destination 'platform=iOS Simulator,name=iPhone 15' -only-testing:ShoppingUITests\n\n# С покрытием кода\nxcodebuild test -scheme Shopping -enableCodeCoverage YES"
+            },
+            {
+                "section": "🏋️ Задания",
+                "subsection": "",
+                "anchor": "zadaniya",
+                "text": "1. Напишите тесты для FavoritesManager (add, remove, toggle, persistence) 2. Добавьте UI тест для полного checkout flow 3. Достигните 80%+ code coverage для ViewModels",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/12-final.html",
+        "chapter": "Глава 12",
+        "title": "Финал",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глава 12 Финал",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "🎉 Поздравляем!",
+                "anchor": "pozdravlyaem",
+                "text": "Вы создали полноценное iOS приложение интернет-магазина на SwiftUI с архитектурой MVVM!",
+                "code": ""
+            },
+            {
+                "section": "Что вы изучили",
+                "subsection": "",
+                "anchor": "chto-vy-izuchili",
+                "text": "SwiftUI • View и модификаторы • @State, @Binding, @Observable • LazyVGrid, List, TabView • AsyncImage, NavigationStack MVVM • Разделение ответственности • ViewModel с @Observable • Dependency Injection • Тестируемая архитектура Networking • URLSession + async/await • Generic Network Layer • Error handling • JSON Codable Data Persistence • UserDefaults • @AppStorage • JSON encoding/decoding • State restoration",
+                "code": ""
+            },
+            {
+                "section": "Добавление анимаций",
+                "subsection": "",
+                "anchor": "dobavlenie-animatsiy",
+                "text": "",
+                "code": "// Анимация появления карточек\nstruct ProductCard: View {\n    @State private var isVisible = false\n\n    var body: some View {\n        VStack {\n            // content\n        }\n        .opacity(isVisible ? 1 : 0)\n        .offset(y: isVisible ? 0 : 20)\n        .onAppear {\n            withAnimation(.spring(response: 0.5, dampingFraction: 0.8)) {\n                isVisible = true\n            }\n        }\n    }\n}\n\n// Анимация добавления в корзину\nButton(\"В корзину\") {\n    withAnimation(.spring(response: 0.3, dampingFraction: 0.6)) {\n        cart.add(product)\n    }\n}\n.sensoryFeedback(.success, trigger: cart.totalItems)"
+            },
+            {
+                "section": "Подготовка к App Store",
+                "subsection": "",
+                "anchor": "podgotovka-k-app-store",
+                "text": "1. App Icon Создайте иконку 1024x1024 и сгенерируйте все размеры через AppIconSet 2. Launch Screen Настройте LaunchScreen.storyboard или используйте Info.plist 3. Metadata Подготовьте описание, скриншоты, ключевые слова 4. Privacy Policy Создайте политику конфиденциальности (обязательно) 5. Archive & Upload Product → Archive → Distribute App",
+                "code": ""
+            },
+            {
+                "section": "Дальнейшее развитие",
+                "subsection": "",
+                "anchor": "dalneyshee-razvitie",
+                "text": "→ Firebase Auth — добавить авторизацию пользователей → Push Notifications — уведомления о скидках и заказах → Apple Pay — интеграция платежей → Core Data / SwiftData — офлайн режим → Widgets — виджеты для Home Screen",
+                "code": ""
+            },
+            {
+                "section": "Полезные ресурсы",
+                "subsection": "",
+                "anchor": "poleznye-resursy",
+                "text": "Документация Apple SwiftUI Docs Исходный проект ShoppingApp-SwiftUI-MVVM API DummyJSON Docs SF Symbols Apple SF Symbols",
+                "code": ""
+            },
+            {
+                "section": "Финальная структура проекта",
+                "subsection": "",
+                "anchor": "finalnaya-struktura-proekta",
+                "text": "",
+                "code": "Shopping/\n├── ShoppingApp.swift\n├── ContentView.swift\n├── Core/\n│   ├── Network/\n│   │   ├── NetworkManager.swift\n│   │   ├── Endpoint.swift\n│   │   └── NetworkError.swift\n│   ├── Navigation/\n│   │   └── Router.swift\n│   └── Extensions/\n├── Features/\n│   ├── Products/\n│   │   ├── Models/Product.swift\n│   │   ├── ViewModels/ProductViewModel.swift\n│   │   ├── Services/ProductService.swift\n│   │   └── Views/\n│   │       ├── ProductListView.swift\n│   │       ├── ProductDetailView.swift\n│   │       └── Components/\n│   ├── Cart/\n│   ├── Favorites/\n│   └── Search/\n├── Shared/\n│   ├── Components/\n│   └── Managers/\n│       ├── CartManager.swift\n│       └── FavoritesManager.swift\n├── Resources/\n│   └── Assets.xcassets\n└── Tests/\n    ├── ShoppingTests/\n    └── ShoppingUITests/"
+            },
+            {
+                "section": "Спасибо за обучение!",
+                "subsection": "",
+                "anchor": "spasibo-za-obuchenie",
+                "text": "Вы прошли полный курс по созданию iOS приложения на SwiftUI. Теперь вы готовы создавать собственные проекты! Исходный код проекта",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/cheatsheet.html",
+        "chapter": "Дополнительно",
+        "title": "Шпаргалка Swift vs JS",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Шпаргалка: Swift vs JavaScript Быстрая справка для разработчиков, переходящих с JS/PHP на Swift",
+                "code": ""
+            },
+            {
+                "section": "1 Переменные и константы",
+                "subsection": "",
+                "anchor": "1-peremennye-i-konstanty",
+                "text": "JavaScript Swift Внимание: В Swift let = константа, var = переменная. Наоборот от JS!",
+                "code": "let name = \"John\"       // можно изменить\nconst age = 25          // константа\nvar old = \"устарело\"    // не используйте\nvar name = \"John\"       // можно изменить\nlet age = 25            // константа (НАОБОРОТ!)\n// Предпочитайте let когда возможно"
+            },
+            {
+                "section": "2 Типы данных",
+                "subsection": "",
+                "anchor": "2-tipy-dannyh",
+                "text": "Тип JavaScript Swift Строка \"hello\" или 'hello' \"hello\" (только \") Число 42, 3.14 (всё number) Int, Double, Float Булево true / false true / false (Bool) Массив [1, \"два\", true] [1, 2, 3] (один тип!) Объект/Словарь {name: \"John\"} [\"name\": \"John\"] Null/Nil null, undefined nil (только Optional)",
+                "code": ""
+            },
+            {
+                "section": "3 Optionals (nil-безопасность)",
+                "subsection": "",
+                "anchor": "3-optionals-nil-bezopasnost",
+                "text": "if let Безопасно ?? Значение по умолчанию ! Опасно! Крэш",
+                "code": "// Объявление Optional\nvar name: String? = nil        // Может быть nil\nvar age: Int = 25              // НЕ может быть nil\n\n// Безопасное извлечение\nif let unwrapped = name {\n    print(unwrapped)           // Есть значение\n}\n\n// Optional chaining\nlet length = name?.count       // nil если name = nil\n\n// Значение по умолчанию\nlet displayName = name ?? \"Гость\"\n\n// Force unwrap (опасно!)\nlet forced = name!             // Крэш если nil"
+            },
+            {
+                "section": "4 Функции",
+                "subsection": "",
+                "anchor": "4-funktsii",
+                "text": "JavaScript Swift",
+                "code": "// Обычная функция\nfunction greet(name) {\n    return \"Hello, \" + name\n}\n\n// Arrow function\nconst greet = (name) => \"Hello, \" + name\n\n// Async\nasync function fetchData() {\n    const data = await fetch(url)\n    return data.json()\n}\n// Обычная функция\nfunc greet(name: String) -> String {\n    return \"Hello, \\(name)\"\n}\n\n// Closure (как arrow function)\nlet greet = { (name: String) -> String in\n    \"Hello, \\(name)\"\n}\n\n// Async\nfunc fetchData() async throws -> Data {\n    let data = try await URLSession.shared.data(from: url)\n    return data\n}"
+            },
+            {
+                "section": "5 Работа с коллекциями",
+                "subsection": "",
+                "anchor": "5-rabota-s-kollektsiyami",
+                "text": "$0, $1, $2... Сокращённые имена параметров в замыканиях. $0 = первый параметр, $1 = второй и т.д.",
+                "code": "let numbers = [1, 2, 3, 4, 5]\n\n// Map - преобразование\nlet doubled = numbers.map { $0 * 2 }        // [2, 4, 6, 8, 10]\n\n// Filter - фильтрация\nlet even = numbers.filter { $0 % 2 == 0 }   // [2, 4]\n\n// Reduce - свёртка\nlet sum = numbers.reduce(0, +)              // 15\n\n// ForEach - перебор\nnumbers.forEach { print($0) }\n\n// First/Last\nlet first = numbers.first                    // Optional(1)\nlet last = numbers.last                      // Optional(5)\n\n// Contains\nlet hasThree = numbers.contains(3)           // true\n\n// Sorted\nlet sorted = numbers.sorted(by: >)           // [5, 4, 3, 2, 1]"
+            },
+            {
+                "section": "6 Условия и циклы",
+                "subsection": "",
+                "anchor": "6-usloviya-i-tsikly",
+                "text": "If / Else Switch For Loop Guard",
+                "code": "if age >= 18 {\n    print(\"Взрослый\")\n} else if age >= 13 {\n    print(\"Подросток\")\n} else {\n    print(\"Ребёнок\")\n}\n\n// Без скобок вокруг условия!\nswitch status {\ncase \"active\":\n    print(\"Активен\")\ncase \"pending\", \"review\":\n    print(\"В процессе\")\ndefault:\n    print(\"Неизвестно\")\n}\n// Не нужен break!\n// По диапазону\nfor i in 0..\n// Early return\nguard let user = user else {\n    return  // Выход если nil\n}\n// user теперь не Optional!\n\nguard age >= 18 else {\n    throw Error.underage\n}"
+            },
+            {
+                "section": "7 Struct vs Class",
+                "subsection": "",
+                "anchor": "7-struct-vs-class",
+                "text": "Struct (Value Type) Используйте для данных: Product, User, Order Class (Reference Type) Используйте для сервисов: Manager, ViewModel",
+                "code": "struct Product {\n    var name: String\n    var price: Double\n\n    func formatted() -> String {\n        \"\\(name): $\\(price)\"\n    }\n}\n\nvar a = Product(name: \"iPhone\", price: 999)\nvar b = a           // Копия!\nb.name = \"iPad\"\nprint(a.name)       // \"iPhone\" (не изменился)\nclass CartManager {\n    var items: [Product] = []\n\n    func add(_ product: Product) {\n        items.append(product)\n    }\n}\n\nlet a = CartManager()\nlet b = a           // Ссылка!\nb.items.append(product)\nprint(a.items.count) // Изменился!"
+            },
+            {
+                "section": "8 SwiftUI Property Wrappers",
+                "subsection": "",
+                "anchor": "8-swiftui-property-wrappers",
+                "text": "Wrapper Назначение Аналог в React @State Локальное состояние View useState() @Binding Связь с родительским @State props + onChange @Observable Класс с реактивными свойствами MobX observable @Environment Глобальные значения (тема, locale) useContext() @AppStorage Сохранение в UserDefaults localStorage + useState",
+                "code": "struct CounterView: View {\n    @State private var count = 0          // Локальное состояние\n\n    var body: some View {\n        Button(\"Count: \\(count)\") {\n            count += 1                     // UI обновится автоматически\n        }\n    }\n}\n\n@Observable\nclass CartViewModel {\n    var items: [Product] = []             // Реактивное свойство\n    var total: Double { items.reduce(0) { $0 + $1.price } }\n}"
+            },
+            {
+                "section": "9 Строки и интерполяция",
+                "subsection": "",
+                "anchor": "9-stroki-i-interpolyatsiya",
+                "text": "JavaScript Swift",
+                "code": "const name = \"John\"\nconst age = 25\n\n// Template literal\nconst msg = `Hello, ${name}! Age: ${age}`\n\n// Конкатенация\nconst msg2 = \"Hello, \" + name\nlet name = \"John\"\nlet age = 25\n\n// String interpolation\nlet msg = \"Hello, \\(name)! Age: \\(age)\"\n\n// Многострочная\nlet text = \"\"\"\n    Первая строка\n    Вторая строка\n    \"\"\""
+            },
+            {
+                "section": "10 Обработка ошибок",
+                "subsection": "",
+                "anchor": "10-obrabotka-oshibok",
+                "text": "JavaScript Swift",
+                "code": "try {\n    const data = await fetch(url)\n    const json = await data.json()\n} catch (error) {\n    console.error(error)\n}\ndo {\n    let data = try await URLSession.shared.data(from: url)\n    let products = try JSONDecoder().decode([Product].self, from: data)\n} catch {\n    print(error)\n}\n\n// Или с optional result\nlet data = try? await fetchData()   // nil если ошибка\n\n// Игнорировать ошибку (опасно)\nlet data = try! await fetchData()   // Крэш если ошибка"
+            },
+            {
+                "section": "Быстрая справка",
+                "subsection": "",
+                "anchor": "bystraya-spravka",
+                "text": "Вывод в консоль print(\"Hello\") Длина строки str.count Длина массива array.count Добавить в массив array.append(item) Удалить из массива array.remove(at: 0) Проверка пустоты array.isEmpty Случайное число Int.random(in: 1...10) Тернарный оператор age >= 18 ? \"Yes\" : \"No\" Типо-проверка value is String",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/common-mistakes.html",
+        "chapter": "Дополнительно",
+        "title": "Частые ошибки новичков",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Частые ошибки новичков Типичные ошибки при переходе с JavaScript/PHP на Swift и SwiftUI 1",
+                "code": ""
+            },
+            {
+                "section": "Путаница let и var",
+                "subsection": "",
+                "anchor": "putanitsa-let-i-var",
+                "text": "В Swift let и var работают НАОБОРОТ от JavaScript ❌ Неправильно ✅ Правильно Запомните: Swift: let = const, var = let (в JS) 2",
+                "code": "// Думаете как в JS: let = можно изменить\nlet count = 0\ncount = 1  // Ошибка! Cannot assign to value: 'count' is a 'let' constant\n// В Swift: var = можно изменить, let = константа\nvar count = 0\ncount = 1  // OK!\n\nlet maxCount = 100  // Константа, нельзя изменить"
+            },
+            {
+                "section": "Force Unwrap везде",
+                "subsection": "",
+                "anchor": "force-unwrap-vezde",
+                "text": "Использование ! для распаковки Optional приводит к крэшам ❌ Опасно ✅ Безопасно 3",
+                "code": "let user: User? = nil\nprint(user!.name)  // КРЭШ! Fatal error: Unexpectedly found nil\n\nlet text: String? = textField.text\nlet length = text!.count  // Крэш если пользователь ничего не ввёл\n// Вариант 1: if let\nif let user = user {\n    print(user.name)\n}\n\n// Вариант 2: guard let (early return)\nguard let user = user else { return }\nprint(user.name)\n\n// Вариант 3: значение по умолчанию\nlet length = text?.count ?? 0\n\n// Вариант 4: optional chaining\nlet name = user?.profile?.name  // nil если что-то в цепочке nil"
+            },
+            {
+                "section": "Забыли ? у Optional",
+                "subsection": "",
+                "anchor": "zabyli-u-optional",
+                "text": "Не указали что значение может быть nil ❌ Ошибка компиляции ✅ Правильно 4",
+                "code": "struct User {\n    var name: String\n    var email: String  // Что если email не указан?\n}\n\n// Ошибка: нужно передать ВСЕ поля\nlet user = User(name: \"John\")  // Missing argument for parameter 'email'\nstruct User {\n    var name: String\n    var email: String?  // Может быть nil\n}\n\n// Теперь можно создать без email\nlet user = User(name: \"John\", email: nil)\n// или\nlet user2 = User(name: \"John\", email: \"john@example.com\")"
+            },
+            {
+                "section": "Изменение состояния без @State",
+                "subsection": "",
+                "anchor": "izmenenie-sostoyaniya-bez-state",
+                "text": "View в SwiftUI - это struct, его нельзя просто изменить ❌ Ошибка компиляции ✅ Правильно Правило: Если переменная должна изменяться и вызывать перерисовку UI - используйте @State 5",
+                "code": "struct CounterView: View {\n    var count = 0  // Просто свойство\n\n    var body: some View {\n        Button(\"Count: \\(count)\") {\n            count += 1  // Ошибка! Cannot assign to property: 'self' is immutable\n        }\n    }\n}\nstruct CounterView: View {\n    @State private var count = 0  // Добавили @State!\n\n    var body: some View {\n        Button(\"Count: \\(count)\") {\n            count += 1  // Теперь работает!\n        }\n    }\n}"
+            },
+            {
+                "section": "Неправильный синтаксис Binding",
+                "subsection": "",
+                "anchor": "nepravilnyy-sintaksis-binding",
+                "text": "Забыли $ при передаче @Binding ❌ Ошибка ✅ Правильно 6",
+                "code": "struct ParentView: View {\n    @State private var text = \"\"\n\n    var body: some View {\n        // Передаём значение, не binding\n        ChildView(text: text)  // Ошибка! Cannot convert value of type 'String' to expected argument type 'Binding<String>'\n    }\n}\n\nstruct ChildView: View {\n    @Binding var text: String\n    // ...\n}\nstruct ParentView: View {\n    @State private var text = \"\"\n\n    var body: some View {\n        // $ создаёт binding к @State\n        ChildView(text: $text)  // Правильно!\n\n        // То же самое для стандартных компонентов\n        TextField(\"Введите текст\", text: $text)\n        Toggle(\"Включить\", isOn: $isEnabled)\n    }\n}"
+            },
+            {
+                "section": "Асинхронный код в body",
+                "subsection": "",
+                "anchor": "asinhronnyy-kod-v-body",
+                "text": "Попытка вызвать async функцию напрямую в body ❌ Неправильно ✅ Правильно 7",
+                "code": "struct ProductsView: View {\n    var body: some View {\n        VStack {\n            // Нельзя вызывать async напрямую\n            let products = await fetchProducts()  // Ошибка!\n        }\n    }\n}\nstruct ProductsView: View {\n    @State private var products: [Product] = []\n\n    var body: some View {\n        List(products) { product in\n            Text(product.title)\n        }\n        .task {  // Специальный модификатор для async\n            products = await fetchProducts()\n        }\n        // или\n        .onAppear {\n            Task {\n                products = await fetchProducts()\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "Сравнение Optional без распаковки",
+                "subsection": "",
+                "anchor": "sravnenie-optional-bez-raspakovki",
+                "text": "Попытка использовать Optional как обычное значение ❌ Ошибка ✅ Правильно 8",
+                "code": "let count: Int? = 5\n\n// Ошибка: нельзя сравнить Optional и Int напрямую\nif count > 0 {  // Value of optional type 'Int?' must be unwrapped\n    print(\"Positive\")\n}\nlet count: Int? = 5\n\n// Вариант 1: if let\nif let count = count, count > 0 {\n    print(\"Positive\")\n}\n\n// Вариант 2: nil coalescing\nif (count ?? 0) > 0 {\n    print(\"Positive\")\n}\n\n// Вариант 3: сравнение с Optional напрямую\nif count == 5 {  // Это работает!\n    print(\"Five\")\n}"
+            },
+            {
+                "section": "Забыли return в многострочной функции",
+                "subsection": "",
+                "anchor": "zabyli-return-v-mnogostrochnoy-funktsii",
+                "text": "В однострочных функциях return не нужен, в многострочных - обязателен ❌ Ошибка ✅ Правильно 9",
+                "code": "func calculateTotal(items: [Product]) -> Double {\n    let sum = items.reduce(0) { $0 + $1.price }\n    sum  // Ошибка! Missing return\n}\n// Многострочная - нужен return\nfunc calculateTotal(items: [Product]) -> Double {\n    let sum = items.reduce(0) { $0 + $1.price }\n    return sum\n}\n\n// Однострочная - return не нужен\nfunc calculateTotal(items: [Product]) -> Double {\n    items.reduce(0) { $0 + $1.price }\n}"
+            },
+            {
+                "section": "Смешанные типы в массиве",
+                "subsection": "",
+                "anchor": "smeshannye-tipy-v-massive",
+                "text": "В Swift массив может содержать только один тип данных ❌ Как в JavaScript (не работает) ✅ Правильно в Swift 10",
+                "code": "// В JS можно: [1, \"два\", true, {name: \"John\"}]\n// В Swift нельзя:\nlet mixed = [1, \"два\", true]  // Ошибка! Heterogeneous collection literal\n// Один тип\nlet numbers: [Int] = [1, 2, 3]\nlet names: [String] = [\"John\", \"Jane\"]\n\n// Если ОЧЕНЬ нужны разные типы (редко!)\nlet mixed: [Any] = [1, \"два\", true]\n\n// Лучше использовать struct\nstruct Item {\n    var id: Int\n    var name: String\n    var active: Bool\n}"
+            },
+            {
+                "section": "Когда использовать @State vs @Observable",
+                "subsection": "",
+                "anchor": "kogda-ispolzovat-state-vs-observable",
+                "text": "Выбор между локальным состоянием и ViewModel Ситуация Используйте Простое UI состояние (открыт ли popup, выбрана ли вкладка) @State Состояние формы (текст input, выбранная дата) @State Данные из API (список товаров, профиль пользователя) @Observable ViewModel Бизнес-логика (корзина, избранное, авторизация) @Observable ViewModel Состояние, которое нужно в нескольких View @Observable + @Environment",
+                "code": "// @State - для простого локального UI\nstruct ProductCard: View {\n    @State private var isExpanded = false  // Локальное состояние\n\n    var body: some View {\n        // ...\n    }\n}\n\n// @Observable - для бизнес-логики и данных\n@Observable\nclass ProductsViewModel {\n    var products: [Product] = []\n    var isLoading = false\n\n    func loadProducts() async {\n        isLoading = true\n        products = try await api.fetchProducts()\n        isLoading = false\n    }\n}"
+            },
+            {
+                "section": "Краткий чек-лист",
+                "subsection": "",
+                "anchor": "kratkiy-chek-list",
+                "text": "✓ let = константа, var = переменная (наоборот от JS!) ✓ Избегайте ! - используйте if let, guard let, ?? ✓ Добавляйте ? к типу если значение может быть nil ✓ Для изменяемого состояния View используйте @State ✓ При передаче @Binding используйте $ ✓ Для async используйте .task { } или Task { } ✓ Массивы могут содержать только один тип",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/exercises.html",
+        "chapter": "Дополнительно",
+        "title": "Практические задания",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Практические задания Проверьте свои знания Swift и SwiftUI",
+                "code": ""
+            },
+            {
+                "section": "Тесты на понимание",
+                "subsection": "",
+                "anchor": "testy-na-ponimanie",
+                "text": "Результаты всех тестов книги: Скачать JSON Скачать CSV Итоги обучения →",
+                "code": ""
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "",
+                "anchor": "zadachi-na-kod",
+                "text": "Лёгкая",
+                "code": ""
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "Задача 1: Безопасное извлечение",
+                "anchor": "zadacha-1-bezopasnoe-izvlechenie",
+                "text": "Перепишите код так, чтобы он не падал при nil: Показать решение Средняя",
+                "code": "func greet(name: String?) {\n    print(\"Hello, \\(name!)\")\n}\n// Вариант 1: if let\nfunc greet(name: String?) {\n    if let name = name {\n        print(\"Hello, \\(name)\")\n    } else {\n        print(\"Hello, Guest\")\n    }\n}\n\n// Вариант 2: nil coalescing\nfunc greet(name: String?) {\n    print(\"Hello, \\(name ?? \"Guest\")\")\n}\n\n// Вариант 3: guard\nfunc greet(name: String?) {\n    guard let name = name else {\n        print(\"Hello, Guest\")\n        return\n    }\n    print(\"Hello, \\(name)\")\n}"
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "Задача 2: Создать модель Product",
+                "anchor": "zadacha-2-sozdat-model-product",
+                "text": "Создайте struct Product с полями: id, title, price, description (опциональное). Добавьте computed property formattedPrice. Показать решение Средняя",
+                "code": "struct Product: Identifiable, Codable {\n    let id: Int\n    let title: String\n    let price: Double\n    let description: String?\n\n    var formattedPrice: String {\n        String(format: \"$%.2f\", price)\n    }\n}\n\n// Использование\nlet product = Product(\n    id: 1,\n    title: \"iPhone 15\",\n    price: 999.99,\n    description: nil\n)\nprint(product.formattedPrice)  // \"$999.99\""
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "Задача 3: Счётчик с @State",
+                "anchor": "zadacha-3-schetchik-s-state",
+                "text": "Создайте View со счётчиком: кнопки +/- и отображение текущего значения. Показать решение Сложная",
+                "code": "struct CounterView: View {\n    @State private var count = 0\n\n    var body: some View {\n        HStack(spacing: 20) {\n            Button(\"-\") {\n                count -= 1\n            }\n            .font(.title)\n            .frame(width: 44, height: 44)\n            .background(Color.red.opacity(0.2))\n            .clipShape(Circle())\n\n            Text(\"\\(count)\")\n                .font(.largeTitle)\n                .frame(width: 60)\n\n            Button(\"+\") {\n                count += 1\n            }\n            .font(.title)\n            .frame(width: 44, height: 44)\n            .background(Color.green.opacity(0.2))\n            .clipShape(Circle())\n        }\n    }\n}"
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "Задача 4: ViewModel для списка товаров",
+                "anchor": "zadacha-4-viewmodel-dlya-spiska-tovarov",
+                "text": "Создайте @Observable ViewModel для загрузки товаров с API. Должны быть: массив products, флаг isLoading, метод loadProducts(). Показать решение Сложная",
+                "code": "@Observable\nclass ProductsViewModel {\n    var products: [Product] = []\n    var isLoading = false\n    var errorMessage: String?\n\n    func loadProducts() async {\n        isLoading = true\n        errorMessage = nil\n\n        do {\n            let url = URL(string: \"https://dummyjson.com/products\")!\n            let (data, _) = try await URLSession.shared.data(from: url)\n            let response = try JSONDecoder().decode(ProductsResponse.self, from: data)\n            products = response.products\n        } catch {\n            errorMessage = error.localizedDescription\n        }\n\n        isLoading = false\n    }\n}\n\nstruct ProductsResponse: Codable {\n    let products: [Product]\n}\n\n// Использование во View\nstruct ProductsView: View {\n    @State private var viewModel = ProductsViewModel()\n\n    var body: some View {\n        List(viewModel.products) { product in\n            Text(product.title)\n        }\n        .overlay {\n            if viewModel.isLoading {\n                ProgressView()\n            }\n        }\n        .task {\n            await viewModel.loadProducts()\n        }\n    }\n}"
+            },
+            {
+                "section": "Задачи на код",
+                "subsection": "Задача 5: Корзина покупок",
+                "anchor": "zadacha-5-korzina-pokupok",
+                "text": "Создайте CartManager с методами add, remove, clear и computed property total. Показать решение",
+                "code": "@Observable\nclass CartManager {\n    var items: [CartItem] = []\n\n    var total: Double {\n        items.reduce(0) { $0 + $1.product.price * Double($1.quantity) }\n    }\n\n    var itemCount: Int {\n        items.reduce(0) { $0 + $1.quantity }\n    }\n\n    func add(_ product: Product) {\n        if let index = items.firstIndex(where: { $0.product.id == product.id }) {\n            items[index].quantity += 1\n        } else {\n            items.append(CartItem(product: product, quantity: 1))\n        }\n    }\n\n    func remove(_ product: Product) {\n        if let index = items.firstIndex(where: { $0.product.id == product.id }) {\n            if items[index].quantity > 1 {\n                items[index].quantity -= 1\n            } else {\n                items.remove(at: index)\n            }\n        }\n    }\n\n    func clear() {\n        items.removeAll()\n    }\n}\n\nstruct CartItem: Identifiable {\n    let id = UUID()\n    let product: Product\n    var quantity: Int\n}"
+            },
+            {
+                "section": "Мини-проекты",
+                "subsection": "Todo App",
+                "anchor": "todo-app",
+                "text": "Создайте приложение для списка дел с добавлением, удалением и отметкой выполненных задач. • @State для списка задач • TextField для ввода • List с ForEach • Swipe to delete",
+                "code": ""
+            },
+            {
+                "section": "Мини-проекты",
+                "subsection": "Weather App",
+                "anchor": "weather-app",
+                "text": "Приложение погоды с загрузкой данных из API и красивым интерфейсом. • Async/await для API • @Observable ViewModel • Обработка loading/error • Красивый UI с SF Symbols",
+                "code": ""
+            },
+            {
+                "section": "Мини-проекты",
+                "subsection": "Notes App",
+                "anchor": "notes-app",
+                "text": "Заметки с сохранением в UserDefaults или SwiftData. • CRUD операции • @AppStorage или SwiftData • NavigationStack • Поиск по заметкам",
+                "code": ""
+            },
+            {
+                "section": "Мини-проекты",
+                "subsection": "Timer App",
+                "anchor": "timer-app",
+                "text": "Таймер с обратным отсчётом и уведомлениями. • Timer publisher • Круговой прогресс • Анимации • Звуковые уведомления",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/review.html",
+        "chapter": "Дополнительно",
+        "title": "Повторение",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Повторение Вопросы из тестов глав, в которых вы ошиблись",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Как работает повторение",
+                "anchor": "kak-rabotaet-povtorenie",
+                "text": "1. Вопрос, на который вы ответили неправильно в тесте главы, появляется здесь в тот же день 2. Каждый правильный ответ откладывает следующее повторение: через 1, 2, 4, затем 8 дней 3. После пяти правильных ответов подряд вопрос считается выученным 4. Ошибка возвращает вопрос в начало, и он придёт снова завтра",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/summary.html",
+        "chapter": "Дополнительно",
+        "title": "Итоги обучения",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Итоги обучения Результаты тестов по главам: для печати и выгрузки Имя для итогов Печать Скачать JSON Скачать CSV",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/glossary.html",
+        "chapter": "Дополнительно",
+        "title": "Глоссарий терминов",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Глоссарий терминов Словарь ключевых терминов Swift и SwiftUI с примерами Swift SwiftUI MVVM Async",
+                "code": ""
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Optional",
+                "anchor": "optional-2",
+                "text": "Тип, который может содержать значение или nil. Обозначается знаком ? после типа. Аналог в JS: нет прямого аналога, но похоже на TypeScript string | null",
+                "code": "var name: String? = nil     // Может быть nil\nvar age: Int = 25           // НЕ может быть nil\n\n// Безопасное извлечение\nif let name = name {\n    print(name)\n}"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Struct (структура)",
+                "anchor": "struct-struktura",
+                "text": "Value type - при присваивании копируется целиком. Используется для данных (Product, User).",
+                "code": "struct Product {\n    let id: Int\n    var title: String\n    var price: Double\n}\n\nvar a = Product(id: 1, title: \"iPhone\", price: 999)\nvar b = a           // Создаётся КОПИЯ\nb.title = \"iPad\"\nprint(a.title)      // \"iPhone\" - не изменился"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Class (класс)",
+                "anchor": "class-klass",
+                "text": "Reference type - при присваивании передаётся ссылка. Используется для сервисов (Manager, ViewModel).",
+                "code": "class CartManager {\n    var items: [Product] = []\n}\n\nlet a = CartManager()\nlet b = a           // b указывает на тот же объект\nb.items.append(product)\nprint(a.items.count)  // Изменился! Та же ссылка"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Closure (замыкание)",
+                "anchor": "closure-zamykanie",
+                "text": "Анонимная функция, которую можно передать как значение. Аналог arrow function в JS. Аналог в JS: (name) => \"Hello, \" + name",
+                "code": "// Полный синтаксис\nlet greet = { (name: String) -> String in\n    return \"Hello, \\(name)\"\n}\n\n// Сокращённый ($0 = первый параметр)\nlet numbers = [1, 2, 3]\nlet doubled = numbers.map { $0 * 2 }  // [2, 4, 6]"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Protocol (протокол)",
+                "anchor": "protocol-protokol",
+                "text": "Контракт, определяющий какие методы и свойства должен реализовать тип. Аналог interface в TypeScript.",
+                "code": "protocol Identifiable {\n    var id: Int { get }\n}\n\nstruct Product: Identifiable {\n    let id: Int\n    let title: String\n}\n\n// Codable - протокол для JSON\nstruct User: Codable {\n    let name: String\n}"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Guard",
+                "anchor": "guard-2",
+                "text": "Early return - выход из функции если условие не выполняется. Делает код чище.",
+                "code": "func processUser(_ user: User?) {\n    guard let user = user else {\n        print(\"No user\")\n        return  // Обязательно выйти!\n    }\n    // Здесь user уже не Optional\n    print(user.name)\n}"
+            },
+            {
+                "section": "S Swift",
+                "subsection": "Enum (перечисление)",
+                "anchor": "enum-perechislenie",
+                "text": "Набор именованных значений. В Swift enum мощнее чем в других языках - может иметь associated values.",
+                "code": "enum LoadingState {\n    case idle\n    case loading\n    case success([Product])\n    case error(String)\n}\n\nvar state = LoadingState.loading\n\nswitch state {\ncase .idle: print(\"Idle\")\ncase .loading: print(\"Loading...\")\ncase .success(let products): print(\"Got \\(products.count)\")\ncase .error(let message): print(\"Error: \\(message)\")\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "View",
+                "anchor": "view-2",
+                "text": "Протокол для UI компонентов. Каждый View должен иметь свойство body. Аналог в React: функциональный компонент",
+                "code": "struct ProductCard: View {\n    let product: Product\n\n    var body: some View {\n        VStack {\n            Text(product.title)\n            Text(product.formattedPrice)\n        }\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "@State",
+                "anchor": "state-2",
+                "text": "Property wrapper для локального состояния View. При изменении View перерисовывается. Аналог в React: useState()",
+                "code": "struct CounterView: View {\n    @State private var count = 0\n\n    var body: some View {\n        Button(\"Count: \\(count)\") {\n            count += 1  // UI обновится\n        }\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "@Binding",
+                "anchor": "binding-2",
+                "text": "Двусторонняя связь с родительским @State. Позволяет дочернему View изменять состояние родителя.",
+                "code": "struct ToggleRow: View {\n    @Binding var isOn: Bool  // Связь с родителем\n\n    var body: some View {\n        Toggle(\"Enabled\", isOn: $isOn)\n    }\n}\n\nstruct ParentView: View {\n    @State private var enabled = false\n\n    var body: some View {\n        ToggleRow(isOn: $enabled)  // $ создаёт Binding\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "@Observable",
+                "anchor": "observable-2",
+                "text": "Макрос (iOS 17+) для создания реактивного класса. Все свойства автоматически отслеживаются. Аналог: MobX observable или Vue reactive",
+                "code": "@Observable\nclass CartViewModel {\n    var items: [Product] = []  // Автоматически реактивно\n    var total: Double {\n        items.reduce(0) { $0 + $1.price }\n    }\n}\n\nstruct CartView: View {\n    @State private var viewModel = CartViewModel()\n\n    var body: some View {\n        Text(\"Total: \\(viewModel.total)\")\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "@Environment",
+                "anchor": "environment-2",
+                "text": "Доступ к глобальным значениям: цветовая схема, размер шрифта, dismiss action. Аналог в React: useContext()",
+                "code": "struct SettingsView: View {\n    @Environment(\\.colorScheme) var colorScheme\n    @Environment(\\.dismiss) var dismiss\n\n    var body: some View {\n        VStack {\n            Text(colorScheme == .dark ? \"Dark\" : \"Light\")\n            Button(\"Close\") { dismiss() }\n        }\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "@AppStorage",
+                "anchor": "appstorage-2",
+                "text": "Сохраняет значение в UserDefaults и автоматически синхронизирует с UI. Аналог: localStorage + useState в React",
+                "code": "struct SettingsView: View {\n    @AppStorage(\"isDarkMode\") var isDarkMode = false\n    @AppStorage(\"username\") var username = \"\"\n\n    var body: some View {\n        Toggle(\"Dark Mode\", isOn: $isDarkMode)\n        // Значение сохранится даже после закрытия приложения\n    }\n}"
+            },
+            {
+                "section": "U SwiftUI",
+                "subsection": "Modifiers (модификаторы)",
+                "anchor": "modifiers-modifikatory",
+                "text": "Методы для изменения внешнего вида и поведения View. Возвращают новый View.",
+                "code": "Text(\"Hello\")\n    .font(.title)           // Размер шрифта\n    .foregroundStyle(.blue) // Цвет\n    .padding()              // Отступы\n    .background(.gray)      // Фон\n    .clipShape(RoundedRectangle(cornerRadius: 10))"
+            },
+            {
+                "section": "M MVVM",
+                "subsection": "Model (Модель)",
+                "anchor": "model-model",
+                "text": "Структуры данных приложения. Обычно struct с Codable для работы с JSON.",
+                "code": "struct Product: Identifiable, Codable {\n    let id: Int\n    let title: String\n    let price: Double\n    let thumbnail: String\n}\n\nstruct ProductsResponse: Codable {\n    let products: [Product]\n}"
+            },
+            {
+                "section": "M MVVM",
+                "subsection": "View (Представление)",
+                "anchor": "view-predstavlenie",
+                "text": "UI компонент. Отображает данные из ViewModel и передаёт действия пользователя.",
+                "code": "struct ProductsView: View {\n    @State private var viewModel = ProductsViewModel()\n\n    var body: some View {\n        List(viewModel.products) { product in\n            ProductRow(product: product)\n        }\n        .task {\n            await viewModel.loadProducts()\n        }\n    }\n}"
+            },
+            {
+                "section": "M MVVM",
+                "subsection": "ViewModel",
+                "anchor": "viewmodel-2",
+                "text": "Связующее звено между View и Model. Содержит бизнес-логику и состояние.",
+                "code": "@Observable\nclass ProductsViewModel {\n    var products: [Product] = []\n    var isLoading = false\n    var searchText = \"\"\n\n    var filteredProducts: [Product] {\n        guard !searchText.isEmpty else { return products }\n        return products.filter {\n            $0.title.localizedCaseInsensitiveContains(searchText)\n        }\n    }\n\n    func loadProducts() async {\n        isLoading = true\n        // API call...\n        isLoading = false\n    }\n}"
+            },
+            {
+                "section": "A Async / Await",
+                "subsection": "async / await",
+                "anchor": "async-await-2",
+                "text": "Синтаксис для асинхронного кода. Функция с async возвращает результат \"в будущем\".",
+                "code": "// Объявление async функции\nfunc fetchProducts() async throws -> [Product] {\n    let (data, _) = try await URLSession.shared.data(from: url)\n    return try JSONDecoder().decode([Product].self, from: data)\n}\n\n// Вызов\nTask {\n    let products = try await fetchProducts()\n}"
+            },
+            {
+                "section": "A Async / Await",
+                "subsection": "Task",
+                "anchor": "task-2",
+                "text": "Контейнер для запуска асинхронного кода. Создаёт новый контекст выполнения.",
+                "code": "// В обычном коде\nButton(\"Load\") {\n    Task {\n        await viewModel.loadProducts()\n    }\n}\n\n// В SwiftUI View - лучше использовать .task\n.task {\n    await viewModel.loadProducts()\n}"
+            },
+            {
+                "section": "A Async / Await",
+                "subsection": "throws / try",
+                "anchor": "throws-try",
+                "text": "Обработка ошибок. Функция с throws может выбросить ошибку.",
+                "code": "func loadData() throws -> Data {\n    // может выбросить ошибку\n}\n\n// Обработка ошибки\ndo {\n    let data = try loadData()\n} catch {\n    print(error)\n}\n\n// Игнорировать ошибку (вернёт nil)\nlet data = try? loadData()\n\n// Crash если ошибка (опасно!)\nlet data = try! loadData()"
+            }
+        ]
+    },
+    {
+        "url": "chapters/xcode-tips.html",
+        "chapter": "Дополнительно",
+        "title": "Советы по Xcode",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Советы по Xcode Горячие клавиши и трюки для продуктивной работы",
+                "code": ""
+            },
+            {
+                "section": "Горячие клавиши",
+                "subsection": "Самые важные",
+                "anchor": "samye-vazhnye",
+                "text": "Cmd + R Run Запустить приложение Cmd + B Build Скомпилировать проект Cmd + . Stop Остановить выполнение Cmd + Shift + K Clean Build Очистить кэш сборки",
+                "code": ""
+            },
+            {
+                "section": "Горячие клавиши",
+                "subsection": "Навигация",
+                "anchor": "navigatsiya",
+                "text": "Cmd + Shift + O Open Quickly Быстрый поиск файла Cmd + Shift + J Reveal in Navigator Показать файл в дереве Ctrl + 6 Jump to Method Список методов в файле Cmd + L Go to Line Перейти к строке Cmd + Click Jump to Definition Перейти к определению Cmd + Ctrl + ← Go Back Вернуться назад",
+                "code": ""
+            },
+            {
+                "section": "Горячие клавиши",
+                "subsection": "Редактирование",
+                "anchor": "redaktirovanie",
+                "text": "Cmd + / Toggle Comment Закомментировать строку Cmd + D Duplicate Line Дублировать строку Cmd + [ / ] Indent Изменить отступ Ctrl + I Re-Indent Исправить отступы Option + ↑ / ↓ Move Line Переместить строку Cmd + Option + [ / ] Fold/Unfold Свернуть/развернуть блок",
+                "code": ""
+            },
+            {
+                "section": "Горячие клавиши",
+                "subsection": "Отладка",
+                "anchor": "otladka",
+                "text": "Cmd + \\ Toggle Breakpoint Поставить/убрать точку останова Cmd + Y Enable/Disable Breakpoints Включить/выключить все F6 Step Over Следующая строка F7 Step Into Войти в функцию F8 Step Out Выйти из функции Ctrl + Cmd + Y Continue Продолжить выполнение",
+                "code": ""
+            },
+            {
+                "section": "SwiftUI Preview",
+                "subsection": "Открыть/закрыть Preview",
+                "anchor": "otkryt-zakryt-preview",
+                "text": "Cmd + Option + Enter Показывает или скрывает Canvas с превью справа от редактора.",
+                "code": ""
+            },
+            {
+                "section": "SwiftUI Preview",
+                "subsection": "Обновить Preview",
+                "anchor": "obnovit-preview",
+                "text": "Cmd + Option + P Перезапускает превью если оно зависло или показывает ошибку.",
+                "code": ""
+            },
+            {
+                "section": "SwiftUI Preview",
+                "subsection": "Live Preview",
+                "anchor": "live-preview",
+                "text": "Нажмите кнопку Play на превью или используйте Cmd + Option + P Включает интерактивный режим - можно кликать на кнопки и вводить текст.",
+                "code": ""
+            },
+            {
+                "section": "SwiftUI Preview",
+                "subsection": "Preview на разных устройствах",
+                "anchor": "preview-na-raznyh-ustroystvah",
+                "text": "",
+                "code": "#Preview {\n    ContentView()\n}\n\n#Preview(\"iPhone SE\") {\n    ContentView()\n        .previewDevice(\"iPhone SE (3rd generation)\")\n}\n\n#Preview(\"Dark Mode\") {\n    ContentView()\n        .preferredColorScheme(.dark)\n}"
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Quick Help",
+                "anchor": "quick-help",
+                "text": "Option + Click на символе Показывает документацию прямо в редакторе",
+                "code": ""
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Автодополнение",
+                "anchor": "avtodopolnenie",
+                "text": "Esc или Ctrl + Space Вызвать меню автодополнения",
+                "code": ""
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Переименование",
+                "anchor": "pereimenovanie",
+                "text": "Cmd + Click → Rename Безопасное переименование во всём проекте",
+                "code": ""
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Fix-it",
+                "anchor": "fix-it",
+                "text": "Click на ошибке или Cmd + . Автоматическое исправление ошибок",
+                "code": ""
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Extract to Method",
+                "anchor": "extract-to-method",
+                "text": "Выделить код → ПКМ → Refactor → Extract Выделить код в отдельную функцию",
+                "code": ""
+            },
+            {
+                "section": "Полезные функции",
+                "subsection": "Show Callers",
+                "anchor": "show-callers",
+                "text": "Ctrl + 1 → Callers Кто вызывает эту функцию?",
+                "code": ""
+            },
+            {
+                "section": "Настройка интерфейса",
+                "subsection": "Панели навигации",
+                "anchor": "paneli-navigatsii",
+                "text": "Cmd + 0 Navigator (слева) Cmd + Option + 0 Inspector (справа) Cmd + Shift + Y Debug Area (снизу)",
+                "code": ""
+            },
+            {
+                "section": "Настройка интерфейса",
+                "subsection": "Minimap",
+                "anchor": "minimap",
+                "text": "Editor → Minimap (или Ctrl + Shift + Cmd + M) Показывает миниатюру кода справа для быстрой навигации.",
+                "code": ""
+            },
+            {
+                "section": "Настройка интерфейса",
+                "subsection": "Увеличить размер шрифта",
+                "anchor": "uvelichit-razmer-shrifta",
+                "text": "Cmd + + / - Или настроить в Preferences → Fonts & Colors",
+                "code": ""
+            },
+            {
+                "section": "Советы",
+                "subsection": "Используйте Cmd + Shift + O",
+                "anchor": "ispolzuyte-cmd-shift-o",
+                "text": "Это самый быстрый способ найти файл или символ. Начните печатать название и выберите из списка.",
+                "code": ""
+            },
+            {
+                "section": "Советы",
+                "subsection": "Clean Build при странных ошибках",
+                "anchor": "clean-build-pri-strannyh-oshibkah",
+                "text": "Если Xcode показывает странные ошибки, попробуйте Cmd + Shift + K для очистки кэша сборки.",
+                "code": ""
+            },
+            {
+                "section": "Советы",
+                "subsection": "Перезапустите Xcode",
+                "anchor": "perezapustite-xcode",
+                "text": "Если что-то не работает (Preview не обновляется, автодополнение сломалось) - перезапустите Xcode.",
+                "code": ""
+            },
+            {
+                "section": "Советы",
+                "subsection": "Derived Data",
+                "anchor": "derived-data",
+                "text": "При серьёзных проблемах: удалите папку ~/Library/Developer/Xcode/DerivedData и перезапустите Xcode.",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/diagrams.html",
+        "chapter": "Дополнительно",
+        "title": "Визуальные схемы",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Визуальные схемы Диаграммы архитектуры и потока данных в SwiftUI MVVM",
+                "code": ""
+            },
+            {
+                "section": "MVVM Архитектура",
+                "subsection": "",
+                "anchor": "mvvm-arhitektura",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ MVVM ARCHITECTURE │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ ┌──────────────────┐ ┌──────────────────┐ │ │ │ │ User Action │ │ │ │ │ VIEW │ ─────────────────► │ VIEWMODEL │ │ │ │ (SwiftUI) │ │ (@Observable) │ │ │ │ │ ◄───────────────── │ │ │ │ └──────────────────┘ State Update └────────┬─────────┘ │ │ │ │ │ │ │ │ │ │ Displays Fetches/Updates │ │ │ │ │ │ ▼ ▼ │ │ ┌──────────────────┐ ┌──────────────────┐ │ │ │ │ │ │ │ │ │ MODEL │ ◄───────────────── │ SERVICE │ │ │ │ (Structs) │ Data │ (API Client) │ │ │ │ │ │ │ │ │ └──────────────────┘ └──────────────────┘ │ │ │ │ View: Отображает UI, реагирует на изменения ViewModel │ │ ViewModel: Бизнес-логика, состояние, обработка действий │ │ Model: Структуры данных (Product, User, Cart) │ │ Service: API запросы, работа с сетью │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Поток данных в SwiftUI",
+                "subsection": "",
+                "anchor": "potok-dannyh-v-swiftui",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ DATA FLOW IN SWIFTUI │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ ┌─────────────────────┐ │ │ │ Parent View │ │ │ │ @State var text │ │ │ └──────────┬──────────┘ │ │ │ │ │ $text (Binding) │ │ │ │ │ ▼ │ │ ┌─────────────────────┐ │ │ │ Child View │ │ │ │ @Binding var text │ │ │ └─────────────────────┘ │ │ │ │ ══════════════════════════════════════════════════════════════ │ │ │ │ @State → Source of truth (локальный) │ │ @Binding → Ссылка на @State родителя │ │ @Observable → Реактивный класс (ViewModel) │ │ @Environment → Глобальные значения (colorScheme, dismiss) │ │ │ │ ══════════════════════════════════════════════════════════════ │ │ │ │ ┌──────────┐ ┌──────────┐ ┌──────────┐ │ │ │ @State │ ───► │ @Binding │ ───► │ @Binding │ │ │ │ (Parent) │ │ (Child) │ │(Grandchd)│ │ │ └──────────┘ └──────────┘ └──────────┘ │ │ │ │ │ │ │ └───────────────────┴───────────────────┘ │ │ Все изменения синхронизированы │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Жизненный цикл View",
+                "subsection": "",
+                "anchor": "zhiznennyy-tsikl-view",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ VIEW LIFECYCLE IN SWIFTUI │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ ┌──────────────┐ │ │ │ View Init │ ◄─── Создание View (вызывается часто!) │ │ └──────┬───────┘ │ │ │ │ │ ▼ │ │ ┌──────────────┐ │ │ │ body │ ◄─── Вычисление UI (при каждом изменении) │ │ └──────┬───────┘ │ │ │ │ │ ▼ │ │ ┌──────────────┐ │ │ │ .onAppear │ ◄─── View появился на экране │ │ └──────┬───────┘ │ │ │ │ │ ▼ │ │ ┌──────────────┐ │ │ │ .task │ ◄─── Async код при появлении │ │ └──────┬───────┘ │ │ │ │ │ [Живёт] │ │ │ │ │ ▼ │ │ ┌──────────────┐ │ │ │ .onDisappear │ ◄─── View исчез с экрана │ │ └──────────────┘ │ │ │ │ ══════════════════════════════════════════════════════════════ │ │ │ │ Важно: │ │ • init() вызывается ЧАСТО - не делайте тяжёлых операций │ │ • body вызывается при КАЖДОМ изменении состояния │ │ • Используйте .task для загрузки данных, не init │ │ • .task автоматически отменяется при исчезновении View │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Структура приложения",
+                "subsection": "",
+                "anchor": "struktura-prilozheniya",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ PROJECT STRUCTURE │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ Shopping/ │ │ ├── ShoppingApp.swift ─── @main точка входа │ │ │ │ │ ├── Models/ ─── Структуры данных │ │ │ ├── Product.swift │ │ │ ├── Category.swift │ │ │ └── Cart.swift │ │ │ │ │ ├── ViewModels/ ─── Бизнес-логика │ │ │ ├── ProductsViewModel.swift │ │ │ ├── CartViewModel.swift │ │ │ └── FavoritesViewModel.swift │ │ │ │ │ ├── Views/ ─── UI компоненты │ │ │ ├── Products/ │ │ │ │ ├── ProductsView.swift │ │ │ │ ├── ProductCard.swift │ │ │ │ └── ProductDetailView.swift │ │ │ ├── Cart/ │ │ │ │ └── CartView.swift │ │ │ └── Common/ │ │ │ ├── AsyncImageView.swift │ │ │ └── LoadingView.swift │ │ │ │ │ ├── Services/ ─── API и сервисы │ │ │ ├── NetworkManager.swift │ │ │ └── APIEndpoints.swift │ │ │ │ │ └── Utils/ ─── Вспомогательное │ │ ├── Extensions/ │ │ └── Constants.swift │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Навигация",
+                "subsection": "",
+                "anchor": "navigatsiya",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ NAVIGATION STRUCTURE │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ ┌──────────────┐ │ │ │ TabView │ │ │ └──────┬───────┘ │ │ │ │ │ ┌────────────────────┼────────────────────┐ │ │ │ │ │ │ │ ▼ ▼ ▼ │ │ ┌─────────────┐ ┌─────────────┐ ┌─────────────┐ │ │ │ Products │ │ Favorites │ │ Cart │ │ │ │ (Tab 1) │ │ (Tab 2) │ │ (Tab 3) │ │ │ └──────┬──────┘ └──────┬──────┘ └─────────────┘ │ │ │ │ │ │ ▼ ▼ │ │ ┌─────────────┐ ┌─────────────┐ │ │ │ NavigationStack ││ NavigationStack │ │ │ └──────┬──────┘ └──────┬──────┘ │ │ │ │ │ │ ▼ ▼ │ │ ┌─────────────┐ ┌─────────────┐ │ │ │ Product │ │ Product │ │ │ │ Detail │ │ Detail │ │ │ └─────────────┘ └─────────────┘ │ │ │ │ ══════════════════════════════════════════════════════════════ │ │ │ │ NavigationStack { │ │ List(products) { product in │ │ NavigationLink(value: product) { │ │ ProductRow(product: product) │ │ } │ │ } │ │ .navigationDestination(for: Product.self) { product in │ │ ProductDetailView(product: product) │ │ } │ │ } │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Загрузка данных из API",
+                "subsection": "",
+                "anchor": "zagruzka-dannyh-iz-api",
+                "text": "┌─────────────────────────────────────────────────────────────────────────┐ │ API DATA FLOW │ ├─────────────────────────────────────────────────────────────────────────┤ │ │ │ 1. View появляется │ │ │ │ │ ▼ │ │ ┌──────────────────┐ │ │ │ ProductsView │ │ │ │ .task { │ ─────────────────────────────────────────────┐ │ │ │ await vm.load() │ │ │ │ } │ │ │ │ └──────────────────┘ │ │ │ │ │ │ 2. ViewModel загружает │ │ │ │ │ │ │ ▼ │ │ │ ┌──────────────────┐ │ │ │ │ ViewModel │ │ │ │ │ isLoading = true│ ◄────────────────────────────────────────────┘ │ │ │ products = [] │ │ │ └────────┬─────────┘ │ │ │ │ │ ▼ │ │ 3. Сетевой запрос │ │ ┌──────────────────┐ ┌──────────────────┐ │ │ │ NetworkManager │ ─────► │ DummyJSON API │ │ │ │ URLSession │ ◄───── │ /products │ │ │ └────────┬─────────┘ JSON └──────────────────┘ │ │ │ │ │ ▼ │ │ 4. Парсинг JSON │ │ ┌──────────────────┐ │ │ │ JSONDecoder │ ─────► [Product, Product, ...] │ │ └────────┬─────────┘ │ │ │ │ │ ▼ │ │ 5. Обновление состояния │ │ ┌──────────────────┐ │ │ │ ViewModel │ │ │ │ isLoading = false │ │ │ products = [...]│ ─────► UI автоматически обновляется │ │ └──────────────────┘ │ │ │ └─────────────────────────────────────────────────────────────────────────┘",
+                "code": ""
+            },
+            {
+                "section": "Выбор Property Wrapper",
+                "subsection": "@State",
+                "anchor": "state",
+                "text": "Используйте для: • Простое UI состояние • isLoading, isExpanded • Значения формы • Локальные переменные View",
+                "code": ""
+            },
+            {
+                "section": "Выбор Property Wrapper",
+                "subsection": "@Observable",
+                "anchor": "observable",
+                "text": "Используйте для: • ViewModel с бизнес-логикой • Данные из API • Сложное состояние • Shared state между Views",
+                "code": ""
+            },
+            {
+                "section": "Выбор Property Wrapper",
+                "subsection": "@Binding",
+                "anchor": "binding",
+                "text": "Используйте для: • Передача состояния в child • Two-way data binding • Переиспользуемые компоненты • TextField, Toggle, Picker",
+                "code": ""
+            },
+            {
+                "section": "Выбор Property Wrapper",
+                "subsection": "@Environment",
+                "anchor": "environment",
+                "text": "Используйте для: • Системные настройки • colorScheme, locale • dismiss action • Dependency Injection",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/debugging.html",
+        "chapter": "Дополнительно",
+        "title": "Отладка",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Отладка в Swift и SwiftUI Как читать ошибки, использовать print() и breakpoints",
+                "code": ""
+            },
+            {
+                "section": "Print Debugging",
+                "subsection": "Базовый print()",
+                "anchor": "bazovyy-print",
+                "text": "",
+                "code": "// Простой вывод\nprint(\"Hello\")\n\n// С переменными\nlet count = 5\nprint(\"Count is \\(count)\")\n\n// Несколько значений\nprint(\"Name:\", name, \"Age:\", age)\n\n// С разделителем\nprint(\"A\", \"B\", \"C\", separator: \" - \")  // A - B - C"
+            },
+            {
+                "section": "Print Debugging",
+                "subsection": "Продвинутый вывод",
+                "anchor": "prodvinutyy-vyvod",
+                "text": "",
+                "code": "// dump() - детальный вывод структуры\nlet product = Product(id: 1, title: \"iPhone\", price: 999)\ndump(product)\n// ▿ Product\n//   - id: 1\n//   - title: \"iPhone\"\n//   - price: 999.0\n\n// debugPrint() - для отладки (с кавычками и типами)\ndebugPrint(product)\n\n// Условный print\n#if DEBUG\nprint(\"Only in debug mode\")\n#endif"
+            },
+            {
+                "section": "Print Debugging",
+                "subsection": "Полезные паттерны",
+                "anchor": "poleznye-patterny",
+                "text": "",
+                "code": "// Логирование с файлом и строкой\nfunc log(_ message: String, file: String = #file, line: Int = #line) {\n    let filename = URL(string: file)?.lastPathComponent ?? file\n    print(\"[\\(filename):\\(line)] \\(message)\")\n}\n\nlog(\"Something happened\")  // [ProductsView.swift:42] Something happened\n\n// Логирование в SwiftUI\nvar body: some View {\n    let _ = print(\"body вызван, products: \\(products.count)\")\n    List(products) { ... }\n}"
+            },
+            {
+                "section": "Чтение ошибок компилятора",
+                "subsection": "Cannot assign to value: 'x' is a 'let' constant",
+                "anchor": "cannot-assign-to-value-x-is-a-let-constant",
+                "text": "Пытаетесь изменить константу",
+                "code": "// Ошибка:\nlet count = 0\ncount = 1  // Нельзя изменить let\n\n// Исправление:\nvar count = 0\ncount = 1  // var можно изменять"
+            },
+            {
+                "section": "Чтение ошибок компилятора",
+                "subsection": "Value of optional type 'X?' must be unwrapped",
+                "anchor": "value-of-optional-type-x-must-be-unwrapped",
+                "text": "Используете Optional без распаковки",
+                "code": "// Ошибка:\nlet name: String? = \"John\"\nprint(name.count)  // name это Optional!\n\n// Исправление:\nif let name = name {\n    print(name.count)\n}\n// или\nprint(name?.count ?? 0)"
+            },
+            {
+                "section": "Чтение ошибок компилятора",
+                "subsection": "Cannot convert value of type 'X' to expected argument type 'Y'",
+                "anchor": "cannot-convert-value-of-type-x-to-expected-argument-type-y",
+                "text": "Несоответствие типов",
+                "code": "// Ошибка:\nfunc greet(name: String) { ... }\ngreet(name: 123)  // Int вместо String\n\n// Ошибка с Binding:\nTextField(\"Name\", text: name)  // Нужен $name\n\n// Исправление:\ngreet(name: \"John\")\nTextField(\"Name\", text: $name)"
+            },
+            {
+                "section": "Чтение ошибок компилятора",
+                "subsection": "Cannot assign to property: 'self' is immutable",
+                "anchor": "cannot-assign-to-property-self-is-immutable",
+                "text": "Пытаетесь изменить свойство в View без @State",
+                "code": "// Ошибка:\nstruct MyView: View {\n    var count = 0  // Обычное свойство\n\n    var body: some View {\n        Button(\"Tap\") {\n            count += 1  // View это struct, нельзя изменить\n        }\n    }\n}\n\n// Исправление:\n@State private var count = 0  // Добавили @State"
+            },
+            {
+                "section": "Чтение ошибок компилятора",
+                "subsection": "Missing argument for parameter 'x' in call",
+                "anchor": "missing-argument-for-parameter-x-in-call",
+                "text": "Не передали обязательный параметр",
+                "code": "// Ошибка:\nstruct User {\n    let name: String\n    let age: Int\n}\nlet user = User(name: \"John\")  // Забыли age\n\n// Исправление:\nlet user = User(name: \"John\", age: 25)\n\n// Или сделать age optional:\nstruct User {\n    let name: String\n    let age: Int?\n}"
+            },
+            {
+                "section": "Breakpoints (точки останова)",
+                "subsection": "Как использовать",
+                "anchor": "kak-ispolzovat",
+                "text": "1 Кликните на номер строки слева - появится синяя стрелка 2 Запустите приложение (Cmd + R) 3 Когда код дойдёт до этой строки - выполнение остановится 4 Наведите мышку на переменные чтобы увидеть их значения Step Over (F6) Выполнить строку и перейти к следующей Step Into (F7) Войти внутрь функции Step Out (F8) Выйти из текущей функции Continue (Ctrl+Cmd+Y) Продолжить выполнение",
+                "code": ""
+            },
+            {
+                "section": "Breakpoints (точки останова)",
+                "subsection": "LLDB Console",
+                "anchor": "lldb-console",
+                "text": "В Debug Area можно вводить команды:",
+                "code": "// Вывести значение переменной\n(lldb) po products\n// [Product(id: 1, title: \"iPhone\"), ...]\n\n// Вывести тип\n(lldb) type lookup Product\n\n// Изменить значение (для тестирования)\n(lldb) expr count = 10"
+            },
+            {
+                "section": "Runtime ошибки (крэши)",
+                "subsection": "Fatal error: Unexpectedly found nil while unwrapping",
+                "anchor": "fatal-error-unexpectedly-found-nil-while-unwrapping",
+                "text": "Использовали ! на nil значении",
+                "code": "// Причина крэша:\nlet user: User? = nil\nprint(user!.name)  // CRASH!\n\n// Решение:\nguard let user = user else {\n    print(\"No user\")\n    return\n}\nprint(user.name)"
+            },
+            {
+                "section": "Runtime ошибки (крэши)",
+                "subsection": "Index out of range",
+                "anchor": "index-out-of-range",
+                "text": "Обращение к несуществующему индексу массива",
+                "code": "// Причина крэша:\nlet items = [\"A\", \"B\", \"C\"]\nprint(items[5])  // CRASH! Только 0, 1, 2\n\n// Решение:\nif items.indices.contains(5) {\n    print(items[5])\n}\n// или\nprint(items.first ?? \"Empty\")"
+            },
+            {
+                "section": "Runtime ошибки (крэши)",
+                "subsection": "Thread 1: EXC_BAD_ACCESS",
+                "anchor": "thread-1-exc-bad-access",
+                "text": "Обращение к освобождённой памяти (редко в Swift)",
+                "code": "// Обычно связано с:\n// - Неправильным использованием Unmanaged\n// - Работой с C/Objective-C кодом\n// - Циклическими ссылками\n\n// В SwiftUI чаще всего причина:\n// - Изменение UI не на main thread\n\n// Решение:\nTask { @MainActor in\n    self.data = newData\n}"
+            },
+            {
+                "section": "Отладка SwiftUI",
+                "subsection": "Отслеживание перерисовок",
+                "anchor": "otslezhivanie-pererisovok",
+                "text": "",
+                "code": "struct ProductCard: View {\n    let product: Product\n\n    var body: some View {\n        // Этот print покажет когда View перерисовывается\n        let _ = print(\"ProductCard body called: \\(product.id)\")\n\n        VStack {\n            Text(product.title)\n        }\n    }\n}\n\n// Или используйте Self._printChanges() (iOS 15+)\nvar body: some View {\n    let _ = Self._printChanges()\n    // ...\n}"
+            },
+            {
+                "section": "Отладка SwiftUI",
+                "subsection": "Debug Preview",
+                "anchor": "debug-preview",
+                "text": "",
+                "code": "#Preview {\n    // Тестовые данные для Preview\n    let testProduct = Product(\n        id: 1,\n        title: \"Test Product\",\n        price: 99.99,\n        thumbnail: \"https://example.com/image.jpg\"\n    )\n\n    ProductCard(product: testProduct)\n}\n\n// Preview с разными состояниями\n#Preview(\"Loading\") {\n    ProductsView()\n        .environment(\\.isLoading, true)\n}\n\n#Preview(\"Error\") {\n    ProductsView()\n        .environment(\\.errorMessage, \"Network error\")\n}"
+            },
+            {
+                "section": "Отладка SwiftUI",
+                "subsection": "View Hierarchy Debug",
+                "anchor": "view-hierarchy-debug",
+                "text": "В запущенном приложении: Debug → View Debugging → Capture View Hierarchy Показывает 3D визуализацию всех View в приложении. Полезно для понимания layout проблем.",
+                "code": ""
+            },
+            {
+                "section": "Отладка сетевых запросов",
+                "subsection": "",
+                "anchor": "otladka-setevyh-zaprosov",
+                "text": "",
+                "code": "func fetchProducts() async throws -> [Product] {\n    let url = URL(string: \"https://dummyjson.com/products\")!\n\n    // Логируем запрос\n    print(\"🌐 Request: \\(url)\")\n\n    let (data, response) = try await URLSession.shared.data(from: url)\n\n    // Логируем ответ\n    if let httpResponse = response as? HTTPURLResponse {\n        print(\"📥 Status: \\(httpResponse.statusCode)\")\n    }\n\n    // Логируем JSON (для отладки)\n    if let json = String(data: data, encoding: .utf8) {\n        print(\"📦 JSON: \\(json.prefix(500))...\")\n    }\n\n    do {\n        let decoded = try JSONDecoder().decode(ProductsResponse.self, from: data)\n        print(\"✅ Decoded \\(decoded.products.count) products\")\n        return decoded.products\n    } catch {\n        print(\"❌ Decode error: \\(error)\")\n        throw error\n    }\n}"
+            },
+            {
+                "section": "Советы по отладке",
+                "subsection": "Читайте ошибку сверху",
+                "anchor": "chitayte-oshibku-sverhu",
+                "text": "Первая ошибка часто самая важная. Остальные могут быть следствием первой.",
+                "code": ""
+            },
+            {
+                "section": "Советы по отладке",
+                "subsection": "Используйте Fix-it",
+                "anchor": "ispolzuyte-fix-it",
+                "text": "Xcode часто предлагает автоматическое исправление. Кликните на ошибку.",
+                "code": ""
+            },
+            {
+                "section": "Советы по отладке",
+                "subsection": "Clean Build",
+                "anchor": "clean-build",
+                "text": "Cmd + Shift + K очищает кэш. Помогает при странных ошибках.",
+                "code": ""
+            },
+            {
+                "section": "Советы по отладке",
+                "subsection": "Google ошибку",
+                "anchor": "google-oshibku",
+                "text": "Скопируйте текст ошибки в поиск. Stack Overflow часто имеет ответ.",
+                "code": ""
+            }
+        ]
+    }
+]);
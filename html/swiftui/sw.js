@@ -0,0 +1,60 @@
+// Generated by scripts/build-offline.js from the files of the book.
+// Do not edit by hand: run `node scripts/build-offline.js` after changing a page.
+const CACHE_NAME = 'swiftui-359cf2b8d5';
+const PRECACHE = [
+    "index.html",
+    "manifest.webmanifest",
+    "icon.svg",
+    "chapters/00-introduction.html",
+    "chapters/00a-swift-for-developers.html",
+    "chapters/01-swiftui-basics.html",
+    "chapters/02-mvvm.html",
+    "chapters/03-project-setup.html",
+    "chapters/04-api-layer.html",
+    "chapters/05-product-list.html",
+    "chapters/06-product-detail.html",
+    "chapters/07-search.html",
+    "chapters/08-favorites.html",
+    "chapters/09-cart.html",
+    "chapters/10-navigation.html",
+    "chapters/11-testing.html",
+    "chapters/12-final.html",
+    "chapters/cheatsheet.html",
+    "chapters/common-mistakes.html",
+    "chapters/debugging.html",
+    "chapters/diagrams.html",
+    "chapters/exercises.html",
+    "chapters/glossary.html",
+    "chapters/json-parsing.html",
+    "chapters/review.html",
+    "chapters/summary.html",
+    "chapters/xcode-tips.html",
+    "js/quiz-index.js",
+    "js/search-data.js",
+    "js/search-index.js",
+    "../js/chapter.js",
+    "../js/code-blocks.js",
+    "../js/offline-worker.js",
+    "../js/offline.js",
+    "../js/progress.js",
+    "../js/quiz.js",
+    "../js/results.js",
+    "../js/review.js",
+    "../js/search.js",
+    "../vendor/tailwindcss/3.4.10/tailwindcss.js",
+    "../vendor/highlight.js/11.9.0/highlight.min.js",
+    "../vendor/highlight.js/11.9.0/languages/javascript.min.js",
+    "../vendor/highlight.js/11.9.0/languages/php.min.js",
+    "../vendor/highlight.js/11.9.0/languages/swift.min.js",
+    "../vendor/highlight.js/11.9.0/styles/vs2015.min.css"
+];
+const VENDOR = {
+    "https://cdn.tailwindcss.com/": "../vendor/tailwindcss/3.4.10/tailwindcss.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js": "../vendor/highlight.js/11.9.0/highlight.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/javascript.min.js": "../vendor/highlight.js/11.9.0/languages/javascript.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/php.min.js": "../vendor/highlight.js/11.9.0/languages/php.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/swift.min.js": "../vendor/highlight.js/11.9.0/languages/swift.min.js",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/vs2015.min.css": "../vendor/highlight.js/11.9.0/styles/vs2015.min.css"
+};
+
+importScripts('../js/offline-worker.js');
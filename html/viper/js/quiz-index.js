@@ -0,0 +1,240 @@
+// Generated by scripts/build-quizzes.js from the quizzes in quizzes/*.json.
+// Do not edit by hand: run `node scripts/build-quizzes.js` after changing a quiz.
+registerQuizIndex('viper', {
+    "chapters/00-introduction.html": {
+        "title": "iOS Разработка с нуля: Создаём интернет-магазин",
+        "sets": {
+            "viper/00-introduction": [
+                "platform",
+                "architecture",
+                "parts"
+            ]
+        }
+    },
+    "chapters/01-xcode.html": {
+        "title": "Глава 1: Знакомство с iOS разработкой и Xcode",
+        "sets": {
+            "viper/01-xcode": [
+                "run",
+                "install",
+                "simulator"
+            ]
+        }
+    },
+    "chapters/02-swift-basics.html": {
+        "title": "Глава 2: Основы Swift — переменные и типы данных",
+        "sets": {
+            "viper/02-swift-basics": [
+                "let-var",
+                "type-inference",
+                "interpolation"
+            ]
+        }
+    },
+    "chapters/03-control-flow.html": {
+        "title": "Глава 3: Управление потоком и коллекции",
+        "sets": {
+            "viper/03-control-flow": [
+                "switch-exhaustive",
+                "range",
+                "ternary"
+            ]
+        }
+    },
+    "chapters/04-functions.html": {
+        "title": "Глава 4: Функции и замыкания",
+        "sets": {
+            "viper/04-functions": [
+                "argument-label",
+                "escaping",
+                "map"
+            ]
+        }
+    },
+    "chapters/05-oop.html": {
+        "title": "Глава 5: ООП — Классы, структуры и объектно-ориентированное программирование",
+        "sets": {
+            "viper/05-oop": [
+                "struct-copy",
+                "class-only",
+                "private"
+            ]
+        }
+    },
+    "chapters/06-protocols.html": {
+        "title": "Глава 6: Протоколы и расширения",
+        "sets": {
+            "viper/06-protocols": [
+                "protocol",
+                "extension-default",
+                "delegate-weak"
+            ]
+        }
+    },
+    "chapters/07-optionals.html": {
+        "title": "Глава 7: Опционалы и обработка ошибок",
+        "sets": {
+            "viper/07-optionals": [
+                "coalescing",
+                "chaining",
+                "safe-unwrap"
+            ]
+        }
+    },
+    "chapters/08-memory.html": {
+        "title": "Глава 8: Управление памятью (ARC)",
+        "sets": {
+            "viper/08-memory": [
+                "arc",
+                "retain-cycle",
+                "capture-list"
+            ]
+        }
+    },
+    "chapters/09-generics.html": {
+        "title": "Глава 9: Generics и продвинутые типы",
+        "sets": {
+            "viper/09-generics": [
+                "generic-function",
+                "constraint",
+                "associated-type"
+            ]
+        }
+    },
+    "chapters/10-concurrency.html": {
+        "title": "Глава 10: Многопоточность",
+        "sets": {
+            "viper/10-concurrency": [
+                "await",
+                "main-actor",
+                "async-let"
+            ]
+        }
+    },
+    "chapters/11-uikit-basics.html": {
+        "title": "Глава 11: UIKit — Полное руководство по интерфейсам iOS",
+        "sets": {
+            "viper/11-uikit-basics": [
+                "lifecycle",
+                "uiview",
+                "autoresizing"
+            ]
+        }
+    },
+    "chapters/12-programmatic-ui.html": {
+        "title": "Глава 12: Программный UI — запуск приложения без Storyboard",
+        "sets": {
+            "viper/12-programmatic-ui": [
+                "dequeue",
+                "datasource",
+                "snapkit"
+            ]
+        }
+    },
+    "chapters/13-viper.html": {
+        "title": "Глава 13: Архитектура VIPER",
+        "sets": {
+            "viper/13-viper": [
+                "components",
+                "data-flow",
+                "view-knows"
+            ]
+        }
+    },
+    "chapters/14-project-setup.html": {
+        "title": "Глава 14: Настройка проекта",
+        "sets": {
+            "viper/14-project-setup": [
+                "spm",
+                "scene-delegate",
+                "tabbar"
+            ]
+        }
+    },
+    "chapters/15-authentication.html": {
+        "title": "Глава 15: Модуль аутентификации",
+        "sets": {
+            "viper/15-authentication": [
+                "plist",
+                "auth-protocol",
+                "validation"
+            ]
+        }
+    },
+    "chapters/16-products.html": {
+        "title": "Глава 16: Модуль товаров — Home и ProductList",
+        "sets": {
+            "viper/16-products": [
+                "codable",
+                "firestore",
+                "detail-navigation"
+            ]
+        }
+    },
+    "chapters/17-cart.html": {
+        "title": "Глава 17: Детали товара и корзина",
+        "sets": {
+            "viper/17-cart": [
+                "total",
+                "quantity-zero",
+                "any-object"
+            ]
+        }
+    },
+    "chapters/18-favorites.html": {
+        "title": "Глава 18: Избранное",
+        "sets": {
+            "viper/18-favorites": [
+                "toggle",
+                "per-user",
+                "empty-state"
+            ]
+        }
+    },
+    "chapters/19-orders.html": {
+        "title": "Глава 19: Оформление заказа",
+        "sets": {
+            "viper/19-orders": [
+                "checkout",
+                "snapshot",
+                "identifiable"
+            ]
+        }
+    },
+    "chapters/20-profile.html": {
+        "title": "Глава 20: Профиль пользователя и завершение приложения",
+        "sets": {
+            "viper/20-profile": [
+                "delete-account",
+                "confirm",
+                "logout-router"
+            ]
+        }
+    },
+    "chapters/21-reusable-views.html": {
+        "title": "Глава 21: Создание переиспользуемых UI-компонентов",
+        "sets": {
+            "viper/21-reusable-views": [
+                "design-system",
+                "dynamic-colors",
+                "final"
+            ]
+        }
+    },
+    "chapters/22-exercises.html": {
+        "title": "Глава 22: Упражнения с ответами",
+        "sets": {
+            "viper/exercises": [
+                "array-copy",
+                "failable-init",
+                "guard-else",
+                "weak-self",
+                "viper-interactor",
+                "viper-router",
+                "arc-no-retain",
+                "presenter-weak-view",
+                "viper-assembly"
+            ]
+        }
+    }
+});
@@ -0,0 +1,382 @@
+// Generated by scripts/build-nav.js from book.json.
+// Do not edit by hand: run `node scripts/build-nav.js` after changing the chapters of the book.
+registerSearchBook({
+    "id": "viper",
+    "title": "UIKit + VIPER",
+    "accent": "blue",
+    "chapters": [
+        {
+            "title": "iOS Разработка с нуля: Создаём интернет-магазин",
+            "url": "chapters/00-introduction.html",
+            "chapter": "Введение",
+            "keywords": [
+                "книга",
+                "swift",
+                "ios",
+                "начало",
+                "обзор",
+                "введение",
+                "ecommerce",
+                "viper"
+            ]
+        },
+        {
+            "title": "Знакомство с iOS разработкой и Xcode",
+            "url": "chapters/01-xcode.html",
+            "chapter": "Глава 1",
+            "keywords": [
+                "xcode",
+                "ide",
+                "установка",
+                "симулятор",
+                "проект",
+                "playground",
+                "interface builder",
+                "apple"
+            ]
+        },
+        {
+            "title": "Основы Swift — переменные и типы данных",
+            "url": "chapters/02-swift-basics.html",
+            "chapter": "Глава 2",
+            "keywords": [
+                "swift",
+                "переменные",
+                "var",
+                "let",
+                "константы",
+                "типы",
+                "int",
+                "string",
+                "double",
+                "bool",
+                "интерполяция",
+                "массивы",
+                "словари",
+                "array",
+                "dictionary"
+            ]
+        },
+        {
+            "title": "Управление потоком и коллекции",
+            "url": "chapters/03-control-flow.html",
+            "chapter": "Глава 3",
+            "keywords": [
+                "if",
+                "else",
+                "switch",
+                "case",
+                "for",
+                "while",
+                "guard",
+                "условия",
+                "циклы",
+                "control flow"
+            ]
+        },
+        {
+            "title": "Функции и замыкания",
+            "url": "chapters/04-functions.html",
+            "chapter": "Глава 4",
+            "keywords": [
+                "функции",
+                "function",
+                "closure",
+                "замыкания",
+                "параметры",
+                "return",
+                "inout",
+                "escaping",
+                "trailing"
+            ]
+        },
+        {
+            "title": "ООП — Классы, структуры и объектно-ориентированное программирование",
+            "url": "chapters/05-oop.html",
+            "chapter": "Глава 5",
+            "keywords": [
+                "ооп",
+                "класс",
+                "class",
+                "struct",
+                "структура",
+                "наследование",
+                "inheritance",
+                "инициализатор",
+                "init",
+                "enum",
+                "enumeration"
+            ]
+        },
+        {
+            "title": "Протоколы и расширения",
+            "url": "chapters/06-protocols.html",
+            "chapter": "Глава 6",
+            "keywords": [
+                "protocol",
+                "протокол",
+                "extension",
+                "расширение",
+                "delegate",
+                "делегат",
+                "pop",
+                "protocol oriented"
+            ]
+        },
+        {
+            "title": "Опционалы и обработка ошибок",
+            "url": "chapters/07-optionals.html",
+            "chapter": "Глава 7",
+            "keywords": [
+                "optional",
+                "опциональ",
+                "nil",
+                "unwrap",
+                "guard let",
+                "if let",
+                "optional chaining",
+                "nil coalescing",
+                "force unwrap"
+            ]
+        },
+        {
+            "title": "Управление памятью (ARC)",
+            "url": "chapters/08-memory.html",
+            "chapter": "Глава 8",
+            "keywords": [
+                "память",
+                "memory",
+                "arc",
+                "strong",
+                "weak",
+                "unowned",
+                "retain cycle",
+                "утечка памяти",
+                "reference counting"
+            ]
+        },
+        {
+            "title": "Generics и продвинутые типы",
+            "url": "chapters/09-generics.html",
+            "chapter": "Глава 9",
+            "keywords": [
+                "generics",
+                "дженерики",
+                "generic type",
+                "where",
+                "associated type",
+                "type constraint"
+            ]
+        },
+        {
+            "title": "Многопоточность",
+            "url": "chapters/10-concurrency.html",
+            "chapter": "Глава 10",
+            "keywords": [
+                "concurrency",
+                "async",
+                "await",
+                "task",
+                "gcd",
+                "dispatch",
+                "многопоточность",
+                "actor",
+                "main thread"
+            ]
+        },
+        {
+            "title": "UIKit — Полное руководство по интерфейсам iOS",
+            "url": "chapters/11-uikit-basics.html",
+            "chapter": "Глава 11",
+            "keywords": [
+                "uikit",
+                "uiview",
+                "uiviewcontroller",
+                "auto layout",
+                "constraints",
+                "storyboard",
+                "uibutton",
+                "uilabel",
+                "uitableview"
+            ]
+        },
+        {
+            "title": "Программный UI — запуск приложения без Storyboard",
+            "url": "chapters/12-programmatic-ui.html",
+            "chapter": "Глава 12",
+            "keywords": [
+                "программный ui",
+                "snapkit",
+                "без storyboard",
+                "scenedelegate",
+                "nslayoutconstraint",
+                "программные constraints"
+            ]
+        },
+        {
+            "title": "Архитектура VIPER",
+            "url": "chapters/13-viper.html",
+            "chapter": "Глава 13",
+            "keywords": [
+                "viper",
+                "архитектура",
+                "view",
+                "interactor",
+                "presenter",
+                "entity",
+                "router",
+                "модуль",
+                "clean architecture"
+            ]
+        },
+        {
+            "title": "Настройка проекта",
+            "url": "chapters/14-project-setup.html",
+            "chapter": "Глава 14",
+            "keywords": [
+                "project setup",
+                "spm",
+                "swift package manager",
+                "firebase",
+                "cocoapods",
+                "структура проекта"
+            ]
+        },
+        {
+            "title": "Модуль аутентификации",
+            "url": "chapters/15-authentication.html",
+            "chapter": "Глава 15",
+            "keywords": [
+                "authentication",
+                "аутентификация",
+                "firebase auth",
+                "google sign in",
+                "login",
+                "register",
+                "авторизация"
+            ]
+        },
+        {
+            "title": "Модуль товаров — Home и ProductList",
+            "url": "chapters/16-products.html",
+            "chapter": "Глава 16",
+            "keywords": [
+                "products",
+                "товары",
+                "каталог",
+                "категории",
+                "uicollectionview",
+                "firestore",
+                "product list"
+            ]
+        },
+        {
+            "title": "Детали товара и корзина",
+            "url": "chapters/17-cart.html",
+            "chapter": "Глава 17",
+            "keywords": [
+                "cart",
+                "корзина",
+                "покупки",
+                "firestore",
+                "добавление",
+                "удаление",
+                "quantity"
+            ]
+        },
+        {
+            "title": "Избранное",
+            "url": "chapters/18-favorites.html",
+            "chapter": "Глава 18",
+            "keywords": [
+                "favorites",
+                "избранное",
+                "realm",
+                "локальная база",
+                "wishlist",
+                "сохранение"
+            ]
+        },
+        {
+            "title": "Оформление заказа",
+            "url": "chapters/19-orders.html",
+            "chapter": "Глава 19",
+            "keywords": [
+                "orders",
+                "заказы",
+                "оформление",
+                "checkout",
+                "адреса",
+                "история заказов"
+            ]
+        },
+        {
+            "title": "Профиль пользователя и завершение приложения",
+            "url": "chapters/20-profile.html",
+            "chapter": "Глава 20",
+            "keywords": [
+                "profile",
+                "профиль",
+                "пользователь",
+                "настройки",
+                "logout",
+                "user settings"
+            ]
+        },
+        {
+            "title": "Создание переиспользуемых UI-компонентов",
+            "url": "chapters/21-reusable-views.html",
+            "chapter": "Глава 21",
+            "keywords": [
+                "reusable",
+                "dskit",
+                "компоненты",
+                "переиспользуемые",
+                "ui components",
+                "темизация",
+                "theme"
+            ]
+        },
+        {
+            "title": "Упражнения с ответами",
+            "url": "chapters/22-exercises.html",
+            "chapter": "Глава 22",
+            "keywords": [
+                "задания",
+                "упражнения",
+                "ответы",
+                "тесты",
+                "quiz",
+                "практика",
+                "exercises"
+            ]
+        },
+        {
+            "title": "Повторение",
+            "url": "chapters/review.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "повторение",
+                "интервальные повторения",
+                "ошибки",
+                "тесты",
+                "review",
+                "карточки"
+            ]
+        },
+        {
+            "title": "Итоги обучения",
+            "url": "chapters/summary.html",
+            "chapter": "Дополнительно",
+            "keywords": [
+                "итоги",
+                "результаты",
+                "сертификат",
+                "экспорт",
+                "json",
+                "csv",
+                "печать"
+            ]
+        }
+    ]
+});
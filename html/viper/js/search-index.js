@@ -0,0 +1,5632 @@
+// Generated by scripts/build-search-index.js from chapters/*.html.
+// Do not edit by hand: run `node scripts/build-search-index.js` after changing a chapter.
+registerSearchContent('viper', [
+    {
+        "url": "chapters/00-introduction.html",
+        "chapter": "Введение",
+        "title": "iOS Разработка с нуля: Создаём интернет-магазин",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "Для кого эта книга?",
+                "anchor": "dlya-kogo-eta-kniga",
+                "text": "Эта книга написана специально для веб-разработчиков, которые знают HTML и CSS, но хотят освоить мобильную разработку под iOS. Если вы: Создавали веб-страницы и понимаете базовые концепции программирования Хотите научиться создавать приложения для iPhone и iPad Предпочитаете учиться на практике, создавая реальный проект Готовы посвятить время изучению нового языка и платформы ...то эта книга для вас!",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Что вы создадите?",
+                "anchor": "chto-vy-sozdadite",
+                "text": "К концу книги вы создадите полнофункциональное приложение интернет-магазина со следующими возможностями: Аутентификация пользователей — вход через email и Google Каталог товаров — просмотр и поиск продуктов Корзина покупок — добавление товаров и оформление заказа Избранное — сохранение понравившихся товаров История заказов — просмотр совершённых покупок Приложение будет построено на профессиональной архитектуре VIPER, которую используют в крупных компаниях.",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Структура книги",
+                "anchor": "struktura-knigi",
+                "text": "Книга разделена на 4 части: Часть I: Основы Swift (Главы 1-10) Полное изучение языка программирования Swift — от переменных до многопоточности. Каждая глава содержит: Теоретическое объяснение Практические примеры Упражнения для закрепления Сравнение с концепциями из веб-разработки Часть II: UIKit — создание интерфейсов (Главы 11-12) Изучение фреймворка UIKit для создания пользовательских интерфейсов: Основные компоненты (кнопки, текстовые поля, таблицы) Программная вёрстка с SnapKit Навигация между экранами Работа с изображениями Часть III: Архитектура VIPER (Глава 13) Подробное изучение архитектурного паттерна VIPER: Что такое архитектура и зачем она нужна Компоненты VIPER: View, Interactor, Presenter, Entity, Router Как они взаимодействуют друг с другом Часть IV: Создание приложения (Главы 14-20) Пошаговое создание приложения интернет-магазина: Настройка проекта и зависимостей Модуль аутентификации Каталог товаров Корзина и избранное Оформление заказов",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Что вам понадобится?",
+                "anchor": "chto-vam-ponadobitsya",
+                "text": "Mac с macOS (Monterey 12.0 или новее) Xcode 15 или новее (бесплатно из App Store) Apple ID (для скачивания Xcode) ~20 ГБ свободного места на диске Терпение и желание учиться — это самое важное! Примечание: iOS разработка возможна только на компьютерах Mac. Если у вас Windows или Linux, вы можете использовать виртуальную машину macOS или облачные сервисы типа MacStadium.",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Как пользоваться книгой?",
+                "anchor": "kak-polzovatsya-knigoy",
+                "text": "Читайте последовательно — каждая глава основывается на предыдущей Набирайте код руками — не копируйте, это поможет лучше запомнить Делайте упражнения — они закрепляют материал Экспериментируйте — меняйте код и смотрите, что получится Не сдавайтесь — если что-то непонятно, перечитайте ещё раз",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Сравнение с веб-разработкой",
+                "anchor": "sravnenie-s-veb-razrabotkoy",
+                "text": "Для облегчения понимания, вот краткое сравнение концепций: Веб (HTML/CSS/JS) iOS (Swift/UIKit) HTML тегиUIView компоненты CSS стилиСвойства UIView JavaScriptSwift DOMView Hierarchy CSS FlexboxAuto Layout onclick@IBAction / addTarget fetch()URLSession localStorageUserDefaults / Realm npm packagesSwift Package Manager",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Условные обозначения",
+                "anchor": "uslovnye-oboznacheniya",
+                "text": "В книге используются следующие обозначения: Важно: Блоки с таким оформлением содержат важную информацию Совет: Полезные подсказки и лучшие практики Внимание: Предупреждения о возможных ошибках Упражнение: Задания помечены жирным шрифтом",
+                "code": "// Это код на Swift — вам нужно его набрать\nlet greeting = \"Привет, мир!\""
+            },
+            {
+                "section": "",
+                "subsection": "Благодарности",
+                "anchor": "blagodarnosti",
+                "text": "Эта книга основана на открытом проекте ECommerce-VIPER от Berkay Sancar. Спасибо за отличный пример профессиональной iOS разработки!",
+                "code": ""
+            },
+            {
+                "section": "",
+                "subsection": "Готовы начать?",
+                "anchor": "gotovy-nachat",
+                "text": "Переходите к Главе 1: Знакомство с Xcode и начните своё путешествие в мир iOS разработки! Удачи в изучении! Помните: каждый профессиональный разработчик когда-то был новичком.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/01-xcode.html",
+        "chapter": "Глава 1",
+        "title": "Знакомство с iOS разработкой и Xcode",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Добро пожаловать в мир iOS разработки! В этой главе вы познакомитесь с основным инструментом каждого iOS разработчика — Xcode. Если вы работали с веб-разработкой, то Xcode можно сравнить с VS Code или WebStorm, но со встроенной поддержкой всего, что нужно для создания приложений под устройства Apple.",
+                "code": ""
+            },
+            {
+                "section": "1.1 Что такое iOS разработка",
+                "subsection": "Экосистема Apple",
+                "anchor": "ekosistema-apple",
+                "text": "iOS — это операционная система, работающая на iPhone и iPod Touch. Apple также имеет другие платформы: iPadOS — для iPad (очень похож на iOS) watchOS — для Apple Watch tvOS — для Apple TV macOS — для компьютеров Mac Хорошая новость: выучив iOS разработку, вы сможете создавать приложения для всех этих платформ!",
+                "code": ""
+            },
+            {
+                "section": "1.1 Что такое iOS разработка",
+                "subsection": "Языки программирования",
+                "anchor": "yazyki-programmirovaniya",
+                "text": "Для iOS разработки используются два языка: Swift — современный язык, созданный Apple в 2014 году. Это основной язык для новых проектов. Objective-C — старый язык, использовавшийся до Swift. Встречается в legacy-проектах. В этой книге мы будем использовать только Swift — он проще, безопаснее и современнее.",
+                "code": ""
+            },
+            {
+                "section": "1.1 Что такое iOS разработка",
+                "subsection": "Сравнение с веб-разработкой",
+                "anchor": "sravnenie-s-veb-razrabotkoy",
+                "text": "Веб-разработка iOS разработка Браузер выполняет кодiOS выполняет код HTML определяет структуруUIKit/SwiftUI определяют интерфейс CSS стилизует элементыСвойства UIView стилизуют элементы JavaScript добавляет логикуSwift добавляет логику Chrome DevTools для отладкиXcode Debugger для отладки npm для пакетовSwift Package Manager для пакетов",
+                "code": ""
+            },
+            {
+                "section": "1.2 Установка Xcode",
+                "subsection": "Системные требования",
+                "anchor": "sistemnye-trebovaniya",
+                "text": "Перед установкой убедитесь, что ваш Mac соответствует требованиям: macOS: Monterey 12.0 или новее Память: минимум 8 ГБ RAM (рекомендуется 16 ГБ) Диск: минимум 35 ГБ свободного места Процессор: любой Mac с чипом Apple Silicon (M1, M2, M3) или Intel",
+                "code": ""
+            },
+            {
+                "section": "1.2 Установка Xcode",
+                "subsection": "Установка из App Store",
+                "anchor": "ustanovka-iz-app-store",
+                "text": "Откройте App Store на вашем Mac В поиске введите \"Xcode\" Нажмите \"Загрузить\" (или \"Установить\") Дождитесь завершения загрузки (~12 ГБ) После установки откройте Xcode из папки Applications Важно: Первый запуск Xcode может занять несколько минут — он установит дополнительные компоненты.",
+                "code": ""
+            },
+            {
+                "section": "1.2 Установка Xcode",
+                "subsection": "Принятие лицензии",
+                "anchor": "prinyatie-litsenzii",
+                "text": "При первом запуске Xcode попросит: Принять лицензионное соглашение Ввести пароль администратора для установки компонентов",
+                "code": ""
+            },
+            {
+                "section": "1.2 Установка Xcode",
+                "subsection": "Установка Command Line Tools",
+                "anchor": "ustanovka-command-line-tools",
+                "text": "Command Line Tools — это набор инструментов для работы с Swift из терминала. Обычно они устанавливаются автоматически с Xcode, но можно проверить: Если инструменты уже установлены, вы увидите сообщение об этом.",
+                "code": "# Откройте Terminal и выполните:\nxcode-select --install"
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "",
+                "anchor": "1-3-interfeys-xcode",
+                "text": "При первом открытии Xcode вы увидите окно приветствия. Давайте разберём основные области интерфейса.",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "Окно приветствия (Welcome Window)",
+                "anchor": "okno-privetstviya-welcome-window",
+                "text": "При запуске Xcode показывает окно с опциями: Create a new Xcode project — создать новый проект Clone an existing project — клонировать проект из Git Open a project or file — открыть существующий проект Recent projects — список недавних проектов",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "Основной интерфейс",
+                "anchor": "osnovnoy-interfeys",
+                "text": "После открытия проекта вы увидите основной интерфейс с несколькими областями:",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                        Toolbar (Панель инструментов)            │\n├──────────┬──────────────────────────────────────┬───────────────┤\n│          │                                      │               │\n│ Navigator│           Editor Area                │   Inspector   │\n│  (Левая  │        (Центральная область          │   (Правая     │\n│  панель) │         редактирования)              │   панель)     │\n│          │                                      │               │\n│          │                                      │               │\n├──────────┴──────────────────────────────────────┴───────────────┤\n│                    Debug Area (Область отладки)                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "1. Toolbar (Панель инструментов)",
+                "anchor": "1-toolbar-panel-instrumentov",
+                "text": "Расположена вверху окна: Run button (▶️) — запустить приложение Stop button (⏹) — остановить приложение Scheme selector — выбор устройства для запуска (симулятор или реальное устройство) Status bar — показывает текущий статус (сборка, ошибки и т.д.)",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "2. Navigator (Левая панель)",
+                "anchor": "2-navigator-levaya-panel",
+                "text": "Показывает структуру проекта. Есть несколько вкладок: Иконка Название Описание 📁Project NavigatorФайлы проекта (как проводник) 🔍Search NavigatorПоиск по проекту ⚠️Issue NavigatorОшибки и предупреждения 🧪Test NavigatorТесты 🐛Debug NavigatorИнформация об отладке 📊Report NavigatorОтчёты о сборке Горячая клавиша: Cmd + 0 — скрыть/показать Navigator",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "3. Editor Area (Область редактирования)",
+                "anchor": "3-editor-area-oblast-redaktirovaniya",
+                "text": "Центральная часть — здесь вы пишете код. Может отображать: Source Editor — редактор кода Interface Builder — визуальный редактор интерфейса Asset Catalog — менеджер ресурсов (картинки, иконки) Property List Editor — редактор plist файлов",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "4. Inspector (Правая панель)",
+                "anchor": "4-inspector-pravaya-panel",
+                "text": "Показывает свойства выбранного элемента: File Inspector — информация о файле Quick Help — документация Identity Inspector — идентификатор элемента UI Attributes Inspector — свойства элемента Size Inspector — размеры и позиция Горячая клавиша: Cmd + Option + 0 — скрыть/показать Inspector",
+                "code": ""
+            },
+            {
+                "section": "1.3 Интерфейс Xcode",
+                "subsection": "5. Debug Area (Область отладки)",
+                "anchor": "5-debug-area-oblast-otladki",
+                "text": "Расположена внизу, появляется при запуске приложения: Variables View — переменные в текущем контексте Console — вывод логов и команд отладки Горячая клавиша: Cmd + Shift + Y — скрыть/показать Debug Area",
+                "code": ""
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "",
+                "anchor": "1-4-sozdanie-pervogo-proekta",
+                "text": "Давайте создадим ваш первый iOS проект!",
+                "code": ""
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "Шаг 1: Создание проекта",
+                "anchor": "shag-1-sozdanie-proekta",
+                "text": "Откройте Xcode Выберите \"Create a new Xcode project\" Выберите iOS → App Нажмите Next",
+                "code": ""
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "Шаг 2: Настройка проекта",
+                "anchor": "shag-2-nastroyka-proekta",
+                "text": "Заполните поля: Поле Значение Описание Product NameMyFirstAppНазвание приложения TeamNone (или ваш Apple ID)Команда разработчика Organization Identifiercom.yournameУникальный идентификатор (как домен наоборот) Bundle IdentifierАвтоматическиПолный ID приложения InterfaceStoryboardСпособ создания UI LanguageSwiftЯзык программирования Важно: Выберите Storyboard, а не SwiftUI. В этой книге мы используем UIKit.",
+                "code": ""
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "Шаг 3: Сохранение проекта",
+                "anchor": "shag-3-sohranenie-proekta",
+                "text": "Нажмите Next Выберите папку для сохранения (например, Documents) Убедитесь, что Create Git repository отмечено Нажмите Create",
+                "code": ""
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "Структура проекта",
+                "anchor": "struktura-proekta",
+                "text": "После создания вы увидите следующие файлы:",
+                "code": "MyFirstApp/\n├── MyFirstApp.xcodeproj     # Файл проекта Xcode\n├── MyFirstApp/\n│   ├── AppDelegate.swift    # Точка входа приложения\n│   ├── SceneDelegate.swift  # Управление сценами (окнами)\n│   ├── ViewController.swift # Контроллер главного экрана\n│   ├── Main.storyboard      # Визуальный интерфейс\n│   ├── Assets.xcassets      # Ресурсы (картинки, иконки)\n│   ├── LaunchScreen.storyboard # Экран загрузки\n│   └── Info.plist           # Настройки приложения\n└── MyFirstAppTests/         # Юнит-тесты"
+            },
+            {
+                "section": "1.4 Создание первого проекта",
+                "subsection": "Сравнение со структурой веб-проекта",
+                "anchor": "sravnenie-so-strukturoy-veb-proekta",
+                "text": "iOS файл Аналог в веб Назначение AppDelegate.swiftindex.js (точка входа)Инициализация приложения ViewController.swiftКомпонент React/VueЛогика экрана Main.storyboardHTML файлСтруктура интерфейса Assets.xcassetsПапка images/Ресурсы Info.plistpackage.json / configНастройки",
+                "code": ""
+            },
+            {
+                "section": "1.5 Симулятор iOS",
+                "subsection": "",
+                "anchor": "1-5-simulyator-ios",
+                "text": "Симулятор позволяет запускать приложения без реального iPhone.",
+                "code": ""
+            },
+            {
+                "section": "1.5 Симулятор iOS",
+                "subsection": "Запуск приложения",
+                "anchor": "zapusk-prilozheniya",
+                "text": "В Toolbar выберите симулятор (например, iPhone 15 Pro) Нажмите кнопку Run (▶️) или Cmd + R Дождитесь запуска симулятора Ваше приложение откроется автоматически",
+                "code": ""
+            },
+            {
+                "section": "1.5 Симулятор iOS",
+                "subsection": "Управление симулятором",
+                "anchor": "upravlenie-simulyatorom",
+                "text": "Действие Как сделать Нажатие на экранКлик мышью СвайпЗажать и провести мышью ДомойCmd + Shift + H Блокировка экранаCmd + L Поворот экранаCmd + ← или Cmd + → СкриншотCmd + S Сброс симулятораDevice → Erase All Content and Settings",
+                "code": ""
+            },
+            {
+                "section": "1.5 Симулятор iOS",
+                "subsection": "Меню симулятора",
+                "anchor": "menyu-simulyatora",
+                "text": "Device — управление устройством I/O — имитация сенсоров (GPS, Face ID) Features — дополнительные функции",
+                "code": ""
+            },
+            {
+                "section": "1.5 Симулятор iOS",
+                "subsection": "Выбор разных устройств",
+                "anchor": "vybor-raznyh-ustroystv",
+                "text": "В Xcode можно выбрать разные симуляторы: iPhone SE (маленький экран) iPhone 15 (стандартный) iPhone 15 Pro Max (большой экран) iPad (планшет) Совет: Тестируйте на разных размерах экрана, чтобы убедиться, что интерфейс выглядит хорошо везде.",
+                "code": ""
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "",
+                "anchor": "1-6-playground-pesochnitsa-dlya-eksperimentov",
+                "text": "Playground — это интерактивная среда для изучения Swift без создания полноценного проекта. Идеально подходит для обучения!",
+                "code": ""
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "Создание Playground",
+                "anchor": "sozdanie-playground",
+                "text": "File → New → Playground (или Cmd + Shift + Option + N) Выберите Blank в разделе iOS Нажмите Next Введите имя (например, \"SwiftPractice\") и сохраните",
+                "code": ""
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "Интерфейс Playground",
+                "anchor": "interfeys-playground",
+                "text": "Слева вы пишете код, справа сразу видите результат!",
+                "code": "┌────────────────────────────────────────────────────────────────┐\n│  Код Swift                              │  Результаты          │\n│                                         │                      │\n│  let name = \"Мир\"                       │  \"Мир\"               │\n│  print(\"Привет, \\(name)!\")              │  \"Привет, Мир!\"      │\n│                                         │                      │\n│  let sum = 2 + 2                        │  4                   │\n│                                         │                      │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "Пример использования",
+                "anchor": "primer-ispolzovaniya",
+                "text": "Напишите в Playground:",
+                "code": "import UIKit\n\n// Это ваш первый код на Swift!\nlet greeting = \"Привет\"\nlet name = \"Swift\"\nlet message = \"\\(greeting), \\(name)!\"\n\nprint(message)\n\n// Простые вычисления\nlet a = 10\nlet b = 20\nlet sum = a + b\n\n// Результат будет виден справа"
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "Выполнение кода",
+                "anchor": "vypolnenie-koda",
+                "text": "Автоматически: код выполняется по мере ввода Вручную: нажмите кнопку ▶️ слева от строки или Cmd + Shift + Enter",
+                "code": ""
+            },
+            {
+                "section": "1.6 Playground — песочница для экспериментов",
+                "subsection": "Когда использовать Playground",
+                "anchor": "kogda-ispolzovat-playground",
+                "text": "✅ Используйте Playground для: Изучения синтаксиса Swift Экспериментов с кодом Тестирования алгоритмов Выполнения упражнений из этой книги ❌ Не используйте для: Создания реальных приложений Работы с UI (есть ограничения)",
+                "code": ""
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "",
+                "anchor": "1-7-otladka-koda",
+                "text": "Отладка (debugging) — это процесс поиска и исправления ошибок в коде.",
+                "code": ""
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "Виды ошибок",
+                "anchor": "vidy-oshibok",
+                "text": "Compile-time errors — ошибки компиляции (код не соберётся) Runtime errors — ошибки выполнения (приложение упадёт) Logic errors — логические ошибки (приложение работает неправильно)",
+                "code": ""
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "Breakpoints (Точки останова)",
+                "anchor": "breakpoints-tochki-ostanova",
+                "text": "Breakpoint позволяет остановить выполнение программы на определённой строке. Как поставить breakpoint: Кликните на номер строки в левом поле редактора Появится синий маркер — это breakpoint Как убрать breakpoint: Кликните на него ещё раз и перетащите в сторону",
+                "code": ""
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "Использование Debugger",
+                "anchor": "ispolzovanie-debugger",
+                "text": "Когда программа остановится на breakpoint: Continue (▶️) — продолжить выполнение Step Over (⤵️) — выполнить строку и перейти к следующей Step Into (↓) — войти внутрь функции Step Out (↑) — выйти из функции Горячие клавиши: Cmd + Y — включить/выключить breakpoints F6 — Step Over F7 — Step Into F8 — Step Out",
+                "code": ""
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "Консоль отладки",
+                "anchor": "konsol-otladki",
+                "text": "В Debug Area → Console вы можете:",
+                "code": "// В коде используйте print для вывода в консоль\nprint(\"Значение переменной x: \\(x)\")\n\n// Можно выводить несколько значений\nprint(\"a =\", a, \"b =\", b, \"sum =\", a + b)"
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "LLDB команды",
+                "anchor": "lldb-komandy",
+                "text": "В консоли можно вводить команды отладчика:",
+                "code": "(lldb) po variableName       // Напечатать значение переменной\n(lldb) p variableName        // То же, с типом\n(lldb) expression x = 5      // Изменить значение во время отладки"
+            },
+            {
+                "section": "1.7 Отладка кода",
+                "subsection": "View Hierarchy Debugger",
+                "anchor": "view-hierarchy-debugger",
+                "text": "Для отладки интерфейса: Запустите приложение Нажмите Debug → View Debugging → Capture View Hierarchy Увидите 3D-представление всех слоёв интерфейса Это помогает понять, как элементы UI расположены друг относительно друга.",
+                "code": ""
+            },
+            {
+                "section": "1.8 Горячие клавиши Xcode",
+                "subsection": "",
+                "anchor": "1-8-goryachie-klavishi-xcode",
+                "text": "Запомните эти горячие клавиши — они сильно ускоряют работу:",
+                "code": ""
+            },
+            {
+                "section": "1.8 Горячие клавиши Xcode",
+                "subsection": "Основные",
+                "anchor": "osnovnye",
+                "text": "Клавиши Действие Cmd + RЗапустить приложение Cmd + .Остановить приложение Cmd + BСобрать проект (без запуска) Cmd + Shift + KОчистить проект",
+                "code": ""
+            },
+            {
+                "section": "1.8 Горячие клавиши Xcode",
+                "subsection": "Навигация",
+                "anchor": "navigatsiya",
+                "text": "Клавиши Действие Cmd + Shift + OБыстрое открытие файла Cmd + Shift + JПоказать файл в Navigator Ctrl + 6Список методов в файле Cmd + кликПерейти к определению",
+                "code": ""
+            },
+            {
+                "section": "1.8 Горячие клавиши Xcode",
+                "subsection": "Редактирование",
+                "anchor": "redaktirovanie",
+                "text": "Клавиши Действие Cmd + /Закомментировать строку Cmd + [Уменьшить отступ Cmd + ]Увеличить отступ Ctrl + IАвтоформатирование Cmd + Option + [Переместить строку вверх Cmd + Option + ]Переместить строку вниз",
+                "code": ""
+            },
+            {
+                "section": "1.8 Горячие клавиши Xcode",
+                "subsection": "Панели",
+                "anchor": "paneli",
+                "text": "Клавиши Действие Cmd + 0Скрыть/показать Navigator Cmd + Option + 0Скрыть/показать Inspector Cmd + Shift + YСкрыть/показать Debug Area",
+                "code": ""
+            },
+            {
+                "section": "1.9 Упражнения",
+                "subsection": "Упражнение 1.1: Создайте проект",
+                "anchor": "uprazhnenie-1-1-sozdayte-proekt",
+                "text": "Создайте новый iOS проект с названием \"HelloWorld\" Выберите Storyboard и Swift Запустите его на симуляторе iPhone 15",
+                "code": ""
+            },
+            {
+                "section": "1.9 Упражнения",
+                "subsection": "Упражнение 1.2: Исследуйте интерфейс",
+                "anchor": "uprazhnenie-1-2-issleduyte-interfeys",
+                "text": "Найдите все панели Xcode (Navigator, Editor, Inspector, Debug Area) Попробуйте скрыть и показать каждую панель горячими клавишами Откройте каждый файл проекта и посмотрите его содержимое",
+                "code": ""
+            },
+            {
+                "section": "1.9 Упражнения",
+                "subsection": "Упражнение 1.3: Playground",
+                "anchor": "uprazhnenie-1-3-playground",
+                "text": "Создайте новый Playground Напишите код: Убедитесь, что результаты отображаются справа",
+                "code": "let myName = \"Ваше имя\"\nlet myAge = 25 // ваш возраст\nprint(\"Меня зовут \\(myName), мне \\(myAge) лет\")\n\nlet nextYear = myAge + 1\nprint(\"В следующем году мне будет \\(nextYear)\")"
+            },
+            {
+                "section": "1.9 Упражнения",
+                "subsection": "Упражнение 1.4: Отладка",
+                "anchor": "uprazhnenie-1-4-otladka",
+                "text": "В Playground добавьте breakpoint на любую строку Запустите код и посмотрите, как он остановится Используйте Step Over для пошагового выполнения Посмотрите значения переменных в Debug Area",
+                "code": ""
+            },
+            {
+                "section": "1.9 Упражнения",
+                "subsection": "Упражнение 1.5: Горячие клавиши",
+                "anchor": "uprazhnenie-1-5-goryachie-klavishi",
+                "text": "Попрактикуйтесь с горячими клавишами: Cmd + Shift + O — откройте файл ViewController.swift Cmd + / — закомментируйте строку Ctrl + I — отформатируйте код Cmd + B — соберите проект",
+                "code": ""
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Что такое iOS разработка и как она связана с веб-разработкой ✅ Как установить Xcode ✅ Основные области интерфейса Xcode ✅ Как создать первый iOS проект ✅ Как использовать симулятор ✅ Что такое Playground и как его использовать для обучения ✅ Основы отладки кода ✅ Важные горячие клавиши",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 2 мы начнём изучать язык Swift — переменные, константы и типы данных. Совет: Не торопитесь переходить к следующей главе. Убедитесь, что вы комфортно чувствуете себя в Xcode. Попробуйте поиграть с Playground, создать несколько проектов, понажимать разные кнопки. Это ваш основной инструмент на ближайшее время!",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/02-swift-basics.html",
+        "chapter": "Глава 2",
+        "title": "Основы Swift — переменные и типы данных",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Swift — это современный язык программирования, созданный Apple в 2014 году. Он сочетает в себе мощность и производительность с простотой и безопасностью. В этой главе мы изучим фундаментальные концепции Swift: переменные, константы и типы данных. Если вы знакомы с JavaScript, многие концепции покажутся знакомыми, но есть важные отличия, которые мы обсудим.",
+                "code": ""
+            },
+            {
+                "section": "2.1 Введение в Swift",
+                "subsection": "Характеристики Swift",
+                "anchor": "harakteristiki-swift",
+                "text": "Безопасный (Safe) — Swift предотвращает многие ошибки на этапе компиляции Быстрый (Fast) — производительность сравнима с C++ Выразительный (Expressive) — чистый и читаемый синтаксис Современный — поддерживает современные парадигмы программирования",
+                "code": ""
+            },
+            {
+                "section": "2.1 Введение в Swift",
+                "subsection": "Swift vs JavaScript",
+                "anchor": "swift-vs-javascript",
+                "text": "Особенность JavaScript Swift ТипизацияДинамическаяСтатическая КомпиляцияИнтерпретируемыйКомпилируемый Точка с запятойОпциональноНе нужна Объявление переменныхvar, let, constvar, let Null-значениеnull, undefinednil (только для Optional)",
+                "code": ""
+            },
+            {
+                "section": "2.1 Введение в Swift",
+                "subsection": "Ваша первая программа на Swift",
+                "anchor": "vasha-pervaya-programma-na-swift",
+                "text": "Откройте Playground и напишите: print() — это функция, которая выводит текст в консоль. Как console.log() в JavaScript.",
+                "code": "import UIKit\n\n// Это комментарий — он не выполняется\nprint(\"Привет, мир!\")"
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "",
+                "anchor": "2-2-peremennye-i-konstanty-var-i-let",
+                "text": "В Swift есть два способа хранить данные:",
+                "code": ""
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "Переменные (var)",
+                "anchor": "peremennye-var",
+                "text": "Переменная — это контейнер для данных, значение которого может изменяться.",
+                "code": "var score = 0\nprint(score)  // 0\n\nscore = 10\nprint(score)  // 10\n\nscore = score + 5\nprint(score)  // 15"
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "Константы (let)",
+                "anchor": "konstanty-let",
+                "text": "Константа — это контейнер для данных, значение которого НЕ может изменяться после присвоения.",
+                "code": "let name = \"Алексей\"\nprint(name)  // Алексей\n\n// name = \"Иван\"  // ❌ ОШИБКА! Константу нельзя изменить"
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "Когда использовать var, а когда let?",
+                "anchor": "kogda-ispolzovat-var-a-kogda-let",
+                "text": "Правило: Всегда используйте let по умолчанию. Используйте var только когда значение действительно будет меняться. Xcode подскажет, если вы используете var там, где можно использовать let.",
+                "code": "// ✅ Хорошо: значение не меняется — используем let\nlet maximumAttempts = 3\nlet welcomeMessage = \"Добро пожаловать!\"\nlet pi = 3.14159\n\n// ✅ Хорошо: значение меняется — используем var\nvar currentAttempt = 0\ncurrentAttempt = 1\ncurrentAttempt = 2\n\nvar totalScore = 0\ntotalScore += 100"
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "Сравнение с JavaScript",
+                "anchor": "sravnenie-s-javascript",
+                "text": "",
+                "code": "// JavaScript\nconst name = \"Алексей\";  // константа\nlet score = 0;           // переменная (может меняться)\nvar oldStyle = \"avoid\";  // старый стиль (избегайте)\n// Swift\nlet name = \"Алексей\"     // константа\nvar score = 0            // переменная\n// В Swift нет \"const\" — используется \"let\""
+            },
+            {
+                "section": "2.2 Переменные и константы (var и let)",
+                "subsection": "Именование переменных",
+                "anchor": "imenovanie-peremennyh",
+                "text": "В Swift используется camelCase (как в JavaScript):",
+                "code": "// ✅ Правильно\nlet firstName = \"Иван\"\nlet lastName = \"Петров\"\nlet numberOfItems = 5\nlet isLoggedIn = true\n\n// ❌ Неправильно\nlet first_name = \"Иван\"    // snake_case не принят\nlet FirstName = \"Иван\"     // PascalCase для типов, не переменных\nlet n = 5                   // слишком короткое, непонятное имя"
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "",
+                "anchor": "2-3-bazovye-tipy-dannyh",
+                "text": "Swift — это строго типизированный язык. Это значит, что каждая переменная имеет определённый тип, и этот тип не может измениться.",
+                "code": ""
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "Int (целые числа)",
+                "anchor": "int-tselye-chisla",
+                "text": "Важно: При делении двух целых чисел результат тоже целое число (дробная часть отбрасывается).",
+                "code": "let age: Int = 25\nlet year: Int = 2024\nlet negativeNumber: Int = -100\nlet million: Int = 1_000_000  // подчёркивания для читаемости\n\n// Операции с целыми числами\nlet sum = 10 + 5        // 15\nlet difference = 10 - 5  // 5\nlet product = 10 * 5     // 50\nlet quotient = 10 / 3    // 3 (целочисленное деление!)\nlet remainder = 10 % 3   // 1 (остаток от деления)"
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "Double и Float (числа с плавающей точкой)",
+                "anchor": "double-i-float-chisla-s-plavayuschey-tochkoy",
+                "text": "Совет: Используйте Double по умолчанию. Float нужен редко.",
+                "code": "let price: Double = 19.99\nlet temperature: Double = -5.5\nlet pi: Double = 3.14159265359\n\n// Float менее точный, но занимает меньше памяти\nlet floatNumber: Float = 3.14\n\n// Операции с дробными числами\nlet total = 10.0 / 3.0   // 3.333333...\nlet rounded = 10.5 + 0.5  // 11.0"
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "String (строки)",
+                "anchor": "string-stroki",
+                "text": "",
+                "code": "let greeting: String = \"Привет!\"\nlet name: String = \"Мир\"\nlet empty: String = \"\"\n\n// Многострочные строки\nlet poem: String = \"\"\"\n    Это многострочная строка.\n    Она может содержать несколько строк.\n    Очень удобно для длинного текста.\n    \"\"\"\n\n// Операции со строками\nlet fullGreeting = greeting + \" \" + name  // \"Привет! Мир\"\nlet count = greeting.count                 // 7 (количество символов)\nlet isEmpty = empty.isEmpty                // true\nlet upper = greeting.uppercased()          // \"ПРИВЕТ!\"\nlet lower = greeting.lowercased()          // \"привет!\""
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "Bool (логический тип)",
+                "anchor": "bool-logicheskiy-tip",
+                "text": "",
+                "code": "let isActive: Bool = true\nlet isCompleted: Bool = false\n\n// Логические операции\nlet and = true && false   // false (И)\nlet or = true || false    // true (ИЛИ)\nlet not = !true           // false (НЕ)\n\n// Сравнения возвращают Bool\nlet isEqual = (5 == 5)      // true\nlet isNotEqual = (5 != 3)   // true\nlet isGreater = (10 > 5)    // true\nlet isLessOrEqual = (5 <= 5) // true"
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "Character (одиночный символ)",
+                "anchor": "character-odinochnyy-simvol",
+                "text": "",
+                "code": "let letter: Character = \"A\"\nlet emoji: Character = \"🍎\"\nlet digit: Character = \"7\"\n\n// Character можно использовать в строках\nlet word: String = \"Swift\"\nlet firstChar: Character = word.first!  // \"S\""
+            },
+            {
+                "section": "2.3 Базовые типы данных",
+                "subsection": "Tuple (Кортеж)",
+                "anchor": "tuple-kortezh",
+                "text": "Группировка нескольких значений в одно составное значение. Вывод",
+                "code": "// Создание кортежа\nlet coordinates = (55.75, 37.62)\nlet person = (name: \"Мария\", age: 25)\n\n// Доступ к элементам\ncoordinates.0         // 55.75\ncoordinates.1         // 37.62\nperson.name           // \"Мария\"\nperson.age            // 25\n\n// Декомпозиция\nlet (lat, lon) = coordinates\nprint(\"Широта: \\(lat), Долгота: \\(lon)\")\nШирота: 55.75, Долгота: 37.62"
+            },
+            {
+                "section": "2.4 Строки и интерполяция",
+                "subsection": "Интерполяция строк",
+                "anchor": "interpolyatsiya-strok",
+                "text": "Интерполяция — это вставка значений переменных внутрь строки.",
+                "code": "let name = \"Анна\"\nlet age = 28\n\n// Интерполяция с \\()\nlet message = \"Меня зовут \\(name), мне \\(age) лет.\"\nprint(message)  // \"Меня зовут Анна, мне 28 лет.\"\n\n// Можно вставлять выражения\nlet price = 100.0\nlet tax = 0.2\nlet total = \"Итого: \\(price * (1 + tax)) руб.\"\nprint(total)  // \"Итого: 120.0 руб.\""
+            },
+            {
+                "section": "2.4 Строки и интерполяция",
+                "subsection": "Сравнение с JavaScript",
+                "anchor": "sravnenie-s-javascript-2",
+                "text": "",
+                "code": "// JavaScript — шаблонные строки\nconst message = `Меня зовут ${name}, мне ${age} лет.`;\n// Swift — интерполяция\nlet message = \"Меня зовут \\(name), мне \\(age) лет.\""
+            },
+            {
+                "section": "2.4 Строки и интерполяция",
+                "subsection": "Специальные символы",
+                "anchor": "spetsialnye-simvoly",
+                "text": "",
+                "code": "let newLine = \"Первая строка\\nВторая строка\"\nlet tab = \"Колонка1\\tКолонка2\"\nlet quote = \"Он сказал: \\\"Привет!\\\"\"\nlet backslash = \"Путь: C:\\\\Users\\\\Name\"\n\nprint(newLine)\n// Первая строка\n// Вторая строка"
+            },
+            {
+                "section": "2.4 Строки и интерполяция",
+                "subsection": "Полезные методы строк",
+                "anchor": "poleznye-metody-strok",
+                "text": "",
+                "code": "let text = \"  Hello, Swift!  \"\n\n// Удаление пробелов по краям\nlet trimmed = text.trimmingCharacters(in: .whitespaces)\n// \"Hello, Swift!\"\n\n// Проверка содержимого\nlet hasHello = text.contains(\"Hello\")  // true\nlet hasWorld = text.contains(\"World\")  // false\n\n// Разделение строки\nlet parts = \"apple,banana,orange\".split(separator: \",\")\n// [\"apple\", \"banana\", \"orange\"]\n\n// Замена\nlet replaced = \"Hello, World!\".replacingOccurrences(of: \"World\", with: \"Swift\")\n// \"Hello, Swift!\"\n\n// Проверка начала и конца\nlet startsWithHello = \"Hello, World!\".hasPrefix(\"Hello\")  // true\nlet endsWithMark = \"Hello, World!\".hasSuffix(\"!\")         // true"
+            },
+            {
+                "section": "2.5 Приведение типов",
+                "subsection": "",
+                "anchor": "2-5-privedenie-tipov",
+                "text": "Иногда нужно преобразовать один тип в другой.",
+                "code": ""
+            },
+            {
+                "section": "2.5 Приведение типов",
+                "subsection": "Числовые преобразования",
+                "anchor": "chislovye-preobrazovaniya",
+                "text": "Важно: В Swift нельзя автоматически смешивать типы в операциях!",
+                "code": "let intNumber: Int = 42\nlet doubleNumber: Double = Double(intNumber)  // 42.0\n\nlet pi: Double = 3.14159\nlet roundedPi: Int = Int(pi)  // 3 (дробная часть отбрасывается)\n\nlet floatValue: Float = 3.14\nlet doubleValue: Double = Double(floatValue)  // 3.14\nlet a: Int = 5\nlet b: Double = 2.5\n\n// let result = a + b  // ❌ ОШИБКА! Разные типы\n\nlet result1 = Double(a) + b  // ✅ 7.5 (преобразовали Int в Double)\nlet result2 = a + Int(b)     // ✅ 7 (преобразовали Double в Int)"
+            },
+            {
+                "section": "2.5 Приведение типов",
+                "subsection": "Строковые преобразования",
+                "anchor": "strokovye-preobrazovaniya",
+                "text": "Примечание: Преобразование строки в число возвращает Optional, потому что преобразование может не удаться. Об Optional мы поговорим в Главе 7.",
+                "code": "// Число в строку\nlet number = 42\nlet numberString = String(number)  // \"42\"\n\nlet price = 19.99\nlet priceString = String(price)    // \"19.99\"\n\n// Строка в число (возвращает Optional!)\nlet text = \"123\"\nlet parsed = Int(text)      // Optional(123)\n\nlet invalid = \"hello\"\nlet failed = Int(invalid)   // nil (невозможно преобразовать)"
+            },
+            {
+                "section": "2.5 Приведение типов",
+                "subsection": "Bool преобразования",
+                "anchor": "bool-preobrazovaniya",
+                "text": "",
+                "code": "// В Swift нет автоматического преобразования в Bool\nlet number = 1\n\n// if number { }  // ❌ ОШИБКА в Swift!\nif number != 0 { }  // ✅ Нужно явное сравнение\n\n// Строка в Bool\nlet trueString = \"true\"\nlet boolValue = Bool(trueString)  // Optional(true)"
+            },
+            {
+                "section": "2.6 Type Inference (Вывод типов)",
+                "subsection": "",
+                "anchor": "2-6-type-inference-vyvod-tipov",
+                "text": "Swift может автоматически определить тип переменной по присвоенному значению.",
+                "code": "// Явное указание типа\nlet explicitInt: Int = 42\nlet explicitString: String = \"Hello\"\nlet explicitBool: Bool = true\n\n// Type Inference — тип определяется автоматически\nlet inferredInt = 42           // Swift понимает, что это Int\nlet inferredDouble = 3.14      // Swift понимает, что это Double\nlet inferredString = \"Hello\"   // Swift понимает, что это String\nlet inferredBool = true        // Swift понимает, что это Bool"
+            },
+            {
+                "section": "2.6 Type Inference (Вывод типов)",
+                "subsection": "Когда указывать тип явно?",
+                "anchor": "kogda-ukazyvat-tip-yavno",
+                "text": "",
+                "code": "// ✅ Когда тип неочевиден из значения\nlet amount: Double = 100  // без указания типа это был бы Int\n\n// ✅ Когда нет начального значения\nlet name: String  // объявили, но не присвоили\n// ... позже в коде\nname = \"Алексей\"\n\n// ✅ Для документирования кода\nlet userId: Int = fetchUserId()  // понятно, что функция возвращает Int"
+            },
+            {
+                "section": "2.6 Type Inference (Вывод типов)",
+                "subsection": "Проверка типа",
+                "anchor": "proverka-tipa",
+                "text": "",
+                "code": "let value = 42\n\n// Проверка типа во время выполнения\nprint(type(of: value))  // Int\n\n// is — проверяет, принадлежит ли значение типу\nif value is Int {\n    print(\"Это целое число\")\n}"
+            },
+            {
+                "section": "2.7 Комментарии",
+                "subsection": "",
+                "anchor": "2-7-kommentarii",
+                "text": "Комментарии помогают объяснить код. Они игнорируются компилятором.",
+                "code": ""
+            },
+            {
+                "section": "2.7 Комментарии",
+                "subsection": "Однострочные комментарии",
+                "anchor": "odnostrochnye-kommentarii",
+                "text": "",
+                "code": "// Это однострочный комментарий\nlet name = \"Алексей\"  // Комментарий в конце строки"
+            },
+            {
+                "section": "2.7 Комментарии",
+                "subsection": "Многострочные комментарии",
+                "anchor": "mnogostrochnye-kommentarii",
+                "text": "",
+                "code": "/*\n Это многострочный комментарий.\n Он может занимать несколько строк.\n Полезен для больших блоков текста.\n*/\nlet value = 42\n\n/* Многострочные комментарии можно вкладывать\n   /* вот так */\n   в отличие от многих других языков\n*/"
+            },
+            {
+                "section": "2.7 Комментарии",
+                "subsection": "Документирующие комментарии",
+                "anchor": "dokumentiruyuschie-kommentarii",
+                "text": "Такие комментарии показываются в Quick Help (Option + клик на функцию).",
+                "code": "/// Вычисляет площадь прямоугольника.\n/// - Parameters:\n///   - width: Ширина прямоугольника\n///   - height: Высота прямоугольника\n/// - Returns: Площадь прямоугольника\nfunc calculateArea(width: Double, height: Double) -> Double {\n    return width * height\n}"
+            },
+            {
+                "section": "2.7 Комментарии",
+                "subsection": "MARK, TODO, FIXME",
+                "anchor": "mark-todo-fixme",
+                "text": "Специальные комментарии для организации кода: MARK создаёт разделители в меню навигации Xcode (Ctrl + 6).",
+                "code": "// MARK: - Свойства\nlet name = \"Алексей\"\nlet age = 25\n\n// MARK: - Методы\nfunc greet() {\n    print(\"Привет!\")\n}\n\n// TODO: Добавить валидацию email\nfunc validateEmail() {\n    // ...\n}\n\n// FIXME: Исправить баг с отрицательными числами\nfunc calculate() {\n    // ...\n}"
+            },
+            {
+                "section": "2.8 Операторы",
+                "subsection": "Арифметические операторы",
+                "anchor": "arifmeticheskie-operatory",
+                "text": "",
+                "code": "let a = 10\nlet b = 3\n\nlet sum = a + b         // 13 (сложение)\nlet difference = a - b  // 7 (вычитание)\nlet product = a * b     // 30 (умножение)\nlet quotient = a / b    // 3 (целочисленное деление)\nlet remainder = a % b   // 1 (остаток от деления)\n\n// Унарный минус\nlet negative = -a       // -10"
+            },
+            {
+                "section": "2.8 Операторы",
+                "subsection": "Составные операторы присваивания",
+                "anchor": "sostavnye-operatory-prisvaivaniya",
+                "text": "",
+                "code": "var score = 0\n\nscore += 10  // score = score + 10 → 10\nscore -= 3   // score = score - 3 → 7\nscore *= 2   // score = score * 2 → 14\nscore /= 2   // score = score / 2 → 7\nscore %= 3   // score = score % 3 → 1"
+            },
+            {
+                "section": "2.8 Операторы",
+                "subsection": "Операторы сравнения",
+                "anchor": "operatory-sravneniya",
+                "text": "",
+                "code": "let x = 5\nlet y = 10\n\nx == y   // false (равно)\nx != y   // true (не равно)\nx > y    // false (больше)\nx < y    // true (меньше)\nx >= y   // false (больше или равно)\nx <= y   // true (меньше или равно)"
+            },
+            {
+                "section": "2.8 Операторы",
+                "subsection": "Логические операторы",
+                "anchor": "logicheskie-operatory",
+                "text": "",
+                "code": "let isRaining = true\nlet hasUmbrella = false\n\n// И (AND) — оба должны быть true\nlet shouldGoOut = isRaining && hasUmbrella  // false\n\n// ИЛИ (OR) — хотя бы один должен быть true\nlet stayHome = isRaining || !hasUmbrella    // true\n\n// НЕ (NOT) — инверсия\nlet isSunny = !isRaining                     // false"
+            },
+            {
+                "section": "2.8 Операторы",
+                "subsection": "Оператор тернарного условия",
+                "anchor": "operator-ternarnogo-usloviya",
+                "text": "",
+                "code": "let age = 20\nlet status = age >= 18 ? \"взрослый\" : \"несовершеннолетний\"\nprint(status)  // \"взрослый\"\n\n// Эквивалентно:\n// if age >= 18 {\n//     status = \"взрослый\"\n// } else {\n//     status = \"несовершеннолетний\"\n// }"
+            },
+            {
+                "section": "2.9 Практические примеры",
+                "subsection": "Пример 1: Калькулятор скидки",
+                "anchor": "primer-1-kalkulyator-skidki",
+                "text": "",
+                "code": "let originalPrice = 1000.0\nlet discountPercent = 20.0\n\nlet discountAmount = originalPrice * discountPercent / 100\nlet finalPrice = originalPrice - discountAmount\n\nprint(\"Оригинальная цена: \\(originalPrice) руб.\")\nprint(\"Скидка: \\(discountPercent)% = \\(discountAmount) руб.\")\nprint(\"Итоговая цена: \\(finalPrice) руб.\")"
+            },
+            {
+                "section": "2.9 Практические примеры",
+                "subsection": "Пример 2: Конвертер температуры",
+                "anchor": "primer-2-konverter-temperatury",
+                "text": "",
+                "code": "let celsius = 25.0\n\n// Формула: F = C × 9/5 + 32\nlet fahrenheit = celsius * 9 / 5 + 32\n\nprint(\"\\(celsius)°C = \\(fahrenheit)°F\")\n// 25.0°C = 77.0°F"
+            },
+            {
+                "section": "2.9 Практические примеры",
+                "subsection": "Пример 3: Форматирование имени",
+                "anchor": "primer-3-formatirovanie-imeni",
+                "text": "",
+                "code": "let firstName = \"иван\"\nlet lastName = \"ПЕТРОВ\"\n\n// Приводим к нужному формату\nlet formattedFirst = firstName.capitalized  // \"Иван\"\nlet formattedLast = lastName.capitalized    // \"Петров\"\n\nlet fullName = \"\\(formattedFirst) \\(formattedLast)\"\nprint(fullName)  // \"Иван Петров\""
+            },
+            {
+                "section": "2.9 Практические примеры",
+                "subsection": "Пример 4: Проверка возраста",
+                "anchor": "primer-4-proverka-vozrasta",
+                "text": "",
+                "code": "let birthYear = 1995\nlet currentYear = 2024\n\nlet age = currentYear - birthYear\nlet isAdult = age >= 18\n\nlet message = isAdult\n    ? \"Вам \\(age) лет. Доступ разрешён.\"\n    : \"Вам \\(age) лет. Доступ запрещён.\"\n\nprint(message)"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.1: Переменные и константы",
+                "anchor": "uprazhnenie-2-1-peremennye-i-konstanty",
+                "text": "Создайте Playground и объявите: Константу myName с вашим именем Константу birthYear с годом вашего рождения Переменную currentYear со значением 2024 Вычислите ваш возраст и выведите сообщение: \"Меня зовут [имя], мне [возраст] лет.\" Показать решение",
+                "code": "// Ваш код здесь\nlet myName = \"Алексей\"\nlet birthYear = 1995\nvar currentYear = 2024\n\nlet age = currentYear - birthYear\nprint(\"Меня зовут \\(myName), мне \\(age) лет.\")"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.2: Типы данных",
+                "anchor": "uprazhnenie-2-2-tipy-dannyh",
+                "text": "Определите тип каждого значения и исправьте ошибки: Показать решение",
+                "code": "let a = 42\nlet b = 3.14\nlet c = \"Hello\"\nlet d = true\nlet e = \"X\"\n\n// Какой тип у каждой переменной?\n// a: ???\n// b: ???\n// c: ???\n// d: ???\n// e: ???\nlet a = 42        // Int\nlet b = 3.14      // Double\nlet c = \"Hello\"   // String\nlet d = true      // Bool\nlet e = \"X\"       // String (не Character, т.к. не указан тип явно)\n\n// Чтобы e был Character:\nlet e: Character = \"X\""
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.3: Интерполяция строк",
+                "anchor": "uprazhnenie-2-3-interpolyatsiya-strok",
+                "text": "Создайте карточку товара: Показать решение",
+                "code": "let productName = \"iPhone 15 Pro\"\nlet price = 999.99\nlet inStock = true\nlet quantity = 5\n\n// Выведите:\n// Товар: iPhone 15 Pro\n// Цена: $999.99\n// В наличии: Да\n// Количество: 5 шт.\nlet productName = \"iPhone 15 Pro\"\nlet price = 999.99\nlet inStock = true\nlet quantity = 5\n\nlet availability = inStock ? \"Да\" : \"Нет\"\n\nprint(\"Товар: \\(productName)\")\nprint(\"Цена: $\\(price)\")\nprint(\"В наличии: \\(availability)\")\nprint(\"Количество: \\(quantity) шт.\")"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.4: Приведение типов",
+                "anchor": "uprazhnenie-2-4-privedenie-tipov",
+                "text": "Исправьте код, чтобы он компилировался: Показать решение",
+                "code": "let width: Int = 10\nlet height: Double = 5.5\n\n// let area = width * height  // Ошибка!\n// Исправьте и вычислите площадь\nlet width: Int = 10\nlet height: Double = 5.5\n\nlet area = Double(width) * height  // 55.0\nprint(\"Площадь: \\(area)\")"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.5: Калькулятор BMI",
+                "anchor": "uprazhnenie-2-5-kalkulyator-bmi",
+                "text": "Напишите программу для расчёта индекса массы тела (BMI): Формула: BMI = вес (кг) / рост (м)² Показать решение",
+                "code": "let weightKg = 75.0\nlet heightCm = 180.0\n\n// 1. Переведите рост из см в метры\n// 2. Вычислите BMI\n// 3. Выведите результат с одним знаком после запятой\nlet weightKg = 75.0\nlet heightCm = 180.0\n\nlet heightM = heightCm / 100  // 1.8\nlet bmi = weightKg / (heightM * heightM)  // 23.148...\n\n// Округление до одного знака\nlet roundedBmi = round(bmi * 10) / 10  // 23.1\n\nprint(\"Ваш BMI: \\(roundedBmi)\")"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.6: Конвертер валют",
+                "anchor": "uprazhnenie-2-6-konverter-valyut",
+                "text": "Создайте конвертер долларов в рубли: Показать решение",
+                "code": "let usdAmount = 100.0\nlet exchangeRate = 92.5  // курс: 1 USD = 92.5 RUB\n\n// Конвертируйте и выведите результат\nlet usdAmount = 100.0\nlet exchangeRate = 92.5\n\nlet rubAmount = usdAmount * exchangeRate\n\nprint(\"\\(usdAmount) USD = \\(rubAmount) RUB\")\n// 100.0 USD = 9250.0 RUB"
+            },
+            {
+                "section": "2.10 Упражнения",
+                "subsection": "Упражнение 2.7: Работа со строками",
+                "anchor": "uprazhnenie-2-7-rabota-so-strokami",
+                "text": "Дана строка с email. Извлеките имя пользователя и домен: Показать решение",
+                "code": "let email = \"user@example.com\"\n\n// Выведите:\n// Пользователь: user\n// Домен: example.com\nlet email = \"user@example.com\"\n\nlet parts = email.split(separator: \"@\")\nlet username = String(parts[0])\nlet domain = String(parts[1])\n\nprint(\"Пользователь: \\(username)\")\nprint(\"Домен: \\(domain)\")"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Разницу между var (переменные) и let (константы) ✅ Основные типы данных: Int, Double, String, Bool, Character ✅ Как работает интерполяция строк с \\() ✅ Правила приведения типов в Swift ✅ Что такое Type Inference и когда указывать тип явно ✅ Виды комментариев и специальные метки (MARK, TODO, FIXME) ✅ Арифметические, сравнительные и логические операторы",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 3 мы изучим управление потоком выполнения: условные операторы, циклы и коллекции. Совет: Прежде чем переходить дальше, убедитесь, что вы можете без подсказок: Объявить переменную и константу Использовать все базовые типы данных Создать строку с интерполяцией Преобразовать типы друг в друга",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/03-control-flow.html",
+        "chapter": "Глава 3",
+        "title": "Управление потоком и коллекции",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В предыдущей главе мы научились хранить данные в переменных. Теперь пора научиться принимать решения и работать с группами данных. В этой главе мы изучим: Условные операторы (if, else, switch) Циклы (for, while, repeat-while) Коллекции (Array, Dictionary, Set)",
+                "code": ""
+            },
+            {
+                "section": "3.1 Условные операторы",
+                "subsection": "if / else",
+                "anchor": "if-else",
+                "text": "Базовая конструкция для принятия решений:",
+                "code": "let temperature = 25\n\nif temperature > 30 {\n    print(\"Жарко! Включите кондиционер.\")\n} else if temperature > 20 {\n    print(\"Отличная погода!\")\n} else if temperature > 10 {\n    print(\"Прохладно, возьмите куртку.\")\n} else {\n    print(\"Холодно, оденьтесь теплее.\")\n}\n// Выведет: \"Отличная погода!\""
+            },
+            {
+                "section": "3.1 Условные операторы",
+                "subsection": "Множественные условия",
+                "anchor": "mnozhestvennye-usloviya",
+                "text": "",
+                "code": "let age = 25\nlet hasTicket = true\n\n// AND (&&) — оба условия должны быть true\nif age >= 18 && hasTicket {\n    print(\"Добро пожаловать на концерт!\")\n}\n\n// OR (||) — хотя бы одно условие должно быть true\nlet isVIP = false\nlet isEmployee = true\n\nif isVIP || isEmployee {\n    print(\"Проходите без очереди\")\n}\n\n// Комбинирование условий\nlet isMember = true\nlet discount = 20\n\nif (isMember && age >= 60) || discount >= 50 {\n    print(\"Вы получаете специальную скидку!\")\n}"
+            },
+            {
+                "section": "3.1 Условные операторы",
+                "subsection": "Сравнение с JavaScript",
+                "anchor": "sravnenie-s-javascript",
+                "text": "Важно: В Swift фигурные скобки {} обязательны, даже для одной строки кода!",
+                "code": "// JavaScript\nif (age >= 18) {\n    console.log(\"Взрослый\");\n}\n// Swift — круглые скобки необязательны, но фигурные обязательны\nif age >= 18 {\n    print(\"Взрослый\")\n}\n\n// Скобки можно добавить для читаемости\nif (age >= 18) {\n    print(\"Взрослый\")\n}"
+            },
+            {
+                "section": "3.1 Условные операторы",
+                "subsection": "guard — ранний выход",
+                "anchor": "guard-ranniy-vyhod",
+                "text": "guard — это особый вид условия для раннего выхода из функции:",
+                "code": "func processOrder(quantity: Int) {\n    // guard требует выхода из функции, если условие НЕ выполнено\n    guard quantity > 0 else {\n        print(\"Ошибка: количество должно быть больше 0\")\n        return\n    }\n\n    guard quantity <= 100 else {\n        print(\"Ошибка: максимальное количество — 100\")\n        return\n    }\n\n    // Если мы дошли сюда, оба условия выполнены\n    print(\"Заказ на \\(quantity) товаров принят\")\n}\n\nprocessOrder(quantity: 5)   // \"Заказ на 5 товаров принят\"\nprocessOrder(quantity: 0)   // \"Ошибка: количество должно быть больше 0\"\nprocessOrder(quantity: 150) // \"Ошибка: максимальное количество — 100\""
+            },
+            {
+                "section": "3.1 Условные операторы",
+                "subsection": "guard vs if",
+                "anchor": "guard-vs-if",
+                "text": "",
+                "code": "// ❌ Много вложенности с if\nfunc validateUser(name: String?, age: Int?, email: String?) {\n    if let name = name {\n        if let age = age {\n            if let email = email {\n                print(\"Пользователь: \\(name), \\(age), \\(email)\")\n            }\n        }\n    }\n}\n\n// ✅ Плоская структура с guard\nfunc validateUserBetter(name: String?, age: Int?, email: String?) {\n    guard let name = name else {\n        print(\"Имя не указано\")\n        return\n    }\n    guard let age = age else {\n        print(\"Возраст не указан\")\n        return\n    }\n    guard let email = email else {\n        print(\"Email не указан\")\n        return\n    }\n\n    print(\"Пользователь: \\(name), \\(age), \\(email)\")\n}"
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "",
+                "anchor": "3-2-switch",
+                "text": "switch — мощная конструкция для проверки множества значений:",
+                "code": "let dayNumber = 3\n\nswitch dayNumber {\ncase 1:\n    print(\"Понедельник\")\ncase 2:\n    print(\"Вторник\")\ncase 3:\n    print(\"Среда\")\ncase 4:\n    print(\"Четверг\")\ncase 5:\n    print(\"Пятница\")\ncase 6, 7:\n    print(\"Выходные!\")\ndefault:\n    print(\"Неизвестный день\")\n}\n// Выведет: \"Среда\""
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "Отличия от JavaScript",
+                "anchor": "otlichiya-ot-javascript",
+                "text": "Не нужен break — в Swift автоматически выходит после выполнения case Обязателен default — если не покрыты все возможные значения Нельзя пустой case — каждый case должен содержать код",
+                "code": "// ❌ Ошибка: пустой case\nswitch value {\ncase 1:\n    // нужен хотя бы один statement\ncase 2:\n    print(\"Два\")\ndefault:\n    break\n}\n\n// ✅ Используйте break для пустого действия\nswitch value {\ncase 1:\n    break  // ничего не делаем\ncase 2:\n    print(\"Два\")\ndefault:\n    break\n}"
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "fallthrough",
+                "anchor": "fallthrough",
+                "text": "Если нужно \"провалиться\" в следующий case (как в JS без break):",
+                "code": "let number = 5\n\nswitch number {\ncase 5:\n    print(\"Пять\")\n    fallthrough\ncase 4:\n    print(\"Четыре или меньше\")\n    fallthrough\ndefault:\n    print(\"Конец\")\n}\n// Выведет:\n// Пять\n// Четыре или меньше\n// Конец"
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "Switch с диапазонами",
+                "anchor": "switch-s-diapazonami",
+                "text": "",
+                "code": "let score = 85\n\nswitch score {\ncase 0..<60:\n    print(\"Неудовлетворительно\")\ncase 60..<70:\n    print(\"Удовлетворительно\")\ncase 70..<85:\n    print(\"Хорошо\")\ncase 85...100:\n    print(\"Отлично!\")\ndefault:\n    print(\"Некорректная оценка\")\n}\n// Выведет: \"Отлично!\""
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "Switch со строками",
+                "anchor": "switch-so-strokami",
+                "text": "",
+                "code": "let command = \"start\"\n\nswitch command.lowercased() {\ncase \"start\", \"begin\", \"go\":\n    print(\"Запуск...\")\ncase \"stop\", \"end\", \"quit\":\n    print(\"Остановка...\")\ncase \"pause\":\n    print(\"Пауза\")\ndefault:\n    print(\"Неизвестная команда: \\(command)\")\n}"
+            },
+            {
+                "section": "3.2 Switch",
+                "subsection": "Switch с where (условия)",
+                "anchor": "switch-s-where-usloviya",
+                "text": "",
+                "code": "let point = (x: 3, y: 3)\n\nswitch point {\ncase let (x, y) where x == y:\n    print(\"Точка на диагонали: (\\(x), \\(y))\")\ncase let (x, y) where x == -y:\n    print(\"Точка на антидиагонали\")\ncase let (x, 0):\n    print(\"Точка на оси X: x = \\(x)\")\ncase let (0, y):\n    print(\"Точка на оси Y: y = \\(y)\")\ndefault:\n    print(\"Обычная точка\")\n}\n// Выведет: \"Точка на диагонали: (3, 3)\""
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "for-in (основной цикл)",
+                "anchor": "for-in-osnovnoy-tsikl",
+                "text": "",
+                "code": "// Итерация по диапазону\nfor i in 1...5 {\n    print(\"Итерация \\(i)\")\n}\n// 1, 2, 3, 4, 5\n\n// Если индекс не нужен — используйте _\nfor _ in 1...3 {\n    print(\"Привет!\")\n}\n\n// Итерация по массиву\nlet fruits = [\"Яблоко\", \"Банан\", \"Апельсин\"]\nfor fruit in fruits {\n    print(\"Фрукт: \\(fruit)\")\n}\n\n// С индексом\nfor (index, fruit) in fruits.enumerated() {\n    print(\"\\(index + 1). \\(fruit)\")\n}\n// 1. Яблоко\n// 2. Банан\n// 3. Апельсин"
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "Диапазоны",
+                "anchor": "diapazony",
+                "text": "",
+                "code": "// Закрытый диапазон (включает оба конца)\nfor i in 1...5 {\n    print(i)  // 1, 2, 3, 4, 5\n}\n\n// Полуоткрытый диапазон (не включает верхнюю границу)\nfor i in 1..<5 {\n    print(i)  // 1, 2, 3, 4\n}\n\n// Обратный порядок\nfor i in (1...5).reversed() {\n    print(i)  // 5, 4, 3, 2, 1\n}\n\n// С шагом\nfor i in stride(from: 0, to: 10, by: 2) {\n    print(i)  // 0, 2, 4, 6, 8\n}\n\nfor i in stride(from: 10, through: 0, by: -2) {\n    print(i)  // 10, 8, 6, 4, 2, 0\n}"
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "while",
+                "anchor": "while",
+                "text": "Выполняется, пока условие true:",
+                "code": "var countdown = 5\n\nwhile countdown > 0 {\n    print(\"\\(countdown)...\")\n    countdown -= 1\n}\nprint(\"Поехали!\")\n// 5... 4... 3... 2... 1... Поехали!"
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "repeat-while (аналог do-while)",
+                "anchor": "repeat-while-analog-do-while",
+                "text": "Выполняется минимум один раз:",
+                "code": "var number = 0\n\nrepeat {\n    print(\"Число: \\(number)\")\n    number += 1\n} while number < 3\n// Число: 0\n// Число: 1\n// Число: 2"
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "Управление циклом: break и continue",
+                "anchor": "upravlenie-tsiklom-break-i-continue",
+                "text": "",
+                "code": "// break — полностью выходит из цикла\nfor i in 1...10 {\n    if i == 5 {\n        print(\"Достигли 5, выходим!\")\n        break\n    }\n    print(i)\n}\n// 1, 2, 3, 4, Достигли 5, выходим!\n\n// continue — пропускает текущую итерацию\nfor i in 1...5 {\n    if i == 3 {\n        continue  // пропускаем 3\n    }\n    print(i)\n}\n// 1, 2, 4, 5"
+            },
+            {
+                "section": "3.3 Циклы",
+                "subsection": "Метки для вложенных циклов",
+                "anchor": "metki-dlya-vlozhennyh-tsiklov",
+                "text": "",
+                "code": "outerLoop: for i in 1...3 {\n    for j in 1...3 {\n        if i == 2 && j == 2 {\n            print(\"Нашли (2, 2), выходим из обоих циклов\")\n            break outerLoop\n        }\n        print(\"(\\(i), \\(j))\")\n    }\n}"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "",
+                "anchor": "3-4-massivy-array",
+                "text": "Массив — упорядоченная коллекция однотипных элементов.",
+                "code": ""
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Создание массивов",
+                "anchor": "sozdanie-massivov",
+                "text": "",
+                "code": "// Пустой массив\nvar emptyArray: [Int] = []\nvar anotherEmpty = [String]()\nvar yetAnother: Array<Double> = []\n\n// Массив с начальными значениями\nlet numbers = [1, 2, 3, 4, 5]\nlet names = [\"Анна\", \"Борис\", \"Виктор\"]\n\n// Массив с повторяющимися значениями\nlet zeros = Array(repeating: 0, count: 5)  // [0, 0, 0, 0, 0]"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Доступ к элементам",
+                "anchor": "dostup-k-elementam",
+                "text": "Важно: Доступ к несуществующему индексу вызовет crash! Всегда проверяйте границы.",
+                "code": "let fruits = [\"Яблоко\", \"Банан\", \"Апельсин\", \"Манго\"]\n\n// По индексу (начинается с 0)\nlet first = fruits[0]   // \"Яблоко\"\nlet second = fruits[1]  // \"Банан\"\n\n// Первый и последний элемент\nlet firstFruit = fruits.first  // Optional(\"Яблоко\")\nlet lastFruit = fruits.last    // Optional(\"Манго\")\n\n// Срезы (возвращают ArraySlice, не Array)\nlet slice = fruits[1...2]  // [\"Банан\", \"Апельсин\"]\n\n// Количество элементов\nlet count = fruits.count  // 4\n\n// Проверка на пустоту\nlet isEmpty = fruits.isEmpty  // false\nlet array = [1, 2, 3]\n// let value = array[10]  // ❌ CRASH!\n\n// Безопасный доступ\nif array.indices.contains(10) {\n    let value = array[10]\n}\n\n// Или создайте extension (узнаем позже)"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Модификация массива",
+                "anchor": "modifikatsiya-massiva",
+                "text": "",
+                "code": "var shopping = [\"Молоко\", \"Хлеб\"]\n\n// Добавление\nshopping.append(\"Яйца\")               // [\"Молоко\", \"Хлеб\", \"Яйца\"]\nshopping += [\"Сыр\", \"Масло\"]          // [\"Молоко\", \"Хлеб\", \"Яйца\", \"Сыр\", \"Масло\"]\nshopping.insert(\"Вода\", at: 0)        // [\"Вода\", \"Молоко\", ...]\n\n// Изменение\nshopping[0] = \"Минералка\"             // Заменяем \"Вода\" на \"Минералка\"\nshopping[1...2] = [\"Кефир\"]           // Заменяем диапазон одним элементом\n\n// Удаление\nlet removed = shopping.removeLast()    // Удаляет и возвращает последний\nshopping.removeFirst()                 // Удаляет первый\nshopping.remove(at: 1)                 // Удаляет по индексу\nshopping.removeAll()                   // Очищает массив\n\n// Удаление по значению (если есть)\nif let index = shopping.firstIndex(of: \"Хлеб\") {\n    shopping.remove(at: index)\n}"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Поиск в массиве",
+                "anchor": "poisk-v-massive",
+                "text": "",
+                "code": "let numbers = [5, 2, 8, 1, 9, 3]\n\n// Проверка наличия\nlet hasNine = numbers.contains(9)     // true\nlet hasTen = numbers.contains(10)     // false\n\n// Поиск индекса\nlet indexOfEight = numbers.firstIndex(of: 8)  // Optional(2)\n\n// Поиск по условию\nlet firstEven = numbers.first { $0 % 2 == 0 }     // Optional(2)\nlet firstBig = numbers.first { $0 > 7 }           // Optional(8)\nlet indexBig = numbers.firstIndex { $0 > 7 }      // Optional(2)"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Сортировка",
+                "anchor": "sortirovka",
+                "text": "",
+                "code": "var numbers = [5, 2, 8, 1, 9, 3]\n\n// sorted() — возвращает новый отсортированный массив\nlet sortedAsc = numbers.sorted()              // [1, 2, 3, 5, 8, 9]\nlet sortedDesc = numbers.sorted(by: >)        // [9, 8, 5, 3, 2, 1]\n\n// sort() — сортирует на месте\nnumbers.sort()                                 // numbers теперь [1, 2, 3, 5, 8, 9]\nnumbers.sort(by: >)                           // numbers теперь [9, 8, 5, 3, 2, 1]\n\n// Сортировка строк\nvar names = [\"Яна\", \"Анна\", \"Борис\"]\nnames.sort()                                   // [\"Анна\", \"Борис\", \"Яна\"]"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Преобразование массивов",
+                "anchor": "preobrazovanie-massivov",
+                "text": "",
+                "code": "let numbers = [1, 2, 3, 4, 5]\n\n// map — преобразует каждый элемент\nlet doubled = numbers.map { $0 * 2 }           // [2, 4, 6, 8, 10]\nlet strings = numbers.map { \"Число \\($0)\" }    // [\"Число 1\", ...]\n\n// filter — фильтрует по условию\nlet evens = numbers.filter { $0 % 2 == 0 }     // [2, 4]\nlet bigNumbers = numbers.filter { $0 > 3 }     // [4, 5]\n\n// reduce — сворачивает в одно значение\nlet sum = numbers.reduce(0, +)                 // 15\nlet product = numbers.reduce(1, *)             // 120\n\n// compactMap — map + удаление nil\nlet strings2 = [\"1\", \"2\", \"три\", \"4\"]\nlet parsed = strings2.compactMap { Int($0) }   // [1, 2, 4]\n\n// flatMap — \"разворачивает\" вложенные массивы\nlet nested = [[1, 2], [3, 4], [5]]\nlet flat = nested.flatMap { $0 }               // [1, 2, 3, 4, 5]"
+            },
+            {
+                "section": "3.4 Массивы (Array)",
+                "subsection": "Цепочки операций",
+                "anchor": "tsepochki-operatsiy",
+                "text": "",
+                "code": "let numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]\n\nlet result = numbers\n    .filter { $0 % 2 == 0 }    // [2, 4, 6, 8, 10]\n    .map { $0 * $0 }           // [4, 16, 36, 64, 100]\n    .reduce(0, +)              // 220\n\nprint(result)  // 220"
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "",
+                "anchor": "3-5-slovari-dictionary",
+                "text": "Словарь — коллекция пар ключ-значение.",
+                "code": ""
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "Создание словарей",
+                "anchor": "sozdanie-slovarey",
+                "text": "",
+                "code": "// Пустой словарь\nvar emptyDict: [String: Int] = [:]\nvar anotherEmpty = [String: Double]()\n\n// Словарь с начальными значениями\nlet ages = [\"Анна\": 25, \"Борис\": 30, \"Виктор\": 35]\nvar scores: [String: Int] = [\"Математика\": 90, \"Физика\": 85]"
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "Доступ к значениям",
+                "anchor": "dostup-k-znacheniyam",
+                "text": "",
+                "code": "var user = [\"name\": \"Иван\", \"city\": \"Москва\", \"email\": \"ivan@mail.ru\"]\n\n// По ключу (возвращает Optional!)\nlet name = user[\"name\"]              // Optional(\"Иван\")\nlet age = user[\"age\"]                // nil (ключа нет)\n\n// Со значением по умолчанию\nlet country = user[\"country\", default: \"Россия\"]  // \"Россия\"\n\n// Все ключи и значения\nlet keys = Array(user.keys)          // [\"name\", \"city\", \"email\"]\nlet values = Array(user.values)      // [\"Иван\", \"Москва\", \"ivan@mail.ru\"]\n\n// Количество пар\nlet count = user.count               // 3"
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "Модификация словаря",
+                "anchor": "modifikatsiya-slovarya",
+                "text": "",
+                "code": "var inventory = [\"Яблоки\": 10, \"Бананы\": 5]\n\n// Добавление/изменение\ninventory[\"Апельсины\"] = 8           // Добавляем новый ключ\ninventory[\"Яблоки\"] = 15             // Изменяем существующий\n\n// updateValue возвращает старое значение\nlet oldValue = inventory.updateValue(20, forKey: \"Бананы\")  // Optional(5)\n\n// Удаление\ninventory[\"Апельсины\"] = nil         // Удаляем по ключу\nlet removed = inventory.removeValue(forKey: \"Бананы\")  // Optional(20)\ninventory.removeAll()                // Очищаем словарь"
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "Итерация по словарю",
+                "anchor": "iteratsiya-po-slovaryu",
+                "text": "",
+                "code": "let capitals = [\"Россия\": \"Москва\", \"Франция\": \"Париж\", \"Япония\": \"Токио\"]\n\n// По парам ключ-значение\nfor (country, capital) in capitals {\n    print(\"Столица \\(country) — \\(capital)\")\n}\n\n// Только по ключам\nfor country in capitals.keys {\n    print(country)\n}\n\n// Только по значениям\nfor capital in capitals.values {\n    print(capital)\n}"
+            },
+            {
+                "section": "3.5 Словари (Dictionary)",
+                "subsection": "Практический пример",
+                "anchor": "prakticheskiy-primer",
+                "text": "",
+                "code": "// Подсчёт слов в тексте\nlet text = \"яблоко банан яблоко апельсин банан яблоко\"\nlet words = text.split(separator: \" \")\n\nvar wordCount: [String: Int] = [:]\nfor word in words {\n    let wordString = String(word)\n    wordCount[wordString, default: 0] += 1\n}\n\nprint(wordCount)  // [\"яблоко\": 3, \"банан\": 2, \"апельсин\": 1]"
+            },
+            {
+                "section": "3.6 Множества (Set)",
+                "subsection": "",
+                "anchor": "3-6-mnozhestva-set",
+                "text": "Множество — неупорядоченная коллекция уникальных элементов.",
+                "code": ""
+            },
+            {
+                "section": "3.6 Множества (Set)",
+                "subsection": "Создание множеств",
+                "anchor": "sozdanie-mnozhestv",
+                "text": "",
+                "code": "// Пустое множество\nvar emptySet: Set<Int> = []\nvar anotherEmpty = Set<String>()\n\n// Множество с начальными значениями\nlet numbers: Set = [1, 2, 3, 4, 5]\nlet letters: Set<Character> = [\"a\", \"b\", \"c\"]\n\n// Из массива (дубликаты удаляются)\nlet array = [1, 2, 2, 3, 3, 3, 4]\nlet uniqueNumbers = Set(array)  // {1, 2, 3, 4}"
+            },
+            {
+                "section": "3.6 Множества (Set)",
+                "subsection": "Операции с множествами",
+                "anchor": "operatsii-s-mnozhestvami",
+                "text": "",
+                "code": "var fruits: Set = [\"Яблоко\", \"Банан\", \"Апельсин\"]\n\n// Добавление\nfruits.insert(\"Манго\")        // (inserted: true, memberAfterInsert: \"Манго\")\nfruits.insert(\"Яблоко\")       // (inserted: false, ...) — уже есть\n\n// Удаление\nfruits.remove(\"Банан\")        // Optional(\"Банан\")\nfruits.remove(\"Киви\")         // nil — не было\n\n// Проверка наличия\nlet hasApple = fruits.contains(\"Яблоко\")  // true\n\n// Количество\nlet count = fruits.count      // 3"
+            },
+            {
+                "section": "3.6 Множества (Set)",
+                "subsection": "Операции над множествами",
+                "anchor": "operatsii-nad-mnozhestvami",
+                "text": "",
+                "code": "let a: Set = [1, 2, 3, 4, 5]\nlet b: Set = [4, 5, 6, 7, 8]\n\n// Объединение (union)\nlet union = a.union(b)                    // {1, 2, 3, 4, 5, 6, 7, 8}\n\n// Пересечение (intersection)\nlet intersection = a.intersection(b)      // {4, 5}\n\n// Разность (subtracting)\nlet difference = a.subtracting(b)         // {1, 2, 3}\n\n// Симметрическая разность\nlet symmetric = a.symmetricDifference(b)  // {1, 2, 3, 6, 7, 8}\n\n// Проверки\nlet isSubset = a.isSubset(of: Set(1...10))      // true\nlet isSuperset = a.isSuperset(of: Set([1, 2]))  // true\nlet isDisjoint = a.isDisjoint(with: Set([6, 7])) // true (нет общих элементов)"
+            },
+            {
+                "section": "3.6 Множества (Set)",
+                "subsection": "Когда использовать Set vs Array",
+                "anchor": "kogda-ispolzovat-set-vs-array",
+                "text": "Характеристика Array Set ПорядокСохраняетсяНе гарантирован ДубликатыРазрешеныЗапрещены Поиск contains()O(n)O(1) ИспользованиеСписки, очередиУникальные значения",
+                "code": "// ✅ Set — для проверки уникальных значений\nlet visitedPages: Set = [\"/home\", \"/about\", \"/contact\"]\nif !visitedPages.contains(\"/login\") {\n    // страница не посещена\n}\n\n// ✅ Array — для упорядоченных данных\nlet browserHistory = [\"/home\", \"/about\", \"/home\", \"/contact\"]\n// сохраняем порядок и дубликаты"
+            },
+            {
+                "section": "3.7 Кортежи (Tuple)",
+                "subsection": "",
+                "anchor": "3-7-kortezhi-tuple",
+                "text": "Кортеж — группа значений, объединённых в одно составное значение.",
+                "code": ""
+            },
+            {
+                "section": "3.7 Кортежи (Tuple)",
+                "subsection": "Создание кортежей",
+                "anchor": "sozdanie-kortezhey",
+                "text": "",
+                "code": "// Простой кортеж\nlet coordinates = (10.5, 20.3)\nlet person = (\"Иван\", 25, true)\n\n// С именованными элементами\nlet user = (name: \"Анна\", age: 28, isActive: true)"
+            },
+            {
+                "section": "3.7 Кортежи (Tuple)",
+                "subsection": "Доступ к элементам",
+                "anchor": "dostup-k-elementam-2",
+                "text": "",
+                "code": "let point = (x: 10, y: 20)\n\n// По индексу\nlet xValue = point.0      // 10\nlet yValue = point.1      // 20\n\n// По имени\nlet x = point.x           // 10\nlet y = point.y           // 20\n\n// Деструктуризация\nlet (coordX, coordY) = point\nprint(coordX)             // 10\nprint(coordY)             // 20\n\n// Игнорирование значений\nlet (onlyX, _) = point\nprint(onlyX)              // 10"
+            },
+            {
+                "section": "3.7 Кортежи (Tuple)",
+                "subsection": "Использование кортежей",
+                "anchor": "ispolzovanie-kortezhey",
+                "text": "",
+                "code": "// Возврат нескольких значений из функции\nfunc getMinMax(array: [Int]) -> (min: Int, max: Int)? {\n    guard let min = array.min(), let max = array.max() else {\n        return nil\n    }\n    return (min, max)\n}\n\nif let result = getMinMax(array: [5, 2, 8, 1, 9]) {\n    print(\"Min: \\(result.min), Max: \\(result.max)\")\n}\n\n// В switch\nlet httpStatus = (code: 404, message: \"Not Found\")\n\nswitch httpStatus {\ncase (200, _):\n    print(\"Успех\")\ncase (400..<500, let message):\n    print(\"Ошибка клиента: \\(message)\")\ncase (500..<600, _):\n    print(\"Ошибка сервера\")\ndefault:\n    print(\"Неизвестный статус\")\n}"
+            },
+            {
+                "section": "3.8 Операторы диапазона",
+                "subsection": "Виды диапазонов",
+                "anchor": "vidy-diapazonov",
+                "text": "",
+                "code": "// Закрытый диапазон (a...b) — включает оба конца\nlet closed = 1...5         // 1, 2, 3, 4, 5\n\n// Полуоткрытый диапазон (a..<b) — не включает b\nlet halfOpen = 1..<5       // 1, 2, 3, 4\n\n// Односторонние диапазоны\nlet array = [0, 1, 2, 3, 4, 5]\nlet fromSecond = array[2...]     // [2, 3, 4, 5]\nlet untilThird = array[..<3]     // [0, 1, 2]\nlet throughThird = array[...3]   // [0, 1, 2, 3]"
+            },
+            {
+                "section": "3.8 Операторы диапазона",
+                "subsection": "Проверка вхождения",
+                "anchor": "proverka-vhozhdeniya",
+                "text": "",
+                "code": "let range = 1...100\n\nif range.contains(50) {\n    print(\"50 в диапазоне\")\n}\n\n// Для строк\nlet letterRange = \"a\"...\"z\"\nif letterRange.contains(\"m\") {\n    print(\"m — это буква\")\n}"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.1: Условия",
+                "anchor": "uprazhnenie-3-1-usloviya",
+                "text": "Напишите программу, которая определяет время суток по часу: 6-11: \"Утро\" 12-17: \"День\" 18-22: \"Вечер\" 23-5: \"Ночь\" Показать решение",
+                "code": "let hour = 14\n// Ваш код здесь\nlet hour = 14\n\nswitch hour {\ncase 6...11:\n    print(\"Утро\")\ncase 12...17:\n    print(\"День\")\ncase 18...22:\n    print(\"Вечер\")\ncase 23, 0...5:\n    print(\"Ночь\")\ndefault:\n    print(\"Некорректный час\")\n}"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.2: FizzBuzz",
+                "anchor": "uprazhnenie-3-2-fizzbuzz",
+                "text": "Классическая задача: для чисел от 1 до 30: Если делится на 3 — выведите \"Fizz\" Если делится на 5 — выведите \"Buzz\" Если делится на оба — выведите \"FizzBuzz\" Иначе — выведите число Показать решение",
+                "code": "// Ваш код здесь\nfor i in 1...30 {\n    switch (i % 3 == 0, i % 5 == 0) {\n    case (true, true):\n        print(\"FizzBuzz\")\n    case (true, false):\n        print(\"Fizz\")\n    case (false, true):\n        print(\"Buzz\")\n    default:\n        print(i)\n    }\n}"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.3: Работа с массивом",
+                "anchor": "uprazhnenie-3-3-rabota-s-massivom",
+                "text": "Дан массив оценок студентов. Найдите: Среднюю оценку Количество отличников (оценка >= 90) Минимальную и максимальную оценку Показать решение",
+                "code": "let grades = [85, 92, 78, 96, 88, 73, 91, 67, 89, 94]\n// Ваш код здесь\nlet grades = [85, 92, 78, 96, 88, 73, 91, 67, 89, 94]\n\n// Средняя оценка\nlet average = Double(grades.reduce(0, +)) / Double(grades.count)\nprint(\"Средняя оценка: \\(average)\")\n\n// Количество отличников\nlet excellentCount = grades.filter { $0 >= 90 }.count\nprint(\"Отличников: \\(excellentCount)\")\n\n// Мин и макс\nif let min = grades.min(), let max = grades.max() {\n    print(\"Минимум: \\(min), Максимум: \\(max)\")\n}"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.4: Словарь",
+                "anchor": "uprazhnenie-3-4-slovar",
+                "text": "Создайте словарь \"телефонная книга\" и реализуйте: Добавление контакта Поиск номера по имени Удаление контакта Вывод всех контактов Показать решение",
+                "code": "var phoneBook: [String: String] = [:]\n// Ваш код здесь\nvar phoneBook: [String: String] = [:]\n\n// 1. Добавление контактов\nphoneBook[\"Анна\"] = \"+7-900-111-22-33\"\nphoneBook[\"Борис\"] = \"+7-900-444-55-66\"\nphoneBook[\"Виктор\"] = \"+7-900-777-88-99\"\n\n// 2. Поиск\nfunc findNumber(for name: String) {\n    if let number = phoneBook[name] {\n        print(\"\\(name): \\(number)\")\n    } else {\n        print(\"Контакт '\\(name)' не найден\")\n    }\n}\n\nfindNumber(for: \"Анна\")    // Анна: +7-900-111-22-33\nfindNumber(for: \"Галина\")  // Контакт 'Галина' не найден\n\n// 3. Удаление\nphoneBook[\"Борис\"] = nil\n\n// 4. Вывод всех контактов\nprint(\"\\nВсе контакты:\")\nfor (name, number) in phoneBook {\n    print(\"  \\(name): \\(number)\")\n}"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.5: Множества",
+                "anchor": "uprazhnenie-3-5-mnozhestva",
+                "text": "Даны два списка: посещённые города пользователем A и пользователем B. Найдите: Все посещённые города (любым из них) Города, которые посетили оба Города, которые посетил только A Показать решение",
+                "code": "let citiesA: Set = [\"Москва\", \"Париж\", \"Лондон\", \"Рим\", \"Берлин\"]\nlet citiesB: Set = [\"Токио\", \"Париж\", \"Нью-Йорк\", \"Рим\", \"Сидней\"]\n// Ваш код здесь\nlet citiesA: Set = [\"Москва\", \"Париж\", \"Лондон\", \"Рим\", \"Берлин\"]\nlet citiesB: Set = [\"Токио\", \"Париж\", \"Нью-Йорк\", \"Рим\", \"Сидней\"]\n\n// 1. Все города\nlet allCities = citiesA.union(citiesB)\nprint(\"Все города: \\(allCities)\")\n\n// 2. Общие города\nlet commonCities = citiesA.intersection(citiesB)\nprint(\"Общие: \\(commonCities)\")\n\n// 3. Только A\nlet onlyA = citiesA.subtracting(citiesB)\nprint(\"Только A: \\(onlyA)\")"
+            },
+            {
+                "section": "3.9 Упражнения",
+                "subsection": "Упражнение 3.6: Корзина покупок",
+                "anchor": "uprazhnenie-3-6-korzina-pokupok",
+                "text": "Создайте структуру корзины покупок с использованием словаря: Показать решение",
+                "code": "// Структура: [Название товара: (цена, количество)]\nvar cart: [String: (price: Double, quantity: Int)] = [:]\n\n// Реализуйте:\n// 1. Добавление товара\n// 2. Изменение количества\n// 3. Удаление товара\n// 4. Подсчёт итоговой суммы\n// 5. Вывод чека\nvar cart: [String: (price: Double, quantity: Int)] = [:]\n\n// 1. Добавление товаров\ncart[\"iPhone\"] = (price: 999.0, quantity: 1)\ncart[\"AirPods\"] = (price: 199.0, quantity: 2)\ncart[\"Чехол\"] = (price: 29.0, quantity: 3)\n\n// 2. Изменение количества\nif var item = cart[\"AirPods\"] {\n    item.quantity = 3\n    cart[\"AirPods\"] = item\n}\n\n// 3. Удаление товара\ncart[\"Чехол\"] = nil\n\n// 4. Подсчёт итоговой суммы\nvar total = 0.0\nfor (_, item) in cart {\n    total += item.price * Double(item.quantity)\n}\n\n// 5. Вывод чека\nprint(\"=== ЧЕК ===\")\nfor (name, item) in cart {\n    let subtotal = item.price * Double(item.quantity)\n    print(\"\\(name): $\\(item.price) x \\(item.quantity) = $\\(subtotal)\")\n}\nprint(\"ИТОГО: $\\(total)\")"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Условные операторы if, else if, else, guard ✅ Мощный оператор switch с диапазонами и условиями ✅ Циклы for-in, while, repeat-while ✅ Управление циклами: break, continue, метки ✅ Массивы и операции над ними: map, filter, reduce ✅ Словари для хранения пар ключ-значение ✅ Множества для уникальных значений и операций над ними ✅ Кортежи для группировки разнородных данных ✅ Операторы диапазона ... и ..<",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 4 мы изучим функции и замыкания — ключевые инструменты для организации кода. Совет: Коллекции — это основа работы с данными. Убедитесь, что вы понимаете разницу между Array, Dictionary и Set, и когда использовать каждый из них.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/04-functions.html",
+        "chapter": "Глава 4",
+        "title": "Функции и замыкания",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Функции — это фундаментальный строительный блок любой программы. Они позволяют организовать код в переиспользуемые блоки. Замыкания (closures) — это анонимные функции, которые могут захватывать значения из окружающего контекста. В iOS разработке замыкания используются повсеместно.",
+                "code": ""
+            },
+            {
+                "section": "4.1 Объявление функций",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis",
+                "text": "",
+                "code": "// Функция без параметров и возвращаемого значения\nfunc sayHello() {\n    print(\"Привет!\")\n}\n\nsayHello()  // Привет!\n\n// Функция с параметрами\nfunc greet(name: String) {\n    print(\"Привет, \\(name)!\")\n}\n\ngreet(name: \"Анна\")  // Привет, Анна!\n\n// Функция с возвращаемым значением\nfunc add(a: Int, b: Int) -> Int {\n    return a + b\n}\n\nlet sum = add(a: 5, b: 3)  // 8"
+            },
+            {
+                "section": "4.1 Объявление функций",
+                "subsection": "Сравнение с JavaScript",
+                "anchor": "sravnenie-s-javascript",
+                "text": "",
+                "code": "// JavaScript\nfunction greet(name) {\n    return `Привет, ${name}!`;\n}\n\nconst greetArrow = (name) => `Привет, ${name}!`;\n// Swift\nfunc greet(name: String) -> String {\n    return \"Привет, \\(name)!\"\n}\n\n// Или короче (implicit return)\nfunc greet(name: String) -> String {\n    \"Привет, \\(name)!\"\n}"
+            },
+            {
+                "section": "4.1 Объявление функций",
+                "subsection": "Неявный return",
+                "anchor": "neyavnyy-return",
+                "text": "Если функция состоит из одного выражения, return можно опустить:",
+                "code": "func square(_ n: Int) -> Int {\n    n * n  // return подразумевается\n}\n\nfunc isEven(_ n: Int) -> Bool {\n    n % 2 == 0\n}\n\nprint(square(5))     // 25\nprint(isEven(4))     // true"
+            },
+            {
+                "section": "4.2 Параметры и возвращаемые значения",
+                "subsection": "Несколько параметров",
+                "anchor": "neskolko-parametrov",
+                "text": "",
+                "code": "func createFullName(firstName: String, lastName: String) -> String {\n    return \"\\(firstName) \\(lastName)\"\n}\n\nlet name = createFullName(firstName: \"Иван\", lastName: \"Петров\")\nprint(name)  // Иван Петров"
+            },
+            {
+                "section": "4.2 Параметры и возвращаемые значения",
+                "subsection": "Возврат нескольких значений (кортеж)",
+                "anchor": "vozvrat-neskolkih-znacheniy-kortezh",
+                "text": "",
+                "code": "func getMinMax(numbers: [Int]) -> (min: Int, max: Int)? {\n    guard let min = numbers.min(), let max = numbers.max() else {\n        return nil\n    }\n    return (min, max)\n}\n\nif let result = getMinMax(numbers: [5, 2, 8, 1, 9]) {\n    print(\"Минимум: \\(result.min), Максимум: \\(result.max)\")\n}"
+            },
+            {
+                "section": "4.2 Параметры и возвращаемые значения",
+                "subsection": "Функции без возвращаемого значения",
+                "anchor": "funktsii-bez-vozvraschaemogo-znacheniya",
+                "text": "",
+                "code": "// Три эквивалентных способа\nfunc logMessage(_ message: String) {\n    print(message)\n}\n\nfunc logMessage2(_ message: String) -> Void {\n    print(message)\n}\n\nfunc logMessage3(_ message: String) -> () {\n    print(message)\n}"
+            },
+            {
+                "section": "4.3 Внешние и внутренние имена параметров",
+                "subsection": "",
+                "anchor": "4-3-vneshnie-i-vnutrennie-imena-parametrov",
+                "text": "Swift позволяет задать два имени для параметра: Внешнее имя (argument label) — используется при вызове Внутреннее имя (parameter name) — используется внутри функции",
+                "code": ""
+            },
+            {
+                "section": "4.3 Внешние и внутренние имена параметров",
+                "subsection": "Оба имени",
+                "anchor": "oba-imeni",
+                "text": "",
+                "code": "func greet(person name: String, from city: String) {\n    // name и city — внутренние имена\n    print(\"Привет, \\(name) из города \\(city)!\")\n}\n\n// person и from — внешние имена\ngreet(person: \"Анна\", from: \"Москва\")"
+            },
+            {
+                "section": "4.3 Внешние и внутренние имена параметров",
+                "subsection": "Пропуск внешнего имени (_)",
+                "anchor": "propusk-vneshnego-imeni",
+                "text": "",
+                "code": "func multiply(_ a: Int, _ b: Int) -> Int {\n    return a * b\n}\n\n// Вызов без меток\nlet result = multiply(5, 3)  // 15"
+            },
+            {
+                "section": "4.3 Внешние и внутренние имена параметров",
+                "subsection": "Когда какой стиль использовать",
+                "anchor": "kogda-kakoy-stil-ispolzovat",
+                "text": "",
+                "code": "// ✅ С меткой — когда параметр неочевиден\nfunc move(to point: CGPoint)\nfunc send(message: String, to recipient: String)\n\n// ✅ Без метки (_) — когда очевидно из названия функции\nfunc print(_ items: Any...)\nfunc abs(_ x: Int) -> Int\nfunc max(_ a: Int, _ b: Int) -> Int\n\n// ✅ Разные метки для читаемости\nfunc insert(_ element: Int, at index: Int)\nfunc replace(_ old: String, with new: String)"
+            },
+            {
+                "section": "4.3 Внешние и внутренние имена параметров",
+                "subsection": "Пример с разными стилями",
+                "anchor": "primer-s-raznymi-stilyami",
+                "text": "",
+                "code": "// Читается как предложение: \"copy item to folder\"\nfunc copy(_ item: String, to folder: String) {\n    print(\"Копирую \\(item) в \\(folder)\")\n}\n\ncopy(\"file.txt\", to: \"Documents\")\n\n// Читается как: \"calculate distance from point1 to point2\"\nfunc calculateDistance(from point1: CGPoint, to point2: CGPoint) -> Double {\n    let dx = point2.x - point1.x\n    let dy = point2.y - point1.y\n    return sqrt(dx*dx + dy*dy)\n}\n\nlet distance = calculateDistance(from: .zero, to: CGPoint(x: 3, y: 4))"
+            },
+            {
+                "section": "4.4 Значения по умолчанию",
+                "subsection": "",
+                "anchor": "4-4-znacheniya-po-umolchaniyu",
+                "text": "",
+                "code": "func greet(name: String, greeting: String = \"Привет\") {\n    print(\"\\(greeting), \\(name)!\")\n}\n\ngreet(name: \"Иван\")                      // Привет, Иван!\ngreet(name: \"Иван\", greeting: \"Здравствуй\")  // Здравствуй, Иван!\n\n// Пример из реальной практики\nfunc fetchData(\n    from url: String,\n    timeout: TimeInterval = 30.0,\n    retries: Int = 3,\n    useCache: Bool = true\n) {\n    print(\"Загрузка \\(url), timeout: \\(timeout), retries: \\(retries), cache: \\(useCache)\")\n}\n\nfetchData(from: \"https://api.example.com\")\nfetchData(from: \"https://api.example.com\", timeout: 60.0)\nfetchData(from: \"https://api.example.com\", useCache: false)"
+            },
+            {
+                "section": "4.5 Вариативные параметры (Variadic)",
+                "subsection": "",
+                "anchor": "4-5-variativnye-parametry-variadic",
+                "text": "Функция может принимать произвольное количество аргументов одного типа:",
+                "code": "func sum(_ numbers: Int...) -> Int {\n    var total = 0\n    for number in numbers {\n        total += number\n    }\n    return total\n}\n\nprint(sum(1, 2, 3))           // 6\nprint(sum(1, 2, 3, 4, 5))     // 15\nprint(sum())                   // 0\n\n// Пример: функция print\nfunc myPrint(_ items: Any..., separator: String = \" \") {\n    let output = items.map { \"\\($0)\" }.joined(separator: separator)\n    print(output)\n}\n\nmyPrint(\"a\", \"b\", \"c\")                    // a b c\nmyPrint(\"a\", \"b\", \"c\", separator: \"-\")    // a-b-c"
+            },
+            {
+                "section": "4.6 Параметры inout",
+                "subsection": "",
+                "anchor": "4-6-parametry-inout",
+                "text": "По умолчанию параметры функции — константы. inout позволяет изменять переданное значение: Важно: Swift уже имеет встроенную функцию swapAt для массивов и глобальную swap(&a, &b).",
+                "code": "func doubleValue(_ number: inout Int) {\n    number *= 2\n}\n\nvar myNumber = 5\ndoubleValue(&myNumber)  // & обязателен при вызове\nprint(myNumber)         // 10\n\n// Классический пример: swap\nfunc swap(_ a: inout Int, _ b: inout Int) {\n    let temp = a\n    a = b\n    b = temp\n}\n\nvar x = 10\nvar y = 20\nswap(&x, &y)\nprint(\"x: \\(x), y: \\(y)\")  // x: 20, y: 10"
+            },
+            {
+                "section": "4.7 Функции как типы",
+                "subsection": "",
+                "anchor": "4-7-funktsii-kak-tipy",
+                "text": "В Swift функции — это объекты первого класса. Их можно: Присваивать переменным Передавать как параметры Возвращать из функций",
+                "code": ""
+            },
+            {
+                "section": "4.7 Функции как типы",
+                "subsection": "Типы функций",
+                "anchor": "tipy-funktsiy",
+                "text": "",
+                "code": "// (Int, Int) -> Int — функция принимает два Int, возвращает Int\nfunc add(_ a: Int, _ b: Int) -> Int { a + b }\nfunc multiply(_ a: Int, _ b: Int) -> Int { a * b }\n\n// Присваивание функции переменной\nvar mathFunction: (Int, Int) -> Int = add\nprint(mathFunction(3, 4))  // 7\n\nmathFunction = multiply\nprint(mathFunction(3, 4))  // 12\n\n// () -> Void — функция без параметров и возвращаемого значения\nfunc sayHi() { print(\"Hi\") }\nlet greeting: () -> Void = sayHi\ngreeting()  // Hi"
+            },
+            {
+                "section": "4.7 Функции как типы",
+                "subsection": "Функции как параметры",
+                "anchor": "funktsii-kak-parametry",
+                "text": "",
+                "code": "func apply(\n    _ operation: (Int, Int) -> Int,\n    to a: Int,\n    and b: Int\n) -> Int {\n    return operation(a, b)\n}\n\nfunc add(_ a: Int, _ b: Int) -> Int { a + b }\nfunc subtract(_ a: Int, _ b: Int) -> Int { a - b }\n\nlet result1 = apply(add, to: 10, and: 5)       // 15\nlet result2 = apply(subtract, to: 10, and: 5)  // 5"
+            },
+            {
+                "section": "4.7 Функции как типы",
+                "subsection": "Функции как возвращаемые значения",
+                "anchor": "funktsii-kak-vozvraschaemye-znacheniya",
+                "text": "",
+                "code": "func makeMultiplier(factor: Int) -> (Int) -> Int {\n    func multiplier(_ number: Int) -> Int {\n        return number * factor\n    }\n    return multiplier\n}\n\nlet double = makeMultiplier(factor: 2)\nlet triple = makeMultiplier(factor: 3)\n\nprint(double(5))   // 10\nprint(triple(5))   // 15"
+            },
+            {
+                "section": "4.8 Замыкания (Closures)",
+                "subsection": "",
+                "anchor": "4-8-zamykaniya-closures",
+                "text": "Замыкание — это блок кода, который можно передавать и выполнять. По сути, это анонимная функция.",
+                "code": ""
+            },
+            {
+                "section": "4.8 Замыкания (Closures)",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis-2",
+                "text": "",
+                "code": "// Полный синтаксис замыкания\nlet greet = { (name: String) -> String in\n    return \"Привет, \\(name)!\"\n}\n\nprint(greet(\"Мир\"))  // Привет, Мир!"
+            },
+            {
+                "section": "4.8 Замыкания (Closures)",
+                "subsection": "Структура замыкания",
+                "anchor": "struktura-zamykaniya",
+                "text": "",
+                "code": "{ (параметры) -> ТипВозврата in\n    // код\n}"
+            },
+            {
+                "section": "4.8 Замыкания (Closures)",
+                "subsection": "Сравнение: функция vs замыкание",
+                "anchor": "sravnenie-funktsiya-vs-zamykanie",
+                "text": "",
+                "code": "// Функция\nfunc addFunc(_ a: Int, _ b: Int) -> Int {\n    return a + b\n}\n\n// Замыкание\nlet addClosure = { (a: Int, b: Int) -> Int in\n    return a + b\n}\n\n// Использование идентично\nprint(addFunc(2, 3))     // 5\nprint(addClosure(2, 3))  // 5"
+            },
+            {
+                "section": "4.9 Сокращённый синтаксис замыканий",
+                "subsection": "",
+                "anchor": "4-9-sokraschennyy-sintaksis-zamykaniy",
+                "text": "Swift позволяет постепенно сокращать синтаксис замыканий:",
+                "code": "let numbers = [5, 2, 8, 1, 9]\n\n// 1. Полный синтаксис\nlet sorted1 = numbers.sorted(by: { (a: Int, b: Int) -> Bool in\n    return a < b\n})\n\n// 2. Вывод типов (убираем типы)\nlet sorted2 = numbers.sorted(by: { a, b in\n    return a < b\n})\n\n// 3. Неявный return (убираем return)\nlet sorted3 = numbers.sorted(by: { a, b in a < b })\n\n// 4. Сокращённые имена аргументов ($0, $1, ...)\nlet sorted4 = numbers.sorted(by: { $0 < $1 })\n\n// 5. Оператор как замыкание\nlet sorted5 = numbers.sorted(by: <)\n\n// Все варианты дают одинаковый результат: [1, 2, 5, 8, 9]"
+            },
+            {
+                "section": "4.9 Сокращённый синтаксис замыканий",
+                "subsection": "Объяснение $0, $1, $2...",
+                "anchor": "obyasnenie-0-1-2",
+                "text": "Swift автоматически присваивает имена аргументам замыкания: $0 — первый аргумент $1 — второй аргумент и так далее",
+                "code": "let multiply = { $0 * $1 }  // (Int, Int) -> Int\nprint(multiply(3, 4))       // 12\n\nlet isPositive = { $0 > 0 }  // (Int) -> Bool\nprint(isPositive(5))         // true\nprint(isPositive(-3))        // false"
+            },
+            {
+                "section": "4.10 Trailing Closure Syntax",
+                "subsection": "",
+                "anchor": "4-10-trailing-closure-syntax",
+                "text": "Если замыкание — последний аргумент функции, его можно вынести за скобки:",
+                "code": "let numbers = [1, 2, 3, 4, 5]\n\n// Обычный синтаксис\nlet doubled1 = numbers.map({ $0 * 2 })\n\n// Trailing closure\nlet doubled2 = numbers.map { $0 * 2 }\n\n// Если замыкание — единственный аргумент, скобки можно убрать\nlet doubled3 = numbers.map { number in\n    number * 2\n}"
+            },
+            {
+                "section": "4.10 Trailing Closure Syntax",
+                "subsection": "Несколько trailing closures",
+                "anchor": "neskolko-trailing-closures",
+                "text": "",
+                "code": "// UIView.animate имеет два замыкания\nUIView.animate(withDuration: 0.3) {\n    // анимация\n    view.alpha = 0\n} completion: { finished in\n    // после завершения\n    view.removeFromSuperview()\n}"
+            },
+            {
+                "section": "4.11 Захват значений (Capturing Values)",
+                "subsection": "",
+                "anchor": "4-11-zahvat-znacheniy-capturing-values",
+                "text": "Замыкания могут захватывать и хранить ссылки на переменные из окружающего контекста:",
+                "code": "func makeCounter() -> () -> Int {\n    var count = 0\n\n    let counter = {\n        count += 1\n        return count\n    }\n\n    return counter\n}\n\nlet counter1 = makeCounter()\nprint(counter1())  // 1\nprint(counter1())  // 2\nprint(counter1())  // 3\n\nlet counter2 = makeCounter()\nprint(counter2())  // 1 (новый счётчик)"
+            },
+            {
+                "section": "4.11 Захват значений (Capturing Values)",
+                "subsection": "Захват в цикле",
+                "anchor": "zahvat-v-tsikle",
+                "text": "Примечание: В Swift каждая итерация цикла создаёт новую копию переменной, поэтому каждое замыкание захватывает своё значение. В JavaScript без let все замыкания ссылались бы на одну переменную.",
+                "code": "var closures: [() -> Void] = []\n\nfor i in 1...3 {\n    closures.append {\n        print(\"Значение: \\(i)\")\n    }\n}\n\nfor closure in closures {\n    closure()\n}\n// Значение: 1\n// Значение: 2\n// Значение: 3"
+            },
+            {
+                "section": "4.12 @escaping замыкания",
+                "subsection": "",
+                "anchor": "4-12-escaping-zamykaniya",
+                "text": "По умолчанию замыкания, переданные в функцию, не могут \"сбежать\" за пределы функции. Если замыкание вызывается после завершения функции, его нужно пометить @escaping:",
+                "code": "// Non-escaping (по умолчанию) — вызывается сразу\nfunc performOperation(_ operation: () -> Void) {\n    operation()  // Вызывается внутри функции\n}\n\n// Escaping — вызывается позже\nvar completionHandlers: [() -> Void] = []\n\nfunc addCompletionHandler(_ handler: @escaping () -> Void) {\n    completionHandlers.append(handler)  // Сохраняем для вызова позже\n}\n\n// Пример с асинхронной операцией\nfunc fetchData(completion: @escaping (String) -> Void) {\n    DispatchQueue.main.asyncAfter(deadline: .now() + 1) {\n        completion(\"Данные загружены\")  // Вызывается после завершения функции\n    }\n}\n\nfetchData { result in\n    print(result)\n}"
+            },
+            {
+                "section": "4.12 @escaping замыкания",
+                "subsection": "Когда нужен @escaping",
+                "anchor": "kogda-nuzhen-escaping",
+                "text": "Асинхронные операции (сетевые запросы, таймеры) Сохранение замыкания в свойство Передача в другую @escaping функцию",
+                "code": ""
+            },
+            {
+                "section": "4.13 @autoclosure",
+                "subsection": "",
+                "anchor": "4-13-autoclosure",
+                "text": "@autoclosure автоматически оборачивает выражение в замыкание:",
+                "code": "// Без @autoclosure\nfunc logIfTrue(_ condition: () -> Bool, message: String) {\n    if condition() {\n        print(message)\n    }\n}\n\nlogIfTrue({ 2 > 1 }, message: \"Два больше одного\")\n\n// С @autoclosure\nfunc logIfTrueAuto(_ condition: @autoclosure () -> Bool, message: String) {\n    if condition() {\n        print(message)\n    }\n}\n\nlogIfTrueAuto(2 > 1, message: \"Два больше одного\")  // Без фигурных скобок!"
+            },
+            {
+                "section": "4.13 @autoclosure",
+                "subsection": "Пример: assert",
+                "anchor": "primer-assert",
+                "text": "",
+                "code": "// assert использует @autoclosure для ленивого вычисления\nassert(expensiveCheck(), \"Ошибка!\")  // expensiveCheck() вызовется только если нужно\n\n// Своя реализация\nfunc myAssert(_ condition: @autoclosure () -> Bool, _ message: String) {\n    #if DEBUG\n    if !condition() {\n        fatalError(message)\n    }\n    #endif\n}"
+            },
+            {
+                "section": "4.14 Примеры из реальной практики",
+                "subsection": "Работа с массивами",
+                "anchor": "rabota-s-massivami",
+                "text": "",
+                "code": "let products = [\n    (name: \"iPhone\", price: 999),\n    (name: \"MacBook\", price: 1999),\n    (name: \"iPad\", price: 799),\n    (name: \"AirPods\", price: 199)\n]\n\n// Фильтрация\nlet expensive = products.filter { $0.price > 500 }\n// [(name: \"iPhone\", price: 999), (name: \"MacBook\", price: 1999), (name: \"iPad\", price: 799)]\n\n// Преобразование\nlet names = products.map { $0.name }\n// [\"iPhone\", \"MacBook\", \"iPad\", \"AirPods\"]\n\n// Сумма\nlet totalPrice = products.reduce(0) { $0 + $1.price }\n// 3996\n\n// Сортировка\nlet sortedByPrice = products.sorted { $0.price < $1.price }\n\n// Цепочка операций\nlet result = products\n    .filter { $0.price < 1000 }\n    .map { \"\\($0.name): $\\($0.price)\" }\n    .joined(separator: \"\\n\")\n\nprint(result)\n// iPhone: $999\n// iPad: $799\n// AirPods: $199"
+            },
+            {
+                "section": "4.14 Примеры из реальной практики",
+                "subsection": "Completion handlers",
+                "anchor": "completion-handlers",
+                "text": "",
+                "code": "func downloadImage(from url: String, completion: @escaping (UIImage?) -> Void) {\n    // Имитация асинхронной загрузки\n    DispatchQueue.global().async {\n        // ... загрузка ...\n        let image: UIImage? = nil  // результат загрузки\n\n        DispatchQueue.main.async {\n            completion(image)\n        }\n    }\n}\n\n// Использование\ndownloadImage(from: \"https://example.com/image.jpg\") { image in\n    if let image = image {\n        print(\"Изображение загружено\")\n        // imageView.image = image\n    } else {\n        print(\"Ошибка загрузки\")\n    }\n}"
+            },
+            {
+                "section": "4.14 Примеры из реальной практики",
+                "subsection": "Конфигурирующие замыкания",
+                "anchor": "konfiguriruyuschie-zamykaniya",
+                "text": "",
+                "code": "func configure<T>(_ object: T, using closure: (inout T) -> Void) -> T {\n    var copy = object\n    closure(&copy)\n    return copy\n}\n\nlet label = configure(UILabel()) { label in\n    label.text = \"Привет\"\n    label.textColor = .black\n    label.font = .systemFont(ofSize: 16)\n}"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.1: Базовые функции",
+                "anchor": "uprazhnenie-4-1-bazovye-funktsii",
+                "text": "Напишите функции: square(_ n: Int) -> Int — возвращает квадрат числа isEven(_ n: Int) -> Bool — проверяет, чётное ли число greet(name: String, times: Int) — выводит приветствие указанное количество раз Показать решение",
+                "code": "func square(_ n: Int) -> Int {\n    n * n\n}\n\nfunc isEven(_ n: Int) -> Bool {\n    n % 2 == 0\n}\n\nfunc greet(name: String, times: Int) {\n    for _ in 1...times {\n        print(\"Привет, \\(name)!\")\n    }\n}\n\nprint(square(5))       // 25\nprint(isEven(4))       // true\ngreet(name: \"Мир\", times: 3)"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.2: Параметры по умолчанию",
+                "anchor": "uprazhnenie-4-2-parametry-po-umolchaniyu",
+                "text": "Создайте функцию formatPrice, которая форматирует цену: Параметр amount: Double — сумма Параметр currency: String = \"$\" — символ валюты Параметр decimals: Int = 2 — количество знаков после запятой Показать решение",
+                "code": "// formatPrice(99.5) -> \"$99.50\"\n// formatPrice(99.5, currency: \"€\") -> \"€99.50\"\n// formatPrice(99.5, decimals: 0) -> \"$100\"\nfunc formatPrice(\n    _ amount: Double,\n    currency: String = \"$\",\n    decimals: Int = 2\n) -> String {\n    let formatted = String(format: \"%.\\(decimals)f\", amount)\n    return \"\\(currency)\\(formatted)\"\n}\n\nprint(formatPrice(99.5))                      // $99.50\nprint(formatPrice(99.5, currency: \"€\"))       // €99.50\nprint(formatPrice(99.5, decimals: 0))         // $100\nprint(formatPrice(1234.567, currency: \"₽\", decimals: 1))  // ₽1234.6"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.3: Функции высшего порядка",
+                "anchor": "uprazhnenie-4-3-funktsii-vysshego-poryadka",
+                "text": "Используя map, filter, reduce, обработайте массив чисел: Показать решение",
+                "code": "let numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]\n\n// 1. Получите массив квадратов всех чисел\n// 2. Отфильтруйте только нечётные числа\n// 3. Найдите сумму всех чисел\n// 4. Найдите произведение чисел от 1 до 5\nlet numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]\n\n// 1. Квадраты\nlet squares = numbers.map { $0 * $0 }\nprint(squares)  // [1, 4, 9, 16, 25, 36, 49, 64, 81, 100]\n\n// 2. Нечётные\nlet odds = numbers.filter { $0 % 2 != 0 }\nprint(odds)  // [1, 3, 5, 7, 9]\n\n// 3. Сумма\nlet sum = numbers.reduce(0, +)\nprint(sum)  // 55\n\n// 4. Произведение 1-5\nlet product = numbers.prefix(5).reduce(1, *)\nprint(product)  // 120"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.4: Замыкания",
+                "anchor": "uprazhnenie-4-4-zamykaniya",
+                "text": "Напишите функцию makeMultiplier, которая возвращает функцию-умножитель: Показать решение",
+                "code": "let double = makeMultiplier(2)\nlet triple = makeMultiplier(3)\n\nprint(double(5))   // 10\nprint(triple(5))   // 15\nfunc makeMultiplier(_ factor: Int) -> (Int) -> Int {\n    return { number in\n        number * factor\n    }\n}\n\n// Или короче\nfunc makeMultiplierShort(_ factor: Int) -> (Int) -> Int {\n    { $0 * factor }\n}\n\nlet double = makeMultiplier(2)\nlet triple = makeMultiplier(3)\n\nprint(double(5))   // 10\nprint(triple(5))   // 15\nprint(double(triple(4)))  // 24 (4 * 3 * 2)"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.5: Обработка данных",
+                "anchor": "uprazhnenie-4-5-obrabotka-dannyh",
+                "text": "Дан массив пользователей. Выполните операции с использованием замыканий: Показать решение",
+                "code": "struct User {\n    let name: String\n    let age: Int\n    let isActive: Bool\n}\n\nlet users = [\n    User(name: \"Анна\", age: 28, isActive: true),\n    User(name: \"Борис\", age: 35, isActive: false),\n    User(name: \"Виктор\", age: 22, isActive: true),\n    User(name: \"Галина\", age: 45, isActive: true),\n    User(name: \"Дмитрий\", age: 31, isActive: false)\n]\n\n// 1. Получите имена всех активных пользователей\n// 2. Найдите средний возраст\n// 3. Отсортируйте по возрасту (от младшего к старшему)\n// 4. Найдите самого старшего активного пользователя\nstruct User {\n    let name: String\n    let age: Int\n    let isActive: Bool\n}\n\nlet users = [\n    User(name: \"Анна\", age: 28, isActive: true),\n    User(name: \"Борис\", age: 35, isActive: false),\n    User(name: \"Виктор\", age: 22, isActive: true),\n    User(name: \"Галина\", age: 45, isActive: true),\n    User(name: \"Дмитрий\", age: 31, isActive: false)\n]\n\n// 1. Имена активных\nlet activeNames = users\n    .filter { $0.isActive }\n    .map { $0.name }\nprint(activeNames)  // [\"Анна\", \"Виктор\", \"Галина\"]\n\n// 2. Средний возраст\nlet averageAge = Double(users.reduce(0) { $0 + $1.age }) / Double(users.count)\nprint(averageAge)  // 32.2\n\n// 3. Сортировка по возрасту\nlet sortedByAge = users.sorted { $0.age < $1.age }\nprint(sortedByAge.map { \"\\($0.name): \\($0.age)\" })\n\n// 4. Самый старший активный\nlet oldestActive = users\n    .filter { $0.isActive }\n    .max { $0.age < $1.age }\nprint(oldestActive?.name ?? \"Не найден\")  // Галина"
+            },
+            {
+                "section": "4.15 Упражнения",
+                "subsection": "Упражнение 4.6: Создание калькулятора",
+                "anchor": "uprazhnenie-4-6-sozdanie-kalkulyatora",
+                "text": "Создайте калькулятор с использованием функций как типов: Показать решение",
+                "code": "// Реализуйте функцию calculate, которая принимает:\n// - два числа\n// - операцию в виде функции\n\nfunc calculate(_ a: Double, _ b: Double, operation: (Double, Double) -> Double) -> Double {\n    // ваш код\n}\n\n// Использование:\n// calculate(10, 5, operation: +)  // 15\n// calculate(10, 5, operation: -)  // 5\n// calculate(10, 5, operation: *)  // 50\n// calculate(10, 5, operation: /)  // 2\nfunc calculate(_ a: Double, _ b: Double, operation: (Double, Double) -> Double) -> Double {\n    operation(a, b)\n}\n\nprint(calculate(10, 5, operation: +))  // 15.0\nprint(calculate(10, 5, operation: -))  // 5.0\nprint(calculate(10, 5, operation: *))  // 50.0\nprint(calculate(10, 5, operation: /))  // 2.0\n\n// Кастомная операция\nlet power: (Double, Double) -> Double = { pow($0, $1) }\nprint(calculate(2, 10, operation: power))  // 1024.0"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Как объявлять функции с параметрами и возвращаемыми значениями ✅ Внешние и внутренние имена параметров ✅ Параметры по умолчанию и вариативные параметры ✅ Параметры inout для изменения переданных значений ✅ Функции как типы первого класса ✅ Замыкания и их сокращённый синтаксис ✅ Trailing closure syntax ✅ Захват значений и @escaping замыкания ✅ Функции высшего порядка: map, filter, reduce",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 5 мы изучим объектно-ориентированное программирование: классы, структуры и перечисления. Совет: Замыкания — один из самых важных концептов в Swift. Они используются повсеместно: в обработке массивов, асинхронных операциях, делегировании. Убедитесь, что вы понимаете их синтаксис и принцип работы.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/05-oop.html",
+        "chapter": "Глава 5",
+        "title": "ООП — Классы, структуры и объектно-ориентированное программирование",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Объектно-ориентированное программирование (ООП) — это фундаментальная парадигма, на которой построен весь UIKit и большинство iOS приложений. Если вы работали с JavaScript, вы уже знакомы с объектами. Swift предлагает более строгую и мощную систему ООП. В этой главе мы глубоко изучим: Структуры (struct) и классы (class) Когда и почему использовать каждый из них Наследование и почему мы наследуемся от определённых классов Инкапсуляцию и управление доступом Полиморфизм Практические паттерны iOS разработки",
+                "code": ""
+            },
+            {
+                "section": "Введение",
+                "subsection": "Сравнение с Web разработкой",
+                "anchor": "sravnenie-s-web-razrabotkoy",
+                "text": "Концепция JavaScript Swift Объект{} или classclass или struct Наследованиеextends: ParentClass ИнтерфейсTypeScript interfaceprotocol Приватные поля#field или _fieldprivate var field Геттеры/сеттерыget/setcomputed properties Статические методыstaticstatic или class",
+                "code": ""
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Что такое структура",
+                "anchor": "chto-takoe-struktura",
+                "text": "Структура — это тип-значение (value type), который группирует связанные данные. Когда вы передаёте структуру в функцию или присваиваете её другой переменной, создаётся копия.",
+                "code": "Аналогия из реальной жизни:\nСтруктура — как документ Word. Когда вы отправляете файл другу,\nон получает КОПИЮ. Если он изменит свою копию, ваш оригинал\nостанется нетронутым."
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Базовый синтаксис структуры",
+                "anchor": "bazovyy-sintaksis-struktury",
+                "text": "",
+                "code": "// Объявление структуры\nstruct Product {\n    // Хранимые свойства (stored properties)\n    let id: Int              // Неизменяемое свойство\n    var name: String         // Изменяемое свойство\n    var price: Double        // Изменяемое свойство\n    var inStock: Bool = true // Свойство со значением по умолчанию\n}\n\n// Создание экземпляра (memberwise initializer создаётся автоматически)\nlet iphone = Product(id: 1, name: \"iPhone 15\", price: 999.0)\n\n// Или с указанием значения по умолчанию\nlet macbook = Product(id: 2, name: \"MacBook Pro\", price: 1999.0, inStock: false)\n\n// Доступ к свойствам\nprint(iphone.name)    // iPhone 15\nprint(iphone.price)   // 999.0"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Почему структуры — это value type",
+                "anchor": "pochemu-struktury-eto-value-type",
+                "text": "",
+                "code": "// Демонстрация копирования\nvar product1 = Product(id: 1, name: \"iPhone\", price: 999.0)\nvar product2 = product1  // Создаётся КОПИЯ\n\nproduct2.price = 899.0   // Изменяем копию\n\nprint(product1.price)    // 999.0 — оригинал НЕ изменился!\nprint(product2.price)    // 899.0 — изменилась только копия"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Визуализация value type",
+                "anchor": "vizualizatsiya-value-type",
+                "text": "",
+                "code": "Шаг 1: Создаём product1\n┌──────────────────────────┐\n│ product1                 │\n│ ┌──────────────────────┐ │\n│ │ id: 1                │ │\n│ │ name: \"iPhone\"       │ │\n│ │ price: 999.0         │ │\n│ └──────────────────────┘ │\n└──────────────────────────┘\n\nШаг 2: product2 = product1 (копирование)\n┌──────────────────────────┐    ┌──────────────────────────┐\n│ product1                 │    │ product2                 │\n│ ┌──────────────────────┐ │    │ ┌──────────────────────┐ │\n│ │ id: 1                │ │    │ │ id: 1                │ │\n│ │ name: \"iPhone\"       │ │    │ │ name: \"iPhone\"       │ │\n│ │ price: 999.0         │ │    │ │ price: 999.0         │ │\n│ └──────────────────────┘ │    └──────────────────────┘ │\n└──────────────────────────┘    └──────────────────────────┘\n        ↑                               ↑\n   Оригинал                          Копия\n\nШаг 3: product2.price = 899.0\n┌──────────────────────────┐    ┌──────────────────────────┐\n│ product1                 │    │ product2                 │\n│ ┌──────────────────────┐ │    │ ┌──────────────────────┐ │\n│ │ id: 1                │ │    │ │ id: 1                │ │\n│ │ name: \"iPhone\"       │ │    │ │ name: \"iPhone\"       │ │\n│ │ price: 999.0 ✓       │ │    │ │ price: 899.0 ✓       │ │\n│ └──────────────────────┘ │    │ └──────────────────────┘ │\n└──────────────────────────┘    └──────────────────────────┘\n  Не изменился!                    Изменилась копия"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Методы структуры",
+                "anchor": "metody-struktury",
+                "text": "",
+                "code": "struct Rectangle {\n    var width: Double\n    var height: Double\n\n    // Обычный метод (только читает свойства)\n    func area() -> Double {\n        return width * height\n    }\n\n    func perimeter() -> Double {\n        return 2 * (width + height)\n    }\n\n    func describe() -> String {\n        return \"Прямоугольник \\(width) x \\(height)\"\n    }\n}\n\nlet rect = Rectangle(width: 10, height: 5)\nprint(rect.area())       // 50.0\nprint(rect.perimeter())  // 30.0\nprint(rect.describe())   // Прямоугольник 10.0 x 5.0"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Mutating методы — изменение свойств",
+                "anchor": "mutating-metody-izmenenie-svoystv",
+                "text": "Поскольку структуры — value type, методы по умолчанию не могут изменять свойства. Чтобы разрешить изменение, используйте mutating:",
+                "code": "struct Point {\n    var x: Double\n    var y: Double\n\n    // ❌ Ошибка: Cannot assign to property: 'self' is immutable\n    // func move(dx: Double, dy: Double) {\n    //     x += dx\n    //     y += dy\n    // }\n\n    // ✅ Правильно: используем mutating\n    mutating func move(dx: Double, dy: Double) {\n        x += dx\n        y += dy\n    }\n\n    mutating func reset() {\n        x = 0\n        y = 0\n    }\n\n    // Обычный метод не требует mutating (только читает)\n    func distance(to other: Point) -> Double {\n        let dx = other.x - x\n        let dy = other.y - y\n        return sqrt(dx * dx + dy * dy)\n    }\n}\n\n// Использование\nvar point = Point(x: 0, y: 0)\npoint.move(dx: 3, dy: 4)\nprint(point)  // Point(x: 3.0, y: 4.0)\n\nlet origin = Point(x: 0, y: 0)\nprint(point.distance(to: origin))  // 5.0\n\n// ⚠️ Важно: mutating методы нельзя вызвать на константе\nlet fixedPoint = Point(x: 10, y: 10)\n// fixedPoint.move(dx: 1, dy: 1)  // ❌ Ошибка!"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Вычисляемые свойства (Computed Properties)",
+                "anchor": "vychislyaemye-svoystva-computed-properties",
+                "text": "Вычисляемые свойства не хранят значение, а вычисляют его при каждом доступе:",
+                "code": "struct Circle {\n    // Хранимое свойство\n    var radius: Double\n\n    // Вычисляемое свойство (только чтение)\n    var diameter: Double {\n        return radius * 2\n    }\n\n    var area: Double {\n        return .pi * radius * radius\n    }\n\n    var circumference: Double {\n        return 2 * .pi * radius\n    }\n\n    // Вычисляемое свойство с геттером и сеттером\n    var diameterWithSetter: Double {\n        get {\n            return radius * 2\n        }\n        set {\n            // newValue — автоматическая переменная с новым значением\n            radius = newValue / 2\n        }\n    }\n}\n\nvar circle = Circle(radius: 5)\n\n// Чтение вычисляемых свойств\nprint(circle.diameter)       // 10.0\nprint(circle.area)           // 78.54...\nprint(circle.circumference)  // 31.42...\n\n// Запись через сеттер\ncircle.diameterWithSetter = 20\nprint(circle.radius)         // 10.0 (радиус изменился)"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Статические свойства и методы",
+                "anchor": "staticheskie-svoystva-i-metody",
+                "text": "Статические члены принадлежат типу, а не экземпляру:",
+                "code": "struct APIConfig {\n    // Статические свойства — общие для всех экземпляров\n    static let baseURL = \"https://fakestoreapi.com\"\n    static let apiVersion = \"v1\"\n    static var timeout: TimeInterval = 30.0\n\n    // Статический метод\n    static func buildURL(endpoint: String) -> String {\n        return \"\\(baseURL)/\\(apiVersion)/\\(endpoint)\"\n    }\n}\n\n// Доступ без создания экземпляра\nprint(APIConfig.baseURL)                    // https://fakestoreapi.com\nprint(APIConfig.buildURL(endpoint: \"products\"))  // https://fakestoreapi.com/v1/products\n\n// Изменение статической переменной\nAPIConfig.timeout = 60.0"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Пользовательские инициализаторы",
+                "anchor": "polzovatelskie-initsializatory",
+                "text": "",
+                "code": "struct User {\n    let id: Int\n    var email: String\n    var name: String\n    var createdAt: Date\n\n    // Пользовательский инициализатор\n    init(id: Int, email: String, name: String) {\n        self.id = id\n        self.email = email.lowercased()  // Нормализация email\n        self.name = name.trimmingCharacters(in: .whitespaces)\n        self.createdAt = Date()  // Автоматически текущая дата\n    }\n\n    // Convenience инициализатор для тестирования\n    init(testUser name: String) {\n        self.init(\n            id: Int.random(in: 1...1000),\n            email: \"\\(name.lowercased())@test.com\",\n            name: name\n        )\n    }\n}\n\nlet user = User(id: 1, email: \"JOHN@EXAMPLE.COM\", name: \"  John  \")\nprint(user.email)  // john@example.com (приведено к lowercase)\nprint(user.name)   // John (убраны пробелы)\n\nlet testUser = User(testUser: \"Alice\")\nprint(testUser.email)  // alice@test.com"
+            },
+            {
+                "section": "5.1 Структуры (struct) — подробное руководство",
+                "subsection": "Failable Initializer — инициализатор с валидацией",
+                "anchor": "failable-initializer-initsializator-s-validatsiey",
+                "text": "",
+                "code": "struct Email {\n    let address: String\n\n    // Возвращает nil, если email невалидный\n    init?(_ string: String) {\n        // Проверка формата\n        guard string.contains(\"@\"),\n              string.contains(\".\"),\n              string.count >= 5 else {\n            return nil  // Невалидный email\n        }\n\n        self.address = string.lowercased()\n    }\n}\n\n// Использование\nif let validEmail = Email(\"user@example.com\") {\n    print(\"Email валидный: \\(validEmail.address)\")\n} else {\n    print(\"Невалидный email\")\n}\n\nlet invalidEmail = Email(\"not-an-email\")  // nil"
+            },
+            {
+                "section": "5.2 Классы (class) — подробное руководство",
+                "subsection": "Что такое класс",
+                "anchor": "chto-takoe-klass",
+                "text": "Класс — это ссылочный тип (reference type). Когда вы передаёте класс или присваиваете его другой переменной, передаётся ссылка на тот же объект в памяти.",
+                "code": "Аналогия из реальной жизни:\nКласс — как Google Документ. Когда вы делитесь ссылкой с другом,\nвы оба работаете с ОДНИМ И ТЕМ ЖЕ документом. Изменения одного\nвидны другому."
+            },
+            {
+                "section": "5.2 Классы (class) — подробное руководство",
+                "subsection": "Базовый синтаксис класса",
+                "anchor": "bazovyy-sintaksis-klassa",
+                "text": "",
+                "code": "class Person {\n    // Свойства\n    var name: String\n    var age: Int\n    var email: String?  // Опциональное свойство\n\n    // ⚠️ В отличие от struct, класс ТРЕБУЕТ явный инициализатор\n    init(name: String, age: Int, email: String? = nil) {\n        self.name = name\n        self.age = age\n        self.email = email\n    }\n\n    // Методы\n    func introduce() {\n        print(\"Привет, я \\(name), мне \\(age) лет\")\n    }\n\n    func celebrateBirthday() {\n        age += 1\n        print(\"\\(name) отмечает день рождения! Теперь ему/ей \\(age)\")\n    }\n}\n\n// Создание экземпляра\nlet person = Person(name: \"Анна\", age: 25)\nperson.introduce()  // Привет, я Анна, мне 25 лет"
+            },
+            {
+                "section": "5.2 Классы (class) — подробное руководство",
+                "subsection": "Почему классы — это reference type",
+                "anchor": "pochemu-klassy-eto-reference-type",
+                "text": "",
+                "code": "// Демонстрация ссылочной семантики\nlet person1 = Person(name: \"Иван\", age: 30)\nlet person2 = person1  // person2 указывает на ТОТ ЖЕ объект\n\nperson2.age = 35  // Изменяем через вторую ссылку\n\nprint(person1.age)  // 35 — изменился и оригинал!\nprint(person2.age)  // 35\n\n// Это один и тот же объект\nprint(person1 === person2)  // true (оператор идентичности)"
+            },
+            {
+                "section": "5.2 Классы (class) — подробное руководство",
+                "subsection": "Визуализация reference type",
+                "anchor": "vizualizatsiya-reference-type",
+                "text": "",
+                "code": "Шаг 1: Создаём person1\n┌──────────────┐         ┌──────────────────────┐\n│ person1      │────────►│ Объект Person        │\n└──────────────┘         │ name: \"Иван\"         │\n                         │ age: 30              │\n                         └──────────────────────┘\n                              Heap (куча памяти)\n\nШаг 2: person2 = person1 (копируется ССЫЛКА, не объект)\n┌──────────────┐\n│ person1      │────────┐\n└──────────────┘        │    ┌──────────────────────┐\n                        └───►│ Объект Person        │\n┌──────────────┐        ┌───►│ name: \"Иван\"         │\n│ person2      │────────┘    │ age: 30              │\n└──────────────┘             └──────────────────────┘\n                                  Один объект в памяти!\n\nШаг 3: person2.age = 35 (обе ссылки видят изменение)\n┌──────────────┐\n│ person1      │────────┐\n└──────────────┘        │    ┌──────────────────────┐\n                        └───►│ Объект Person        │\n┌──────────────┐        ┌───►│ name: \"Иван\"         │\n│ person2      │────────┘    │ age: 35 ← изменено   │\n└──────────────┘             └──────────────────────┘"
+            },
+            {
+                "section": "5.2 Классы (class) — подробное руководство",
+                "subsection": "Deinitializer — деструктор класса",
+                "anchor": "deinitializer-destruktor-klassa",
+                "text": "Только классы могут иметь deinit — код, выполняемый при удалении объекта:",
+                "code": "class FileHandler {\n    let filename: String\n\n    init(filename: String) {\n        self.filename = filename\n        print(\"📂 Файл '\\(filename)' открыт\")\n    }\n\n    deinit {\n        // Автоматически вызывается, когда объект удаляется из памяти\n        print(\"📁 Файл '\\(filename)' закрыт\")\n    }\n\n    func read() -> String {\n        return \"Содержимое файла \\(filename)\"\n    }\n}\n\n// Демонстрация жизненного цикла\nfunc processFile() {\n    let handler = FileHandler(filename: \"data.json\")\n    // 📂 Файл 'data.json' открыт\n\n    print(handler.read())\n    // Содержимое файла data.json\n\n} // handler выходит из scope, вызывается deinit\n// 📁 Файл 'data.json' закрыт\n\nprocessFile()"
+            },
+            {
+                "section": "5.3 Критическое сравнение: struct vs class",
+                "subsection": "Таблица различий",
+                "anchor": "tablitsa-razlichiy",
+                "text": "Характеристика struct (Value Type) class (Reference Type) КопированиеСоздаётся копияКопируется ссылка Наследование❌ Не поддерживается✅ Поддерживается Deinitializer❌ Нет✅ Есть (deinit) Memberwise init✅ Автоматический❌ Нужен явный Mutating методы✅ Нужны для изменения❌ Не нужны Идентичность (===)❌ Нет✅ Есть let с изменением свойств❌ Невозможно✅ Можно Хранение в памятиStack (быстрее)Heap (медленнее) Reference counting❌ Нет✅ ARC",
+                "code": ""
+            },
+            {
+                "section": "5.3 Критическое сравнение: struct vs class",
+                "subsection": "Когда использовать struct (90% случаев в Swift)",
+                "anchor": "kogda-ispolzovat-struct-90-sluchaev-v-swift",
+                "text": "✅ Используйте struct когда: Данные простые и изолированные Нужна независимость копий Это модель данных (Entity) Тип должен быть Codable (JSON)",
+                "code": "// ✅ Координаты — простые данные\nstruct Coordinate {\n    var latitude: Double\n    var longitude: Double\n}\n// ✅ Каждый товар в корзине независим\nstruct CartItem {\n    var product: Product\n    var quantity: Int\n}\n// ✅ Все модели из API\nstruct Product {\n    let id: Int\n    let title: String\n    let price: Double\n    let description: String\n    let category: String\n    let image: String\n}\n\nstruct User {\n    let id: String\n    var email: String\n    var name: String\n}\n\nstruct Order {\n    let id: String\n    let items: [CartItem]\n    let total: Double\n    let status: OrderStatus\n}\n// ✅ Структуры автоматически Codable\nstruct APIResponse: Codable {\n    let success: Bool\n    let data: [Product]\n}"
+            },
+            {
+                "section": "5.3 Критическое сравнение: struct vs class",
+                "subsection": "Когда использовать class (10% случаев)",
+                "anchor": "kogda-ispolzovat-class-10-sluchaev",
+                "text": "✅ Используйте class когда: Нужно наследование Один объект должен использоваться в нескольких местах (shared state) Объект управляет внешними ресурсами Работа с Objective-C / UIKit",
+                "code": "// ✅ Наследование от UIKit классов\nclass ProductCell: UITableViewCell {\n    // Наследует всю функциональность UITableViewCell\n}\n\nclass HomeViewController: UIViewController {\n    // Наследует жизненный цикл, view, навигацию\n}\n// ✅ Менеджеры, сервисы — одна копия на всё приложение\nclass AuthManager {\n    static let shared = AuthManager()  // Singleton\n\n    var currentUser: User?\n    var isLoggedIn: Bool { currentUser != nil }\n}\n\nclass ShoppingCart {\n    static let shared = ShoppingCart()\n\n    var items: [CartItem] = []\n\n    func add(_ product: Product) {\n        // Все части приложения видят изменения\n    }\n}\n// ✅ Сетевые запросы, файлы, базы данных\nclass NetworkManager {\n    private let session = URLSession.shared\n\n    deinit {\n        // Очистка ресурсов\n        session.invalidateAndCancel()\n    }\n}\n\nclass DatabaseConnection {\n    private var connection: Connection?\n\n    deinit {\n        connection?.close()\n    }\n}\n// ✅ UIKit построен на классах\n// Все UIViewController, UIView — классы\n// Delegate pattern требует class для weak ссылок\n\nprotocol DataSourceDelegate: AnyObject {  // AnyObject = только классы\n    func didUpdateData()\n}\n\nclass DataSource {\n    weak var delegate: DataSourceDelegate?  // weak только для классов\n}"
+            },
+            {
+                "section": "5.3 Критическое сравнение: struct vs class",
+                "subsection": "Правило большого пальца",
+                "anchor": "pravilo-bolshogo-paltsa",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────┐\n│                    ПРАВИЛО ВЫБОРА                           │\n├─────────────────────────────────────────────────────────────┤\n│                                                             │\n│  По умолчанию используйте STRUCT                           │\n│                                                             │\n│  Используйте CLASS только если:                             │\n│  1. Нужно наследование (от UIKit классов)                  │\n│  2. Нужен shared state (Singleton, Manager)                │\n│  3. Нужен deinit для очистки ресурсов                      │\n│  4. Работаете с Objective-C API                            │\n│                                                             │\n└─────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Типы свойств в Swift",
+                "anchor": "tipy-svoystv-v-swift",
+                "text": "",
+                "code": "class Example {\n    // 1. Stored Property — хранит значение\n    var storedProperty: String = \"value\"\n\n    // 2. Lazy Stored Property — вычисляется при первом доступе\n    lazy var lazyProperty: String = {\n        print(\"Вычисляется lazy свойство\")\n        return \"lazy value\"\n    }()\n\n    // 3. Computed Property — вычисляется каждый раз\n    var computedProperty: String {\n        return \"computed: \\(storedProperty)\"\n    }\n\n    // 4. Type Property — принадлежит типу, не экземпляру\n    static var typeProperty: String = \"shared\"\n}"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Stored Properties подробно",
+                "anchor": "stored-properties-podrobno",
+                "text": "",
+                "code": "struct Product {\n    // Константа — устанавливается один раз\n    let id: Int\n\n    // Переменная — можно изменять\n    var name: String\n\n    // Со значением по умолчанию\n    var isAvailable: Bool = true\n\n    // Опциональное свойство\n    var discount: Double?\n\n    // Private — доступно только внутри типа\n    private var internalNote: String = \"\"\n}"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Lazy Properties — ленивые свойства",
+                "anchor": "lazy-properties-lenivye-svoystva",
+                "text": "Ленивые свойства вычисляются только при первом доступе. Полезно для: Тяжёлых вычислений Загрузки ресурсов Зависимостей от других свойств",
+                "code": "class DataLoader {\n    // Тяжёлая операция — не хотим выполнять при создании объекта\n    lazy var loadedData: [String] = {\n        print(\"⏳ Загрузка данных...\")\n        // Представим, что это долгая операция\n        Thread.sleep(forTimeInterval: 1)\n        print(\"✅ Данные загружены\")\n        return [\"item1\", \"item2\", \"item3\"]\n    }()\n\n    init() {\n        print(\"DataLoader создан\")\n    }\n}\n\nlet loader = DataLoader()\n// DataLoader создан\n\n// Данные ещё НЕ загружены!\n\nprint(loader.loadedData)  // Только сейчас происходит загрузка\n// ⏳ Загрузка данных...\n// ✅ Данные загружены\n// [\"item1\", \"item2\", \"item3\"]\n\nprint(loader.loadedData)  // Повторно НЕ вычисляется\n// [\"item1\", \"item2\", \"item3\"]"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Computed Properties — вычисляемые свойства",
+                "anchor": "computed-properties-vychislyaemye-svoystva",
+                "text": "",
+                "code": "struct Temperature {\n    // Хранимое свойство (источник истины)\n    var celsius: Double\n\n    // Вычисляемое свойство только для чтения\n    var fahrenheit: Double {\n        return celsius * 9/5 + 32\n    }\n\n    // Вычисляемое свойство с getter и setter\n    var kelvin: Double {\n        get {\n            return celsius + 273.15\n        }\n        set {\n            celsius = newValue - 273.15\n        }\n    }\n\n    // Краткий синтаксис для read-only (без return)\n    var description: String {\n        \"\\(celsius)°C = \\(fahrenheit)°F = \\(kelvin)K\"\n    }\n}\n\nvar temp = Temperature(celsius: 25)\nprint(temp.fahrenheit)   // 77.0\nprint(temp.kelvin)       // 298.15\nprint(temp.description)  // 25.0°C = 77.0°F = 298.15K\n\n// Изменение через setter\ntemp.kelvin = 300\nprint(temp.celsius)      // 26.85"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Property Observers — наблюдатели свойств",
+                "anchor": "property-observers-nablyudateli-svoystv",
+                "text": "",
+                "code": "class UserProfile {\n    var name: String = \"\" {\n        willSet {\n            // Вызывается ДО изменения\n            // newValue — новое значение (автоматическая переменная)\n            print(\"Имя будет изменено с '\\(name)' на '\\(newValue)'\")\n        }\n        didSet {\n            // Вызывается ПОСЛЕ изменения\n            // oldValue — старое значение\n            print(\"Имя изменено с '\\(oldValue)' на '\\(name)'\")\n\n            // Можно выполнить побочные действия\n            updateUI()\n        }\n    }\n\n    var email: String = \"\" {\n        didSet {\n            // Валидация после изменения\n            if !email.contains(\"@\") {\n                print(\"⚠️ Некорректный email!\")\n                email = oldValue  // Откат к старому значению\n            }\n        }\n    }\n\n    private func updateUI() {\n        print(\"🔄 UI обновлён\")\n    }\n}\n\nlet profile = UserProfile()\nprofile.name = \"Иван\"\n// Имя будет изменено с '' на 'Иван'\n// Имя изменено с '' на 'Иван'\n// 🔄 UI обновлён\n\nprofile.email = \"invalid\"\n// ⚠️ Некорректный email!\nprint(profile.email)  // \"\" (осталось пустым)\n\nprofile.email = \"ivan@mail.ru\"\nprint(profile.email)  // ivan@mail.ru"
+            },
+            {
+                "section": "5.4 Свойства — полное руководство",
+                "subsection": "Access Control — управление доступом",
+                "anchor": "access-control-upravlenie-dostupom",
+                "text": "",
+                "code": "class BankAccount {\n    // public — доступно везде (для frameworks)\n    public let accountNumber: String\n\n    // internal — доступно в модуле (по умолчанию)\n    internal var accountName: String\n\n    // fileprivate — доступно только в этом файле\n    fileprivate var transactions: [String] = []\n\n    // private — доступно только в этом типе\n    private var balance: Double = 0\n\n    // private(set) — читать можно, изменять только внутри\n    private(set) var lastTransaction: Date?\n\n    init(number: String, name: String) {\n        self.accountNumber = number\n        self.accountName = name\n    }\n\n    // Публичные методы для работы с private данными\n    func deposit(_ amount: Double) {\n        guard amount > 0 else { return }\n        balance += amount\n        lastTransaction = Date()\n        transactions.append(\"Deposit: +\\(amount)\")\n    }\n\n    func getBalance() -> Double {\n        return balance  // Контролируемый доступ\n    }\n}\n\nlet account = BankAccount(number: \"123\", name: \"Savings\")\naccount.deposit(1000)\n\n// ✅ Можно прочитать\nprint(account.accountNumber)   // 123\nprint(account.lastTransaction) // Optional(Date...)\n\n// ❌ Нельзя изменить private\n// account.balance = 1000000   // Ошибка компиляции!\n// account.lastTransaction = nil  // Ошибка: setter недоступен\n\n// ✅ Только через методы\nprint(account.getBalance())  // 1000.0"
+            },
+            {
+                "section": "5.5 Методы — полное руководство",
+                "subsection": "Instance Methods — методы экземпляра",
+                "anchor": "instance-methods-metody-ekzemplyara",
+                "text": "",
+                "code": "class ShoppingCart {\n    private var items: [String: Int] = [:]  // productId: quantity\n\n    // Метод без возвращаемого значения\n    func addItem(_ productId: String, quantity: Int = 1) {\n        if let existing = items[productId] {\n            items[productId] = existing + quantity\n        } else {\n            items[productId] = quantity\n        }\n    }\n\n    // Метод с возвращаемым значением\n    func getQuantity(for productId: String) -> Int {\n        return items[productId] ?? 0\n    }\n\n    // Метод с несколькими параметрами\n    func updateQuantity(productId: String, to newQuantity: Int) {\n        if newQuantity <= 0 {\n            items.removeValue(forKey: productId)\n        } else {\n            items[productId] = newQuantity\n        }\n    }\n\n    // Метод, возвращающий Optional\n    func removeItem(_ productId: String) -> Int? {\n        return items.removeValue(forKey: productId)\n    }\n\n    // Вычисляемое свойство вместо метода (когда нет параметров)\n    var totalItems: Int {\n        return items.values.reduce(0, +)\n    }\n\n    var isEmpty: Bool {\n        return items.isEmpty\n    }\n}"
+            },
+            {
+                "section": "5.5 Методы — полное руководство",
+                "subsection": "Static vs Class Methods",
+                "anchor": "static-vs-class-methods",
+                "text": "",
+                "code": "class Animal {\n    // static — нельзя переопределить в подклассе\n    static func staticMethod() {\n        print(\"Это static метод Animal\")\n    }\n\n    // class — можно переопределить в подклассе\n    class func classMethod() {\n        print(\"Это class метод Animal\")\n    }\n}\n\nclass Dog: Animal {\n    // ❌ Ошибка: Cannot override static method\n    // override static func staticMethod() { }\n\n    // ✅ Можно переопределить class метод\n    override class func classMethod() {\n        print(\"Это class метод Dog\")\n    }\n}\n\nAnimal.staticMethod()  // Это static метод Animal\nDog.staticMethod()     // Это static метод Animal (наследуется)\n\nAnimal.classMethod()   // Это class метод Animal\nDog.classMethod()      // Это class метод Dog (переопределён)"
+            },
+            {
+                "section": "5.5 Методы — полное руководство",
+                "subsection": "Self и self",
+                "anchor": "self-i-self",
+                "text": "",
+                "code": "class Counter {\n    var count = 0\n\n    // self (lowercase) — ссылка на текущий экземпляр\n    func increment() {\n        self.count += 1  // self можно опустить\n        count += 1       // То же самое\n    }\n\n    // self обязателен при конфликте имён\n    func set(count: Int) {\n        self.count = count  // self.count — свойство, count — параметр\n    }\n\n    // Self (uppercase) — ссылка на тип\n    static func create() -> Self {\n        return Self()  // Создаёт экземпляр текущего класса\n    }\n\n    class func createNew() -> Self {\n        return self.init()  // self.init() для class methods\n    }\n\n    required init() {}\n}"
+            },
+            {
+                "section": "5.6 Инициализаторы — полное руководство",
+                "subsection": "Designated vs Convenience Initializers",
+                "anchor": "designated-vs-convenience-initializers",
+                "text": "",
+                "code": "class Vehicle {\n    var brand: String\n    var model: String\n    var year: Int\n    var color: String\n\n    // Designated Initializer — основной, инициализирует ВСЕ свойства\n    init(brand: String, model: String, year: Int, color: String) {\n        self.brand = brand\n        self.model = model\n        self.year = year\n        self.color = color\n    }\n\n    // Convenience Initializer — удобный, вызывает designated\n    convenience init(brand: String, model: String, year: Int) {\n        self.init(brand: brand, model: model, year: year, color: \"белый\")\n    }\n\n    convenience init(brand: String, model: String) {\n        self.init(brand: brand, model: model, year: Calendar.current.component(.year, from: Date()))\n    }\n\n    convenience init() {\n        self.init(brand: \"Unknown\", model: \"Unknown\")\n    }\n}\n\n// Все варианты создания\nlet v1 = Vehicle(brand: \"BMW\", model: \"X5\", year: 2023, color: \"чёрный\")\nlet v2 = Vehicle(brand: \"Toyota\", model: \"Camry\", year: 2024)  // белый\nlet v3 = Vehicle(brand: \"Mercedes\", model: \"C-Class\")          // белый, 2024\nlet v4 = Vehicle()                                              // Unknown, Unknown, белый, 2024"
+            },
+            {
+                "section": "5.6 Инициализаторы — полное руководство",
+                "subsection": "Правила инициализации в наследовании",
+                "anchor": "pravila-initsializatsii-v-nasledovanii",
+                "text": "",
+                "code": "class Animal {\n    var name: String\n\n    // Designated initializer родителя\n    init(name: String) {\n        self.name = name\n    }\n\n    convenience init() {\n        self.init(name: \"Unknown\")\n    }\n}\n\nclass Dog: Animal {\n    var breed: String\n\n    // Designated initializer потомка\n    // Правило: СНАЧАЛА инициализируем свои свойства, ПОТОМ вызываем super.init\n    init(name: String, breed: String) {\n        // 1. Инициализация собственных свойств\n        self.breed = breed\n\n        // 2. Вызов designated init родителя\n        super.init(name: name)\n\n        // 3. После super.init можно использовать self\n        print(\"Создана собака: \\(self.name)\")\n    }\n\n    // Переопределение convenience init родителя\n    override convenience init(name: String) {\n        self.init(name: name, breed: \"Дворняга\")\n    }\n\n    // Собственный convenience init\n    convenience init(breed: String) {\n        self.init(name: \"Пёс\", breed: breed)\n    }\n}\n\nlet dog1 = Dog(name: \"Бобик\", breed: \"Лабрадор\")\nlet dog2 = Dog(name: \"Шарик\")  // breed = Дворняга\nlet dog3 = Dog(breed: \"Овчарка\")  // name = Пёс"
+            },
+            {
+                "section": "5.6 Инициализаторы — полное руководство",
+                "subsection": "Required Initializers",
+                "anchor": "required-initializers",
+                "text": "",
+                "code": "class BaseView {\n    var frame: CGRect\n\n    // Required — все подклассы ОБЯЗАНЫ реализовать\n    required init(frame: CGRect) {\n        self.frame = frame\n    }\n}\n\nclass CustomView: BaseView {\n    var title: String\n\n    init(frame: CGRect, title: String) {\n        self.title = title\n        super.init(frame: frame)\n    }\n\n    // ОБЯЗАНЫ реализовать required init\n    required init(frame: CGRect) {\n        self.title = \"Default\"\n        super.init(frame: frame)\n    }\n}\n\n// Это позволяет создавать экземпляры через тип\nfunc createView<T: BaseView>(type: T.Type, frame: CGRect) -> T {\n    return type.init(frame: frame)  // Работает благодаря required\n}\n\nlet view = createView(type: CustomView.self, frame: .zero)"
+            },
+            {
+                "section": "5.6 Инициализаторы — полное руководство",
+                "subsection": "Failable Initializers с наследованием",
+                "anchor": "failable-initializers-s-nasledovaniem",
+                "text": "",
+                "code": "class Document {\n    var title: String\n\n    init?(title: String) {\n        guard !title.isEmpty else { return nil }\n        self.title = title\n    }\n}\n\nclass TextDocument: Document {\n    var content: String\n\n    init?(title: String, content: String) {\n        guard !content.isEmpty else { return nil }\n        self.content = content\n        super.init(title: title)  // Может вернуть nil\n    }\n}\n\nlet doc1 = TextDocument(title: \"Заметки\", content: \"Текст\")  // ✅\nlet doc2 = TextDocument(title: \"\", content: \"Текст\")        // nil (пустой title)\nlet doc3 = TextDocument(title: \"Заметки\", content: \"\")      // nil (пустой content)"
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "Зачем нужно наследование",
+                "anchor": "zachem-nuzhno-nasledovanie",
+                "text": "Наследование позволяет: Переиспользовать код — не дублировать общую логику Расширять функциональность — добавлять новые возможности Полиморфизм — работать с разными типами единообразно",
+                "code": ""
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "Базовый синтаксис наследования",
+                "anchor": "bazovyy-sintaksis-nasledovaniya",
+                "text": "",
+                "code": "// Базовый класс (родитель, superclass)\nclass Shape {\n    var name: String\n    var fillColor: String\n\n    init(name: String, fillColor: String = \"white\") {\n        self.name = name\n        self.fillColor = fillColor\n    }\n\n    func area() -> Double {\n        return 0  // Базовая реализация\n    }\n\n    func describe() -> String {\n        return \"\\(name) (цвет: \\(fillColor))\"\n    }\n}\n\n// Дочерний класс (потомок, subclass)\nclass Circle: Shape {\n    var radius: Double\n\n    init(radius: Double, fillColor: String = \"white\") {\n        // 1. Сначала инициализируем свои свойства\n        self.radius = radius\n        // 2. Потом вызываем init родителя\n        super.init(name: \"Круг\", fillColor: fillColor)\n    }\n\n    // Переопределение метода\n    override func area() -> Double {\n        return .pi * radius * radius\n    }\n\n    // Дополнительный метод (только у Circle)\n    func diameter() -> Double {\n        return radius * 2\n    }\n}\n\nclass Rectangle: Shape {\n    var width: Double\n    var height: Double\n\n    init(width: Double, height: Double, fillColor: String = \"white\") {\n        self.width = width\n        self.height = height\n        super.init(name: \"Прямоугольник\", fillColor: fillColor)\n    }\n\n    override func area() -> Double {\n        return width * height\n    }\n}\n\n// Использование\nlet circle = Circle(radius: 5, fillColor: \"red\")\nprint(circle.describe())  // Круг (цвет: red)\nprint(circle.area())      // 78.54...\nprint(circle.diameter())  // 10.0\n\nlet rect = Rectangle(width: 10, height: 5)\nprint(rect.describe())    // Прямоугольник (цвет: white)\nprint(rect.area())        // 50.0"
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "Вызов родительской реализации (super)",
+                "anchor": "vyzov-roditelskoy-realizatsii-super",
+                "text": "",
+                "code": "class Employee {\n    var name: String\n    var salary: Double\n\n    init(name: String, salary: Double) {\n        self.name = name\n        self.salary = salary\n    }\n\n    func getInfo() -> String {\n        return \"Сотрудник: \\(name), зарплата: \\(salary)\"\n    }\n\n    func calculateBonus() -> Double {\n        return salary * 0.1  // 10% бонус\n    }\n}\n\nclass Manager: Employee {\n    var teamSize: Int\n\n    init(name: String, salary: Double, teamSize: Int) {\n        self.teamSize = teamSize\n        super.init(name: name, salary: salary)\n    }\n\n    override func getInfo() -> String {\n        // Вызываем родительскую реализацию + добавляем своё\n        return super.getInfo() + \", команда: \\(teamSize) чел.\"\n    }\n\n    override func calculateBonus() -> Double {\n        // Базовый бонус + бонус за команду\n        return super.calculateBonus() + Double(teamSize) * 1000\n    }\n}\n\nlet manager = Manager(name: \"Иван\", salary: 100000, teamSize: 5)\nprint(manager.getInfo())\n// Сотрудник: Иван, зарплата: 100000.0, команда: 5 чел.\nprint(manager.calculateBonus())\n// 15000.0 (10000 базовый + 5000 за команду)"
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "final — запрет наследования и переопределения",
+                "anchor": "final-zapret-nasledovaniya-i-pereopredeleniya",
+                "text": "",
+                "code": "// final class — нельзя наследовать\nfinal class SecurityManager {\n    static let shared = SecurityManager()\n    private init() {}\n\n    func validateToken(_ token: String) -> Bool {\n        // Логика валидации\n        return true\n    }\n}\n\n// ❌ Ошибка: Cannot inherit from final class\n// class CustomSecurityManager: SecurityManager { }\n\nclass BaseViewController: UIViewController {\n    // final method — нельзя переопределить\n    final func logAnalytics(event: String) {\n        print(\"Analytics: \\(event)\")\n    }\n\n    // Можно переопределить\n    func setupUI() {\n        // Базовая настройка\n    }\n}\n\nclass HomeViewController: BaseViewController {\n    // ✅ Можно переопределить\n    override func setupUI() {\n        super.setupUI()\n        // Дополнительная настройка\n    }\n\n    // ❌ Ошибка: Cannot override final method\n    // override func logAnalytics(event: String) { }\n}"
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "Полиморфизм — работа с базовым типом",
+                "anchor": "polimorfizm-rabota-s-bazovym-tipom",
+                "text": "",
+                "code": "// Полиморфизм позволяет работать с разными типами единообразно\nlet shapes: [Shape] = [\n    Circle(radius: 5),\n    Rectangle(width: 10, height: 5),\n    Circle(radius: 3),\n]\n\n// Работаем с массивом Shape, но вызываются переопределённые методы\nfor shape in shapes {\n    print(\"\\(shape.name): площадь = \\(shape.area())\")\n}\n// Круг: площадь = 78.54...\n// Прямоугольник: площадь = 50.0\n// Круг: площадь = 28.27...\n\n// Общая площадь всех фигур\nlet totalArea = shapes.reduce(0) { $0 + $1.area() }\nprint(\"Общая площадь: \\(totalArea)\")"
+            },
+            {
+                "section": "5.7 Наследование — подробное руководство",
+                "subsection": "Type Casting — приведение типов",
+                "anchor": "type-casting-privedenie-tipov",
+                "text": "",
+                "code": "for shape in shapes {\n    // Проверка типа\n    if shape is Circle {\n        print(\"\\(shape.name) — это круг\")\n    }\n\n    // Безопасное приведение (as?)\n    if let circle = shape as? Circle {\n        print(\"Диаметр: \\(circle.diameter())\")\n    }\n\n    // Принудительное приведение (as!) — опасно!\n    // let circle = shape as! Circle  // Crash, если не Circle\n}\n\n// Использование switch для type casting\nfor shape in shapes {\n    switch shape {\n    case let circle as Circle:\n        print(\"Круг с радиусом \\(circle.radius)\")\n    case let rect as Rectangle:\n        print(\"Прямоугольник \\(rect.width) x \\(rect.height)\")\n    default:\n        print(\"Неизвестная фигура\")\n    }\n}"
+            },
+            {
+                "section": "5.8 Перечисления (enum) — полное руководство",
+                "subsection": "Зачем нужны enum",
+                "anchor": "zachem-nuzhny-enum",
+                "text": "Enum представляет ограниченный набор возможных значений. Это безопаснее, чем строки или числа:",
+                "code": "// ❌ Плохо: магические строки\nfunc setOrderStatus(_ status: String) {\n    // Что если опечатка? \"pendnig\"?\n}\nsetOrderStatus(\"pending\")\nsetOrderStatus(\"Pending\")  // Разные регистры!\nsetOrderStatus(\"in_progress\")\n\n// ✅ Хорошо: enum\nenum OrderStatus {\n    case pending\n    case processing\n    case shipped\n    case delivered\n    case cancelled\n}\n\nfunc setOrderStatus(_ status: OrderStatus) {\n    // Компилятор проверяет все возможные значения\n}\nsetOrderStatus(.pending)\n// setOrderStatus(.pendnig)  // ❌ Ошибка компиляции!"
+            },
+            {
+                "section": "5.8 Перечисления (enum) — полное руководство",
+                "subsection": "Raw Values — связанные значения",
+                "anchor": "raw-values-svyazannye-znacheniya",
+                "text": "",
+                "code": "// String raw values\nenum HTTPMethod: String {\n    case get = \"GET\"\n    case post = \"POST\"\n    case put = \"PUT\"\n    case delete = \"DELETE\"\n    case patch = \"PATCH\"\n}\n\nprint(HTTPMethod.get.rawValue)  // \"GET\"\n\n// Создание из raw value\nif let method = HTTPMethod(rawValue: \"POST\") {\n    print(method)  // post\n}\n\n// Int raw values с автоматической нумерацией\nenum Priority: Int {\n    case low = 1\n    case medium = 2\n    case high = 3\n    case critical = 4\n}\n\nprint(Priority.high.rawValue)  // 3\n\n// Автоматические String raw values (равны названию case)\nenum Category: String {\n    case electronics  // rawValue = \"electronics\"\n    case clothing     // rawValue = \"clothing\"\n    case food         // rawValue = \"food\"\n}\n\nprint(Category.electronics.rawValue)  // \"electronics\""
+            },
+            {
+                "section": "5.8 Перечисления (enum) — полное руководство",
+                "subsection": "Associated Values — данные внутри enum",
+                "anchor": "associated-values-dannye-vnutri-enum",
+                "text": "Associated values позволяют хранить дополнительные данные в каждом case:",
+                "code": "enum NetworkResult {\n    case success(data: Data, statusCode: Int)\n    case failure(error: Error)\n    case loading(progress: Double)\n    case noConnection\n}\n\nfunc handleResult(_ result: NetworkResult) {\n    switch result {\n    case .success(let data, let code):\n        print(\"✅ Успех! Получено \\(data.count) байт, код \\(code)\")\n\n    case .failure(let error):\n        print(\"❌ Ошибка: \\(error.localizedDescription)\")\n\n    case .loading(let progress):\n        print(\"⏳ Загрузка: \\(Int(progress * 100))%\")\n\n    case .noConnection:\n        print(\"📵 Нет соединения\")\n    }\n}\n\n// Использование\nlet result1 = NetworkResult.success(data: Data(), statusCode: 200)\nlet result2 = NetworkResult.loading(progress: 0.75)\nhandleResult(result1)  // ✅ Успех! Получено 0 байт, код 200\nhandleResult(result2)  // ⏳ Загрузка: 75%"
+            },
+            {
+                "section": "5.8 Перечисления (enum) — полное руководство",
+                "subsection": "Практический пример: Валидация формы",
+                "anchor": "prakticheskiy-primer-validatsiya-formy",
+                "text": "",
+                "code": "enum ValidationResult {\n    case valid\n    case invalid(errors: [String])\n\n    var isValid: Bool {\n        switch self {\n        case .valid:\n            return true\n        case .invalid:\n            return false\n        }\n    }\n\n    var errorMessages: [String] {\n        switch self {\n        case .valid:\n            return []\n        case .invalid(let errors):\n            return errors\n        }\n    }\n}\n\nenum PasswordStrength {\n    case weak\n    case medium\n    case strong\n\n    var color: String {\n        switch self {\n        case .weak: return \"red\"\n        case .medium: return \"orange\"\n        case .strong: return \"green\"\n        }\n    }\n}\n\nfunc validatePassword(_ password: String) -> (ValidationResult, PasswordStrength) {\n    var errors: [String] = []\n\n    if password.count < 8 {\n        errors.append(\"Минимум 8 символов\")\n    }\n    if !password.contains(where: { $0.isUppercase }) {\n        errors.append(\"Нужна заглавная буква\")\n    }\n    if !password.contains(where: { $0.isNumber }) {\n        errors.append(\"Нужна цифра\")\n    }\n\n    let strength: PasswordStrength\n    if errors.isEmpty {\n        strength = .strong\n    } else if errors.count == 1 {\n        strength = .medium\n    } else {\n        strength = .weak\n    }\n\n    let result = errors.isEmpty ? ValidationResult.valid : .invalid(errors: errors)\n    return (result, strength)\n}\n\nlet (result, strength) = validatePassword(\"Pass123\")\nprint(result.errorMessages)  // [\"Минимум 8 символов\"]\nprint(strength.color)        // orange"
+            },
+            {
+                "section": "5.8 Перечисления (enum) — полное руководство",
+                "subsection": "Enum с методами",
+                "anchor": "enum-s-metodami",
+                "text": "",
+                "code": "enum Direction: CaseIterable {\n    case north, south, east, west\n\n    // Вычисляемое свойство\n    var degrees: Double {\n        switch self {\n        case .north: return 0\n        case .east: return 90\n        case .south: return 180\n        case .west: return 270\n        }\n    }\n\n    var opposite: Direction {\n        switch self {\n        case .north: return .south\n        case .south: return .north\n        case .east: return .west\n        case .west: return .east\n        }\n    }\n\n    // Метод\n    func turnRight() -> Direction {\n        switch self {\n        case .north: return .east\n        case .east: return .south\n        case .south: return .west\n        case .west: return .north\n        }\n    }\n\n    // Static метод\n    static func random() -> Direction {\n        return allCases.randomElement()!\n    }\n}\n\nvar heading = Direction.north\nheading = heading.turnRight()  // .east\nprint(heading.opposite)        // .west\nprint(heading.degrees)         // 90.0\n\n// CaseIterable — итерация по всем case\nfor direction in Direction.allCases {\n    print(\"\\(direction): \\(direction.degrees)°\")\n}"
+            },
+            {
+                "section": "5.9 Почему в iOS мы наследуемся от определённых классов",
+                "subsection": "Иерархия UIKit",
+                "anchor": "ierarhiya-uikit",
+                "text": "",
+                "code": "NSObject                          ← Базовый класс Objective-C\n    │\n    └── UIResponder               ← Обработка событий (тачи, клавиатура)\n            │\n            ├── UIApplication     ← Singleton приложения\n            │\n            ├── UIView            ← Базовый UI элемент\n            │   │\n            │   ├── UILabel       ← Текст\n            │   ├── UIButton      ← Кнопка\n            │   ├── UIImageView   ← Изображение\n            │   ├── UITextField   ← Поле ввода\n            │   ├── UIScrollView  ← Прокрутка\n            │   │   │\n            │   │   ├── UITableView      ← Список\n            │   │   └── UICollectionView ← Сетка\n            │   │\n            │   └── UIStackView   ← Стек элементов\n            │\n            └── UIViewController  ← Контроллер экрана\n                    │\n                    ├── UINavigationController  ← Стек навигации\n                    ├── UITabBarController      ← Вкладки\n                    └── UIAlertController       ← Диалоги"
+            },
+            {
+                "section": "5.9 Почему в iOS мы наследуемся от определённых классов",
+                "subsection": "Почему наследуемся от UIViewController",
+                "anchor": "pochemu-nasleduemsya-ot-uiviewcontroller",
+                "text": "",
+                "code": "// UIViewController предоставляет:\nclass MyViewController: UIViewController {\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n\n        // 1. View для размещения UI\n        view.backgroundColor = .white\n\n        // 2. Жизненный цикл (viewDidLoad, viewWillAppear, etc.)\n\n        // 3. Навигацию\n        navigationController?.pushViewController(NextVC(), animated: true)\n\n        // 4. Презентацию модальных экранов\n        present(ModalVC(), animated: true)\n\n        // 5. Обработку поворота экрана\n        // 6. Управление памятью (didReceiveMemoryWarning)\n        // 7. Интеграцию с Interface Builder\n    }\n\n    // Lifecycle methods — наследуются от UIViewController\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n    }\n}\n\n// Если НЕ наследоваться от UIViewController:\n// - Нет view\n// - Нет lifecycle\n// - Нет интеграции с Navigation/TabBar\n// - Придётся всё писать с нуля"
+            },
+            {
+                "section": "5.9 Почему в iOS мы наследуемся от определённых классов",
+                "subsection": "Почему наследуемся от UIView",
+                "anchor": "pochemu-nasleduemsya-ot-uiview",
+                "text": "",
+                "code": "// UIView предоставляет:\nclass CustomCardView: UIView {\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n\n        // 1. frame/bounds — размер и позиция\n        // 2. backgroundColor, alpha — визуальные свойства\n        // 3. addSubview — иерархия view\n        // 4. layer — тени, скругления, анимации\n        // 5. Auto Layout anchors\n        // 6. Обработку касаний\n\n        backgroundColor = .white\n        layer.cornerRadius = 12\n        layer.shadowOpacity = 0.1\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // Можно переопределить отрисовку\n    override func draw(_ rect: CGRect) {\n        // Кастомная отрисовка\n    }\n\n    // Можно переопределить layout\n    override func layoutSubviews() {\n        super.layoutSubviews()\n        // Кастомный layout\n    }\n}"
+            },
+            {
+                "section": "5.9 Почему в iOS мы наследуемся от определённых классов",
+                "subsection": "Почему наследуемся от UITableViewCell",
+                "anchor": "pochemu-nasleduemsya-ot-uitableviewcell",
+                "text": "",
+                "code": "// UITableViewCell предоставляет:\nclass ProductCell: UITableViewCell {\n\n    // 1. Встроенный contentView для контента\n    // 2. Reuse mechanism (переиспользование)\n    // 3. Selection states (выделение)\n    // 4. Accessory views (стрелки, галочки)\n    // 5. Swipe actions\n    // 6. Интеграцию с UITableView\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n\n        // Добавляем в contentView, а не в self!\n        contentView.addSubview(titleLabel)\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // Подготовка к переиспользованию\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        titleLabel.text = nil\n        imageView?.image = nil\n    }\n\n    private let titleLabel = UILabel()\n}"
+            },
+            {
+                "section": "5.10 Практические примеры из E-Commerce проекта",
+                "subsection": "Product Entity (struct)",
+                "anchor": "product-entity-struct",
+                "text": "",
+                "code": "// Модель товара — struct, потому что это данные\nstruct Product: Codable, Equatable {\n    let id: Int\n    let title: String\n    let price: Double\n    let description: String\n    let category: String\n    let image: String\n    let rating: Rating\n\n    struct Rating: Codable, Equatable {\n        let rate: Double\n        let count: Int\n    }\n\n    // Вычисляемые свойства\n    var formattedPrice: String {\n        return String(format: \"$%.2f\", price)\n    }\n\n    var isOnSale: Bool {\n        return price < 50\n    }\n}"
+            },
+            {
+                "section": "5.10 Практические примеры из E-Commerce проекта",
+                "subsection": "NetworkManager (class + Singleton)",
+                "anchor": "networkmanager-class-singleton",
+                "text": "",
+                "code": "// Менеджер сети — class, потому что:\n// 1. Один экземпляр на всё приложение (shared state)\n// 2. Управляет ресурсами (URLSession)\nfinal class NetworkManager {\n    // Singleton pattern\n    static let shared = NetworkManager()\n\n    // Private init предотвращает создание других экземпляров\n    private init() {}\n\n    private let session = URLSession.shared\n    private let decoder = JSONDecoder()\n\n    func fetch<T: Decodable>(url: URL) async throws -> T {\n        let (data, response) = try await session.data(from: url)\n\n        guard let httpResponse = response as? HTTPURLResponse,\n              (200...299).contains(httpResponse.statusCode) else {\n            throw NetworkError.invalidResponse\n        }\n\n        return try decoder.decode(T.self, from: data)\n    }\n}"
+            },
+            {
+                "section": "5.10 Практические примеры из E-Commerce проекта",
+                "subsection": "CartItem (struct с логикой)",
+                "anchor": "cartitem-struct-s-logikoy",
+                "text": "",
+                "code": "struct CartItem: Equatable {\n    let product: Product\n    var quantity: Int\n\n    var subtotal: Double {\n        return product.price * Double(quantity)\n    }\n\n    var formattedSubtotal: String {\n        return String(format: \"$%.2f\", subtotal)\n    }\n\n    // Mutating методы для изменения количества\n    mutating func incrementQuantity() {\n        quantity += 1\n    }\n\n    mutating func decrementQuantity() {\n        if quantity > 1 {\n            quantity -= 1\n        }\n    }\n\n    mutating func setQuantity(_ newQuantity: Int) {\n        quantity = max(1, newQuantity)\n    }\n}"
+            },
+            {
+                "section": "5.10 Практические примеры из E-Commerce проекта",
+                "subsection": "Error Enums",
+                "anchor": "error-enums",
+                "text": "",
+                "code": "enum NetworkError: Error, LocalizedError {\n    case invalidURL\n    case invalidResponse\n    case noData\n    case decodingError(Error)\n    case serverError(statusCode: Int)\n    case noConnection\n\n    var errorDescription: String? {\n        switch self {\n        case .invalidURL:\n            return \"Неверный URL\"\n        case .invalidResponse:\n            return \"Неверный ответ сервера\"\n        case .noData:\n            return \"Нет данных\"\n        case .decodingError(let error):\n            return \"Ошибка декодирования: \\(error.localizedDescription)\"\n        case .serverError(let code):\n            return \"Ошибка сервера: \\(code)\"\n        case .noConnection:\n            return \"Нет подключения к интернету\"\n        }\n    }\n}\n\nenum AuthError: Error {\n    case invalidCredentials\n    case userNotFound\n    case emailAlreadyInUse\n    case weakPassword\n    case networkError(Error)\n    case unknown\n}"
+            },
+            {
+                "section": "5.11 Упражнения",
+                "subsection": "Упражнение 5.1: Модель корзины",
+                "anchor": "uprazhnenie-5-1-model-korziny",
+                "text": "Создайте полную модель корзины покупок: CartItem (struct) с продуктом и количеством ShoppingCart (class) с методами add, remove, updateQuantity Вычисляемые свойства: totalItems, totalPrice Показать решение",
+                "code": "struct CartItem: Equatable {\n    let product: Product\n    var quantity: Int\n\n    var subtotal: Double {\n        product.price * Double(quantity)\n    }\n\n    static func == (lhs: CartItem, rhs: CartItem) -> Bool {\n        return lhs.product.id == rhs.product.id\n    }\n}\n\nclass ShoppingCart {\n    static let shared = ShoppingCart()\n    private init() {}\n\n    private(set) var items: [CartItem] = []\n\n    var totalItems: Int {\n        items.reduce(0) { $0 + $1.quantity }\n    }\n\n    var totalPrice: Double {\n        items.reduce(0) { $0 + $1.subtotal }\n    }\n\n    var formattedTotal: String {\n        String(format: \"$%.2f\", totalPrice)\n    }\n\n    var isEmpty: Bool {\n        items.isEmpty\n    }\n\n    func add(_ product: Product, quantity: Int = 1) {\n        if let index = items.firstIndex(where: { $0.product.id == product.id }) {\n            items[index].quantity += quantity\n        } else {\n            items.append(CartItem(product: product, quantity: quantity))\n        }\n    }\n\n    func remove(_ productId: Int) {\n        items.removeAll { $0.product.id == productId }\n    }\n\n    func updateQuantity(productId: Int, quantity: Int) {\n        guard let index = items.firstIndex(where: { $0.product.id == productId }) else {\n            return\n        }\n\n        if quantity <= 0 {\n            items.remove(at: index)\n        } else {\n            items[index].quantity = quantity\n        }\n    }\n\n    func clear() {\n        items.removeAll()\n    }\n\n    func contains(_ productId: Int) -> Bool {\n        items.contains { $0.product.id == productId }\n    }\n}"
+            },
+            {
+                "section": "5.11 Упражнения",
+                "subsection": "Упражнение 5.2: Enum для API Endpoints",
+                "anchor": "uprazhnenie-5-2-enum-dlya-api-endpoints",
+                "text": "Создайте enum Endpoint с associated values для разных API endpoints: products (с опциональной категорией) product(id: Int) categories auth/login auth/register Показать решение",
+                "code": "enum Endpoint {\n    case products(category: String? = nil)\n    case product(id: Int)\n    case categories\n    case login(email: String, password: String)\n    case register(email: String, password: String)\n\n    var path: String {\n        switch self {\n        case .products(let category):\n            if let category = category {\n                return \"/products/category/\\(category)\"\n            }\n            return \"/products\"\n        case .product(let id):\n            return \"/products/\\(id)\"\n        case .categories:\n            return \"/products/categories\"\n        case .login:\n            return \"/auth/login\"\n        case .register:\n            return \"/auth/register\"\n        }\n    }\n\n    var method: String {\n        switch self {\n        case .products, .product, .categories:\n            return \"GET\"\n        case .login, .register:\n            return \"POST\"\n        }\n    }\n\n    var body: Data? {\n        switch self {\n        case .login(let email, let password):\n            return try? JSONEncoder().encode([\n                \"email\": email,\n                \"password\": password\n            ])\n        case .register(let email, let password):\n            return try? JSONEncoder().encode([\n                \"email\": email,\n                \"password\": password\n            ])\n        default:\n            return nil\n        }\n    }\n\n    func buildURL(baseURL: String = \"https://fakestoreapi.com\") -> URL? {\n        return URL(string: baseURL + path)\n    }\n}\n\n// Использование\nlet endpoint1 = Endpoint.products()\nlet endpoint2 = Endpoint.products(category: \"electronics\")\nlet endpoint3 = Endpoint.product(id: 1)\n\nprint(endpoint1.path)  // /products\nprint(endpoint2.path)  // /products/category/electronics\nprint(endpoint3.buildURL()!)  // https://fakestoreapi.com/products/1"
+            },
+            {
+                "section": "5.11 Упражнения",
+                "subsection": "Упражнение 5.3: Класс с наследованием",
+                "anchor": "uprazhnenie-5-3-klass-s-nasledovaniem",
+                "text": "Создайте иерархию классов для пользователей: User (базовый) с email, name Customer (наследник) с shippingAddress Admin (наследник) с permissions Показать решение",
+                "code": "class User {\n    let id: String\n    var email: String\n    var name: String\n    let createdAt: Date\n\n    init(id: String, email: String, name: String) {\n        self.id = id\n        self.email = email\n        self.name = name\n        self.createdAt = Date()\n    }\n\n    func describe() -> String {\n        return \"\\(name) (\\(email))\"\n    }\n\n    func canAccess(_ resource: String) -> Bool {\n        return true  // Базовый доступ\n    }\n}\n\nclass Customer: User {\n    var shippingAddress: String?\n    var orderHistory: [String] = []  // Order IDs\n    var loyaltyPoints: Int = 0\n\n    init(id: String, email: String, name: String, shippingAddress: String? = nil) {\n        self.shippingAddress = shippingAddress\n        super.init(id: id, email: email, name: name)\n    }\n\n    override func describe() -> String {\n        return super.describe() + \" (Покупатель, \\(loyaltyPoints) баллов)\"\n    }\n\n    func addLoyaltyPoints(_ points: Int) {\n        loyaltyPoints += points\n    }\n}\n\nclass Admin: User {\n    enum Permission: String, CaseIterable {\n        case manageUsers\n        case manageProducts\n        case viewAnalytics\n        case manageOrders\n        case fullAccess\n    }\n\n    var permissions: Set<Permission>\n\n    init(id: String, email: String, name: String, permissions: Set<Permission>) {\n        self.permissions = permissions\n        super.init(id: id, email: email, name: name)\n    }\n\n    convenience init(id: String, email: String, name: String, isSuperAdmin: Bool = false) {\n        let perms: Set<Permission> = isSuperAdmin ? Set(Permission.allCases) : [.viewAnalytics]\n        self.init(id: id, email: email, name: name, permissions: perms)\n    }\n\n    override func describe() -> String {\n        return super.describe() + \" (Админ, \\(permissions.count) прав)\"\n    }\n\n    override func canAccess(_ resource: String) -> Bool {\n        return permissions.contains(.fullAccess) || super.canAccess(resource)\n    }\n\n    func hasPermission(_ permission: Permission) -> Bool {\n        return permissions.contains(permission) || permissions.contains(.fullAccess)\n    }\n}\n\n// Использование\nlet customer = Customer(id: \"1\", email: \"user@test.com\", name: \"Иван\")\ncustomer.addLoyaltyPoints(100)\nprint(customer.describe())  // Иван (user@test.com) (Покупатель, 100 баллов)\n\nlet admin = Admin(id: \"2\", email: \"admin@test.com\", name: \"Админ\", isSuperAdmin: true)\nprint(admin.hasPermission(.manageUsers))  // true\n\n// Полиморфизм\nlet users: [User] = [customer, admin]\nfor user in users {\n    print(user.describe())\n}"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы глубоко изучили: ✅ Структуры (struct) — value type, копирование, mutating методы ✅ Классы (class) — reference type, наследование, deinit ✅ Когда использовать struct vs class — правило: struct по умолчанию ✅ Свойства — stored, computed, lazy, observers, access control ✅ Методы — instance, static, class, mutating ✅ Инициализаторы — designated, convenience, failable, required ✅ Наследование — override, super, final, полиморфизм ✅ Enum — raw values, associated values, методы ✅ Почему в iOS наследуемся от UIViewController, UIView, UITableViewCell",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 6 мы изучим протоколы — ещё более мощный инструмент абстракции, который позволяет обойти ограничения наследования. Совет: Запомните правило: struct для данных, class для поведения. Модели (Product, User, Order) — struct. Менеджеры, сервисы, контроллеры — class. Это стандарт в Swift разработке.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/06-protocols.html",
+        "chapter": "Глава 6",
+        "title": "Протоколы и расширения",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Протоколы — это контракты, определяющие требования к типам. Расширения позволяют добавлять функциональность к существующим типам. Вместе они составляют основу Protocol-Oriented Programming — подхода, который Swift продвигает вместо классического ООП.",
+                "code": ""
+            },
+            {
+                "section": "6.1 Что такое протоколы",
+                "subsection": "",
+                "anchor": "6-1-chto-takoe-protokoly",
+                "text": "Протокол описывает, что должен уметь тип, но не говорит как это реализовать.",
+                "code": ""
+            },
+            {
+                "section": "6.1 Что такое протоколы",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis",
+                "text": "",
+                "code": "protocol Describable {\n    var description: String { get }\n    func describe() -> String\n}"
+            },
+            {
+                "section": "6.1 Что такое протоколы",
+                "subsection": "Сравнение с интерфейсами",
+                "anchor": "sravnenie-s-interfeysami",
+                "text": "TypeScript interface Swift protocol interface Flyable { fly(): void }protocol Flyable { func fly() } Только для объектовДля struct, class, enum Нельзя реализовать по умолчаниюМожно через extension",
+                "code": ""
+            },
+            {
+                "section": "6.2 Требования протоколов",
+                "subsection": "Требования к свойствам",
+                "anchor": "trebovaniya-k-svoystvam",
+                "text": "",
+                "code": "protocol FullyNamed {\n    // Только для чтения\n    var fullName: String { get }\n\n    // Для чтения и записи\n    var nickname: String { get set }\n}\n\nstruct Person: FullyNamed {\n    var firstName: String\n    var lastName: String\n    var nickname: String\n\n    var fullName: String {\n        \"\\(firstName) \\(lastName)\"\n    }\n}"
+            },
+            {
+                "section": "6.2 Требования протоколов",
+                "subsection": "Требования к методам",
+                "anchor": "trebovaniya-k-metodam",
+                "text": "",
+                "code": "protocol Togglable {\n    mutating func toggle()\n}\n\nenum Switch: Togglable {\n    case on, off\n\n    mutating func toggle() {\n        switch self {\n        case .on: self = .off\n        case .off: self = .on\n        }\n    }\n}\n\nvar lightSwitch = Switch.off\nlightSwitch.toggle()  // .on"
+            },
+            {
+                "section": "6.2 Требования протоколов",
+                "subsection": "Требования к инициализаторам",
+                "anchor": "trebovaniya-k-initsializatoram",
+                "text": "",
+                "code": "protocol Named {\n    init(name: String)\n}\n\nclass SomeClass: Named {\n    var name: String\n\n    // required — подклассы тоже должны реализовать\n    required init(name: String) {\n        self.name = name\n    }\n}"
+            },
+            {
+                "section": "6.2 Требования протоколов",
+                "subsection": "Требования к статическим членам",
+                "anchor": "trebovaniya-k-staticheskim-chlenam",
+                "text": "",
+                "code": "protocol Configurable {\n    static var defaultConfig: Self { get }\n    static func configure(with settings: [String: Any]) -> Self\n}"
+            },
+            {
+                "section": "6.3 Соответствие протоколам",
+                "subsection": "Структуры",
+                "anchor": "struktury",
+                "text": "",
+                "code": "protocol Drawable {\n    func draw()\n}\n\nstruct Circle: Drawable {\n    var radius: Double\n\n    func draw() {\n        print(\"Рисую круг с радиусом \\(radius)\")\n    }\n}\n\nstruct Rectangle: Drawable {\n    var width: Double\n    var height: Double\n\n    func draw() {\n        print(\"Рисую прямоугольник \\(width)x\\(height)\")\n    }\n}"
+            },
+            {
+                "section": "6.3 Соответствие протоколам",
+                "subsection": "Классы",
+                "anchor": "klassy",
+                "text": "",
+                "code": "protocol Printable {\n    func printDetails()\n}\n\nclass Document: Printable {\n    var title: String\n\n    init(title: String) {\n        self.title = title\n    }\n\n    func printDetails() {\n        print(\"Документ: \\(title)\")\n    }\n}"
+            },
+            {
+                "section": "6.3 Соответствие протоколам",
+                "subsection": "Множественное соответствие",
+                "anchor": "mnozhestvennoe-sootvetstvie",
+                "text": "",
+                "code": "protocol Named {\n    var name: String { get }\n}\n\nprotocol Aged {\n    var age: Int { get }\n}\n\n// Соответствие нескольким протоколам\nstruct Person: Named, Aged {\n    var name: String\n    var age: Int\n}"
+            },
+            {
+                "section": "6.3 Соответствие протоколам",
+                "subsection": "Наследование протоколов",
+                "anchor": "nasledovanie-protokolov",
+                "text": "",
+                "code": "protocol Animal {\n    var name: String { get }\n    func makeSound()\n}\n\nprotocol Pet: Animal {\n    var owner: String { get }\n    func play()\n}\n\nstruct Dog: Pet {\n    var name: String\n    var owner: String\n\n    func makeSound() {\n        print(\"Гав!\")\n    }\n\n    func play() {\n        print(\"\\(name) играет с \\(owner)\")\n    }\n}"
+            },
+            {
+                "section": "6.4 Протоколы как типы",
+                "subsection": "",
+                "anchor": "6-4-protokoly-kak-tipy",
+                "text": "Протокол можно использовать как тип:",
+                "code": "protocol Flyable {\n    func fly()\n}\n\nstruct Bird: Flyable {\n    func fly() { print(\"Птица летит\") }\n}\n\nstruct Airplane: Flyable {\n    func fly() { print(\"Самолёт летит\") }\n}\n\n// Массив объектов, соответствующих протоколу\nlet flyingThings: [Flyable] = [Bird(), Airplane()]\n\nfor thing in flyingThings {\n    thing.fly()\n}\n\n// Функция, принимающая протокол\nfunc makeFly(_ object: Flyable) {\n    object.fly()\n}\n\nmakeFly(Bird())      // Птица летит\nmakeFly(Airplane())  // Самолёт летит"
+            },
+            {
+                "section": "6.4 Протоколы как типы",
+                "subsection": "any и some (Swift 5.7+)",
+                "anchor": "any-i-some-swift-5-7",
+                "text": "",
+                "code": "// any — экзистенциальный тип (runtime полиморфизм)\nvar anyFlyable: any Flyable = Bird()\nanyFlyable = Airplane()  // Можно присвоить другой тип\n\n// some — opaque type (compile-time, один конкретный тип)\nfunc getFlyer() -> some Flyable {\n    Bird()  // Всегда возвращает Bird\n}"
+            },
+            {
+                "section": "6.5 Делегирование (Delegation Pattern)",
+                "subsection": "",
+                "anchor": "6-5-delegirovanie-delegation-pattern",
+                "text": "Делегирование — паттерн, где один объект передаёт часть работы другому. Широко используется в iOS.",
+                "code": ""
+            },
+            {
+                "section": "6.5 Делегирование (Delegation Pattern)",
+                "subsection": "Пример: Загрузка данных",
+                "anchor": "primer-zagruzka-dannyh",
+                "text": "",
+                "code": "// 1. Определяем протокол делегата\nprotocol DataLoaderDelegate: AnyObject {\n    func dataLoader(_ loader: DataLoader, didLoadData data: [String])\n    func dataLoader(_ loader: DataLoader, didFailWithError error: Error)\n}\n\n// 2. Класс с делегатом\nclass DataLoader {\n    // weak — предотвращаем retain cycle\n    weak var delegate: DataLoaderDelegate?\n\n    func loadData() {\n        // Имитация асинхронной загрузки\n        DispatchQueue.main.asyncAfter(deadline: .now() + 1) { [weak self] in\n            guard let self = self else { return }\n\n            let success = Bool.random()\n\n            if success {\n                let data = [\"Item 1\", \"Item 2\", \"Item 3\"]\n                self.delegate?.dataLoader(self, didLoadData: data)\n            } else {\n                let error = NSError(domain: \"LoadError\", code: 1)\n                self.delegate?.dataLoader(self, didFailWithError: error)\n            }\n        }\n    }\n}\n\n// 3. Реализация делегата\nclass ViewController: DataLoaderDelegate {\n    let loader = DataLoader()\n\n    func start() {\n        loader.delegate = self\n        loader.loadData()\n    }\n\n    func dataLoader(_ loader: DataLoader, didLoadData data: [String]) {\n        print(\"Загружено: \\(data)\")\n    }\n\n    func dataLoader(_ loader: DataLoader, didFailWithError error: Error) {\n        print(\"Ошибка: \\(error)\")\n    }\n}"
+            },
+            {
+                "section": "6.5 Делегирование (Delegation Pattern)",
+                "subsection": "UITableView Delegate (пример из UIKit)",
+                "anchor": "uitableview-delegate-primer-iz-uikit",
+                "text": "",
+                "code": "class MyViewController: UIViewController, UITableViewDelegate, UITableViewDataSource {\n\n    let tableView = UITableView()\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        tableView.delegate = self\n        tableView.dataSource = self\n    }\n\n    // UITableViewDataSource\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        return 10\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        let cell = UITableViewCell()\n        cell.textLabel?.text = \"Row \\(indexPath.row)\"\n        return cell\n    }\n\n    // UITableViewDelegate\n    func tableView(_ tableView: UITableView, didSelectRowAt indexPath: IndexPath) {\n        print(\"Выбрана строка \\(indexPath.row)\")\n    }\n}"
+            },
+            {
+                "section": "6.6 Расширения (Extensions)",
+                "subsection": "",
+                "anchor": "6-6-rasshireniya-extensions",
+                "text": "Расширения добавляют функциональность к существующим типам без наследования.",
+                "code": ""
+            },
+            {
+                "section": "6.6 Расширения (Extensions)",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis-2",
+                "text": "",
+                "code": "extension String {\n    var isEmail: Bool {\n        contains(\"@\") && contains(\".\")\n    }\n\n    func trimmed() -> String {\n        trimmingCharacters(in: .whitespaces)\n    }\n\n    mutating func trim() {\n        self = trimmed()\n    }\n}\n\nlet email = \"user@example.com\"\nprint(email.isEmail)  // true\n\nvar text = \"  Hello  \"\nprint(text.trimmed())  // \"Hello\""
+            },
+            {
+                "section": "6.6 Расширения (Extensions)",
+                "subsection": "Расширение стандартных типов",
+                "anchor": "rasshirenie-standartnyh-tipov",
+                "text": "",
+                "code": "extension Int {\n    var isEven: Bool { self % 2 == 0 }\n    var isOdd: Bool { !isEven }\n    var squared: Int { self * self }\n\n    func times(_ action: () -> Void) {\n        for _ in 0..<self {\n            action()\n        }\n    }\n}\n\nprint(5.isOdd)      // true\nprint(4.squared)    // 16\n\n3.times {\n    print(\"Привет!\")\n}\n// Привет! Привет! Привет!\n\n\nextension Array where Element == Int {\n    var sum: Int {\n        reduce(0, +)\n    }\n\n    var average: Double {\n        isEmpty ? 0 : Double(sum) / Double(count)\n    }\n}\n\nlet numbers = [1, 2, 3, 4, 5]\nprint(numbers.sum)      // 15\nprint(numbers.average)  // 3.0"
+            },
+            {
+                "section": "6.6 Расширения (Extensions)",
+                "subsection": "Расширения с инициализаторами",
+                "anchor": "rasshireniya-s-initsializatorami",
+                "text": "",
+                "code": "extension CGRect {\n    init(center: CGPoint, size: CGSize) {\n        let origin = CGPoint(\n            x: center.x - size.width / 2,\n            y: center.y - size.height / 2\n        )\n        self.init(origin: origin, size: size)\n    }\n}\n\nlet rect = CGRect(center: CGPoint(x: 100, y: 100), size: CGSize(width: 50, height: 50))"
+            },
+            {
+                "section": "6.7 Protocol Extensions",
+                "subsection": "",
+                "anchor": "6-7-protocol-extensions",
+                "text": "Расширения протоколов позволяют добавить реализацию по умолчанию.",
+                "code": "protocol Greetable {\n    var name: String { get }\n    func greet() -> String\n}\n\n// Реализация по умолчанию\nextension Greetable {\n    func greet() -> String {\n        \"Привет, \\(name)!\"\n    }\n\n    func formalGreet() -> String {\n        \"Здравствуйте, \\(name)!\"\n    }\n}\n\nstruct Person: Greetable {\n    var name: String\n    // greet() уже реализован по умолчанию\n}\n\nstruct Robot: Greetable {\n    var name: String\n\n    // Переопределяем реализацию по умолчанию\n    func greet() -> String {\n        \"Бип-буп, я \\(name)\"\n    }\n}\n\nlet person = Person(name: \"Иван\")\nlet robot = Robot(name: \"R2D2\")\n\nprint(person.greet())       // Привет, Иван!\nprint(person.formalGreet()) // Здравствуйте, Иван!\nprint(robot.greet())        // Бип-буп, я R2D2"
+            },
+            {
+                "section": "6.7 Protocol Extensions",
+                "subsection": "Условные расширения (where)",
+                "anchor": "uslovnye-rasshireniya-where",
+                "text": "",
+                "code": "extension Collection where Element: Numeric {\n    var total: Element {\n        reduce(0, +)\n    }\n}\n\nlet integers = [1, 2, 3, 4, 5]\nlet doubles = [1.5, 2.5, 3.5]\n\nprint(integers.total)  // 15\nprint(doubles.total)   // 7.5\n\n\nextension Array where Element: Equatable {\n    func removingDuplicates() -> [Element] {\n        var result: [Element] = []\n        for element in self {\n            if !result.contains(element) {\n                result.append(element)\n            }\n        }\n        return result\n    }\n}\n\nlet numbers = [1, 2, 2, 3, 3, 3, 4]\nprint(numbers.removingDuplicates())  // [1, 2, 3, 4]"
+            },
+            {
+                "section": "6.8 Стандартные протоколы Swift",
+                "subsection": "Equatable",
+                "anchor": "equatable",
+                "text": "",
+                "code": "struct Product: Equatable {\n    let id: Int\n    let name: String\n    let price: Double\n\n    // Swift автоматически синтезирует ==\n    // Или можно реализовать вручную:\n    static func == (lhs: Product, rhs: Product) -> Bool {\n        lhs.id == rhs.id  // Сравниваем только по id\n    }\n}\n\nlet p1 = Product(id: 1, name: \"iPhone\", price: 999)\nlet p2 = Product(id: 1, name: \"iPhone 15\", price: 1099)\n\nprint(p1 == p2)  // true (id совпадают)"
+            },
+            {
+                "section": "6.8 Стандартные протоколы Swift",
+                "subsection": "Comparable",
+                "anchor": "comparable",
+                "text": "",
+                "code": "struct Person: Comparable {\n    let name: String\n    let age: Int\n\n    static func < (lhs: Person, rhs: Person) -> Bool {\n        lhs.age < rhs.age\n    }\n}\n\nlet people = [\n    Person(name: \"Анна\", age: 30),\n    Person(name: \"Борис\", age: 25),\n    Person(name: \"Виктор\", age: 35)\n]\n\nlet sorted = people.sorted()\n// [Борис (25), Анна (30), Виктор (35)]"
+            },
+            {
+                "section": "6.8 Стандартные протоколы Swift",
+                "subsection": "Hashable",
+                "anchor": "hashable",
+                "text": "",
+                "code": "struct User: Hashable {\n    let id: Int\n    let email: String\n\n    func hash(into hasher: inout Hasher) {\n        hasher.combine(id)\n    }\n}\n\n// Можно использовать в Set и как ключ Dictionary\nvar users: Set<User> = []\nusers.insert(User(id: 1, email: \"a@b.com\"))"
+            },
+            {
+                "section": "6.8 Стандартные протоколы Swift",
+                "subsection": "Codable",
+                "anchor": "codable",
+                "text": "",
+                "code": "struct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n}\n\n// Кодирование в JSON\nlet product = Product(id: 1, name: \"iPhone\", price: 999)\nlet encoder = JSONEncoder()\nencoder.outputFormatting = .prettyPrinted\n\nif let data = try? encoder.encode(product),\n   let json = String(data: data, encoding: .utf8) {\n    print(json)\n}\n/*\n{\n  \"id\" : 1,\n  \"name\" : \"iPhone\",\n  \"price\" : 999\n}\n*/\n\n// Декодирование из JSON\nlet jsonString = \"\"\"\n{\"id\": 2, \"name\": \"MacBook\", \"price\": 1999}\n\"\"\"\n\nlet decoder = JSONDecoder()\nif let data = jsonString.data(using: .utf8),\n   let decoded = try? decoder.decode(Product.self, from: data) {\n    print(decoded.name)  // MacBook\n}"
+            },
+            {
+                "section": "6.8 Стандартные протоколы Swift",
+                "subsection": "CustomStringConvertible",
+                "anchor": "customstringconvertible",
+                "text": "",
+                "code": "struct Point: CustomStringConvertible {\n    var x: Double\n    var y: Double\n\n    var description: String {\n        \"(\\(x), \\(y))\"\n    }\n}\n\nlet point = Point(x: 10, y: 20)\nprint(point)  // (10.0, 20.0)"
+            },
+            {
+                "section": "6.9 Практические примеры",
+                "subsection": "Пример 1: Валидация форм",
+                "anchor": "primer-1-validatsiya-form",
+                "text": "",
+                "code": "protocol Validatable {\n    func validate() -> ValidationResult\n}\n\nenum ValidationResult {\n    case valid\n    case invalid(errors: [String])\n\n    var isValid: Bool {\n        if case .valid = self { return true }\n        return false\n    }\n}\n\nstruct EmailValidator: Validatable {\n    let email: String\n\n    func validate() -> ValidationResult {\n        var errors: [String] = []\n\n        if email.isEmpty {\n            errors.append(\"Email не может быть пустым\")\n        }\n        if !email.contains(\"@\") {\n            errors.append(\"Email должен содержать @\")\n        }\n        if !email.contains(\".\") {\n            errors.append(\"Email должен содержать точку\")\n        }\n\n        return errors.isEmpty ? .valid : .invalid(errors: errors)\n    }\n}\n\nstruct PasswordValidator: Validatable {\n    let password: String\n    let minLength: Int = 8\n\n    func validate() -> ValidationResult {\n        var errors: [String] = []\n\n        if password.count < minLength {\n            errors.append(\"Пароль должен быть минимум \\(minLength) символов\")\n        }\n        if !password.contains(where: { $0.isUppercase }) {\n            errors.append(\"Пароль должен содержать заглавную букву\")\n        }\n        if !password.contains(where: { $0.isNumber }) {\n            errors.append(\"Пароль должен содержать цифру\")\n        }\n\n        return errors.isEmpty ? .valid : .invalid(errors: errors)\n    }\n}\n\n// Использование\nlet emailResult = EmailValidator(email: \"test@example.com\").validate()\nlet passwordResult = PasswordValidator(password: \"weak\").validate()\n\nif case .invalid(let errors) = passwordResult {\n    print(\"Ошибки пароля:\")\n    errors.forEach { print(\"  - \\($0)\") }\n}"
+            },
+            {
+                "section": "6.9 Практические примеры",
+                "subsection": "Пример 2: Репозиторий данных",
+                "anchor": "primer-2-repozitoriy-dannyh",
+                "text": "",
+                "code": "protocol Repository {\n    associatedtype Entity\n\n    func getAll() -> [Entity]\n    func get(by id: Int) -> Entity?\n    func save(_ entity: Entity)\n    func delete(by id: Int)\n}\n\n// Реализация для продуктов\nclass ProductRepository: Repository {\n    typealias Entity = Product\n\n    private var products: [Product] = []\n\n    func getAll() -> [Product] {\n        products\n    }\n\n    func get(by id: Int) -> Product? {\n        products.first { $0.id == id }\n    }\n\n    func save(_ entity: Product) {\n        if let index = products.firstIndex(where: { $0.id == entity.id }) {\n            products[index] = entity\n        } else {\n            products.append(entity)\n        }\n    }\n\n    func delete(by id: Int) {\n        products.removeAll { $0.id == id }\n    }\n}"
+            },
+            {
+                "section": "6.10 Упражнения",
+                "subsection": "Упражнение 6.1: Протокол Shape",
+                "anchor": "uprazhnenie-6-1-protokol-shape",
+                "text": "Создайте протокол Shape с: Свойство name: String Метод area() -> Double Метод perimeter() -> Double Реализуйте для Circle, Rectangle, Triangle. Показать решение",
+                "code": "protocol Shape {\n    var name: String { get }\n    func area() -> Double\n    func perimeter() -> Double\n}\n\nextension Shape {\n    func describe() -> String {\n        \"\\(name): площадь = \\(area()), периметр = \\(perimeter())\"\n    }\n}\n\nstruct Circle: Shape {\n    let radius: Double\n    var name: String { \"Круг\" }\n\n    func area() -> Double {\n        .pi * radius * radius\n    }\n\n    func perimeter() -> Double {\n        2 * .pi * radius\n    }\n}\n\nstruct Rectangle: Shape {\n    let width: Double\n    let height: Double\n    var name: String { \"Прямоугольник\" }\n\n    func area() -> Double {\n        width * height\n    }\n\n    func perimeter() -> Double {\n        2 * (width + height)\n    }\n}\n\nstruct Triangle: Shape {\n    let a: Double, b: Double, c: Double\n    var name: String { \"Треугольник\" }\n\n    func area() -> Double {\n        let s = (a + b + c) / 2\n        return sqrt(s * (s - a) * (s - b) * (s - c))\n    }\n\n    func perimeter() -> Double {\n        a + b + c\n    }\n}\n\nlet shapes: [Shape] = [\n    Circle(radius: 5),\n    Rectangle(width: 10, height: 5),\n    Triangle(a: 3, b: 4, c: 5)\n]\n\nshapes.forEach { print($0.describe()) }"
+            },
+            {
+                "section": "6.10 Упражнения",
+                "subsection": "Упражнение 6.2: Расширение Array",
+                "anchor": "uprazhnenie-6-2-rasshirenie-array",
+                "text": "Добавьте к Array расширение с методами: chunked(into size: Int) — разбивает на подмассивы shuffled() — уже есть, но реализуйте randomElement() Показать решение",
+                "code": "extension Array {\n    func chunked(into size: Int) -> [[Element]] {\n        guard size > 0 else { return [] }\n\n        return stride(from: 0, to: count, by: size).map {\n            Array(self[$0..<Swift.min($0 + size, count)])\n        }\n    }\n}\n\nlet numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]\nprint(numbers.chunked(into: 3))\n// [[1, 2, 3], [4, 5, 6], [7, 8, 9], [10]]\n\nprint(numbers.chunked(into: 4))\n// [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10]]"
+            },
+            {
+                "section": "6.10 Упражнения",
+                "subsection": "Упражнение 6.3: Codable модель",
+                "anchor": "uprazhnenie-6-3-codable-model",
+                "text": "Создайте Codable модель для API ответа интернет-магазина: Показать решение",
+                "code": "{\n  \"products\": [\n    {\"id\": 1, \"name\": \"iPhone\", \"price\": 999.99, \"inStock\": true},\n    {\"id\": 2, \"name\": \"MacBook\", \"price\": 1999.99, \"inStock\": false}\n  ],\n  \"total\": 2\n}\nstruct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n    let inStock: Bool\n}\n\nstruct ProductsResponse: Codable {\n    let products: [Product]\n    let total: Int\n}\n\nlet json = \"\"\"\n{\n  \"products\": [\n    {\"id\": 1, \"name\": \"iPhone\", \"price\": 999.99, \"inStock\": true},\n    {\"id\": 2, \"name\": \"MacBook\", \"price\": 1999.99, \"inStock\": false}\n  ],\n  \"total\": 2\n}\n\"\"\"\n\nlet decoder = JSONDecoder()\nif let data = json.data(using: .utf8),\n   let response = try? decoder.decode(ProductsResponse.self, from: data) {\n    print(\"Всего товаров: \\(response.total)\")\n    for product in response.products {\n        let status = product.inStock ? \"В наличии\" : \"Нет в наличии\"\n        print(\"  \\(product.name): $\\(product.price) — \\(status)\")\n    }\n}"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Протоколы как контракты для типов ✅ Требования к свойствам, методам и инициализаторам ✅ Соответствие протоколам (struct, class, enum) ✅ Протоколы как типы и any/some ✅ Паттерн делегирования (Delegation) ✅ Расширения для добавления функциональности ✅ Protocol Extensions с реализацией по умолчанию ✅ Стандартные протоколы: Equatable, Comparable, Hashable, Codable",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 7 мы изучим опционалы и обработку ошибок — критически важные концепции для безопасного кода.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/07-optionals.html",
+        "chapter": "Глава 7",
+        "title": "Опционалы и обработка ошибок",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Опционалы (Optionals) — одна из ключевых особенностей Swift, обеспечивающая безопасность работы с отсутствующими значениями. Вместо null/undefined, которые могут вызвать crash, Swift заставляет явно обрабатывать случаи отсутствия значения.",
+                "code": ""
+            },
+            {
+                "section": "7.1 Что такое Optional",
+                "subsection": "",
+                "anchor": "7-1-chto-takoe-optional",
+                "text": "Optional — это контейнер, который может содержать значение или nil.",
+                "code": "// Обычная переменная — всегда имеет значение\nvar name: String = \"Иван\"\n// name = nil  // ❌ Ошибка компиляции!\n\n// Optional — может быть nil\nvar optionalName: String? = \"Иван\"\noptionalName = nil  // ✅ Разрешено\n\n// Декларация Optional\nvar age: Int? = 25\nvar email: String? = nil\nvar price: Double? = nil"
+            },
+            {
+                "section": "7.1 Что такое Optional",
+                "subsection": "Как это работает",
+                "anchor": "kak-eto-rabotaet",
+                "text": "",
+                "code": "// String? — это сокращение для Optional<String>\nvar name1: String? = \"Иван\"\nvar name2: Optional<String> = \"Иван\"  // То же самое\n\n// Optional — это enum\nenum Optional<Wrapped> {\n    case none           // nil\n    case some(Wrapped)  // значение\n}"
+            },
+            {
+                "section": "7.1 Что такое Optional",
+                "subsection": "Сравнение с JavaScript",
+                "anchor": "sravnenie-s-javascript",
+                "text": "",
+                "code": "// JavaScript — небезопасно\nlet user = null;\nconsole.log(user.name);  // 💥 Runtime Error!\n\n// Приходится проверять\nif (user !== null && user !== undefined) {\n    console.log(user.name);\n}\n// Swift — безопасно\nvar user: User? = nil\n// print(user.name)  // ❌ Ошибка компиляции! Заставляет обработать nil"
+            },
+            {
+                "section": "7.2 Принудительное извлечение (Force Unwrap)",
+                "subsection": "",
+                "anchor": "7-2-prinuditelnoe-izvlechenie-force-unwrap",
+                "text": "Оператор ! принудительно извлекает значение из Optional: Правило: Избегайте force unwrap (!) везде, где это возможно. Используйте его только когда вы абсолютно уверены, что значение не nil.",
+                "code": "var name: String? = \"Иван\"\nprint(name!)  // \"Иван\"\n\n// ⚠️ ОПАСНО! Если значение nil — программа упадёт\nvar empty: String? = nil\n// print(empty!)  // 💥 Fatal error: Unexpectedly found nil"
+            },
+            {
+                "section": "7.2 Принудительное извлечение (Force Unwrap)",
+                "subsection": "Когда допустимо использовать !",
+                "anchor": "kogda-dopustimo-ispolzovat",
+                "text": "",
+                "code": "// 1. В тестах\nlet value = try! JSONDecoder().decode(User.self, from: testData)\n\n// 2. Когда 100% знаете, что значение есть\nlet image = UIImage(named: \"icon\")!  // Изображение есть в assets\n\n// 3. IB Outlets (устанавливаются Interface Builder'ом)\n@IBOutlet weak var titleLabel: UILabel!"
+            },
+            {
+                "section": "7.3 Optional Binding",
+                "subsection": "if let",
+                "anchor": "if-let",
+                "text": "Безопасное извлечение значения:",
+                "code": "var name: String? = \"Иван\"\n\nif let unwrappedName = name {\n    print(\"Привет, \\(unwrappedName)!\")  // unwrappedName — обычный String\n} else {\n    print(\"Имя не указано\")\n}\n\n// Краткая форма (Swift 5.7+) — если имя совпадает\nif let name {\n    print(\"Привет, \\(name)!\")\n}\n\n// Множественные optional\nvar firstName: String? = \"Иван\"\nvar lastName: String? = \"Петров\"\nvar age: Int? = 25\n\nif let firstName, let lastName, let age {\n    print(\"\\(firstName) \\(lastName), \\(age) лет\")\n}"
+            },
+            {
+                "section": "7.3 Optional Binding",
+                "subsection": "guard let",
+                "anchor": "guard-let",
+                "text": "Ранний выход, если значение nil:",
+                "code": "func greet(name: String?) {\n    guard let name else {\n        print(\"Имя не указано\")\n        return\n    }\n\n    // name теперь доступен как обычный String\n    print(\"Привет, \\(name)!\")\n}\n\ngreet(name: \"Анна\")   // Привет, Анна!\ngreet(name: nil)      // Имя не указано"
+            },
+            {
+                "section": "7.3 Optional Binding",
+                "subsection": "Разница между if let и guard let",
+                "anchor": "raznitsa-mezhdu-if-let-i-guard-let",
+                "text": "",
+                "code": "// if let — используйте когда:\n// - Обе ветки (есть значение / нет значения) равноценны\n// - Нужно выполнить код только если значение есть\n\nfunc process1(value: Int?) {\n    if let value {\n        print(\"Значение: \\(value)\")\n    } else {\n        print(\"Нет значения\")\n    }\n    // Код продолжается в любом случае\n}\n\n// guard let — используйте когда:\n// - Отсутствие значения — это ошибка или ранний выход\n// - Нужно использовать значение далее в функции\n\nfunc process2(value: Int?) {\n    guard let value else {\n        print(\"Ошибка: значение обязательно\")\n        return\n    }\n\n    // value доступен во всей оставшейся части функции\n    print(\"Обработка: \\(value)\")\n    print(\"Квадрат: \\(value * value)\")\n}"
+            },
+            {
+                "section": "7.4 Опциональная цепочка (Optional Chaining)",
+                "subsection": "",
+                "anchor": "7-4-optsionalnaya-tsepochka-optional-chaining",
+                "text": "Позволяет безопасно обращаться к свойствам и методам Optional:",
+                "code": "struct Address {\n    var city: String\n    var street: String\n}\n\nstruct Person {\n    var name: String\n    var address: Address?\n}\n\nvar person: Person? = Person(\n    name: \"Иван\",\n    address: Address(city: \"Москва\", street: \"Ленина\")\n)\n\n// Optional chaining с ?\nlet city = person?.address?.city  // Optional(\"Москва\")\nprint(city ?? \"Город не указан\")  // \"Москва\"\n\n// Если любое звено nil — результат nil\nperson?.address = nil\nlet city2 = person?.address?.city  // nil\n\nperson = nil\nlet city3 = person?.address?.city  // nil"
+            },
+            {
+                "section": "7.4 Опциональная цепочка (Optional Chaining)",
+                "subsection": "Вызов методов через цепочку",
+                "anchor": "vyzov-metodov-cherez-tsepochku",
+                "text": "",
+                "code": "struct User {\n    var name: String\n\n    func greet() -> String {\n        \"Привет, \\(name)!\"\n    }\n}\n\nvar user: User? = User(name: \"Анна\")\n\n// Результат — Optional<String>\nlet greeting = user?.greet()\nprint(greeting ?? \"Нет приветствия\")"
+            },
+            {
+                "section": "7.4 Опциональная цепочка (Optional Chaining)",
+                "subsection": "Присваивание через цепочку",
+                "anchor": "prisvaivanie-cherez-tsepochku",
+                "text": "",
+                "code": "struct Settings {\n    var theme: String\n}\n\nclass App {\n    var settings: Settings?\n}\n\nvar app: App? = App()\napp?.settings = Settings(theme: \"dark\")  // Присвоится только если app не nil\n\napp = nil\napp?.settings = Settings(theme: \"light\")  // Ничего не произойдёт"
+            },
+            {
+                "section": "7.5 Nil-Coalescing оператор (??)",
+                "subsection": "",
+                "anchor": "7-5-nil-coalescing-operator",
+                "text": "Возвращает значение по умолчанию, если Optional — nil:",
+                "code": "let name: String? = nil\nlet displayName = name ?? \"Гость\"\nprint(displayName)  // \"Гость\"\n\nlet age: Int? = 25\nlet displayAge = age ?? 0\nprint(displayAge)  // 25\n\n// Цепочка ??\nlet primary: String? = nil\nlet secondary: String? = nil\nlet fallback: String = \"По умолчанию\"\n\nlet result = primary ?? secondary ?? fallback\nprint(result)  // \"По умолчанию\""
+            },
+            {
+                "section": "7.5 Nil-Coalescing оператор (??)",
+                "subsection": "Практические примеры",
+                "anchor": "prakticheskie-primery",
+                "text": "",
+                "code": "// Получение настроек\nlet fontSize = UserDefaults.standard.object(forKey: \"fontSize\") as? Int ?? 14\n\n// Безопасный доступ к словарю\nlet config: [String: String] = [\"theme\": \"dark\"]\nlet theme = config[\"theme\"] ?? \"light\"\nlet language = config[\"language\"] ?? \"ru\"\n\n// API ответ\nstruct APIResponse {\n    var message: String?\n    var errorCode: Int?\n}\n\nlet response = APIResponse(message: nil, errorCode: 404)\nlet message = response.message ?? \"Неизвестная ошибка\""
+            },
+            {
+                "section": "7.6 Implicitly Unwrapped Optionals",
+                "subsection": "",
+                "anchor": "7-6-implicitly-unwrapped-optionals",
+                "text": "Optional, который автоматически разворачивается при доступе:",
+                "code": "// Обычный Optional\nlet name1: String? = \"Иван\"\nprint(name1!)  // Нужен !\n\n// Implicitly Unwrapped Optional\nlet name2: String! = \"Иван\"\nprint(name2)   // Автоматически развернётся\n\n// ⚠️ Но всё ещё упадёт, если nil\nlet empty: String! = nil\n// print(empty)  // 💥 Crash!"
+            },
+            {
+                "section": "7.6 Implicitly Unwrapped Optionals",
+                "subsection": "Когда использовать",
+                "anchor": "kogda-ispolzovat",
+                "text": "Правило: Избегайте ! в типах. Используйте только в особых случаях (IBOutlet, двухфазная инициализация).",
+                "code": "// 1. IBOutlets — устанавливаются после init, но до использования\nclass ViewController: UIViewController {\n    @IBOutlet weak var titleLabel: UILabel!\n    @IBOutlet weak var submitButton: UIButton!\n}\n\n// 2. Двухфазная инициализация\nclass Game {\n    var player: Player!\n\n    init() {\n        // player будет установлен позже\n    }\n\n    func start(with player: Player) {\n        self.player = player\n    }\n}"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "Определение ошибок",
+                "anchor": "opredelenie-oshibok",
+                "text": "",
+                "code": "enum NetworkError: Error {\n    case invalidURL\n    case noConnection\n    case timeout\n    case serverError(code: Int)\n    case decodingFailed(description: String)\n}\n\nenum ValidationError: Error {\n    case emptyField(fieldName: String)\n    case invalidFormat(fieldName: String)\n    case tooShort(fieldName: String, minLength: Int)\n}"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "Функции, бросающие ошибки (throws)",
+                "anchor": "funktsii-brosayuschie-oshibki-throws",
+                "text": "",
+                "code": "func fetchUser(id: Int) throws -> User {\n    guard id > 0 else {\n        throw NetworkError.invalidURL\n    }\n\n    // Имитация запроса\n    let success = Bool.random()\n\n    if success {\n        return User(id: id, name: \"User \\(id)\")\n    } else {\n        throw NetworkError.serverError(code: 500)\n    }\n}"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "do-try-catch",
+                "anchor": "do-try-catch",
+                "text": "",
+                "code": "do {\n    let user = try fetchUser(id: 1)\n    print(\"Получен пользователь: \\(user.name)\")\n} catch NetworkError.invalidURL {\n    print(\"Неверный URL\")\n} catch NetworkError.serverError(let code) {\n    print(\"Ошибка сервера: \\(code)\")\n} catch {\n    print(\"Неизвестная ошибка: \\(error)\")\n}"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "try? и try!",
+                "anchor": "try-i-try",
+                "text": "",
+                "code": "// try? — возвращает nil при ошибке\nlet user1 = try? fetchUser(id: 1)  // Optional<User>\n\nif let user = try? fetchUser(id: 1) {\n    print(\"Пользователь: \\(user.name)\")\n}\n\n// try! — crash при ошибке (избегайте!)\nlet user2 = try! fetchUser(id: 1)  // User или 💥"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "Проброс ошибок (rethrows)",
+                "anchor": "probros-oshibok-rethrows",
+                "text": "",
+                "code": "func processUser(id: Int) throws -> String {\n    let user = try fetchUser(id: id)  // Пробрасываем ошибку выше\n    return user.name.uppercased()\n}\n\n// Вызывающий код должен обработать ошибку\ndo {\n    let name = try processUser(id: 1)\n    print(name)\n} catch {\n    print(\"Ошибка: \\(error)\")\n}"
+            },
+            {
+                "section": "7.7 Обработка ошибок (Error Handling)",
+                "subsection": "Функции с rethrows",
+                "anchor": "funktsii-s-rethrows",
+                "text": "",
+                "code": "func perform<T>(_ operation: () throws -> T) rethrows -> T {\n    try operation()\n}\n\n// Если передаём не-throwing функцию — try не нужен\nlet result1 = perform { 42 }\n\n// Если передаём throwing функцию — нужен try\nlet result2 = try perform { try fetchUser(id: 1) }"
+            },
+            {
+                "section": "7.8 defer",
+                "subsection": "",
+                "anchor": "7-8-defer",
+                "text": "defer откладывает выполнение кода до выхода из scope:",
+                "code": "func processFile(name: String) throws {\n    print(\"Открываем файл \\(name)\")\n\n    defer {\n        print(\"Закрываем файл \\(name)\")  // Выполнится в любом случае\n    }\n\n    // Работа с файлом...\n    if name.isEmpty {\n        throw NetworkError.invalidURL\n    }\n\n    print(\"Обрабатываем файл\")\n}\n\ntry? processFile(name: \"data.txt\")\n// Открываем файл data.txt\n// Обрабатываем файл\n// Закрываем файл data.txt\n\ntry? processFile(name: \"\")\n// Открываем файл\n// Закрываем файл  <-- defer выполняется даже при ошибке"
+            },
+            {
+                "section": "7.8 defer",
+                "subsection": "Множественные defer",
+                "anchor": "mnozhestvennye-defer",
+                "text": "",
+                "code": "func multipleDefers() {\n    defer { print(\"Первый defer\") }\n    defer { print(\"Второй defer\") }\n    defer { print(\"Третий defer\") }\n\n    print(\"Основной код\")\n}\n\nmultipleDefers()\n// Основной код\n// Третий defer  <-- LIFO порядок\n// Второй defer\n// Первый defer"
+            },
+            {
+                "section": "7.9 Result тип",
+                "subsection": "",
+                "anchor": "7-9-result-tip",
+                "text": "Result — это тип для представления успеха или ошибки:",
+                "code": "enum Result<Success, Failure: Error> {\n    case success(Success)\n    case failure(Failure)\n}\n\n// Использование\nfunc fetchData(from url: String) -> Result<Data, NetworkError> {\n    guard !url.isEmpty else {\n        return .failure(.invalidURL)\n    }\n\n    // Имитация успешного ответа\n    let data = Data()\n    return .success(data)\n}\n\n// Обработка\nlet result = fetchData(from: \"https://api.example.com\")\n\nswitch result {\ncase .success(let data):\n    print(\"Получено \\(data.count) байт\")\ncase .failure(let error):\n    print(\"Ошибка: \\(error)\")\n}\n\n// Или с get()\ndo {\n    let data = try result.get()\n    print(\"Данные: \\(data)\")\n} catch {\n    print(\"Ошибка: \\(error)\")\n}"
+            },
+            {
+                "section": "7.9 Result тип",
+                "subsection": "Result в асинхронном коде",
+                "anchor": "result-v-asinhronnom-kode",
+                "text": "",
+                "code": "func fetchUser(id: Int, completion: @escaping (Result<User, NetworkError>) -> Void) {\n    DispatchQueue.global().async {\n        // Имитация сетевого запроса\n        sleep(1)\n\n        if id > 0 {\n            let user = User(id: id, name: \"User \\(id)\")\n            completion(.success(user))\n        } else {\n            completion(.failure(.invalidURL))\n        }\n    }\n}\n\n// Использование\nfetchUser(id: 1) { result in\n    switch result {\n    case .success(let user):\n        print(\"Загружен: \\(user.name)\")\n    case .failure(let error):\n        print(\"Ошибка: \\(error)\")\n    }\n}"
+            },
+            {
+                "section": "7.10 Практические примеры",
+                "subsection": "Пример 1: Валидация формы регистрации",
+                "anchor": "primer-1-validatsiya-formy-registratsii",
+                "text": "",
+                "code": "struct RegistrationForm {\n    var email: String?\n    var password: String?\n    var confirmPassword: String?\n}\n\nenum RegistrationError: Error, LocalizedError {\n    case emptyEmail\n    case invalidEmail\n    case emptyPassword\n    case passwordTooShort(minLength: Int)\n    case passwordsDoNotMatch\n\n    var errorDescription: String? {\n        switch self {\n        case .emptyEmail:\n            return \"Email не может быть пустым\"\n        case .invalidEmail:\n            return \"Неверный формат email\"\n        case .emptyPassword:\n            return \"Пароль не может быть пустым\"\n        case .passwordTooShort(let minLength):\n            return \"Пароль должен быть минимум \\(minLength) символов\"\n        case .passwordsDoNotMatch:\n            return \"Пароли не совпадают\"\n        }\n    }\n}\n\nfunc validate(_ form: RegistrationForm) throws {\n    guard let email = form.email, !email.isEmpty else {\n        throw RegistrationError.emptyEmail\n    }\n\n    guard email.contains(\"@\") && email.contains(\".\") else {\n        throw RegistrationError.invalidEmail\n    }\n\n    guard let password = form.password, !password.isEmpty else {\n        throw RegistrationError.emptyPassword\n    }\n\n    guard password.count >= 8 else {\n        throw RegistrationError.passwordTooShort(minLength: 8)\n    }\n\n    guard password == form.confirmPassword else {\n        throw RegistrationError.passwordsDoNotMatch\n    }\n}\n\n// Использование\nlet form = RegistrationForm(\n    email: \"test@example.com\",\n    password: \"12345\",\n    confirmPassword: \"12345\"\n)\n\ndo {\n    try validate(form)\n    print(\"Форма валидна!\")\n} catch let error as RegistrationError {\n    print(\"Ошибка: \\(error.errorDescription ?? \"\")\")\n} catch {\n    print(\"Неизвестная ошибка\")\n}"
+            },
+            {
+                "section": "7.10 Практические примеры",
+                "subsection": "Пример 2: Безопасный парсинг JSON",
+                "anchor": "primer-2-bezopasnyy-parsing-json",
+                "text": "",
+                "code": "struct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n    let description: String?\n}\n\nfunc parseProducts(from jsonString: String) -> Result<[Product], Error> {\n    guard let data = jsonString.data(using: .utf8) else {\n        return .failure(NetworkError.decodingFailed(description: \"Invalid UTF-8\"))\n    }\n\n    do {\n        let products = try JSONDecoder().decode([Product].self, from: data)\n        return .success(products)\n    } catch {\n        return .failure(error)\n    }\n}\n\nlet json = \"\"\"\n[\n    {\"id\": 1, \"name\": \"iPhone\", \"price\": 999.99},\n    {\"id\": 2, \"name\": \"MacBook\", \"price\": 1999.99, \"description\": \"Мощный ноутбук\"}\n]\n\"\"\"\n\nswitch parseProducts(from: json) {\ncase .success(let products):\n    for product in products {\n        let desc = product.description ?? \"Нет описания\"\n        print(\"\\(product.name): $\\(product.price) — \\(desc)\")\n    }\ncase .failure(let error):\n    print(\"Ошибка парсинга: \\(error)\")\n}"
+            },
+            {
+                "section": "7.11 Упражнения",
+                "subsection": "Упражнение 7.1: Безопасное извлечение",
+                "anchor": "uprazhnenie-7-1-bezopasnoe-izvlechenie",
+                "text": "Перепишите код, избавившись от force unwrap: Показать решение",
+                "code": "let numbers = [\"1\", \"2\", \"three\", \"4\"]\nvar sum = 0\nfor str in numbers {\n    sum += Int(str)!  // Исправьте это\n}\nlet numbers = [\"1\", \"2\", \"three\", \"4\"]\nvar sum = 0\n\nfor str in numbers {\n    if let number = Int(str) {\n        sum += number\n    }\n}\nprint(sum)  // 7\n\n// Или одной строкой\nlet sum2 = numbers.compactMap { Int($0) }.reduce(0, +)\nprint(sum2)  // 7"
+            },
+            {
+                "section": "7.11 Упражнения",
+                "subsection": "Упражнение 7.2: Optional chaining",
+                "anchor": "uprazhnenie-7-2-optional-chaining",
+                "text": "Создайте структуры и используйте optional chaining: Показать решение",
+                "code": "struct Company {\n    var name: String\n    var ceo: Person?\n}\n\nstruct Person {\n    var name: String\n    var email: String?\n}\n\n// Получите email CEO компании безопасно\nstruct Company {\n    var name: String\n    var ceo: Person?\n}\n\nstruct Person {\n    var name: String\n    var email: String?\n}\n\nlet company: Company? = Company(\n    name: \"Apple\",\n    ceo: Person(name: \"Tim Cook\", email: \"tim@apple.com\")\n)\n\n// Optional chaining\nlet ceoEmail = company?.ceo?.email\nprint(ceoEmail ?? \"Email не указан\")\n\n// Или с guard\nfunc printCEOEmail(company: Company?) {\n    guard let email = company?.ceo?.email else {\n        print(\"Email CEO недоступен\")\n        return\n    }\n    print(\"Email CEO: \\(email)\")\n}\n\nprintCEOEmail(company: company)"
+            },
+            {
+                "section": "7.11 Упражнения",
+                "subsection": "Упражнение 7.3: Обработка ошибок",
+                "anchor": "uprazhnenie-7-3-obrabotka-oshibok",
+                "text": "Создайте функцию деления с обработкой ошибок: Показать решение",
+                "code": "enum MathError: Error {\n    case divisionByZero\n    case negativeNumber\n}\n\n// Реализуйте функцию divide, которая:\n// - Бросает divisionByZero если делитель = 0\n// - Бросает negativeNumber если любое число отрицательное\n// - Возвращает результат деления\nenum MathError: Error {\n    case divisionByZero\n    case negativeNumber\n}\n\nfunc divide(_ a: Double, by b: Double) throws -> Double {\n    guard a >= 0 && b >= 0 else {\n        throw MathError.negativeNumber\n    }\n\n    guard b != 0 else {\n        throw MathError.divisionByZero\n    }\n\n    return a / b\n}\n\n// Тестирование\ndo {\n    let result = try divide(10, by: 2)\n    print(\"Результат: \\(result)\")\n} catch MathError.divisionByZero {\n    print(\"Ошибка: деление на ноль\")\n} catch MathError.negativeNumber {\n    print(\"Ошибка: отрицательное число\")\n} catch {\n    print(\"Неизвестная ошибка\")\n}\n\n// С try?\nlet result1 = try? divide(10, by: 0)   // nil\nlet result2 = try? divide(10, by: 2)   // Optional(5.0)\nlet result3 = try? divide(-10, by: 2)  // nil"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Optional как безопасная альтернатива null ✅ Опасность force unwrap (!) и когда его можно использовать ✅ Optional binding: if let и guard let ✅ Optional chaining с ?. ✅ Nil-coalescing оператор ?? ✅ Implicitly Unwrapped Optionals ✅ Обработка ошибок: throws, try, catch ✅ defer для гарантированного выполнения кода ✅ Тип Result для представления успеха/ошибки",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 8 мы изучим управление памятью в Swift: ARC, сильные и слабые ссылки.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/08-memory.html",
+        "chapter": "Глава 8",
+        "title": "Управление памятью (ARC)",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Управление памятью — критически важная тема для iOS разработки. В отличие от языков с garbage collector, Swift использует ARC (Automatic Reference Counting) — автоматический подсчёт ссылок. Понимание ARC поможет избежать утечек памяти и crashes.",
+                "code": ""
+            },
+            {
+                "section": "8.1 Как работает память в Swift",
+                "subsection": "Value Types vs Reference Types",
+                "anchor": "value-types-vs-reference-types",
+                "text": "",
+                "code": "// VALUE TYPE (struct, enum) — копируется\nstruct Point {\n    var x: Int\n    var y: Int\n}\n\nvar p1 = Point(x: 10, y: 20)\nvar p2 = p1  // Создаётся копия\np2.x = 100\nprint(p1.x)  // 10 — оригинал не изменился\n\n// REFERENCE TYPE (class) — создаётся ссылка\nclass PointClass {\n    var x: Int\n    var y: Int\n\n    init(x: Int, y: Int) {\n        self.x = x\n        self.y = y\n    }\n}\n\nvar pc1 = PointClass(x: 10, y: 20)\nvar pc2 = pc1  // Копируется ССЫЛКА, не объект\npc2.x = 100\nprint(pc1.x)  // 100 — изменился и оригинал"
+            },
+            {
+                "section": "8.1 Как работает память в Swift",
+                "subsection": "Выделение памяти",
+                "anchor": "vydelenie-pamyati",
+                "text": "Stack (стек) — для value types, быстро, автоматически освобождается Heap (куча) — для reference types, медленнее, управляется ARC",
+                "code": ""
+            },
+            {
+                "section": "8.2 Automatic Reference Counting (ARC)",
+                "subsection": "",
+                "anchor": "8-2-automatic-reference-counting-arc",
+                "text": "ARC отслеживает количество ссылок на каждый объект. Когда count = 0, объект удаляется.",
+                "code": "class Person {\n    let name: String\n\n    init(name: String) {\n        self.name = name\n        print(\"\\(name) инициализирован\")\n    }\n\n    deinit {\n        print(\"\\(name) деинициализирован\")\n    }\n}\n\n// Создаём объект — reference count = 1\nvar person1: Person? = Person(name: \"Иван\")\n// Иван инициализирован\n\n// Ещё одна ссылка — reference count = 2\nvar person2 = person1\n\n// Убираем ссылку — reference count = 1\nperson1 = nil\n// Объект ещё жив\n\n// Убираем последнюю ссылку — reference count = 0\nperson2 = nil\n// Иван деинициализирован"
+            },
+            {
+                "section": "8.2 Automatic Reference Counting (ARC)",
+                "subsection": "Визуализация",
+                "anchor": "vizualizatsiya",
+                "text": "",
+                "code": "var person1 = Person(\"Иван\")\n\n┌──────────┐         ┌──────────────┐\n│ person1  │────────►│ Person       │  refCount: 1\n└──────────┘         │ name: \"Иван\" │\n                     └──────────────┘\n\nvar person2 = person1\n\n┌──────────┐         ┌──────────────┐\n│ person1  │────────►│ Person       │  refCount: 2\n└──────────┘    ┌───►│ name: \"Иван\" │\n┌──────────┐    │    └──────────────┘\n│ person2  │────┘\n└──────────┘\n\nperson1 = nil\n                     ┌──────────────┐\n                ┌───►│ Person       │  refCount: 1\n┌──────────┐    │    │ name: \"Иван\" │\n│ person2  │────┘    └──────────────┘\n└──────────┘\n\nperson2 = nil\n                     // Объект удалён  refCount: 0"
+            },
+            {
+                "section": "8.3 Сильные ссылки (strong)",
+                "subsection": "",
+                "anchor": "8-3-silnye-ssylki-strong",
+                "text": "По умолчанию все ссылки — strong (сильные). Они увеличивают reference count.",
+                "code": "class Apartment {\n    let unit: String\n    var tenant: Person?\n\n    init(unit: String) {\n        self.unit = unit\n        print(\"Квартира \\(unit) создана\")\n    }\n\n    deinit {\n        print(\"Квартира \\(unit) освобождена\")\n    }\n}\n\nclass Person {\n    let name: String\n    var apartment: Apartment?\n\n    init(name: String) {\n        self.name = name\n        print(\"\\(name) создан\")\n    }\n\n    deinit {\n        print(\"\\(name) удалён\")\n    }\n}\n\nvar john: Person? = Person(name: \"John\")\nvar unit4A: Apartment? = Apartment(unit: \"4A\")\n\n// Создаём связь\njohn?.apartment = unit4A\nunit4A?.tenant = john\n\n// ⚠️ Циклическая ссылка!\n// john → unit4A (strong)\n// unit4A → john (strong)\n\njohn = nil    // Объект НЕ удалится!\nunit4A = nil  // Объект НЕ удалится!\n\n// 💥 УТЕЧКА ПАМЯТИ — объекты никогда не освободятся"
+            },
+            {
+                "section": "8.4 Слабые ссылки (weak)",
+                "subsection": "",
+                "anchor": "8-4-slabye-ssylki-weak",
+                "text": "weak ссылка не увеличивает reference count. Автоматически становится nil при удалении объекта.",
+                "code": "class Apartment {\n    let unit: String\n    weak var tenant: Person?  // weak!\n\n    init(unit: String) {\n        self.unit = unit\n    }\n\n    deinit {\n        print(\"Квартира \\(unit) освобождена\")\n    }\n}\n\nclass Person {\n    let name: String\n    var apartment: Apartment?\n\n    init(name: String) {\n        self.name = name\n    }\n\n    deinit {\n        print(\"\\(name) удалён\")\n    }\n}\n\nvar john: Person? = Person(name: \"John\")\nvar unit4A: Apartment? = Apartment(unit: \"4A\")\n\njohn?.apartment = unit4A\nunit4A?.tenant = john\n\n// Теперь:\n// john → unit4A (strong)\n// unit4A → john (WEAK)\n\njohn = nil\n// John удалён\n// unit4A?.tenant автоматически = nil\n\nunit4A = nil\n// Квартира 4A освобождена"
+            },
+            {
+                "section": "8.4 Слабые ссылки (weak)",
+                "subsection": "Правила weak",
+                "anchor": "pravila-weak",
+                "text": "Должен быть Optional (var tenant: Person?) Должен быть var (не let) Автоматически становится nil",
+                "code": ""
+            },
+            {
+                "section": "8.5 Бесхозные ссылки (unowned)",
+                "subsection": "",
+                "anchor": "8-5-beshoznye-ssylki-unowned",
+                "text": "unowned не увеличивает reference count, но не становится nil при удалении. Если объект удалён — crash!",
+                "code": "class Customer {\n    let name: String\n    var card: CreditCard?\n\n    init(name: String) {\n        self.name = name\n    }\n\n    deinit {\n        print(\"\\(name) удалён\")\n    }\n}\n\nclass CreditCard {\n    let number: String\n    unowned let customer: Customer  // unowned!\n\n    init(number: String, customer: Customer) {\n        self.number = number\n        self.customer = customer\n    }\n\n    deinit {\n        print(\"Карта \\(number) удалена\")\n    }\n}\n\nvar john: Customer? = Customer(name: \"John\")\njohn?.card = CreditCard(number: \"1234-5678\", customer: john!)\n\n// john → card (strong)\n// card → john (unowned)\n\njohn = nil\n// John удалён\n// Карта 1234-5678 удалена\n\n// ✅ Нет утечки памяти!"
+            },
+            {
+                "section": "8.5 Бесхозные ссылки (unowned)",
+                "subsection": "Когда использовать unowned vs weak",
+                "anchor": "kogda-ispolzovat-unowned-vs-weak",
+                "text": "Характеристика weak unowned Reference countНе увеличиваетНе увеличивает При удалении объектаСтановится nilCrash! ТипOptional (?)Non-optional Используйте когдаОбъект может быть nilОбъект точно существует",
+                "code": "// weak — когда связь может разорваться\nclass Person {\n    weak var spouse: Person?  // Супруг может уйти\n}\n\n// unowned — когда связь гарантирована на время жизни\nclass CreditCard {\n    unowned let customer: Customer  // Карта не может существовать без клиента\n}"
+            },
+            {
+                "section": "8.6 Циклы сильных ссылок",
+                "subsection": "Проблема",
+                "anchor": "problema",
+                "text": "",
+                "code": "class ViewController {\n    var onComplete: (() -> Void)?\n\n    func doSomething() {\n        onComplete = {\n            // ⚠️ Захватывает self (strong)\n            self.updateUI()\n        }\n    }\n\n    func updateUI() {\n        print(\"UI обновлён\")\n    }\n\n    deinit {\n        print(\"ViewController удалён\")\n    }\n}\n\nvar vc: ViewController? = ViewController()\nvc?.doSomething()\nvc = nil  // ViewController НЕ удалится! 💥 Утечка памяти"
+            },
+            {
+                "section": "8.6 Циклы сильных ссылок",
+                "subsection": "Диаграмма проблемы",
+                "anchor": "diagramma-problemy",
+                "text": "",
+                "code": "┌──────────────────────┐\n│   ViewController     │\n│                      │\n│   onComplete ────────┼──┐\n│                      │  │\n└───────────▲──────────┘  │\n            │             │\n            │  strong     │ strong\n            │             │\n            │  ┌──────────▼───────────┐\n            └──│    Closure           │\n               │  captures self       │\n               └──────────────────────┘"
+            },
+            {
+                "section": "8.7 Замыкания и захват значений",
+                "subsection": "[weak self]",
+                "anchor": "weak-self",
+                "text": "",
+                "code": "class ViewController {\n    var onComplete: (() -> Void)?\n\n    func doSomething() {\n        onComplete = { [weak self] in\n            // self теперь Optional\n            self?.updateUI()\n        }\n    }\n\n    func updateUI() {\n        print(\"UI обновлён\")\n    }\n\n    deinit {\n        print(\"ViewController удалён\")\n    }\n}\n\nvar vc: ViewController? = ViewController()\nvc?.doSomething()\nvc = nil\n// ViewController удалён ✅"
+            },
+            {
+                "section": "8.7 Замыкания и захват значений",
+                "subsection": "[weak self] с guard",
+                "anchor": "weak-self-s-guard",
+                "text": "",
+                "code": "class DataManager {\n    var data: [String] = []\n\n    func loadData() {\n        NetworkService.fetch { [weak self] result in\n            guard let self else { return }  // Swift 5.7+\n\n            // self теперь strong внутри этого блока\n            self.data = result\n            self.processData()\n            self.updateUI()\n        }\n    }\n}"
+            },
+            {
+                "section": "8.7 Замыкания и захват значений",
+                "subsection": "[unowned self]",
+                "anchor": "unowned-self",
+                "text": "",
+                "code": "class HTMLElement {\n    let name: String\n    let text: String?\n\n    // Замыкание гарантированно вызывается пока self жив\n    lazy var asHTML: () -> String = { [unowned self] in\n        if let text = self.text {\n            return \"<\\(self.name)>\\(text)</\\(self.name)>\"\n        } else {\n            return \"<\\(self.name) />\"\n        }\n    }\n\n    init(name: String, text: String? = nil) {\n        self.name = name\n        self.text = text\n    }\n\n    deinit {\n        print(\"\\(name) удалён\")\n    }\n}\n\nvar heading: HTMLElement? = HTMLElement(name: \"h1\", text: \"Привет\")\nprint(heading!.asHTML())  // <h1>Привет</h1>\nheading = nil             // h1 удалён"
+            },
+            {
+                "section": "8.8 Capture List",
+                "subsection": "",
+                "anchor": "8-8-capture-list",
+                "text": "Capture list позволяет контролировать, как замыкание захватывает значения:",
+                "code": "class Counter {\n    var count = 0\n\n    func incrementer() -> () -> Int {\n        // Захват по умолчанию — strong reference к self\n        return { [weak self] in\n            self?.count += 1\n            return self?.count ?? 0\n        }\n    }\n}\n\n// Захват значения (не ссылки)\nvar x = 10\nlet closure = { [x] in\n    print(x)  // Захвачено значение 10\n}\nx = 20\nclosure()  // Выведет 10, не 20\n\n// Захват и переименование\nlet closure2 = { [capturedX = x] in\n    print(capturedX)\n}"
+            },
+            {
+                "section": "8.9 Практические паттерны",
+                "subsection": "Паттерн 1: Delegate",
+                "anchor": "pattern-1-delegate",
+                "text": "",
+                "code": "protocol DataLoaderDelegate: AnyObject {\n    func didLoadData(_ data: [String])\n}\n\nclass DataLoader {\n    weak var delegate: DataLoaderDelegate?  // Всегда weak!\n\n    func load() {\n        // Загрузка...\n        delegate?.didLoadData([\"item1\", \"item2\"])\n    }\n}"
+            },
+            {
+                "section": "8.9 Практические паттерны",
+                "subsection": "Паттерн 2: Completion Handler",
+                "anchor": "pattern-2-completion-handler",
+                "text": "",
+                "code": "class APIService {\n    func fetchUser(completion: @escaping (User?) -> Void) {\n        DispatchQueue.global().async {\n            // Загрузка...\n            let user = User(name: \"John\")\n\n            DispatchQueue.main.async {\n                completion(user)\n            }\n        }\n    }\n}\n\nclass ViewController {\n    let api = APIService()\n\n    func loadUser() {\n        api.fetchUser { [weak self] user in\n            guard let self else { return }\n            self.displayUser(user)\n        }\n    }\n\n    func displayUser(_ user: User?) {\n        // ...\n    }\n}"
+            },
+            {
+                "section": "8.9 Практические паттерны",
+                "subsection": "Паттерн 3: Timer",
+                "anchor": "pattern-3-timer",
+                "text": "",
+                "code": "class TimerViewController {\n    var timer: Timer?\n\n    func startTimer() {\n        timer = Timer.scheduledTimer(\n            withTimeInterval: 1.0,\n            repeats: true\n        ) { [weak self] _ in\n            self?.tick()\n        }\n    }\n\n    func stopTimer() {\n        timer?.invalidate()\n        timer = nil\n    }\n\n    func tick() {\n        print(\"Tick\")\n    }\n\n    deinit {\n        stopTimer()\n        print(\"ViewController удалён\")\n    }\n}"
+            },
+            {
+                "section": "8.9 Практические паттерны",
+                "subsection": "Паттерн 4: NotificationCenter",
+                "anchor": "pattern-4-notificationcenter",
+                "text": "",
+                "code": "class ObserverViewController {\n    var observer: NSObjectProtocol?\n\n    func setupObserver() {\n        observer = NotificationCenter.default.addObserver(\n            forName: .someNotification,\n            object: nil,\n            queue: .main\n        ) { [weak self] notification in\n            self?.handleNotification(notification)\n        }\n    }\n\n    func handleNotification(_ notification: Notification) {\n        // ...\n    }\n\n    deinit {\n        if let observer = observer {\n            NotificationCenter.default.removeObserver(observer)\n        }\n        print(\"ViewController удалён\")\n    }\n}"
+            },
+            {
+                "section": "8.10 Отладка утечек памяти",
+                "subsection": "Xcode Instruments",
+                "anchor": "xcode-instruments",
+                "text": "Product → Profile (⌘I) Выберите \"Leaks\" Запустите приложение Instrument покажет утечки",
+                "code": ""
+            },
+            {
+                "section": "8.10 Отладка утечек памяти",
+                "subsection": "Debug Memory Graph",
+                "anchor": "debug-memory-graph",
+                "text": "Запустите приложение в Debug Нажмите кнопку \"Debug Memory Graph\" (⌥⌘M) Изучите граф объектов",
+                "code": ""
+            },
+            {
+                "section": "8.10 Отладка утечек памяти",
+                "subsection": "Проверка в коде",
+                "anchor": "proverka-v-kode",
+                "text": "",
+                "code": "class MyClass {\n    init() {\n        print(\"MyClass init\")\n    }\n\n    deinit {\n        print(\"MyClass deinit\")  // Если не вызывается — утечка!\n    }\n}"
+            },
+            {
+                "section": "8.11 Упражнения",
+                "subsection": "Упражнение 8.1: Найдите утечку",
+                "anchor": "uprazhnenie-8-1-naydite-utechku",
+                "text": "Показать решение",
+                "code": "class Parent {\n    var child: Child?\n}\n\nclass Child {\n    var parent: Parent?\n}\n\nvar parent: Parent? = Parent()\nvar child: Child? = Child()\n\nparent?.child = child\nchild?.parent = parent\n\nparent = nil\nchild = nil\n// Утечка? Как исправить?\nclass Parent {\n    var child: Child?\n\n    deinit { print(\"Parent deinit\") }\n}\n\nclass Child {\n    weak var parent: Parent?  // weak!\n\n    deinit { print(\"Child deinit\") }\n}\n\nvar parent: Parent? = Parent()\nvar child: Child? = Child()\n\nparent?.child = child\nchild?.parent = parent\n\nparent = nil  // Parent deinit\nchild = nil   // Child deinit"
+            },
+            {
+                "section": "8.11 Упражнения",
+                "subsection": "Упражнение 8.2: Исправьте замыкание",
+                "anchor": "uprazhnenie-8-2-ispravte-zamykanie",
+                "text": "Показать решение",
+                "code": "class DataLoader {\n    var onComplete: (() -> Void)?\n    var data: [String] = []\n\n    func load() {\n        DispatchQueue.global().async {\n            // Загрузка...\n            self.data = [\"loaded\"]\n\n            DispatchQueue.main.async {\n                self.onComplete?()\n            }\n        }\n    }\n}\nclass DataLoader {\n    var onComplete: (() -> Void)?\n    var data: [String] = []\n\n    func load() {\n        DispatchQueue.global().async { [weak self] in\n            guard let self else { return }\n\n            // Загрузка...\n            self.data = [\"loaded\"]\n\n            DispatchQueue.main.async { [weak self] in\n                self?.onComplete?()\n            }\n        }\n    }\n\n    deinit {\n        print(\"DataLoader deinit\")\n    }\n}"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Разницу между value types (stack) и reference types (heap) ✅ Как работает ARC — автоматический подсчёт ссылок ✅ Strong, weak и unowned ссылки ✅ Циклы сильных ссылок и как их избегать ✅ [weak self] и [unowned self] в замыканиях ✅ Практические паттерны (delegate, completion, timer) ✅ Отладка утечек памяти",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 9 мы изучим Generics — мощный инструмент для написания гибкого и переиспользуемого кода.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/09-generics.html",
+        "chapter": "Глава 9",
+        "title": "Generics и продвинутые типы",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Generics позволяют писать гибкий, переиспользуемый код, который работает с разными типами. Вместо того чтобы писать отдельные функции для Int, String, Double — пишем одну generic функцию.",
+                "code": ""
+            },
+            {
+                "section": "9.1 Зачем нужны Generics",
+                "subsection": "Проблема без Generics",
+                "anchor": "problema-bez-generics",
+                "text": "",
+                "code": "// Функция обмена для Int\nfunc swapInts(_ a: inout Int, _ b: inout Int) {\n    let temp = a\n    a = b\n    b = temp\n}\n\n// Функция обмена для String\nfunc swapStrings(_ a: inout String, _ b: inout String) {\n    let temp = a\n    a = b\n    b = temp\n}\n\n// Функция обмена для Double\nfunc swapDoubles(_ a: inout Double, _ b: inout Double) {\n    let temp = a\n    a = b\n    b = temp\n}\n\n// 😫 Дублирование кода!"
+            },
+            {
+                "section": "9.1 Зачем нужны Generics",
+                "subsection": "Решение с Generics",
+                "anchor": "reshenie-s-generics",
+                "text": "T — это type parameter (параметр типа). Компилятор подставит конкретный тип при вызове.",
+                "code": "func swap<T>(_ a: inout T, _ b: inout T) {\n    let temp = a\n    a = b\n    b = temp\n}\n\nvar x = 10, y = 20\nswap(&x, &y)\nprint(x, y)  // 20, 10\n\nvar s1 = \"Hello\", s2 = \"World\"\nswap(&s1, &s2)\nprint(s1, s2)  // World, Hello"
+            },
+            {
+                "section": "9.2 Generic функции",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis",
+                "text": "",
+                "code": "func printValue<T>(_ value: T) {\n    print(\"Значение: \\(value)\")\n}\n\nprintValue(42)        // Значение: 42\nprintValue(\"Hello\")   // Значение: Hello\nprintValue(3.14)      // Значение: 3.14"
+            },
+            {
+                "section": "9.2 Generic функции",
+                "subsection": "Несколько type parameters",
+                "anchor": "neskolko-type-parameters",
+                "text": "",
+                "code": "func makePair<T, U>(_ first: T, _ second: U) -> (T, U) {\n    return (first, second)\n}\n\nlet pair1 = makePair(1, \"one\")           // (Int, String)\nlet pair2 = makePair(\"name\", true)       // (String, Bool)\nlet pair3 = makePair([1,2], [\"a\",\"b\"])   // ([Int], [String])"
+            },
+            {
+                "section": "9.2 Generic функции",
+                "subsection": "Generic с возвращаемым значением",
+                "anchor": "generic-s-vozvraschaemym-znacheniem",
+                "text": "",
+                "code": "func firstElement<T>(of array: [T]) -> T? {\n    array.first\n}\n\nlet numbers = [1, 2, 3]\nlet first = firstElement(of: numbers)  // Optional(1)\n\nlet strings = [\"a\", \"b\", \"c\"]\nlet firstStr = firstElement(of: strings)  // Optional(\"a\")"
+            },
+            {
+                "section": "9.3 Generic типы",
+                "subsection": "Generic struct",
+                "anchor": "generic-struct",
+                "text": "",
+                "code": "struct Stack<Element> {\n    private var items: [Element] = []\n\n    var isEmpty: Bool {\n        items.isEmpty\n    }\n\n    var count: Int {\n        items.count\n    }\n\n    mutating func push(_ item: Element) {\n        items.append(item)\n    }\n\n    mutating func pop() -> Element? {\n        items.popLast()\n    }\n\n    func peek() -> Element? {\n        items.last\n    }\n}\n\nvar intStack = Stack<Int>()\nintStack.push(1)\nintStack.push(2)\nintStack.push(3)\nprint(intStack.pop())  // Optional(3)\n\nvar stringStack = Stack<String>()\nstringStack.push(\"Hello\")\nstringStack.push(\"World\")\nprint(stringStack.peek())  // Optional(\"World\")"
+            },
+            {
+                "section": "9.3 Generic типы",
+                "subsection": "Generic class",
+                "anchor": "generic-class",
+                "text": "",
+                "code": "class Box<T> {\n    var value: T\n\n    init(_ value: T) {\n        self.value = value\n    }\n}\n\nlet intBox = Box(42)\nlet stringBox = Box(\"Hello\")\n\nprint(intBox.value)     // 42\nprint(stringBox.value)  // Hello"
+            },
+            {
+                "section": "9.3 Generic типы",
+                "subsection": "Generic enum",
+                "anchor": "generic-enum",
+                "text": "",
+                "code": "enum Result<Success, Failure: Error> {\n    case success(Success)\n    case failure(Failure)\n}\n\nenum NetworkError: Error {\n    case notFound\n    case serverError\n}\n\nlet successResult: Result<String, NetworkError> = .success(\"Data loaded\")\nlet failureResult: Result<String, NetworkError> = .failure(.notFound)"
+            },
+            {
+                "section": "9.4 Ограничения типов (Type Constraints)",
+                "subsection": "Ограничение протоколом",
+                "anchor": "ogranichenie-protokolom",
+                "text": "",
+                "code": "// T должен соответствовать Comparable\nfunc findMax<T: Comparable>(_ a: T, _ b: T) -> T {\n    a > b ? a : b\n}\n\nprint(findMax(10, 20))        // 20\nprint(findMax(\"abc\", \"xyz\"))  // xyz\n\n// ❌ Ошибка: тип должен быть Comparable\n// findMax([1,2], [3,4])"
+            },
+            {
+                "section": "9.4 Ограничения типов (Type Constraints)",
+                "subsection": "Ограничение классом",
+                "anchor": "ogranichenie-klassom",
+                "text": "",
+                "code": "class Animal { }\nclass Dog: Animal { }\nclass Cat: Animal { }\n\nfunc printAnimal<T: Animal>(_ animal: T) {\n    print(\"Это животное типа \\(type(of: animal))\")\n}\n\nprintAnimal(Dog())  // Это животное типа Dog\nprintAnimal(Cat())  // Это животное типа Cat"
+            },
+            {
+                "section": "9.4 Ограничения типов (Type Constraints)",
+                "subsection": "Множественные ограничения",
+                "anchor": "mnozhestvennye-ogranicheniya",
+                "text": "",
+                "code": "func process<T: Comparable & Hashable>(_ value: T) {\n    print(\"Значение \\(value) можно сравнивать и хэшировать\")\n}\n\n// Или с where\nfunc processItems<T, U>(item1: T, item2: U)\n    where T: Comparable, U: Collection, U.Element == T {\n    // ...\n}"
+            },
+            {
+                "section": "9.4 Ограничения типов (Type Constraints)",
+                "subsection": "where clause",
+                "anchor": "where-clause",
+                "text": "",
+                "code": "func allItemsMatch<C1: Collection, C2: Collection>(\n    _ collection1: C1,\n    _ collection2: C2\n) -> Bool where C1.Element == C2.Element, C1.Element: Equatable {\n    guard collection1.count == collection2.count else {\n        return false\n    }\n\n    for (item1, item2) in zip(collection1, collection2) {\n        if item1 != item2 {\n            return false\n        }\n    }\n\n    return true\n}\n\nlet array = [1, 2, 3]\nlet set: Set = [1, 2, 3]\nprint(allItemsMatch(array, Array(set)))  // зависит от порядка Set"
+            },
+            {
+                "section": "9.5 Associated Types",
+                "subsection": "",
+                "anchor": "9-5-associated-types",
+                "text": "Протокол может определить placeholder тип:",
+                "code": "protocol Container {\n    associatedtype Item\n\n    var count: Int { get }\n    mutating func append(_ item: Item)\n    subscript(index: Int) -> Item { get }\n}\n\nstruct IntStack: Container {\n    typealias Item = Int  // Указываем конкретный тип\n\n    private var items: [Int] = []\n\n    var count: Int { items.count }\n\n    mutating func append(_ item: Int) {\n        items.append(item)\n    }\n\n    subscript(index: Int) -> Int {\n        items[index]\n    }\n}\n\n// Swift может вывести Item автоматически\nstruct GenericStack<Element>: Container {\n    private var items: [Element] = []\n\n    var count: Int { items.count }\n\n    mutating func append(_ item: Element) {\n        items.append(item)\n    }\n\n    subscript(index: Int) -> Element {\n        items[index]\n    }\n}"
+            },
+            {
+                "section": "9.5 Associated Types",
+                "subsection": "Ограничения для associated types",
+                "anchor": "ogranicheniya-dlya-associated-types",
+                "text": "",
+                "code": "protocol SortableContainer {\n    associatedtype Item: Comparable\n\n    var items: [Item] { get set }\n    func sorted() -> [Item]\n}\n\nextension SortableContainer {\n    func sorted() -> [Item] {\n        items.sorted()\n    }\n}"
+            },
+            {
+                "section": "9.6 Typealias",
+                "subsection": "Простой alias",
+                "anchor": "prostoy-alias",
+                "text": "",
+                "code": "typealias Coordinates = (x: Double, y: Double)\n\nfunc distance(from point1: Coordinates, to point2: Coordinates) -> Double {\n    let dx = point2.x - point1.x\n    let dy = point2.y - point1.y\n    return sqrt(dx*dx + dy*dy)\n}\n\nlet p1: Coordinates = (0, 0)\nlet p2: Coordinates = (3, 4)\nprint(distance(from: p1, to: p2))  // 5.0"
+            },
+            {
+                "section": "9.6 Typealias",
+                "subsection": "Alias для closure",
+                "anchor": "alias-dlya-closure",
+                "text": "",
+                "code": "typealias CompletionHandler = (Result<Data, Error>) -> Void\ntypealias DataCallback = ([String]) -> Void\n\nfunc fetchData(completion: CompletionHandler) {\n    // ...\n}"
+            },
+            {
+                "section": "9.6 Typealias",
+                "subsection": "Generic typealias",
+                "anchor": "generic-typealias",
+                "text": "",
+                "code": "typealias StringDictionary<T> = Dictionary<String, T>\n\nvar scores: StringDictionary<Int> = [:]\nscores[\"Alice\"] = 100\nscores[\"Bob\"] = 95"
+            },
+            {
+                "section": "9.7 Opaque Types (some)",
+                "subsection": "",
+                "anchor": "9-7-opaque-types-some",
+                "text": "some скрывает конкретный тип, но гарантирует, что это всегда один и тот же тип.",
+                "code": "protocol Shape {\n    func draw() -> String\n}\n\nstruct Circle: Shape {\n    func draw() -> String { \"○\" }\n}\n\nstruct Square: Shape {\n    func draw() -> String { \"□\" }\n}\n\n// Возвращает КАКОЙ-ТО Shape (всегда один и тот же тип)\nfunc makeShape() -> some Shape {\n    Circle()  // Всегда Circle\n}\n\nlet shape = makeShape()\nprint(shape.draw())  // ○"
+            },
+            {
+                "section": "9.7 Opaque Types (some)",
+                "subsection": "some vs any",
+                "anchor": "some-vs-any",
+                "text": "",
+                "code": "// some — compile-time, один конкретный тип\nfunc getShape() -> some Shape {\n    Circle()  // Всегда возвращает Circle\n}\n\n// any — runtime, может быть любой тип\nfunc getAnyShape(useCircle: Bool) -> any Shape {\n    if useCircle {\n        return Circle()\n    } else {\n        return Square()\n    }\n}"
+            },
+            {
+                "section": "9.8 Result тип подробнее",
+                "subsection": "",
+                "anchor": "9-8-result-tip-podrobnee",
+                "text": "",
+                "code": "enum NetworkError: Error {\n    case invalidURL\n    case noData\n    case decodingError(String)\n}\n\nfunc fetchUser(id: Int) -> Result<User, NetworkError> {\n    guard id > 0 else {\n        return .failure(.invalidURL)\n    }\n\n    // Имитация успеха\n    return .success(User(id: id, name: \"User \\(id)\"))\n}\n\n// Обработка\nlet result = fetchUser(id: 1)\n\nswitch result {\ncase .success(let user):\n    print(\"Получен: \\(user.name)\")\ncase .failure(let error):\n    print(\"Ошибка: \\(error)\")\n}\n\n// Методы Result\nlet user = try? result.get()  // User?\nlet mapped = result.map { $0.name }  // Result<String, NetworkError>"
+            },
+            {
+                "section": "9.9 Практические примеры",
+                "subsection": "Пример 1: Generic Network Layer",
+                "anchor": "primer-1-generic-network-layer",
+                "text": "",
+                "code": "protocol APIEndpoint {\n    associatedtype Response: Decodable\n    var path: String { get }\n}\n\nstruct UsersEndpoint: APIEndpoint {\n    typealias Response = [User]\n    let path = \"/users\"\n}\n\nstruct ProductsEndpoint: APIEndpoint {\n    typealias Response = [Product]\n    let path = \"/products\"\n}\n\nclass APIClient {\n    func fetch<E: APIEndpoint>(_ endpoint: E) async throws -> E.Response {\n        let url = URL(string: \"https://api.example.com\\(endpoint.path)\")!\n        let (data, _) = try await URLSession.shared.data(from: url)\n        return try JSONDecoder().decode(E.Response.self, from: data)\n    }\n}\n\n// Использование\nlet client = APIClient()\n// let users = try await client.fetch(UsersEndpoint())\n// let products = try await client.fetch(ProductsEndpoint())"
+            },
+            {
+                "section": "9.9 Практические примеры",
+                "subsection": "Пример 2: Generic Repository",
+                "anchor": "primer-2-generic-repository",
+                "text": "",
+                "code": "protocol Identifiable {\n    var id: Int { get }\n}\n\nprotocol Repository {\n    associatedtype Entity: Identifiable\n\n    func getAll() -> [Entity]\n    func get(by id: Int) -> Entity?\n    func save(_ entity: Entity)\n    func delete(by id: Int)\n}\n\nclass InMemoryRepository<T: Identifiable>: Repository {\n    typealias Entity = T\n\n    private var storage: [Int: T] = [:]\n\n    func getAll() -> [T] {\n        Array(storage.values)\n    }\n\n    func get(by id: Int) -> T? {\n        storage[id]\n    }\n\n    func save(_ entity: T) {\n        storage[entity.id] = entity\n    }\n\n    func delete(by id: Int) {\n        storage.removeValue(forKey: id)\n    }\n}\n\n// Использование\nstruct Product: Identifiable {\n    let id: Int\n    var name: String\n}\n\nlet productRepo = InMemoryRepository<Product>()\nproductRepo.save(Product(id: 1, name: \"iPhone\"))\nproductRepo.save(Product(id: 2, name: \"MacBook\"))\nprint(productRepo.getAll())"
+            },
+            {
+                "section": "9.10 Упражнения",
+                "subsection": "Упражнение 9.1: Generic Queue",
+                "anchor": "uprazhnenie-9-1-generic-queue",
+                "text": "Реализуйте generic структуру Queue (очередь) с методами enqueue, dequeue, peek. Показать решение",
+                "code": "struct Queue<Element> {\n    private var elements: [Element] = []\n\n    var isEmpty: Bool { elements.isEmpty }\n    var count: Int { elements.count }\n\n    mutating func enqueue(_ element: Element) {\n        elements.append(element)\n    }\n\n    mutating func dequeue() -> Element? {\n        isEmpty ? nil : elements.removeFirst()\n    }\n\n    func peek() -> Element? {\n        elements.first\n    }\n}\n\nvar queue = Queue<Int>()\nqueue.enqueue(1)\nqueue.enqueue(2)\nqueue.enqueue(3)\n\nprint(queue.dequeue())  // Optional(1)\nprint(queue.peek())     // Optional(2)"
+            },
+            {
+                "section": "9.10 Упражнения",
+                "subsection": "Упражнение 9.2: Generic функция фильтрации",
+                "anchor": "uprazhnenie-9-2-generic-funktsiya-filtratsii",
+                "text": "Напишите generic функцию filterItems, которая фильтрует массив по условию. Показать решение",
+                "code": "func filterItems<T>(_ items: [T], where predicate: (T) -> Bool) -> [T] {\n    var result: [T] = []\n    for item in items {\n        if predicate(item) {\n            result.append(item)\n        }\n    }\n    return result\n}\n\nlet numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]\nlet evens = filterItems(numbers) { $0 % 2 == 0 }\nprint(evens)  // [2, 4, 6, 8, 10]\n\nlet names = [\"Alice\", \"Bob\", \"Anna\", \"Alex\"]\nlet aNames = filterItems(names) { $0.hasPrefix(\"A\") }\nprint(aNames)  // [\"Alice\", \"Anna\", \"Alex\"]"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Зачем нужны Generics и как они решают проблему дублирования ✅ Generic функции и типы (struct, class, enum) ✅ Ограничения типов (type constraints) с протоколами и классами ✅ Associated types в протоколах ✅ Typealias для создания псевдонимов типов ✅ Opaque types (some) vs existential types (any) ✅ Практические паттерны: generic repository, network layer",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 10 мы изучим многопоточность — GCD и async/await.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/10-concurrency.html",
+        "chapter": "Глава 10",
+        "title": "Многопоточность",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Многопоточность позволяет выполнять несколько задач параллельно. В iOS это критически важно: тяжёлые операции (сеть, файлы, вычисления) должны выполняться в фоне, чтобы UI оставался отзывчивым.",
+                "code": ""
+            },
+            {
+                "section": "10.1 Что такое многопоточность",
+                "subsection": "Main Thread (UI Thread)",
+                "anchor": "main-thread-ui-thread",
+                "text": "Главный поток — для работы с UI Никогда не блокируйте его тяжёлыми операциями Все обновления UI должны происходить на main thread",
+                "code": "// ❌ ПЛОХО — блокируем UI\nfunc loadData() {\n    let data = heavyOperation()  // UI замрёт!\n    updateUI(with: data)\n}\n\n// ✅ ХОРОШО — тяжёлая работа в фоне\nfunc loadDataAsync() {\n    DispatchQueue.global().async {\n        let data = heavyOperation()  // В фоновом потоке\n\n        DispatchQueue.main.async {\n            updateUI(with: data)  // Обратно на main для UI\n        }\n    }\n}"
+            },
+            {
+                "section": "10.2 Grand Central Dispatch (GCD)",
+                "subsection": "",
+                "anchor": "10-2-grand-central-dispatch-gcd",
+                "text": "GCD — низкоуровневый API Apple для управления потоками.",
+                "code": ""
+            },
+            {
+                "section": "10.2 Grand Central Dispatch (GCD)",
+                "subsection": "DispatchQueue",
+                "anchor": "dispatchqueue",
+                "text": "",
+                "code": "// Main queue — для UI\nDispatchQueue.main.async {\n    // Обновление UI\n}\n\n// Global queue — для фоновых задач\nDispatchQueue.global().async {\n    // Тяжёлая работа\n}\n\n// Собственная очередь\nlet customQueue = DispatchQueue(label: \"com.myapp.queue\")\ncustomQueue.async {\n    // Задача\n}"
+            },
+            {
+                "section": "10.2 Grand Central Dispatch (GCD)",
+                "subsection": "Quality of Service (QoS)",
+                "anchor": "quality-of-service-qos",
+                "text": "",
+                "code": "// Приоритеты (от высшего к низшему)\nDispatchQueue.global(qos: .userInteractive).async {\n    // Мгновенный отклик (анимации)\n}\n\nDispatchQueue.global(qos: .userInitiated).async {\n    // Инициировано пользователем (загрузка при нажатии)\n}\n\nDispatchQueue.global(qos: .default).async {\n    // По умолчанию\n}\n\nDispatchQueue.global(qos: .utility).async {\n    // Длительные задачи (загрузка больших файлов)\n}\n\nDispatchQueue.global(qos: .background).async {\n    // Фоновые задачи (синхронизация, бэкап)\n}"
+            },
+            {
+                "section": "10.2 Grand Central Dispatch (GCD)",
+                "subsection": "Sync vs Async",
+                "anchor": "sync-vs-async",
+                "text": "Внимание: Никогда не вызывайте sync на main queue из main queue — это вызовет deadlock!",
+                "code": "let queue = DispatchQueue(label: \"com.myapp.queue\")\n\n// async — не ждёт завершения\nqueue.async {\n    print(\"Async задача\")\n}\nprint(\"После async\")  // Выполнится сразу\n\n// sync — ждёт завершения\nqueue.sync {\n    print(\"Sync задача\")\n}\nprint(\"После sync\")  // Выполнится после задачи"
+            },
+            {
+                "section": "10.2 Grand Central Dispatch (GCD)",
+                "subsection": "asyncAfter — отложенное выполнение",
+                "anchor": "asyncafter-otlozhennoe-vypolnenie",
+                "text": "",
+                "code": "// Выполнить через 2 секунды\nDispatchQueue.main.asyncAfter(deadline: .now() + 2.0) {\n    print(\"Прошло 2 секунды\")\n}\n\n// С дробными секундами\nDispatchQueue.main.asyncAfter(deadline: .now() + 0.5) {\n    print(\"Прошло 0.5 секунды\")\n}"
+            },
+            {
+                "section": "10.3 Serial vs Concurrent Queues",
+                "subsection": "Serial Queue (последовательная)",
+                "anchor": "serial-queue-posledovatelnaya",
+                "text": "Задачи выполняются одна за другой:",
+                "code": "let serialQueue = DispatchQueue(label: \"com.myapp.serial\")\n\nserialQueue.async { print(\"1\") }\nserialQueue.async { print(\"2\") }\nserialQueue.async { print(\"3\") }\n// Вывод всегда: 1, 2, 3"
+            },
+            {
+                "section": "10.3 Serial vs Concurrent Queues",
+                "subsection": "Concurrent Queue (параллельная)",
+                "anchor": "concurrent-queue-parallelnaya",
+                "text": "Задачи могут выполняться одновременно:",
+                "code": "let concurrentQueue = DispatchQueue(\n    label: \"com.myapp.concurrent\",\n    attributes: .concurrent\n)\n\nconcurrentQueue.async { print(\"1\") }\nconcurrentQueue.async { print(\"2\") }\nconcurrentQueue.async { print(\"3\") }\n// Вывод может быть: 2, 1, 3 или 1, 3, 2 и т.д."
+            },
+            {
+                "section": "10.4 DispatchGroup",
+                "subsection": "",
+                "anchor": "10-4-dispatchgroup",
+                "text": "Для ожидания завершения нескольких задач:",
+                "code": "let group = DispatchGroup()\n\ngroup.enter()\nfetchUsers { users in\n    print(\"Пользователи загружены\")\n    group.leave()\n}\n\ngroup.enter()\nfetchProducts { products in\n    print(\"Товары загружены\")\n    group.leave()\n}\n\n// Когда все задачи завершены\ngroup.notify(queue: .main) {\n    print(\"Всё загружено!\")\n    updateUI()\n}"
+            },
+            {
+                "section": "10.4 DispatchGroup",
+                "subsection": "С async методами",
+                "anchor": "s-async-metodami",
+                "text": "",
+                "code": "let group = DispatchGroup()\nlet queue = DispatchQueue.global()\n\ngroup.enter()\nqueue.async {\n    sleep(1)\n    print(\"Задача 1 завершена\")\n    group.leave()\n}\n\ngroup.enter()\nqueue.async {\n    sleep(2)\n    print(\"Задача 2 завершена\")\n    group.leave()\n}\n\ngroup.wait()  // Блокирует до завершения всех\nprint(\"Все задачи завершены\")"
+            },
+            {
+                "section": "10.5 DispatchSemaphore",
+                "subsection": "",
+                "anchor": "10-5-dispatchsemaphore",
+                "text": "Контролирует количество одновременных задач:",
+                "code": "let semaphore = DispatchSemaphore(value: 3)  // Максимум 3 одновременно\nlet queue = DispatchQueue.global()\n\nfor i in 1...10 {\n    queue.async {\n        semaphore.wait()  // Ждём разрешения\n        print(\"Начало задачи \\(i)\")\n        sleep(2)  // Работа\n        print(\"Конец задачи \\(i)\")\n        semaphore.signal()  // Освобождаем слот\n    }\n}"
+            },
+            {
+                "section": "10.6 Async/Await (Swift Concurrency)",
+                "subsection": "",
+                "anchor": "10-6-async-await-swift-concurrency",
+                "text": "Современный способ работы с асинхронным кодом (Swift 5.5+).",
+                "code": ""
+            },
+            {
+                "section": "10.6 Async/Await (Swift Concurrency)",
+                "subsection": "Базовый синтаксис",
+                "anchor": "bazovyy-sintaksis",
+                "text": "",
+                "code": "// Асинхронная функция\nfunc fetchUser() async -> User {\n    // Имитация сетевого запроса\n    try? await Task.sleep(nanoseconds: 1_000_000_000)\n    return User(name: \"John\")\n}\n\n// Вызов\nfunc loadData() async {\n    let user = await fetchUser()\n    print(user.name)\n}\n\n// Запуск из синхронного кода\nTask {\n    await loadData()\n}"
+            },
+            {
+                "section": "10.6 Async/Await (Swift Concurrency)",
+                "subsection": "Throws + Async",
+                "anchor": "throws-async",
+                "text": "",
+                "code": "func fetchData() async throws -> Data {\n    let url = URL(string: \"https://api.example.com/data\")!\n    let (data, _) = try await URLSession.shared.data(from: url)\n    return data\n}\n\n// Вызов\nTask {\n    do {\n        let data = try await fetchData()\n        print(\"Получено \\(data.count) байт\")\n    } catch {\n        print(\"Ошибка: \\(error)\")\n    }\n}"
+            },
+            {
+                "section": "10.6 Async/Await (Swift Concurrency)",
+                "subsection": "Последовательное выполнение",
+                "anchor": "posledovatelnoe-vypolnenie",
+                "text": "",
+                "code": "func loadAllData() async throws {\n    let user = try await fetchUser()      // Ждём\n    let products = try await fetchProducts()  // Потом это\n    let orders = try await fetchOrders()      // Потом это\n\n    updateUI(user: user, products: products, orders: orders)\n}"
+            },
+            {
+                "section": "10.6 Async/Await (Swift Concurrency)",
+                "subsection": "Параллельное выполнение (async let)",
+                "anchor": "parallelnoe-vypolnenie-async-let",
+                "text": "",
+                "code": "func loadAllDataParallel() async throws {\n    // Запускаем параллельно\n    async let user = fetchUser()\n    async let products = fetchProducts()\n    async let orders = fetchOrders()\n\n    // Ждём все результаты\n    let (u, p, o) = try await (user, products, orders)\n    updateUI(user: u, products: p, orders: o)\n}"
+            },
+            {
+                "section": "10.7 Task и TaskGroup",
+                "subsection": "Task",
+                "anchor": "task",
+                "text": "",
+                "code": "// Создание задачи\nlet task = Task {\n    let result = await fetchData()\n    return result\n}\n\n// Получение результата\nlet data = await task.value\n\n// Отмена задачи\ntask.cancel()\n\n// Проверка отмены\nTask {\n    for i in 1...100 {\n        guard !Task.isCancelled else {\n            print(\"Задача отменена\")\n            return\n        }\n        print(\"Итерация \\(i)\")\n    }\n}"
+            },
+            {
+                "section": "10.7 Task и TaskGroup",
+                "subsection": "TaskGroup",
+                "anchor": "taskgroup",
+                "text": "",
+                "code": "func fetchAllUsers(ids: [Int]) async -> [User] {\n    await withTaskGroup(of: User?.self) { group in\n        for id in ids {\n            group.addTask {\n                try? await fetchUser(id: id)\n            }\n        }\n\n        var users: [User] = []\n        for await user in group {\n            if let user = user {\n                users.append(user)\n            }\n        }\n        return users\n    }\n}"
+            },
+            {
+                "section": "10.7 Task и TaskGroup",
+                "subsection": "ThrowingTaskGroup",
+                "anchor": "throwingtaskgroup",
+                "text": "",
+                "code": "func fetchAllUsersOrFail(ids: [Int]) async throws -> [User] {\n    try await withThrowingTaskGroup(of: User.self) { group in\n        for id in ids {\n            group.addTask {\n                try await fetchUser(id: id)\n            }\n        }\n\n        var users: [User] = []\n        for try await user in group {\n            users.append(user)\n        }\n        return users\n    }\n}"
+            },
+            {
+                "section": "10.8 Actor",
+                "subsection": "",
+                "anchor": "10-8-actor",
+                "text": "Actor — изолированный тип для безопасной работы с данными из нескольких потоков.",
+                "code": "actor BankAccount {\n    private var balance: Double = 0\n\n    func deposit(_ amount: Double) {\n        balance += amount\n    }\n\n    func withdraw(_ amount: Double) -> Bool {\n        guard balance >= amount else { return false }\n        balance -= amount\n        return true\n    }\n\n    func getBalance() -> Double {\n        balance\n    }\n}\n\n// Использование\nlet account = BankAccount()\n\nTask {\n    await account.deposit(100)\n    let success = await account.withdraw(30)\n    let balance = await account.getBalance()\n    print(\"Баланс: \\(balance)\")  // 70\n}"
+            },
+            {
+                "section": "10.8 Actor",
+                "subsection": "@MainActor",
+                "anchor": "mainactor",
+                "text": "Гарантирует выполнение на main thread:",
+                "code": "@MainActor\nclass ViewModel {\n    var items: [String] = []\n\n    func loadItems() async {\n        let data = await fetchData()\n        items = data  // Безопасно — мы на main thread\n    }\n}\n\n// Или для отдельного метода\nclass DataManager {\n    @MainActor\n    func updateUI() {\n        // Гарантированно на main thread\n    }\n}"
+            },
+            {
+                "section": "10.9 Практические примеры",
+                "subsection": "Пример 1: Загрузка изображения",
+                "anchor": "primer-1-zagruzka-izobrazheniya",
+                "text": "",
+                "code": "class ImageLoader {\n    func loadImage(from urlString: String) async throws -> UIImage {\n        guard let url = URL(string: urlString) else {\n            throw URLError(.badURL)\n        }\n\n        let (data, response) = try await URLSession.shared.data(from: url)\n\n        guard let httpResponse = response as? HTTPURLResponse,\n              httpResponse.statusCode == 200 else {\n            throw URLError(.badServerResponse)\n        }\n\n        guard let image = UIImage(data: data) else {\n            throw URLError(.cannotDecodeContentData)\n        }\n\n        return image\n    }\n}\n\n// Использование в ViewController\nclass ImageViewController: UIViewController {\n    let imageLoader = ImageLoader()\n    let imageView = UIImageView()\n\n    func loadImage() {\n        Task {\n            do {\n                let image = try await imageLoader.loadImage(\n                    from: \"https://example.com/image.jpg\"\n                )\n                imageView.image = image\n            } catch {\n                print(\"Ошибка: \\(error)\")\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "10.9 Практические примеры",
+                "subsection": "Пример 2: Параллельная загрузка",
+                "anchor": "primer-2-parallelnaya-zagruzka",
+                "text": "",
+                "code": "class ProductService {\n    func loadProductDetails(id: Int) async throws -> ProductDetails {\n        async let product = fetchProduct(id: id)\n        async let reviews = fetchReviews(productId: id)\n        async let recommendations = fetchRecommendations(productId: id)\n\n        return try await ProductDetails(\n            product: product,\n            reviews: reviews,\n            recommendations: recommendations\n        )\n    }\n\n    private func fetchProduct(id: Int) async throws -> Product { ... }\n    private func fetchReviews(productId: Int) async throws -> [Review] { ... }\n    private func fetchRecommendations(productId: Int) async throws -> [Product] { ... }\n}"
+            },
+            {
+                "section": "10.9 Практические примеры",
+                "subsection": "Пример 3: Кэширование с Actor",
+                "anchor": "primer-3-keshirovanie-s-actor",
+                "text": "",
+                "code": "actor ImageCache {\n    private var cache: [URL: UIImage] = [:]\n\n    func image(for url: URL) -> UIImage? {\n        cache[url]\n    }\n\n    func setImage(_ image: UIImage, for url: URL) {\n        cache[url] = image\n    }\n\n    func clear() {\n        cache.removeAll()\n    }\n}\n\nclass CachedImageLoader {\n    private let cache = ImageCache()\n\n    func loadImage(from url: URL) async throws -> UIImage {\n        // Проверяем кэш\n        if let cached = await cache.image(for: url) {\n            return cached\n        }\n\n        // Загружаем\n        let (data, _) = try await URLSession.shared.data(from: url)\n        guard let image = UIImage(data: data) else {\n            throw URLError(.cannotDecodeContentData)\n        }\n\n        // Сохраняем в кэш\n        await cache.setImage(image, for: url)\n\n        return image\n    }\n}"
+            },
+            {
+                "section": "10.10 Упражнения",
+                "subsection": "Упражнение 10.1: GCD",
+                "anchor": "uprazhnenie-10-1-gcd",
+                "text": "Напишите функцию, которая загружает данные в фоне и обновляет UI на main thread. Показать решение",
+                "code": "func fetchAndDisplay() {\n    DispatchQueue.global(qos: .userInitiated).async {\n        // Имитация загрузки\n        let data = [\"Item 1\", \"Item 2\", \"Item 3\"]\n        sleep(2)\n\n        DispatchQueue.main.async {\n            // Обновление UI\n            print(\"Загружено: \\(data)\")\n            // tableView.reloadData()\n        }\n    }\n}"
+            },
+            {
+                "section": "10.10 Упражнения",
+                "subsection": "Упражнение 10.2: Async/Await",
+                "anchor": "uprazhnenie-10-2-async-await",
+                "text": "Перепишите с использованием async/await: Показать решение",
+                "code": "func loadData(completion: @escaping ([String]) -> Void) {\n    DispatchQueue.global().async {\n        sleep(1)\n        let data = [\"a\", \"b\", \"c\"]\n        DispatchQueue.main.async {\n            completion(data)\n        }\n    }\n}\nfunc loadData() async -> [String] {\n    try? await Task.sleep(nanoseconds: 1_000_000_000)\n    return [\"a\", \"b\", \"c\"]\n}\n\n// Использование\nTask { @MainActor in\n    let data = await loadData()\n    print(\"Загружено: \\(data)\")\n}"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Почему важна многопоточность и что такое main thread ✅ GCD: DispatchQueue, QoS, sync/async ✅ DispatchGroup для ожидания нескольких задач ✅ Async/await — современный подход к асинхронности ✅ Task и TaskGroup для управления задачами ✅ Actor для безопасной работы с данными ✅ @MainActor для гарантии выполнения на UI потоке",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 11 мы начнём изучать UIKit — фреймворк для создания пользовательских интерфейсов.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/11-uikit-basics.html",
+        "chapter": "Глава 11",
+        "title": "UIKit — Полное руководство по интерфейсам iOS",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "UIKit — это основной фреймворк Apple для создания пользовательских интерфейсов iOS приложений. Если вы знакомы с HTML/CSS, UIKit можно сравнить с DOM, CSS и JavaScript вместе взятыми — он отвечает за структуру, стилизацию и поведение интерфейса. В этой главе мы глубоко изучим: Полную иерархию классов UIKit Когда и какой класс использовать Почему мы наследуемся от определённых классов Все основные UI компоненты Auto Layout и программную вёрстку SnapKit для удобной работы",
+                "code": ""
+            },
+            {
+                "section": "11.1 Что такое UIKit",
+                "subsection": "",
+                "anchor": "11-1-chto-takoe-uikit",
+                "text": "UIKit предоставляет всё необходимое для создания iOS приложений: UI компоненты — кнопки, текст, изображения, списки Систему layout — Auto Layout для адаптивной вёрстки Обработку событий — касания, жесты, клавиатура Анимации — встроенные и кастомные Навигацию — переходы между экранами Жизненный цикл — управление состоянием экранов",
+                "code": ""
+            },
+            {
+                "section": "11.1 Что такое UIKit",
+                "subsection": "Сравнение с Web технологиями",
+                "anchor": "sravnenie-s-web-tehnologiyami",
+                "text": "Web UIKit Описание <div>UIViewБазовый контейнер <button>UIButtonКнопка <input type=\"text\">UITextFieldОднострочное поле ввода <textarea>UITextViewМногострочное поле ввода <p>, <span>, <h1>UILabelТекст <img>UIImageViewИзображение <ul>, <table>UITableViewВертикальный список display: gridUICollectionViewСетка элементов display: flexUIStackViewСтек элементов <select>UIPickerViewВыбор из списка <input type=\"checkbox\">UISwitchПереключатель window.alert()UIAlertControllerДиалоговое окно documentUIWindowОкно приложения CSS stylesСвойства UIViewСтилизация элементов window.locationUINavigationControllerНавигация fetch() / XMLHttpRequestURLSessionСетевые запросы localStorageUserDefaults / RealmЛокальное хранилище",
+                "code": ""
+            },
+            {
+                "section": "11.2 Полная иерархия классов UIKit",
+                "subsection": "Основная иерархия",
+                "anchor": "osnovnaya-ierarhiya",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────────┐\n│                           NSObject                                           │\n│              (Базовый класс всех Objective-C объектов)                       │\n└────────────────────────────────┬────────────────────────────────────────────┘\n                                 │\n                                 ▼\n┌─────────────────────────────────────────────────────────────────────────────┐\n│                          UIResponder                                         │\n│    (Обработка событий: касания, жесты, клавиатура, motion events)           │\n└────────────────────────────────┬────────────────────────────────────────────┘\n                                 │\n           ┌─────────────────────┼─────────────────────┐\n           │                     │                     │\n           ▼                     ▼                     ▼\n    ┌─────────────┐      ┌─────────────┐       ┌──────────────────┐\n    │ UIApplication│      │   UIView    │       │ UIViewController │\n    │ (Singleton)  │      │(UI элемент) │       │   (Экран)        │\n    └─────────────┘      └──────┬──────┘       └────────┬─────────┘\n                                │                       │\n            ┌───────────────────┼───────────────────┐   │\n            │       │       │       │       │       │   │\n            ▼       ▼       ▼       ▼       ▼       ▼   │\n         UILabel UIButton UIImage UIText UIScroll UIStack\n                          View  Field   View   View    │\n                                         │             │\n                                    ┌────┴────┐        │\n                                    │         │        │\n                              UITableView UICollection │\n                                          View         │\n                                                       │\n                    ┌──────────────────────────────────┤\n                    │              │                   │\n                    ▼              ▼                   ▼\n           UINavigation    UITabBar          UIAlert\n           Controller      Controller        Controller"
+            },
+            {
+                "section": "11.2 Полная иерархия классов UIKit",
+                "subsection": "Детальная иерархия UIView",
+                "anchor": "detalnaya-ierarhiya-uiview",
+                "text": "",
+                "code": "UIView (Базовый элемент интерфейса)\n│\n├── UILabel                    ← Отображение текста\n│\n├── UIControl                  ← Базовый класс для интерактивных элементов\n│   ├── UIButton               ← Кнопка\n│   ├── UITextField            ← Поле ввода (одна строка)\n│   ├── UISwitch               ← Переключатель (вкл/выкл)\n│   ├── UISlider               ← Ползунок\n│   ├── UIStepper              ← Кнопки +/-\n│   ├── UISegmentedControl     ← Сегментированный контрол\n│   ├── UIPageControl          ← Индикатор страниц (точки)\n│   └── UIDatePicker           ← Выбор даты\n│\n├── UIImageView                ← Отображение изображений\n│\n├── UIScrollView               ← Прокручиваемый контейнер\n│   ├── UITableView            ← Вертикальный список\n│   ├── UICollectionView       ← Сетка / произвольный layout\n│   └── UITextView             ← Многострочный текст\n│\n├── UIStackView                ← Автоматический стек элементов\n│\n├── UIActivityIndicatorView    ← Индикатор загрузки (спиннер)\n│\n├── UIProgressView             ← Полоса прогресса\n│\n├── UIVisualEffectView         ← Blur эффекты\n│\n├── UIToolbar                  ← Панель инструментов\n│\n├── UITabBar                   ← Панель вкладок\n│\n├── UINavigationBar            ← Навигационная панель\n│\n└── UISearchBar                ← Поле поиска"
+            },
+            {
+                "section": "11.2 Полная иерархия классов UIKit",
+                "subsection": "Детальная иерархия UIViewController",
+                "anchor": "detalnaya-ierarhiya-uiviewcontroller",
+                "text": "",
+                "code": "UIViewController (Базовый контроллер экрана)\n│\n├── UINavigationController     ← Стек экранов с навигацией (push/pop)\n│\n├── UITabBarController         ← Вкладки внизу экрана\n│\n├── UISplitViewController      ← Разделённый экран (iPad)\n│\n├── UIPageViewController       ← Листание страниц\n│\n├── UIAlertController          ← Диалоги и action sheets\n│\n├── UISearchController         ← Контроллер поиска\n│\n├── UIImagePickerController    ← Выбор фото/видео\n│\n├── UIDocumentPickerVC         ← Выбор файлов\n│\n└── UIActivityViewController   ← Меню \"Поделиться\""
+            },
+            {
+                "section": "11.3 Когда использовать какой класс",
+                "subsection": "Таблица выбора класса",
+                "anchor": "tablitsa-vybora-klassa",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────────┐\n│                        ВЫБОР КЛАССА UIKit                                    │\n├─────────────────────────────────────────────────────────────────────────────┤\n│                                                                              │\n│  ❓ Что вам нужно?                         → Используйте                     │\n│  ────────────────────────────────────────────────────────────────────────   │\n│                                                                              │\n│  📺 ЭКРАНЫ И НАВИГАЦИЯ                                                       │\n│  • Обычный экран                           → UIViewController                │\n│  • Навигация с back кнопкой               → UINavigationController          │\n│  • Вкладки внизу                          → UITabBarController              │\n│  • Диалог/алерт                           → UIAlertController               │\n│  • Меню \"Поделиться\"                      → UIActivityViewController        │\n│  • Выбор фото из галереи                  → UIImagePickerController         │\n│                                                                              │\n│  📝 ОТОБРАЖЕНИЕ ДАННЫХ                                                       │\n│  • Статический текст                       → UILabel                         │\n│  • Список элементов                        → UITableView                     │\n│  • Сетка элементов                         → UICollectionView                │\n│  • Изображение                             → UIImageView                     │\n│  • Многострочный текст (редактируемый)    → UITextView                      │\n│                                                                              │\n│  🎮 ИНТЕРАКТИВНЫЕ ЭЛЕМЕНТЫ                                                   │\n│  • Кнопка                                  → UIButton                        │\n│  • Поле ввода (одна строка)               → UITextField                     │\n│  • Переключатель (вкл/выкл)               → UISwitch                        │\n│  • Ползунок (выбор значения)              → UISlider                        │\n│  • Выбор из сегментов                     → UISegmentedControl              │\n│  • Выбор даты                             → UIDatePicker                    │\n│                                                                              │\n│  📦 КОНТЕЙНЕРЫ И LAYOUT                                                      │\n│  • Простой контейнер                       → UIView                          │\n│  • Прокручиваемый контент                  → UIScrollView                    │\n│  • Автоматический стек                     → UIStackView                     │\n│                                                                              │\n│  ⏳ ИНДИКАТОРЫ                                                               │\n│  • Загрузка (спиннер)                      → UIActivityIndicatorView        │\n│  • Прогресс (полоса)                       → UIProgressView                 │\n│                                                                              │\n│  🌐 СЕТЬ (НЕ UIKit, но важно)                                               │\n│  • HTTP запросы                            → URLSession                      │\n│  • Загрузка изображений                   → SDWebImage (библиотека)         │\n│                                                                              │\n└─────────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "11.3 Когда использовать какой класс",
+                "subsection": "Подробное объяснение: Когда какой класс",
+                "anchor": "podrobnoe-obyasnenie-kogda-kakoy-klass",
+                "text": "1. Для ЭКРАНОВ — UIViewController 2. Для НАВИГАЦИИ — UINavigationController 3. Для ВКЛАДОК — UITabBarController 4. Для ДИАЛОГОВ — UIAlertController 5. Для СПИСКОВ — UITableView 6. Для СЕТОК — UICollectionView 7. Для СЕТЕВЫХ ЗАПРОСОВ — URLSession (НЕ UIKit)",
+                "code": "// ПОЧЕМУ наследуемся от UIViewController:\n// - Получаем view для размещения UI\n// - Получаем жизненный цикл (viewDidLoad, viewWillAppear...)\n// - Интеграция с Navigation/TabBar\n// - Возможность показывать модальные экраны\n// - Обработка поворота экрана\n\nclass HomeViewController: UIViewController {\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        // ✅ view уже создан и готов\n        view.backgroundColor = .systemBackground\n    }\n}\n// КОГДА использовать:\n// - Нужна иерархическая навигация (главный → детали)\n// - Нужна кнопка \"назад\"\n// - Нужен navigation bar с заголовком\n\n// Создание\nlet homeVC = HomeViewController()\nlet navController = UINavigationController(rootViewController: homeVC)\n\n// В SceneDelegate\nwindow?.rootViewController = navController\n\n// Переход на следующий экран\nnavigationController?.pushViewController(DetailVC(), animated: true)\n\n// Возврат назад\nnavigationController?.popViewController(animated: true)\n// КОГДА использовать:\n// - Несколько независимых разделов приложения\n// - Пользователь может переключаться между ними\n\nlet tabBar = UITabBarController()\n\nlet homeVC = UINavigationController(rootViewController: HomeViewController())\nhomeVC.tabBarItem = UITabBarItem(title: \"Главная\", image: UIImage(systemName: \"house\"), tag: 0)\n\nlet cartVC = UINavigationController(rootViewController: CartViewController())\ncartVC.tabBarItem = UITabBarItem(title: \"Корзина\", image: UIImage(systemName: \"cart\"), tag: 1)\n\nlet profileVC = UINavigationController(rootViewController: ProfileViewController())\nprofileVC.tabBarItem = UITabBarItem(title: \"Профиль\", image: UIImage(systemName: \"person\"), tag: 2)\n\ntabBar.viewControllers = [homeVC, cartVC, profileVC]\n// КОГДА использовать:\n// - Показать сообщение пользователю\n// - Запросить подтверждение действия\n// - Показать action sheet (меню снизу)\n\n// Alert (диалог по центру)\nlet alert = UIAlertController(\n    title: \"Удалить товар?\",\n    message: \"Товар будет удалён из корзины\",\n    preferredStyle: .alert  // ← .alert для диалога\n)\n\nalert.addAction(UIAlertAction(title: \"Отмена\", style: .cancel))\nalert.addAction(UIAlertAction(title: \"Удалить\", style: .destructive) { _ in\n    // Действие при удалении\n    self.deleteItem()\n})\n\npresent(alert, animated: true)\n\n\n// Action Sheet (меню снизу)\nlet actionSheet = UIAlertController(\n    title: \"Выберите действие\",\n    message: nil,\n    preferredStyle: .actionSheet  // ← .actionSheet для меню\n)\n\nactionSheet.addAction(UIAlertAction(title: \"Сфотографировать\", style: .default) { _ in\n    self.takePhoto()\n})\nactionSheet.addAction(UIAlertAction(title: \"Выбрать из галереи\", style: .default) { _ in\n    self.selectFromGallery()\n})\nactionSheet.addAction(UIAlertAction(title: \"Отмена\", style: .cancel))\n\npresent(actionSheet, animated: true)\n// КОГДА использовать:\n// - Вертикальный список однородных элементов\n// - История заказов\n// - Настройки\n// - Любой скроллящийся список\n\nclass OrdersViewController: UIViewController {\n    private let tableView = UITableView()\n    private var orders: [Order] = []\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(OrderCell.self, forCellReuseIdentifier: \"OrderCell\")\n        view.addSubview(tableView)\n    }\n}\n\nextension OrdersViewController: UITableViewDataSource, UITableViewDelegate {\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        return orders.count\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        let cell = tableView.dequeueReusableCell(withIdentifier: \"OrderCell\", for: indexPath) as! OrderCell\n        cell.configure(with: orders[indexPath.row])\n        return cell\n    }\n\n    func tableView(_ tableView: UITableView, didSelectRowAt indexPath: IndexPath) {\n        let order = orders[indexPath.row]\n        navigationController?.pushViewController(OrderDetailVC(order: order), animated: true)\n    }\n}\n// КОГДА использовать:\n// - Сетка товаров (как в магазине)\n// - Галерея изображений\n// - Горизонтальные карусели\n// - Любой нестандартный layout\n\nclass ProductsViewController: UIViewController {\n    private var collectionView: UICollectionView!\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n\n        // Layout для сетки\n        let layout = UICollectionViewFlowLayout()\n        layout.itemSize = CGSize(width: 180, height: 250)\n        layout.minimumInteritemSpacing = 10\n        layout.minimumLineSpacing = 10\n\n        collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(ProductCell.self, forCellWithReuseIdentifier: \"ProductCell\")\n    }\n}\n// ⚠️ URLSession НЕ является частью UIKit, но очень важен\n\n// КОГДА использовать:\n// - Любые HTTP запросы к серверу\n// - Загрузка данных из API\n// - Отправка данных на сервер\n\nclass NetworkManager {\n    static let shared = NetworkManager()\n    private let session = URLSession.shared\n\n    func fetchProducts() async throws -> [Product] {\n        guard let url = URL(string: \"https://fakestoreapi.com/products\") else {\n            throw NetworkError.invalidURL\n        }\n\n        let (data, response) = try await session.data(from: url)\n\n        guard let httpResponse = response as? HTTPURLResponse,\n              (200...299).contains(httpResponse.statusCode) else {\n            throw NetworkError.invalidResponse\n        }\n\n        return try JSONDecoder().decode([Product].self, from: data)\n    }\n}\n\n// Использование в ViewController\nclass HomeViewController: UIViewController {\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        loadProducts()\n    }\n\n    private func loadProducts() {\n        Task {\n            do {\n                let products = try await NetworkManager.shared.fetchProducts()\n                // Обновляем UI в main thread\n                await MainActor.run {\n                    self.products = products\n                    self.collectionView.reloadData()\n                }\n            } catch {\n                showError(error)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "11.4 Почему мы наследуемся от определённых классов",
+                "subsection": "UIViewController — для КАЖДОГО экрана",
+                "anchor": "uiviewcontroller-dlya-kazhdogo-ekrana",
+                "text": "",
+                "code": "// UIViewController предоставляет:\nclass MyViewController: UIViewController {\n\n    // 1. ✅ Готовый view для размещения UI\n    // view уже создан, когда вызывается viewDidLoad\n\n    // 2. ✅ Жизненный цикл\n    override func viewDidLoad() { }         // Один раз при загрузке\n    override func viewWillAppear(_ animated: Bool) { }   // Перед появлением\n    override func viewDidAppear(_ animated: Bool) { }    // После появления\n    override func viewWillDisappear(_ animated: Bool) { } // Перед исчезновением\n    override func viewDidDisappear(_ animated: Bool) { }  // После исчезновения\n\n    // 3. ✅ Навигация\n    func goToDetail() {\n        navigationController?.pushViewController(DetailVC(), animated: true)\n    }\n\n    // 4. ✅ Модальные экраны\n    func showModal() {\n        present(ModalVC(), animated: true)\n    }\n\n    // 5. ✅ Navigation bar\n    func setupNavBar() {\n        title = \"Главная\"\n        navigationItem.rightBarButtonItem = UIBarButtonItem(\n            image: UIImage(systemName: \"cart\"),\n            style: .plain,\n            target: self,\n            action: #selector(cartTapped)\n        )\n    }\n\n    // 6. ✅ Обработка поворота экрана\n    override func viewWillTransition(to size: CGSize, with coordinator: UIViewControllerTransitionCoordinator) {\n        super.viewWillTransition(to: size, with: coordinator)\n        // Обработка поворота\n    }\n}\n\n// ❌ Если НЕ наследоваться от UIViewController:\n// - Нет view\n// - Нет жизненного цикла\n// - Нет интеграции с Navigation/TabBar\n// - Придётся всё реализовывать с нуля"
+            },
+            {
+                "section": "11.4 Почему мы наследуемся от определённых классов",
+                "subsection": "UIView — для кастомных UI компонентов",
+                "anchor": "uiview-dlya-kastomnyh-ui-komponentov",
+                "text": "",
+                "code": "// UIView предоставляет:\nclass ProductCardView: UIView {\n\n    // 1. ✅ frame и bounds — размер и позиция\n    // 2. ✅ backgroundColor, alpha — визуальные свойства\n    // 3. ✅ addSubview — иерархия view\n    // 4. ✅ layer — тени, скругления, рамки\n    // 5. ✅ Auto Layout через anchors\n    // 6. ✅ Обработка касаний\n    // 7. ✅ Анимации\n\n    private let imageView = UIImageView()\n    private let titleLabel = UILabel()\n    private let priceLabel = UILabel()\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setupUI() {\n        // Стилизация через layer\n        backgroundColor = .systemBackground\n        layer.cornerRadius = 12\n        layer.shadowColor = UIColor.black.cgColor\n        layer.shadowOpacity = 0.1\n        layer.shadowRadius = 8\n        layer.shadowOffset = CGSize(width: 0, height: 2)\n\n        // Добавление subviews\n        addSubview(imageView)\n        addSubview(titleLabel)\n        addSubview(priceLabel)\n\n        // Auto Layout...\n    }\n\n    // Переопределение отрисовки (опционально)\n    override func draw(_ rect: CGRect) {\n        super.draw(rect)\n        // Кастомная отрисовка\n    }\n\n    // Переопределение layout (опционально)\n    override func layoutSubviews() {\n        super.layoutSubviews()\n        // Кастомный layout\n    }\n}"
+            },
+            {
+                "section": "11.4 Почему мы наследуемся от определённых классов",
+                "subsection": "UITableViewCell — для ячеек списка",
+                "anchor": "uitableviewcell-dlya-yacheek-spiska",
+                "text": "",
+                "code": "// UITableViewCell предоставляет:\nclass ProductCell: UITableViewCell {\n\n    // 1. ✅ contentView — контейнер для контента\n    // 2. ✅ Reuse mechanism — переиспользование ячеек\n    // 3. ✅ Selection states — состояния выделения\n    // 4. ✅ Accessory views — стрелки, галочки справа\n    // 5. ✅ Swipe actions — действия при свайпе\n    // 6. ✅ Separator — разделитель\n\n    static let identifier = \"ProductCell\"\n\n    private let productImageView = UIImageView()\n    private let titleLabel = UILabel()\n    private let priceLabel = UILabel()\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setupUI() {\n        // ⚠️ ВАЖНО: добавляем в contentView, НЕ в self!\n        contentView.addSubview(productImageView)\n        contentView.addSubview(titleLabel)\n        contentView.addSubview(priceLabel)\n\n        // Accessory — стрелка справа\n        accessoryType = .disclosureIndicator\n    }\n\n    // Очистка при переиспользовании\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        productImageView.image = nil\n        titleLabel.text = nil\n        priceLabel.text = nil\n    }\n\n    func configure(with product: Product) {\n        titleLabel.text = product.title\n        priceLabel.text = product.formattedPrice\n        // Загрузка изображения...\n    }\n}"
+            },
+            {
+                "section": "11.4 Почему мы наследуемся от определённых классов",
+                "subsection": "UICollectionViewCell — для ячеек сетки",
+                "anchor": "uicollectionviewcell-dlya-yacheek-setki",
+                "text": "",
+                "code": "// UICollectionViewCell предоставляет:\nclass ProductGridCell: UICollectionViewCell {\n\n    // 1. ✅ contentView — контейнер для контента\n    // 2. ✅ Reuse mechanism — переиспользование\n    // 3. ✅ Selection states — выделение\n    // 4. ✅ Более гибкий layout чем TableViewCell\n\n    static let identifier = \"ProductGridCell\"\n\n    private let imageView = UIImageView()\n    private let titleLabel = UILabel()\n    private let priceLabel = UILabel()\n    private let addButton = UIButton(type: .system)\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setupUI() {\n        contentView.backgroundColor = .systemBackground\n        contentView.layer.cornerRadius = 12\n        contentView.layer.shadowOpacity = 0.1\n\n        contentView.addSubview(imageView)\n        contentView.addSubview(titleLabel)\n        contentView.addSubview(priceLabel)\n        contentView.addSubview(addButton)\n    }\n\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        imageView.image = nil\n        titleLabel.text = nil\n    }\n}"
+            },
+            {
+                "section": "11.5 UIView — базовый элемент интерфейса",
+                "subsection": "Создание и настройка UIView",
+                "anchor": "sozdanie-i-nastroyka-uiview",
+                "text": "",
+                "code": "import UIKit\n\n// Создание view\nlet containerView = UIView()\n\n// Размер и позиция (если не используется Auto Layout)\ncontainerView.frame = CGRect(x: 20, y: 100, width: 200, height: 150)\n\n// Цвет фона\ncontainerView.backgroundColor = .systemBlue\n\n// Прозрачность (0.0 - 1.0)\ncontainerView.alpha = 0.9\n\n// Скругление углов\ncontainerView.layer.cornerRadius = 12\ncontainerView.clipsToBounds = true  // Обрезать контент за границами\n\n// Рамка\ncontainerView.layer.borderWidth = 1\ncontainerView.layer.borderColor = UIColor.systemGray.cgColor\n\n// Тень (требует clipsToBounds = false)\ncontainerView.layer.shadowColor = UIColor.black.cgColor\ncontainerView.layer.shadowOffset = CGSize(width: 0, height: 2)\ncontainerView.layer.shadowRadius = 8\ncontainerView.layer.shadowOpacity = 0.15\ncontainerView.clipsToBounds = false  // Для отображения тени\n\n// Видимость\ncontainerView.isHidden = false\n\n// Взаимодействие\ncontainerView.isUserInteractionEnabled = true\n\n// Tag для идентификации\ncontainerView.tag = 100"
+            },
+            {
+                "section": "11.5 UIView — базовый элемент интерфейса",
+                "subsection": "Иерархия View",
+                "anchor": "ierarhiya-view",
+                "text": "",
+                "code": "// Родительский view\nlet parentView = UIView()\n\n// Дочерние views\nlet childView1 = UIView()\nlet childView2 = UIView()\n\n// Добавление в иерархию\nparentView.addSubview(childView1)\nparentView.addSubview(childView2)\n\n// childView2 будет поверх childView1\n\n// Управление порядком\nparentView.bringSubviewToFront(childView1)  // childView1 наверх\nparentView.sendSubviewToBack(childView2)    // childView2 вниз\n\n// Вставка на определённую позицию\nparentView.insertSubview(newView, at: 0)  // В самый низ\nparentView.insertSubview(newView, aboveSubview: childView1)\nparentView.insertSubview(newView, belowSubview: childView1)\n\n// Удаление из иерархии\nchildView1.removeFromSuperview()\n\n// Доступ к родителю и детям\nlet parent = childView1.superview\nlet children = parentView.subviews"
+            },
+            {
+                "section": "11.5 UIView — базовый элемент интерфейса",
+                "subsection": "Трансформации",
+                "anchor": "transformatsii",
+                "text": "",
+                "code": "// Поворот (в радианах)\nview.transform = CGAffineTransform(rotationAngle: .pi / 4)  // 45°\n\n// Масштаб\nview.transform = CGAffineTransform(scaleX: 1.5, y: 1.5)\n\n// Смещение\nview.transform = CGAffineTransform(translationX: 50, y: 20)\n\n// Комбинация трансформаций\nview.transform = CGAffineTransform(rotationAngle: .pi / 4)\n    .scaledBy(x: 1.2, y: 1.2)\n    .translatedBy(x: 10, y: 10)\n\n// Сброс трансформации\nview.transform = .identity"
+            },
+            {
+                "section": "11.6 UIViewController — жизненный цикл",
+                "subsection": "Полный жизненный цикл",
+                "anchor": "polnyy-zhiznennyy-tsikl",
+                "text": "",
+                "code": "class ExampleViewController: UIViewController {\n\n    // MARK: - Lifecycle\n\n    // 1️⃣ Вызывается при загрузке view (ОДИН раз)\n    override func viewDidLoad() {\n        super.viewDidLoad()\n\n        // ✅ Инициализация UI\n        // ✅ Добавление subviews\n        // ✅ Настройка constraints\n        // ✅ Одноразовая настройка\n\n        setupUI()\n        setupConstraints()\n    }\n\n    // 2️⃣ View собирается появиться (КАЖДЫЙ раз)\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n\n        // ✅ Обновление данных\n        // ✅ Подписка на уведомления\n        // ✅ Запуск обновлений (таймеры)\n\n        refreshData()\n        subscribeToNotifications()\n    }\n\n    // 3️⃣ View появился на экране (КАЖДЫЙ раз)\n    override func viewDidAppear(_ animated: Bool) {\n        super.viewDidAppear(animated)\n\n        // ✅ Запуск анимаций\n        // ✅ Отправка аналитики\n        // ✅ Показ клавиатуры\n\n        startAnimations()\n        trackScreenView()\n    }\n\n    // 4️⃣ View собирается исчезнуть (КАЖДЫЙ раз)\n    override func viewWillDisappear(_ animated: Bool) {\n        super.viewWillDisappear(animated)\n\n        // ✅ Сохранение данных\n        // ✅ Остановка таймеров\n        // ✅ Скрытие клавиатуры\n\n        saveData()\n        stopTimers()\n    }\n\n    // 5️⃣ View исчез с экрана (КАЖДЫЙ раз)\n    override func viewDidDisappear(_ animated: Bool) {\n        super.viewDidDisappear(animated)\n\n        // ✅ Отписка от уведомлений\n        // ✅ Очистка ресурсов\n\n        unsubscribeFromNotifications()\n    }\n\n    // 6️⃣ Предупреждение о нехватке памяти\n    override func didReceiveMemoryWarning() {\n        super.didReceiveMemoryWarning()\n\n        // ✅ Освобождение кэшей\n        // ✅ Очистка неиспользуемых данных\n    }\n\n    // 7️⃣ Деинициализация (при удалении VC)\n    deinit {\n        print(\"ViewController deallocated\")\n    }\n}"
+            },
+            {
+                "section": "11.6 UIViewController — жизненный цикл",
+                "subsection": "Диаграмма жизненного цикла",
+                "anchor": "diagramma-zhiznennogo-tsikla",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    ЖИЗНЕННЫЙ ЦИКЛ ViewController                │\n└─────────────────────────────────────────────────────────────────┘\n\n              ┌──────────────────┐\n              │   init / awake   │\n              └────────┬─────────┘\n                       │\n                       ▼\n              ┌──────────────────┐\n              │   viewDidLoad    │ ◄─── Один раз\n              │                  │      (настройка UI)\n              └────────┬─────────┘\n                       │\n    ┌──────────────────┼──────────────────┐\n    │                  │                  │\n    │                  ▼                  │\n    │         ┌──────────────────┐        │\n    │    ┌───►│ viewWillAppear   │        │\n    │    │    └────────┬─────────┘        │\n    │    │             │                  │\n    │    │             ▼                  │\n    │    │    ┌──────────────────┐        │\n    │    │    │  viewDidAppear   │        │\n    │    │    │                  │        │  Цикл появления/\n    │    │    │  (View видим)    │        │  исчезновения\n    │    │    └────────┬─────────┘        │\n    │    │             │                  │\n    │    │             ▼                  │\n    │    │    ┌──────────────────┐        │\n    │    │    │viewWillDisappear │        │\n    │    │    └────────┬─────────┘        │\n    │    │             │                  │\n    │    │             ▼                  │\n    │    │    ┌──────────────────┐        │\n    │    └────│ viewDidDisappear │        │\n    │         └──────────────────┘        │\n    │                                     │\n    └─────────────────────────────────────┘\n                       │\n                       ▼\n              ┌──────────────────┐\n              │      deinit      │ ◄─── При удалении\n              └──────────────────┘"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UILabel — текст",
+                "anchor": "uilabel-tekst",
+                "text": "",
+                "code": "let label = UILabel()\n\n// Текст\nlabel.text = \"Привет, мир!\"\nlabel.attributedText = NSAttributedString(...)  // Стилизованный текст\n\n// Шрифт\nlabel.font = .systemFont(ofSize: 16)\nlabel.font = .systemFont(ofSize: 16, weight: .bold)\nlabel.font = .preferredFont(forTextStyle: .headline)  // Dynamic Type\n\n// Цвет текста\nlabel.textColor = .label  // Адаптивный цвет (тёмный/светлый режим)\nlabel.textColor = .systemBlue\n\n// Выравнивание\nlabel.textAlignment = .left\nlabel.textAlignment = .center\nlabel.textAlignment = .right\n\n// Многострочность\nlabel.numberOfLines = 0  // Неограниченное количество строк\nlabel.numberOfLines = 2  // Максимум 2 строки\n\n// Обрезка текста\nlabel.lineBreakMode = .byTruncatingTail  // \"Длинный тек...\"\nlabel.lineBreakMode = .byWordWrapping    // Перенос по словам\n\n// Минимальный размер шрифта\nlabel.adjustsFontSizeToFitWidth = true\nlabel.minimumScaleFactor = 0.5  // Минимум 50% от исходного размера"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UIButton — кнопка",
+                "anchor": "uibutton-knopka",
+                "text": "",
+                "code": "// Создание кнопки\nlet button = UIButton(type: .system)  // Системный стиль\n\n// Текст кнопки\nbutton.setTitle(\"Нажми меня\", for: .normal)\nbutton.setTitle(\"Нажато!\", for: .highlighted)\n\n// Цвет текста\nbutton.setTitleColor(.white, for: .normal)\nbutton.setTitleColor(.gray, for: .disabled)\n\n// Фон\nbutton.backgroundColor = .systemBlue\n\n// Скругление\nbutton.layer.cornerRadius = 8\n\n// Изображение\nbutton.setImage(UIImage(systemName: \"cart\"), for: .normal)\nbutton.tintColor = .white\n\n// Расположение изображения и текста\nbutton.imageEdgeInsets = UIEdgeInsets(top: 0, left: -8, bottom: 0, right: 0)\n\n// Обработка нажатия\nbutton.addTarget(self, action: #selector(buttonTapped), for: .touchUpInside)\n\n@objc func buttonTapped() {\n    print(\"Кнопка нажата!\")\n}\n\n// Включение/выключение\nbutton.isEnabled = false"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UITextField — поле ввода",
+                "anchor": "uitextfield-pole-vvoda",
+                "text": "",
+                "code": "let textField = UITextField()\n\n// Placeholder\ntextField.placeholder = \"Введите email\"\n\n// Текст\ntextField.text = \"\"\n\n// Стиль рамки\ntextField.borderStyle = .roundedRect\n\n// Тип клавиатуры\ntextField.keyboardType = .emailAddress\ntextField.keyboardType = .numberPad\ntextField.keyboardType = .phonePad\n\n// Автокоррекция и автозаглавные\ntextField.autocorrectionType = .no\ntextField.autocapitalizationType = .none\n\n// Secure entry (для паролей)\ntextField.isSecureTextEntry = true\n\n// Кнопка очистки\ntextField.clearButtonMode = .whileEditing\n\n// Return key\ntextField.returnKeyType = .done\ntextField.returnKeyType = .next\n\n// Delegate\ntextField.delegate = self\n\n// UITextFieldDelegate\nextension ViewController: UITextFieldDelegate {\n    func textFieldShouldReturn(_ textField: UITextField) -> Bool {\n        textField.resignFirstResponder()  // Скрыть клавиатуру\n        return true\n    }\n\n    func textFieldDidEndEditing(_ textField: UITextField) {\n        print(\"Введено: \\(textField.text ?? \"\")\")\n    }\n\n    func textField(_ textField: UITextField, shouldChangeCharactersIn range: NSRange, replacementString string: String) -> Bool {\n        // Валидация ввода\n        return true\n    }\n}"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UIImageView — изображение",
+                "anchor": "uiimageview-izobrazhenie",
+                "text": "",
+                "code": "let imageView = UIImageView()\n\n// Изображение из Assets\nimageView.image = UIImage(named: \"productPhoto\")\n\n// SF Symbols (системные иконки)\nimageView.image = UIImage(systemName: \"heart.fill\")\nimageView.tintColor = .systemRed\n\n// Content Mode — как изображение вписывается\nimageView.contentMode = .scaleAspectFit   // Вписать полностью, сохраняя пропорции\nimageView.contentMode = .scaleAspectFill  // Заполнить, сохраняя пропорции (может обрезаться)\nimageView.contentMode = .scaleToFill      // Растянуть (нарушает пропорции)\nimageView.contentMode = .center           // По центру без масштабирования\n\n// Обрезать выступающее\nimageView.clipsToBounds = true\n\n// Скругление\nimageView.layer.cornerRadius = 8\n\n// Загрузка из URL (с SDWebImage)\nimageView.sd_setImage(with: URL(string: product.imageURL))"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UISwitch — переключатель",
+                "anchor": "uiswitch-pereklyuchatel",
+                "text": "",
+                "code": "let toggle = UISwitch()\n\n// Состояние\ntoggle.isOn = true\n\n// Цвета\ntoggle.onTintColor = .systemGreen\ntoggle.thumbTintColor = .white\n\n// Обработка изменения\ntoggle.addTarget(self, action: #selector(switchChanged), for: .valueChanged)\n\n@objc func switchChanged(_ sender: UISwitch) {\n    if sender.isOn {\n        print(\"Включено\")\n    } else {\n        print(\"Выключено\")\n    }\n}"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UIActivityIndicatorView — индикатор загрузки",
+                "anchor": "uiactivityindicatorview-indikator-zagruzki",
+                "text": "",
+                "code": "let spinner = UIActivityIndicatorView(style: .large)\nspinner.color = .systemBlue\n\n// Скрывать когда не анимируется\nspinner.hidesWhenStopped = true\n\n// Запуск/остановка\nspinner.startAnimating()\n\n// После загрузки\nspinner.stopAnimating()  // Автоматически скроется"
+            },
+            {
+                "section": "11.7 Основные UI компоненты",
+                "subsection": "UIStackView — автоматический стек",
+                "anchor": "uistackview-avtomaticheskiy-stek",
+                "text": "",
+                "code": "let stackView = UIStackView()\n\n// Направление\nstackView.axis = .vertical    // Вертикальный стек\nstackView.axis = .horizontal  // Горизонтальный стек\n\n// Распределение\nstackView.distribution = .fill            // Заполнить пространство\nstackView.distribution = .fillEqually     // Равные размеры\nstackView.distribution = .fillProportionally\nstackView.distribution = .equalSpacing    // Равные промежутки\nstackView.distribution = .equalCentering\n\n// Выравнивание\nstackView.alignment = .fill\nstackView.alignment = .center\nstackView.alignment = .leading\nstackView.alignment = .trailing\n\n// Отступы между элементами\nstackView.spacing = 16\n\n// Добавление элементов\nstackView.addArrangedSubview(label)\nstackView.addArrangedSubview(button)\nstackView.addArrangedSubview(textField)\n\n// Удаление элемента\nstackView.removeArrangedSubview(button)\nbutton.removeFromSuperview()"
+            },
+            {
+                "section": "11.8 Auto Layout — система constraints",
+                "subsection": "Основные концепции",
+                "anchor": "osnovnye-kontseptsii",
+                "text": "Auto Layout — это система ограничений (constraints), которая описывает: Где элемент находится относительно других элементов Какого размера элемент Как элемент должен изменяться при изменении экрана",
+                "code": ""
+            },
+            {
+                "section": "11.8 Auto Layout — система constraints",
+                "subsection": "Anchor-based API",
+                "anchor": "anchor-based-api",
+                "text": "",
+                "code": "let redView = UIView()\nredView.backgroundColor = .red\n\n// ⚠️ ОБЯЗАТЕЛЬНО при программной вёрстке\nredView.translatesAutoresizingMaskIntoConstraints = false\n\nview.addSubview(redView)\n\n// Активация constraints\nNSLayoutConstraint.activate([\n    // Привязка к верху (с отступом от safe area)\n    redView.topAnchor.constraint(equalTo: view.safeAreaLayoutGuide.topAnchor, constant: 20),\n\n    // Привязка к левому краю\n    redView.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 20),\n\n    // Привязка к правому краю\n    redView.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -20),\n\n    // Фиксированная высота\n    redView.heightAnchor.constraint(equalToConstant: 100)\n])"
+            },
+            {
+                "section": "11.8 Auto Layout — система constraints",
+                "subsection": "Типы Anchors",
+                "anchor": "tipy-anchors",
+                "text": "",
+                "code": "// ПОЗИЦИОНИРОВАНИЕ\nview.topAnchor        // Верхний край\nview.bottomAnchor     // Нижний край\nview.leadingAnchor    // Левый край (с учётом RTL языков)\nview.trailingAnchor   // Правый край (с учётом RTL)\nview.leftAnchor       // Всегда левый\nview.rightAnchor      // Всегда правый\nview.centerXAnchor    // Центр по горизонтали\nview.centerYAnchor    // Центр по вертикали\n\n// РАЗМЕРЫ\nview.widthAnchor\nview.heightAnchor\n\n// BASELINE (для текста)\nview.firstBaselineAnchor\nview.lastBaselineAnchor\n\n// SAFE AREA\nview.safeAreaLayoutGuide.topAnchor     // Учитывает notch\nview.safeAreaLayoutGuide.bottomAnchor  // Учитывает home indicator"
+            },
+            {
+                "section": "11.8 Auto Layout — система constraints",
+                "subsection": "Типы Constraints",
+                "anchor": "tipy-constraints",
+                "text": "",
+                "code": "// РАВЕНСТВО\nlabel.topAnchor.constraint(equalTo: view.topAnchor, constant: 20)\n\n// БОЛЬШЕ ИЛИ РАВНО\nlabel.widthAnchor.constraint(greaterThanOrEqualToConstant: 100)\n\n// МЕНЬШЕ ИЛИ РАВНО\nlabel.widthAnchor.constraint(lessThanOrEqualToConstant: 300)\n\n// ПРОПОРЦИЯ\nimageView.heightAnchor.constraint(equalTo: imageView.widthAnchor, multiplier: 0.75)\n\n// ПРИОРИТЕТЫ\nlet widthConstraint = label.widthAnchor.constraint(equalToConstant: 200)\nwidthConstraint.priority = .defaultHigh  // 750\nwidthConstraint.priority = .required     // 1000\nwidthConstraint.priority = UILayoutPriority(999)\n\n// АКТИВАЦИЯ/ДЕАКТИВАЦИЯ\nwidthConstraint.isActive = true\nwidthConstraint.isActive = false"
+            },
+            {
+                "section": "11.8 Auto Layout — система constraints",
+                "subsection": "Пример: Экран входа с чистым Auto Layout",
+                "anchor": "primer-ekran-vhoda-s-chistym-auto-layout",
+                "text": "",
+                "code": "class LoginViewController: UIViewController {\n    private let logoImageView = UIImageView()\n    private let emailTextField = UITextField()\n    private let passwordTextField = UITextField()\n    private let loginButton = UIButton(type: .system)\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupConstraints()\n    }\n\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n\n        logoImageView.image = UIImage(systemName: \"cart.fill\")\n        logoImageView.tintColor = .systemBlue\n        logoImageView.contentMode = .scaleAspectFit\n        logoImageView.translatesAutoresizingMaskIntoConstraints = false\n        view.addSubview(logoImageView)\n\n        emailTextField.placeholder = \"Email\"\n        emailTextField.borderStyle = .roundedRect\n        emailTextField.translatesAutoresizingMaskIntoConstraints = false\n        view.addSubview(emailTextField)\n\n        passwordTextField.placeholder = \"Пароль\"\n        passwordTextField.borderStyle = .roundedRect\n        passwordTextField.isSecureTextEntry = true\n        passwordTextField.translatesAutoresizingMaskIntoConstraints = false\n        view.addSubview(passwordTextField)\n\n        loginButton.setTitle(\"Войти\", for: .normal)\n        loginButton.backgroundColor = .systemBlue\n        loginButton.setTitleColor(.white, for: .normal)\n        loginButton.layer.cornerRadius = 8\n        loginButton.translatesAutoresizingMaskIntoConstraints = false\n        view.addSubview(loginButton)\n    }\n\n    private func setupConstraints() {\n        NSLayoutConstraint.activate([\n            // Logo\n            logoImageView.topAnchor.constraint(equalTo: view.safeAreaLayoutGuide.topAnchor, constant: 60),\n            logoImageView.centerXAnchor.constraint(equalTo: view.centerXAnchor),\n            logoImageView.widthAnchor.constraint(equalToConstant: 100),\n            logoImageView.heightAnchor.constraint(equalToConstant: 100),\n\n            // Email\n            emailTextField.topAnchor.constraint(equalTo: logoImageView.bottomAnchor, constant: 40),\n            emailTextField.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 20),\n            emailTextField.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -20),\n            emailTextField.heightAnchor.constraint(equalToConstant: 50),\n\n            // Password\n            passwordTextField.topAnchor.constraint(equalTo: emailTextField.bottomAnchor, constant: 16),\n            passwordTextField.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 20),\n            passwordTextField.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -20),\n            passwordTextField.heightAnchor.constraint(equalToConstant: 50),\n\n            // Login Button\n            loginButton.topAnchor.constraint(equalTo: passwordTextField.bottomAnchor, constant: 30),\n            loginButton.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 20),\n            loginButton.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -20),\n            loginButton.heightAnchor.constraint(equalToConstant: 50),\n        ])\n    }\n}"
+            },
+            {
+                "section": "11.9 SnapKit — удобные constraints",
+                "subsection": "",
+                "anchor": "11-9-snapkit-udobnye-constraints",
+                "text": "SnapKit — библиотека, упрощающая написание Auto Layout.",
+                "code": ""
+            },
+            {
+                "section": "11.9 SnapKit — удобные constraints",
+                "subsection": "Установка через SPM",
+                "anchor": "ustanovka-cherez-spm",
+                "text": "",
+                "code": "File → Add Packages → https://github.com/SnapKit/SnapKit"
+            },
+            {
+                "section": "11.9 SnapKit — удобные constraints",
+                "subsection": "Базовое использование",
+                "anchor": "bazovoe-ispolzovanie",
+                "text": "",
+                "code": "import SnapKit\n\n// ⚠️ НЕ нужно: translatesAutoresizingMaskIntoConstraints = false\n// SnapKit делает это автоматически\n\nlet redView = UIView()\nredView.backgroundColor = .red\nview.addSubview(redView)\n\n// Создание constraints\nredView.snp.makeConstraints { make in\n    make.top.equalTo(view.safeAreaLayoutGuide).offset(20)\n    make.leading.equalToSuperview().offset(20)\n    make.trailing.equalToSuperview().offset(-20)\n    make.height.equalTo(100)\n}"
+            },
+            {
+                "section": "11.9 SnapKit — удобные constraints",
+                "subsection": "Основные методы",
+                "anchor": "osnovnye-metody",
+                "text": "",
+                "code": "// ПРИВЯЗКА К РОДИТЕЛЮ\nview.snp.makeConstraints { make in\n    make.edges.equalToSuperview()  // Все края\n    make.edges.equalToSuperview().inset(20)  // С отступами\n\n    make.center.equalToSuperview()  // Центр\n    make.centerX.equalToSuperview()\n    make.centerY.equalToSuperview()\n\n    make.size.equalTo(CGSize(width: 100, height: 100))\n    make.width.equalToSuperview()\n    make.height.equalTo(50)\n}\n\n// ПРИВЯЗКА К ДРУГОМУ VIEW\nlabel.snp.makeConstraints { make in\n    make.top.equalTo(imageView.snp.bottom).offset(10)\n    make.leading.trailing.equalToSuperview().inset(16)\n}\n\n// SAFE AREA\nview.snp.makeConstraints { make in\n    make.top.equalTo(view.safeAreaLayoutGuide)\n    make.bottom.equalTo(view.safeAreaLayoutGuide)\n}\n\n// ПРОПОРЦИИ\nimageView.snp.makeConstraints { make in\n    make.height.equalTo(imageView.snp.width).multipliedBy(0.75)\n}\n\n// ПРИОРИТЕТЫ\nlabel.snp.makeConstraints { make in\n    make.width.lessThanOrEqualTo(300).priority(.high)\n    make.width.equalTo(200).priority(.low)\n}\n\n// ОБНОВЛЕНИЕ CONSTRAINTS\nview.snp.updateConstraints { make in\n    make.height.equalTo(200)  // Обновить только height\n}\n\n// ПЕРЕСОЗДАНИЕ ВСЕХ CONSTRAINTS\nview.snp.remakeConstraints { make in\n    make.edges.equalToSuperview()\n}"
+            },
+            {
+                "section": "11.9 SnapKit — удобные constraints",
+                "subsection": "Пример: Экран входа с SnapKit",
+                "anchor": "primer-ekran-vhoda-s-snapkit",
+                "text": "",
+                "code": "import UIKit\nimport SnapKit\n\nclass LoginViewController: UIViewController {\n\n    // MARK: - UI Elements\n\n    private let logoImageView: UIImageView = {\n        let iv = UIImageView()\n        iv.image = UIImage(systemName: \"cart.fill\")\n        iv.tintColor = .systemBlue\n        iv.contentMode = .scaleAspectFit\n        return iv\n    }()\n\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Добро пожаловать\"\n        label.font = .systemFont(ofSize: 28, weight: .bold)\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let emailTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Email\"\n        tf.borderStyle = .roundedRect\n        tf.keyboardType = .emailAddress\n        tf.autocapitalizationType = .none\n        return tf\n    }()\n\n    private let passwordTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Пароль\"\n        tf.borderStyle = .roundedRect\n        tf.isSecureTextEntry = true\n        return tf\n    }()\n\n    private let loginButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Войти\", for: .normal)\n        button.setTitleColor(.white, for: .normal)\n        button.backgroundColor = .systemBlue\n        button.layer.cornerRadius = 8\n        button.titleLabel?.font = .systemFont(ofSize: 18, weight: .semibold)\n        return button\n    }()\n\n    private let signUpButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Создать аккаунт\", for: .normal)\n        return button\n    }()\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupConstraints()\n        setupActions()\n    }\n\n    // MARK: - Setup\n\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n\n        view.addSubview(logoImageView)\n        view.addSubview(titleLabel)\n        view.addSubview(emailTextField)\n        view.addSubview(passwordTextField)\n        view.addSubview(loginButton)\n        view.addSubview(signUpButton)\n    }\n\n    private func setupConstraints() {\n        logoImageView.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(60)\n            make.centerX.equalToSuperview()\n            make.size.equalTo(100)\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(logoImageView.snp.bottom).offset(20)\n            make.leading.trailing.equalToSuperview().inset(20)\n        }\n\n        emailTextField.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(40)\n            make.leading.trailing.equalToSuperview().inset(20)\n            make.height.equalTo(50)\n        }\n\n        passwordTextField.snp.makeConstraints { make in\n            make.top.equalTo(emailTextField.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(20)\n            make.height.equalTo(50)\n        }\n\n        loginButton.snp.makeConstraints { make in\n            make.top.equalTo(passwordTextField.snp.bottom).offset(30)\n            make.leading.trailing.equalToSuperview().inset(20)\n            make.height.equalTo(50)\n        }\n\n        signUpButton.snp.makeConstraints { make in\n            make.top.equalTo(loginButton.snp.bottom).offset(16)\n            make.centerX.equalToSuperview()\n        }\n    }\n\n    private func setupActions() {\n        loginButton.addTarget(self, action: #selector(loginTapped), for: .touchUpInside)\n        signUpButton.addTarget(self, action: #selector(signUpTapped), for: .touchUpInside)\n    }\n\n    // MARK: - Actions\n\n    @objc private func loginTapped() {\n        guard let email = emailTextField.text, !email.isEmpty,\n              let password = passwordTextField.text, !password.isEmpty else {\n            showAlert(message: \"Заполните все поля\")\n            return\n        }\n\n        // Авторизация...\n    }\n\n    @objc private func signUpTapped() {\n        // Переход на регистрацию\n    }\n\n    private func showAlert(message: String) {\n        let alert = UIAlertController(\n            title: \"Ошибка\",\n            message: message,\n            preferredStyle: .alert\n        )\n        alert.addAction(UIAlertAction(title: \"OK\", style: .default))\n        present(alert, animated: true)\n    }\n}"
+            },
+            {
+                "section": "11.10 UITableView и UICollectionView — подробно",
+                "subsection": "UITableView — вертикальный список",
+                "anchor": "uitableview-vertikalnyy-spisok",
+                "text": "",
+                "code": "class ProductsTableViewController: UIViewController {\n\n    private let tableView = UITableView()\n    private var products: [Product] = []\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupTableView()\n    }\n\n    private func setupTableView() {\n        // Настройка\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(ProductCell.self, forCellReuseIdentifier: ProductCell.identifier)\n\n        // Стиль\n        tableView.separatorStyle = .singleLine\n        tableView.separatorInset = UIEdgeInsets(top: 0, left: 16, bottom: 0, right: 16)\n        tableView.rowHeight = UITableView.automaticDimension\n        tableView.estimatedRowHeight = 100\n\n        // Layout\n        view.addSubview(tableView)\n        tableView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n}\n\n// MARK: - UITableViewDataSource\n\nextension ProductsTableViewController: UITableViewDataSource {\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        return products.count\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        let cell = tableView.dequeueReusableCell(\n            withIdentifier: ProductCell.identifier,\n            for: indexPath\n        ) as! ProductCell\n\n        cell.configure(with: products[indexPath.row])\n        return cell\n    }\n}\n\n// MARK: - UITableViewDelegate\n\nextension ProductsTableViewController: UITableViewDelegate {\n    func tableView(_ tableView: UITableView, didSelectRowAt indexPath: IndexPath) {\n        tableView.deselectRow(at: indexPath, animated: true)\n\n        let product = products[indexPath.row]\n        let detailVC = ProductDetailViewController(product: product)\n        navigationController?.pushViewController(detailVC, animated: true)\n    }\n\n    // Swipe actions\n    func tableView(_ tableView: UITableView, trailingSwipeActionsConfigurationForRowAt indexPath: IndexPath) -> UISwipeActionsConfiguration? {\n        let deleteAction = UIContextualAction(style: .destructive, title: \"Удалить\") { [weak self] _, _, completion in\n            self?.deleteProduct(at: indexPath)\n            completion(true)\n        }\n\n        return UISwipeActionsConfiguration(actions: [deleteAction])\n    }\n}"
+            },
+            {
+                "section": "11.10 UITableView и UICollectionView — подробно",
+                "subsection": "UICollectionView — сетка",
+                "anchor": "uicollectionview-setka",
+                "text": "",
+                "code": "class ProductsCollectionViewController: UIViewController {\n\n    private var collectionView: UICollectionView!\n    private var products: [Product] = []\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupCollectionView()\n    }\n\n    private func setupCollectionView() {\n        // Layout\n        let layout = UICollectionViewFlowLayout()\n        layout.scrollDirection = .vertical\n\n        // Размер ячейки (2 колонки)\n        let width = (view.bounds.width - 48) / 2  // 16 + 16 + 16 отступы\n        layout.itemSize = CGSize(width: width, height: width * 1.4)\n\n        // Отступы\n        layout.minimumInteritemSpacing = 16\n        layout.minimumLineSpacing = 16\n        layout.sectionInset = UIEdgeInsets(top: 16, left: 16, bottom: 16, right: 16)\n\n        // Создание\n        collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(ProductGridCell.self, forCellWithReuseIdentifier: ProductGridCell.identifier)\n        collectionView.backgroundColor = .systemBackground\n\n        view.addSubview(collectionView)\n        collectionView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n}\n\n// MARK: - UICollectionViewDataSource\n\nextension ProductsCollectionViewController: UICollectionViewDataSource {\n    func collectionView(_ collectionView: UICollectionView, numberOfItemsInSection section: Int) -> Int {\n        return products.count\n    }\n\n    func collectionView(_ collectionView: UICollectionView, cellForItemAt indexPath: IndexPath) -> UICollectionViewCell {\n        let cell = collectionView.dequeueReusableCell(\n            withReuseIdentifier: ProductGridCell.identifier,\n            for: indexPath\n        ) as! ProductGridCell\n\n        cell.configure(with: products[indexPath.item])\n        return cell\n    }\n}\n\n// MARK: - UICollectionViewDelegate\n\nextension ProductsCollectionViewController: UICollectionViewDelegate {\n    func collectionView(_ collectionView: UICollectionView, didSelectItemAt indexPath: IndexPath) {\n        let product = products[indexPath.item]\n        let detailVC = ProductDetailViewController(product: product)\n        navigationController?.pushViewController(detailVC, animated: true)\n    }\n}"
+            },
+            {
+                "section": "11.11 Упражнения",
+                "subsection": "Упражнение 11.1: Карточка товара",
+                "anchor": "uprazhnenie-11-1-kartochka-tovara",
+                "text": "Создайте кастомный ProductCardView с: Изображением товара Названием Ценой Кнопкой \"В корзину\" Показать решение",
+                "code": "import UIKit\nimport SnapKit\n\nclass ProductCardView: UIView {\n\n    // MARK: - UI Elements\n\n    private let imageView: UIImageView = {\n        let iv = UIImageView()\n        iv.contentMode = .scaleAspectFit\n        iv.backgroundColor = .systemGray6\n        iv.layer.cornerRadius = 8\n        iv.clipsToBounds = true\n        return iv\n    }()\n\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 14, weight: .medium)\n        label.numberOfLines = 2\n        return label\n    }()\n\n    private let priceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16, weight: .bold)\n        label.textColor = .systemBlue\n        return label\n    }()\n\n    private let addButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"В корзину\", for: .normal)\n        button.setTitleColor(.white, for: .normal)\n        button.backgroundColor = .systemBlue\n        button.layer.cornerRadius = 8\n        button.titleLabel?.font = .systemFont(ofSize: 14, weight: .semibold)\n        return button\n    }()\n\n    var onAddToCart: (() -> Void)?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupUI() {\n        backgroundColor = .systemBackground\n        layer.cornerRadius = 12\n        layer.shadowColor = UIColor.black.cgColor\n        layer.shadowOpacity = 0.1\n        layer.shadowRadius = 8\n        layer.shadowOffset = CGSize(width: 0, height: 2)\n\n        addSubview(imageView)\n        addSubview(titleLabel)\n        addSubview(priceLabel)\n        addSubview(addButton)\n\n        imageView.snp.makeConstraints { make in\n            make.top.leading.trailing.equalToSuperview().inset(12)\n            make.height.equalTo(120)\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(imageView.snp.bottom).offset(8)\n            make.leading.trailing.equalToSuperview().inset(12)\n        }\n\n        priceLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(4)\n            make.leading.equalToSuperview().inset(12)\n        }\n\n        addButton.snp.makeConstraints { make in\n            make.top.equalTo(priceLabel.snp.bottom).offset(12)\n            make.leading.trailing.bottom.equalToSuperview().inset(12)\n            make.height.equalTo(36)\n        }\n\n        addButton.addTarget(self, action: #selector(addButtonTapped), for: .touchUpInside)\n    }\n\n    // MARK: - Actions\n\n    @objc private func addButtonTapped() {\n        onAddToCart?()\n    }\n\n    // MARK: - Configure\n\n    func configure(title: String, price: Double, imageURL: String?) {\n        titleLabel.text = title\n        priceLabel.text = String(format: \"$%.2f\", price)\n\n        if let url = imageURL, let imageUrl = URL(string: url) {\n            // Используйте SDWebImage для загрузки\n            // imageView.sd_setImage(with: imageUrl)\n        }\n    }\n}"
+            },
+            {
+                "section": "11.11 Упражнения",
+                "subsection": "Упражнение 11.2: Экран профиля",
+                "anchor": "uprazhnenie-11-2-ekran-profilya",
+                "text": "Создайте ProfileViewController с: Аватаром пользователя Именем и email Кнопками: \"Мои заказы\", \"Настройки\", \"Выход\" Показать решение",
+                "code": "import UIKit\nimport SnapKit\n\nclass ProfileViewController: UIViewController {\n\n    // MARK: - UI Elements\n\n    private let avatarImageView: UIImageView = {\n        let iv = UIImageView()\n        iv.image = UIImage(systemName: \"person.circle.fill\")\n        iv.tintColor = .systemGray\n        iv.contentMode = .scaleAspectFit\n        iv.layer.cornerRadius = 50\n        iv.clipsToBounds = true\n        return iv\n    }()\n\n    private let nameLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 24, weight: .bold)\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let emailLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16)\n        label.textColor = .secondaryLabel\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let ordersButton = ProfileMenuItem(title: \"Мои заказы\", icon: \"bag\")\n    private let settingsButton = ProfileMenuItem(title: \"Настройки\", icon: \"gearshape\")\n    private let logoutButton = ProfileMenuItem(title: \"Выход\", icon: \"arrow.right.square\", isDestructive: true)\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        configureUser()\n    }\n\n    // MARK: - Setup\n\n    private func setupUI() {\n        title = \"Профиль\"\n        view.backgroundColor = .systemBackground\n\n        let stackView = UIStackView(arrangedSubviews: [ordersButton, settingsButton, logoutButton])\n        stackView.axis = .vertical\n        stackView.spacing = 1\n        stackView.backgroundColor = .separator\n\n        view.addSubview(avatarImageView)\n        view.addSubview(nameLabel)\n        view.addSubview(emailLabel)\n        view.addSubview(stackView)\n\n        avatarImageView.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(30)\n            make.centerX.equalToSuperview()\n            make.size.equalTo(100)\n        }\n\n        nameLabel.snp.makeConstraints { make in\n            make.top.equalTo(avatarImageView.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(20)\n        }\n\n        emailLabel.snp.makeConstraints { make in\n            make.top.equalTo(nameLabel.snp.bottom).offset(4)\n            make.leading.trailing.equalToSuperview().inset(20)\n        }\n\n        stackView.snp.makeConstraints { make in\n            make.top.equalTo(emailLabel.snp.bottom).offset(40)\n            make.leading.trailing.equalToSuperview()\n        }\n\n        // Actions\n        ordersButton.onTap = { [weak self] in self?.showOrders() }\n        settingsButton.onTap = { [weak self] in self?.showSettings() }\n        logoutButton.onTap = { [weak self] in self?.logout() }\n    }\n\n    private func configureUser() {\n        nameLabel.text = \"Иван Иванов\"\n        emailLabel.text = \"ivan@example.com\"\n    }\n\n    // MARK: - Actions\n\n    private func showOrders() {\n        // navigationController?.pushViewController(OrdersVC(), animated: true)\n    }\n\n    private func showSettings() {\n        // navigationController?.pushViewController(SettingsVC(), animated: true)\n    }\n\n    private func logout() {\n        let alert = UIAlertController(\n            title: \"Выход\",\n            message: \"Вы уверены, что хотите выйти?\",\n            preferredStyle: .alert\n        )\n        alert.addAction(UIAlertAction(title: \"Отмена\", style: .cancel))\n        alert.addAction(UIAlertAction(title: \"Выйти\", style: .destructive) { _ in\n            // AuthManager.shared.signOut()\n        })\n        present(alert, animated: true)\n    }\n}\n\n// MARK: - ProfileMenuItem\n\nclass ProfileMenuItem: UIView {\n    var onTap: (() -> Void)?\n\n    init(title: String, icon: String, isDestructive: Bool = false) {\n        super.init(frame: .zero)\n\n        backgroundColor = .systemBackground\n\n        let iconView = UIImageView(image: UIImage(systemName: icon))\n        iconView.tintColor = isDestructive ? .systemRed : .label\n\n        let label = UILabel()\n        label.text = title\n        label.textColor = isDestructive ? .systemRed : .label\n\n        let chevron = UIImageView(image: UIImage(systemName: \"chevron.right\"))\n        chevron.tintColor = .tertiaryLabel\n\n        addSubview(iconView)\n        addSubview(label)\n        addSubview(chevron)\n\n        iconView.snp.makeConstraints { make in\n            make.leading.equalToSuperview().offset(20)\n            make.centerY.equalToSuperview()\n            make.size.equalTo(24)\n        }\n\n        label.snp.makeConstraints { make in\n            make.leading.equalTo(iconView.snp.trailing).offset(16)\n            make.centerY.equalToSuperview()\n        }\n\n        chevron.snp.makeConstraints { make in\n            make.trailing.equalToSuperview().offset(-20)\n            make.centerY.equalToSuperview()\n        }\n\n        self.snp.makeConstraints { make in\n            make.height.equalTo(56)\n        }\n\n        let tap = UITapGestureRecognizer(target: self, action: #selector(tapped))\n        addGestureRecognizer(tap)\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    @objc private func tapped() {\n        onTap?()\n    }\n}"
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы глубоко изучили: ✅ Полную иерархию классов UIKit — от NSObject до UICollectionView ✅ Когда какой класс использовать — таблица выбора для любой задачи ✅ Почему наследуемся от UIViewController, UIView, UITableViewCell — что они предоставляют ✅ UIView — все свойства и настройки базового элемента ✅ Жизненный цикл UIViewController — все методы и когда их использовать ✅ Основные UI компоненты — Label, Button, TextField, ImageView, StackView ✅ Auto Layout — anchors, constraints, приоритеты ✅ SnapKit — удобная вёрстка constraints ✅ UITableView и UICollectionView — списки и сетки",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 12 мы соберём приложение без Storyboard: настроим SceneDelegate, окно и навигацию полностью в коде. Совет: Запомните правило: для каждого экрана — UIViewController, для каждого кастомного UI — UIView, для ячеек — Cell классы. Всегда наследуйтесь от правильного базового класса!",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/12-programmatic-ui.html",
+        "chapter": "Глава 12",
+        "title": "Программный UI — запуск приложения без Storyboard",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы подробно разберём, как создавать iOS-приложения полностью программно, без использования Storyboard. Это профессиональный подход, который используется в большинстве коммерческих проектов. Почему программный UI?",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    Storyboard vs Programmatic UI                         │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Storyboard:                                                            │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  ✗ Конфликты при merge в Git (XML сложно мержить)               │   │\n│   │  ✗ Медленная загрузка больших Storyboard                        │   │\n│   │  ✗ Сложно переиспользовать между проектами                      │   │\n│   │  ✗ Неявные зависимости (segues, outlets)                        │   │\n│   │  ✗ Сложно делать code review                                    │   │\n│   │  ✓ Быстрый прототип для простых экранов                         │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Programmatic UI:                                                       │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  ✓ Легко мержить в Git (обычный Swift код)                      │   │\n│   │  ✓ Полный контроль над UI                                       │   │\n│   │  ✓ Легко переиспользовать компоненты                            │   │\n│   │  ✓ Явные зависимости, понятный flow                             │   │\n│   │  ✓ Code review как обычный код                                  │   │\n│   │  ✓ Быстрее компиляция (нет парсинга XML)                        │   │\n│   │  ✗ Больше кода для простых экранов                              │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.1 Настройка проекта без Storyboard",
+                "subsection": "Шаг 1: Создание проекта",
+                "anchor": "shag-1-sozdanie-proekta",
+                "text": "Откройте Xcode File → New → Project iOS → App Выберите \"Storyboard\" в Interface (мы его удалим)",
+                "code": ""
+            },
+            {
+                "section": "12.1 Настройка проекта без Storyboard",
+                "subsection": "Шаг 2: Удаление Storyboard",
+                "anchor": "shag-2-udalenie-storyboard",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    Удаление Storyboard                                   │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   1. Удалите файл Main.storyboard                                       │\n│      Project Navigator → Main.storyboard → Delete → Move to Trash       │\n│                                                                          │\n│   2. Очистите Info.plist                                                │\n│      Удалите ключ \"Main storyboard file base name\"                      │\n│      (или \"UIMainStoryboardFile\")                                       │\n│                                                                          │\n│   3. Очистите Build Settings                                            │\n│      Target → Build Settings → Search \"Main\"                            │\n│      UIKit Main Storyboard File Base Name → удалите значение            │\n│                                                                          │\n│   4. Очистите Scenes в Info.plist                                       │\n│      Application Scene Manifest → Scene Configuration →                  │\n│      → Storyboard Name → удалите                                        │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.1 Настройка проекта без Storyboard",
+                "subsection": "Шаг 3: Структура Info.plist для Scene",
+                "anchor": "shag-3-struktura-info-plist-dlya-scene",
+                "text": "",
+                "code": "<key>UIApplicationSceneManifest</key>\n<dict>\n    <key>UIApplicationSupportsMultipleScenes</key>\n    <false/>\n    <key>UISceneConfigurations</key>\n    <dict>\n        <key>UIWindowSceneSessionRoleApplication</key>\n        <array>\n            <dict>\n                <key>UISceneConfigurationName</key>\n                <string>Default Configuration</string>\n                <key>UISceneDelegateClassName</key>\n                <string>$(PRODUCT_MODULE_NAME).SceneDelegate</string>\n                <!-- НЕТ UISceneStoryboardFile -->\n            </dict>\n        </array>\n    </dict>\n</dict>"
+            },
+            {
+                "section": "12.2 AppDelegate — точка входа приложения",
+                "subsection": "",
+                "anchor": "12-2-appdelegate-tochka-vhoda-prilozheniya",
+                "text": "AppDelegate отвечает за глобальную настройку приложения: Что делает AppDelegate:",
+                "code": "// Core/AppDelegate.swift\nimport UIKit\nimport SnapKit\nimport FirebaseCore\nimport IQKeyboardManagerSwift\nimport GoogleSignIn\n\n@main\nclass AppDelegate: UIResponder, UIApplicationDelegate {\n\n    // Глобальная настройка при инициализации\n    override init() {\n        // Настройка внешнего вида Navigation Bar для всего приложения\n        UINavigationBar.appearance().tintColor = .label\n    }\n\n    func application(\n        _ application: UIApplication,\n        didFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]?\n    ) -> Bool {\n\n        // Инициализация Firebase\n        FirebaseApp.configure()\n\n        // Включение автоматического управления клавиатурой\n        IQKeyboardManager.shared.enable = true\n\n        return true\n    }\n\n    // Обработка URL для Google Sign-In\n    func application(\n        _ app: UIApplication,\n        open url: URL,\n        options: [UIApplication.OpenURLOptionsKey : Any] = [:]\n    ) -> Bool {\n        return GIDSignIn.sharedInstance.handle(url)\n    }\n\n    // MARK: - UISceneSession Lifecycle\n\n    func application(\n        _ application: UIApplication,\n        configurationForConnecting connectingSceneSession: UISceneSession,\n        options: UIScene.ConnectionOptions\n    ) -> UISceneConfiguration {\n        // Возвращаем конфигурацию сцены\n        return UISceneConfiguration(\n            name: \"Default Configuration\",\n            sessionRole: connectingSceneSession.role\n        )\n    }\n\n    func application(\n        _ application: UIApplication,\n        didDiscardSceneSessions sceneSessions: Set<UISceneSession>\n    ) {\n        // Освобождение ресурсов закрытых сцен\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                       AppDelegate Responsibilities                       │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Запуск приложения                                                      │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  @main                                                           │   │\n│   │  ↓                                                               │   │\n│   │  AppDelegate.application(_:didFinishLaunchingWithOptions:)       │   │\n│   │  ↓                                                               │   │\n│   │  • FirebaseApp.configure()     ← Инициализация сервисов         │   │\n│   │  • IQKeyboardManager.enable    ← Настройка библиотек            │   │\n│   │  • UINavigationBar.appearance() ← Глобальные стили              │   │\n│   │  ↓                                                               │   │\n│   │  return true                                                     │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Lifecycle методы:                                                      │\n│   • didFinishLaunchingWithOptions — приложение запущено                 │\n│   • configurationForConnecting — создание новой сцены                   │\n│   • didDiscardSceneSessions — сцены удалены                             │\n│   • open url — обработка URL (deep links, OAuth)                        │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.3 SceneDelegate — управление окном",
+                "subsection": "",
+                "anchor": "12-3-scenedelegate-upravlenie-oknom",
+                "text": "SceneDelegate отвечает за создание и управление окном приложения: Ключевые шаги создания окна:",
+                "code": "// Core/SceneDelegate.swift\nimport UIKit\nimport FirebaseAuth\n\nclass SceneDelegate: UIResponder, UIWindowSceneDelegate {\n\n    var window: UIWindow?\n\n    func scene(\n        _ scene: UIScene,\n        willConnectTo session: UISceneSession,\n        options connectionOptions: UIScene.ConnectionOptions\n    ) {\n        // 1. Проверяем, что получили UIWindowScene\n        guard let windowScene = (scene as? UIWindowScene) else { return }\n\n        // 2. Создаём окно программно\n        window = UIWindow(frame: windowScene.coordinateSpace.bounds)\n        window?.windowScene = windowScene\n\n        // 3. Выбираем начальный экран в зависимости от состояния\n        if Auth.auth().currentUser != nil {\n            // Пользователь авторизован → показываем главный экран\n            window?.rootViewController = MainTabBarRouter.startTabBarModule()\n        } else {\n            // Пользователь не авторизован → показываем онбординг\n            window?.rootViewController = UINavigationController(\n                rootViewController: OnboardingRouter.startOnboarding()\n            )\n        }\n\n        // 4. Делаем окно видимым\n        window?.makeKeyAndVisible()\n\n        // 5. Сохраняем ссылку на окно для смены root контроллера\n        RootWindowManager.shared.window = self.window\n    }\n\n    func sceneDidDisconnect(_ scene: UIScene) {\n        // Сцена отключена — освобождаем ресурсы\n    }\n\n    func sceneDidBecomeActive(_ scene: UIScene) {\n        // Сцена стала активной — возобновляем задачи\n    }\n\n    func sceneWillResignActive(_ scene: UIScene) {\n        // Сцена станет неактивной — приостанавливаем задачи\n    }\n\n    func sceneWillEnterForeground(_ scene: UIScene) {\n        // Сцена переходит на передний план\n    }\n\n    func sceneDidEnterBackground(_ scene: UIScene) {\n        // Сцена ушла в фон — сохраняем данные\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                    Programmatic Window Creation                          │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   scene(_:willConnectTo:options:)                                        │\n│                                                                          │\n│   Step 1: Получить WindowScene                                          │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  guard let windowScene = (scene as? UIWindowScene) else {        │   │\n│   │      return                                                      │   │\n│   │  }                                                               │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Step 2: Создать UIWindow                                              │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  window = UIWindow(frame: windowScene.coordinateSpace.bounds)    │   │\n│   │  window?.windowScene = windowScene                               │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Step 3: Установить rootViewController                                 │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  window?.rootViewController = YourViewController()               │   │\n│   │  // или                                                          │   │\n│   │  window?.rootViewController = UINavigationController(            │   │\n│   │      rootViewController: YourViewController()                    │   │\n│   │  )                                                               │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Step 4: Показать окно                                                 │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  window?.makeKeyAndVisible()                                     │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.4 RootWindowManager — смена корневого контроллера",
+                "subsection": "",
+                "anchor": "12-4-rootwindowmanager-smena-kornevogo-kontrollera",
+                "text": "Для смены экрана после логина/логаута используем менеджер окна: Использование: Диаграмма переключения:",
+                "code": "// Managers/RootWindowManager/RootWindowManager.swift\nimport Foundation\nimport UIKit.UIViewController\n\nprotocol RootWindowManagerProtocol {\n    func changeRootViewController(_ viewController: UIViewController, animated: Bool)\n}\n\nfinal class RootWindowManager: RootWindowManagerProtocol {\n\n    // Singleton для доступа из любого места\n    static let shared = RootWindowManager()\n\n    // Ссылка на текущее окно (устанавливается в SceneDelegate)\n    internal var window: UIWindow?\n\n    private init() {}\n\n    func changeRootViewController(_ viewController: UIViewController, animated: Bool) {\n        guard let window = window else {\n            return\n        }\n\n        // Анимация перехода\n        if animated {\n            UIView.transition(\n                with: window,\n                duration: 0.5,\n                options: [.transitionFlipFromLeft],\n                animations: nil,\n                completion: nil\n            )\n        }\n\n        // Замена корневого контроллера\n        window.rootViewController = viewController\n    }\n}\n// После успешного логина\nlet mainTabBar = MainTabBarRouter.startTabBarModule()\nRootWindowManager.shared.changeRootViewController(mainTabBar, animated: true)\n\n// После логаута\nlet loginVC = UINavigationController(rootViewController: LoginRouter.startLogin())\nRootWindowManager.shared.changeRootViewController(loginVC, animated: true)\n┌─────────────────────────────────────────────────────────────────────────┐\n│                    Root Controller Switching                             │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Старт приложения                                                       │\n│        │                                                                 │\n│        ↓                                                                 │\n│   ┌─────────────┐                                                        │\n│   │ SceneDelegate│                                                       │\n│   │ Auth check   │                                                       │\n│   └──────┬──────┘                                                        │\n│          │                                                               │\n│    ┌─────┴─────┐                                                         │\n│    ↓           ↓                                                         │\n│ Logged In   Not Logged In                                                │\n│    │           │                                                         │\n│    ↓           ↓                                                         │\n│ ┌──────┐   ┌──────────┐                                                  │\n│ │TabBar│   │Onboarding│                                                  │\n│ └──────┘   └────┬─────┘                                                  │\n│                 │                                                        │\n│                 ↓                                                        │\n│            ┌────────┐                                                    │\n│            │ Login  │                                                    │\n│            └───┬────┘                                                    │\n│                │                                                         │\n│                ↓ Success                                                 │\n│   RootWindowManager.changeRootViewController(TabBar)                     │\n│                │                                                         │\n│                ↓                                                         │\n│            ┌──────┐                                                      │\n│            │TabBar│  ← Новый root                                        │\n│            └──────┘                                                      │\n│                                                                          │\n│   Логаут                                                                 │\n│        │                                                                 │\n│        ↓                                                                 │\n│   RootWindowManager.changeRootViewController(Login)                      │\n│        │                                                                 │\n│        ↓                                                                 │\n│   ┌────────┐                                                             │\n│   │ Login  │  ← Новый root                                               │\n│   └────────┘                                                             │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.5 UITabBarController — программно",
+                "subsection": "",
+                "anchor": "12-5-uitabbarcontroller-programmno",
+                "text": "",
+                "code": "// Modules/MainTabBar/MainTabBarViewController.swift\nimport UIKit\n\nprotocol MainTabBarViewProtocol: AnyObject {\n    func configureTabBar()\n    func setTabBarControllers()\n    func setBasketItemsBadgeValue(value: Int)\n}\n\nfinal class MainTabBarViewController: UITabBarController {\n\n    // Создаём модули через их Router'ы\n    private let homeModule = HomeRouter.startHomeModule()\n    private let favoritesModule = FavoritesRouter.startFavoritesModule()\n    private let basketModule = BasketRouter.startBasketModule()\n    private let profileModule = ProfileRouter.startProfileModule()\n\n    internal var presenter: MainTabBarPresenterInputs!\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n}\n\nextension MainTabBarViewController: MainTabBarViewProtocol {\n\n    func configureTabBar() {\n        // Настройка внешнего вида TabBar\n        tabBar.backgroundColor = .systemGray5\n        tabBar.tintColor = .label\n        tabBar.layer.shadowOpacity = 0.75\n        tabBar.layer.cornerRadius = 8\n        tabBar.layer.shadowColor = UIColor.label.cgColor\n    }\n\n    func setTabBarControllers() {\n        setViewControllers(\n            [\n                setController(\n                    viewController: homeModule,\n                    title: \"Home\",\n                    imageName: \"house\",\n                    selectedImageName: \"house.fill\"\n                ),\n\n                setController(\n                    viewController: favoritesModule,\n                    title: \"Favorites\",\n                    imageName: \"heart\",\n                    selectedImageName: \"heart.fill\"\n                ),\n\n                setController(\n                    viewController: basketModule,\n                    title: \"Basket\",\n                    imageName: \"basket\",\n                    selectedImageName: \"basket.fill\"\n                ),\n\n                setController(\n                    viewController: profileModule,\n                    title: \"Profile\",\n                    imageName: \"person\",\n                    selectedImageName: \"person.fill\"\n                ),\n            ],\n            animated: true\n        )\n    }\n\n    func setBasketItemsBadgeValue(value: Int) {\n        // Установка badge на tab корзины\n        self.basketModule.tabBarItem.badgeValue = String(value)\n    }\n}"
+            },
+            {
+                "section": "12.5 UITabBarController — программно",
+                "subsection": "Extension для создания tab item",
+                "anchor": "extension-dlya-sozdaniya-tab-item",
+                "text": "Структура TabBar:",
+                "code": "// Utilities/Extensions/UITabBarController+Extension.swift\nimport Foundation\nimport UIKit.UITabBarController\n\nextension UITabBarController {\n\n    func setController(\n        viewController: UIViewController,\n        title: String,\n        imageName: String,\n        selectedImageName: String\n    ) -> UINavigationController {\n\n        // Настройка tabBarItem\n        viewController.tabBarItem.title = title\n        viewController.tabBarItem.image = UIImage(systemName: imageName)\n        viewController.tabBarItem.selectedImage = UIImage(systemName: selectedImageName)\n\n        // Оборачиваем в NavigationController\n        return UINavigationController(rootViewController: viewController)\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                    UITabBarController Structure                          │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   MainTabBarViewController: UITabBarController                          │\n│        │                                                                 │\n│        ├── viewControllers = [                                          │\n│        │       UINavigationController(rootViewController: homeModule),  │\n│        │       UINavigationController(rootViewController: favModule),   │\n│        │       UINavigationController(rootViewController: basketModule),│\n│        │       UINavigationController(rootViewController: profileModule)│\n│        │   ]                                                            │\n│        │                                                                 │\n│        └── tabBar                                                       │\n│             ├── Home      🏠 / 🏠(fill)                                  │\n│             ├── Favorites ❤️ / ❤️(fill)                                  │\n│             ├── Basket    🧺 / 🧺(fill)  [badge: \"3\"]                   │\n│             └── Profile   👤 / 👤(fill)                                  │\n│                                                                          │\n│   Каждый tab = UINavigationController                                   │\n│   (свой stack навигации для каждой вкладки)                             │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.6 Создание UI элементов программно",
+                "subsection": "Паттерн lazy var",
+                "anchor": "pattern-lazy-var",
+                "text": "Используем lazy var для создания UI элементов: Почему lazy var?",
+                "code": "final class HomeViewController: UIViewController {\n\n    // MARK: - UI Elements\n\n    // SearchBar\n    private lazy var searchBar: UISearchBar = {\n        let searchBar = UISearchBar()\n        searchBar.placeholder = \"Search anything\"\n        searchBar.searchBarStyle = .minimal\n        searchBar.delegate = self\n        return searchBar\n    }()\n\n    // CollectionView\n    private lazy var homeCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        let collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(\n            CategoryTitleCell.self,\n            forCellWithReuseIdentifier: CategoryTitleCell.identifier\n        )\n        collectionView.register(\n            ProductCell.self,\n            forCellWithReuseIdentifier: ProductCell.identifier\n        )\n        collectionView.keyboardDismissMode = .onDrag\n        return collectionView\n    }()\n\n    // Activity Indicator\n    private lazy var activityIndicatorView: UIActivityIndicatorView = {\n        let aiv = UIActivityIndicatorView(style: .large)\n        aiv.hidesWhenStopped = true\n        return aiv\n    }()\n\n    // Custom View\n    private lazy var customNavBarView = CustomNavBarView()\n\n    // ...\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                       lazy var Benefits                                  │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   let vs lazy var:                                                       │\n│                                                                          │\n│   let property = UILabel()                                              │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  • Создаётся при инициализации объекта                           │   │\n│   │  • Нельзя обратиться к self внутри closure                      │   │\n│   │  • Память выделяется сразу                                       │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   lazy var property: UILabel = {                                        │\n│       let label = UILabel()                                             │\n│       label.delegate = self  // ← можно использовать self              │\n│       return label                                                      │\n│   }()                                                                   │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  • Создаётся при первом обращении                                │   │\n│   │  • Можно использовать self (объект уже инициализирован)         │   │\n│   │  • Экономия памяти (если не используется — не создаётся)        │   │\n│   │  • Удобно для настройки в одном месте                           │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.6 Создание UI элементов программно",
+                "subsection": "Различные UI элементы",
+                "anchor": "razlichnye-ui-elementy",
+                "text": "",
+                "code": "// UILabel\nprivate lazy var titleLabel: UILabel = {\n    let label = UILabel()\n    label.text = \"Hello World\"\n    label.font = .systemFont(ofSize: 24, weight: .bold)\n    label.textColor = .label\n    label.textAlignment = .center\n    label.numberOfLines = 0  // Многострочный\n    return label\n}()\n\n// UIButton\nprivate lazy var submitButton: UIButton = {\n    let button = UIButton(type: .system)\n    button.setTitle(\"Submit\", for: .normal)\n    button.setTitleColor(.white, for: .normal)\n    button.backgroundColor = .systemBlue\n    button.layer.cornerRadius = 8\n    button.addTarget(self, action: #selector(submitTapped), for: .touchUpInside)\n    return button\n}()\n\n// UITextField\nprivate lazy var emailTextField: UITextField = {\n    let textField = UITextField()\n    textField.placeholder = \"Enter email\"\n    textField.borderStyle = .roundedRect\n    textField.keyboardType = .emailAddress\n    textField.autocapitalizationType = .none\n    textField.autocorrectionType = .no\n    return textField\n}()\n\n// UIImageView\nprivate lazy var profileImageView: UIImageView = {\n    let imageView = UIImageView()\n    imageView.contentMode = .scaleAspectFill\n    imageView.clipsToBounds = true\n    imageView.layer.cornerRadius = 50\n    imageView.layer.borderWidth = 2\n    imageView.layer.borderColor = UIColor.label.cgColor\n    return imageView\n}()\n\n// UITableView\nprivate lazy var tableView: UITableView = {\n    let tableView = UITableView()\n    tableView.delegate = self\n    tableView.dataSource = self\n    tableView.register(\n        CustomCell.self,\n        forCellReuseIdentifier: CustomCell.identifier\n    )\n    tableView.separatorStyle = .none\n    tableView.rowHeight = UITableView.automaticDimension\n    return tableView\n}()\n\n// UIStackView\nprivate lazy var stackView: UIStackView = {\n    let stackView = UIStackView(arrangedSubviews: [titleLabel, submitButton])\n    stackView.axis = .vertical\n    stackView.spacing = 16\n    stackView.alignment = .fill\n    stackView.distribution = .fill\n    return stackView\n}()"
+            },
+            {
+                "section": "12.7 Auto Layout программно",
+                "subsection": "Способ 1: NSLayoutConstraint (нативный)",
+                "anchor": "sposob-1-nslayoutconstraint-nativnyy",
+                "text": "",
+                "code": "func setupConstraintsNative() {\n    view.addSubview(titleLabel)\n    view.addSubview(submitButton)\n\n    // ВАЖНО: отключить autoresizing masks\n    titleLabel.translatesAutoresizingMaskIntoConstraints = false\n    submitButton.translatesAutoresizingMaskIntoConstraints = false\n\n    NSLayoutConstraint.activate([\n        // titleLabel\n        titleLabel.topAnchor.constraint(equalTo: view.safeAreaLayoutGuide.topAnchor, constant: 20),\n        titleLabel.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 16),\n        titleLabel.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -16),\n\n        // submitButton\n        submitButton.topAnchor.constraint(equalTo: titleLabel.bottomAnchor, constant: 20),\n        submitButton.leadingAnchor.constraint(equalTo: view.leadingAnchor, constant: 16),\n        submitButton.trailingAnchor.constraint(equalTo: view.trailingAnchor, constant: -16),\n        submitButton.heightAnchor.constraint(equalToConstant: 50)\n    ])\n}"
+            },
+            {
+                "section": "12.7 Auto Layout программно",
+                "subsection": "Способ 2: Anchors (более читаемый)",
+                "anchor": "sposob-2-anchors-bolee-chitaemyy",
+                "text": "",
+                "code": "func setupConstraintsAnchors() {\n    view.addSubview(titleLabel)\n    view.addSubview(submitButton)\n\n    titleLabel.translatesAutoresizingMaskIntoConstraints = false\n    submitButton.translatesAutoresizingMaskIntoConstraints = false\n\n    // titleLabel constraints\n    titleLabel.topAnchor.constraint(\n        equalTo: view.safeAreaLayoutGuide.topAnchor,\n        constant: 20\n    ).isActive = true\n\n    titleLabel.leadingAnchor.constraint(\n        equalTo: view.leadingAnchor,\n        constant: 16\n    ).isActive = true\n\n    titleLabel.trailingAnchor.constraint(\n        equalTo: view.trailingAnchor,\n        constant: -16\n    ).isActive = true\n\n    // submitButton constraints\n    submitButton.topAnchor.constraint(\n        equalTo: titleLabel.bottomAnchor,\n        constant: 20\n    ).isActive = true\n\n    submitButton.leadingAnchor.constraint(\n        equalTo: view.leadingAnchor,\n        constant: 16\n    ).isActive = true\n\n    submitButton.trailingAnchor.constraint(\n        equalTo: view.trailingAnchor,\n        constant: -16\n    ).isActive = true\n\n    submitButton.heightAnchor.constraint(equalToConstant: 50).isActive = true\n}"
+            },
+            {
+                "section": "12.7 Auto Layout программно",
+                "subsection": "Способ 3: SnapKit (рекомендуемый)",
+                "anchor": "sposob-3-snapkit-rekomenduemyy",
+                "text": "Сравнение синтаксиса:",
+                "code": "import SnapKit\n\nfunc setupConstraintsSnapKit() {\n    view.addSubview(searchBar)\n    view.addSubview(homeCollectionView)\n    view.addSubview(activityIndicatorView)\n\n    // SearchBar\n    searchBar.snp.makeConstraints { make in\n        make.top.equalTo(view.safeAreaLayoutGuide.snp.top).offset(32)\n        make.left.right.equalToSuperview().inset(8)\n    }\n\n    // CollectionView\n    homeCollectionView.snp.makeConstraints { make in\n        make.top.equalTo(searchBar.snp.bottom)\n        make.left.right.bottom.equalToSuperview()\n    }\n\n    // Activity Indicator\n    activityIndicatorView.snp.makeConstraints { make in\n        make.centerX.centerY.equalToSuperview()\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                    Auto Layout Syntax Comparison                         │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Задача: view по центру с отступами 16pt                               │\n│                                                                          │\n│   NSLayoutConstraint:                                                    │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  view.translatesAutoresizingMaskIntoConstraints = false          │   │\n│   │  NSLayoutConstraint.activate([                                   │   │\n│   │      view.centerXAnchor.constraint(equalTo: superview.centerX),  │   │\n│   │      view.centerYAnchor.constraint(equalTo: superview.centerY),  │   │\n│   │      view.leadingAnchor.constraint(equalTo: superview.leading,   │   │\n│   │                                    constant: 16),                │   │\n│   │      view.trailingAnchor.constraint(equalTo: superview.trailing, │   │\n│   │                                     constant: -16)               │   │\n│   │  ])                                                              │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│   ~ 8 строк                                                             │\n│                                                                          │\n│   SnapKit:                                                              │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  view.snp.makeConstraints { make in                              │   │\n│   │      make.center.equalToSuperview()                              │   │\n│   │      make.left.right.equalToSuperview().inset(16)                │   │\n│   │  }                                                               │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│   ~ 4 строки (в 2 раза меньше!)                                         │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.8 SnapKit — детальное руководство",
+                "subsection": "Установка SnapKit",
+                "anchor": "ustanovka-snapkit",
+                "text": "",
+                "code": "// Package.swift (SPM)\ndependencies: [\n    .package(url: \"https://github.com/SnapKit/SnapKit.git\", from: \"5.0.0\")\n]\n\n// или Podfile\npod 'SnapKit'"
+            },
+            {
+                "section": "12.8 SnapKit — детальное руководство",
+                "subsection": "Основные методы",
+                "anchor": "osnovnye-metody",
+                "text": "",
+                "code": "import SnapKit\n\n// MARK: - Создание constraints\nview.snp.makeConstraints { make in\n    // ...\n}\n\n// MARK: - Обновление constraints\nview.snp.updateConstraints { make in\n    // Изменяет только указанные constraints\n    make.height.equalTo(100)\n}\n\n// MARK: - Пересоздание constraints\nview.snp.remakeConstraints { make in\n    // Удаляет старые и создаёт новые\n}"
+            },
+            {
+                "section": "12.8 SnapKit — детальное руководство",
+                "subsection": "Привязки (anchors)",
+                "anchor": "privyazki-anchors",
+                "text": "",
+                "code": "view.snp.makeConstraints { make in\n    // К краям\n    make.top.equalToSuperview()\n    make.bottom.equalToSuperview()\n    make.left.equalToSuperview()      // или .leading\n    make.right.equalToSuperview()     // или .trailing\n\n    // Сокращённая запись\n    make.edges.equalToSuperview()                    // Все края\n    make.edges.equalToSuperview().inset(16)          // С отступами\n\n    // К центру\n    make.centerX.equalToSuperview()\n    make.centerY.equalToSuperview()\n    make.center.equalToSuperview()                   // Оба сразу\n\n    // Размеры\n    make.width.equalTo(100)\n    make.height.equalTo(50)\n    make.size.equalTo(CGSize(width: 100, height: 50))\n    make.width.height.equalTo(100)                   // Квадрат\n\n    // К другому view\n    make.top.equalTo(otherView.snp.bottom).offset(16)\n    make.left.equalTo(otherView.snp.right).offset(8)\n\n    // К Safe Area\n    make.top.equalTo(view.safeAreaLayoutGuide.snp.top)\n}"
+            },
+            {
+                "section": "12.8 SnapKit — детальное руководство",
+                "subsection": "Модификаторы",
+                "anchor": "modifikatory",
+                "text": "",
+                "code": "view.snp.makeConstraints { make in\n    // offset — добавить отступ\n    make.top.equalToSuperview().offset(20)      // +20 от верха\n    make.bottom.equalToSuperview().offset(-20)  // -20 от низа\n\n    // inset — отступы внутрь (всегда положительные)\n    make.left.right.equalToSuperview().inset(16)\n\n    // multipliedBy — умножить\n    make.width.equalToSuperview().multipliedBy(0.5)  // 50% ширины\n\n    // priority — приоритет\n    make.height.equalTo(100).priority(.high)\n    make.height.greaterThanOrEqualTo(50).priority(.required)\n\n    // lessThanOrEqualTo / greaterThanOrEqualTo\n    make.width.lessThanOrEqualTo(300)\n    make.height.greaterThanOrEqualTo(44)\n}"
+            },
+            {
+                "section": "12.8 SnapKit — детальное руководство",
+                "subsection": "Практические примеры",
+                "anchor": "prakticheskie-primery",
+                "text": "",
+                "code": "// MARK: - Пример 1: Карточка товара\nfunc setupProductCard() {\n    view.addSubview(cardView)\n    cardView.addSubview(imageView)\n    cardView.addSubview(titleLabel)\n    cardView.addSubview(priceLabel)\n\n    cardView.snp.makeConstraints { make in\n        make.top.equalTo(view.safeAreaLayoutGuide).offset(16)\n        make.left.right.equalToSuperview().inset(16)\n    }\n\n    imageView.snp.makeConstraints { make in\n        make.top.left.right.equalToSuperview()\n        make.height.equalTo(200)\n    }\n\n    titleLabel.snp.makeConstraints { make in\n        make.top.equalTo(imageView.snp.bottom).offset(12)\n        make.left.right.equalToSuperview().inset(12)\n    }\n\n    priceLabel.snp.makeConstraints { make in\n        make.top.equalTo(titleLabel.snp.bottom).offset(8)\n        make.left.right.equalToSuperview().inset(12)\n        make.bottom.equalToSuperview().inset(12)\n    }\n}\n\n// MARK: - Пример 2: Форма логина\nfunc setupLoginForm() {\n    view.addSubview(logoImageView)\n    view.addSubview(emailTextField)\n    view.addSubview(passwordTextField)\n    view.addSubview(loginButton)\n\n    logoImageView.snp.makeConstraints { make in\n        make.top.equalTo(view.safeAreaLayoutGuide).offset(60)\n        make.centerX.equalToSuperview()\n        make.size.equalTo(100)\n    }\n\n    emailTextField.snp.makeConstraints { make in\n        make.top.equalTo(logoImageView.snp.bottom).offset(40)\n        make.left.right.equalToSuperview().inset(24)\n        make.height.equalTo(50)\n    }\n\n    passwordTextField.snp.makeConstraints { make in\n        make.top.equalTo(emailTextField.snp.bottom).offset(16)\n        make.left.right.height.equalTo(emailTextField)\n    }\n\n    loginButton.snp.makeConstraints { make in\n        make.top.equalTo(passwordTextField.snp.bottom).offset(24)\n        make.left.right.equalToSuperview().inset(24)\n        make.height.equalTo(50)\n    }\n}\n\n// MARK: - Пример 3: Ячейка с иконкой и текстом\nfunc setupCell() {\n    contentView.addSubview(iconImageView)\n    contentView.addSubview(titleLabel)\n    contentView.addSubview(arrowImageView)\n\n    iconImageView.snp.makeConstraints { make in\n        make.left.equalToSuperview().offset(16)\n        make.centerY.equalToSuperview()\n        make.size.equalTo(40)\n    }\n\n    titleLabel.snp.makeConstraints { make in\n        make.left.equalTo(iconImageView.snp.right).offset(12)\n        make.centerY.equalToSuperview()\n        make.right.lessThanOrEqualTo(arrowImageView.snp.left).offset(-8)\n    }\n\n    arrowImageView.snp.makeConstraints { make in\n        make.right.equalToSuperview().inset(16)\n        make.centerY.equalToSuperview()\n        make.size.equalTo(20)\n    }\n}"
+            },
+            {
+                "section": "12.9 Навигация программно",
+                "subsection": "UINavigationController",
+                "anchor": "uinavigationcontroller",
+                "text": "",
+                "code": "// Создание Navigation Controller\nlet viewController = HomeViewController()\nlet navigationController = UINavigationController(rootViewController: viewController)\n\n// Push (добавить в стек)\nnavigationController.pushViewController(detailVC, animated: true)\n\n// Pop (вернуться назад)\nnavigationController.popViewController(animated: true)\n\n// Pop to root (вернуться к первому экрану)\nnavigationController.popToRootViewController(animated: true)\n\n// Pop to specific controller\nif let targetVC = navigationController.viewControllers.first(where: { $0 is HomeViewController }) {\n    navigationController.popToViewController(targetVC, animated: true)\n}"
+            },
+            {
+                "section": "12.9 Навигация программно",
+                "subsection": "Present / Dismiss",
+                "anchor": "present-dismiss",
+                "text": "",
+                "code": "// Present модально\nlet modalVC = ModalViewController()\nmodalVC.modalPresentationStyle = .fullScreen  // или .pageSheet, .formSheet\nmodalVC.modalTransitionStyle = .coverVertical  // или .crossDissolve, .flipHorizontal\npresent(modalVC, animated: true)\n\n// С Navigation Controller\nlet navController = UINavigationController(rootViewController: modalVC)\nnavController.modalPresentationStyle = .fullScreen\npresent(navController, animated: true)\n\n// Dismiss\ndismiss(animated: true, completion: nil)"
+            },
+            {
+                "section": "12.9 Навигация программно",
+                "subsection": "Передача данных",
+                "anchor": "peredacha-dannyh",
+                "text": "",
+                "code": "// Способ 1: Через инициализатор\nclass DetailViewController: UIViewController {\n    private let product: Product\n\n    init(product: Product) {\n        self.product = product\n        super.init(nibName: nil, bundle: nil)\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n}\n\n// Использование\nlet detailVC = DetailViewController(product: selectedProduct)\nnavigationController?.pushViewController(detailVC, animated: true)\n\n// Способ 2: Через свойство\nclass DetailViewController: UIViewController {\n    var product: Product?\n}\n\n// Использование\nlet detailVC = DetailViewController()\ndetailVC.product = selectedProduct\nnavigationController?.pushViewController(detailVC, animated: true)\n\n// Способ 3: Через делегат (для обратной передачи)\nprotocol DetailViewControllerDelegate: AnyObject {\n    func didSelectOption(_ option: String)\n}\n\nclass DetailViewController: UIViewController {\n    weak var delegate: DetailViewControllerDelegate?\n\n    func selectOption() {\n        delegate?.didSelectOption(\"Selected\")\n        navigationController?.popViewController(animated: true)\n    }\n}"
+            },
+            {
+                "section": "12.10 Создание ячеек программно",
+                "subsection": "UICollectionViewCell",
+                "anchor": "uicollectionviewcell",
+                "text": "",
+                "code": "final class ProductCell: UICollectionViewCell {\n\n    // Идентификатор для регистрации\n    static let identifier = \"ProductCell\"\n\n    // MARK: - UI Elements\n    private lazy var productImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.contentMode = .scaleAspectFill\n        imageView.clipsToBounds = true\n        imageView.layer.cornerRadius = 8\n        return imageView\n    }()\n\n    private lazy var titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 14, weight: .medium)\n        label.textColor = .label\n        label.numberOfLines = 2\n        return label\n    }()\n\n    private lazy var priceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16, weight: .bold)\n        label.textColor = .systemBlue\n        return label\n    }()\n\n    private lazy var favoriteButton: UIButton = {\n        let button = UIButton()\n        button.setImage(UIImage(systemName: \"heart\"), for: .normal)\n        button.tintColor = .systemRed\n        button.addTarget(self, action: #selector(favoriteTapped), for: .touchUpInside)\n        return button\n    }()\n\n    // MARK: - Init\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        contentView.addSubview(productImageView)\n        contentView.addSubview(titleLabel)\n        contentView.addSubview(priceLabel)\n        contentView.addSubview(favoriteButton)\n\n        productImageView.snp.makeConstraints { make in\n            make.top.left.right.equalToSuperview()\n            make.height.equalTo(contentView.snp.width)  // Квадрат\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(productImageView.snp.bottom).offset(8)\n            make.left.right.equalToSuperview().inset(4)\n        }\n\n        priceLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(4)\n            make.left.equalToSuperview().offset(4)\n            make.bottom.lessThanOrEqualToSuperview().inset(4)\n        }\n\n        favoriteButton.snp.makeConstraints { make in\n            make.top.right.equalToSuperview().inset(8)\n            make.size.equalTo(32)\n        }\n    }\n\n    // MARK: - Configure\n    func configure(with product: Product, isFavorite: Bool) {\n        titleLabel.text = product.title\n        priceLabel.text = \"$\\(product.price)\"\n\n        // Загрузка изображения (SDWebImage)\n        productImageView.sd_setImage(with: URL(string: product.image))\n\n        // Обновление кнопки избранного\n        let imageName = isFavorite ? \"heart.fill\" : \"heart\"\n        favoriteButton.setImage(UIImage(systemName: imageName), for: .normal)\n    }\n\n    // MARK: - Actions\n    @objc private func favoriteTapped() {\n        // Обработка через делегат\n    }\n\n    // MARK: - Reuse\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        productImageView.image = nil\n        titleLabel.text = nil\n        priceLabel.text = nil\n    }\n}"
+            },
+            {
+                "section": "12.10 Создание ячеек программно",
+                "subsection": "UITableViewCell",
+                "anchor": "uitableviewcell",
+                "text": "",
+                "code": "final class SettingsCell: UITableViewCell {\n\n    static let identifier = \"SettingsCell\"\n\n    // MARK: - UI Elements\n    private lazy var iconImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.contentMode = .scaleAspectFit\n        imageView.tintColor = .label\n        return imageView\n    }()\n\n    private lazy var titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16)\n        label.textColor = .label\n        return label\n    }()\n\n    // MARK: - Init\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        contentView.addSubview(iconImageView)\n        contentView.addSubview(titleLabel)\n\n        iconImageView.snp.makeConstraints { make in\n            make.left.equalToSuperview().offset(16)\n            make.centerY.equalToSuperview()\n            make.size.equalTo(24)\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.left.equalTo(iconImageView.snp.right).offset(12)\n            make.centerY.equalToSuperview()\n            make.right.equalToSuperview().inset(16)\n        }\n\n        // Стандартная стрелка\n        accessoryType = .disclosureIndicator\n    }\n\n    // MARK: - Configure\n    func configure(icon: String, title: String) {\n        iconImageView.image = UIImage(systemName: icon)\n        titleLabel.text = title\n    }\n}"
+            },
+            {
+                "section": "12.11 Полный пример ViewController",
+                "subsection": "",
+                "anchor": "12-11-polnyy-primer-viewcontroller",
+                "text": "",
+                "code": "import UIKit\nimport SnapKit\n\nfinal class HomeViewController: UIViewController {\n\n    // MARK: - UI Elements\n\n    private lazy var customNavBarView = CustomNavBarView()\n\n    private lazy var searchBar: UISearchBar = {\n        let searchBar = UISearchBar()\n        searchBar.placeholder = \"Search anything\"\n        searchBar.searchBarStyle = .minimal\n        searchBar.delegate = self\n        return searchBar\n    }()\n\n    private lazy var homeCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        let collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(\n            CategoryTitleCell.self,\n            forCellWithReuseIdentifier: CategoryTitleCell.identifier\n        )\n        collectionView.register(\n            ProductCell.self,\n            forCellWithReuseIdentifier: ProductCell.identifier\n        )\n        collectionView.keyboardDismissMode = .onDrag\n        return collectionView\n    }()\n\n    private lazy var activityIndicatorView: UIActivityIndicatorView = {\n        let aiv = UIActivityIndicatorView(style: .large)\n        aiv.hidesWhenStopped = true\n        return aiv\n    }()\n\n    // MARK: - Properties\n    internal var presenter: HomePresenterInputs!\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n}\n\n// MARK: - HomeViewProtocol\nextension HomeViewController: HomeViewProtocol {\n\n    func setViewBackgroundColor(color: UIColor) {\n        view.backgroundColor = color\n    }\n\n    func prepareNavBarView() {\n        navigationController?.navigationBar.addSubview(customNavBarView)\n    }\n\n    func setNavBarAndTabBarVisibility() {\n        navigationController?.navigationBar.isHidden = false\n        tabBarController?.tabBar.isHidden = false\n    }\n\n    func prepareSearchBar() {\n        view.addSubview(searchBar)\n\n        searchBar.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide.snp.top).offset(32)\n            make.left.right.equalToSuperview().inset(8)\n        }\n    }\n\n    func prepareHomeCollectionView() {\n        view.addSubview(homeCollectionView)\n\n        homeCollectionView.snp.makeConstraints { make in\n            make.top.equalTo(searchBar.snp.bottom)\n            make.left.right.bottom.equalToSuperview()\n        }\n    }\n\n    func prepareActivtyIndicatorView() {\n        view.addSubview(activityIndicatorView)\n\n        activityIndicatorView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func startLoading() {\n        DispatchQueue.main.async { [weak self] in\n            self?.activityIndicatorView.startAnimating()\n        }\n    }\n\n    func endLoading() {\n        DispatchQueue.main.async { [weak self] in\n            self?.activityIndicatorView.stopAnimating()\n        }\n    }\n\n    func dataRefreshed() {\n        homeCollectionView.reloadData()\n    }\n\n    func onError(message: String) {\n        showAlert(title: \"\", message: message)\n    }\n}\n\n// MARK: - UISearchBarDelegate\nextension HomeViewController: UISearchBarDelegate {\n    func searchBar(_ searchBar: UISearchBar, textDidChange searchText: String) {\n        presenter.searchTextDidChange(text: searchText)\n    }\n}\n\n// MARK: - UICollectionViewDelegate & DataSource\nextension HomeViewController: UICollectionViewDelegate,\n                              UICollectionViewDataSource,\n                              UICollectionViewDelegateFlowLayout {\n\n    func numberOfSections(in collectionView: UICollectionView) -> Int {\n        return presenter.numberOfSection()\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        numberOfItemsInSection section: Int\n    ) -> Int {\n        return presenter.numberOfItemsInSection(section: section)\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        cellForItemAt indexPath: IndexPath\n    ) -> UICollectionViewCell {\n        // Логика создания ячеек\n        // ...\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        layout collectionViewLayout: UICollectionViewLayout,\n        sizeForItemAt indexPath: IndexPath\n    ) -> CGSize {\n        return presenter.sizeForItemAt(indexPath: indexPath)\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        didSelectItemAt indexPath: IndexPath\n    ) {\n        collectionView.deselectItem(at: indexPath, animated: true)\n        presenter.didSelectItemAt(indexPath: indexPath)\n    }\n}"
+            },
+            {
+                "section": "12.12 Чек-лист программного UI",
+                "subsection": "",
+                "anchor": "12-12-chek-list-programmnogo-ui",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    Programmatic UI Checklist                             │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Настройка проекта:                                                     │\n│   □ Удалить Main.storyboard                                             │\n│   □ Очистить Info.plist (UIMainStoryboardFile)                          │\n│   □ Очистить Build Settings (Main Storyboard)                           │\n│   □ Настроить SceneDelegate                                             │\n│                                                                          │\n│   SceneDelegate:                                                         │\n│   □ Создать UIWindow                                                    │\n│   □ Установить windowScene                                              │\n│   □ Установить rootViewController                                       │\n│   □ Вызвать makeKeyAndVisible()                                         │\n│                                                                          │\n│   ViewController:                                                        │\n│   □ Использовать lazy var для UI элементов                              │\n│   □ Создать метод setupUI() или setupConstraints()                      │\n│   □ Вызвать setup в viewDidLoad()                                       │\n│   □ Добавить subviews перед constraints                                 │\n│                                                                          │\n│   Auto Layout:                                                           │\n│   □ addSubview() перед constraints                                      │\n│   □ translatesAutoresizingMaskIntoConstraints = false                   │\n│      (не нужно при использовании SnapKit)                               │\n│   □ Активировать constraints                                            │\n│                                                                          │\n│   Cells:                                                                 │\n│   □ static let identifier                                               │\n│   □ override init(frame:) для Collection                                │\n│   □ override init(style:reuseIdentifier:) для Table                     │\n│   □ required init?(coder:) с fatalError                                 │\n│   □ prepareForReuse() для очистки                                       │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "12.13 Итоги главы",
+                "subsection": "",
+                "anchor": "12-13-itogi-glavy",
+                "text": "В этой главе мы изучили: Тема Описание Удаление StoryboardНастройка проекта без Main.storyboard AppDelegateГлобальная настройка приложения SceneDelegateСоздание окна и установка rootViewController RootWindowManagerСмена корневого контроллера с анимацией UITabBarControllerПрограммное создание Tab Bar lazy varПаттерн для создания UI элементов Auto LayoutNSLayoutConstraint, Anchors, SnapKit SnapKitУдобная библиотека для constraints NavigationPush, Pop, Present, Dismiss CellsUICollectionViewCell и UITableViewCell программно Ключевые преимущества программного UI: Лучший контроль версий (Git) Переиспользуемые компоненты Понятный flow приложения Быстрая компиляция Удобный code review",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/13-viper.html",
+        "chapter": "Глава 13",
+        "title": "Архитектура VIPER",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Архитектура — это способ организации кода. Хорошая архитектура делает код: Понятным и читаемым Легко тестируемым Простым для расширения Удобным для командной работы VIPER — это архитектурный паттерн, разделяющий код на 5 компонентов с чёткими обязанностями.",
+                "code": ""
+            },
+            {
+                "section": "13.1 Зачем нужна архитектура",
+                "subsection": "Проблема \"Massive View Controller\"",
+                "anchor": "problema-massive-view-controller",
+                "text": "Без архитектуры весь код оказывается в ViewController: Проблемы: Сложно найти нужный код Невозможно тестировать Трудно работать в команде Сложно вносить изменения",
+                "code": "// ❌ ПЛОХО: 1000+ строк в одном файле\nclass ProductViewController: UIViewController {\n    // UI элементы\n    // Сетевые запросы\n    // Бизнес-логика\n    // Навигация\n    // Работа с БД\n    // ...\n}"
+            },
+            {
+                "section": "13.1 Зачем нужна архитектура",
+                "subsection": "Решение: разделение ответственности",
+                "anchor": "reshenie-razdelenie-otvetstvennosti",
+                "text": "",
+                "code": "// ✅ ХОРОШО: каждый файл отвечает за одно\nView        // Только отображение\nInteractor  // Только бизнес-логика\nPresenter   // Только подготовка данных\nEntity      // Только модели данных\nRouter      // Только навигация"
+            },
+            {
+                "section": "13.2 Обзор архитектур",
+                "subsection": "MVC (Model-View-Controller)",
+                "anchor": "mvc-model-view-controller",
+                "text": "Минусы: Controller становится огромным",
+                "code": "┌─────────┐     ┌────────────┐     ┌───────┐\n│  Model  │◄────│ Controller │────►│ View  │\n└─────────┘     └────────────┘     └───────┘"
+            },
+            {
+                "section": "13.2 Обзор архитектур",
+                "subsection": "MVP (Model-View-Presenter)",
+                "anchor": "mvp-model-view-presenter",
+                "text": "Лучше: Presenter можно тестировать",
+                "code": "┌─────────┐     ┌───────────┐     ┌───────┐\n│  Model  │◄────│ Presenter │◄────│ View  │\n└─────────┘     └───────────┘     └───────┘"
+            },
+            {
+                "section": "13.2 Обзор архитектур",
+                "subsection": "MVVM (Model-View-ViewModel)",
+                "anchor": "mvvm-model-view-viewmodel",
+                "text": "Популярен: Особенно со SwiftUI и Combine",
+                "code": "┌─────────┐     ┌───────────┐     ┌───────┐\n│  Model  │◄────│ ViewModel │◄───►│ View  │\n└─────────┘     └───────────┘     └───────┘\n                     ▲ binding"
+            },
+            {
+                "section": "13.2 Обзор архитектур",
+                "subsection": "VIPER",
+                "anchor": "viper",
+                "text": "",
+                "code": "┌──────────┐   ┌───────────┐   ┌────────┐\n│  Entity  │◄──│ Interactor│◄──│Presenter│\n└──────────┘   └───────────┘   └────┬───┘\n                                    │\n                               ┌────▼───┐\n┌──────────┐                   │  View  │\n│  Router  │◄──────────────────┤        │\n└──────────┘                   └────────┘"
+            },
+            {
+                "section": "13.3 Компоненты VIPER",
+                "subsection": "",
+                "anchor": "13-3-komponenty-viper",
+                "text": "Компонент Ответственность Аналогия ViewОтображение UI, получение вводаОфициант — принимает заказы, приносит еду InteractorБизнес-логика, работа с даннымиПовар — готовит блюда PresenterСвязь View и InteractorМенеджер зала — координирует EntityМодели данныхИнгредиенты RouterНавигацияХостес — провожает к столику",
+                "code": ""
+            },
+            {
+                "section": "13.4 View",
+                "subsection": "",
+                "anchor": "13-4-view",
+                "text": "View отвечает только за отображение. Не содержит логики.",
+                "code": "// MARK: - Protocol\nprotocol ProductListViewProtocol: AnyObject {\n    func showProducts(_ products: [ProductViewModel])\n    func showLoading()\n    func hideLoading()\n    func showError(_ message: String)\n}\n\n// MARK: - View Controller\nfinal class ProductListViewController: UIViewController {\n\n    // MARK: - Properties\n    var presenter: ProductListPresenterProtocol!\n\n    private let tableView = UITableView()\n    private let activityIndicator = UIActivityIndicatorView(style: .large)\n    private var products: [ProductViewModel] = []\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        presenter.viewDidLoad()  // Сообщаем Presenter\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        title = \"Товары\"\n        view.backgroundColor = .systemBackground\n\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(ProductCell.self, forCellReuseIdentifier: \"ProductCell\")\n\n        view.addSubview(tableView)\n        view.addSubview(activityIndicator)\n\n        tableView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n\n        activityIndicator.snp.makeConstraints { make in\n            make.center.equalToSuperview()\n        }\n    }\n}\n\n// MARK: - ProductListViewProtocol\nextension ProductListViewController: ProductListViewProtocol {\n\n    func showProducts(_ products: [ProductViewModel]) {\n        self.products = products\n        tableView.reloadData()\n    }\n\n    func showLoading() {\n        activityIndicator.startAnimating()\n        tableView.isHidden = true\n    }\n\n    func hideLoading() {\n        activityIndicator.stopAnimating()\n        tableView.isHidden = false\n    }\n\n    func showError(_ message: String) {\n        let alert = UIAlertController(title: \"Ошибка\", message: message, preferredStyle: .alert)\n        alert.addAction(UIAlertAction(title: \"OK\", style: .default))\n        present(alert, animated: true)\n    }\n}\n\n// MARK: - UITableViewDataSource\nextension ProductListViewController: UITableViewDataSource {\n\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        products.count\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        let cell = tableView.dequeueReusableCell(withIdentifier: \"ProductCell\", for: indexPath) as! ProductCell\n        cell.configure(with: products[indexPath.row])\n        return cell\n    }\n}\n\n// MARK: - UITableViewDelegate\nextension ProductListViewController: UITableViewDelegate {\n\n    func tableView(_ tableView: UITableView, didSelectRowAt indexPath: IndexPath) {\n        tableView.deselectRow(at: indexPath, animated: true)\n        presenter.didSelectProduct(at: indexPath.row)  // Делегируем Presenter'у\n    }\n}"
+            },
+            {
+                "section": "13.5 Interactor",
+                "subsection": "",
+                "anchor": "13-5-interactor",
+                "text": "Interactor содержит бизнес-логику и работу с данными.",
+                "code": "// MARK: - Protocol\nprotocol ProductListInteractorProtocol {\n    func fetchProducts()\n    func getProduct(at index: Int) -> Product?\n}\n\nprotocol ProductListInteractorOutputProtocol: AnyObject {\n    func didFetchProducts(_ products: [Product])\n    func didFailFetchProducts(_ error: Error)\n}\n\n// MARK: - Interactor\nfinal class ProductListInteractor {\n\n    // MARK: - Properties\n    weak var presenter: ProductListInteractorOutputProtocol?\n\n    private let networkService: NetworkServiceProtocol\n    private let cacheService: CacheServiceProtocol\n    private var products: [Product] = []\n\n    // MARK: - Init\n    init(networkService: NetworkServiceProtocol, cacheService: CacheServiceProtocol) {\n        self.networkService = networkService\n        self.cacheService = cacheService\n    }\n}\n\n// MARK: - ProductListInteractorProtocol\nextension ProductListInteractor: ProductListInteractorProtocol {\n\n    func fetchProducts() {\n        // Сначала пробуем из кэша\n        if let cached = cacheService.getProducts(), !cached.isEmpty {\n            self.products = cached\n            presenter?.didFetchProducts(cached)\n        }\n\n        // Затем загружаем из сети\n        networkService.fetchProducts { [weak self] result in\n            switch result {\n            case .success(let products):\n                self?.products = products\n                self?.cacheService.saveProducts(products)\n                self?.presenter?.didFetchProducts(products)\n\n            case .failure(let error):\n                self?.presenter?.didFailFetchProducts(error)\n            }\n        }\n    }\n\n    func getProduct(at index: Int) -> Product? {\n        guard products.indices.contains(index) else { return nil }\n        return products[index]\n    }\n}"
+            },
+            {
+                "section": "13.6 Presenter",
+                "subsection": "",
+                "anchor": "13-6-presenter",
+                "text": "Presenter — связующее звено между View и Interactor.",
+                "code": "// MARK: - Protocol\nprotocol ProductListPresenterProtocol {\n    func viewDidLoad()\n    func didSelectProduct(at index: Int)\n    func didTapRefresh()\n}\n\n// MARK: - Presenter\nfinal class ProductListPresenter {\n\n    // MARK: - Properties\n    weak var view: ProductListViewProtocol?\n    var interactor: ProductListInteractorProtocol!\n    var router: ProductListRouterProtocol!\n}\n\n// MARK: - ProductListPresenterProtocol\nextension ProductListPresenter: ProductListPresenterProtocol {\n\n    func viewDidLoad() {\n        view?.showLoading()\n        interactor.fetchProducts()\n    }\n\n    func didSelectProduct(at index: Int) {\n        guard let product = interactor.getProduct(at: index) else { return }\n        router.navigateToProductDetail(product)\n    }\n\n    func didTapRefresh() {\n        view?.showLoading()\n        interactor.fetchProducts()\n    }\n}\n\n// MARK: - ProductListInteractorOutputProtocol\nextension ProductListPresenter: ProductListInteractorOutputProtocol {\n\n    func didFetchProducts(_ products: [Product]) {\n        view?.hideLoading()\n\n        // Преобразуем Entity в ViewModel для View\n        let viewModels = products.map { product in\n            ProductViewModel(\n                id: product.id,\n                title: product.name,\n                price: String(format: \"$%.2f\", product.price),\n                imageURL: product.imageURL\n            )\n        }\n\n        view?.showProducts(viewModels)\n    }\n\n    func didFailFetchProducts(_ error: Error) {\n        view?.hideLoading()\n        view?.showError(error.localizedDescription)\n    }\n}"
+            },
+            {
+                "section": "13.7 Entity",
+                "subsection": "",
+                "anchor": "13-7-entity",
+                "text": "Entity — это модели данных.",
+                "code": "// MARK: - Domain Entity (для бизнес-логики)\nstruct Product: Codable {\n    let id: Int\n    let name: String\n    let price: Double\n    let description: String\n    let imageURL: String\n    let category: String\n    let inStock: Bool\n}\n\n// MARK: - ViewModel (для отображения)\nstruct ProductViewModel {\n    let id: Int\n    let title: String\n    let price: String  // Уже отформатированная цена\n    let imageURL: String\n}\n\n// MARK: - API Response\nstruct ProductsResponse: Codable {\n    let products: [Product]\n    let total: Int\n    let page: Int\n}"
+            },
+            {
+                "section": "13.8 Router",
+                "subsection": "",
+                "anchor": "13-8-router",
+                "text": "Router отвечает за навигацию.",
+                "code": "// MARK: - Protocol\nprotocol ProductListRouterProtocol {\n    func navigateToProductDetail(_ product: Product)\n    func navigateToCart()\n    func navigateToSearch()\n}\n\n// MARK: - Router\nfinal class ProductListRouter {\n\n    // MARK: - Properties\n    weak var viewController: UIViewController?\n\n    // MARK: - Static Builder\n    static func createModule() -> UIViewController {\n        let view = ProductListViewController()\n        let presenter = ProductListPresenter()\n        let interactor = ProductListInteractor(\n            networkService: NetworkService(),\n            cacheService: CacheService()\n        )\n        let router = ProductListRouter()\n\n        // Связываем компоненты\n        view.presenter = presenter\n        presenter.view = view\n        presenter.interactor = interactor\n        presenter.router = router\n        interactor.presenter = presenter\n        router.viewController = view\n\n        return view\n    }\n}\n\n// MARK: - ProductListRouterProtocol\nextension ProductListRouter: ProductListRouterProtocol {\n\n    func navigateToProductDetail(_ product: Product) {\n        let detailVC = ProductDetailRouter.createModule(with: product)\n        viewController?.navigationController?.pushViewController(detailVC, animated: true)\n    }\n\n    func navigateToCart() {\n        let cartVC = CartRouter.createModule()\n        viewController?.navigationController?.pushViewController(cartVC, animated: true)\n    }\n\n    func navigateToSearch() {\n        let searchVC = SearchRouter.createModule()\n        viewController?.present(searchVC, animated: true)\n    }\n}"
+            },
+            {
+                "section": "13.9 Взаимодействие компонентов",
+                "subsection": "Диаграмма потока данных",
+                "anchor": "diagramma-potoka-dannyh",
+                "text": "",
+                "code": "Пользователь нажимает на товар\n         │\n         ▼\n    ┌─────────┐\n    │  View   │ didSelectProduct(at: 0)\n    └────┬────┘\n         │\n         ▼\n    ┌─────────┐\n    │Presenter│ → получает товар от Interactor\n    └────┬────┘\n         │\n         ▼\n    ┌─────────┐\n    │ Router  │ navigateToProductDetail(product)\n    └────┬────┘\n         │\n         ▼\n    Открывается экран товара"
+            },
+            {
+                "section": "13.9 Взаимодействие компонентов",
+                "subsection": "Диаграмма загрузки данных",
+                "anchor": "diagramma-zagruzki-dannyh",
+                "text": "",
+                "code": "View.viewDidLoad()\n         │\n         ▼\nPresenter.viewDidLoad()\n    │    └──► View.showLoading()\n    │\n    ▼\nInteractor.fetchProducts()\n    │\n    ▼\nNetwork Request\n    │\n    ▼\nInteractor.didFetchProducts()\n         │\n         ▼\nPresenter.didFetchProducts()\n    │    └──► преобразование в ViewModel\n    │\n    ▼\nView.showProducts(viewModels)\n    └──► View.hideLoading()"
+            },
+            {
+                "section": "13.10 Создание VIPER модуля с нуля",
+                "subsection": "Структура файлов",
+                "anchor": "struktura-faylov",
+                "text": "",
+                "code": "ProductList/\n├── ProductListViewController.swift   (View)\n├── ProductListPresenter.swift\n├── ProductListInteractor.swift\n├── ProductListRouter.swift\n├── ProductListProtocols.swift        (Все протоколы)\n├── ProductListEntity.swift           (ViewModel)\n└── Views/\n    └── ProductCell.swift"
+            },
+            {
+                "section": "13.10 Создание VIPER модуля с нуля",
+                "subsection": "Файл протоколов",
+                "anchor": "fayl-protokolov",
+                "text": "",
+                "code": "// ProductListProtocols.swift\n\nimport UIKit\n\n// MARK: - View\nprotocol ProductListViewProtocol: AnyObject {\n    var presenter: ProductListPresenterProtocol! { get set }\n\n    func showProducts(_ products: [ProductViewModel])\n    func showLoading()\n    func hideLoading()\n    func showError(_ message: String)\n}\n\n// MARK: - Presenter\nprotocol ProductListPresenterProtocol: AnyObject {\n    var view: ProductListViewProtocol? { get set }\n    var interactor: ProductListInteractorProtocol! { get set }\n    var router: ProductListRouterProtocol! { get set }\n\n    func viewDidLoad()\n    func didSelectProduct(at index: Int)\n}\n\n// MARK: - Interactor Input\nprotocol ProductListInteractorProtocol: AnyObject {\n    var presenter: ProductListInteractorOutputProtocol? { get set }\n\n    func fetchProducts()\n    func getProduct(at index: Int) -> Product?\n}\n\n// MARK: - Interactor Output\nprotocol ProductListInteractorOutputProtocol: AnyObject {\n    func didFetchProducts(_ products: [Product])\n    func didFailFetchProducts(_ error: Error)\n}\n\n// MARK: - Router\nprotocol ProductListRouterProtocol: AnyObject {\n    var viewController: UIViewController? { get set }\n\n    static func createModule() -> UIViewController\n    func navigateToProductDetail(_ product: Product)\n}"
+            },
+            {
+                "section": "13.11 Упражнения",
+                "subsection": "Упражнение 13.1: Модуль корзины",
+                "anchor": "uprazhnenie-13-1-modul-korziny",
+                "text": "Создайте VIPER модуль для корзины с функциями: Отображение товаров в корзине Изменение количества Удаление товара Расчёт итоговой суммы",
+                "code": ""
+            },
+            {
+                "section": "13.11 Упражнения",
+                "subsection": "Упражнение 13.2: Модуль авторизации",
+                "anchor": "uprazhnenie-13-2-modul-avtorizatsii",
+                "text": "Создайте VIPER модуль для входа с: Полями email и пароль Валидацией ввода Авторизацией через сервис Переходом на главный экран",
+                "code": ""
+            },
+            {
+                "section": "Итоги главы",
+                "subsection": "",
+                "anchor": "itogi-glavy",
+                "text": "В этой главе вы узнали: ✅ Зачем нужна архитектура и проблема \"Massive VC\" ✅ Обзор архитектур: MVC, MVP, MVVM, VIPER ✅ 5 компонентов VIPER: View, Interactor, Presenter, Entity, Router ✅ Ответственность каждого компонента ✅ Как компоненты взаимодействуют ✅ Как создать VIPER модуль с нуля",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 14 мы начнём создавать наше приложение интернет-магазина с нуля! Совет: VIPER кажется сложным на первый взгляд, но после создания 2-3 модулей вы оцените его преимущества. Код становится предсказуемым, легко тестируемым и масштабируемым.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/14-project-setup.html",
+        "chapter": "Глава 14",
+        "title": "Настройка проекта",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы создадим полную инфраструктуру приложения интернет-магазина. Вы научитесь: Правильно структурировать iOS проект Настраивать менеджеры для работы с данными Создавать сетевой слой с протоколами Обрабатывать ошибки типизированно Интегрировать Firebase и другие зависимости Аналогия с веб-разработкой: Это как настройка webpack, создание папок src/, components/, services/ и установка npm пакетов в JavaScript проекте.",
+                "code": ""
+            },
+            {
+                "section": "14.1 Создание проекта в Xcode",
+                "subsection": "Шаг 1: Новый проект",
+                "anchor": "shag-1-novyy-proekt",
+                "text": "Откройте Xcode File → New → Project Выберите iOS → App Заполните поля: Снимите галочки с Use Core Data и Include Tests (добавим позже) Сохраните проект",
+                "code": "Product Name:           ECommerce\nTeam:                   Ваш Apple ID\nOrganization Identifier: com.yourname\nInterface:              Storyboard\nLanguage:               Swift"
+            },
+            {
+                "section": "14.1 Создание проекта в Xcode",
+                "subsection": "Шаг 2: Удаление Storyboard (опционально)",
+                "anchor": "shag-2-udalenie-storyboard-optsionalno",
+                "text": "Мы будем использовать программную вёрстку — это даёт больше контроля и упрощает работу в команде. Удалите Main.storyboard В Info.plist удалите ключ Main storyboard file base name В Project → Targets → Info удалите Storyboard Name из Application Scene Manifest",
+                "code": ""
+            },
+            {
+                "section": "14.2 Полная структура проекта",
+                "subsection": "",
+                "anchor": "14-2-polnaya-struktura-proekta",
+                "text": "Создайте следующую структуру папок (правый клик → New Group): Почему такая структура? Managers — переиспользуемая бизнес-логика (аналог сервисов в Angular/React) Entities — модели данных (аналог TypeScript интерфейсов) Services — работа с API (аналог fetch/axios в JS) Modules — экраны по VIPER (аналог страниц/компонентов) Utilities — хелперы и расширения",
+                "code": "ECommerce/\n│\n├── Core/                           # Жизненный цикл приложения\n│   ├── AppDelegate.swift\n│   └── SceneDelegate.swift\n│\n├── Managers/                       # Бизнес-логика и менеджеры данных\n│   ├── AuthManager/\n│   │   └── AuthManager.swift\n│   ├── BasketManager/\n│   │   └── BasketManager.swift\n│   ├── NetworkManager/\n│   │   └── NetworkManager.swift\n│   ├── StorageManager/\n│   │   └── RealmManager.swift\n│   ├── UserInfoManager/\n│   │   └── UserInfoManager.swift\n│   └── RootWindowManager/\n│       └── RootWindowManager.swift\n│\n├── Entities/                       # Модели данных и типы ошибок\n│   ├── Enums/\n│   │   ├── HTTPMethods.swift\n│   │   ├── NetworkError.swift\n│   │   ├── FirebaseError.swift\n│   │   ├── RealmError.swift\n│   │   └── GeneralError.swift\n│   └── Models/\n│       ├── ResponseModels/\n│       │   ├── ProductModel.swift\n│       │   └── CountryModel.swift\n│       └── StorageModels/\n│           ├── FavoriteProductModel.swift\n│           ├── BasketModel.swift\n│           ├── AddressModel.swift\n│           └── CardModel.swift\n│\n├── Services/                       # API сервисы\n│   ├── ProductsService/\n│   │   ├── ProductsService.swift\n│   │   └── ProductsEndpoint.swift\n│   └── CountriesService/\n│       ├── CountriesService.swift\n│       └── CountriesEndpoint.swift\n│\n├── Modules/                        # VIPER модули (каждый экран)\n│   ├── Onboarding/\n│   ├── Login/\n│   ├── SignUp/\n│   ├── MainTabBar/\n│   ├── Home/\n│   ├── ProductDetail/\n│   ├── Favorites/\n│   ├── Basket/\n│   ├── CompleteOrder/\n│   ├── OrderHistory/\n│   ├── Addresses/\n│   ├── PaymentInfo/\n│   └── Profile/\n│\n├── Utilities/                      # Вспомогательные инструменты\n│   ├── Extensions/\n│   │   ├── UIViewController+Extension.swift\n│   │   ├── UIView+Extension.swift\n│   │   ├── String+Extension.swift\n│   │   └── UITabBarController+Extension.swift\n│   ├── Helpers/\n│   │   ├── UIScreenBounds.swift\n│   │   └── SnappingLayout.swift\n│   └── Protocols/\n│       └── EndpointProtocol.swift\n│\n└── Resources/                      # Ресурсы\n    ├── Assets.xcassets\n    ├── LaunchScreen.storyboard\n    └── GoogleService-Info.plist"
+            },
+            {
+                "section": "14.3 Подключение зависимостей (Swift Package Manager)",
+                "subsection": "Добавление пакетов",
+                "anchor": "dobavlenie-paketov",
+                "text": "File → Add Package Dependencies... Добавьте следующие пакеты: Пакет URL Версия Назначение SnapKithttps://github.com/SnapKit/SnapKit5.0.0+Auto Layout Firebasehttps://github.com/firebase/firebase-ios-sdk10.0.0+Auth, Firestore GoogleSignInhttps://github.com/google/GoogleSignIn-iOS7.0.0+Google авторизация Realmhttps://github.com/realm/realm-swift10.0.0+Локальная БД SDWebImagehttps://github.com/SDWebImage/SDWebImage5.0.0+Загрузка изображений IQKeyboardManagerhttps://github.com/hackiftekhar/IQKeyboardManagerSwift6.0.0+Управление клавиатурой",
+                "code": ""
+            },
+            {
+                "section": "14.3 Подключение зависимостей (Swift Package Manager)",
+                "subsection": "Выбор продуктов Firebase",
+                "anchor": "vybor-produktov-firebase",
+                "text": "При добавлении Firebase выберите: ✅ FirebaseAuth ✅ FirebaseFirestore ✅ FirebaseAnalytics (опционально)",
+                "code": ""
+            },
+            {
+                "section": "14.4 HTTP методы и типы ошибок",
+                "subsection": "HTTPMethods.swift",
+                "anchor": "httpmethods-swift",
+                "text": "Объяснение: enum с String raw value — значение можно получить через .rawValue Используется в URLRequest для указания типа запроса",
+                "code": "// Entities/Enums/HTTPMethods.swift\n\nimport Foundation\n\n/// HTTP методы для сетевых запросов\n/// Аналог в JS: method в fetch({ method: 'GET' })\nenum HTTPMethod: String {\n    case get = \"GET\"       // Получение данных (аналог fetch без body)\n    case post = \"POST\"     // Создание данных (аналог fetch с body)\n    case put = \"PUT\"       // Полное обновление\n    case patch = \"PATCH\"   // Частичное обновление\n    case delete = \"DELETE\" // Удаление\n}"
+            },
+            {
+                "section": "14.4 HTTP методы и типы ошибок",
+                "subsection": "NetworkError.swift",
+                "anchor": "networkerror-swift",
+                "text": "Объяснение: Error — протокол Swift для типов ошибок (аналог throw new Error() в JS) LocalizedError — добавляет свойство errorDescription для UI switch должен быть exhaustive (покрывать все cases)",
+                "code": "// Entities/Enums/NetworkError.swift\n\nimport Foundation\n\n/// Ошибки сетевого слоя\n/// Каждый case описывает конкретную проблему\nenum NetworkError: Error, LocalizedError {\n    case invalidURL           // Неверный URL\n    case invalidResponse      // Сервер вернул не HTTP ответ\n    case invalidURLRequest    // Не удалось создать запрос\n    case requestFailed        // Запрос не выполнен\n    case noConnection         // Нет интернет-соединения\n    case unauthorized         // 401 ошибка (не авторизован)\n\n    /// Человекочитаемое описание ошибки\n    /// Вызывается автоматически при error.localizedDescription\n    var errorDescription: String? {\n        switch self {\n        case .invalidURL:\n            return \"Неверный адрес сервера\"\n        case .invalidResponse:\n            return \"Сервер вернул некорректный ответ\"\n        case .invalidURLRequest:\n            return \"Не удалось сформировать запрос\"\n        case .requestFailed:\n            return \"Запрос не выполнен\"\n        case .noConnection:\n            return \"Отсутствует подключение к интернету\"\n        case .unauthorized:\n            return \"Необходима авторизация\"\n        }\n    }\n}"
+            },
+            {
+                "section": "14.4 HTTP методы и типы ошибок",
+                "subsection": "FirebaseError.swift",
+                "anchor": "firebaseerror-swift",
+                "text": "",
+                "code": "// Entities/Enums/FirebaseError.swift\n\nimport Foundation\n\n/// Ошибки при работе с Firebase\nenum FirebaseError: Error, LocalizedError {\n    case loginError              // Ошибка входа\n    case signUpError             // Ошибка регистрации\n    case sendEmailError          // Ошибка отправки email\n    case signOutError            // Ошибка выхода\n    case emailNotVerified        // Email не подтверждён\n    case passwordResetError      // Ошибка сброса пароля\n    case googleSignInFailed      // Google Sign-In не удался\n    case addProductToBasket      // Не удалось добавить в корзину\n    case getBasketItemsFailed    // Не удалось получить корзину\n    case itemCouldNotBeRemoved   // Не удалось удалить товар\n    case addOrderFailed          // Не удалось создать заказ\n\n    var errorDescription: String? {\n        switch self {\n        case .loginError:\n            return \"Не удалось войти. Проверьте email и пароль\"\n        case .signUpError:\n            return \"Не удалось зарегистрироваться\"\n        case .sendEmailError:\n            return \"Не удалось отправить email\"\n        case .signOutError:\n            return \"Не удалось выйти из аккаунта\"\n        case .emailNotVerified:\n            return \"Пожалуйста, подтвердите email перед входом\"\n        case .passwordResetError:\n            return \"Не удалось сбросить пароль\"\n        case .googleSignInFailed:\n            return \"Не удалось войти через Google\"\n        case .addProductToBasket:\n            return \"Не удалось добавить товар в корзину\"\n        case .getBasketItemsFailed:\n            return \"Не удалось загрузить корзину\"\n        case .itemCouldNotBeRemoved:\n            return \"Не удалось удалить товар\"\n        case .addOrderFailed:\n            return \"Не удалось оформить заказ\"\n        }\n    }\n}"
+            },
+            {
+                "section": "14.4 HTTP методы и типы ошибок",
+                "subsection": "RealmError.swift",
+                "anchor": "realmerror-swift",
+                "text": "",
+                "code": "// Entities/Enums/RealmError.swift\n\nimport Foundation\n\n/// Ошибки локального хранилища Realm\nenum RealmError: Error, LocalizedError {\n    case addFailed      // Не удалось добавить объект\n    case updateFailed   // Не удалось обновить\n    case deleteFailed   // Не удалось удалить\n\n    var errorDescription: String? {\n        switch self {\n        case .addFailed:\n            return \"Не удалось сохранить данные\"\n        case .updateFailed:\n            return \"Не удалось обновить данные\"\n        case .deleteFailed:\n            return \"Не удалось удалить данные\"\n        }\n    }\n}"
+            },
+            {
+                "section": "14.4 HTTP методы и типы ошибок",
+                "subsection": "GeneralError.swift",
+                "anchor": "generalerror-swift",
+                "text": "",
+                "code": "// Entities/Enums/GeneralError.swift\n\nimport Foundation\n\n/// Общие ошибки приложения (валидация, бизнес-логика)\nenum GeneralError: Error, LocalizedError {\n    case emailPasswordEmpty     // Пустые поля email/password\n    case addressInfoMissing     // Не заполнен адрес\n    case cardInfoMissing        // Не заполнены данные карты\n    case emptyBasketError       // Корзина пуста\n    case emptyAddressOrCard     // Не выбран адрес или карта\n\n    var errorDescription: String? {\n        switch self {\n        case .emailPasswordEmpty:\n            return \"Введите email и пароль\"\n        case .addressInfoMissing:\n            return \"Заполните все поля адреса\"\n        case .cardInfoMissing:\n            return \"Заполните данные карты\"\n        case .emptyBasketError:\n            return \"Корзина пуста\"\n        case .emptyAddressOrCard:\n            return \"Выберите адрес доставки и способ оплаты\"\n        }\n    }\n}"
+            },
+            {
+                "section": "14.5 Протокол Endpoint (Сетевой слой)",
+                "subsection": "EndpointProtocol.swift",
+                "anchor": "endpointprotocol-swift",
+                "text": "Детальное объяснение: Протокол как контракт — любой тип, реализующий EndpointProtocol, гарантирует наличие всех свойств Extension с реализацией по умолчанию — urlRequest() работает \"из коробки\" для всех endpoint'ов Сравнение с JavaScript:",
+                "code": "// Utilities/Protocols/EndpointProtocol.swift\n\nimport Foundation\n\n/// Протокол для описания API endpoint\n/// Аналог в JS: конфигурация axios или описание route в Express\n///\n/// Каждый endpoint должен указать:\n/// - baseURL: базовый адрес API\n/// - path: путь к ресурсу\n/// - httpMethod: GET, POST и т.д.\n/// - headers: заголовки запроса\n/// - parameters: параметры запроса\nprotocol EndpointProtocol {\n    var baseURL: URL { get }\n    var path: String { get }\n    var httpMethod: HTTPMethod { get }\n    var headers: [String: String]? { get }\n    var parameters: [String: Any]? { get }\n}\n\n// MARK: - Реализация по умолчанию\nextension EndpointProtocol {\n\n    /// Создаёт URLRequest из endpoint\n    /// Это как создание конфига для fetch() в JavaScript\n    func urlRequest() throws -> URLRequest {\n        // 1. Формируем полный URL: baseURL + path\n        // Пример: \"https://api.com\" + \"/products\" = \"https://api.com/products\"\n        let url = baseURL.appendingPathComponent(path)\n\n        // 2. Создаём объект запроса\n        var urlRequest = URLRequest(url: url)\n\n        // 3. Устанавливаем HTTP метод\n        urlRequest.httpMethod = httpMethod.rawValue\n\n        // 4. Добавляем заголовки (если есть)\n        // Аналог headers в fetch()\n        if let headers = headers {\n            headers.forEach { key, value in\n                urlRequest.addValue(value, forHTTPHeaderField: key)\n            }\n        }\n\n        // 5. Добавляем параметры\n        if let parameters = parameters {\n            switch httpMethod {\n            case .get:\n                // GET: параметры в URL (?key=value&key2=value2)\n                // Аналог: fetch('/api?name=John&age=25')\n                if var components = URLComponents(url: url, resolvingAgainstBaseURL: false) {\n                    components.queryItems = parameters.map { key, value in\n                        URLQueryItem(name: key, value: \"\\(value)\")\n                    }\n                    urlRequest.url = components.url\n                }\n\n            case .post, .put, .delete, .patch:\n                // POST/PUT/etc: параметры в body как JSON\n                // Аналог: fetch('/api', { body: JSON.stringify(data) })\n                urlRequest.httpBody = try? JSONSerialization.data(withJSONObject: parameters)\n                urlRequest.addValue(\"application/json\", forHTTPHeaderField: \"Content-Type\")\n            }\n        }\n\n        return urlRequest\n    }\n}\n// JavaScript (fetch)\nfetch('https://api.com/products?category=electronics', {\n    method: 'GET',\n    headers: { 'Authorization': 'Bearer token' }\n});\n\n// Swift (EndpointProtocol)\nenum ProductsEndpoint: EndpointProtocol {\n    case getByCategory(String)\n\n    var baseURL: URL { URL(string: \"https://api.com\")! }\n    var path: String { \"/products\" }\n    var httpMethod: HTTPMethod { .get }\n    var parameters: [String: Any]? { [\"category\": \"electronics\"] }\n}"
+            },
+            {
+                "section": "14.6 NetworkManager",
+                "subsection": "",
+                "anchor": "14-6-networkmanager",
+                "text": "Ключевые концепции: Singleton — глобальный доступ через NetworkManager.shared Generic <T: Codable> — метод работает с любым типом, реализующим Codable: async/await — современный способ асинхронного кода (как в JS):",
+                "code": "// Managers/NetworkManager/NetworkManager.swift\n\nimport Foundation\nimport SystemConfiguration\n\n/// Менеджер сетевых запросов\n/// Singleton — один экземпляр на всё приложение\n/// Аналог axios instance в JavaScript\nfinal class NetworkManager {\n\n    // MARK: - Singleton\n    /// Единственный экземпляр (паттерн Singleton)\n    /// Аналог: const api = axios.create({ baseURL: '...' })\n    static let shared = NetworkManager()\n\n    // MARK: - Properties\n    /// Декодер JSON (преобразует Data в Swift объекты)\n    private let decoder = JSONDecoder()\n\n    // MARK: - Init\n    /// Private init запрещает создание других экземпляров\n    private init() {}\n\n    // MARK: - Reachability\n    /// Проверка подключения к интернету\n    /// Использует низкоуровневый API SystemConfiguration\n    var isReachable: Bool {\n        // Создаём объект для проверки доступности apple.com\n        guard let reachability = SCNetworkReachabilityCreateWithName(nil, \"www.apple.com\") else {\n            return false\n        }\n\n        var flags = SCNetworkReachabilityFlags()\n        SCNetworkReachabilityGetFlags(reachability, &flags)\n\n        // Проверяем флаги:\n        // - reachable: сеть доступна\n        // - connectionRequired: нужно установить соединение (WiFi выключен)\n        let isReachable = flags.contains(.reachable)\n        let needsConnection = flags.contains(.connectionRequired)\n\n        return isReachable && !needsConnection\n    }\n\n    // MARK: - Generic Request\n    /// Универсальный метод для выполнения запросов\n    ///\n    /// - Parameters:\n    ///   - endpoint: Описание запроса (URL, метод, параметры)\n    ///   - type: Тип данных для декодирования (например, [Product].self)\n    /// - Returns: Декодированные данные или nil\n    ///\n    /// Пример использования:\n    /// ```\n    /// let products = try await networkManager.request(\n    ///     ProductsEndpoint.all,\n    ///     type: [ProductModel].self\n    /// )\n    /// ```\n    func request<T: Codable>(_ endpoint: EndpointProtocol, type: T.Type) async throws -> T? {\n        // 1. Проверяем интернет\n        guard isReachable else {\n            throw NetworkError.noConnection\n        }\n\n        // 2. Создаём URLRequest из endpoint\n        let urlRequest = try endpoint.urlRequest()\n\n        // 3. Выполняем запрос (async/await)\n        // Аналог: const response = await fetch(url)\n        let (data, response) = try await URLSession.shared.data(for: urlRequest)\n\n        // 4. Проверяем HTTP статус\n        guard let httpResponse = response as? HTTPURLResponse else {\n            throw NetworkError.invalidResponse\n        }\n\n        // 5. Обрабатываем статус код\n        switch httpResponse.statusCode {\n        case 200...299:\n            // Успех — декодируем JSON в Swift объект\n            // Аналог: const data = await response.json()\n            let decodedData = try decoder.decode(T.self, from: data)\n            return decodedData\n\n        case 401:\n            throw NetworkError.unauthorized\n\n        default:\n            throw NetworkError.invalidResponse\n        }\n    }\n}\n// Один метод для разных типов данных:\nlet products: [ProductModel]? = try await manager.request(endpoint, type: [ProductModel].self)\nlet categories: [String]? = try await manager.request(endpoint, type: [String].self)\n// Swift                              // JavaScript\nlet data = try await fetch()          // const data = await fetch()"
+            },
+            {
+                "section": "14.7 RealmManager (Локальное хранилище)",
+                "subsection": "",
+                "anchor": "14-7-realmmanager-lokalnoe-hranilische",
+                "text": "Сравнение с JavaScript: Realm (Swift) JavaScript realm.add(object)localStorage.setItem(key, JSON.stringify(obj)) realm.objects(Type.self)JSON.parse(localStorage.getItem(key)) realm.delete(object)localStorage.removeItem(key) filter(predicate)array.filter(item => ...)",
+                "code": "// Managers/StorageManager/RealmManager.swift\n\nimport Foundation\nimport RealmSwift\n\n/// Менеджер локальной базы данных Realm\n/// Аналог localStorage/IndexedDB в браузере, но с полноценной БД\n///\n/// Realm — это:\n/// - Быстрая мобильная база данных\n/// - Хранит данные локально на устройстве\n/// - Поддерживает сложные запросы\n/// - Работает с объектами напрямую (не SQL)\nfinal class RealmManager {\n\n    // MARK: - Singleton\n    static let shared = RealmManager()\n\n    // MARK: - Properties\n    /// Экземпляр базы данных\n    /// try! — crash при ошибке (Realm должен всегда инициализироваться)\n    private let realm = try! Realm()\n\n    // MARK: - Init\n    private init() {\n        // Выводим путь к файлу БД (для отладки)\n        print(\"📁 Realm path: \\(realm.configuration.fileURL?.absoluteString ?? \"unknown\")\")\n    }\n\n    // MARK: - CRUD Operations\n\n    /// CREATE — Создание нового объекта\n    /// Аналог: localStorage.setItem(key, JSON.stringify(object))\n    ///\n    /// - Parameters:\n    ///   - object: Объект для сохранения (должен наследовать от Object)\n    ///   - onError: Callback при ошибке\n    func create<T: Object>(_ object: T, onError: (RealmError) -> Void) {\n        do {\n            // write — транзакция записи (атомарная операция)\n            try realm.write {\n                realm.add(object)\n            }\n        } catch {\n            onError(.addFailed)\n        }\n    }\n\n    /// READ — Получение всех объектов определённого типа\n    /// Аналог: JSON.parse(localStorage.getItem(key))\n    ///\n    /// - Parameter object: Тип объектов для получения\n    /// - Returns: Массив объектов\n    ///\n    /// Пример:\n    /// ```\n    /// let favorites = realmManager.getAll(FavoriteProductModel.self)\n    /// ```\n    func getAll<T: Object>(_ object: T.Type) -> [T] {\n        // objects() возвращает Results<T> — lazy коллекцию\n        // Array() — конвертируем в обычный массив\n        let results = realm.objects(object)\n        return Array(results)\n    }\n\n    /// UPDATE — Обновление существующего объекта\n    ///\n    /// - Parameters:\n    ///   - object: Объект для обновления\n    ///   - dictionary: Словарь с новыми значениями\n    ///   - onError: Callback при ошибке\n    ///\n    /// Пример:\n    /// ```\n    /// realmManager.update(address, with: [\"city\": \"Москва\", \"street\": \"Тверская\"])\n    /// ```\n    func update<T: Object>(_ object: T, with dictionary: [String: Any?], onError: (RealmError) -> Void) {\n        do {\n            try realm.write {\n                // setValuesForKeys — устанавливает значения по ключам\n                // compactMapValues — убирает nil значения\n                object.setValuesForKeys(dictionary.compactMapValues { $0 })\n            }\n        } catch {\n            onError(.updateFailed)\n        }\n    }\n\n    /// DELETE — Удаление объекта\n    ///\n    /// - Parameters:\n    ///   - object: Объект для удаления\n    ///   - onError: Callback при ошибке\n    func delete<T: Object>(_ object: T, onError: (RealmError) -> Void) {\n        do {\n            try realm.write {\n                realm.delete(object)\n            }\n        } catch {\n            onError(.deleteFailed)\n        }\n    }\n\n    /// DELETE ALL — Удаление всех объектов определённого типа\n    func deleteAll<T: Object>(_ type: T.Type, onError: (RealmError) -> Void) {\n        do {\n            try realm.write {\n                let objects = realm.objects(type)\n                realm.delete(objects)\n            }\n        } catch {\n            onError(.deleteFailed)\n        }\n    }\n\n    /// FILTER — Получение объектов с фильтрацией\n    ///\n    /// - Parameters:\n    ///   - type: Тип объектов\n    ///   - predicate: Условие фильтрации (NSPredicate)\n    /// - Returns: Отфильтрованные объекты\n    ///\n    /// Пример:\n    /// ```\n    /// // Получить избранное текущего пользователя\n    /// let myFavorites = realmManager.filter(\n    ///     FavoriteProductModel.self,\n    ///     predicate: NSPredicate(format: \"userId == %@\", currentUserId)\n    /// )\n    /// ```\n    func filter<T: Object>(_ type: T.Type, predicate: NSPredicate) -> [T] {\n        let results = realm.objects(type).filter(predicate)\n        return Array(results)\n    }\n}"
+            },
+            {
+                "section": "14.8 UserInfoManager",
+                "subsection": "",
+                "anchor": "14-8-userinfomanager",
+                "text": "",
+                "code": "// Managers/UserInfoManager/UserInfoManager.swift\n\nimport Foundation\nimport FirebaseAuth\n\n/// Протокол для получения информации о пользователе\nprotocol UserInfoManagerProtocol {\n    func getUserProfilePictureAndEmail(completion: @escaping (_ photo: String?, _ email: String?) -> Void)\n    func getUserUid() -> String?\n}\n\n/// Менеджер информации о текущем пользователе\n/// Получает данные из Firebase Auth\nfinal class UserInfoManager: UserInfoManagerProtocol {\n\n    /// Получение фото профиля и email текущего пользователя\n    ///\n    /// - Parameter completion: Callback с URL фото и email\n    ///\n    /// Firebase Auth хранит базовую информацию о пользователе:\n    /// - uid: уникальный идентификатор\n    /// - email: электронная почта\n    /// - displayName: имя пользователя\n    /// - photoURL: URL аватара (если вошёл через Google)\n    func getUserProfilePictureAndEmail(completion: @escaping (_ photo: String?, _ email: String?) -> Void) {\n        // Auth.auth().currentUser — текущий авторизованный пользователь\n        // nil если пользователь не вошёл\n        guard let currentUser = Auth.auth().currentUser else {\n            completion(nil, nil)\n            return\n        }\n\n        // photoURL — URL из Google профиля (если вошёл через Google)\n        // absoluteString — преобразуем URL в String\n        let photoURL = currentUser.photoURL?.absoluteString\n        let email = currentUser.email\n\n        completion(photoURL, email)\n    }\n\n    /// Получение UID текущего пользователя\n    ///\n    /// UID — уникальный идентификатор пользователя в Firebase\n    /// Используется для фильтрации данных (корзина, избранное и т.д.)\n    func getUserUid() -> String? {\n        return Auth.auth().currentUser?.uid\n    }\n}"
+            },
+            {
+                "section": "14.9 RootWindowManager",
+                "subsection": "",
+                "anchor": "14-9-rootwindowmanager",
+                "text": "",
+                "code": "// Managers/RootWindowManager/RootWindowManager.swift\n\nimport UIKit\n\n/// Протокол для управления корневым контроллером\nprotocol RootWindowManagerProtocol {\n    func changeRootViewController(_ viewController: UIViewController, animated: Bool)\n}\n\n/// Менеджер управления корневым окном приложения\n///\n/// Используется для смены экранов на уровне всего приложения:\n/// - После входа: Login → MainTabBar\n/// - После выхода: MainTabBar → Login\n///\n/// Аналог в веб: window.location.href = '/dashboard'\nfinal class RootWindowManager: RootWindowManagerProtocol {\n\n    // MARK: - Singleton\n    static let shared = RootWindowManager()\n\n    // MARK: - Properties\n    /// Ссылка на главное окно приложения\n    /// Устанавливается в SceneDelegate\n    var window: UIWindow?\n\n    // MARK: - Init\n    private init() {}\n\n    // MARK: - Methods\n\n    /// Смена корневого контроллера с анимацией\n    ///\n    /// - Parameters:\n    ///   - viewController: Новый корневой контроллер\n    ///   - animated: Использовать анимацию перехода\n    ///\n    /// Пример:\n    /// ```\n    /// // После успешного входа\n    /// RootWindowManager.shared.changeRootViewController(\n    ///     MainTabBarRouter.startTabBarModule(),\n    ///     animated: true\n    /// )\n    /// ```\n    func changeRootViewController(_ viewController: UIViewController, animated: Bool) {\n        guard let window = window else { return }\n\n        // Устанавливаем новый корневой контроллер\n        window.rootViewController = viewController\n\n        // Анимация перехода (fade)\n        if animated {\n            // UIView.transition — анимация смены содержимого view\n            UIView.transition(\n                with: window,\n                duration: 0.3,\n                options: .transitionCrossDissolve,  // Плавное появление\n                animations: nil,\n                completion: nil\n            )\n        }\n\n        // Делаем окно активным\n        window.makeKeyAndVisible()\n    }\n}"
+            },
+            {
+                "section": "14.10 AppDelegate",
+                "subsection": "",
+                "anchor": "14-10-appdelegate",
+                "text": "",
+                "code": "// Core/AppDelegate.swift\n\nimport UIKit\nimport FirebaseCore\nimport GoogleSignIn\nimport IQKeyboardManagerSwift\n\n@main\nclass AppDelegate: UIResponder, UIApplicationDelegate {\n\n    // MARK: - Init\n    /// Инициализатор — вызывается при создании AppDelegate\n    /// Используем для ранней настройки UI\n    override init() {\n        super.init()\n\n        // Настройка цвета Navigation Bar для всего приложения\n        // Аналог: :root { --nav-color: black; } в CSS\n        UINavigationBar.appearance().tintColor = .label  // .label = чёрный/белый в зависимости от темы\n    }\n\n    // MARK: - Application Lifecycle\n\n    /// Вызывается после запуска приложения\n    /// Аналог: document.addEventListener('DOMContentLoaded', ...)\n    func application(\n        _ application: UIApplication,\n        didFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]?\n    ) -> Bool {\n\n        // 1. Инициализация Firebase\n        // Читает GoogleService-Info.plist и настраивает SDK\n        FirebaseApp.configure()\n\n        // 2. Настройка IQKeyboardManager\n        // Автоматически поднимает контент при появлении клавиатуры\n        IQKeyboardManager.shared.enable = true\n        IQKeyboardManager.shared.resignOnTouchOutside = true  // Скрывать клавиатуру при тапе вне поля\n\n        return true\n    }\n\n    // MARK: - URL Handling\n\n    /// Обработка URL schemes (для Google Sign-In)\n    /// Вызывается когда приложение открывается через custom URL\n    func application(\n        _ app: UIApplication,\n        open url: URL,\n        options: [UIApplication.OpenURLOptionsKey: Any] = [:]\n    ) -> Bool {\n        // Передаём URL в Google Sign-In SDK для обработки callback\n        return GIDSignIn.sharedInstance.handle(url)\n    }\n\n    // MARK: - UISceneSession Lifecycle\n\n    /// Конфигурация новой сцены (для multi-window на iPad)\n    func application(\n        _ application: UIApplication,\n        configurationForConnecting connectingSceneSession: UISceneSession,\n        options: UIScene.ConnectionOptions\n    ) -> UISceneConfiguration {\n        return UISceneConfiguration(name: \"Default Configuration\", sessionRole: connectingSceneSession.role)\n    }\n}"
+            },
+            {
+                "section": "14.11 SceneDelegate",
+                "subsection": "",
+                "anchor": "14-11-scenedelegate",
+                "text": "Диаграмма навигации:",
+                "code": "// Core/SceneDelegate.swift\n\nimport UIKit\nimport FirebaseAuth\n\nclass SceneDelegate: UIResponder, UIWindowSceneDelegate {\n\n    // MARK: - Properties\n    /// Главное окно приложения\n    var window: UIWindow?\n\n    // MARK: - Scene Lifecycle\n\n    /// Вызывается при создании сцены (запуск приложения)\n    /// Здесь определяем, какой экран показать первым\n    func scene(\n        _ scene: UIScene,\n        willConnectTo session: UISceneSession,\n        options connectionOptions: UIScene.ConnectionOptions\n    ) {\n        // 1. Проверяем, что scene — это UIWindowScene\n        guard let windowScene = (scene as? UIWindowScene) else { return }\n\n        // 2. Создаём окно с размерами сцены\n        window = UIWindow(frame: windowScene.coordinateSpace.bounds)\n        window?.windowScene = windowScene\n\n        // 3. Определяем корневой контроллер в зависимости от авторизации\n        // Auth.auth().currentUser — текущий пользователь Firebase\n        // nil = не авторизован, не nil = авторизован\n        if Auth.auth().currentUser != nil {\n            // Пользователь вошёл → показываем главный экран\n            window?.rootViewController = MainTabBarRouter.startTabBarModule()\n        } else {\n            // Пользователь не вошёл → показываем онбординг/логин\n            let onboardingVC = OnboardingRouter.startOnboarding()\n            window?.rootViewController = UINavigationController(rootViewController: onboardingVC)\n        }\n\n        // 4. Делаем окно видимым\n        window?.makeKeyAndVisible()\n\n        // 5. Сохраняем ссылку на окно в RootWindowManager\n        // Это позволит менять корневой контроллер из любого места\n        RootWindowManager.shared.window = window\n    }\n\n    // MARK: - Scene State Changes\n\n    /// Приложение уходит в background\n    func sceneDidEnterBackground(_ scene: UIScene) {\n        // Можно сохранить состояние или отменить операции\n    }\n\n    /// Приложение возвращается из background\n    func sceneWillEnterForeground(_ scene: UIScene) {\n        // Можно обновить данные\n    }\n}\n┌──────────────────────────────────────────────────────────┐\n│                     SceneDelegate                         │\n│                          │                                │\n│              Auth.auth().currentUser                      │\n│                    /          \\                           │\n│                  nil        not nil                       │\n│                  /              \\                         │\n│         ┌───────▼───────┐  ┌────▼────────────────┐       │\n│         │  Onboarding   │  │   MainTabBarVC      │       │\n│         │      │        │  │   ┌──┬──┬──┬──┐     │       │\n│         │      ▼        │  │   │🏠│❤️│🛒│👤│     │       │\n│         │    Login      │  │   └──┴──┴──┴──┘     │       │\n│         │      │        │  └────────────────────-┘       │\n│         │      ▼        │                                 │\n│         │   SignUp      │                                 │\n│         └───────────────┘                                 │\n└──────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "14.12 Расширения (Extensions)",
+                "subsection": "UIViewController+Extension.swift",
+                "anchor": "uiviewcontroller-extension-swift",
+                "text": "",
+                "code": "// Utilities/Extensions/UIViewController+Extension.swift\n\nimport UIKit\n\nextension UIViewController {\n\n    /// Показ простого alert с сообщением\n    /// Аналог: alert('Сообщение') в JavaScript\n    ///\n    /// - Parameters:\n    ///   - title: Заголовок alert\n    ///   - message: Текст сообщения\n    func showAlert(title: String, message: String) {\n        let alert = UIAlertController(\n            title: title,\n            message: message,\n            preferredStyle: .alert\n        )\n\n        alert.addAction(UIAlertAction(title: \"OK\", style: .default))\n\n        present(alert, animated: true)\n    }\n\n    /// Alert для сброса пароля с текстовым полем\n    /// Возвращает введённый email через completion\n    func passwordResetAlert(completion: @escaping (String) -> Void) {\n        let alert = UIAlertController(\n            title: \"Сброс пароля\",\n            message: \"Введите email для получения ссылки\",\n            preferredStyle: .alert\n        )\n\n        // Добавляем текстовое поле в alert\n        alert.addTextField { textField in\n            textField.placeholder = \"Email\"\n            textField.keyboardType = .emailAddress\n        }\n\n        // Кнопка отправки\n        let sendAction = UIAlertAction(title: \"Отправить\", style: .default) { _ in\n            if let email = alert.textFields?.first?.text, !email.isEmpty {\n                completion(email)\n            }\n        }\n\n        // Кнопка отмены\n        let cancelAction = UIAlertAction(title: \"Отмена\", style: .cancel)\n\n        alert.addAction(sendAction)\n        alert.addAction(cancelAction)\n\n        present(alert, animated: true)\n    }\n\n    /// Sheet alert для подтверждения удаления\n    /// Показывается снизу экрана (action sheet)\n    func deleteAllSheetAlert(completion: @escaping () -> Void) {\n        let alert = UIAlertController(\n            title: \"Удалить всё?\",\n            message: \"Это действие нельзя отменить\",\n            preferredStyle: .actionSheet  // Снизу экрана\n        )\n\n        let deleteAction = UIAlertAction(title: \"Удалить\", style: .destructive) { _ in\n            completion()\n        }\n\n        let cancelAction = UIAlertAction(title: \"Отмена\", style: .cancel)\n\n        alert.addAction(deleteAction)\n        alert.addAction(cancelAction)\n\n        present(alert, animated: true)\n    }\n}"
+            },
+            {
+                "section": "14.12 Расширения (Extensions)",
+                "subsection": "UIView+Extension.swift",
+                "anchor": "uiview-extension-swift",
+                "text": "",
+                "code": "// Utilities/Extensions/UIView+Extension.swift\n\nimport UIKit\n\nextension UIView {\n\n    /// Добавление нескольких subviews одним вызовом\n    /// Аналог: parent.append(child1, child2, child3) в JS\n    func addSubviews(_ views: UIView...) {\n        views.forEach { addSubview($0) }\n    }\n\n    /// Скругление углов\n    func roundCorners(radius: CGFloat) {\n        layer.cornerRadius = radius\n        clipsToBounds = true\n    }\n\n    /// Добавление тени\n    /// Аналог: box-shadow в CSS\n    func addShadow(\n        color: UIColor = .black,\n        opacity: Float = 0.1,\n        radius: CGFloat = 8,\n        offset: CGSize = CGSize(width: 0, height: 2)\n    ) {\n        layer.shadowColor = color.cgColor\n        layer.shadowOpacity = opacity\n        layer.shadowRadius = radius\n        layer.shadowOffset = offset\n        layer.masksToBounds = false\n    }\n\n    /// Добавление границы\n    /// Аналог: border в CSS\n    func addBorder(color: UIColor, width: CGFloat = 1) {\n        layer.borderColor = color.cgColor\n        layer.borderWidth = width\n    }\n}"
+            },
+            {
+                "section": "14.12 Расширения (Extensions)",
+                "subsection": "String+Extension.swift",
+                "anchor": "string-extension-swift",
+                "text": "",
+                "code": "// Utilities/Extensions/String+Extension.swift\n\nimport UIKit\n\nextension String {\n\n    /// Вычисление ширины текста при заданной высоте и шрифте\n    /// Используется для динамического размера ячеек категорий\n    ///\n    /// - Parameters:\n    ///   - height: Максимальная высота\n    ///   - font: Шрифт текста\n    /// - Returns: Ширина текста\n    func width(withConstrainedHeight height: CGFloat, font: UIFont) -> CGFloat {\n        let constraintRect = CGSize(width: .greatestFiniteMagnitude, height: height)\n\n        let boundingBox = self.boundingRect(\n            with: constraintRect,\n            options: .usesLineFragmentOrigin,\n            attributes: [.font: font],\n            context: nil\n        )\n\n        return ceil(boundingBox.width)\n    }\n\n    /// Проверка валидности email\n    var isValidEmail: Bool {\n        let emailRegex = \"[A-Z0-9a-z._%+-]+@[A-Za-z0-9.-]+\\\\.[A-Za-z]{2,64}\"\n        let predicate = NSPredicate(format: \"SELF MATCHES %@\", emailRegex)\n        return predicate.evaluate(with: self)\n    }\n\n    /// Удаление пробелов по краям\n    var trimmed: String {\n        trimmingCharacters(in: .whitespacesAndNewlines)\n    }\n}"
+            },
+            {
+                "section": "14.13 Хелперы",
+                "subsection": "UIScreenBounds.swift",
+                "anchor": "uiscreenbounds-swift",
+                "text": "",
+                "code": "// Utilities/Helpers/UIScreenBounds.swift\n\nimport UIKit\n\n/// Быстрый доступ к размерам экрана\n/// Аналог: window.innerWidth, window.innerHeight в JavaScript\nstruct UIScreenBounds {\n    static let width = UIScreen.main.bounds.width\n    static let height = UIScreen.main.bounds.height\n}\n\n// Использование:\n// let cellWidth = UIScreenBounds.width / 2 - 20"
+            },
+            {
+                "section": "14.14 Настройка Firebase",
+                "subsection": "Шаг 1: Создание проекта",
+                "anchor": "shag-1-sozdanie-proekta",
+                "text": "Перейдите на console.firebase.google.com Нажмите \"Создать проект\" Введите имя: ECommerce Google Analytics — по желанию",
+                "code": ""
+            },
+            {
+                "section": "14.14 Настройка Firebase",
+                "subsection": "Шаг 2: Добавление iOS приложения",
+                "anchor": "shag-2-dobavlenie-ios-prilozheniya",
+                "text": "В консоли нажмите \"Добавить приложение\" → iOS Bundle ID: com.yourname.ECommerce (из Xcode) Скачайте GoogleService-Info.plist Перетащите файл в Xcode → папку Resources ✅ Copy items if needed",
+                "code": ""
+            },
+            {
+                "section": "14.14 Настройка Firebase",
+                "subsection": "Шаг 3: Включение аутентификации",
+                "anchor": "shag-3-vklyuchenie-autentifikatsii",
+                "text": "Firebase Console → Authentication Sign-in method → Включите: ✅ Email/Password ✅ Google",
+                "code": ""
+            },
+            {
+                "section": "14.14 Настройка Firebase",
+                "subsection": "Шаг 4: Создание Firestore",
+                "anchor": "shag-4-sozdanie-firestore",
+                "text": "Firebase Console → Firestore Database Create database Выберите Start in test mode (для разработки) Выберите регион (ближайший)",
+                "code": ""
+            },
+            {
+                "section": "14.14 Настройка Firebase",
+                "subsection": "Шаг 5: URL Scheme для Google Sign-In",
+                "anchor": "shag-5-url-scheme-dlya-google-sign-in",
+                "text": "Откройте GoogleService-Info.plist Скопируйте значение REVERSED_CLIENT_ID В Xcode: Project → Targets → Info → URL Types Нажмите + и вставьте в URL Schemes",
+                "code": ""
+            },
+            {
+                "section": "14.15 Итоги главы",
+                "subsection": "",
+                "anchor": "14-15-itogi-glavy",
+                "text": "В этой главе вы создали полную инфраструктуру приложения: ✅ Структура проекта по модулям ✅ Типизированные ошибки (NetworkError, FirebaseError, RealmError) ✅ Сетевой слой с протоколами (EndpointProtocol, NetworkManager) ✅ Локальное хранилище (RealmManager) ✅ Менеджеры бизнес-логики (UserInfoManager, RootWindowManager) ✅ AppDelegate и SceneDelegate с Firebase ✅ Расширения и хелперы",
+                "code": ""
+            },
+            {
+                "section": "14.15 Итоги главы",
+                "subsection": "Сравнение с веб-разработкой",
+                "anchor": "sravnenie-s-veb-razrabotkoy",
+                "text": "iOS (Swift) Web (JavaScript) NetworkManageraxios.create() EndpointProtocolRoute configuration RealmManagerlocalStorage / IndexedDB enum Errorclass CustomError extends Error AppDelegateindex.js / entry point SceneDelegateRouter initialization",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 15 мы создадим полный модуль аутентификации с Firebase, Google Sign-In и Onboarding.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/15-authentication.html",
+        "chapter": "Глава 15",
+        "title": "Модуль аутентификации",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы создадим полный модуль аутентификации по архитектуре VIPER: AuthManager — менеджер авторизации Firebase Onboarding — приветственные экраны при первом запуске Login — вход с email/password и Google SignUp — регистрация нового пользователя Аналогия с веб: Это как создание auth middleware в Express.js + страницы /login, /register с OAuth.",
+                "code": ""
+            },
+            {
+                "section": "15.1 AuthManager — Сердце авторизации",
+                "subsection": "",
+                "anchor": "15-1-authmanager-serdtse-avtorizatsii",
+                "text": "AuthManager инкапсулирует всю логику работы с Firebase Authentication.",
+                "code": "// Managers/AuthManager/AuthManager.swift\n\nimport Foundation\nimport FirebaseAuth\nimport FirebaseCore\nimport GoogleSignIn\n\n// MARK: - Protocol\n/// Протокол определяет контракт для менеджера авторизации\n/// Позволяет подменять реализацию для тестов\nprotocol AuthManagerProtocol {\n    /// Вход с email и паролем\n    func login(email: String, password: String, completion: @escaping (Result<Void, FirebaseError>) -> Void)\n\n    /// Регистрация нового пользователя\n    func signUp(email: String, password: String, completion: @escaping (Result<Void, FirebaseError>) -> Void)\n\n    /// Сброс пароля\n    func resetPassword(with email: String, completion: @escaping (Result<Void, FirebaseError>) -> Void)\n\n    /// Выход из аккаунта\n    func signOut(completion: (Result<Void, FirebaseError>) -> Void)\n\n    /// Вход через Google\n    func signInWithGoogle(presenting viewController: UIViewController, completion: @escaping (Result<Void, FirebaseError>) -> Void)\n}\n\n// MARK: - Implementation\n/// Реализация менеджера авторизации с Firebase\nfinal class AuthManager: AuthManagerProtocol {\n\n    // MARK: - Properties\n    /// Ссылка на Firebase Auth\n    /// Auth.auth() — singleton Firebase Authentication\n    private let auth = Auth.auth()\n\n    // MARK: - Login\n    /// Вход с email и паролем\n    ///\n    /// Процесс:\n    /// 1. Firebase проверяет email/password\n    /// 2. При успехе проверяем верификацию email\n    /// 3. Если email не подтверждён — отправляем письмо повторно\n    ///\n    /// - Parameters:\n    ///   - email: Email пользователя\n    ///   - password: Пароль\n    ///   - completion: Result с успехом или ошибкой\n    func login(email: String, password: String, completion: @escaping (Result<Void, FirebaseError>) -> Void) {\n\n        // signIn — метод Firebase для входа\n        // Аналог: fetch('/api/auth/login', { method: 'POST', body: { email, password } })\n        auth.signIn(withEmail: email, password: password) { [weak self] authResult, error in\n\n            // Проверяем ошибку\n            if let _ = error {\n                completion(.failure(.loginError))\n                return\n            }\n\n            // Проверяем, подтверждён ли email\n            // isEmailVerified — флаг Firebase\n            guard let isEmailVerified = authResult?.user.isEmailVerified else {\n                completion(.failure(.loginError))\n                return\n            }\n\n            if isEmailVerified {\n                // Email подтверждён — успешный вход\n                completion(.success(()))\n            } else {\n                // Email не подтверждён — отправляем письмо повторно\n                self?.sendVerificationEmail(completion: { result in\n                    switch result {\n                    case .success:\n                        // Письмо отправлено, но вход не выполняем\n                        completion(.failure(.emailNotVerified))\n                    case .failure:\n                        completion(.failure(.sendEmailError))\n                    }\n                })\n            }\n        }\n    }\n\n    // MARK: - Sign Up\n    /// Регистрация нового пользователя\n    ///\n    /// Процесс:\n    /// 1. Создаём пользователя в Firebase\n    /// 2. Отправляем email для верификации\n    /// 3. Выходим из аккаунта (пользователь должен подтвердить email перед входом)\n    ///\n    /// - Parameters:\n    ///   - email: Email для регистрации\n    ///   - password: Пароль (минимум 6 символов для Firebase)\n    ///   - completion: Result с успехом или ошибкой\n    func signUp(email: String, password: String, completion: @escaping (Result<Void, FirebaseError>) -> Void) {\n\n        // createUser — создание нового пользователя в Firebase\n        auth.createUser(withEmail: email, password: password) { [weak self] _, error in\n\n            if let _ = error {\n                completion(.failure(.signUpError))\n                return\n            }\n\n            // Отправляем письмо для подтверждения email\n            self?.sendVerificationEmail(completion: { result in\n                switch result {\n                case .success:\n                    // Выходим из аккаунта после регистрации\n                    // Пользователь должен подтвердить email и войти заново\n                    try? self?.auth.signOut()\n                    completion(.success(()))\n\n                case .failure:\n                    completion(.failure(.sendEmailError))\n                }\n            })\n        }\n    }\n\n    // MARK: - Send Verification Email\n    /// Отправка письма для верификации email\n    private func sendVerificationEmail(completion: @escaping (Result<Void, FirebaseError>) -> Void) {\n\n        // currentUser — текущий авторизованный пользователь\n        auth.currentUser?.sendEmailVerification(completion: { error in\n            if let _ = error {\n                completion(.failure(.sendEmailError))\n            } else {\n                completion(.success(()))\n            }\n        })\n    }\n\n    // MARK: - Reset Password\n    /// Сброс пароля по email\n    ///\n    /// Firebase отправляет письмо со ссылкой для сброса пароля\n    func resetPassword(with email: String, completion: @escaping (Result<Void, FirebaseError>) -> Void) {\n\n        auth.sendPasswordReset(withEmail: email) { error in\n            if let _ = error {\n                completion(.failure(.passwordResetError))\n            } else {\n                completion(.success(()))\n            }\n        }\n    }\n\n    // MARK: - Sign Out\n    /// Выход из аккаунта\n    func signOut(completion: (Result<Void, FirebaseError>) -> Void) {\n        do {\n            try auth.signOut()\n\n            // Также выходим из Google (если вошли через Google)\n            GIDSignIn.sharedInstance.signOut()\n\n            completion(.success(()))\n        } catch {\n            completion(.failure(.signOutError))\n        }\n    }\n\n    // MARK: - Google Sign In\n    /// Вход через Google\n    ///\n    /// Процесс:\n    /// 1. Открываем Google Sign-In UI\n    /// 2. Пользователь выбирает аккаунт\n    /// 3. Получаем токены от Google\n    /// 4. Обмениваем токены на Firebase credential\n    /// 5. Входим в Firebase с Google credential\n    ///\n    /// - Parameters:\n    ///   - viewController: ViewController для показа Google UI\n    ///   - completion: Result с успехом или ошибкой\n    func signInWithGoogle(presenting viewController: UIViewController, completion: @escaping (Result<Void, FirebaseError>) -> Void) {\n\n        // 1. Получаем Client ID из Firebase конфигурации\n        guard let clientID = FirebaseApp.app()?.options.clientID else {\n            completion(.failure(.googleSignInFailed))\n            return\n        }\n\n        // 2. Настраиваем Google Sign-In\n        let config = GIDConfiguration(clientID: clientID)\n        GIDSignIn.sharedInstance.configuration = config\n\n        // 3. Показываем Google Sign-In UI\n        GIDSignIn.sharedInstance.signIn(withPresenting: viewController) { result, error in\n\n            if let _ = error {\n                completion(.failure(.googleSignInFailed))\n                return\n            }\n\n            // 4. Получаем данные от Google\n            guard let user = result?.user,\n                  let idToken = user.idToken?.tokenString else {\n                completion(.failure(.googleSignInFailed))\n                return\n            }\n\n            // 5. Создаём Firebase credential из Google токенов\n            // Это связывает Google аккаунт с Firebase\n            let credential = GoogleAuthProvider.credential(\n                withIDToken: idToken,\n                accessToken: user.accessToken.tokenString\n            )\n\n            // 6. Входим в Firebase с Google credential\n            Auth.auth().signIn(with: credential) { _, error in\n                if let _ = error {\n                    completion(.failure(.googleSignInFailed))\n                } else {\n                    completion(.success(()))\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "15.1 AuthManager — Сердце авторизации",
+                "subsection": "Диаграмма потока авторизации",
+                "anchor": "diagramma-potoka-avtorizatsii",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                      AUTHENTICATION FLOW                         │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌──────────┐    Email/Password    ┌──────────────┐             │\n│  │  Login   │ ──────────────────► │   Firebase   │             │\n│  │  Screen  │                      │     Auth     │             │\n│  └────┬─────┘                      └──────┬───────┘             │\n│       │                                   │                      │\n│       │    Google Sign-In                 │                      │\n│       │ ┌────────────────┐                │                      │\n│       └►│  Google SDK    │────────────────┘                      │\n│         └────────────────┘                                       │\n│                                           │                      │\n│                                    ┌──────▼───────┐             │\n│                                    │ Email        │             │\n│                                    │ Verified?    │             │\n│                                    └──────┬───────┘             │\n│                                    YES    │    NO               │\n│                                    ┌──────┴───────┐             │\n│                                    │              │              │\n│                              ┌─────▼────┐  ┌─────▼─────┐        │\n│                              │  SUCCESS │  │  SEND     │        │\n│                              │  → Home  │  │  EMAIL    │        │\n│                              └──────────┘  └───────────┘        │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "",
+                "anchor": "15-2-onboarding-module-privetstvennye-ekrany",
+                "text": "Onboarding показывается при первом запуске приложения.",
+                "code": ""
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "Структура модуля",
+                "anchor": "struktura-modulya",
+                "text": "",
+                "code": "Modules/Onboarding/\n├── Base/\n│   ├── OnboardingViewController.swift   (View)\n│   ├── OnboardingPresenter.swift\n│   ├── OnboardingInteractor.swift\n│   └── OnboardingRouter.swift\n└── Cell/\n    └── OnboardingCollectionViewCell.swift"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "OnboardingRouter.swift",
+                "anchor": "onboardingrouter-swift",
+                "text": "",
+                "code": "// Modules/Onboarding/Base/OnboardingRouter.swift\n\nimport UIKit\n\n// MARK: - Protocol\nprotocol OnboardingRouterProtocol {\n    func toLogin()\n}\n\n// MARK: - Router\nfinal class OnboardingRouter: OnboardingRouterProtocol {\n\n    // MARK: - Properties\n    /// Слабая ссылка на ViewController (избегаем retain cycle)\n    weak var view: UIViewController?\n\n    // MARK: - Factory Method\n    /// Создание и сборка модуля Onboarding\n    /// Это \"точка входа\" в модуль — собирает все VIPER компоненты\n    static func startOnboarding() -> OnboardingViewController {\n        // 1. Создаём компоненты\n        let view = OnboardingViewController()\n        let interactor = OnboardingInteractor()\n        let router = OnboardingRouter()\n        let presenter = OnboardingPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        // 2. Связываем компоненты\n        view.presenter = presenter\n        interactor.presenter = presenter\n        router.view = view\n\n        return view\n    }\n\n    // MARK: - Navigation\n    /// Переход на экран Login\n    func toLogin() {\n        let loginVC = LoginRouter.startLogin()\n        view?.navigationController?.pushViewController(loginVC, animated: true)\n    }\n}"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "OnboardingInteractor.swift",
+                "anchor": "onboardinginteractor-swift",
+                "text": "",
+                "code": "// Modules/Onboarding/Base/OnboardingInteractor.swift\n\nimport UIKit\n\n// MARK: - Protocols\nprotocol OnboardingInteractorProtocol {\n    func createOnboardingItems()\n}\n\nprotocol OnboardingInteractorOutputProtocol: AnyObject {\n    func onboardingItemsCreated(_ items: [OnboardingItem])\n}\n\n// MARK: - Onboarding Item Model\n/// Модель данных для страницы онбординга\nstruct OnboardingItem {\n    let title: String\n    let description: String\n    let imageName: String      // Имя изображения в Assets\n}\n\n// MARK: - Interactor\nfinal class OnboardingInteractor: OnboardingInteractorProtocol {\n\n    // MARK: - Properties\n    weak var presenter: OnboardingInteractorOutputProtocol?\n\n    // MARK: - Methods\n    /// Создаёт массив страниц онбординга\n    /// Бизнес-логика: какие экраны показать пользователю\n    func createOnboardingItems() {\n        let items: [OnboardingItem] = [\n            OnboardingItem(\n                title: \"Добро пожаловать\",\n                description: \"Тысячи товаров в одном приложении. Найдите всё, что вам нужно.\",\n                imageName: \"onboarding1\"\n            ),\n            OnboardingItem(\n                title: \"Быстрая доставка\",\n                description: \"Доставим ваш заказ в кратчайшие сроки прямо до двери.\",\n                imageName: \"onboarding2\"\n            ),\n            OnboardingItem(\n                title: \"Безопасная оплата\",\n                description: \"Несколько способов оплаты. Ваши данные под защитой.\",\n                imageName: \"onboarding3\"\n            )\n        ]\n\n        // Передаём данные в Presenter\n        presenter?.onboardingItemsCreated(items)\n    }\n}"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "OnboardingPresenter.swift",
+                "anchor": "onboardingpresenter-swift",
+                "text": "",
+                "code": "// Modules/Onboarding/Base/OnboardingPresenter.swift\n\nimport Foundation\n\n// MARK: - Protocols\nprotocol OnboardingPresenterProtocol {\n    func viewDidLoad()\n    func numberOfItems() -> Int\n    func item(at index: Int) -> OnboardingItem?\n    func nextButtonTapped(currentIndex: Int)\n    func skipButtonTapped()\n}\n\n// MARK: - Presenter\nfinal class OnboardingPresenter {\n\n    // MARK: - Properties\n    /// weak — избегаем retain cycle (View держит Presenter, Presenter НЕ держит View)\n    weak var view: OnboardingViewProtocol?\n\n    /// Interactor — сильная ссылка (Presenter владеет Interactor)\n    private let interactor: OnboardingInteractorProtocol\n\n    /// Router — сильная ссылка\n    private let router: OnboardingRouterProtocol\n\n    /// Данные для отображения\n    private var items: [OnboardingItem] = []\n\n    // MARK: - Init\n    init(view: OnboardingViewProtocol,\n         interactor: OnboardingInteractorProtocol,\n         router: OnboardingRouterProtocol) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - OnboardingPresenterProtocol\nextension OnboardingPresenter: OnboardingPresenterProtocol {\n\n    /// Вызывается из View при загрузке\n    func viewDidLoad() {\n        // Запрашиваем данные у Interactor\n        interactor.createOnboardingItems()\n    }\n\n    /// Количество страниц онбординга\n    func numberOfItems() -> Int {\n        items.count\n    }\n\n    /// Получение элемента по индексу\n    func item(at index: Int) -> OnboardingItem? {\n        guard items.indices.contains(index) else { return nil }\n        return items[index]\n    }\n\n    /// Обработка нажатия \"Далее\"\n    func nextButtonTapped(currentIndex: Int) {\n        let nextIndex = currentIndex + 1\n\n        if nextIndex < items.count {\n            // Переход на следующую страницу\n            view?.scrollToItem(at: nextIndex)\n            view?.updatePageControl(currentPage: nextIndex)\n\n            // На последней странице меняем текст кнопки\n            if nextIndex == items.count - 1 {\n                view?.updateButtonTitle(\"Начать\")\n            }\n        } else {\n            // Это последняя страница — переходим на Login\n            router.toLogin()\n        }\n    }\n\n    /// Обработка нажатия \"Пропустить\"\n    func skipButtonTapped() {\n        router.toLogin()\n    }\n}\n\n// MARK: - OnboardingInteractorOutputProtocol\nextension OnboardingPresenter: OnboardingInteractorOutputProtocol {\n\n    /// Callback от Interactor с данными\n    func onboardingItemsCreated(_ items: [OnboardingItem]) {\n        self.items = items\n        view?.reloadData()\n    }\n}"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "OnboardingViewController.swift",
+                "anchor": "onboardingviewcontroller-swift",
+                "text": "",
+                "code": "// Modules/Onboarding/Base/OnboardingViewController.swift\n\nimport UIKit\nimport SnapKit\n\n// MARK: - Protocol\nprotocol OnboardingViewProtocol: AnyObject {\n    func reloadData()\n    func scrollToItem(at index: Int)\n    func updatePageControl(currentPage: Int)\n    func updateButtonTitle(_ title: String)\n}\n\n// MARK: - ViewController\nfinal class OnboardingViewController: UIViewController {\n\n    // MARK: - Properties\n    var presenter: OnboardingPresenterProtocol!\n\n    /// Текущий индекс страницы\n    private var currentIndex = 0\n\n    // MARK: - UI Elements\n\n    /// CollectionView для горизонтального скролла страниц\n    private lazy var collectionView: UICollectionView = {\n        // FlowLayout для горизонтального скролла\n        let layout = UICollectionViewFlowLayout()\n        layout.scrollDirection = .horizontal\n        layout.minimumLineSpacing = 0\n\n        let cv = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        cv.delegate = self\n        cv.dataSource = self\n        cv.isPagingEnabled = true  // Пагинация (скролл по страницам)\n        cv.showsHorizontalScrollIndicator = false\n        cv.register(\n            OnboardingCollectionViewCell.self,\n            forCellWithReuseIdentifier: OnboardingCollectionViewCell.identifier\n        )\n        return cv\n    }()\n\n    /// Индикатор текущей страницы (точки)\n    private let pageControl: UIPageControl = {\n        let pc = UIPageControl()\n        pc.currentPageIndicatorTintColor = .label\n        pc.pageIndicatorTintColor = .systemGray4\n        return pc\n    }()\n\n    /// Кнопка \"Далее\" / \"Начать\"\n    private let nextButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Далее\", for: .normal)\n        button.setTitleColor(.white, for: .normal)\n        button.backgroundColor = .systemBlue\n        button.layer.cornerRadius = 12\n        button.titleLabel?.font = .systemFont(ofSize: 18, weight: .semibold)\n        return button\n    }()\n\n    /// Кнопка \"Пропустить\"\n    private let skipButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Пропустить\", for: .normal)\n        button.setTitleColor(.systemGray, for: .normal)\n        return button\n    }()\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupActions()\n        presenter.viewDidLoad()\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n\n        // Скрываем navigation bar на онбординге\n        navigationController?.navigationBar.isHidden = true\n\n        view.addSubviews(collectionView, pageControl, nextButton, skipButton)\n\n        // Layout с SnapKit\n        collectionView.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(40)\n            make.leading.trailing.equalToSuperview()\n            make.height.equalTo(UIScreenBounds.height * 0.5)\n        }\n\n        pageControl.snp.makeConstraints { make in\n            make.top.equalTo(collectionView.snp.bottom).offset(20)\n            make.centerX.equalToSuperview()\n        }\n\n        nextButton.snp.makeConstraints { make in\n            make.bottom.equalTo(view.safeAreaLayoutGuide).offset(-40)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(56)\n        }\n\n        skipButton.snp.makeConstraints { make in\n            make.bottom.equalTo(nextButton.snp.top).offset(-16)\n            make.centerX.equalToSuperview()\n        }\n    }\n\n    private func setupActions() {\n        nextButton.addTarget(self, action: #selector(nextButtonTapped), for: .touchUpInside)\n        skipButton.addTarget(self, action: #selector(skipButtonTapped), for: .touchUpInside)\n    }\n\n    // MARK: - Actions\n    @objc private func nextButtonTapped() {\n        presenter.nextButtonTapped(currentIndex: currentIndex)\n    }\n\n    @objc private func skipButtonTapped() {\n        presenter.skipButtonTapped()\n    }\n}\n\n// MARK: - OnboardingViewProtocol\nextension OnboardingViewController: OnboardingViewProtocol {\n\n    func reloadData() {\n        collectionView.reloadData()\n        pageControl.numberOfPages = presenter.numberOfItems()\n    }\n\n    func scrollToItem(at index: Int) {\n        currentIndex = index\n        let indexPath = IndexPath(item: index, section: 0)\n        collectionView.scrollToItem(at: indexPath, at: .centeredHorizontally, animated: true)\n    }\n\n    func updatePageControl(currentPage: Int) {\n        pageControl.currentPage = currentPage\n    }\n\n    func updateButtonTitle(_ title: String) {\n        nextButton.setTitle(title, for: .normal)\n    }\n}\n\n// MARK: - UICollectionViewDataSource\nextension OnboardingViewController: UICollectionViewDataSource {\n\n    func collectionView(_ collectionView: UICollectionView, numberOfItemsInSection section: Int) -> Int {\n        presenter.numberOfItems()\n    }\n\n    func collectionView(_ collectionView: UICollectionView, cellForItemAt indexPath: IndexPath) -> UICollectionViewCell {\n        guard let cell = collectionView.dequeueReusableCell(\n            withReuseIdentifier: OnboardingCollectionViewCell.identifier,\n            for: indexPath\n        ) as? OnboardingCollectionViewCell else {\n            return UICollectionViewCell()\n        }\n\n        if let item = presenter.item(at: indexPath.item) {\n            cell.configure(with: item)\n        }\n\n        return cell\n    }\n}\n\n// MARK: - UICollectionViewDelegateFlowLayout\nextension OnboardingViewController: UICollectionViewDelegateFlowLayout {\n\n    /// Размер ячейки = размер CollectionView (полноэкранные страницы)\n    func collectionView(_ collectionView: UICollectionView, layout collectionViewLayout: UICollectionViewLayout, sizeForItemAt indexPath: IndexPath) -> CGSize {\n        return collectionView.bounds.size\n    }\n\n    /// Обработка скролла для обновления pageControl\n    func scrollViewDidEndDecelerating(_ scrollView: UIScrollView) {\n        let pageWidth = scrollView.bounds.width\n        let currentPage = Int(scrollView.contentOffset.x / pageWidth)\n        currentIndex = currentPage\n        pageControl.currentPage = currentPage\n\n        // Обновляем текст кнопки на последней странице\n        if currentPage == presenter.numberOfItems() - 1 {\n            nextButton.setTitle(\"Начать\", for: .normal)\n        } else {\n            nextButton.setTitle(\"Далее\", for: .normal)\n        }\n    }\n}"
+            },
+            {
+                "section": "15.2 Onboarding Module — Приветственные экраны",
+                "subsection": "OnboardingCollectionViewCell.swift",
+                "anchor": "onboardingcollectionviewcell-swift",
+                "text": "",
+                "code": "// Modules/Onboarding/Cell/OnboardingCollectionViewCell.swift\n\nimport UIKit\nimport SnapKit\n\nfinal class OnboardingCollectionViewCell: UICollectionViewCell {\n\n    // MARK: - Identifier\n    static let identifier = \"OnboardingCollectionViewCell\"\n\n    // MARK: - UI Elements\n    private let imageView: UIImageView = {\n        let iv = UIImageView()\n        iv.contentMode = .scaleAspectFit\n        iv.tintColor = .systemBlue\n        return iv\n    }()\n\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 28, weight: .bold)\n        label.textAlignment = .center\n        label.numberOfLines = 0\n        return label\n    }()\n\n    private let descriptionLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16)\n        label.textColor = .secondaryLabel\n        label.textAlignment = .center\n        label.numberOfLines = 0\n        return label\n    }()\n\n    // MARK: - Init\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        contentView.addSubviews(imageView, titleLabel, descriptionLabel)\n\n        imageView.snp.makeConstraints { make in\n            make.top.equalToSuperview()\n            make.centerX.equalToSuperview()\n            make.size.equalTo(CGSize(width: 200, height: 200))\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(imageView.snp.bottom).offset(40)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n\n        descriptionLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n    }\n\n    // MARK: - Configure\n    func configure(with item: OnboardingItem) {\n        imageView.image = UIImage(named: item.imageName) ?? UIImage(systemName: \"star.fill\")\n        titleLabel.text = item.title\n        descriptionLabel.text = item.description\n    }\n}"
+            },
+            {
+                "section": "15.3 Login Module — Экран входа",
+                "subsection": "LoginRouter.swift",
+                "anchor": "loginrouter-swift",
+                "text": "",
+                "code": "// Modules/Login/Base/LoginRouter.swift\n\nimport UIKit\n\n// MARK: - Protocol\nprotocol LoginRouterProtocol {\n    func toSignUp()\n    func toHome()\n}\n\n// MARK: - Router\nfinal class LoginRouter: LoginRouterProtocol {\n\n    weak var view: UIViewController?\n\n    // MARK: - Factory\n    static func startLogin() -> LoginViewController {\n        let view = LoginViewController()\n        let interactor = LoginInteractor()\n        let router = LoginRouter()\n        let presenter = LoginPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        view.presenter = presenter\n        interactor.presenter = presenter\n        router.view = view\n\n        return view\n    }\n\n    // MARK: - Navigation\n\n    /// Переход на экран регистрации\n    func toSignUp() {\n        let signUpVC = SignUpRouter.startSignUp()\n        view?.navigationController?.pushViewController(signUpVC, animated: true)\n    }\n\n    /// Переход на главный экран (после успешного входа)\n    func toHome() {\n        // Меняем корневой контроллер всего приложения\n        let mainTabBar = MainTabBarRouter.startTabBarModule()\n        RootWindowManager.shared.changeRootViewController(mainTabBar, animated: true)\n    }\n}"
+            },
+            {
+                "section": "15.3 Login Module — Экран входа",
+                "subsection": "LoginInteractor.swift",
+                "anchor": "logininteractor-swift",
+                "text": "",
+                "code": "// Modules/Login/Base/LoginInteractor.swift\n\nimport UIKit\n\n// MARK: - Protocols\nprotocol LoginInteractorProtocol {\n    func login(email: String, password: String)\n    func loginWithGoogle(from viewController: UIViewController)\n    func forgotPassword(email: String)\n}\n\nprotocol LoginInteractorOutputProtocol: AnyObject {\n    func loginSuccess()\n    func loginFailed(error: FirebaseError)\n    func forgotPasswordSuccess()\n    func forgotPasswordFailed(error: FirebaseError)\n}\n\n// MARK: - Interactor\nfinal class LoginInteractor: LoginInteractorProtocol {\n\n    // MARK: - Properties\n    weak var presenter: LoginInteractorOutputProtocol?\n    private let authManager: AuthManagerProtocol\n\n    // MARK: - Init\n    /// Dependency Injection через init\n    /// Позволяет подменять AuthManager в тестах\n    init(authManager: AuthManagerProtocol = AuthManager()) {\n        self.authManager = authManager\n    }\n\n    // MARK: - Methods\n\n    func login(email: String, password: String) {\n        authManager.login(email: email, password: password) { [weak self] result in\n            switch result {\n            case .success:\n                self?.presenter?.loginSuccess()\n            case .failure(let error):\n                self?.presenter?.loginFailed(error: error)\n            }\n        }\n    }\n\n    func loginWithGoogle(from viewController: UIViewController) {\n        authManager.signInWithGoogle(presenting: viewController) { [weak self] result in\n            switch result {\n            case .success:\n                self?.presenter?.loginSuccess()\n            case .failure(let error):\n                self?.presenter?.loginFailed(error: error)\n            }\n        }\n    }\n\n    func forgotPassword(email: String) {\n        authManager.resetPassword(with: email) { [weak self] result in\n            switch result {\n            case .success:\n                self?.presenter?.forgotPasswordSuccess()\n            case .failure(let error):\n                self?.presenter?.forgotPasswordFailed(error: error)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "15.3 Login Module — Экран входа",
+                "subsection": "LoginPresenter.swift",
+                "anchor": "loginpresenter-swift",
+                "text": "",
+                "code": "// Modules/Login/Base/LoginPresenter.swift\n\nimport UIKit\n\n// MARK: - Protocol\nprotocol LoginPresenterProtocol {\n    func loginButtonTapped(email: String?, password: String?)\n    func googleSignInButtonTapped()\n    func signUpButtonTapped()\n    func forgotPasswordTapped()\n}\n\n// MARK: - Presenter\nfinal class LoginPresenter {\n\n    weak var view: LoginViewProtocol?\n    private let interactor: LoginInteractorProtocol\n    private let router: LoginRouterProtocol\n\n    init(view: LoginViewProtocol,\n         interactor: LoginInteractorProtocol,\n         router: LoginRouterProtocol) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - LoginPresenterProtocol\nextension LoginPresenter: LoginPresenterProtocol {\n\n    func loginButtonTapped(email: String?, password: String?) {\n        // Валидация\n        guard let email = email, !email.isEmpty,\n              let password = password, !password.isEmpty else {\n            view?.showError(GeneralError.emailPasswordEmpty)\n            return\n        }\n\n        // Показываем индикатор загрузки\n        view?.showLoading()\n\n        // Выполняем вход\n        interactor.login(email: email, password: password)\n    }\n\n    func googleSignInButtonTapped() {\n        // Получаем ViewController для показа Google UI\n        guard let viewController = view as? UIViewController else { return }\n\n        view?.showLoading()\n        interactor.loginWithGoogle(from: viewController)\n    }\n\n    func signUpButtonTapped() {\n        router.toSignUp()\n    }\n\n    func forgotPasswordTapped() {\n        // View показывает alert с текстовым полем для email\n        view?.showForgotPasswordAlert()\n    }\n}\n\n// MARK: - LoginInteractorOutputProtocol\nextension LoginPresenter: LoginInteractorOutputProtocol {\n\n    func loginSuccess() {\n        view?.hideLoading()\n        router.toHome()\n    }\n\n    func loginFailed(error: FirebaseError) {\n        view?.hideLoading()\n        view?.showError(error)\n    }\n\n    func forgotPasswordSuccess() {\n        view?.hideLoading()\n        view?.showSuccess(message: \"Письмо для сброса пароля отправлено на вашу почту\")\n    }\n\n    func forgotPasswordFailed(error: FirebaseError) {\n        view?.hideLoading()\n        view?.showError(error)\n    }\n}"
+            },
+            {
+                "section": "15.3 Login Module — Экран входа",
+                "subsection": "LoginViewController.swift",
+                "anchor": "loginviewcontroller-swift",
+                "text": "",
+                "code": "// Modules/Login/Base/LoginViewController.swift\n\nimport UIKit\nimport SnapKit\n\n// MARK: - Protocol\nprotocol LoginViewProtocol: AnyObject {\n    func showLoading()\n    func hideLoading()\n    func showError(_ error: Error)\n    func showSuccess(message: String)\n    func showForgotPasswordAlert()\n}\n\n// MARK: - ViewController\nfinal class LoginViewController: UIViewController {\n\n    // MARK: - Properties\n    var presenter: LoginPresenterProtocol!\n\n    // MARK: - UI Elements\n\n    private let logoImageView: UIImageView = {\n        let iv = UIImageView()\n        iv.image = UIImage(systemName: \"cart.fill\")\n        iv.tintColor = .systemBlue\n        iv.contentMode = .scaleAspectFit\n        return iv\n    }()\n\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Добро пожаловать\"\n        label.font = .systemFont(ofSize: 28, weight: .bold)\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let subtitleLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Войдите в аккаунт\"\n        label.font = .systemFont(ofSize: 16)\n        label.textColor = .secondaryLabel\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let emailTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Email\"\n        tf.borderStyle = .roundedRect\n        tf.keyboardType = .emailAddress\n        tf.autocapitalizationType = .none\n        tf.autocorrectionType = .no\n        tf.returnKeyType = .next\n        return tf\n    }()\n\n    private let passwordTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Пароль\"\n        tf.borderStyle = .roundedRect\n        tf.isSecureTextEntry = true\n        tf.returnKeyType = .done\n        return tf\n    }()\n\n    private let forgotPasswordButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Забыли пароль?\", for: .normal)\n        button.setTitleColor(.systemBlue, for: .normal)\n        button.contentHorizontalAlignment = .right\n        return button\n    }()\n\n    private let loginButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Войти\", for: .normal)\n        button.setTitleColor(.white, for: .normal)\n        button.backgroundColor = .systemBlue\n        button.layer.cornerRadius = 12\n        button.titleLabel?.font = .systemFont(ofSize: 18, weight: .semibold)\n        return button\n    }()\n\n    private let orLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"или\"\n        label.font = .systemFont(ofSize: 14)\n        label.textColor = .secondaryLabel\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let googleButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"  Войти через Google\", for: .normal)\n        button.setTitleColor(.label, for: .normal)\n        button.setImage(UIImage(named: \"google_icon\"), for: .normal)\n        button.backgroundColor = .secondarySystemBackground\n        button.layer.cornerRadius = 12\n        button.layer.borderWidth = 1\n        button.layer.borderColor = UIColor.systemGray4.cgColor\n        button.titleLabel?.font = .systemFont(ofSize: 16, weight: .medium)\n        return button\n    }()\n\n    private let signUpStackView: UIStackView = {\n        let stack = UIStackView()\n        stack.axis = .horizontal\n        stack.spacing = 4\n        stack.alignment = .center\n        return stack\n    }()\n\n    private let noAccountLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Нет аккаунта?\"\n        label.font = .systemFont(ofSize: 14)\n        label.textColor = .secondaryLabel\n        return label\n    }()\n\n    private let signUpButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Зарегистрируйтесь\", for: .normal)\n        button.setTitleColor(.systemBlue, for: .normal)\n        button.titleLabel?.font = .systemFont(ofSize: 14, weight: .semibold)\n        return button\n    }()\n\n    private let activityIndicator: UIActivityIndicatorView = {\n        let indicator = UIActivityIndicatorView(style: .large)\n        indicator.hidesWhenStopped = true\n        return indicator\n    }()\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupActions()\n    }\n\n    // MARK: - Setup\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n        navigationController?.navigationBar.isHidden = true\n\n        signUpStackView.addArrangedSubview(noAccountLabel)\n        signUpStackView.addArrangedSubview(signUpButton)\n\n        view.addSubviews(\n            logoImageView, titleLabel, subtitleLabel,\n            emailTextField, passwordTextField, forgotPasswordButton,\n            loginButton, orLabel, googleButton,\n            signUpStackView, activityIndicator\n        )\n\n        // Constraints\n        logoImageView.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(40)\n            make.centerX.equalToSuperview()\n            make.size.equalTo(80)\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(logoImageView.snp.bottom).offset(24)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n\n        subtitleLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(8)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n\n        emailTextField.snp.makeConstraints { make in\n            make.top.equalTo(subtitleLabel.snp.bottom).offset(40)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(50)\n        }\n\n        passwordTextField.snp.makeConstraints { make in\n            make.top.equalTo(emailTextField.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(50)\n        }\n\n        forgotPasswordButton.snp.makeConstraints { make in\n            make.top.equalTo(passwordTextField.snp.bottom).offset(8)\n            make.trailing.equalToSuperview().inset(24)\n        }\n\n        loginButton.snp.makeConstraints { make in\n            make.top.equalTo(forgotPasswordButton.snp.bottom).offset(24)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(56)\n        }\n\n        orLabel.snp.makeConstraints { make in\n            make.top.equalTo(loginButton.snp.bottom).offset(20)\n            make.centerX.equalToSuperview()\n        }\n\n        googleButton.snp.makeConstraints { make in\n            make.top.equalTo(orLabel.snp.bottom).offset(20)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(56)\n        }\n\n        signUpStackView.snp.makeConstraints { make in\n            make.top.equalTo(googleButton.snp.bottom).offset(24)\n            make.centerX.equalToSuperview()\n        }\n\n        activityIndicator.snp.makeConstraints { make in\n            make.center.equalToSuperview()\n        }\n    }\n\n    private func setupActions() {\n        loginButton.addTarget(self, action: #selector(loginButtonTapped), for: .touchUpInside)\n        googleButton.addTarget(self, action: #selector(googleButtonTapped), for: .touchUpInside)\n        signUpButton.addTarget(self, action: #selector(signUpButtonTapped), for: .touchUpInside)\n        forgotPasswordButton.addTarget(self, action: #selector(forgotPasswordTapped), for: .touchUpInside)\n    }\n\n    // MARK: - Actions\n    @objc private func loginButtonTapped() {\n        presenter.loginButtonTapped(\n            email: emailTextField.text,\n            password: passwordTextField.text\n        )\n    }\n\n    @objc private func googleButtonTapped() {\n        presenter.googleSignInButtonTapped()\n    }\n\n    @objc private func signUpButtonTapped() {\n        presenter.signUpButtonTapped()\n    }\n\n    @objc private func forgotPasswordTapped() {\n        presenter.forgotPasswordTapped()\n    }\n}\n\n// MARK: - LoginViewProtocol\nextension LoginViewController: LoginViewProtocol {\n\n    func showLoading() {\n        activityIndicator.startAnimating()\n        loginButton.isEnabled = false\n        googleButton.isEnabled = false\n    }\n\n    func hideLoading() {\n        activityIndicator.stopAnimating()\n        loginButton.isEnabled = true\n        googleButton.isEnabled = true\n    }\n\n    func showError(_ error: Error) {\n        showAlert(title: \"Ошибка\", message: error.localizedDescription)\n    }\n\n    func showSuccess(message: String) {\n        showAlert(title: \"Успешно\", message: message)\n    }\n\n    func showForgotPasswordAlert() {\n        passwordResetAlert { [weak self] email in\n            self?.presenter.loginButtonTapped(email: email, password: nil)\n        }\n    }\n}"
+            },
+            {
+                "section": "15.4 SignUp Module — Регистрация",
+                "subsection": "",
+                "anchor": "15-4-signup-module-registratsiya",
+                "text": "Модуль SignUp аналогичен Login, но с дополнительной логикой.",
+                "code": ""
+            },
+            {
+                "section": "15.4 SignUp Module — Регистрация",
+                "subsection": "SignUpRouter.swift",
+                "anchor": "signuprouter-swift",
+                "text": "",
+                "code": "// Modules/SignUp/Base/SignUpRouter.swift\n\nimport UIKit\n\nprotocol SignUpRouterProtocol {\n    func toLogin()\n}\n\nfinal class SignUpRouter: SignUpRouterProtocol {\n\n    weak var view: UIViewController?\n\n    static func startSignUp() -> SignUpViewController {\n        let view = SignUpViewController()\n        let interactor = SignUpInteractor()\n        let router = SignUpRouter()\n        let presenter = SignUpPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        view.presenter = presenter\n        interactor.presenter = presenter\n        router.view = view\n\n        return view\n    }\n\n    func toLogin() {\n        view?.navigationController?.popViewController(animated: true)\n    }\n}"
+            },
+            {
+                "section": "15.4 SignUp Module — Регистрация",
+                "subsection": "SignUpInteractor.swift",
+                "anchor": "signupinteractor-swift",
+                "text": "",
+                "code": "// Modules/SignUp/Base/SignUpInteractor.swift\n\nimport Foundation\n\nprotocol SignUpInteractorProtocol {\n    func signUp(email: String, password: String)\n}\n\nprotocol SignUpInteractorOutputProtocol: AnyObject {\n    func signUpSuccess()\n    func signUpFailed(error: FirebaseError)\n}\n\nfinal class SignUpInteractor: SignUpInteractorProtocol {\n\n    weak var presenter: SignUpInteractorOutputProtocol?\n    private let authManager: AuthManagerProtocol\n\n    init(authManager: AuthManagerProtocol = AuthManager()) {\n        self.authManager = authManager\n    }\n\n    func signUp(email: String, password: String) {\n        authManager.signUp(email: email, password: password) { [weak self] result in\n            switch result {\n            case .success:\n                self?.presenter?.signUpSuccess()\n            case .failure(let error):\n                self?.presenter?.signUpFailed(error: error)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "15.4 SignUp Module — Регистрация",
+                "subsection": "SignUpPresenter.swift",
+                "anchor": "signuppresenter-swift",
+                "text": "",
+                "code": "// Modules/SignUp/Base/SignUpPresenter.swift\n\nimport Foundation\n\nprotocol SignUpPresenterProtocol {\n    func signUpButtonTapped(email: String?, password: String?, confirmPassword: String?)\n    func loginButtonTapped()\n}\n\nfinal class SignUpPresenter {\n\n    weak var view: SignUpViewProtocol?\n    private let interactor: SignUpInteractorProtocol\n    private let router: SignUpRouterProtocol\n\n    init(view: SignUpViewProtocol,\n         interactor: SignUpInteractorProtocol,\n         router: SignUpRouterProtocol) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\nextension SignUpPresenter: SignUpPresenterProtocol {\n\n    func signUpButtonTapped(email: String?, password: String?, confirmPassword: String?) {\n        // Валидация\n        guard let email = email, !email.isEmpty,\n              let password = password, !password.isEmpty,\n              let confirmPassword = confirmPassword, !confirmPassword.isEmpty else {\n            view?.showError(GeneralError.emailPasswordEmpty)\n            return\n        }\n\n        // Проверка совпадения паролей\n        guard password == confirmPassword else {\n            view?.showError(NSError(domain: \"\", code: 0, userInfo: [NSLocalizedDescriptionKey: \"Пароли не совпадают\"]))\n            return\n        }\n\n        // Проверка длины пароля (Firebase требует минимум 6 символов)\n        guard password.count >= 6 else {\n            view?.showError(NSError(domain: \"\", code: 0, userInfo: [NSLocalizedDescriptionKey: \"Пароль должен содержать минимум 6 символов\"]))\n            return\n        }\n\n        view?.showLoading()\n        interactor.signUp(email: email, password: password)\n    }\n\n    func loginButtonTapped() {\n        router.toLogin()\n    }\n}\n\nextension SignUpPresenter: SignUpInteractorOutputProtocol {\n\n    func signUpSuccess() {\n        view?.hideLoading()\n        view?.showSuccessAndNavigate(message: \"Регистрация успешна! Проверьте почту для подтверждения email.\")\n    }\n\n    func signUpFailed(error: FirebaseError) {\n        view?.hideLoading()\n        view?.showError(error)\n    }\n}"
+            },
+            {
+                "section": "15.4 SignUp Module — Регистрация",
+                "subsection": "SignUpViewController.swift",
+                "anchor": "signupviewcontroller-swift",
+                "text": "",
+                "code": "// Modules/SignUp/Base/SignUpViewController.swift\n\nimport UIKit\nimport SnapKit\n\nprotocol SignUpViewProtocol: AnyObject {\n    func showLoading()\n    func hideLoading()\n    func showError(_ error: Error)\n    func showSuccessAndNavigate(message: String)\n}\n\nfinal class SignUpViewController: UIViewController {\n\n    var presenter: SignUpPresenterProtocol!\n\n    // MARK: - UI Elements\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Создать аккаунт\"\n        label.font = .systemFont(ofSize: 28, weight: .bold)\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let subtitleLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Заполните данные для регистрации\"\n        label.font = .systemFont(ofSize: 16)\n        label.textColor = .secondaryLabel\n        label.textAlignment = .center\n        return label\n    }()\n\n    private let emailTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Email\"\n        tf.borderStyle = .roundedRect\n        tf.keyboardType = .emailAddress\n        tf.autocapitalizationType = .none\n        return tf\n    }()\n\n    private let passwordTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Пароль\"\n        tf.borderStyle = .roundedRect\n        tf.isSecureTextEntry = true\n        return tf\n    }()\n\n    private let confirmPasswordTextField: UITextField = {\n        let tf = UITextField()\n        tf.placeholder = \"Подтвердите пароль\"\n        tf.borderStyle = .roundedRect\n        tf.isSecureTextEntry = true\n        return tf\n    }()\n\n    private let signUpButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Зарегистрироваться\", for: .normal)\n        button.setTitleColor(.white, for: .normal)\n        button.backgroundColor = .systemBlue\n        button.layer.cornerRadius = 12\n        button.titleLabel?.font = .systemFont(ofSize: 18, weight: .semibold)\n        return button\n    }()\n\n    private let loginStackView: UIStackView = {\n        let stack = UIStackView()\n        stack.axis = .horizontal\n        stack.spacing = 4\n        return stack\n    }()\n\n    private let hasAccountLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Уже есть аккаунт?\"\n        label.font = .systemFont(ofSize: 14)\n        label.textColor = .secondaryLabel\n        return label\n    }()\n\n    private let loginButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setTitle(\"Войти\", for: .normal)\n        button.titleLabel?.font = .systemFont(ofSize: 14, weight: .semibold)\n        return button\n    }()\n\n    private let activityIndicator = UIActivityIndicatorView(style: .large)\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupActions()\n    }\n\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n\n        loginStackView.addArrangedSubview(hasAccountLabel)\n        loginStackView.addArrangedSubview(loginButton)\n\n        view.addSubviews(\n            titleLabel, subtitleLabel,\n            emailTextField, passwordTextField, confirmPasswordTextField,\n            signUpButton, loginStackView, activityIndicator\n        )\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(60)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n\n        subtitleLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(8)\n            make.leading.trailing.equalToSuperview().inset(24)\n        }\n\n        emailTextField.snp.makeConstraints { make in\n            make.top.equalTo(subtitleLabel.snp.bottom).offset(40)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(50)\n        }\n\n        passwordTextField.snp.makeConstraints { make in\n            make.top.equalTo(emailTextField.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(50)\n        }\n\n        confirmPasswordTextField.snp.makeConstraints { make in\n            make.top.equalTo(passwordTextField.snp.bottom).offset(16)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(50)\n        }\n\n        signUpButton.snp.makeConstraints { make in\n            make.top.equalTo(confirmPasswordTextField.snp.bottom).offset(32)\n            make.leading.trailing.equalToSuperview().inset(24)\n            make.height.equalTo(56)\n        }\n\n        loginStackView.snp.makeConstraints { make in\n            make.top.equalTo(signUpButton.snp.bottom).offset(24)\n            make.centerX.equalToSuperview()\n        }\n\n        activityIndicator.snp.makeConstraints { make in\n            make.center.equalToSuperview()\n        }\n    }\n\n    private func setupActions() {\n        signUpButton.addTarget(self, action: #selector(signUpTapped), for: .touchUpInside)\n        loginButton.addTarget(self, action: #selector(loginTapped), for: .touchUpInside)\n    }\n\n    @objc private func signUpTapped() {\n        presenter.signUpButtonTapped(\n            email: emailTextField.text,\n            password: passwordTextField.text,\n            confirmPassword: confirmPasswordTextField.text\n        )\n    }\n\n    @objc private func loginTapped() {\n        presenter.loginButtonTapped()\n    }\n}\n\n// MARK: - SignUpViewProtocol\nextension SignUpViewController: SignUpViewProtocol {\n\n    func showLoading() {\n        activityIndicator.startAnimating()\n        signUpButton.isEnabled = false\n    }\n\n    func hideLoading() {\n        activityIndicator.stopAnimating()\n        signUpButton.isEnabled = true\n    }\n\n    func showError(_ error: Error) {\n        showAlert(title: \"Ошибка\", message: error.localizedDescription)\n    }\n\n    func showSuccessAndNavigate(message: String) {\n        let alert = UIAlertController(title: \"Успешно\", message: message, preferredStyle: .alert)\n        alert.addAction(UIAlertAction(title: \"OK\", style: .default) { [weak self] _ in\n            self?.presenter.loginButtonTapped()\n        })\n        present(alert, animated: true)\n    }\n}"
+            },
+            {
+                "section": "15.5 Диаграмма связей VIPER",
+                "subsection": "",
+                "anchor": "15-5-diagramma-svyazey-viper",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────┐\n│                     LOGIN MODULE - VIPER                             │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│    ┌──────────────────┐         ┌───────────────────┐               │\n│    │  LoginRouter     │         │  LoginInteractor  │               │\n│    │                  │         │                   │               │\n│    │  • toSignUp()    │         │  • login()        │               │\n│    │  • toHome()      │         │  • loginWithGoogle│               │\n│    │                  │         │  • forgotPassword │               │\n│    └────────▲─────────┘         └────────▲──────────┘               │\n│             │                            │                           │\n│             │                            │                           │\n│    ┌────────┴────────────────────────────┴──────────┐               │\n│    │                                                 │               │\n│    │              LoginPresenter                     │               │\n│    │                                                 │               │\n│    │  Inputs:           Interactor Output:           │               │\n│    │  • loginButtonTapped    • loginSuccess()        │               │\n│    │  • googleSignInTapped   • loginFailed()         │               │\n│    │  • signUpButtonTapped                           │               │\n│    │  • forgotPasswordTapped                         │               │\n│    │                                                 │               │\n│    └────────────────────┬────────────────────────────┘               │\n│                         │                                            │\n│                         │ weak reference                             │\n│                         ▼                                            │\n│    ┌────────────────────────────────────────────────┐               │\n│    │                                                 │               │\n│    │           LoginViewController                   │               │\n│    │                                                 │               │\n│    │  Protocol Methods:                              │               │\n│    │  • showLoading()                                │               │\n│    │  • hideLoading()                                │               │\n│    │  • showError()                                  │               │\n│    │  • showSuccess()                                │               │\n│    │                                                 │               │\n│    └────────────────────────────────────────────────┘               │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "15.6 Итоги главы",
+                "subsection": "",
+                "anchor": "15-6-itogi-glavy",
+                "text": "В этой главе вы создали полноценную систему аутентификации: ✅ AuthManager — централизованная логика авторизации с Firebase ✅ Onboarding — приветственные экраны с CollectionView ✅ Login — вход с email/password и Google Sign-In ✅ SignUp — регистрация с валидацией и верификацией email ✅ VIPER архитектура — чёткое разделение ответственности",
+                "code": ""
+            },
+            {
+                "section": "15.6 Итоги главы",
+                "subsection": "Ключевые паттерны",
+                "anchor": "klyuchevye-patterny",
+                "text": "Паттерн Где используется SingletonAuthManager, RootWindowManager Factory MethodRouter.startModule() DelegationInteractor → Presenter Protocol-OrientedВсе компоненты VIPER",
+                "code": ""
+            },
+            {
+                "section": "15.6 Итоги главы",
+                "subsection": "Сравнение с веб-разработкой",
+                "anchor": "sravnenie-s-veb-razrabotkoy",
+                "text": "iOS (Swift/VIPER) Web (React/Express) AuthManagerAuth middleware LoginViewControllerLoginPage component LoginPresenteruseLogin hook / controller LoginInteractorAuth service LoginRouterReact Router / next/router",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 16 мы создадим главный экран с товарами: Home модуль с категориями, поиском и списком товаров.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/16-products.html",
+        "chapter": "Глава 16",
+        "title": "Модуль товаров — Home и ProductList",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы создадим главный экран приложения — модуль Home, который показывает: Поиск товаров Категории товаров (горизонтальный список) Сетку товаров с возможностью добавления в избранное Это центральный модуль приложения, с которого начинается пользовательский путь.",
+                "code": ""
+            },
+            {
+                "section": "Введение",
+                "subsection": "Что мы создадим",
+                "anchor": "chto-my-sozdadim",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────┐\n│                     Home Screen                      │\n├─────────────────────────────────────────────────────┤\n│  ┌─────────────────────────────────────────────┐    │\n│  │ 🔍 Search products...                       │    │\n│  └─────────────────────────────────────────────┘    │\n│                                                      │\n│  Categories:                                         │\n│  ┌──────┐ ┌──────┐ ┌──────┐ ┌──────┐               │\n│  │ All  │ │Electr│ │Jewel │ │Men's │ →             │\n│  └──────┘ └──────┘ └──────┘ └──────┘               │\n│                                                      │\n│  ┌───────────┐  ┌───────────┐                       │\n│  │  [Image]  │  │  [Image]  │                       │\n│  │  ♡        │  │  ♡        │                       │\n│  │ Product 1 │  │ Product 2 │                       │\n│  │  $99.99   │  │  $149.99  │                       │\n│  │  ⭐ 4.5   │  │  ⭐ 4.2   │                       │\n│  └───────────┘  └───────────┘                       │\n│                                                      │\n│  ┌───────────┐  ┌───────────┐                       │\n│  │  [Image]  │  │  [Image]  │                       │\n│  │  ♡        │  │  ♡        │                       │\n│  │ Product 3 │  │ Product 4 │                       │\n│  │  $29.99   │  │  $199.99  │                       │\n│  │  ⭐ 4.8   │  │  ⭐ 3.9   │                       │\n│  └───────────┘  └───────────┘                       │\n└─────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "16.1 Product Entity — модель товара",
+                "subsection": "",
+                "anchor": "16-1-product-entity-model-tovara",
+                "text": "Создадим модель данных для товара. Это struct, потому что это просто данные. Почему struct, а не class? Product — это просто данные (данные из API) Нам не нужно наследование Нам нужна независимость копий (value type) Codable работает автоматически со struct",
+                "code": "// ECommerce/Entities/Models/Product.swift\n\nimport Foundation\n\n/// Модель товара из FakeStore API\n/// https://fakestoreapi.com/docs\n///\n/// Пример JSON ответа:\n/// {\n///     \"id\": 1,\n///     \"title\": \"Fjallraven - Foldsack No. 1 Backpack\",\n///     \"price\": 109.95,\n///     \"description\": \"Your perfect pack...\",\n///     \"category\": \"men's clothing\",\n///     \"image\": \"https://fakestoreapi.com/img/81fPKd-2AYL._AC_SL1500_.jpg\",\n///     \"rating\": {\n///         \"rate\": 3.9,\n///         \"count\": 120\n///     }\n/// }\nstruct Product: Codable, Equatable {\n    let id: Int              // Уникальный идентификатор товара\n    let title: String        // Название товара\n    let price: Double        // Цена в долларах\n    let description: String  // Описание товара\n    let category: String     // Категория (electronics, jewelery, men's clothing, women's clothing)\n    let image: String        // URL изображения товара\n    let rating: Rating       // Рейтинг и количество отзывов\n\n    /// Вложенная структура для рейтинга\n    struct Rating: Codable, Equatable {\n        let rate: Double     // Средний рейтинг (0.0 - 5.0)\n        let count: Int       // Количество отзывов\n    }\n}\n\n// MARK: - Computed Properties\n\nextension Product {\n    /// Форматированная цена с символом доллара\n    /// Пример: \"$109.95\"\n    var formattedPrice: String {\n        return String(format: \"$%.2f\", price)\n    }\n\n    /// Форматированный рейтинг со звездой\n    /// Пример: \"⭐ 3.9 (120)\"\n    var formattedRating: String {\n        return String(format: \"⭐ %.1f (%d)\", rating.rate, rating.count)\n    }\n\n    /// Категория с заглавной буквы\n    /// Пример: \"Men's Clothing\"\n    var formattedCategory: String {\n        return category.capitalized\n    }\n}"
+            },
+            {
+                "section": "16.2 Products Service — работа с API",
+                "subsection": "",
+                "anchor": "16-2-products-service-rabota-s-api",
+                "text": "Создадим сервис для загрузки товаров из FakeStore API.",
+                "code": "// ECommerce/Services/ProductsService.swift\n\nimport Foundation\n\n// MARK: - Protocol\n\n/// Протокол сервиса товаров\n/// Определяет контракт для работы с API товаров\nprotocol ProductsServiceProtocol {\n    /// Загружает все товары\n    func getProducts(completion: @escaping (Result<[Product], NetworkError>) -> Void)\n\n    /// Загружает товары по категории\n    func getProductsByCategory(\n        _ category: String,\n        completion: @escaping (Result<[Product], NetworkError>) -> Void\n    )\n\n    /// Загружает список всех категорий\n    func getCategories(completion: @escaping (Result<[String], NetworkError>) -> Void)\n\n    /// Загружает один товар по ID\n    func getProduct(\n        by id: Int,\n        completion: @escaping (Result<Product, NetworkError>) -> Void\n    )\n}\n\n// MARK: - Implementation\n\n/// Реализация сервиса товаров\n/// Использует FakeStore API: https://fakestoreapi.com\nfinal class ProductsService: ProductsServiceProtocol {\n\n    // MARK: - Properties\n\n    /// Зависимость от NetworkManager (Dependency Injection)\n    private let networkManager: NetworkManagerProtocol\n\n    // MARK: - Init\n\n    /// Инициализатор с внедрением зависимости\n    /// - Parameter networkManager: Менеджер сети (по умолчанию shared)\n    init(networkManager: NetworkManagerProtocol = NetworkManager.shared) {\n        self.networkManager = networkManager\n    }\n\n    // MARK: - Products\n\n    /// Загружает все товары\n    /// Endpoint: GET /products\n    func getProducts(completion: @escaping (Result<[Product], NetworkError>) -> Void) {\n        // Создаём endpoint для запроса всех товаров\n        let endpoint = ProductsEndpoint.products\n\n        // Выполняем запрос через NetworkManager\n        networkManager.request(\n            type: [Product].self,  // Ожидаем массив Product\n            url: endpoint.url,\n            method: endpoint.method\n        ) { result in\n            // Передаём результат в completion\n            // NetworkManager уже вызывает completion на main queue\n            completion(result)\n        }\n    }\n\n    /// Загружает товары по категории\n    /// Endpoint: GET /products/category/{category}\n    func getProductsByCategory(\n        _ category: String,\n        completion: @escaping (Result<[Product], NetworkError>) -> Void\n    ) {\n        let endpoint = ProductsEndpoint.productsByCategory(category)\n\n        networkManager.request(\n            type: [Product].self,\n            url: endpoint.url,\n            method: endpoint.method,\n            completion: completion\n        )\n    }\n\n    // MARK: - Categories\n\n    /// Загружает список всех категорий\n    /// Endpoint: GET /products/categories\n    /// Возвращает: [\"electronics\", \"jewelery\", \"men's clothing\", \"women's clothing\"]\n    func getCategories(completion: @escaping (Result<[String], NetworkError>) -> Void) {\n        let endpoint = ProductsEndpoint.categories\n\n        networkManager.request(\n            type: [String].self,  // API возвращает массив строк\n            url: endpoint.url,\n            method: endpoint.method,\n            completion: completion\n        )\n    }\n\n    // MARK: - Single Product\n\n    /// Загружает один товар по ID\n    /// Endpoint: GET /products/{id}\n    func getProduct(\n        by id: Int,\n        completion: @escaping (Result<Product, NetworkError>) -> Void\n    ) {\n        let endpoint = ProductsEndpoint.product(id)\n\n        networkManager.request(\n            type: Product.self,  // Ожидаем один Product\n            url: endpoint.url,\n            method: endpoint.method,\n            completion: completion\n        )\n    }\n}"
+            },
+            {
+                "section": "16.2 Products Service — работа с API",
+                "subsection": "Products Endpoint — определение URL",
+                "anchor": "products-endpoint-opredelenie-url",
+                "text": "",
+                "code": "// ECommerce/Services/ProductsEndpoint.swift\n\nimport Foundation\n\n/// Endpoints для FakeStore API\n/// Base URL: https://fakestoreapi.com\nenum ProductsEndpoint: EndpointProtocol {\n\n    /// GET /products — все товары\n    case products\n\n    /// GET /products/{id} — товар по ID\n    case product(Int)\n\n    /// GET /products/categories — список категорий\n    case categories\n\n    /// GET /products/category/{name} — товары по категории\n    case productsByCategory(String)\n\n    // MARK: - EndpointProtocol\n\n    /// Базовый URL API\n    var baseURL: String {\n        return \"https://fakestoreapi.com\"\n    }\n\n    /// Путь к endpoint\n    var path: String {\n        switch self {\n        case .products:\n            return \"/products\"\n        case .product(let id):\n            return \"/products/\\(id)\"\n        case .categories:\n            return \"/products/categories\"\n        case .productsByCategory(let category):\n            // URL encode для категорий с пробелами (\"men's clothing\")\n            let encodedCategory = category.addingPercentEncoding(\n                withAllowedCharacters: .urlPathAllowed\n            ) ?? category\n            return \"/products/category/\\(encodedCategory)\"\n        }\n    }\n\n    /// HTTP метод\n    var method: HTTPMethods {\n        return .get  // Все endpoints используют GET\n    }\n\n    /// Полный URL\n    var url: String {\n        return baseURL + path\n    }\n}"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "",
+                "anchor": "16-3-home-module-viper-arhitektura",
+                "text": "Теперь создадим полный VIPER модуль для главного экрана.",
+                "code": ""
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "VIPER диаграмма Home Module",
+                "anchor": "viper-diagramma-home-module",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────┐\n│                          HOME MODULE                                 │\n└─────────────────────────────────────────────────────────────────────┘\n\n┌──────────────────┐         ┌──────────────────┐\n│                  │ creates │                  │\n│  HomeRouter      │────────►│ HomeViewController│\n│                  │         │     (View)       │\n└────────┬─────────┘         └────────┬─────────┘\n         │                            │\n         │ navigates                  │ user actions\n         │                            │\n         ▼                            ▼\n┌──────────────────┐         ┌──────────────────┐\n│                  │◄────────│                  │\n│  Detail/Basket   │ presents│  HomePresenter   │\n│                  │         │                  │\n└──────────────────┘         └────────┬─────────┘\n                                      │\n                             data     │ business logic\n                             binding  │\n                                      ▼\n                             ┌──────────────────┐\n                             │                  │\n                             │  HomeInteractor  │\n                             │                  │\n                             └────────┬─────────┘\n                                      │\n                                      │ API calls\n                                      ▼\n                             ┌──────────────────┐\n                             │                  │\n                             │ ProductsService  │\n                             │                  │\n                             └──────────────────┘"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "16.3.1 Protocols — контракты модуля",
+                "anchor": "16-3-1-protocols-kontrakty-modulya",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/HomeProtocols.swift\n\nimport UIKit\n\n// MARK: - View Protocol\n\n/// Протокол View для Home модуля\n/// View отвечает ТОЛЬКО за отображение данных\n/// Presenter говорит View ЧТО показать\nprotocol HomeViewProtocol: AnyObject {\n    /// Ссылка на Presenter\n    var presenter: HomePresenterProtocol? { get set }\n\n    /// Показать загрузку\n    func showLoading()\n\n    /// Скрыть загрузку\n    func hideLoading()\n\n    /// Показать товары в коллекции\n    /// - Parameter products: Массив товаров для отображения\n    func showProducts(_ products: [Product])\n\n    /// Показать категории\n    /// - Parameter categories: Массив категорий (первая — \"All\")\n    func showCategories(_ categories: [String])\n\n    /// Показать сообщение об ошибке\n    /// - Parameter error: Объект ошибки\n    func showError(_ error: Error)\n\n    /// Перезагрузить данные в коллекции\n    func reloadData()\n}\n\n// MARK: - Presenter Protocol\n\n/// Протокол Presenter для Home модуля\n/// Presenter — связующее звено между View и Interactor\n/// Получает действия от View, запрашивает данные у Interactor\nprotocol HomePresenterProtocol: AnyObject {\n    /// Ссылки на другие компоненты VIPER\n    var view: HomeViewProtocol? { get set }\n    var interactor: HomeInteractorProtocol? { get set }\n    var router: HomeRouterProtocol? { get set }\n\n    /// View загрузился — начинаем загрузку данных\n    func viewDidLoad()\n\n    /// View появится на экране\n    func viewWillAppear()\n\n    /// Получить количество товаров для отображения\n    func numberOfProducts() -> Int\n\n    /// Получить товар по индексу\n    func product(at index: Int) -> Product?\n\n    /// Пользователь выбрал товар — переход на детали\n    func didSelectProduct(at index: Int)\n\n    /// Пользователь нажал на избранное\n    func didTapFavorite(at index: Int)\n\n    /// Пользователь выбрал категорию\n    func didSelectCategory(_ category: String)\n\n    /// Пользователь ввёл поисковый запрос\n    func didSearch(with query: String)\n\n    /// Получить количество товаров в корзине (для badge)\n    func getBasketCount() -> Int\n}\n\n// MARK: - Interactor Protocol\n\n/// Протокол Interactor для Home модуля\n/// Interactor содержит бизнес-логику\n/// Работает с сервисами, обрабатывает данные\nprotocol HomeInteractorProtocol: AnyObject {\n    /// Ссылка на output (обычно Presenter)\n    var output: HomeInteractorOutputProtocol? { get set }\n\n    /// Загрузить все товары\n    func fetchProducts()\n\n    /// Загрузить товары по категории\n    func fetchProductsByCategory(_ category: String)\n\n    /// Загрузить список категорий\n    func fetchCategories()\n\n    /// Добавить/удалить товар из избранного\n    func toggleFavorite(product: Product)\n\n    /// Проверить, в избранном ли товар\n    func isFavorite(productId: Int) -> Bool\n\n    /// Получить количество товаров в корзине\n    func getBasketCount() -> Int\n}\n\n// MARK: - Interactor Output Protocol\n\n/// Протокол для передачи данных из Interactor в Presenter\n/// Interactor вызывает эти методы когда данные готовы\nprotocol HomeInteractorOutputProtocol: AnyObject {\n    /// Товары успешно загружены\n    func didFetchProducts(_ products: [Product])\n\n    /// Ошибка при загрузке товаров\n    func didFailFetchProducts(_ error: Error)\n\n    /// Категории успешно загружены\n    func didFetchCategories(_ categories: [String])\n\n    /// Ошибка при загрузке категорий\n    func didFailFetchCategories(_ error: Error)\n}\n\n// MARK: - Router Protocol\n\n/// Протокол Router для Home модуля\n/// Router отвечает за навигацию\nprotocol HomeRouterProtocol: AnyObject {\n    /// Создать модуль Home\n    static func createModule() -> UIViewController\n\n    /// Перейти на экран деталей товара\n    func navigateToProductDetail(from view: HomeViewProtocol?, product: Product)\n\n    /// Перейти в корзину\n    func navigateToBasket(from view: HomeViewProtocol?)\n}"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "16.3.2 Router — создание модуля и навигация",
+                "anchor": "16-3-2-router-sozdanie-modulya-i-navigatsiya",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/HomeRouter.swift\n\nimport UIKit\n\n/// Router модуля Home\n/// Отвечает за:\n/// 1. Сборку VIPER модуля (dependency injection)\n/// 2. Навигацию на другие экраны\nfinal class HomeRouter: HomeRouterProtocol {\n\n    // MARK: - Properties\n\n    /// Слабая ссылка на ViewController для навигации\n    weak var viewController: UIViewController?\n\n    // MARK: - Module Creation\n\n    /// Создаёт и собирает VIPER модуль Home\n    /// Это точка входа в модуль\n    ///\n    /// Паттерн: Factory Method + Dependency Injection\n    ///\n    /// - Returns: Готовый UIViewController с настроенным VIPER\n    static func createModule() -> UIViewController {\n        // 1. Создаём View\n        let view = HomeViewController()\n\n        // 2. Создаём остальные компоненты\n        let presenter = HomePresenter()\n        let interactor = HomeInteractor()\n        let router = HomeRouter()\n\n        // 3. Связываем компоненты (Dependency Injection)\n        view.presenter = presenter\n\n        presenter.view = view\n        presenter.interactor = interactor\n        presenter.router = router\n\n        interactor.output = presenter\n\n        router.viewController = view\n\n        // 4. Возвращаем готовый View\n        return view\n    }\n\n    // MARK: - Navigation\n\n    /// Переход на экран деталей товара\n    /// - Parameters:\n    ///   - view: Текущий View (для получения navigation controller)\n    ///   - product: Товар для отображения\n    func navigateToProductDetail(from view: HomeViewProtocol?, product: Product) {\n        // Создаём модуль деталей товара\n        let detailVC = ProductDetailRouter.createModule(with: product)\n\n        // Получаем navigation controller и делаем push\n        if let sourceView = view as? UIViewController {\n            sourceView.navigationController?.pushViewController(detailVC, animated: true)\n        }\n    }\n\n    /// Переход в корзину\n    func navigateToBasket(from view: HomeViewProtocol?) {\n        let basketVC = BasketRouter.createModule()\n\n        if let sourceView = view as? UIViewController {\n            sourceView.navigationController?.pushViewController(basketVC, animated: true)\n        }\n    }\n}"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "16.3.3 Interactor — бизнес-логика",
+                "anchor": "16-3-3-interactor-biznes-logika",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/HomeInteractor.swift\n\nimport Foundation\n\n/// Interactor модуля Home\n/// Содержит всю бизнес-логику:\n/// - Загрузка товаров из API\n/// - Работа с избранным (Realm)\n/// - Фильтрация и поиск\nfinal class HomeInteractor: HomeInteractorProtocol {\n\n    // MARK: - Properties\n\n    /// Output для передачи данных в Presenter\n    weak var output: HomeInteractorOutputProtocol?\n\n    /// Сервис для работы с API товаров\n    private let productsService: ProductsServiceProtocol\n\n    /// Менеджер для работы с Realm (избранное)\n    private let realmManager: RealmManagerProtocol\n\n    /// Менеджер корзины\n    private let basketManager: BasketManagerProtocol\n\n    /// Кэш загруженных товаров (для поиска и фильтрации)\n    private var cachedProducts: [Product] = []\n\n    // MARK: - Init\n\n    /// Инициализатор с внедрением зависимостей\n    /// - Parameters:\n    ///   - productsService: Сервис товаров (по умолчанию ProductsService)\n    ///   - realmManager: Менеджер Realm (по умолчанию shared)\n    ///   - basketManager: Менеджер корзины (по умолчанию shared)\n    init(\n        productsService: ProductsServiceProtocol = ProductsService(),\n        realmManager: RealmManagerProtocol = RealmManager.shared,\n        basketManager: BasketManagerProtocol = BasketManager.shared\n    ) {\n        self.productsService = productsService\n        self.realmManager = realmManager\n        self.basketManager = basketManager\n    }\n\n    // MARK: - Fetch Products\n\n    /// Загружает все товары из API\n    func fetchProducts() {\n        productsService.getProducts { [weak self] result in\n            guard let self = self else { return }\n\n            switch result {\n            case .success(let products):\n                // Сохраняем в кэш для поиска\n                self.cachedProducts = products\n                // Передаём в Presenter\n                self.output?.didFetchProducts(products)\n\n            case .failure(let error):\n                self.output?.didFailFetchProducts(error)\n            }\n        }\n    }\n\n    /// Загружает товары по категории\n    /// - Parameter category: Название категории\n    func fetchProductsByCategory(_ category: String) {\n        // Если \"All\" — загружаем все товары\n        if category.lowercased() == \"all\" {\n            fetchProducts()\n            return\n        }\n\n        productsService.getProductsByCategory(category) { [weak self] result in\n            guard let self = self else { return }\n\n            switch result {\n            case .success(let products):\n                self.cachedProducts = products\n                self.output?.didFetchProducts(products)\n\n            case .failure(let error):\n                self.output?.didFailFetchProducts(error)\n            }\n        }\n    }\n\n    // MARK: - Fetch Categories\n\n    /// Загружает список категорий из API\n    func fetchCategories() {\n        productsService.getCategories { [weak self] result in\n            guard let self = self else { return }\n\n            switch result {\n            case .success(var categories):\n                // Добавляем \"All\" в начало списка\n                categories.insert(\"all\", at: 0)\n                // Делаем первую букву заглавной\n                let formattedCategories = categories.map { $0.capitalized }\n                self.output?.didFetchCategories(formattedCategories)\n\n            case .failure(let error):\n                self.output?.didFailFetchCategories(error)\n            }\n        }\n    }\n\n    // MARK: - Favorites\n\n    /// Добавляет или удаляет товар из избранного\n    /// - Parameter product: Товар для добавления/удаления\n    func toggleFavorite(product: Product) {\n        // Конвертируем Product в FavoriteProduct (Realm object)\n        let favoriteProduct = FavoriteProduct(from: product)\n\n        // Проверяем, есть ли уже в избранном\n        if isFavorite(productId: product.id) {\n            // Удаляем из избранного\n            realmManager.delete(favoriteProduct) { result in\n                switch result {\n                case .success:\n                    print(\"✅ Removed from favorites: \\(product.title)\")\n                case .failure(let error):\n                    print(\"❌ Failed to remove from favorites: \\(error)\")\n                }\n            }\n        } else {\n            // Добавляем в избранное\n            realmManager.add(favoriteProduct) { result in\n                switch result {\n                case .success:\n                    print(\"✅ Added to favorites: \\(product.title)\")\n                case .failure(let error):\n                    print(\"❌ Failed to add to favorites: \\(error)\")\n                }\n            }\n        }\n    }\n\n    /// Проверяет, находится ли товар в избранном\n    /// - Parameter productId: ID товара\n    /// - Returns: true если товар в избранном\n    func isFavorite(productId: Int) -> Bool {\n        let favorites: [FavoriteProduct] = realmManager.fetch()\n        return favorites.contains { $0.id == productId }\n    }\n\n    // MARK: - Basket\n\n    /// Получает количество товаров в корзине\n    /// - Returns: Количество позиций в корзине\n    func getBasketCount() -> Int {\n        return basketManager.getBasketItems().count\n    }\n}"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "16.3.4 Presenter — связующее звено",
+                "anchor": "16-3-4-presenter-svyazuyuschee-zveno",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/HomePresenter.swift\n\nimport Foundation\n\n/// Presenter модуля Home\n/// Связывает View и Interactor\n/// Обрабатывает действия пользователя\n/// Форматирует данные для отображения\nfinal class HomePresenter: HomePresenterProtocol {\n\n    // MARK: - VIPER References\n\n    /// Слабая ссылка на View (избегаем retain cycle)\n    weak var view: HomeViewProtocol?\n\n    /// Сильная ссылка на Interactor (Presenter владеет Interactor)\n    var interactor: HomeInteractorProtocol?\n\n    /// Сильная ссылка на Router\n    var router: HomeRouterProtocol?\n\n    // MARK: - Properties\n\n    /// Текущие отображаемые товары\n    private var products: [Product] = []\n\n    /// Все загруженные товары (для поиска)\n    private var allProducts: [Product] = []\n\n    /// Текущая выбранная категория\n    private var selectedCategory: String = \"All\"\n\n    /// Текущий поисковый запрос\n    private var currentSearchQuery: String = \"\"\n\n    // MARK: - Lifecycle\n\n    /// Вызывается когда View загружен\n    /// Начинаем загрузку данных\n    func viewDidLoad() {\n        // Показываем индикатор загрузки\n        view?.showLoading()\n\n        // Загружаем категории и товары параллельно\n        interactor?.fetchCategories()\n        interactor?.fetchProducts()\n    }\n\n    /// Вызывается когда View появится на экране\n    /// Обновляем данные (например, badge корзины)\n    func viewWillAppear() {\n        // Обновляем View (например, состояние избранного могло измениться)\n        view?.reloadData()\n    }\n\n    // MARK: - Data Source\n\n    /// Возвращает количество товаров для отображения\n    func numberOfProducts() -> Int {\n        return products.count\n    }\n\n    /// Возвращает товар по индексу\n    /// - Parameter index: Индекс в массиве\n    /// - Returns: Товар или nil\n    func product(at index: Int) -> Product? {\n        guard index >= 0 && index < products.count else { return nil }\n        return products[index]\n    }\n\n    // MARK: - User Actions\n\n    /// Пользователь выбрал товар\n    /// - Parameter index: Индекс выбранного товара\n    func didSelectProduct(at index: Int) {\n        guard let product = product(at: index) else { return }\n        // Переходим на экран деталей\n        router?.navigateToProductDetail(from: view, product: product)\n    }\n\n    /// Пользователь нажал на кнопку избранного\n    /// - Parameter index: Индекс товара\n    func didTapFavorite(at index: Int) {\n        guard let product = product(at: index) else { return }\n        // Переключаем состояние избранного\n        interactor?.toggleFavorite(product: product)\n        // Обновляем UI\n        view?.reloadData()\n    }\n\n    /// Пользователь выбрал категорию\n    /// - Parameter category: Название категории\n    func didSelectCategory(_ category: String) {\n        selectedCategory = category\n        view?.showLoading()\n\n        if category.lowercased() == \"all\" {\n            // Если выбрали \"All\" — показываем все товары\n            interactor?.fetchProducts()\n        } else {\n            // Иначе — фильтруем по категории\n            interactor?.fetchProductsByCategory(category.lowercased())\n        }\n    }\n\n    /// Пользователь ввёл поисковый запрос\n    /// - Parameter query: Текст поиска\n    func didSearch(with query: String) {\n        currentSearchQuery = query\n\n        if query.isEmpty {\n            // Если запрос пустой — показываем все товары текущей категории\n            products = allProducts\n        } else {\n            // Фильтруем по названию (case-insensitive)\n            products = allProducts.filter { product in\n                product.title.lowercased().contains(query.lowercased())\n            }\n        }\n\n        view?.showProducts(products)\n    }\n\n    /// Получает количество товаров в корзине\n    func getBasketCount() -> Int {\n        return interactor?.getBasketCount() ?? 0\n    }\n}\n\n// MARK: - InteractorOutput\n\nextension HomePresenter: HomeInteractorOutputProtocol {\n\n    /// Товары успешно загружены\n    func didFetchProducts(_ products: [Product]) {\n        // Сохраняем все товары для поиска\n        self.allProducts = products\n\n        // Применяем текущий поисковый запрос\n        if currentSearchQuery.isEmpty {\n            self.products = products\n        } else {\n            self.products = products.filter { product in\n                product.title.lowercased().contains(currentSearchQuery.lowercased())\n            }\n        }\n\n        // Обновляем View\n        view?.hideLoading()\n        view?.showProducts(self.products)\n    }\n\n    /// Ошибка при загрузке товаров\n    func didFailFetchProducts(_ error: Error) {\n        view?.hideLoading()\n        view?.showError(error)\n    }\n\n    /// Категории успешно загружены\n    func didFetchCategories(_ categories: [String]) {\n        view?.showCategories(categories)\n    }\n\n    /// Ошибка при загрузке категорий\n    func didFailFetchCategories(_ error: Error) {\n        // Если не удалось загрузить категории — показываем только \"All\"\n        view?.showCategories([\"All\"])\n    }\n}"
+            },
+            {
+                "section": "16.3 Home Module — VIPER архитектура",
+                "subsection": "16.3.5 View — HomeViewController",
+                "anchor": "16-3-5-view-homeviewcontroller",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/HomeViewController.swift\n\nimport UIKit\nimport SnapKit\n\n/// ViewController главного экрана\n/// Отображает:\n/// - Search bar для поиска\n/// - Горизонтальный список категорий\n/// - Сетку товаров (2 колонки)\nfinal class HomeViewController: UIViewController {\n\n    // MARK: - VIPER\n\n    var presenter: HomePresenterProtocol?\n\n    // MARK: - UI Elements\n\n    /// Поле поиска\n    private let searchBar: UISearchBar = {\n        let searchBar = UISearchBar()\n        searchBar.placeholder = \"Search products...\"\n        searchBar.searchBarStyle = .minimal\n        searchBar.backgroundColor = .clear\n        return searchBar\n    }()\n\n    /// Коллекция категорий (горизонтальная)\n    private lazy var categoriesCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        layout.scrollDirection = .horizontal\n        layout.estimatedItemSize = UICollectionViewFlowLayout.automaticSize\n        layout.minimumInteritemSpacing = 8\n        layout.sectionInset = UIEdgeInsets(top: 0, left: 16, bottom: 0, right: 16)\n\n        let cv = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        cv.backgroundColor = .clear\n        cv.showsHorizontalScrollIndicator = false\n        cv.delegate = self\n        cv.dataSource = self\n        cv.register(CategoryCell.self, forCellWithReuseIdentifier: CategoryCell.identifier)\n        return cv\n    }()\n\n    /// Коллекция товаров (сетка 2 колонки)\n    private lazy var productsCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        layout.scrollDirection = .vertical\n        layout.minimumLineSpacing = 16\n        layout.minimumInteritemSpacing = 16\n        layout.sectionInset = UIEdgeInsets(top: 16, left: 16, bottom: 16, right: 16)\n\n        let cv = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        cv.backgroundColor = .clear\n        cv.showsVerticalScrollIndicator = true\n        cv.delegate = self\n        cv.dataSource = self\n        cv.register(ProductCell.self, forCellWithReuseIdentifier: ProductCell.identifier)\n        return cv\n    }()\n\n    /// Индикатор загрузки\n    private let activityIndicator: UIActivityIndicatorView = {\n        let indicator = UIActivityIndicatorView(style: .large)\n        indicator.hidesWhenStopped = true\n        return indicator\n    }()\n\n    // MARK: - Data\n\n    /// Массив категорий для отображения\n    private var categories: [String] = []\n\n    /// Индекс выбранной категории\n    private var selectedCategoryIndex: Int = 0\n\n    /// Массив товаров для отображения\n    private var products: [Product] = []\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupUI()\n        setupDelegates()\n        presenter?.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter?.viewWillAppear()\n        updateBasketBadge()\n    }\n\n    // MARK: - Setup UI\n\n    private func setupUI() {\n        view.backgroundColor = .systemBackground\n        title = \"Shop\"\n\n        // Navigation bar\n        navigationController?.navigationBar.prefersLargeTitles = true\n\n        // Кнопка корзины в навигации\n        let basketButton = UIBarButtonItem(\n            image: UIImage(systemName: \"cart\"),\n            style: .plain,\n            target: self,\n            action: #selector(basketButtonTapped)\n        )\n        navigationItem.rightBarButtonItem = basketButton\n\n        // Добавляем subviews\n        view.addSubview(searchBar)\n        view.addSubview(categoriesCollectionView)\n        view.addSubview(productsCollectionView)\n        view.addSubview(activityIndicator)\n\n        // Layout\n        searchBar.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide).offset(8)\n            make.leading.trailing.equalToSuperview().inset(8)\n            make.height.equalTo(44)\n        }\n\n        categoriesCollectionView.snp.makeConstraints { make in\n            make.top.equalTo(searchBar.snp.bottom).offset(8)\n            make.leading.trailing.equalToSuperview()\n            make.height.equalTo(44)\n        }\n\n        productsCollectionView.snp.makeConstraints { make in\n            make.top.equalTo(categoriesCollectionView.snp.bottom).offset(8)\n            make.leading.trailing.bottom.equalToSuperview()\n        }\n\n        activityIndicator.snp.makeConstraints { make in\n            make.center.equalToSuperview()\n        }\n    }\n\n    private func setupDelegates() {\n        searchBar.delegate = self\n    }\n\n    // MARK: - Actions\n\n    @objc private func basketButtonTapped() {\n        // Переход в корзину через Router\n        if let router = presenter?.router as? HomeRouter {\n            router.navigateToBasket(from: self)\n        }\n    }\n\n    /// Обновляет badge на кнопке корзины\n    private func updateBasketBadge() {\n        let count = presenter?.getBasketCount() ?? 0\n        if count > 0 {\n            navigationItem.rightBarButtonItem?.setBadge(text: \"\\(count)\")\n        } else {\n            navigationItem.rightBarButtonItem?.setBadge(text: nil)\n        }\n    }\n}\n\n// MARK: - HomeViewProtocol\n\nextension HomeViewController: HomeViewProtocol {\n\n    func showLoading() {\n        activityIndicator.startAnimating()\n    }\n\n    func hideLoading() {\n        activityIndicator.stopAnimating()\n    }\n\n    func showProducts(_ products: [Product]) {\n        self.products = products\n        productsCollectionView.reloadData()\n    }\n\n    func showCategories(_ categories: [String]) {\n        self.categories = categories\n        categoriesCollectionView.reloadData()\n    }\n\n    func showError(_ error: Error) {\n        let alert = UIAlertController(\n            title: \"Error\",\n            message: error.localizedDescription,\n            preferredStyle: .alert\n        )\n        alert.addAction(UIAlertAction(title: \"OK\", style: .default))\n        present(alert, animated: true)\n    }\n\n    func reloadData() {\n        productsCollectionView.reloadData()\n        updateBasketBadge()\n    }\n}\n\n// MARK: - UISearchBarDelegate\n\nextension HomeViewController: UISearchBarDelegate {\n\n    func searchBar(_ searchBar: UISearchBar, textDidChange searchText: String) {\n        presenter?.didSearch(with: searchText)\n    }\n\n    func searchBarSearchButtonClicked(_ searchBar: UISearchBar) {\n        searchBar.resignFirstResponder()\n    }\n}\n\n// MARK: - UICollectionViewDataSource\n\nextension HomeViewController: UICollectionViewDataSource {\n\n    func collectionView(_ collectionView: UICollectionView, numberOfItemsInSection section: Int) -> Int {\n        if collectionView == categoriesCollectionView {\n            return categories.count\n        } else {\n            return products.count\n        }\n    }\n\n    func collectionView(_ collectionView: UICollectionView, cellForItemAt indexPath: IndexPath) -> UICollectionViewCell {\n        if collectionView == categoriesCollectionView {\n            let cell = collectionView.dequeueReusableCell(\n                withReuseIdentifier: CategoryCell.identifier,\n                for: indexPath\n            ) as! CategoryCell\n\n            let isSelected = indexPath.item == selectedCategoryIndex\n            cell.configure(with: categories[indexPath.item], isSelected: isSelected)\n            return cell\n        } else {\n            let cell = collectionView.dequeueReusableCell(\n                withReuseIdentifier: ProductCell.identifier,\n                for: indexPath\n            ) as! ProductCell\n\n            let product = products[indexPath.item]\n            let isFavorite = presenter?.interactor?.isFavorite(productId: product.id) ?? false\n            cell.configure(with: product, isFavorite: isFavorite)\n            cell.onFavoriteTapped = { [weak self] in\n                self?.presenter?.didTapFavorite(at: indexPath.item)\n            }\n            return cell\n        }\n    }\n}\n\n// MARK: - UICollectionViewDelegate\n\nextension HomeViewController: UICollectionViewDelegate {\n\n    func collectionView(_ collectionView: UICollectionView, didSelectItemAt indexPath: IndexPath) {\n        if collectionView == categoriesCollectionView {\n            selectedCategoryIndex = indexPath.item\n            categoriesCollectionView.reloadData()\n            presenter?.didSelectCategory(categories[indexPath.item])\n        } else {\n            presenter?.didSelectProduct(at: indexPath.item)\n        }\n    }\n}\n\n// MARK: - UICollectionViewDelegateFlowLayout\n\nextension HomeViewController: UICollectionViewDelegateFlowLayout {\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        layout collectionViewLayout: UICollectionViewLayout,\n        sizeForItemAt indexPath: IndexPath\n    ) -> CGSize {\n        if collectionView == productsCollectionView {\n            // Размер ячейки товара: 2 колонки с отступами\n            let padding: CGFloat = 16\n            let spacing: CGFloat = 16\n            let availableWidth = collectionView.bounds.width - (padding * 2) - spacing\n            let itemWidth = availableWidth / 2\n            let itemHeight = itemWidth * 1.5  // Соотношение сторон\n            return CGSize(width: itemWidth, height: itemHeight)\n        }\n        // Для категорий — автоматический размер\n        return CGSize(width: 100, height: 36)\n    }\n}"
+            },
+            {
+                "section": "16.4 Ячейки — ProductCell и CategoryCell",
+                "subsection": "ProductCell — ячейка товара",
+                "anchor": "productcell-yacheyka-tovara",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/Cells/ProductCell.swift\n\nimport UIKit\nimport SnapKit\nimport SDWebImage\n\n/// Ячейка для отображения товара в сетке\nfinal class ProductCell: UICollectionViewCell {\n\n    // MARK: - Static\n\n    static let identifier = \"ProductCell\"\n\n    // MARK: - Callback\n\n    /// Вызывается при нажатии на кнопку избранного\n    var onFavoriteTapped: (() -> Void)?\n\n    // MARK: - UI Elements\n\n    /// Изображение товара\n    private let productImageView: UIImageView = {\n        let iv = UIImageView()\n        iv.contentMode = .scaleAspectFit\n        iv.clipsToBounds = true\n        iv.backgroundColor = .systemGray6\n        return iv\n    }()\n\n    /// Кнопка добавления в избранное\n    private let favoriteButton: UIButton = {\n        let button = UIButton(type: .system)\n        button.setImage(UIImage(systemName: \"heart\"), for: .normal)\n        button.tintColor = .systemGray\n        return button\n    }()\n\n    /// Название товара\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 14, weight: .medium)\n        label.textColor = .label\n        label.numberOfLines = 2\n        return label\n    }()\n\n    /// Цена товара\n    private let priceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16, weight: .bold)\n        label.textColor = .systemBlue\n        return label\n    }()\n\n    /// Рейтинг товара\n    private let ratingLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 12)\n        label.textColor = .secondaryLabel\n        return label\n    }()\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n        setupActions()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupUI() {\n        // Стиль ячейки\n        contentView.backgroundColor = .systemBackground\n        contentView.layer.cornerRadius = 12\n        contentView.layer.shadowColor = UIColor.black.cgColor\n        contentView.layer.shadowOpacity = 0.1\n        contentView.layer.shadowOffset = CGSize(width: 0, height: 2)\n        contentView.layer.shadowRadius = 4\n\n        // Добавляем subviews\n        contentView.addSubview(productImageView)\n        contentView.addSubview(favoriteButton)\n        contentView.addSubview(titleLabel)\n        contentView.addSubview(priceLabel)\n        contentView.addSubview(ratingLabel)\n\n        // Layout\n        productImageView.snp.makeConstraints { make in\n            make.top.leading.trailing.equalToSuperview().inset(8)\n            make.height.equalTo(contentView.snp.width).multipliedBy(0.6)\n        }\n\n        favoriteButton.snp.makeConstraints { make in\n            make.top.trailing.equalToSuperview().inset(8)\n            make.size.equalTo(32)\n        }\n\n        titleLabel.snp.makeConstraints { make in\n            make.top.equalTo(productImageView.snp.bottom).offset(8)\n            make.leading.trailing.equalToSuperview().inset(8)\n        }\n\n        priceLabel.snp.makeConstraints { make in\n            make.top.equalTo(titleLabel.snp.bottom).offset(4)\n            make.leading.equalToSuperview().inset(8)\n        }\n\n        ratingLabel.snp.makeConstraints { make in\n            make.top.equalTo(priceLabel.snp.bottom).offset(4)\n            make.leading.equalToSuperview().inset(8)\n            make.bottom.lessThanOrEqualToSuperview().inset(8)\n        }\n    }\n\n    private func setupActions() {\n        favoriteButton.addTarget(self, action: #selector(favoriteButtonTapped), for: .touchUpInside)\n    }\n\n    // MARK: - Actions\n\n    @objc private func favoriteButtonTapped() {\n        onFavoriteTapped?()\n    }\n\n    // MARK: - Configure\n\n    /// Настраивает ячейку данными товара\n    /// - Parameters:\n    ///   - product: Товар для отображения\n    ///   - isFavorite: Находится ли товар в избранном\n    func configure(with product: Product, isFavorite: Bool) {\n        titleLabel.text = product.title\n        priceLabel.text = product.formattedPrice\n        ratingLabel.text = product.formattedRating\n\n        // Загружаем изображение с помощью SDWebImage\n        if let url = URL(string: product.image) {\n            productImageView.sd_setImage(\n                with: url,\n                placeholderImage: UIImage(systemName: \"photo\")\n            )\n        }\n\n        // Обновляем кнопку избранного\n        let heartImage = isFavorite ? \"heart.fill\" : \"heart\"\n        let heartColor: UIColor = isFavorite ? .systemRed : .systemGray\n        favoriteButton.setImage(UIImage(systemName: heartImage), for: .normal)\n        favoriteButton.tintColor = heartColor\n    }\n\n    // MARK: - Reuse\n\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        productImageView.image = nil\n        titleLabel.text = nil\n        priceLabel.text = nil\n        ratingLabel.text = nil\n        favoriteButton.setImage(UIImage(systemName: \"heart\"), for: .normal)\n        favoriteButton.tintColor = .systemGray\n        onFavoriteTapped = nil\n    }\n}"
+            },
+            {
+                "section": "16.4 Ячейки — ProductCell и CategoryCell",
+                "subsection": "CategoryCell — ячейка категории",
+                "anchor": "categorycell-yacheyka-kategorii",
+                "text": "",
+                "code": "// ECommerce/Modules/Home/Cells/CategoryCell.swift\n\nimport UIKit\nimport SnapKit\n\n/// Ячейка для отображения категории\nfinal class CategoryCell: UICollectionViewCell {\n\n    // MARK: - Static\n\n    static let identifier = \"CategoryCell\"\n\n    // MARK: - UI Elements\n\n    /// Label с названием категории\n    private let titleLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 14, weight: .medium)\n        label.textAlignment = .center\n        return label\n    }()\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupUI()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupUI() {\n        contentView.layer.cornerRadius = 18\n        contentView.layer.borderWidth = 1\n\n        contentView.addSubview(titleLabel)\n\n        titleLabel.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(UIEdgeInsets(top: 8, left: 16, bottom: 8, right: 16))\n        }\n    }\n\n    // MARK: - Configure\n\n    /// Настраивает ячейку категории\n    /// - Parameters:\n    ///   - category: Название категории\n    ///   - isSelected: Выбрана ли категория\n    func configure(with category: String, isSelected: Bool) {\n        titleLabel.text = category\n\n        if isSelected {\n            // Выбранная категория — синий фон\n            contentView.backgroundColor = .systemBlue\n            contentView.layer.borderColor = UIColor.systemBlue.cgColor\n            titleLabel.textColor = .white\n        } else {\n            // Невыбранная — прозрачный фон с рамкой\n            contentView.backgroundColor = .clear\n            contentView.layer.borderColor = UIColor.systemGray3.cgColor\n            titleLabel.textColor = .label\n        }\n    }\n\n    // MARK: - Reuse\n\n    override func prepareForReuse() {\n        super.prepareForReuse()\n        titleLabel.text = nil\n        contentView.backgroundColor = .clear\n    }\n}"
+            },
+            {
+                "section": "16.5 FavoriteProduct — модель для Realm",
+                "subsection": "",
+                "anchor": "16-5-favoriteproduct-model-dlya-realm",
+                "text": "",
+                "code": "// ECommerce/Entities/RealmObjects/FavoriteProduct.swift\n\nimport Foundation\nimport RealmSwift\n\n/// Модель избранного товара для хранения в Realm\n/// Realm требует class, наследующийся от Object\nfinal class FavoriteProduct: Object {\n\n    // MARK: - Properties\n\n    /// Первичный ключ — ID товара\n    @Persisted(primaryKey: true) var id: Int = 0\n\n    /// Название товара\n    @Persisted var title: String = \"\"\n\n    /// Цена товара\n    @Persisted var price: Double = 0.0\n\n    /// Описание товара\n    @Persisted var productDescription: String = \"\"\n\n    /// Категория товара\n    @Persisted var category: String = \"\"\n\n    /// URL изображения\n    @Persisted var image: String = \"\"\n\n    /// Рейтинг товара\n    @Persisted var ratingRate: Double = 0.0\n\n    /// Количество отзывов\n    @Persisted var ratingCount: Int = 0\n\n    // MARK: - Init\n\n    /// Пустой инициализатор (требуется Realm)\n    convenience override init() {\n        self.init()\n    }\n\n    /// Инициализатор из Product\n    /// - Parameter product: Товар для сохранения\n    convenience init(from product: Product) {\n        self.init()\n        self.id = product.id\n        self.title = product.title\n        self.price = product.price\n        self.productDescription = product.description\n        self.category = product.category\n        self.image = product.image\n        self.ratingRate = product.rating.rate\n        self.ratingCount = product.rating.count\n    }\n\n    // MARK: - Conversion\n\n    /// Конвертирует обратно в Product\n    /// - Returns: Product структура\n    func toProduct() -> Product {\n        return Product(\n            id: id,\n            title: title,\n            price: price,\n            description: productDescription,\n            category: category,\n            image: image,\n            rating: Product.Rating(\n                rate: ratingRate,\n                count: ratingCount\n            )\n        )\n    }\n}"
+            },
+            {
+                "section": "16.6 Итоги главы",
+                "subsection": "",
+                "anchor": "16-6-itogi-glavy",
+                "text": "В этой главе мы создали полный Home Module по архитектуре VIPER: ✅ Product Entity — модель товара с Codable и computed properties ✅ ProductsService — сервис для работы с FakeStore API ✅ ProductsEndpoint — определение URL endpoints ✅ HomeProtocols — контракты для всех компонентов VIPER ✅ HomeRouter — сборка модуля и навигация ✅ HomeInteractor — бизнес-логика, работа с API и Realm ✅ HomePresenter — связующее звено, форматирование данных ✅ HomeViewController — отображение UI ✅ ProductCell — ячейка товара с кнопкой избранного ✅ CategoryCell — ячейка категории ✅ FavoriteProduct — модель Realm для избранного",
+                "code": ""
+            },
+            {
+                "section": "16.6 Итоги главы",
+                "subsection": "Ключевые концепции",
+                "anchor": "klyuchevye-kontseptsii",
+                "text": "VIPER разделение — каждый компонент отвечает за своё: View → только отображение Presenter → связь и форматирование Interactor → бизнес-логика Router → навигация Dependency Injection — зависимости передаются через init Protocols — все компоненты общаются через протоколы Weak references — View и Output всегда weak",
+                "code": ""
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 17 мы создадим экран деталей товара и модуль корзины.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/17-cart.html",
+        "chapter": "Глава 17",
+        "title": "Детали товара и корзина",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы создадим два важнейших модуля e-commerce приложения: ProductDetail — экран детальной информации о товаре Basket — корзина покупок с синхронизацией через Firebase Оба модуля следуют архитектуре VIPER и взаимодействуют между собой: из деталей товара можно добавить товар в корзину.",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    СХЕМА НАВИГАЦИИ                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Home ──────► ProductDetail ──────► Basket ──────► CompleteOrder\n│    │              │                    │                │\n│    │         [Add to Basket]      [Complete]         [Pay]\n│    │              │                    │                │\n│    ◄──────────────┘                    │                │\n│    ◄───────────────────────────────────┘                │\n│                                                         │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.1 BasketModel — модель товара в корзине",
+                "subsection": "",
+                "anchor": "17-1-basketmodel-model-tovara-v-korzine",
+                "text": "Прежде чем создавать модули, определим модель данных для корзины.",
+                "code": ""
+            },
+            {
+                "section": "17.1 BasketModel — модель товара в корзине",
+                "subsection": "Почему это класс, а не структура?",
+                "anchor": "pochemu-eto-klass-a-ne-struktura",
+                "text": "Причины использования класса: Единственный источник правды — все ссылки указывают на один объект Firebase синхронизация — изменения в одном месте видны везде Stepper в ячейке — изменяя count, обновляем данные напрямую",
+                "code": "// ❌ Структура — НЕ подходит для корзины\nstruct BasketModelStruct {\n    var count: Int  // При изменении создаётся КОПИЯ\n}\n\n// ✅ Класс — подходит для корзины\nclass BasketModel {\n    var count: Int  // Изменяем ОДИН объект во всех местах\n}"
+            },
+            {
+                "section": "17.1 BasketModel — модель товара в корзине",
+                "subsection": "Создание модели",
+                "anchor": "sozdanie-modeli",
+                "text": "",
+                "code": "// Entities/Models/StorageModels/BasketModel.swift\nimport Foundation\n\nfinal class BasketModel {\n\n    // MARK: - Properties\n\n    /// ID пользователя (для фильтрации в Firebase)\n    let userId: String\n\n    /// Уникальный идентификатор записи в корзине\n    let uuid: String\n\n    /// ID товара из API\n    let productId: Int\n\n    /// Название товара\n    let productTitle: String\n\n    /// Цена за единицу товара\n    var productPrice: Double\n\n    /// URL изображения\n    let imageURL: String\n\n    /// Количество товара (изменяемое)\n    var count: Int\n\n    // MARK: - Computed Properties\n\n    /// Общая стоимость позиции\n    var totalPrice: Double {\n        productPrice * Double(count)\n    }\n\n    /// Форматированная цена\n    var formattedTotalPrice: String {\n        String(format: \"$%.2f\", totalPrice)\n    }\n\n    // MARK: - Init\n\n    init(\n        userId: String,\n        uuid: String,\n        productId: Int,\n        productTitle: String,\n        productPrice: Double,\n        imageURL: String,\n        count: Int\n    ) {\n        self.userId = userId\n        self.uuid = uuid\n        self.productId = productId\n        self.productTitle = productTitle\n        self.productPrice = productPrice\n        self.imageURL = imageURL\n        self.count = count\n    }\n}"
+            },
+            {
+                "section": "17.1 BasketModel — модель товара в корзине",
+                "subsection": "Визуализация модели",
+                "anchor": "vizualizatsiya-modeli",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────┐\n│                      BasketModel                            │\n├─────────────────────────────────────────────────────────────┤\n│  userId: \"abc123\"          ← Какой пользователь             │\n│  uuid: \"550e8400-...\"      ← Уникальный ID записи           │\n│  productId: 1              ← ID товара из API               │\n│  productTitle: \"iPhone\"    ← Для отображения                │\n│  productPrice: 999.99      ← Цена за штуку                  │\n│  imageURL: \"https://...\"   ← Картинка                       │\n│  count: 2                  ← Количество (изменяемое)        │\n├─────────────────────────────────────────────────────────────┤\n│  totalPrice → 1999.98      ← Computed: price × count        │\n│  formattedTotalPrice → \"$1999.98\"                           │\n└─────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.2 BasketManager — работа с Firebase",
+                "subsection": "",
+                "anchor": "17-2-basketmanager-rabota-s-firebase",
+                "text": "BasketManager отвечает за синхронизацию корзины с Firebase Firestore.",
+                "code": ""
+            },
+            {
+                "section": "17.2 BasketManager — работа с Firebase",
+                "subsection": "Почему Firebase, а не Realm?",
+                "anchor": "pochemu-firebase-a-ne-realm",
+                "text": "",
+                "code": "┌───────────────────────────────────────────────────────────────┐\n│              СРАВНЕНИЕ: REALM vs FIREBASE                     │\n├───────────────────────────────────────────────────────────────┤\n│                                                               │\n│   REALM (локально)              FIREBASE (облако)             │\n│   ├── Быстро                    ├── Синхронизация             │\n│   ├── Оффлайн                   ├── Между устройствами        │\n│   ├── Нет сервера               ├── Real-time updates         │\n│   └── Только это устройство     └── Корзина везде одинаковая  │\n│                                                               │\n│   Используем для:               Используем для:               │\n│   • Избранное                   • Корзина                     │\n│   • Кэш                         • Заказы                      │\n│   • Настройки                   • Данные профиля              │\n│                                                               │\n└───────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.2 BasketManager — работа с Firebase",
+                "subsection": "Протокол BasketManager",
+                "anchor": "protokol-basketmanager",
+                "text": "",
+                "code": "// Managers/BasketManager/BasketManager.swift\nimport Foundation\nimport FirebaseFirestore\n\n// MARK: - Protocol\n\nprotocol BasketManagerProtocol {\n    /// Добавить товар в корзину\n    func addBasket(\n        data: [String: Any],\n        completion: @escaping (Result<Void, FirebaseError>) -> Void\n    )\n\n    /// Получить товары корзины (real-time)\n    func getBasketItems(\n        completion: @escaping (Result<[BasketModel], FirebaseError>) -> Void\n    )\n\n    /// Удалить товар из корзины\n    func deleteBasketItem(\n        item: BasketModel?,\n        completion: @escaping (FirebaseError) -> Void\n    )\n\n    /// Обновить количество товара\n    func update(item: BasketModel?)\n}"
+            },
+            {
+                "section": "17.2 BasketManager — работа с Firebase",
+                "subsection": "Реализация BasketManager",
+                "anchor": "realizatsiya-basketmanager",
+                "text": "",
+                "code": "// MARK: - Implementation\n\nfinal class BasketManager {\n\n    // MARK: - Properties\n\n    /// Ссылка на Firestore\n    private let firestore = Firestore.firestore()\n\n    /// Менеджер информации о пользователе\n    private let userInfoManager = UserInfoManager()\n\n    /// Локальный кэш товаров корзины\n    private var basketItems: [BasketModel] = []\n\n    /// Название коллекции в Firebase\n    private let collectionName = \"Basket\"\n}\n\n// MARK: - BasketManagerProtocol\n\nextension BasketManager: BasketManagerProtocol {\n\n    // MARK: - Add to Basket\n\n    func addBasket(\n        data: [String: Any],\n        completion: @escaping (Result<Void, FirebaseError>) -> Void\n    ) {\n        /*\n         Структура документа в Firebase:\n         {\n             \"userId\": \"abc123\",\n             \"uuid\": \"550e8400-...\",\n             \"productId\": 1,\n             \"productTitle\": \"iPhone\",\n             \"productPrice\": 999.99,\n             \"imageURL\": \"https://...\",\n             \"count\": 1\n         }\n         */\n\n        firestore.collection(collectionName).addDocument(data: data) { error in\n            if let error {\n                print(\"Error adding to basket: \\(error.localizedDescription)\")\n                completion(.failure(.addProductToBasket))\n            } else {\n                completion(.success(()))\n            }\n        }\n    }\n\n    // MARK: - Get Basket Items (Real-time)\n\n    func getBasketItems(\n        completion: @escaping (Result<[BasketModel], FirebaseError>) -> Void\n    ) {\n        // Получаем ID текущего пользователя\n        guard let userId = userInfoManager.getUserUid() else {\n            completion(.failure(.getBasketItemsFailed))\n            return\n        }\n\n        /*\n         addSnapshotListener — REAL-TIME ОБНОВЛЕНИЯ\n\n         Каждый раз когда данные изменяются в Firebase,\n         этот callback вызывается автоматически.\n\n         Это позволяет:\n         • Видеть изменения с другого устройства\n         • Мгновенно обновлять UI\n         • Синхронизировать корзину\n         */\n\n        firestore.collection(collectionName)\n            .whereField(\"userId\", isEqualTo: userId)\n            .addSnapshotListener { [weak self] snapshot, error in\n                guard let self else { return }\n\n                // Обработка ошибки\n                if let error {\n                    print(\"Failed to fetch basket: \\(error.localizedDescription)\")\n                    completion(.failure(.getBasketItemsFailed))\n                    return\n                }\n\n                // Получаем документы\n                guard let documents = snapshot?.documents else {\n                    completion(.success([]))\n                    return\n                }\n\n                // Очищаем локальный кэш\n                self.basketItems.removeAll()\n\n                // Парсим каждый документ\n                for document in documents {\n                    if let basketItem = self.parseDocument(document) {\n                        self.basketItems.append(basketItem)\n                    }\n                }\n\n                completion(.success(self.basketItems))\n            }\n    }\n\n    // MARK: - Parse Document\n\n    private func parseDocument(_ document: DocumentSnapshot) -> BasketModel? {\n        /*\n         Безопасное извлечение данных из документа Firebase\n\n         document.get(\"key\") возвращает Any?,\n         поэтому нужно приводить к нужному типу\n         */\n\n        guard\n            let userId = document.get(\"userId\") as? String,\n            let uuid = document.get(\"uuid\") as? String,\n            let productId = document.get(\"productId\") as? Int,\n            let productTitle = document.get(\"productTitle\") as? String,\n            let productPrice = document.get(\"productPrice\") as? Double,\n            let imageURL = document.get(\"imageURL\") as? String,\n            let count = document.get(\"count\") as? Int\n        else {\n            print(\"Failed to parse basket document: \\(document.documentID)\")\n            return nil\n        }\n\n        return BasketModel(\n            userId: userId,\n            uuid: uuid,\n            productId: productId,\n            productTitle: productTitle,\n            productPrice: productPrice,\n            imageURL: imageURL,\n            count: count\n        )\n    }\n\n    // MARK: - Update Item\n\n    func update(item: BasketModel?) {\n        guard let item else { return }\n        guard let userId = userInfoManager.getUserUid() else { return }\n\n        /*\n         Алгоритм обновления:\n         1. Ищем документ по userId и uuid\n         2. Обновляем только count и productPrice\n         */\n\n        firestore.collection(collectionName)\n            .whereField(\"userId\", isEqualTo: userId)\n            .getDocuments { [weak self] snapshot, error in\n                guard let self else { return }\n\n                if let error {\n                    print(\"Update error: \\(error.localizedDescription)\")\n                    return\n                }\n\n                // Ищем нужный документ по uuid\n                for document in snapshot?.documents ?? [] {\n                    if document.get(\"uuid\") as? String == item.uuid {\n                        // Обновляем данные\n                        let data: [String: Any] = [\n                            \"count\": item.count,\n                            \"productPrice\": item.productPrice\n                        ]\n\n                        self.firestore\n                            .collection(self.collectionName)\n                            .document(document.documentID)\n                            .updateData(data)\n\n                        break\n                    }\n                }\n            }\n    }\n\n    // MARK: - Delete Item\n\n    func deleteBasketItem(\n        item: BasketModel?,\n        completion: @escaping (FirebaseError) -> Void\n    ) {\n        guard let item else { return }\n        guard let userId = userInfoManager.getUserUid() else { return }\n\n        firestore.collection(collectionName)\n            .whereField(\"userId\", isEqualTo: userId)\n            .addSnapshotListener { [weak self] snapshot, error in\n                guard let self else { return }\n\n                if let error {\n                    print(\"Delete error: \\(error.localizedDescription)\")\n                    return\n                }\n\n                // Ищем документ по uuid и удаляем\n                for document in snapshot?.documents ?? [] {\n                    let data = document.data()\n\n                    if data[\"uuid\"] as? String == item.uuid {\n                        self.firestore\n                            .collection(self.collectionName)\n                            .document(document.documentID)\n                            .delete { error in\n                                if let error {\n                                    print(\"Error removing: \\(error)\")\n                                    completion(.itemCouldNotBeRemoved)\n                                }\n                            }\n                        break\n                    }\n                }\n            }\n    }\n}"
+            },
+            {
+                "section": "17.2 BasketManager — работа с Firebase",
+                "subsection": "Схема работы BasketManager",
+                "anchor": "shema-raboty-basketmanager",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    FIREBASE BASKET FLOW                         │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   App                          Firebase Firestore               │\n│    │                                │                           │\n│    │  addBasket(data)              │                           │\n│    ├──────────────────────────────►│                           │\n│    │                               │  Basket/                  │\n│    │                               │    ├── doc1               │\n│    │  getBasketItems()             │    ├── doc2               │\n│    ├──────────────────────────────►│    └── doc3               │\n│    │                               │                           │\n│    │  ◄────── Real-time Updates ───┤  (SnapshotListener)       │\n│    │                               │                           │\n│    │  update(item)                 │                           │\n│    ├──────────────────────────────►│                           │\n│    │                               │                           │\n│    │  deleteBasketItem(item)       │                           │\n│    ├──────────────────────────────►│                           │\n│    │                               │                           │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "",
+                "anchor": "17-3-modul-productdetail-detali-tovara",
+                "text": "Теперь создадим VIPER модуль для экрана деталей товара.",
+                "code": ""
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "Структура файлов модуля",
+                "anchor": "struktura-faylov-modulya",
+                "text": "",
+                "code": "Modules/ProductDetail/\n├── Base/\n│   ├── ProductDetailViewController.swift   ← View\n│   ├── ProductDetailInteractor.swift       ← Interactor\n│   ├── ProductDetailPresenter.swift        ← Presenter\n│   └── ProductDetailRouter.swift           ← Router\n└── UIComponents/\n    ├── Cells/\n    │   └── ProductDetailCell.swift         ← Ячейка с информацией\n    └── CustomViews/\n        └── AddBasketView.swift             ← Кнопка \"В корзину\""
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.1 ProductDetailRouter",
+                "anchor": "17-3-1-productdetailrouter",
+                "text": "Router создаёт модуль и управляет навигацией.",
+                "code": "// Modules/ProductDetail/Base/ProductDetailRouter.swift\nimport UIKit\n\n// MARK: - Protocol\n\nprotocol ProductDetailRouterProtocol {\n    /// Вернуться на главный экран\n    func toHome()\n\n    /// Перейти в корзину\n    func toBasket()\n}\n\n// MARK: - Router\n\nfinal class ProductDetailRouter {\n\n    // MARK: - Properties\n\n    private weak var view: UIViewController?\n\n    // MARK: - Init\n\n    init(view: UIViewController) {\n        self.view = view\n    }\n\n    // MARK: - Module Creation\n\n    /// Фабричный метод создания модуля\n    /// - Parameter productID: ID товара для загрузки\n    /// - Returns: Готовый ViewController\n    static func startModule(productID: Int) -> UIViewController {\n        // 1. Создаём View\n        let view = ProductDetailViewController()\n\n        // 2. Создаём Router\n        let router = ProductDetailRouter(view: view)\n\n        // 3. Создаём Interactor с зависимостями\n        let interactor = ProductDetailInteractor(\n            productID: productID,\n            service: ProductsService(),\n            storageManager: RealmManager.shared,\n            userInfoManager: UserInfoManager(),\n            basketManager: BasketManager()\n        )\n\n        // 4. Создаём Presenter и связываем компоненты\n        let presenter = ProductDetailPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        // 5. Устанавливаем связи\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\n// MARK: - ProductDetailRouterProtocol\n\nextension ProductDetailRouter: ProductDetailRouterProtocol {\n\n    func toHome() {\n        // Возвращаемся назад в навигации\n        view?.navigationController?.popViewController(animated: true)\n    }\n\n    func toBasket() {\n        /*\n         После добавления в корзину:\n         1. Возвращаемся на Home\n         2. Переключаемся на вкладку Basket (индекс 2)\n         */\n        toHome()\n        view?.tabBarController?.selectedIndex = 2\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.2 ProductDetailInteractor",
+                "anchor": "17-3-2-productdetailinteractor",
+                "text": "Interactor содержит бизнес-логику: загрузка товара, избранное, корзина.",
+                "code": "// Modules/ProductDetail/Base/ProductDetailInteractor.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol ProductDetailInteractorInputs {\n    /// Загрузить товар по ID\n    func getProduct()\n\n    /// Обработать нажатие на кнопку избранного\n    func favButtonTapped(model: ProductModel?)\n\n    /// Проверить, находится ли товар в избранном\n    func isFav(model: ProductModel?) -> Bool\n\n    /// Добавить товар в корзину\n    func addProductToBasket(product: ProductModel?)\n\n    /// Загрузить текущие товары корзины\n    func getBasketItems()\n}\n\n// MARK: - Output Protocol\n\nprotocol ProductDetailInteractorOutputs: AnyObject {\n    func startLoading()\n    func endLoading()\n    func dataRefreshed()\n    func onError(errorMessage: String)\n    func showModel(model: ProductModel?)\n    func addToBasketSucceed()\n}\n\n// MARK: - Interactor\n\nfinal class ProductDetailInteractor {\n\n    // MARK: - Properties\n\n    /// Связь с Presenter (weak для избежания retain cycle)\n    weak var presenter: ProductDetailInteractorOutputs?\n\n    /// Сервис для работы с API\n    private let service: ProductsServiceProtocol?\n\n    /// Менеджер локального хранилища (Realm)\n    private let storageManager: RealmManagerProtocol?\n\n    /// Менеджер информации о пользователе\n    private let userInfoManager: UserInfoManagerProtocol?\n\n    /// Менеджер корзины (Firebase)\n    private let basketManager: BasketManagerProtocol?\n\n    /// ID товара для загрузки\n    private let productID: Int\n\n    /// Текущие товары в корзине (для проверки дубликатов)\n    private var basketItems: [BasketModel] = []\n\n    // MARK: - Init\n\n    init(\n        productID: Int,\n        service: ProductsServiceProtocol,\n        storageManager: RealmManagerProtocol,\n        userInfoManager: UserInfoManagerProtocol,\n        basketManager: BasketManagerProtocol\n    ) {\n        self.productID = productID\n        self.service = service\n        self.storageManager = storageManager\n        self.userInfoManager = userInfoManager\n        self.basketManager = basketManager\n    }\n}\n\n// MARK: - ProductDetailInteractorInputs\n\nextension ProductDetailInteractor: ProductDetailInteractorInputs {\n\n    // MARK: - Get Product\n\n    func getProduct() {\n        Task {\n            presenter?.startLoading()\n\n            try await service?.fetchProduct(id: productID) { [weak self] result in\n                guard let self else { return }\n\n                presenter?.endLoading()\n\n                switch result {\n                case .success(let model):\n                    DispatchQueue.main.async { [weak self] in\n                        self?.presenter?.showModel(model: model)\n                    }\n\n                case .failure(let error):\n                    presenter?.onError(errorMessage: error.localizedDescription)\n                }\n            }\n        }\n    }\n\n    // MARK: - Favorites\n\n    func isFav(model: ProductModel?) -> Bool {\n        /*\n         Проверяем, есть ли товар в избранном:\n         1. Получаем все избранные товары текущего пользователя\n         2. Фильтруем по названию товара\n         3. Если найден — товар в избранном\n         */\n\n        let userId = userInfoManager?.getUserUid()\n\n        let favorites = storageManager?\n            .getAll(FavoriteProductModel.self)\n            .filter { $0.userId == userId }\n\n        let isFavorite = favorites?\n            .contains { $0.productTitle == model?.title } ?? false\n\n        return isFavorite\n    }\n\n    func favButtonTapped(model: ProductModel?) {\n        guard let model else { return }\n\n        if !isFav(model: model) {\n            // Добавляем в избранное\n            addToFavorites(model)\n        } else {\n            // Удаляем из избранного\n            removeFromFavorites(model)\n        }\n    }\n\n    private func addToFavorites(_ model: ProductModel) {\n        let favModel = FavoriteProductModel(\n            userId: userInfoManager?.getUserUid(),\n            productId: model.id,\n            productImage: model.image,\n            productTitle: model.title\n        )\n\n        storageManager?.create(favModel) { [weak self] error in\n            self?.presenter?.onError(errorMessage: error.localizedDescription)\n        }\n    }\n\n    private func removeFromFavorites(_ model: ProductModel) {\n        let userId = userInfoManager?.getUserUid()\n\n        let favorites = storageManager?\n            .getAll(FavoriteProductModel.self)\n            .filter { $0.userId == userId }\n\n        if let itemToRemove = favorites?.first(where: { $0.productId == model.id }) {\n            storageManager?.delete(itemToRemove) { [weak self] error in\n                self?.presenter?.onError(errorMessage: error.localizedDescription)\n            }\n        }\n    }\n\n    // MARK: - Basket\n\n    func getBasketItems() {\n        /*\n         Загружаем текущие товары корзины,\n         чтобы проверить, не добавлен ли уже этот товар\n         */\n\n        basketManager?.getBasketItems { [weak self] result in\n            guard let self else { return }\n\n            switch result {\n            case .success(let items):\n                self.basketItems = items\n\n            case .failure(let error):\n                print(\"Failed to load basket: \\(error.localizedDescription)\")\n            }\n        }\n    }\n\n    func addProductToBasket(product: ProductModel?) {\n        guard let product else { return }\n\n        presenter?.startLoading()\n\n        // Проверяем, не добавлен ли уже товар\n        if basketItems.contains(where: { $0.productId == product.id }) {\n            presenter?.onError(errorMessage: \"The product is already in basket.\")\n            presenter?.endLoading()\n            return\n        }\n\n        // Подготавливаем данные для Firebase\n        let data: [String: Any] = [\n            \"userId\": userInfoManager?.getUserUid() ?? \"\",\n            \"uuid\": UUID().uuidString,  // Уникальный ID записи\n            \"productId\": product.id,\n            \"productTitle\": product.title,\n            \"productPrice\": product.price,\n            \"imageURL\": product.image,\n            \"count\": 1\n        ]\n\n        // Добавляем в Firebase\n        basketManager?.addBasket(data: data) { [weak self] result in\n            guard let self else { return }\n\n            presenter?.endLoading()\n\n            switch result {\n            case .success:\n                presenter?.addToBasketSucceed()\n\n            case .failure(let error):\n                presenter?.onError(errorMessage: error.localizedDescription)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "Схема работы Interactor",
+                "anchor": "shema-raboty-interactor",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                PRODUCTDETAIL INTERACTOR FLOW                    │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Presenter                    Interactor                       │\n│       │                           │                             │\n│       │  getProduct()             │                             │\n│       ├──────────────────────────►│                             │\n│       │                           │  ProductsService            │\n│       │                           ├───────────────────►         │\n│       │                           │                    │        │\n│       │  ◄── showModel(model) ────┤  ◄─── ProductModel ┘        │\n│       │                           │                             │\n│       │  isFav(model)             │                             │\n│       ├──────────────────────────►│  RealmManager               │\n│       │  ◄── true/false ──────────┤───────────────────►         │\n│       │                           │                             │\n│       │  addProductToBasket()     │                             │\n│       ├──────────────────────────►│  BasketManager              │\n│       │                           ├───────────────────►         │\n│       │  ◄── addToBasketSucceed ──┤  ◄─── Firebase ────┘        │\n│       │                           │                             │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.3 ProductDetailPresenter",
+                "anchor": "17-3-3-productdetailpresenter",
+                "text": "Presenter связывает View и Interactor.",
+                "code": "// Modules/ProductDetail/Base/ProductDetailPresenter.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol ProductDetailPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n\n    /// Получить модель товара для отображения\n    func showModel() -> ProductModel?\n\n    /// Количество элементов (всегда 1)\n    func numberOfItemsInSection() -> Int\n\n    /// Размер ячейки\n    func sizeForItemAt() -> CGSize\n\n    /// Нажатие на кнопку избранного\n    func favButtonTapped()\n\n    /// Проверка избранного\n    func isFav() -> Bool?\n\n    /// Нажатие на кнопку \"Назад\"\n    func backButtonTapped()\n\n    /// Нажатие на \"Добавить в корзину\"\n    func addBasketTapped()\n}\n\n// MARK: - Presenter\n\nfinal class ProductDetailPresenter {\n\n    // MARK: - Properties\n\n    private weak var view: ProductDetailViewProtocol?\n    private let interactor: ProductDetailInteractorInputs?\n    private let router: ProductDetailRouterProtocol?\n\n    /// Модель товара (обновляет UI при изменении)\n    private var productModel: ProductModel? {\n        didSet {\n            // Обновляем цену в AddBasketView\n            let price = \"$\\(productModel?.price ?? 0)\"\n            view?.setBasketViewPriceLabel(price: price)\n\n            // Перезагружаем CollectionView\n            dataRefreshed()\n        }\n    }\n\n    // MARK: - Init\n\n    init(\n        view: ProductDetailViewProtocol,\n        interactor: ProductDetailInteractorInputs,\n        router: ProductDetailRouterProtocol\n    ) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - ProductDetailPresenterInputs\n\nextension ProductDetailPresenter: ProductDetailPresenterInputs {\n\n    func viewDidLoad() {\n        // Настраиваем UI\n        view?.setNavBarAndTabBarVisibility()\n        view?.setBackgroundColor(color: .systemBackground)\n        view?.prepareAddBasketView()\n        view?.prepareCollectionView()\n        view?.prepareActivityIndicatorView()\n\n        // Загружаем данные\n        interactor?.getProduct()\n        interactor?.getBasketItems()\n    }\n\n    func viewWillAppear() {\n        // Можно обновлять данные при каждом появлении\n    }\n\n    func showModel() -> ProductModel? {\n        return productModel\n    }\n\n    func numberOfItemsInSection() -> Int {\n        return 1  // Всегда одна ячейка с информацией о товаре\n    }\n\n    func sizeForItemAt() -> CGSize {\n        // Ячейка на всю ширину экрана\n        return CGSize(\n            width: UIScreenBounds.width - 32,\n            height: UIScreenBounds.height\n        )\n    }\n\n    func favButtonTapped() {\n        interactor?.favButtonTapped(model: productModel)\n    }\n\n    func isFav() -> Bool? {\n        return interactor?.isFav(model: productModel)\n    }\n\n    func backButtonTapped() {\n        router?.toHome()\n    }\n\n    func addBasketTapped() {\n        interactor?.addProductToBasket(product: productModel)\n    }\n}\n\n// MARK: - ProductDetailInteractorOutputs\n\nextension ProductDetailPresenter: ProductDetailInteractorOutputs {\n\n    func startLoading() {\n        DispatchQueue.main.async { [weak self] in\n            self?.view?.startLoading()\n        }\n    }\n\n    func endLoading() {\n        DispatchQueue.main.async { [weak self] in\n            self?.view?.endLoading()\n        }\n    }\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n\n    func onError(errorMessage: String) {\n        view?.onError(message: errorMessage)\n    }\n\n    func showModel(model: ProductModel?) {\n        self.productModel = model\n    }\n\n    func addToBasketSucceed() {\n        // После успешного добавления — переходим в корзину\n        router?.toBasket()\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.4 ProductDetailViewController",
+                "anchor": "17-3-4-productdetailviewcontroller",
+                "text": "View отображает информацию о товаре.",
+                "code": "// Modules/ProductDetail/Base/ProductDetailViewController.swift\nimport UIKit\n\n// MARK: - View Protocol\n\nprotocol ProductDetailViewProtocol: AnyObject {\n    func setNavBarAndTabBarVisibility()\n    func setBackgroundColor(color: UIColor)\n    func prepareCollectionView()\n    func prepareActivityIndicatorView()\n    func prepareAddBasketView()\n    func startLoading()\n    func endLoading()\n    func dataRefreshed()\n    func onError(message: String)\n    func setBasketViewPriceLabel(price: String)\n}\n\n// MARK: - ViewController\n\nfinal class ProductDetailViewController: UIViewController {\n\n    // MARK: - UI Components\n\n    private lazy var detailCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        layout.sectionInset = UIEdgeInsets(top: 0, left: 0, bottom: 20, right: 0)\n\n        let collectionView = UICollectionView(\n            frame: .zero,\n            collectionViewLayout: layout\n        )\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(\n            ProductDetailCell.self,\n            forCellWithReuseIdentifier: ProductDetailCell.identifier\n        )\n        collectionView.backgroundColor = .systemBackground\n        return collectionView\n    }()\n\n    private lazy var activityIndicatorView: UIActivityIndicatorView = {\n        let indicator = UIActivityIndicatorView(style: .large)\n        indicator.hidesWhenStopped = true\n        return indicator\n    }()\n\n    /// Кастомная View с ценой и кнопкой \"В корзину\"\n    private lazy var customAddBasketView = AddBasketView()\n\n    // MARK: - Properties\n\n    var presenter: ProductDetailPresenterInputs!\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n}\n\n// MARK: - ProductDetailViewProtocol\n\nextension ProductDetailViewController: ProductDetailViewProtocol {\n\n    func setBackgroundColor(color: UIColor) {\n        view.backgroundColor = color\n    }\n\n    func setNavBarAndTabBarVisibility() {\n        // Скрываем Navigation Bar (есть кастомная кнопка \"Назад\")\n        navigationController?.navigationBar.isHidden = true\n        navigationItem.hidesBackButton = true\n\n        // Скрываем Tab Bar на этом экране\n        tabBarController?.tabBar.isHidden = true\n    }\n\n    func prepareAddBasketView() {\n        view.addSubview(customAddBasketView)\n        customAddBasketView.layer.shadowOpacity = 1\n        customAddBasketView.delegate = self\n\n        customAddBasketView.snp.makeConstraints { make in\n            make.height.equalTo(100)\n            make.width.equalTo(view.frame.width)\n            make.bottom.equalToSuperview().inset(20)\n        }\n    }\n\n    func prepareCollectionView() {\n        view.addSubview(detailCollectionView)\n\n        detailCollectionView.snp.makeConstraints { make in\n            make.top.left.right.equalToSuperview()\n            make.bottom.equalTo(customAddBasketView.snp.top)\n        }\n    }\n\n    func prepareActivityIndicatorView() {\n        view.addSubview(activityIndicatorView)\n\n        activityIndicatorView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func startLoading() {\n        activityIndicatorView.startAnimating()\n    }\n\n    func endLoading() {\n        activityIndicatorView.stopAnimating()\n    }\n\n    func dataRefreshed() {\n        detailCollectionView.reloadData()\n    }\n\n    func onError(message: String) {\n        showAlert(title: \"\", message: message)\n    }\n\n    func setBasketViewPriceLabel(price: String) {\n        customAddBasketView.priceLabel.text = price\n    }\n}\n\n// MARK: - ProductDetailCellButtonsDelegate\n\nextension ProductDetailViewController: ProductDetailCellButtonsDelegate {\n\n    func backTapped() {\n        presenter.backButtonTapped()\n    }\n\n    func favButtonTapped() {\n        presenter.favButtonTapped()\n    }\n}\n\n// MARK: - AddBasketButtonDelegate\n\nextension ProductDetailViewController: AddBasketButtonDelegate {\n\n    func addBasketTapped() {\n        presenter.addBasketTapped()\n    }\n}\n\n// MARK: - UICollectionViewDelegate & DataSource\n\nextension ProductDetailViewController: UICollectionViewDelegate,\n                                       UICollectionViewDataSource,\n                                       UICollectionViewDelegateFlowLayout {\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        numberOfItemsInSection section: Int\n    ) -> Int {\n        return presenter.numberOfItemsInSection()\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        cellForItemAt indexPath: IndexPath\n    ) -> UICollectionViewCell {\n        guard let cell = detailCollectionView.dequeueReusableCell(\n            withReuseIdentifier: ProductDetailCell.identifier,\n            for: indexPath\n        ) as? ProductDetailCell else {\n            return UICollectionViewCell()\n        }\n\n        cell.showModel(\n            model: presenter.showModel(),\n            isFav: presenter.isFav()\n        )\n        cell.delegate = self\n\n        return cell\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        layout collectionViewLayout: UICollectionViewLayout,\n        sizeForItemAt indexPath: IndexPath\n    ) -> CGSize {\n        return presenter.sizeForItemAt()\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.5 ProductDetailCell — ячейка с информацией",
+                "anchor": "17-3-5-productdetailcell-yacheyka-s-informatsiey",
+                "text": "",
+                "code": "// Modules/ProductDetail/UIComponents/Cells/ProductDetailCell.swift\nimport UIKit\nimport SDWebImage\n\n// MARK: - Delegate Protocol\n\nprotocol ProductDetailCellButtonsDelegate: AnyObject {\n    func backTapped()\n    func favButtonTapped()\n}\n\n// MARK: - Cell\n\nfinal class ProductDetailCell: UICollectionViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"ProductDetailCell\"\n\n    // MARK: - UI Components\n\n    /// Изображение товара\n    private lazy var productImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.contentMode = .scaleAspectFit\n        imageView.clipsToBounds = true\n        return imageView\n    }()\n\n    /// Кнопка \"Избранное\"\n    private lazy var productFavButton: UIButton = {\n        let button = UIButton()\n        button.tintColor = .systemRed\n        button.layer.cornerRadius = 8\n\n        // Обычное состояние — пустое сердце\n        button.setImage(\n            UIImage(\n                systemName: \"heart\",\n                withConfiguration: UIImage.SymbolConfiguration(pointSize: 44)\n            ),\n            for: .normal\n        )\n\n        // Выбранное состояние — заполненное сердце\n        button.setImage(\n            UIImage(\n                systemName: \"heart.fill\",\n                withConfiguration: UIImage.SymbolConfiguration(pointSize: 44)\n            ),\n            for: .selected\n        )\n\n        button.addTarget(self, action: #selector(favButtonTapped), for: .touchUpInside)\n        return button\n    }()\n\n    /// Кнопка \"Назад\"\n    private lazy var backButton: UIButton = {\n        let button = UIButton()\n        button.setImage(\n            UIImage(\n                systemName: \"arrowshape.backward.fill\",\n                withConfiguration: UIImage.SymbolConfiguration(pointSize: 44)\n            ),\n            for: .normal\n        )\n        button.tintColor = .label\n        button.addTarget(self, action: #selector(backTapped), for: .touchUpInside)\n        button.layer.shadowOpacity = 1\n        button.layer.shadowColor = UIColor.gray.cgColor\n        return button\n    }()\n\n    /// Название товара\n    private lazy var productTitleLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 26)\n        label.numberOfLines = 0\n        label.textAlignment = .center\n        return label\n    }()\n\n    /// Описание товара\n    private lazy var productDescriptionLabel: UILabel = {\n        let label = PaddingLabel(withInsets: 4, 4, 8, 8)\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 20)\n        label.numberOfLines = 0\n        label.backgroundColor = .systemGray6\n        label.layer.cornerRadius = 8\n        label.clipsToBounds = true\n        return label\n    }()\n\n    /// Рейтинг и количество отзывов\n    private lazy var productRatingAndCountLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 18)\n        return label\n    }()\n\n    /// Спейсер для вертикального стека\n    private lazy var customSpacerView: UIView = {\n        let view = UIView()\n        view.setContentHuggingPriority(.defaultLow, for: .vertical)\n        view.setContentCompressionResistancePriority(.defaultLow, for: .vertical)\n        return view\n    }()\n\n    /// Вертикальный стек с контентом\n    private lazy var vStackView = VerticalStackView(\n        arrangedSubviews: [\n            productImageView,\n            productTitleLabel,\n            productRatingAndCountLabel,\n            productDescriptionLabel,\n            customSpacerView\n        ],\n        spacing: 16\n    )\n\n    // MARK: - Properties\n\n    weak var delegate: ProductDetailCellButtonsDelegate?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(vStackView)\n        contentView.addSubview(productFavButton)\n        contentView.addSubview(backButton)\n\n        // Изображение занимает верхнюю часть экрана\n        productImageView.snp.makeConstraints { make in\n            make.width.equalTo(snp.width)\n            make.height.equalTo(UIScreenBounds.height / 2.5)\n        }\n\n        // Кнопка избранного справа вверху\n        productFavButton.snp.makeConstraints { make in\n            make.top.equalToSuperview().offset(20)\n            make.right.equalToSuperview()\n        }\n\n        // Кнопка назад слева вверху\n        backButton.snp.makeConstraints { make in\n            make.top.equalTo(productFavButton)\n            make.left.equalToSuperview()\n        }\n\n        // Стек на всю ячейку\n        vStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    // MARK: - Configure\n\n    func showModel(model: ProductModel?, isFav: Bool?) {\n        productImageView.sd_setImage(with: URL(string: model?.image ?? \"\"))\n        productTitleLabel.text = model?.title ?? \"\"\n        productDescriptionLabel.text = model?.description ?? \"\"\n\n        // Форматируем рейтинг\n        let rate = model?.rating.rate ?? 0.0\n        let count = model?.rating.count ?? 0\n        productRatingAndCountLabel.text = \"⭐️\\(rate)⭐️\\tCount: \\(count)\"\n\n        // Устанавливаем состояние кнопки избранного\n        productFavButton.isSelected = isFav ?? false\n    }\n\n    // MARK: - Actions\n\n    @objc private func favButtonTapped(_ sender: UIButton) {\n        sender.isSelected.toggle()\n        delegate?.favButtonTapped()\n    }\n\n    @objc private func backTapped(_ sender: UIButton) {\n        delegate?.backTapped()\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "17.3.6 AddBasketView — кнопка добавления в корзину",
+                "anchor": "17-3-6-addbasketview-knopka-dobavleniya-v-korzinu",
+                "text": "",
+                "code": "// Modules/ProductDetail/UIComponents/CustomViews/AddBasketView.swift\nimport UIKit\n\n// MARK: - Delegate Protocol\n\nprotocol AddBasketButtonDelegate: AnyObject {\n    func addBasketTapped()\n}\n\n// MARK: - View\n\nfinal class AddBasketView: UIView {\n\n    // MARK: - UI Components\n\n    /// Метка с ценой товара\n    lazy var priceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 24)\n        label.backgroundColor = .label\n        label.textColor = .secondarySystemBackground\n        label.textAlignment = .center\n        return label\n    }()\n\n    /// Кнопка \"Добавить в корзину\"\n    private lazy var addButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"Add to Basket\", for: .normal)\n        button.backgroundColor = .label\n        button.setTitleColor(.secondarySystemBackground, for: .normal)\n        button.titleLabel?.font = UIFont.systemFont(ofSize: 24)\n\n        // Иконка корзины\n        let cartImage = UIImage(systemName: \"cart\")?\n            .withTintColor(.secondarySystemBackground, renderingMode: .alwaysOriginal)\n        button.setImage(cartImage, for: .normal)\n\n        button.addTarget(self, action: #selector(addButtonTapped), for: .touchUpInside)\n        return button\n    }()\n\n    /// Горизонтальный стек\n    private lazy var stackView: UIStackView = {\n        let stackView = UIStackView(arrangedSubviews: [priceLabel, addButton])\n        stackView.spacing = 4\n        stackView.alignment = .center\n        return stackView\n    }()\n\n    // MARK: - Properties\n\n    weak var delegate: AddBasketButtonDelegate?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(stackView)\n\n        priceLabel.snp.makeConstraints { make in\n            make.height.equalTo(addButton)\n        }\n\n        addButton.snp.makeConstraints { make in\n            make.width.equalTo(UIScreenBounds.width / 2.1)\n            make.height.equalTo(100)\n        }\n\n        stackView.snp.makeConstraints { make in\n            make.top.bottom.equalToSuperview().inset(26)\n            make.left.right.equalToSuperview().inset(26)\n        }\n    }\n\n    // MARK: - Actions\n\n    @objc private func addButtonTapped() {\n        delegate?.addBasketTapped()\n    }\n}"
+            },
+            {
+                "section": "17.3 Модуль ProductDetail — детали товара",
+                "subsection": "Визуализация экрана ProductDetail",
+                "anchor": "vizualizatsiya-ekrana-productdetail",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────┐\n│  ◄──  [Back]              [♥]  Favorite     │\n├─────────────────────────────────────────────┤\n│                                             │\n│              ┌───────────┐                  │\n│              │           │                  │\n│              │   IMAGE   │                  │\n│              │           │                  │\n│              └───────────┘                  │\n│                                             │\n│         Product Title Goes Here             │\n│              Multi-line                     │\n│                                             │\n│          ⭐️ 4.5 ⭐️  Count: 120            │\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │  Product description goes here.     │   │\n│  │  This can be multiple lines with    │   │\n│  │  detailed information about the     │   │\n│  │  product features and benefits.     │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n├─────────────────────────────────────────────┤\n│  ┌──────────┐  ┌─────────────────────┐     │\n│  │  $999.99 │  │  🛒 Add to Basket  │     │\n│  └──────────┘  └─────────────────────┘     │\n└─────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "",
+                "anchor": "17-4-modul-basket-korzina",
+                "text": "Теперь создадим модуль корзины покупок.",
+                "code": ""
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "Структура файлов модуля",
+                "anchor": "struktura-faylov-modulya-2",
+                "text": "",
+                "code": "Modules/Basket/\n├── Base/\n│   ├── BasketViewController.swift    ← View\n│   ├── BasketInteractor.swift        ← Interactor\n│   ├── BasketPresenter.swift         ← Presenter\n│   └── BasketRouter.swift            ← Router\n└── UIComponents/\n    ├── Cells/\n    │   └── BasketCell.swift          ← Ячейка товара\n    └── CustomViews/\n        ├── BasketBottomView.swift    ← Итого и кнопки\n        └── EmptyBasketView.swift     ← Пустая корзина"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.1 BasketRouter",
+                "anchor": "17-4-1-basketrouter",
+                "text": "",
+                "code": "// Modules/Basket/Base/BasketRouter.swift\nimport UIKit\n\n// MARK: - Protocol\n\nprotocol BasketRouterProtocol {\n    /// Вернуться на главный экран\n    func toHome()\n\n    /// Перейти к оформлению заказа\n    func toCompleteOrder(items: [BasketModel]?)\n}\n\n// MARK: - Router\n\nfinal class BasketRouter {\n\n    // MARK: - Properties\n\n    private weak var view: UIViewController?\n\n    // MARK: - Init\n\n    init(view: UIViewController) {\n        self.view = view\n    }\n\n    // MARK: - Module Creation\n\n    static func startBasketModule() -> UIViewController {\n        // 1. Создаём View\n        let view = BasketViewController()\n\n        // 2. Создаём Router\n        let router = BasketRouter(view: view)\n\n        // 3. Создаём Interactor\n        let interactor = BasketInteractor(basketManager: BasketManager())\n\n        // 4. Создаём Presenter\n        let presenter = BasketPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        // 5. Связываем компоненты\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\n// MARK: - BasketRouterProtocol\n\nextension BasketRouter: BasketRouterProtocol {\n\n    func toHome() {\n        // Переключаемся на вкладку Home (индекс 0)\n        view?.tabBarController?.selectedIndex = 0\n    }\n\n    func toCompleteOrder(items: [BasketModel]?) {\n        // Переходим на экран оформления заказа\n        let completeModule = CompleteOrderRouter.startCompleteOrderModule(items: items)\n        view?.navigationController?.pushViewController(completeModule, animated: true)\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.2 BasketInteractor",
+                "anchor": "17-4-2-basketinteractor",
+                "text": "",
+                "code": "// Modules/Basket/Base/BasketInteractor.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol BasketInteractorInputs {\n    /// Загрузить товары корзины\n    func getItems()\n\n    /// Получить товары для отображения\n    func showItems() -> [BasketModel]?\n\n    /// Обновить количество товара\n    func updateItem(value: Double, item: BasketModel?)\n\n    /// Удалить товар из корзины\n    func deleteItem(item: BasketModel?)\n\n    /// Подсчитать общую сумму\n    func calculateTotal() -> Double\n}\n\n// MARK: - Output Protocol\n\nprotocol BasketInteractorOutputs: AnyObject {\n    func onError(message: String)\n    func startLoading()\n    func endLoading()\n    func dataRefreshed()\n    func showTotal(price: Double)\n}\n\n// MARK: - Interactor\n\nfinal class BasketInteractor {\n\n    // MARK: - Properties\n\n    weak var presenter: BasketInteractorOutputs?\n\n    private let basketManager: BasketManagerProtocol?\n\n    /// Товары в корзине\n    private var basketItems: [BasketModel]? {\n        didSet {\n            // При изменении корзины — пересчитываем сумму\n            presenter?.showTotal(price: calculateTotal())\n        }\n    }\n\n    // MARK: - Init\n\n    init(basketManager: BasketManagerProtocol) {\n        self.basketManager = basketManager\n    }\n}\n\n// MARK: - BasketInteractorInputs\n\nextension BasketInteractor: BasketInteractorInputs {\n\n    func getItems() {\n        presenter?.startLoading()\n\n        basketManager?.getBasketItems { [weak self] result in\n            guard let self else { return }\n\n            presenter?.endLoading()\n\n            switch result {\n            case .success(let items):\n                DispatchQueue.main.async { [weak self] in\n                    guard let self else { return }\n\n                    self.basketItems = items\n                    self.presenter?.dataRefreshed()\n                    self.presenter?.showTotal(price: self.calculateTotal())\n                }\n\n            case .failure(let error):\n                presenter?.onError(message: error.localizedDescription)\n            }\n        }\n    }\n\n    func showItems() -> [BasketModel]? {\n        return basketItems\n    }\n\n    func updateItem(value: Double, item: BasketModel?) {\n        /*\n         Логика обновления количества:\n         1. Находим товар по uuid\n         2. Если value == 0 — удаляем товар\n         3. Иначе — обновляем count\n         */\n\n        guard let index = basketItems?.firstIndex(where: { $0.uuid == item?.uuid }),\n              let item = basketItems?[index] else {\n            return\n        }\n\n        if value == 0 {\n            // Удаляем товар при нулевом количестве\n            deleteItem(item: item)\n        } else {\n            // Обновляем количество\n            item.count = Int(value)\n            basketManager?.update(item: item)\n        }\n    }\n\n    func deleteItem(item: BasketModel?) {\n        basketManager?.deleteBasketItem(item: item) { [weak self] error in\n            self?.presenter?.onError(message: error.localizedDescription)\n        }\n    }\n\n    func calculateTotal() -> Double {\n        /*\n         Формула: сумма (цена × количество) для всех товаров\n\n         Используем reduce для суммирования:\n         [item1, item2, item3].reduce(0) { total, item in\n             total + item.price * item.count\n         }\n         */\n\n        guard let items = basketItems else { return 0 }\n\n        return items.reduce(0) { total, item in\n            total + item.productPrice * Double(item.count)\n        }\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.3 BasketPresenter",
+                "anchor": "17-4-3-basketpresenter",
+                "text": "",
+                "code": "// Modules/Basket/Base/BasketPresenter.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol BasketPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n\n    /// Количество строк в таблице\n    func numberOfRowsInSection(section: Int) -> Int\n\n    /// Модель для ячейки\n    func cellForRowAt(indexPath: IndexPath) -> BasketModel?\n\n    /// Высота ячейки\n    func heightForRowAt(indexPath: IndexPath) -> CGFloat\n\n    /// Нажатие \"Продолжить покупки\"\n    func continueShoppingTapped()\n\n    /// Нажатие \"Оформить заказ\"\n    func completePaymentTapped()\n\n    /// Изменение количества через Stepper\n    func stepperValueChanged(value: Double, item: BasketModel?)\n}\n\n// MARK: - Presenter\n\nfinal class BasketPresenter {\n\n    // MARK: - Properties\n\n    private weak var view: BasketViewProtocol?\n    private let interactor: BasketInteractorInputs?\n    private let router: BasketRouterProtocol?\n\n    // MARK: - Init\n\n    init(\n        view: BasketViewProtocol,\n        interactor: BasketInteractorInputs,\n        router: BasketRouterProtocol\n    ) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - BasketPresenterInputs\n\nextension BasketPresenter: BasketPresenterInputs {\n\n    func viewDidLoad() {\n        view?.setNavTitle(title: \"My Basket\")\n        view?.setBackgroundColor(color: .systemBackground)\n        view?.prepareCustomBottomView()\n        view?.prepareBasketTableView()\n        view?.prepareEmptyBasketView()\n        view?.prepareActivityIndicatorView()\n\n        interactor?.getItems()\n    }\n\n    func viewWillAppear() {\n        // Обновляем данные при каждом появлении экрана\n    }\n\n    func numberOfRowsInSection(section: Int) -> Int {\n        return interactor?.showItems()?.count ?? 0\n    }\n\n    func cellForRowAt(indexPath: IndexPath) -> BasketModel? {\n        return interactor?.showItems()?[indexPath.row]\n    }\n\n    func heightForRowAt(indexPath: IndexPath) -> CGFloat {\n        return 160  // Фиксированная высота ячейки\n    }\n\n    func continueShoppingTapped() {\n        router?.toHome()\n    }\n\n    func completePaymentTapped() {\n        let items = interactor?.showItems()\n\n        // Проверяем, что корзина не пуста\n        if items?.isEmpty ?? true {\n            view?.onError(message: GeneralError.emptyBasketError.localizedDescription)\n        } else {\n            router?.toCompleteOrder(items: items)\n        }\n    }\n\n    func stepperValueChanged(value: Double, item: BasketModel?) {\n        interactor?.updateItem(value: value, item: item)\n    }\n}\n\n// MARK: - BasketInteractorOutputs\n\nextension BasketPresenter: BasketInteractorOutputs {\n\n    func onError(message: String) {\n        view?.onError(message: message)\n    }\n\n    func startLoading() {\n        view?.startLoading()\n    }\n\n    func endLoading() {\n        view?.endLoading()\n    }\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n\n    func showTotal(price: Double) {\n        view?.calculateTotalPrice(price: price)\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.4 BasketViewController",
+                "anchor": "17-4-4-basketviewcontroller",
+                "text": "",
+                "code": "// Modules/Basket/Base/BasketViewController.swift\nimport UIKit\n\n// MARK: - View Protocol\n\nprotocol BasketViewProtocol: AnyObject {\n    func setNavTitle(title: String)\n    func setBackgroundColor(color: UIColor)\n    func prepareBasketTableView()\n    func prepareActivityIndicatorView()\n    func prepareEmptyBasketView()\n    func prepareCustomBottomView()\n    func startLoading()\n    func endLoading()\n    func dataRefreshed()\n    func onError(message: String)\n    func calculateTotalPrice(price: Double)\n}\n\n// MARK: - ViewController\n\nfinal class BasketViewController: UIViewController {\n\n    // MARK: - UI Components\n\n    private lazy var basketTableView: UITableView = {\n        let tableView = UITableView()\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(\n            BasketCell.self,\n            forCellReuseIdentifier: BasketCell.identifier\n        )\n        tableView.separatorStyle = .singleLine\n        return tableView\n    }()\n\n    /// Нижняя панель с итогом и кнопками\n    private lazy var customBottomView = BasketBottomView()\n\n    /// View для пустой корзины\n    private lazy var customEmptyView = EmptyBasketView()\n\n    private lazy var activityIndicatorView: UIActivityIndicatorView = {\n        let indicator = UIActivityIndicatorView(style: .large)\n        indicator.hidesWhenStopped = true\n        return indicator\n    }()\n\n    // MARK: - Properties\n\n    var presenter: BasketPresenterInputs!\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n}\n\n// MARK: - BasketViewProtocol\n\nextension BasketViewController: BasketViewProtocol {\n\n    func setNavTitle(title: String) {\n        self.title = title\n    }\n\n    func setBackgroundColor(color: UIColor) {\n        view.backgroundColor = color\n    }\n\n    func prepareCustomBottomView() {\n        view.addSubview(customBottomView)\n        customBottomView.delegate = self\n\n        customBottomView.snp.makeConstraints { make in\n            make.width.equalTo(view.frame.width)\n            make.height.equalTo(view.frame.height / 4.20)\n            make.bottom.equalTo(view.safeAreaLayoutGuide.snp.bottom)\n        }\n    }\n\n    func prepareBasketTableView() {\n        view.addSubview(basketTableView)\n\n        basketTableView.snp.makeConstraints { make in\n            make.top.equalTo(view.safeAreaLayoutGuide)\n            make.left.right.equalToSuperview()\n            make.bottom.equalTo(customBottomView.snp.top)\n        }\n    }\n\n    func prepareEmptyBasketView() {\n        view.addSubview(customEmptyView)\n\n        customEmptyView.snp.makeConstraints { make in\n            make.centerX.equalToSuperview()\n            make.centerY.equalToSuperview().offset(-50)\n        }\n    }\n\n    func prepareActivityIndicatorView() {\n        view.addSubview(activityIndicatorView)\n\n        activityIndicatorView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func startLoading() {\n        activityIndicatorView.startAnimating()\n    }\n\n    func endLoading() {\n        activityIndicatorView.stopAnimating()\n    }\n\n    func dataRefreshed() {\n        basketTableView.reloadData()\n    }\n\n    func onError(message: String) {\n        showAlert(title: \"\", message: message)\n    }\n\n    func calculateTotalPrice(price: Double) {\n        customBottomView.fixTotalPrice(price: price)\n    }\n}\n\n// MARK: - BasketBottomViewButtonDelegate\n\nextension BasketViewController: BasketBottomViewButtonDelegate {\n\n    func continueShoppingTapped() {\n        presenter.continueShoppingTapped()\n    }\n\n    func completePaymentTapped() {\n        presenter.completePaymentTapped()\n    }\n}\n\n// MARK: - BasketCellStepperCountDelegate\n\nextension BasketViewController: BasketCellStepperCountDelegate {\n\n    func stepperValueChanged(value: Double, item: BasketModel?) {\n        presenter.stepperValueChanged(value: value, item: item)\n    }\n}\n\n// MARK: - UITableViewDelegate & DataSource\n\nextension BasketViewController: UITableViewDelegate, UITableViewDataSource {\n\n    func tableView(\n        _ tableView: UITableView,\n        numberOfRowsInSection section: Int\n    ) -> Int {\n        let count = presenter.numberOfRowsInSection(section: section)\n\n        // Показываем/скрываем EmptyView\n        customEmptyView.isHidden = count != 0\n\n        return count\n    }\n\n    func tableView(\n        _ tableView: UITableView,\n        cellForRowAt indexPath: IndexPath\n    ) -> UITableViewCell {\n        guard let cell = basketTableView.dequeueReusableCell(\n            withIdentifier: BasketCell.identifier,\n            for: indexPath\n        ) as? BasketCell else {\n            return UITableViewCell()\n        }\n\n        cell.selectionStyle = .none\n        cell.showModel(model: presenter.cellForRowAt(indexPath: indexPath))\n        cell.delegate = self\n\n        return cell\n    }\n\n    func tableView(\n        _ tableView: UITableView,\n        heightForRowAt indexPath: IndexPath\n    ) -> CGFloat {\n        return presenter.heightForRowAt(indexPath: indexPath)\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.5 BasketCell — ячейка товара в корзине",
+                "anchor": "17-4-5-basketcell-yacheyka-tovara-v-korzine",
+                "text": "",
+                "code": "// Modules/Basket/UIComponents/Cells/BasketCell.swift\nimport UIKit\nimport SDWebImage\n\n// MARK: - Delegate Protocol\n\nprotocol BasketCellStepperCountDelegate: AnyObject {\n    func stepperValueChanged(value: Double, item: BasketModel?)\n}\n\n// MARK: - Cell\n\nfinal class BasketCell: UITableViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"BasketCell\"\n\n    // MARK: - UI Components\n\n    /// Изображение товара\n    private lazy var productImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.layer.cornerRadius = 8\n        imageView.contentMode = .scaleAspectFit\n        imageView.clipsToBounds = true\n        return imageView\n    }()\n\n    /// Название товара\n    private lazy var productTitleLabel: UILabel = {\n        let label = UILabel()\n        label.numberOfLines = 0\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 18, weight: .light)\n        label.textAlignment = .center\n        return label\n    }()\n\n    /// Цена (общая за позицию)\n    private lazy var productPriceLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 20, weight: .thin)\n        label.textAlignment = .center\n        return label\n    }()\n\n    /// Метка с количеством\n    private lazy var productCountLabel: UILabel = {\n        let label = PaddingLabel(withInsets: 4, 4, 4, 4)\n        label.textColor = .systemBackground\n        label.backgroundColor = .label\n        label.layer.cornerRadius = 8\n        label.font = .systemFont(ofSize: 20)\n        label.textAlignment = .center\n        label.clipsToBounds = true\n        return label\n    }()\n\n    /// Stepper для изменения количества\n    private lazy var stepper: UIStepper = {\n        let stepper = UIStepper()\n        stepper.minimumValue = 0  // 0 = удаление товара\n        stepper.value = 1\n        stepper.maximumValue = 10\n        stepper.addTarget(self, action: #selector(stepperValueChanged), for: .valueChanged)\n        return stepper\n    }()\n\n    /// Горизонтальный стек\n    private lazy var hStackView: UIStackView = {\n        // Вертикальный стек для названия и цены\n        let infoStack = VerticalStackView(\n            arrangedSubviews: [productTitleLabel, productPriceLabel],\n            spacing: 28\n        )\n\n        // Вертикальный стек для количества и степпера\n        let countStack = VerticalStackView(\n            arrangedSubviews: [productCountLabel, stepper],\n            spacing: 4\n        )\n\n        let stackView = UIStackView(arrangedSubviews: [\n            productImageView,\n            infoStack,\n            countStack\n        ])\n        stackView.alignment = .center\n        stackView.spacing = 8\n        return stackView\n    }()\n\n    // MARK: - Properties\n\n    private var model: BasketModel?\n    weak var delegate: BasketCellStepperCountDelegate?\n\n    // MARK: - Init\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        contentView.addSubview(hStackView)\n\n        productImageView.snp.makeConstraints { make in\n            make.height.equalTo(120)\n            make.width.equalTo(90)\n        }\n\n        productCountLabel.snp.makeConstraints { make in\n            make.width.equalTo(94)\n        }\n\n        productPriceLabel.snp.makeConstraints { make in\n            make.height.equalTo(20)\n        }\n\n        stepper.snp.makeConstraints { make in\n            make.centerX.equalTo(productCountLabel.snp.centerX)\n        }\n\n        hStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    // MARK: - Configure\n\n    func showModel(model: BasketModel?) {\n        self.model = model\n\n        guard let model else { return }\n\n        // Устанавливаем значение степпера\n        stepper.value = Double(model.count)\n\n        // Название товара\n        productTitleLabel.text = model.productTitle\n\n        // Общая цена позиции\n        let totalPrice = model.productPrice * Double(model.count)\n        let formattedPrice = String(format: \"%.2f\", totalPrice)\n        productPriceLabel.text = \"$ \\(formattedPrice)\"\n\n        // Изображение\n        productImageView.sd_setImage(with: URL(string: model.imageURL))\n\n        // Количество\n        productCountLabel.text = String(model.count)\n    }\n\n    // MARK: - Actions\n\n    @objc private func stepperValueChanged() {\n        delegate?.stepperValueChanged(value: stepper.value, item: model)\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.6 BasketBottomView — нижняя панель",
+                "anchor": "17-4-6-basketbottomview-nizhnyaya-panel",
+                "text": "",
+                "code": "// Modules/Basket/UIComponents/CustomViews/BasketBottomView.swift\nimport UIKit\n\n// MARK: - Delegate Protocol\n\nprotocol BasketBottomViewButtonDelegate: AnyObject {\n    func continueShoppingTapped()\n    func completePaymentTapped()\n}\n\n// MARK: - View\n\nfinal class BasketBottomView: UIView {\n\n    // MARK: - UI Components\n\n    /// Заголовок \"Total Price Payable\"\n    private lazy var totalPriceTitleLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 16)\n        label.text = \"Total Price Payable\"\n        return label\n    }()\n\n    /// Сумма к оплате\n    private lazy var totalDollarLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 18, weight: .bold)\n        return label\n    }()\n\n    /// Кнопка \"Продолжить покупки\"\n    private lazy var continueShoppingButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"Continue Shopping\", for: .normal)\n        button.backgroundColor = .systemBackground\n        button.setTitleColor(.label, for: .normal)\n        button.layer.cornerRadius = 8\n        button.layer.borderWidth = 1\n        button.layer.borderColor = UIColor.label.cgColor\n        button.clipsToBounds = true\n        button.addTarget(\n            self,\n            action: #selector(continueShoppingTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    /// Кнопка \"Оформить заказ\"\n    private lazy var completePaymentButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"Complete the Payment\", for: .normal)\n        button.backgroundColor = .label\n        button.setTitleColor(.systemBackground, for: .normal)\n        button.layer.cornerRadius = 8\n        button.clipsToBounds = true\n        button.addTarget(\n            self,\n            action: #selector(completePaymentTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    /// Вертикальный стек\n    private lazy var vStackView: VerticalStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [\n                totalPriceTitleLabel,\n                totalDollarLabel,\n                continueShoppingButton,\n                completePaymentButton\n            ],\n            spacing: 4\n        )\n        stackView.alignment = .leading\n        return stackView\n    }()\n\n    // MARK: - Properties\n\n    weak var delegate: BasketBottomViewButtonDelegate?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n        backgroundColor = .systemBackground\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(vStackView)\n\n        continueShoppingButton.snp.makeConstraints { make in\n            make.width.equalToSuperview()\n            make.height.equalTo(40)\n        }\n\n        completePaymentButton.snp.makeConstraints { make in\n            make.width.equalToSuperview()\n            make.height.equalTo(40)\n        }\n\n        vStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    // MARK: - Public Methods\n\n    func fixTotalPrice(price: Double) {\n        let formattedPrice = String(format: \"%.2f\", price)\n        totalDollarLabel.text = price != 0 ? \"$\\(formattedPrice)\" : \"0\"\n    }\n\n    // MARK: - Actions\n\n    @objc private func continueShoppingTapped() {\n        delegate?.continueShoppingTapped()\n    }\n\n    @objc private func completePaymentTapped() {\n        delegate?.completePaymentTapped()\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "17.4.7 EmptyBasketView — пустая корзина",
+                "anchor": "17-4-7-emptybasketview-pustaya-korzina",
+                "text": "",
+                "code": "// Modules/Basket/UIComponents/CustomViews/EmptyBasketView.swift\nimport UIKit\n\nfinal class EmptyBasketView: UIView {\n\n    // MARK: - UI Components\n\n    /// Иконка корзины\n    private lazy var basketImageView: UIImageView = {\n        let image = UIImage(\n            systemName: \"basket\",\n            withConfiguration: UIImage.SymbolConfiguration(pointSize: 40)\n        )\n        let imageView = UIImageView(image: image)\n        imageView.tintColor = .label\n        return imageView\n    }()\n\n    /// Сообщение о пустой корзине\n    private lazy var emptyMessageLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 26, weight: .thin)\n        label.textColor = .label\n        label.text = \"Your basket is empty.\"\n        return label\n    }()\n\n    /// Вертикальный стек\n    private lazy var vStackView: VerticalStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [emptyMessageLabel, basketImageView],\n            spacing: 8\n        )\n        stackView.alignment = .center\n        return stackView\n    }()\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(vStackView)\n\n        vStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n}"
+            },
+            {
+                "section": "17.4 Модуль Basket — корзина",
+                "subsection": "Визуализация экрана Basket",
+                "anchor": "vizualizatsiya-ekrana-basket",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────┐\n│              My Basket                       │\n├─────────────────────────────────────────────┤\n│  ┌─────┬───────────────────┬─────────┐      │\n│  │     │  Product Title    │   2     │      │\n│  │ IMG │  $ 1999.98        │  [-][+] │      │\n│  └─────┴───────────────────┴─────────┘      │\n│  ─────────────────────────────────────      │\n│  ┌─────┬───────────────────┬─────────┐      │\n│  │     │  Another Product  │   1     │      │\n│  │ IMG │  $ 299.99         │  [-][+] │      │\n│  └─────┴───────────────────┴─────────┘      │\n│                                             │\n│          (Если корзина пуста)               │\n│                                             │\n│         Your basket is empty.               │\n│              🛒                              │\n│                                             │\n├─────────────────────────────────────────────┤\n│  Total Price Payable                        │\n│  $2299.97                                   │\n│  ┌─────────────────────────────────────┐   │\n│  │       Continue Shopping             │   │\n│  └─────────────────────────────────────┘   │\n│  ┌─────────────────────────────────────┐   │\n│  │       Complete the Payment          │   │\n│  └─────────────────────────────────────┘   │\n└─────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.5 Интеграция модулей в MainTabBar",
+                "subsection": "",
+                "anchor": "17-5-integratsiya-moduley-v-maintabbar",
+                "text": "Добавим вкладку корзины в Tab Bar.",
+                "code": "// Modules/MainTabBar/MainTabBarRouter.swift\n\nstatic func startMainTabBar() -> UITabBarController {\n    let tabBar = MainTabBarViewController()\n\n    // Home — вкладка 0\n    let homeVC = UINavigationController(\n        rootViewController: HomeRouter.startHomeModule()\n    )\n    homeVC.tabBarItem = UITabBarItem(\n        title: \"Home\",\n        image: UIImage(systemName: \"house\"),\n        selectedImage: UIImage(systemName: \"house.fill\")\n    )\n\n    // Favorites — вкладка 1\n    let favoritesVC = UINavigationController(\n        rootViewController: FavoritesRouter.startFavoritesModule()\n    )\n    favoritesVC.tabBarItem = UITabBarItem(\n        title: \"Favorites\",\n        image: UIImage(systemName: \"heart\"),\n        selectedImage: UIImage(systemName: \"heart.fill\")\n    )\n\n    // Basket — вкладка 2\n    let basketVC = UINavigationController(\n        rootViewController: BasketRouter.startBasketModule()\n    )\n    basketVC.tabBarItem = UITabBarItem(\n        title: \"Basket\",\n        image: UIImage(systemName: \"basket\"),\n        selectedImage: UIImage(systemName: \"basket.fill\")\n    )\n\n    // Profile — вкладка 3\n    let profileVC = UINavigationController(\n        rootViewController: ProfileRouter.startProfileModule()\n    )\n    profileVC.tabBarItem = UITabBarItem(\n        title: \"Profile\",\n        image: UIImage(systemName: \"person\"),\n        selectedImage: UIImage(systemName: \"person.fill\")\n    )\n\n    tabBar.viewControllers = [homeVC, favoritesVC, basketVC, profileVC]\n\n    return tabBar\n}"
+            },
+            {
+                "section": "17.6 Полная схема взаимодействия модулей",
+                "subsection": "",
+                "anchor": "17-6-polnaya-shema-vzaimodeystviya-moduley",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                     ПОЛНАЯ СХЕМА МОДУЛЕЙ                                │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                         │\n│   HOME MODULE                    PRODUCTDETAIL MODULE                   │\n│   ┌─────────────┐               ┌─────────────────────┐                │\n│   │ HomeVC      │ ──tap───────► │ ProductDetailVC     │                │\n│   │ [Products]  │               │ ┌─────────────────┐ │                │\n│   └─────────────┘               │ │ Product Info    │ │                │\n│         ▲                       │ │ ♥ Favorite      │ │                │\n│         │                       │ │ [Add to Basket] │ │                │\n│         │                       │ └─────────────────┘ │                │\n│         │                       └──────────┬──────────┘                │\n│         │                                  │                           │\n│         │                                  │ addBasket()               │\n│         │                                  ▼                           │\n│         │                       ┌─────────────────────┐                │\n│         │                       │   BASKET MODULE     │                │\n│         │                       │ ┌─────────────────┐ │                │\n│         │                       │ │ [Item 1] [-][+] │ │                │\n│         └── Continue Shopping ──│ │ [Item 2] [-][+] │ │                │\n│                                 │ │ Total: $999.99  │ │                │\n│                                 │ │ [Complete]      │ │                │\n│                                 │ └─────────────────┘ │                │\n│                                 └──────────┬──────────┘                │\n│                                            │                           │\n│                                            │ completePayment()         │\n│                                            ▼                           │\n│                                 ┌─────────────────────┐                │\n│                                 │  COMPLETEORDER      │                │\n│                                 │  MODULE             │                │\n│                                 └─────────────────────┘                │\n│                                                                         │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "17.7 Вспомогательные компоненты",
+                "subsection": "UIScreenBounds — размеры экрана",
+                "anchor": "uiscreenbounds-razmery-ekrana",
+                "text": "",
+                "code": "// Core/Extensions/UIScreenBounds.swift\n\nstruct UIScreenBounds {\n    static let width = UIScreen.main.bounds.width\n    static let height = UIScreen.main.bounds.height\n}"
+            },
+            {
+                "section": "17.7 Вспомогательные компоненты",
+                "subsection": "VerticalStackView — удобный стек",
+                "anchor": "verticalstackview-udobnyy-stek",
+                "text": "",
+                "code": "// Core/Extensions/VerticalStackView.swift\nimport UIKit\n\nfinal class VerticalStackView: UIStackView {\n\n    init(\n        arrangedSubviews: [UIView],\n        spacing: CGFloat = 0,\n        alignment: UIStackView.Alignment = .fill,\n        distribution: UIStackView.Distribution = .fill\n    ) {\n        super.init(frame: .zero)\n\n        arrangedSubviews.forEach { addArrangedSubview($0) }\n\n        self.axis = .vertical\n        self.spacing = spacing\n        self.alignment = alignment\n        self.distribution = distribution\n    }\n\n    required init(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n}"
+            },
+            {
+                "section": "17.7 Вспомогательные компоненты",
+                "subsection": "PaddingLabel — метка с отступами",
+                "anchor": "paddinglabel-metka-s-otstupami",
+                "text": "",
+                "code": "// Core/Extensions/PaddingLabel.swift\nimport UIKit\n\nfinal class PaddingLabel: UILabel {\n\n    var topInset: CGFloat\n    var bottomInset: CGFloat\n    var leftInset: CGFloat\n    var rightInset: CGFloat\n\n    init(\n        withInsets top: CGFloat,\n        _ bottom: CGFloat,\n        _ left: CGFloat,\n        _ right: CGFloat\n    ) {\n        self.topInset = top\n        self.bottomInset = bottom\n        self.leftInset = left\n        self.rightInset = right\n        super.init(frame: .zero)\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    override func drawText(in rect: CGRect) {\n        let insets = UIEdgeInsets(\n            top: topInset,\n            left: leftInset,\n            bottom: bottomInset,\n            right: rightInset\n        )\n        super.drawText(in: rect.inset(by: insets))\n    }\n\n    override var intrinsicContentSize: CGSize {\n        let size = super.intrinsicContentSize\n        return CGSize(\n            width: size.width + leftInset + rightInset,\n            height: size.height + topInset + bottomInset\n        )\n    }\n}"
+            },
+            {
+                "section": "17.7 Вспомогательные компоненты",
+                "subsection": "GeneralError — ошибки приложения",
+                "anchor": "generalerror-oshibki-prilozheniya",
+                "text": "",
+                "code": "// Entities/Enums/GeneralError.swift\n\nenum GeneralError: LocalizedError {\n    case emptyBasketError\n    case unknown\n\n    var errorDescription: String? {\n        switch self {\n        case .emptyBasketError:\n            return \"Your basket is empty. Add some products first.\"\n        case .unknown:\n            return \"An unknown error occurred.\"\n        }\n    }\n}"
+            },
+            {
+                "section": "17.8 Итоги главы",
+                "subsection": "",
+                "anchor": "17-8-itogi-glavy",
+                "text": "В этой главе мы создали два полноценных VIPER модуля:",
+                "code": ""
+            },
+            {
+                "section": "17.8 Итоги главы",
+                "subsection": "ProductDetail модуль:",
+                "anchor": "productdetail-modul",
+                "text": "Компонент Ответственность RouterСоздание модуля, навигация (назад, в корзину) InteractorЗагрузка товара, работа с избранным, добавление в корзину PresenterСвязь View-Interactor, форматирование данных ViewОтображение информации, обработка нажатий",
+                "code": ""
+            },
+            {
+                "section": "17.8 Итоги главы",
+                "subsection": "Basket модуль:",
+                "anchor": "basket-modul",
+                "text": "Компонент Ответственность RouterСоздание модуля, переход к оформлению InteractorРабота с Firebase, подсчёт суммы, обновление количества PresenterФорматирование цен, управление состоянием ViewTableView с товарами, пустое состояние",
+                "code": ""
+            },
+            {
+                "section": "17.8 Итоги главы",
+                "subsection": "Ключевые паттерны:",
+                "anchor": "klyuchevye-patterny",
+                "text": "",
+                "code": "┌────────────────────────────────────────────────────────────────┐\n│                  ИЗУЧЕННЫЕ КОНЦЕПЦИИ                           │\n├────────────────────────────────────────────────────────────────┤\n│                                                                │\n│  ✅ Firebase Real-time Updates (SnapshotListener)              │\n│  ✅ Делегирование (Delegate pattern) в ячейках                 │\n│  ✅ UIStepper для изменения количества                         │\n│  ✅ Класс vs Структура (когда использовать)                    │\n│  ✅ Empty State UI (пустая корзина)                            │\n│  ✅ Навигация между модулями через Router                      │\n│  ✅ Dependency Injection в VIPER                               │\n│                                                                │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 18 мы создадим модуль избранного с сохранением в Realm.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/18-favorites.html",
+        "chapter": "Глава 18",
+        "title": "Избранное",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "Модуль избранного позволяет пользователям сохранять понравившиеся товары для быстрого доступа. В отличие от корзины (Firebase), избранное хранится локально в Realm — это означает мгновенный доступ к данным без интернета.",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                 ИЗБРАННОЕ vs КОРЗИНА                            │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   ИЗБРАННОЕ (Realm)              КОРЗИНА (Firebase)             │\n│   ┌─────────────────┐           ┌─────────────────┐             │\n│   │  Локально       │           │  Облако         │             │\n│   │  Мгновенно      │           │  Real-time      │             │\n│   │  Оффлайн        │           │  Синхронизация  │             │\n│   │  Только здесь   │           │  На всех устр.  │             │\n│   └─────────────────┘           └─────────────────┘             │\n│                                                                 │\n│   Использование:                Использование:                  │\n│   • \"Хочу купить потом\"         • \"Покупаю сейчас\"              │\n│   • Закладки                    • Оформление заказа             │\n│   • Wishlist                    • Оплата                        │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.1 FavoriteProductModel — модель избранного",
+                "subsection": "",
+                "anchor": "18-1-favoriteproductmodel-model-izbrannogo",
+                "text": "Модель наследуется от Object (Realm) для автоматического сохранения в локальную базу данных.",
+                "code": ""
+            },
+            {
+                "section": "18.1 FavoriteProductModel — модель избранного",
+                "subsection": "Почему Realm Object?",
+                "anchor": "pochemu-realm-object",
+                "text": "",
+                "code": "// ❌ Обычная структура — НЕ сохраняется автоматически\nstruct FavoriteProduct {\n    let productId: Int\n    let productTitle: String\n    // Нужно вручную сериализовать/десериализовать\n}\n\n// ✅ Realm Object — автоматическое сохранение\nclass FavoriteProductModel: Object {\n    @Persisted var productId: Int\n    @Persisted var productTitle: String\n    // Realm сам сохраняет при realm.add()\n}"
+            },
+            {
+                "section": "18.1 FavoriteProductModel — модель избранного",
+                "subsection": "Создание модели",
+                "anchor": "sozdanie-modeli",
+                "text": "",
+                "code": "// Entities/Models/StorageModels/FavoriteProductModel.swift\nimport Foundation\nimport RealmSwift\n\n/// Модель избранного товара для хранения в Realm\nfinal class FavoriteProductModel: Object {\n\n    // MARK: - Persisted Properties\n\n    /// ID пользователя — для фильтрации избранного по пользователям\n    @Persisted var userId: String?\n\n    /// ID товара из API\n    @Persisted var productId: Int\n\n    /// URL изображения товара\n    @Persisted var productImage: String\n\n    /// Название товара\n    @Persisted var productTitle: String\n\n    // MARK: - Convenience Init\n\n    /// Создание модели с параметрами\n    /// - Parameters:\n    ///   - userId: ID текущего пользователя\n    ///   - productId: ID товара\n    ///   - productImage: URL изображения\n    ///   - productTitle: Название товара\n    convenience init(\n        userId: String?,\n        productId: Int,\n        productImage: String,\n        productTitle: String\n    ) {\n        self.init()\n        self.userId = userId\n        self.productId = productId\n        self.productImage = productImage\n        self.productTitle = productTitle\n    }\n}"
+            },
+            {
+                "section": "18.1 FavoriteProductModel — модель избранного",
+                "subsection": "Визуализация модели",
+                "anchor": "vizualizatsiya-modeli",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    FavoriteProductModel                         │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   @Persisted var userId: String?                                │\n│   └── \"user_abc123\"  ← Для фильтрации по пользователю           │\n│                                                                 │\n│   @Persisted var productId: Int                                 │\n│   └── 1  ← ID товара для перехода к деталям                     │\n│                                                                 │\n│   @Persisted var productImage: String                           │\n│   └── \"https://...\"  ← Для отображения в списке                 │\n│                                                                 │\n│   @Persisted var productTitle: String                           │\n│   └── \"Fjallraven - Foldsack...\"  ← Название товара             │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.1 FavoriteProductModel — модель избранного",
+                "subsection": "Почему НЕ храним цену?",
+                "anchor": "pochemu-ne-hranim-tsenu",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                  МИНИМАЛЬНЫЕ ДАННЫЕ                             │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Храним:                        Не храним:                     │\n│   • productId   ← Ключ           • price (может измениться)     │\n│   • productImage ← Для UI        • description (загрузим)       │\n│   • productTitle ← Для UI        • rating (загрузим)            │\n│   • userId      ← Фильтр         • category (загрузим)          │\n│                                                                 │\n│   При клике на товар → загружаем актуальные данные из API       │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.2 Структура VIPER модуля",
+                "subsection": "",
+                "anchor": "18-2-struktura-viper-modulya",
+                "text": "",
+                "code": "Modules/Favorites/\n├── Base/\n│   ├── FavoritesViewController.swift    ← View\n│   ├── FavoritesInteractor.swift        ← Interactor\n│   ├── FavoritesPresenter.swift         ← Presenter\n│   └── FavoritesRouter.swift            ← Router\n└── UIComponents/\n    └── Cells/\n        └── FavoriteCell.swift           ← Ячейка избранного"
+            },
+            {
+                "section": "18.3 FavoritesRouter — создание модуля",
+                "subsection": "",
+                "anchor": "18-3-favoritesrouter-sozdanie-modulya",
+                "text": "Router создаёт модуль и управляет навигацией.",
+                "code": "// Modules/Favorites/Base/FavoritesRouter.swift\nimport Foundation\nimport UIKit\n\n// MARK: - Protocol\n\nprotocol FavoritesRouterProtocol {\n    /// Перейти на главный экран (Home)\n    func toHome()\n\n    /// Перейти к деталям товара\n    func toDetail(productId: Int)\n}\n\n// MARK: - Router\n\nfinal class FavoritesRouter {\n\n    // MARK: - Properties\n\n    private weak var view: UIViewController?\n\n    // MARK: - Init\n\n    init(view: UIViewController) {\n        self.view = view\n    }\n\n    // MARK: - Module Creation\n\n    /// Фабричный метод создания модуля Favorites\n    /// - Returns: Готовый ViewController\n    static func startFavoritesModule() -> UIViewController {\n        // 1. Создаём View\n        let view = FavoritesViewController()\n\n        // 2. Создаём Router\n        let router = FavoritesRouter(view: view)\n\n        // 3. Создаём Interactor с зависимостями\n        let interactor = FavoritesInteractor(\n            storageManager: RealmManager.shared,\n            userInfoManager: UserInfoManager()\n        )\n\n        // 4. Создаём Presenter и связываем компоненты\n        let presenter = FavoritesPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        // 5. Устанавливаем связи\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\n// MARK: - FavoritesRouterProtocol\n\nextension FavoritesRouter: FavoritesRouterProtocol {\n\n    func toHome() {\n        // Переключаемся на вкладку Home (индекс 0)\n        view?.tabBarController?.selectedIndex = 0\n    }\n\n    func toDetail(productId: Int) {\n        /*\n         При переходе к деталям:\n         1. Создаём модуль ProductDetail с productID\n         2. Модуль сам загрузит данные из API\n         3. Push на NavigationController\n         */\n\n        let detailModule = ProductDetailRouter.startModule(productID: productId)\n        view?.navigationController?.pushViewController(detailModule, animated: true)\n    }\n}"
+            },
+            {
+                "section": "18.3 FavoritesRouter — создание модуля",
+                "subsection": "Схема создания модуля",
+                "anchor": "shema-sozdaniya-modulya",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│              startFavoritesModule()                             │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   1. View = FavoritesViewController()                           │\n│   2. Router = FavoritesRouter(view: view)                       │\n│   3. Interactor = FavoritesInteractor(                          │\n│         storageManager: RealmManager.shared,                    │\n│         userInfoManager: UserInfoManager()                      │\n│      )                                                          │\n│   4. Presenter = FavoritesPresenter(                            │\n│         view: view,                                             │\n│         interactor: interactor,                                 │\n│         router: router                                          │\n│      )                                                          │\n│                                                                 │\n│   СВЯЗИ:                                                        │\n│   ┌─────────────────────────────────────────────────────┐       │\n│   │  view.presenter = presenter                         │       │\n│   │  interactor.presenter = presenter                   │       │\n│   └─────────────────────────────────────────────────────┘       │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.4 FavoritesInteractor — бизнес-логика",
+                "subsection": "",
+                "anchor": "18-4-favoritesinteractor-biznes-logika",
+                "text": "Interactor работает с Realm для получения, удаления и управления избранным.",
+                "code": "// Modules/Favorites/Base/FavoritesInteractor.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol FavoritesInteractorInputs {\n    /// Загрузить избранные товары текущего пользователя\n    func getFavorites()\n\n    /// Получить список избранного для отображения\n    func showFavorites() -> [FavoriteProductModel]\n\n    /// Удалить товар из избранного по индексу\n    func deleteItemForRowAt(indexPath: IndexPath)\n\n    /// Удалить все товары из избранного\n    func deleteAll()\n}\n\n// MARK: - Output Protocol\n\nprotocol FavoritesInteractorOutputs: AnyObject {\n    /// Данные обновились — нужно перезагрузить UI\n    func dataRefreshed()\n\n    /// Произошла ошибка\n    func onError(message: String)\n}\n\n// MARK: - Interactor\n\nfinal class FavoritesInteractor {\n\n    // MARK: - Properties\n\n    /// Связь с Presenter\n    weak var presenter: FavoritesInteractorOutputs?\n\n    /// Менеджер локального хранилища (Realm)\n    private let storageManager: RealmManagerProtocol?\n\n    /// Менеджер информации о пользователе\n    private let userInfoManager: UserInfoManagerProtocol?\n\n    /// Кэш избранных товаров\n    private var favorites: [FavoriteProductModel] = [] {\n        didSet {\n            // При изменении списка — уведомляем Presenter\n            presenter?.dataRefreshed()\n        }\n    }\n\n    // MARK: - Init\n\n    init(\n        storageManager: RealmManagerProtocol,\n        userInfoManager: UserInfoManagerProtocol\n    ) {\n        self.storageManager = storageManager\n        self.userInfoManager = userInfoManager\n    }\n}\n\n// MARK: - FavoritesInteractorInputs\n\nextension FavoritesInteractor: FavoritesInteractorInputs {\n\n    func getFavorites() {\n        /*\n         Алгоритм загрузки избранного:\n         1. Получаем все FavoriteProductModel из Realm\n         2. Фильтруем по userId текущего пользователя\n         3. Сохраняем в кэш\n\n         Почему фильтруем по userId?\n         - На одном устройстве могут быть разные пользователи\n         - У каждого своё избранное\n         */\n\n        let currentUserId = userInfoManager?.getUserUid()\n\n        let allFavorites = storageManager?.getAll(FavoriteProductModel.self) ?? []\n\n        self.favorites = allFavorites.filter { $0.userId == currentUserId }\n    }\n\n    func showFavorites() -> [FavoriteProductModel] {\n        return favorites\n    }\n\n    func deleteItemForRowAt(indexPath: IndexPath) {\n        /*\n         Удаление одного товара:\n         1. Удаляем из Realm\n         2. Удаляем из локального кэша\n         3. didSet автоматически вызовет dataRefreshed()\n         */\n\n        let itemToDelete = favorites[indexPath.row]\n\n        // Удаляем из Realm\n        storageManager?.delete(itemToDelete) { [weak self] error in\n            self?.presenter?.onError(message: error.localizedDescription)\n        }\n\n        // Удаляем из локального кэша\n        favorites.remove(at: indexPath.row)\n    }\n\n    func deleteAll() {\n        /*\n         Удаление всех товаров:\n         1. Итерируем по всем избранным\n         2. Удаляем каждый из Realm\n         3. Очищаем локальный кэш\n         */\n\n        for favorite in favorites {\n            storageManager?.delete(favorite) { [weak self] error in\n                self?.presenter?.onError(message: error.localizedDescription)\n            }\n        }\n\n        favorites.removeAll()\n    }\n}"
+            },
+            {
+                "section": "18.4 FavoritesInteractor — бизнес-логика",
+                "subsection": "Схема работы Interactor",
+                "anchor": "shema-raboty-interactor",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                FAVORITES INTERACTOR FLOW                        │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Presenter                    Interactor                       │\n│       │                           │                             │\n│       │  getFavorites()           │                             │\n│       ├──────────────────────────►│                             │\n│       │                           │  RealmManager               │\n│       │                           │  ┌───────────────────┐      │\n│       │                           ├─►│ getAll()          │      │\n│       │                           │  │ .filter(userId)   │      │\n│       │                           │◄─┤ → [Favorites]     │      │\n│       │                           │  └───────────────────┘      │\n│       │  ◄── dataRefreshed() ─────┤                             │\n│       │                           │                             │\n│       │  showFavorites()          │                             │\n│       ├──────────────────────────►│                             │\n│       │  ◄── [FavoriteProductModel] ─┤                          │\n│       │                           │                             │\n│       │  deleteItemForRowAt()     │                             │\n│       ├──────────────────────────►│                             │\n│       │                           ├─► delete(item)              │\n│       │  ◄── dataRefreshed() ─────┤                             │\n│       │                           │                             │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.5 FavoritesPresenter — связующее звено",
+                "subsection": "",
+                "anchor": "18-5-favoritespresenter-svyazuyuschee-zveno",
+                "text": "Presenter связывает View и Interactor, форматирует данные для отображения.",
+                "code": "// Modules/Favorites/Base/FavoritesPresenter.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol FavoritesPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n\n    /// Количество строк в таблице\n    func numberOfRowsInSection() -> Int\n\n    /// Модель для ячейки\n    func cellForRowAt(indexPath: IndexPath) -> FavoriteProductModel?\n\n    /// Удаление товара (swipe to delete)\n    func deleteItemForRowAt(indexPath: IndexPath)\n\n    /// Выбор товара — переход к деталям\n    func didSelectRowAt(indexPath: IndexPath)\n\n    /// Высота ячейки\n    func heightForRowAt() -> CGFloat\n\n    /// Нажатие на кнопку \"Удалить всё\"\n    func trashButtonTapped()\n\n    /// Подтверждение удаления всех\n    func deleteAllFavorites()\n\n    /// Переход на главный экран\n    func jumpToHomeTapped()\n}\n\n// MARK: - Presenter\n\nfinal class FavoritesPresenter {\n\n    // MARK: - Properties\n\n    private weak var view: FavoritesViewProtocol?\n    private let interactor: FavoritesInteractorInputs?\n    private let router: FavoritesRouterProtocol?\n\n    // MARK: - Init\n\n    init(\n        view: FavoritesViewProtocol,\n        interactor: FavoritesInteractorInputs,\n        router: FavoritesRouterProtocol\n    ) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - FavoritesPresenterInputs\n\nextension FavoritesPresenter: FavoritesPresenterInputs {\n\n    func viewDidLoad() {\n        // Настраиваем UI\n        view?.setNavTitle(title: \"Favorites\")\n        view?.prepareTrashBarButton()\n        view?.prepareTableView()\n\n        // Загружаем данные\n        interactor?.getFavorites()\n    }\n\n    func viewWillAppear() {\n        /*\n         Обновляем данные при каждом появлении экрана\n\n         Почему?\n         - Пользователь мог добавить/удалить товар из деталей\n         - Пользователь мог вернуться после logout/login\n         */\n\n        view?.setNavBarAndTabBarVisibility()\n        interactor?.getFavorites()\n        view?.dataRefreshed()\n    }\n\n    func numberOfRowsInSection() -> Int {\n        return interactor?.showFavorites().count ?? 0\n    }\n\n    func cellForRowAt(indexPath: IndexPath) -> FavoriteProductModel? {\n        return interactor?.showFavorites()[indexPath.row]\n    }\n\n    func deleteItemForRowAt(indexPath: IndexPath) {\n        interactor?.deleteItemForRowAt(indexPath: indexPath)\n    }\n\n    func didSelectRowAt(indexPath: IndexPath) {\n        /*\n         При выборе товара:\n         1. Получаем productId из модели\n         2. Передаём Router для навигации\n         3. Router создаёт ProductDetail модуль\n         */\n\n        guard let productId = interactor?.showFavorites()[indexPath.row].productId else {\n            return\n        }\n\n        router?.toDetail(productId: productId)\n    }\n\n    func heightForRowAt() -> CGFloat {\n        return 150  // Фиксированная высота ячейки\n    }\n\n    func trashButtonTapped() {\n        // Показываем Alert с подтверждением\n        view?.presentTrashAllAlert()\n    }\n\n    func deleteAllFavorites() {\n        interactor?.deleteAll()\n    }\n\n    func jumpToHomeTapped() {\n        router?.toHome()\n    }\n}\n\n// MARK: - FavoritesInteractorOutputs\n\nextension FavoritesPresenter: FavoritesInteractorOutputs {\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n\n    func onError(message: String) {\n        view?.onError(message: message)\n    }\n}"
+            },
+            {
+                "section": "18.6 FavoritesViewController — отображение",
+                "subsection": "",
+                "anchor": "18-6-favoritesviewcontroller-otobrazhenie",
+                "text": "View отображает список избранного в UITableView с возможностью удаления.",
+                "code": "// Modules/Favorites/Base/FavoritesViewController.swift\nimport UIKit\n\n// MARK: - View Protocol\n\nprotocol FavoritesViewProtocol: AnyObject {\n    func setNavTitle(title: String)\n    func setNavBarAndTabBarVisibility()\n    func prepareTrashBarButton()\n    func prepareTableView()\n    func dataRefreshed()\n    func onError(message: String)\n    func presentTrashAllAlert()\n}\n\n// MARK: - ViewController\n\nfinal class FavoritesViewController: UIViewController {\n\n    // MARK: - UI Components\n\n    /// TableView для отображения избранного\n    private lazy var favoritesTableView: UITableView = {\n        let tableView = UITableView()\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(\n            FavoriteCell.self,\n            forCellReuseIdentifier: FavoriteCell.identifier\n        )\n        tableView.separatorStyle = .singleLine\n        return tableView\n    }()\n\n    /// Кнопка для перехода на главный экран (когда список пуст)\n    private lazy var jumpToHomeButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"List is clear. Tap to see the products.\", for: .normal)\n        button.setTitleColor(.label, for: .normal)\n        button.layer.borderWidth = 1\n        button.layer.borderColor = UIColor.label.cgColor\n        button.clipsToBounds = true\n        button.addTarget(\n            self,\n            action: #selector(jumpToHomeTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    // MARK: - Properties\n\n    var presenter: FavoritesPresenterInputs!\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n\n    // MARK: - Actions\n\n    @objc private func trashButtonTapped() {\n        presenter.trashButtonTapped()\n    }\n\n    @objc private func jumpToHomeTapped() {\n        presenter.jumpToHomeTapped()\n    }\n}\n\n// MARK: - FavoritesViewProtocol\n\nextension FavoritesViewController: FavoritesViewProtocol {\n\n    func setNavTitle(title: String) {\n        self.title = title\n    }\n\n    func setNavBarAndTabBarVisibility() {\n        // Показываем Navigation Bar и Tab Bar\n        // (они могли быть скрыты на экране ProductDetail)\n        navigationController?.navigationBar.isHidden = false\n        tabBarController?.tabBar.isHidden = false\n    }\n\n    func prepareTrashBarButton() {\n        // Кнопка \"Удалить всё\" в правом верхнем углу\n        navigationItem.rightBarButtonItem = UIBarButtonItem(\n            barButtonSystemItem: .trash,\n            target: self,\n            action: #selector(trashButtonTapped)\n        )\n        navigationItem.rightBarButtonItem?.tintColor = .red\n    }\n\n    func prepareTableView() {\n        view.addSubview(favoritesTableView)\n\n        // Кнопка показывается как backgroundView когда список пуст\n        favoritesTableView.backgroundView = jumpToHomeButton\n\n        favoritesTableView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    func dataRefreshed() {\n        favoritesTableView.reloadData()\n    }\n\n    func onError(message: String) {\n        showAlert(title: \"\", message: message)\n    }\n\n    func presentTrashAllAlert() {\n        // Показываем Alert с подтверждением удаления\n        deleteAllSheetAlert { [weak self] in\n            self?.presenter.deleteAllFavorites()\n        }\n    }\n}\n\n// MARK: - UITableViewDelegate & DataSource\n\nextension FavoritesViewController: UITableViewDelegate, UITableViewDataSource {\n\n    func tableView(\n        _ tableView: UITableView,\n        numberOfRowsInSection section: Int\n    ) -> Int {\n        let count = presenter.numberOfRowsInSection()\n\n        // Показываем/скрываем кнопку \"Перейти на Home\"\n        jumpToHomeButton.isHidden = count != 0\n\n        return count\n    }\n\n    func tableView(\n        _ tableView: UITableView,\n        cellForRowAt indexPath: IndexPath\n    ) -> UITableViewCell {\n        guard let cell = favoritesTableView.dequeueReusableCell(\n            withIdentifier: FavoriteCell.identifier,\n            for: indexPath\n        ) as? FavoriteCell else {\n            return UITableViewCell()\n        }\n\n        cell.showModel(model: presenter.cellForRowAt(indexPath: indexPath))\n        cell.accessoryType = .disclosureIndicator  // Стрелка вправо\n        cell.selectionStyle = .none\n\n        return cell\n    }\n\n    func tableView(\n        _ tableView: UITableView,\n        heightForRowAt indexPath: IndexPath\n    ) -> CGFloat {\n        return presenter.heightForRowAt()\n    }\n\n    // MARK: - Swipe to Delete\n\n    func tableView(\n        _ tableView: UITableView,\n        commit editingStyle: UITableViewCell.EditingStyle,\n        forRowAt indexPath: IndexPath\n    ) {\n        /*\n         Swipe to Delete — стандартный жест iOS\n\n         Пользователь свайпает влево → появляется кнопка Delete\n         При нажатии → удаляем товар\n         */\n\n        if editingStyle == .delete {\n            presenter.deleteItemForRowAt(indexPath: indexPath)\n        }\n    }\n\n    // MARK: - Selection\n\n    func tableView(\n        _ tableView: UITableView,\n        didSelectRowAt indexPath: IndexPath\n    ) {\n        tableView.deselectRow(at: indexPath, animated: true)\n        presenter.didSelectRowAt(indexPath: indexPath)\n    }\n}"
+            },
+            {
+                "section": "18.6 FavoritesViewController — отображение",
+                "subsection": "Визуализация экрана Favorites",
+                "anchor": "vizualizatsiya-ekrana-favorites",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────┐\n│  Favorites                          🗑️      │\n├─────────────────────────────────────────────┤\n│  ┌─────┬─────────────────────────────┬──┐  │\n│  │     │  Fjallraven - Foldsack No.  │ ► │  │\n│  │ IMG │  1 Backpack, Fits 15        │   │  │\n│  │     │  Laptops                    │   │  │\n│  └─────┴─────────────────────────────┴──┘  │\n│  ─────────────────────────────────────────  │\n│  ┌─────┬─────────────────────────────┬──┐  │\n│  │     │  Mens Casual Premium Slim   │ ► │  │\n│  │ IMG │  Fit T-Shirts               │   │  │\n│  │     │                             │   │  │\n│  └─────┴─────────────────────────────┴──┘  │\n│  ─────────────────────────────────────────  │\n│  ┌─────┬─────────────────────────────┬──┐  │\n│  │     │  John Hardy Women's         │ ► │  │\n│  │ IMG │  Legends Naga Gold &        │   │  │\n│  │     │  Silver Dragon...           │   │  │\n│  └─────┴─────────────────────────────┴──┘  │\n│                                             │\n│          (Если список пуст)                 │\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │  List is clear.                     │   │\n│  │  Tap to see the products.           │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n│  [Home] [♥ Favorites] [🛒 Basket] [Profile] │\n└─────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.7 FavoriteCell — ячейка избранного",
+                "subsection": "",
+                "anchor": "18-7-favoritecell-yacheyka-izbrannogo",
+                "text": "",
+                "code": "// Modules/Favorites/UIComponents/Cells/FavoriteCell.swift\nimport UIKit\nimport SDWebImage\n\nfinal class FavoriteCell: UITableViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"FavoriteCell\"\n\n    // MARK: - UI Components\n\n    /// Изображение товара\n    private lazy var productImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.layer.cornerRadius = 8\n        imageView.contentMode = .scaleAspectFit\n        imageView.clipsToBounds = true\n        return imageView\n    }()\n\n    /// Название товара\n    private lazy var productTitleLabel: UILabel = {\n        let label = UILabel()\n        label.numberOfLines = 0  // Многострочный текст\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 16)\n        return label\n    }()\n\n    /// Горизонтальный стек\n    private lazy var hStackView: UIStackView = {\n        let stackView = UIStackView(arrangedSubviews: [\n            productImageView,\n            productTitleLabel\n        ])\n        stackView.contentMode = .center\n        stackView.spacing = 8\n        return stackView\n    }()\n\n    // MARK: - Init\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(hStackView)\n\n        // Изображение фиксированного размера\n        productImageView.snp.makeConstraints { make in\n            make.width.height.equalTo(94)\n        }\n\n        // Стек с отступами\n        hStackView.snp.makeConstraints { make in\n            make.right.equalToSuperview().inset(40)  // Место для стрелки\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    // MARK: - Configure\n\n    func showModel(model: FavoriteProductModel?) {\n        productImageView.sd_setImage(with: URL(string: model?.productImage ?? \"\"))\n        productTitleLabel.text = model?.productTitle ?? \"\"\n    }\n}"
+            },
+            {
+                "section": "18.7 FavoriteCell — ячейка избранного",
+                "subsection": "Анатомия ячейки",
+                "anchor": "anatomiya-yacheyki",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                        FavoriteCell                             │\n├─────────────────────────────────────────────────────────────────┤\n│  16px                                                 40px      │\n│  ┌──────┐                                                       │\n│  │      │                                                       │\n│  │  94  │   ← 8px →  productTitleLabel         ► accessory      │\n│  │  x   │            (numberOfLines: 0)                         │\n│  │  94  │                                                       │\n│  │      │                                                       │\n│  └──────┘                                                       │\n│  16px                                                           │\n├─────────────────────────────────────────────────────────────────┤\n│  Высота ячейки: 150px (фиксированная)                           │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.8 Расширение UIViewController для алертов",
+                "subsection": "",
+                "anchor": "18-8-rasshirenie-uiviewcontroller-dlya-alertov",
+                "text": "Добавим удобный метод для показа Alert с подтверждением удаления.",
+                "code": "// Core/Extensions/UIViewController+Alerts.swift\nimport UIKit\n\nextension UIViewController {\n\n    /// Показать Alert для подтверждения удаления всех элементов\n    func deleteAllSheetAlert(completion: @escaping () -> Void) {\n        let alert = UIAlertController(\n            title: \"Delete All\",\n            message: \"Are you sure you want to delete all favorites?\",\n            preferredStyle: .actionSheet\n        )\n\n        // Кнопка \"Удалить\"\n        let deleteAction = UIAlertAction(\n            title: \"Delete All\",\n            style: .destructive\n        ) { _ in\n            completion()\n        }\n\n        // Кнопка \"Отмена\"\n        let cancelAction = UIAlertAction(\n            title: \"Cancel\",\n            style: .cancel\n        )\n\n        alert.addAction(deleteAction)\n        alert.addAction(cancelAction)\n\n        present(alert, animated: true)\n    }\n\n    /// Показать простой Alert с сообщением\n    func showAlert(title: String, message: String) {\n        let alert = UIAlertController(\n            title: title,\n            message: message,\n            preferredStyle: .alert\n        )\n\n        let okAction = UIAlertAction(title: \"OK\", style: .default)\n        alert.addAction(okAction)\n\n        present(alert, animated: true)\n    }\n}"
+            },
+            {
+                "section": "18.9 Интеграция в MainTabBar",
+                "subsection": "",
+                "anchor": "18-9-integratsiya-v-maintabbar",
+                "text": "Добавим вкладку Favorites в Tab Bar.",
+                "code": "// Modules/MainTabBar/MainTabBarRouter.swift\n\nstatic func startMainTabBar() -> UITabBarController {\n    let tabBar = MainTabBarViewController()\n\n    // Home — вкладка 0\n    let homeVC = UINavigationController(\n        rootViewController: HomeRouter.startHomeModule()\n    )\n    homeVC.tabBarItem = UITabBarItem(\n        title: \"Home\",\n        image: UIImage(systemName: \"house\"),\n        selectedImage: UIImage(systemName: \"house.fill\")\n    )\n\n    // Favorites — вкладка 1\n    let favoritesVC = UINavigationController(\n        rootViewController: FavoritesRouter.startFavoritesModule()\n    )\n    favoritesVC.tabBarItem = UITabBarItem(\n        title: \"Favorites\",\n        image: UIImage(systemName: \"heart\"),\n        selectedImage: UIImage(systemName: \"heart.fill\")\n    )\n\n    // Basket — вкладка 2\n    let basketVC = UINavigationController(\n        rootViewController: BasketRouter.startBasketModule()\n    )\n    basketVC.tabBarItem = UITabBarItem(\n        title: \"Basket\",\n        image: UIImage(systemName: \"basket\"),\n        selectedImage: UIImage(systemName: \"basket.fill\")\n    )\n\n    // Profile — вкладка 3\n    let profileVC = UINavigationController(\n        rootViewController: ProfileRouter.startProfileModule()\n    )\n    profileVC.tabBarItem = UITabBarItem(\n        title: \"Profile\",\n        image: UIImage(systemName: \"person\"),\n        selectedImage: UIImage(systemName: \"person.fill\")\n    )\n\n    tabBar.viewControllers = [homeVC, favoritesVC, basketVC, profileVC]\n\n    return tabBar\n}"
+            },
+            {
+                "section": "18.10 Полная схема взаимодействия",
+                "subsection": "",
+                "anchor": "18-10-polnaya-shema-vzaimodeystviya",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                   FAVORITES MODULE FLOW                                 │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                         │\n│   ┌──────────────────────────────────────────────────────────────┐      │\n│   │                    FavoritesViewController                    │      │\n│   │  ┌──────────────────────────────────────────────────────┐    │      │\n│   │  │  [🗑️]  ← trashButtonTapped()                          │    │      │\n│   │  │  ┌────────────────────────────────────────────────┐  │    │      │\n│   │  │  │  [Image]  Product Title...              ►      │  │    │      │\n│   │  │  │                   ↓ didSelectRowAt()           │  │    │      │\n│   │  │  │                   ← swipe to delete            │  │    │      │\n│   │  │  └────────────────────────────────────────────────┘  │    │      │\n│   │  │  ┌────────────────────────────────────────────────┐  │    │      │\n│   │  │  │  [Image]  Product Title...              ►      │  │    │      │\n│   │  │  └────────────────────────────────────────────────┘  │    │      │\n│   │  └──────────────────────────────────────────────────────┘    │      │\n│   │                                                              │      │\n│   │  [List is clear. Tap to see products.]                       │      │\n│   │                   ↓ jumpToHomeTapped()                       │      │\n│   └────────────────────────────────────┬─────────────────────────┘      │\n│                                        │                                │\n│                                        ▼                                │\n│   ┌──────────────────────────────────────────────────────────────┐      │\n│   │                    FavoritesPresenter                        │      │\n│   │  • viewDidLoad() → getFavorites()                            │      │\n│   │  • didSelectRowAt() → router.toDetail()                      │      │\n│   │  • deleteItemForRowAt() → interactor.delete()                │      │\n│   │  • trashButtonTapped() → presentTrashAllAlert()              │      │\n│   └────────────────────────────────────┬─────────────────────────┘      │\n│                                        │                                │\n│                                        ▼                                │\n│   ┌──────────────────────────────────────────────────────────────┐      │\n│   │                    FavoritesInteractor                       │      │\n│   │  • getFavorites() → RealmManager.getAll().filter(userId)     │      │\n│   │  • deleteItemForRowAt() → RealmManager.delete()              │      │\n│   │  • deleteAll() → loop delete()                               │      │\n│   └────────────────────────────────────┬─────────────────────────┘      │\n│                                        │                                │\n│                                        ▼                                │\n│   ┌──────────────────────────────────────────────────────────────┐      │\n│   │                    FavoritesRouter                           │      │\n│   │  • toDetail() → ProductDetailRouter.startModule()            │      │\n│   │  • toHome() → tabBarController.selectedIndex = 0             │      │\n│   └──────────────────────────────────────────────────────────────┘      │\n│                                                                         │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.11 Добавление в избранное из ProductDetail",
+                "subsection": "",
+                "anchor": "18-11-dobavlenie-v-izbrannoe-iz-productdetail",
+                "text": "В главе 17 мы уже реализовали добавление в избранное. Вот как это работает:",
+                "code": "// ProductDetailInteractor.swift (из главы 17)\n\nfunc favButtonTapped(model: ProductModel?) {\n    guard let model else { return }\n\n    if !isFav(model: model) {\n        // ДОБАВЛЯЕМ в избранное\n        let favModel = FavoriteProductModel(\n            userId: userInfoManager?.getUserUid(),\n            productId: model.id,\n            productImage: model.image,\n            productTitle: model.title\n        )\n\n        storageManager?.create(favModel) { [weak self] error in\n            self?.presenter?.onError(errorMessage: error.localizedDescription)\n        }\n    } else {\n        // УДАЛЯЕМ из избранного\n        let favorites = storageManager?\n            .getAll(FavoriteProductModel.self)\n            .filter { $0.userId == userInfoManager?.getUserUid() }\n\n        if let itemToRemove = favorites?.first(where: { $0.productId == model.id }) {\n            storageManager?.delete(itemToRemove) { [weak self] error in\n                self?.presenter?.onError(errorMessage: error.localizedDescription)\n            }\n        }\n    }\n}\n\nfunc isFav(model: ProductModel?) -> Bool {\n    let userId = userInfoManager?.getUserUid()\n\n    let favorites = storageManager?\n        .getAll(FavoriteProductModel.self)\n        .filter { $0.userId == userId }\n\n    return favorites?.contains { $0.productTitle == model?.title } ?? false\n}"
+            },
+            {
+                "section": "18.11 Добавление в избранное из ProductDetail",
+                "subsection": "Связь ProductDetail ↔ Favorites",
+                "anchor": "svyaz-productdetail-favorites",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│              ДОБАВЛЕНИЕ В ИЗБРАННОЕ                             │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   ProductDetailVC           RealmManager          FavoritesVC   │\n│        │                        │                      │        │\n│        │  ♥ tap                 │                      │        │\n│        ├───────────────────────►│                      │        │\n│        │  favButtonTapped()     │                      │        │\n│        │                        │                      │        │\n│        │  if !isFav:            │                      │        │\n│        │    create(FavoriteProductModel)               │        │\n│        │                        │                      │        │\n│        │  if isFav:             │                      │        │\n│        │    delete(item)        │                      │        │\n│        │                        │                      │        │\n│        │                        │                      │        │\n│        │  (User navigates to Favorites tab)            │        │\n│        │                        │        viewWillAppear│        │\n│        │                        │◄──────────────────────┤        │\n│        │                        │    getFavorites()    │        │\n│        │                        ├──────────────────────►│        │\n│        │                        │    [FavoriteProductModel]     │\n│        │                        │                      │        │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.12 Итоги главы",
+                "subsection": "",
+                "anchor": "18-12-itogi-glavy",
+                "text": "В этой главе мы создали полноценный VIPER модуль избранного:",
+                "code": ""
+            },
+            {
+                "section": "18.12 Итоги главы",
+                "subsection": "Компоненты модуля:",
+                "anchor": "komponenty-modulya",
+                "text": "Компонент Ответственность FavoriteProductModelRealm-модель для хранения избранного FavoritesRouterСоздание модуля, навигация FavoritesInteractorРабота с Realm, фильтрация по userId FavoritesPresenterСвязь View-Interactor FavoritesViewControllerUITableView с избранным FavoriteCellЯчейка с изображением и названием",
+                "code": ""
+            },
+            {
+                "section": "18.12 Итоги главы",
+                "subsection": "Ключевые паттерны:",
+                "anchor": "klyuchevye-patterny",
+                "text": "",
+                "code": "┌────────────────────────────────────────────────────────────────┐\n│                  ИЗУЧЕННЫЕ КОНЦЕПЦИИ                           │\n├────────────────────────────────────────────────────────────────┤\n│                                                                │\n│  ✅ Realm для локального хранения                              │\n│  ✅ Фильтрация по userId для мульти-аккаунтов                  │\n│  ✅ Swipe to Delete (UITableViewDelegate)                      │\n│  ✅ backgroundView для пустого состояния                       │\n│  ✅ Alert с подтверждением удаления                            │\n│  ✅ Property Observer (didSet) для обновления UI               │\n│  ✅ Навигация между модулями через Router                      │\n│                                                                │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "18.12 Итоги главы",
+                "subsection": "Realm vs Firebase:",
+                "anchor": "realm-vs-firebase",
+                "text": "",
+                "code": "┌────────────────────────────────────────────────────────────────┐\n│                  КОГДА ЧТО ИСПОЛЬЗОВАТЬ                        │\n├────────────────────────────────────────────────────────────────┤\n│                                                                │\n│   REALM (локально):                                            │\n│   • Избранное ← быстрый доступ                                 │\n│   • Кэш данных                                                 │\n│   • Настройки приложения                                       │\n│   • Данные, специфичные для устройства                         │\n│                                                                │\n│   FIREBASE (облако):                                           │\n│   • Корзина ← синхронизация между устройствами                 │\n│   • Заказы ← история покупок                                   │\n│   • Профиль пользователя                                       │\n│   • Данные, которые нужны везде                                │\n│                                                                │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 19 мы создадим модуль оформления заказа и истории заказов.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/19-orders.html",
+        "chapter": "Глава 19",
+        "title": "Оформление заказа",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы создадим финальный этап покупки — модуль оформления заказа (CompleteOrder). Пользователь выбирает адрес доставки, платёжную карту и подтверждает заказ.",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    ПРОЦЕСС ОФОРМЛЕНИЯ ЗАКАЗА                    │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Корзина → CompleteOrder → Выбор адреса → Выбор карты → Заказ │\n│                                                                 │\n│   ┌─────────┐    ┌─────────────┐    ┌─────────────┐            │\n│   │ Basket  │───►│ CompleteOrder│───►│   Success   │            │\n│   │ Module  │    │   Module    │    │   Alert     │            │\n│   └─────────┘    └──────┬──────┘    └─────────────┘            │\n│                         │                                       │\n│              ┌──────────┴──────────┐                           │\n│              │                     │                           │\n│              ▼                     ▼                           │\n│        ┌──────────┐         ┌──────────┐                       │\n│        │ Addresses │         │ PaymentInfo│                     │\n│        │  Module   │         │   Module   │                     │\n│        └──────────┘         └──────────┘                       │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "19.1 Модели данных",
+                "subsection": "AddressModel — модель адреса",
+                "anchor": "addressmodel-model-adresa",
+                "text": "",
+                "code": "// Entities/Models/StorageModels/AddressModel.swift\nimport Foundation\nimport RealmSwift\n\n/// Модель адреса доставки для хранения в Realm\nfinal class AddressModel: Object {\n\n    // MARK: - Persisted Properties\n\n    /// ID пользователя\n    @Persisted var userId: String?\n\n    /// Уникальный идентификатор адреса\n    @Persisted var uuid: UUID?\n\n    /// Название адреса (например, \"Дом\", \"Работа\")\n    @Persisted var name: String\n\n    /// Страна\n    @Persisted var country: String\n\n    /// Город\n    @Persisted var city: String\n\n    /// Улица\n    @Persisted var street: String\n\n    /// Номер дома\n    @Persisted var buildingNumber: Int\n\n    /// Почтовый индекс\n    @Persisted var zipCode: Int\n\n    // MARK: - Computed Properties\n\n    /// Полный адрес для отображения\n    var fullAddress: String {\n        \"\\(street), \\(buildingNumber), \\(city), \\(country), \\(zipCode)\"\n    }\n\n    // MARK: - Convenience Init\n\n    convenience init(\n        userId: String?,\n        uuid: UUID?,\n        name: String,\n        country: String,\n        city: String,\n        street: String,\n        buildingNumber: Int,\n        zipCode: Int\n    ) {\n        self.init()\n        self.userId = userId\n        self.uuid = uuid\n        self.name = name\n        self.country = country\n        self.city = city\n        self.street = street\n        self.buildingNumber = buildingNumber\n        self.zipCode = zipCode\n    }\n}"
+            },
+            {
+                "section": "19.1 Модели данных",
+                "subsection": "CardModel — модель банковской карты",
+                "anchor": "cardmodel-model-bankovskoy-karty",
+                "text": "",
+                "code": "// Entities/Models/StorageModels/CardModel.swift\nimport Foundation\nimport RealmSwift\n\n/// Модель банковской карты для хранения в Realm\nfinal class CardModel: Object {\n\n    // MARK: - Persisted Properties\n\n    /// ID пользователя\n    @Persisted var userId: String\n\n    /// Уникальный идентификатор карты\n    @Persisted var uuid: String\n\n    /// Имя и фамилия владельца\n    @Persisted var nameSurname: String\n\n    /// Название карты (например, \"Основная\", \"Visa\")\n    @Persisted var cardName: String\n\n    /// Номер карты (маскированный для отображения)\n    @Persisted var cardNumber: String\n\n    /// Месяц истечения\n    @Persisted var month: String\n\n    /// Год истечения\n    @Persisted var year: String\n\n    /// CVV код (в реальном приложении НЕ хранить!)\n    @Persisted var cvv: String\n\n    // MARK: - Computed Properties\n\n    /// Маскированный номер карты для отображения\n    var maskedNumber: String {\n        let lastFour = String(cardNumber.suffix(4))\n        return \"**** **** **** \\(lastFour)\"\n    }\n\n    /// Дата истечения\n    var expiryDate: String {\n        \"\\(month)/\\(year)\"\n    }\n\n    // MARK: - Convenience Init\n\n    convenience init(\n        userId: String,\n        uuid: String,\n        nameSurname: String,\n        cardName: String,\n        cardNumber: String,\n        month: String,\n        year: String,\n        cvv: String\n    ) {\n        self.init()\n        self.userId = userId\n        self.uuid = uuid\n        self.nameSurname = nameSurname\n        self.cardName = cardName\n        self.cardNumber = cardNumber\n        self.month = month\n        self.year = year\n        self.cvv = cvv\n    }\n}"
+            },
+            {
+                "section": "19.1 Модели данных",
+                "subsection": "Визуализация моделей",
+                "anchor": "vizualizatsiya-modeley",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                         AddressModel                            │\n├─────────────────────────────────────────────────────────────────┤\n│  userId: \"abc123\"                                               │\n│  uuid: UUID()                                                   │\n│  name: \"Дом\"          ← Для выбора из списка                    │\n│  country: \"Россия\"                                              │\n│  city: \"Москва\"                                                 │\n│  street: \"ул. Пушкина\"                                          │\n│  buildingNumber: 10                                             │\n│  zipCode: 123456                                                │\n│                                                                 │\n│  fullAddress → \"ул. Пушкина, 10, Москва, Россия, 123456\"        │\n└─────────────────────────────────────────────────────────────────┘\n\n┌─────────────────────────────────────────────────────────────────┐\n│                          CardModel                              │\n├─────────────────────────────────────────────────────────────────┤\n│  userId: \"abc123\"                                               │\n│  uuid: \"uuid-123\"                                               │\n│  nameSurname: \"Ivan Ivanov\"                                     │\n│  cardName: \"Visa Основная\"   ← Для выбора из списка             │\n│  cardNumber: \"4111111111111111\"                                 │\n│  month: \"12\"                                                    │\n│  year: \"25\"                                                     │\n│  cvv: \"123\"  ← В реальном приложении НЕ хранить!               │\n│                                                                 │\n│  maskedNumber → \"**** **** **** 1111\"                           │\n│  expiryDate → \"12/25\"                                           │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "19.2 Структура VIPER модуля CompleteOrder",
+                "subsection": "",
+                "anchor": "19-2-struktura-viper-modulya-completeorder",
+                "text": "",
+                "code": "Modules/CompleteOrder/\n├── Base/\n│   ├── CompleteOrderViewController.swift    ← View\n│   ├── CompleteOrderInteractor.swift        ← Interactor\n│   ├── CompleteOrderPresenter.swift         ← Presenter\n│   └── CompleteOrderRouter.swift            ← Router\n└── UIComponents/\n    └── Cells/\n        ├── AddressInfoCell.swift            ← Выбор адреса\n        ├── CardInfoCell.swift               ← Выбор карты\n        └── TotalPriceCell.swift             ← Итоговая сумма"
+            },
+            {
+                "section": "19.3 CompleteOrderRouter — создание модуля",
+                "subsection": "",
+                "anchor": "19-3-completeorderrouter-sozdanie-modulya",
+                "text": "",
+                "code": "// Modules/CompleteOrder/Base/CompleteOrderRouter.swift\nimport Foundation\nimport UIKit\n\n// MARK: - Protocol\n\nprotocol CompleteOrderRouterProtocol {\n    /// Перейти к добавлению платёжной информации\n    func toPaymentInfo()\n\n    /// Перейти к управлению адресами\n    func toAddresses()\n\n    /// Вернуться на главную после успешного заказа\n    func toHome()\n}\n\n// MARK: - Router\n\nfinal class CompleteOrderRouter {\n\n    // MARK: - Properties\n\n    private weak var view: UIViewController?\n\n    // MARK: - Init\n\n    init(view: UIViewController) {\n        self.view = view\n    }\n\n    // MARK: - Module Creation\n\n    /// Фабричный метод создания модуля\n    /// - Parameter items: Товары из корзины для оформления заказа\n    /// - Returns: Готовый ViewController\n    static func startCompleteOrderModule(items: [BasketModel]?) -> UIViewController {\n        // 1. Создаём View\n        let view = CompleteOrderViewController()\n\n        // 2. Создаём Router\n        let router = CompleteOrderRouter(view: view)\n\n        // 3. Создаём Interactor с зависимостями\n        let interactor = CompleteOrderInteractor(\n            items: items,\n            storageManager: RealmManager.shared,\n            basketManager: BasketManager()\n        )\n\n        // 4. Создаём Presenter\n        let presenter = CompleteOrderPresenter(\n            view: view,\n            interactor: interactor,\n            router: router\n        )\n\n        // 5. Связываем компоненты\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\n// MARK: - CompleteOrderRouterProtocol\n\nextension CompleteOrderRouter: CompleteOrderRouterProtocol {\n\n    func toPaymentInfo() {\n        // Переход к модулю добавления карты\n        let paymentInfoModule = PaymentInfoRouter.startPaymentInfoModule()\n        view?.navigationController?.pushViewController(paymentInfoModule, animated: true)\n    }\n\n    func toAddresses() {\n        // Переход к модулю управления адресами\n        let addressesModule = AddressesRouter.startAddressesModule()\n        view?.navigationController?.pushViewController(addressesModule, animated: true)\n    }\n\n    func toHome() {\n        // Возвращаемся на главную и переключаемся на Home\n        view?.navigationController?.popToRootViewController(animated: true)\n        view?.tabBarController?.selectedIndex = 0\n    }\n}"
+            },
+            {
+                "section": "19.4 CompleteOrderInteractor — бизнес-логика",
+                "subsection": "",
+                "anchor": "19-4-completeorderinteractor-biznes-logika",
+                "text": "",
+                "code": "// Modules/CompleteOrder/Base/CompleteOrderInteractor.swift\nimport Foundation\nimport FirebaseFirestore\n\n// MARK: - Input Protocol\n\nprotocol CompleteOrderInteractorInputs {\n    /// Загрузить сохранённые адреса\n    func getAddresses()\n\n    /// Загрузить сохранённые карты\n    func getCards()\n\n    /// Получить адреса для отображения\n    func showAddresses() -> [AddressModel]?\n\n    /// Получить карты для отображения\n    func showCards() -> [CardModel]?\n\n    /// Получить итоговую сумму и стоимость доставки\n    func showTotalAndDeliveryPrice() -> (price: Double, delivery: Double)?\n\n    /// Сохранить заказ\n    func saveOrder(address: AddressModel?, card: CardModel?)\n}\n\n// MARK: - Output Protocol\n\nprotocol CompleteOrderInteractorOutputs: AnyObject {\n    func dataRefreshed()\n    func alert(title: String, message: String)\n    func orderSuccess()\n}\n\n// MARK: - Interactor\n\nfinal class CompleteOrderInteractor {\n\n    // MARK: - Properties\n\n    weak var presenter: CompleteOrderInteractorOutputs?\n\n    private let storageManager: RealmManagerProtocol?\n    private let basketManager: BasketManagerProtocol?\n    private let firestore = Firestore.firestore()\n\n    /// Список адресов пользователя\n    private var addresses: [AddressModel]? {\n        didSet {\n            presenter?.dataRefreshed()\n        }\n    }\n\n    /// Список карт пользователя\n    private var cards: [CardModel]? {\n        didSet {\n            presenter?.dataRefreshed()\n        }\n    }\n\n    /// Товары для заказа (из корзины)\n    private var items: [BasketModel]?\n\n    // MARK: - Init\n\n    init(\n        items: [BasketModel]?,\n        storageManager: RealmManagerProtocol,\n        basketManager: BasketManagerProtocol\n    ) {\n        self.items = items\n        self.storageManager = storageManager\n        self.basketManager = basketManager\n    }\n}\n\n// MARK: - CompleteOrderInteractorInputs\n\nextension CompleteOrderInteractor: CompleteOrderInteractorInputs {\n\n    func getAddresses() {\n        self.addresses = storageManager?.getAll(AddressModel.self)\n    }\n\n    func getCards() {\n        self.cards = storageManager?.getAll(CardModel.self)\n    }\n\n    func showAddresses() -> [AddressModel]? {\n        return addresses\n    }\n\n    func showCards() -> [CardModel]? {\n        return cards\n    }\n\n    func showTotalAndDeliveryPrice() -> (price: Double, delivery: Double)? {\n        /*\n         Подсчёт итоговой суммы:\n         1. Суммируем цены всех товаров × количество\n         2. Добавляем фиксированную стоимость доставки\n         */\n\n        var total = 0.0\n        let deliveryPrice = 5.50  // Фиксированная стоимость доставки\n\n        if let items {\n            for item in items {\n                total += item.productPrice * Double(item.count)\n            }\n        }\n\n        return (total, deliveryPrice)\n    }\n\n    func saveOrder(address: AddressModel?, card: CardModel?) {\n        /*\n         Сохранение заказа в Firebase:\n         1. Валидация данных\n         2. Сохранение адреса в коллекцию Addresses\n         3. Сохранение карты в коллекцию Cards\n         4. Создание заказа в коллекции Orders\n         5. Очистка корзины\n         6. Уведомление пользователя\n         */\n\n        guard let address = address, let card = card else {\n            presenter?.alert(title: \"\", message: GeneralError.emptyAddressOrCard.localizedDescription)\n            return\n        }\n\n        // Подготовка данных адреса\n        let addressData: [String: Any] = [\n            \"street\": address.street,\n            \"buildingNumber\": address.buildingNumber,\n            \"city\": address.city,\n            \"country\": address.country\n        ]\n        let addressRef = firestore.collection(\"Addresses\").document()\n        addressRef.setData(addressData)\n\n        // Подготовка данных карты\n        let cardData: [String: Any] = [\n            \"cardNumber\": card.cardNumber\n        ]\n        let cardRef = firestore.collection(\"Cards\").document()\n        cardRef.setData(cardData)\n\n        // Подготовка данных заказа\n        var products: [String: Int] = [:]\n        var total = 5.50  // Начинаем с доставки\n\n        if let items {\n            for item in items {\n                products[item.productTitle] = item.count\n                total += item.productPrice * Double(item.count)\n            }\n        }\n\n        let orderData: [String: Any] = [\n            \"customerName\": card.nameSurname,\n            \"userId\": address.userId ?? \"\",\n            \"address\": addressRef,  // Ссылка на документ адреса\n            \"card\": cardRef,        // Ссылка на документ карты\n            \"products\": products,\n            \"total\": total,\n            \"date\": FieldValue.serverTimestamp()  // Серверное время\n        ]\n\n        // Сохранение заказа\n        firestore.collection(\"Orders\").addDocument(data: orderData) { [weak self] error in\n            guard let self else { return }\n\n            if error != nil {\n                self.presenter?.alert(\n                    title: \"\",\n                    message: FirebaseError.addOrderFailed.localizedDescription\n                )\n            } else {\n                // Очищаем корзину после успешного заказа\n                self.clearBasket()\n\n                // Показываем сообщение об успехе\n                self.presenter?.alert(\n                    title: \"Success\",\n                    message: \"The order has been created. It will be delivered as soon as possible. Thank you.\"\n                )\n\n                // Возвращаемся на главную через 3 секунды\n                DispatchQueue.main.asyncAfter(deadline: .now() + 3) { [weak self] in\n                    self?.presenter?.orderSuccess()\n                }\n            }\n        }\n    }\n\n    // MARK: - Private Methods\n\n    private func clearBasket() {\n        // Удаляем все товары из корзины\n        if let basketItems = items {\n            for item in basketItems {\n                basketManager?.deleteBasketItem(item: item) { error in\n                    print(\"Error clearing basket: \\(error.localizedDescription)\")\n                }\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "19.4 CompleteOrderInteractor — бизнес-логика",
+                "subsection": "Схема сохранения заказа",
+                "anchor": "shema-sohraneniya-zakaza",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                  FIREBASE ORDER STRUCTURE                       │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   Firestore                                                     │\n│   ├── Addresses/                                                │\n│   │   └── {addressId}                                          │\n│   │       ├── street: \"ул. Пушкина\"                            │\n│   │       ├── buildingNumber: 10                               │\n│   │       ├── city: \"Москва\"                                   │\n│   │       └── country: \"Россия\"                                │\n│   │                                                             │\n│   ├── Cards/                                                    │\n│   │   └── {cardId}                                             │\n│   │       └── cardNumber: \"4111...1111\"                        │\n│   │                                                             │\n│   └── Orders/                                                   │\n│       └── {orderId}                                            │\n│           ├── customerName: \"Ivan Ivanov\"                      │\n│           ├── userId: \"abc123\"                                 │\n│           ├── address: Reference → Addresses/{addressId}       │\n│           ├── card: Reference → Cards/{cardId}                 │\n│           ├── products: { \"iPhone\": 2, \"Case\": 1 }            │\n│           ├── total: 2005.50                                   │\n│           └── date: Timestamp                                  │\n│                                                                 │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "19.5 CompleteOrderPresenter — связующее звено",
+                "subsection": "",
+                "anchor": "19-5-completeorderpresenter-svyazuyuschee-zveno",
+                "text": "",
+                "code": "// Modules/CompleteOrder/Base/CompleteOrderPresenter.swift\nimport Foundation\n\n// MARK: - Input Protocol\n\nprotocol CompleteOrderPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n\n    /// Количество секций в CollectionView\n    func numberOfSections() -> Int\n\n    /// Количество элементов в секции\n    func numberOfItemsInSection(section: Int) -> Int\n\n    /// Данные для ячейки\n    func cellForItemAt(indexPath: IndexPath) -> [Any]\n\n    /// Размер ячейки\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize\n\n    /// Нажатие кнопки \"Оформить заказ\"\n    func completeButtonTapped()\n\n    /// Нажатие \"Add/Update\" для карт\n    func addUpdateTappedFromCards()\n\n    /// Нажатие \"Add/Update\" для адресов\n    func addUpdateTappedFromAddresses()\n\n    /// Получить сумму и доставку\n    func showTotalAndDeliveryPrice() -> (price: Double, delivery: Double)?\n\n    /// Пользователь выбрал карту\n    func didSelectCard(cardName: String)\n\n    /// Пользователь выбрал адрес\n    func didSelectAddress(addressName: String)\n}\n\n// MARK: - Presenter\n\nfinal class CompleteOrderPresenter {\n\n    // MARK: - Properties\n\n    private weak var view: CompleteOrderViewProtocol?\n    private let interactor: CompleteOrderInteractorInputs?\n    private let router: CompleteOrderRouterProtocol?\n\n    /// Выбранная карта\n    private var selectedCard: CardModel?\n\n    /// Выбранный адрес\n    private var selectedAddress: AddressModel?\n\n    // MARK: - Init\n\n    init(\n        view: CompleteOrderViewProtocol,\n        interactor: CompleteOrderInteractorInputs,\n        router: CompleteOrderRouterProtocol\n    ) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - CompleteOrderPresenterInputs\n\nextension CompleteOrderPresenter: CompleteOrderPresenterInputs {\n\n    func viewDidLoad() {\n        view?.setNavTitle(title: \"Complete Order\")\n        view?.setBackgroundColor(color: .systemBackground)\n        view?.setTabBarVisibility()\n        view?.prepareCompleteButton()\n        view?.prepareCollectionView()\n    }\n\n    func viewWillAppear() {\n        // Обновляем данные при каждом появлении\n        interactor?.getCards()\n        interactor?.getAddresses()\n    }\n\n    func numberOfSections() -> Int {\n        /*\n         Структура CollectionView:\n         Секция 0: AddressInfoCell (выбор адреса)\n         Секция 1: CardInfoCell (выбор карты)\n         Секция 2: TotalPriceCell (итоговая сумма)\n         */\n        return 3\n    }\n\n    func numberOfItemsInSection(section: Int) -> Int {\n        return 1  // По одной ячейке в каждой секции\n    }\n\n    func cellForItemAt(indexPath: IndexPath) -> [Any] {\n        switch indexPath.section {\n        case 0:\n            return interactor?.showAddresses() ?? []\n        case 1:\n            return interactor?.showCards() ?? []\n        default:\n            return []\n        }\n    }\n\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize {\n        switch indexPath.section {\n        case 0, 1:\n            // Ячейки адреса и карты\n            return CGSize(width: UIScreenBounds.width - 32, height: 180)\n        default:\n            // Ячейка итоговой суммы\n            return CGSize(width: UIScreenBounds.width - 32, height: 100)\n        }\n    }\n\n    func showTotalAndDeliveryPrice() -> (price: Double, delivery: Double)? {\n        return interactor?.showTotalAndDeliveryPrice()\n    }\n\n    func addUpdateTappedFromCards() {\n        router?.toPaymentInfo()\n    }\n\n    func addUpdateTappedFromAddresses() {\n        router?.toAddresses()\n    }\n\n    func didSelectCard(cardName: String) {\n        // Находим карту по имени\n        let selected = interactor?.showCards()?.first { $0.cardName == cardName }\n        self.selectedCard = selected\n    }\n\n    func didSelectAddress(addressName: String) {\n        // Находим адрес по имени\n        let selected = interactor?.showAddresses()?.first { $0.name == addressName }\n        self.selectedAddress = selected\n    }\n\n    func completeButtonTapped() {\n        /*\n         Валидация перед оформлением:\n         1. Проверяем, выбраны ли адрес и карта\n         2. Проверяем, что они не пустые\n         */\n\n        guard let selectedCard = selectedCard,\n              let selectedAddress = selectedAddress,\n              !selectedAddress.name.isEmpty,\n              !selectedCard.cardName.isEmpty else {\n            view?.presentAlert(\n                title: \"\",\n                message: GeneralError.emptyAddressOrCard.localizedDescription\n            )\n            return\n        }\n\n        interactor?.saveOrder(address: selectedAddress, card: selectedCard)\n    }\n}\n\n// MARK: - CompleteOrderInteractorOutputs\n\nextension CompleteOrderPresenter: CompleteOrderInteractorOutputs {\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n\n    func alert(title: String, message: String) {\n        view?.presentAlert(title: title, message: message)\n    }\n\n    func orderSuccess() {\n        router?.toHome()\n    }\n}"
+            },
+            {
+                "section": "19.6 CompleteOrderViewController — отображение",
+                "subsection": "",
+                "anchor": "19-6-completeorderviewcontroller-otobrazhenie",
+                "text": "",
+                "code": "// Modules/CompleteOrder/Base/CompleteOrderViewController.swift\nimport UIKit\n\n// MARK: - View Protocol\n\nprotocol CompleteOrderViewProtocol: AnyObject {\n    func setNavTitle(title: String)\n    func setBackgroundColor(color: UIColor)\n    func setTabBarVisibility()\n    func prepareCollectionView()\n    func prepareCompleteButton()\n    func dataRefreshed()\n    func presentAlert(title: String, message: String)\n}\n\n// MARK: - ViewController\n\nfinal class CompleteOrderViewController: UIViewController {\n\n    // MARK: - UI Components\n\n    private lazy var completeOrderCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        let collectionView = UICollectionView(\n            frame: .zero,\n            collectionViewLayout: layout\n        )\n        collectionView.delegate = self\n        collectionView.dataSource = self\n\n        // Регистрируем ячейки\n        collectionView.register(\n            AddressInfoCell.self,\n            forCellWithReuseIdentifier: AddressInfoCell.identifier\n        )\n        collectionView.register(\n            CardInfoCell.self,\n            forCellWithReuseIdentifier: CardInfoCell.identifier\n        )\n        collectionView.register(\n            TotalPriceCell.self,\n            forCellWithReuseIdentifier: TotalPriceCell.identifier\n        )\n\n        return collectionView\n    }()\n\n    private lazy var completeOrderButton: UIButton = {\n        let button = UIButton()\n        button.backgroundColor = .label\n        button.setTitleColor(.systemBackground, for: .normal)\n        button.layer.cornerRadius = 8\n        button.setTitle(\"Complete Order\", for: .normal)\n        button.titleLabel?.font = .systemFont(ofSize: 18, weight: .semibold)\n        button.addTarget(\n            self,\n            action: #selector(completeButtonTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    // MARK: - Properties\n\n    var presenter: CompleteOrderPresenterInputs!\n\n    // MARK: - Lifecycle\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n\n    // MARK: - Actions\n\n    @objc private func completeButtonTapped() {\n        presenter.completeButtonTapped()\n    }\n}\n\n// MARK: - CompleteOrderViewProtocol\n\nextension CompleteOrderViewController: CompleteOrderViewProtocol {\n\n    func setNavTitle(title: String) {\n        self.title = title\n    }\n\n    func setBackgroundColor(color: UIColor) {\n        view.backgroundColor = color\n    }\n\n    func setTabBarVisibility() {\n        tabBarController?.tabBar.isHidden = true\n    }\n\n    func prepareCollectionView() {\n        view.addSubview(completeOrderCollectionView)\n        completeOrderCollectionView.backgroundColor = .systemGray6\n\n        completeOrderCollectionView.snp.makeConstraints { make in\n            make.top.left.right.equalToSuperview()\n            make.bottom.equalTo(completeOrderButton.snp.top).offset(-16)\n        }\n    }\n\n    func prepareCompleteButton() {\n        view.addSubview(completeOrderButton)\n\n        completeOrderButton.snp.makeConstraints { make in\n            make.left.equalToSuperview().offset(16)\n            make.right.equalToSuperview().inset(16)\n            make.height.equalTo(60)\n            make.bottom.equalTo(view.safeAreaLayoutGuide.snp.bottom).offset(-20)\n        }\n    }\n\n    func dataRefreshed() {\n        completeOrderCollectionView.reloadData()\n    }\n\n    func presentAlert(title: String, message: String) {\n        showAlert(title: title, message: message)\n    }\n}\n\n// MARK: - CardInfoCellDelegate\n\nextension CompleteOrderViewController: CardInfoCellDelegate {\n\n    func addUpdateTapped() {\n        presenter.addUpdateTappedFromCards()\n    }\n\n    func didSelectCard(cardName: String) {\n        presenter.didSelectCard(cardName: cardName)\n    }\n}\n\n// MARK: - AddressInfoCellDelegate\n\nextension CompleteOrderViewController: AddressInfoCellDelegate {\n\n    func addUpdateTappedFromAddress() {\n        presenter.addUpdateTappedFromAddresses()\n    }\n\n    func didSelectAddress(addressName: String) {\n        presenter.didSelectAddress(addressName: addressName)\n    }\n}\n\n// MARK: - UICollectionViewDelegate & DataSource\n\nextension CompleteOrderViewController: UICollectionViewDelegate,\n                                       UICollectionViewDataSource,\n                                       UICollectionViewDelegateFlowLayout {\n\n    func numberOfSections(in collectionView: UICollectionView) -> Int {\n        return presenter.numberOfSections()\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        numberOfItemsInSection section: Int\n    ) -> Int {\n        return presenter.numberOfItemsInSection(section: section)\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        cellForItemAt indexPath: IndexPath\n    ) -> UICollectionViewCell {\n\n        switch indexPath.section {\n        case 0:\n            // Ячейка выбора адреса\n            guard let cell = collectionView.dequeueReusableCell(\n                withReuseIdentifier: AddressInfoCell.identifier,\n                for: indexPath\n            ) as? AddressInfoCell else {\n                return UICollectionViewCell()\n            }\n\n            cell.backgroundColor = .systemBackground\n            cell.layer.cornerRadius = 8\n            cell.layer.shadowOpacity = 0.2\n            cell.delegate = self\n            cell.showAddres(\n                addresses: presenter.cellForItemAt(indexPath: indexPath) as? [AddressModel]\n            )\n\n            return cell\n\n        case 1:\n            // Ячейка выбора карты\n            guard let cell = collectionView.dequeueReusableCell(\n                withReuseIdentifier: CardInfoCell.identifier,\n                for: indexPath\n            ) as? CardInfoCell else {\n                return UICollectionViewCell()\n            }\n\n            cell.backgroundColor = .systemBackground\n            cell.layer.cornerRadius = 8\n            cell.layer.shadowOpacity = 0.2\n            cell.delegate = self\n            cell.showCards(\n                cards: presenter.cellForItemAt(indexPath: indexPath) as? [CardModel]\n            )\n\n            return cell\n\n        default:\n            // Ячейка итоговой суммы\n            guard let cell = collectionView.dequeueReusableCell(\n                withReuseIdentifier: TotalPriceCell.identifier,\n                for: indexPath\n            ) as? TotalPriceCell else {\n                return UICollectionViewCell()\n            }\n\n            cell.backgroundColor = .systemBackground\n            cell.layer.cornerRadius = 8\n            cell.layer.shadowOpacity = 0.2\n            cell.showModel(model: presenter.showTotalAndDeliveryPrice())\n\n            return cell\n        }\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        layout collectionViewLayout: UICollectionViewLayout,\n        sizeForItemAt indexPath: IndexPath\n    ) -> CGSize {\n        return presenter.sizeForItemAt(indexPath: indexPath)\n    }\n\n    func collectionView(\n        _ collectionView: UICollectionView,\n        layout collectionViewLayout: UICollectionViewLayout,\n        insetForSectionAt section: Int\n    ) -> UIEdgeInsets {\n        return UIEdgeInsets(top: 16, left: 16, bottom: 0, right: 16)\n    }\n}"
+            },
+            {
+                "section": "19.6 CompleteOrderViewController — отображение",
+                "subsection": "Визуализация экрана CompleteOrder",
+                "anchor": "vizualizatsiya-ekrana-completeorder",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────┐\n│          Complete Order                      │\n├─────────────────────────────────────────────┤\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │  Delivery Address      [Add/Update] │   │\n│  │  ┌─────────────────────────────┐   │   │\n│  │  │ Select delivery address  ▼  │   │   │\n│  │  └─────────────────────────────┘   │   │\n│  │  • Дом                              │   │\n│  │  • Работа                           │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │  Card Information      [Add/Update] │   │\n│  │  ┌─────────────────────────────┐   │   │\n│  │  │ Select your card         ▼  │   │   │\n│  │  └─────────────────────────────┘   │   │\n│  │  • Visa Основная                    │   │\n│  │  • MasterCard                       │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │  Delivery              $5.50        │   │\n│  │  Basket               $999.99       │   │\n│  │  Total              $1005.49        │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n│  ┌─────────────────────────────────────┐   │\n│  │         Complete Order              │   │\n│  └─────────────────────────────────────┘   │\n│                                             │\n└─────────────────────────────────────────────┘"
+            },
+            {
+                "section": "19.7 AddressInfoCell — выбор адреса",
+                "subsection": "",
+                "anchor": "19-7-addressinfocell-vybor-adresa",
+                "text": "",
+                "code": "// Modules/CompleteOrder/UIComponents/Cells/AddressInfoCell.swift\nimport UIKit\n\n// MARK: - Delegate Protocol\n\nprotocol AddressInfoCellDelegate: AnyObject {\n    func addUpdateTappedFromAddress()\n    func didSelectAddress(addressName: String)\n}\n\n// MARK: - Cell\n\nfinal class AddressInfoCell: UICollectionViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"AddressInfoCell\"\n\n    // MARK: - UI Components\n\n    private lazy var deliveryAddressLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Delivery Address\"\n        label.font = .boldSystemFont(ofSize: 20)\n        return label\n    }()\n\n    private lazy var addUpdateAddressButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"Add / Update\", for: .normal)\n        button.setTitleColor(.label, for: .normal)\n        button.addTarget(\n            self,\n            action: #selector(addUpdateTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    /// Выпадающий список адресов\n    private lazy var dropDownButton: UIDropDown = {\n        let drop = UIDropDown(\n            frame: CGRect(x: 0, y: 0, width: frame.width - 16, height: 30)\n        )\n        drop.center = CGPoint(x: frame.midX - 16, y: frame.midY - 20)\n        drop.placeholder = \"Select delivery address\"\n        drop.didSelect { [weak self] addressName, _ in\n            self?.delegate?.didSelectAddress(addressName: addressName)\n        }\n        return drop\n    }()\n\n    // MARK: - Properties\n\n    weak var delegate: AddressInfoCellDelegate?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(deliveryAddressLabel)\n        contentView.addSubview(addUpdateAddressButton)\n        addSubview(dropDownButton)\n\n        deliveryAddressLabel.snp.makeConstraints { make in\n            make.top.equalToSuperview().offset(8)\n            make.left.equalToSuperview().offset(8)\n        }\n\n        addUpdateAddressButton.snp.makeConstraints { make in\n            make.centerY.equalTo(deliveryAddressLabel)\n            make.right.equalToSuperview().inset(8)\n        }\n    }\n\n    // MARK: - Actions\n\n    @objc private func addUpdateTapped() {\n        delegate?.addUpdateTappedFromAddress()\n\n        // Сбрасываем выбор\n        dropDownButton.options = []\n        dropDownButton.placeholder = \"Select delivery address\"\n        delegate?.didSelectAddress(addressName: \"\")\n    }\n\n    // MARK: - Configure\n\n    func showAddres(addresses: [AddressModel]?) {\n        dropDownButton.options = []\n\n        if let addresses {\n            for address in addresses {\n                dropDownButton.options.append(address.name)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "19.8 CardInfoCell — выбор карты",
+                "subsection": "",
+                "anchor": "19-8-cardinfocell-vybor-karty",
+                "text": "",
+                "code": "// Modules/CompleteOrder/UIComponents/Cells/CardInfoCell.swift\nimport UIKit\n\n// MARK: - Delegate Protocol\n\nprotocol CardInfoCellDelegate: AnyObject {\n    func addUpdateTapped()\n    func didSelectCard(cardName: String)\n}\n\n// MARK: - Cell\n\nfinal class CardInfoCell: UICollectionViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"CardInfoCell\"\n\n    // MARK: - UI Components\n\n    private lazy var cardInfoLabel: UILabel = {\n        let label = UILabel()\n        label.text = \"Card Information\"\n        label.font = .boldSystemFont(ofSize: 20)\n        return label\n    }()\n\n    private lazy var addUpdateCardButton: UIButton = {\n        let button = UIButton()\n        button.setTitle(\"Add / Update\", for: .normal)\n        button.setTitleColor(.label, for: .normal)\n        button.addTarget(\n            self,\n            action: #selector(addUpdateTapped),\n            for: .touchUpInside\n        )\n        return button\n    }()\n\n    /// Выпадающий список карт\n    private lazy var dropDownButton: UIDropDown = {\n        let drop = UIDropDown(\n            frame: CGRect(x: 0, y: 0, width: frame.width - 16, height: 30)\n        )\n        drop.center = CGPoint(\n            x: contentView.frame.midX,\n            y: contentView.frame.midY - 20\n        )\n        drop.placeholder = \"Select your card\"\n        drop.didSelect { [weak self] cardName, _ in\n            self?.delegate?.didSelectCard(cardName: cardName)\n        }\n        return drop\n    }()\n\n    // MARK: - Properties\n\n    weak var delegate: CardInfoCellDelegate?\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(cardInfoLabel)\n        contentView.addSubview(addUpdateCardButton)\n        contentView.addSubview(dropDownButton)\n\n        cardInfoLabel.snp.makeConstraints { make in\n            make.top.equalToSuperview().offset(8)\n            make.left.equalToSuperview().offset(8)\n        }\n\n        addUpdateCardButton.snp.makeConstraints { make in\n            make.centerY.equalTo(cardInfoLabel)\n            make.right.equalToSuperview().inset(8)\n        }\n    }\n\n    // MARK: - Actions\n\n    @objc private func addUpdateTapped() {\n        delegate?.addUpdateTapped()\n\n        // Сбрасываем выбор\n        dropDownButton.options = []\n        dropDownButton.placeholder = \"Select your card\"\n        delegate?.didSelectCard(cardName: \"\")\n    }\n\n    // MARK: - Configure\n\n    func showCards(cards: [CardModel]?) {\n        dropDownButton.options = []\n\n        if let cards {\n            for card in cards {\n                dropDownButton.options.append(card.cardName)\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "19.9 TotalPriceCell — итоговая сумма",
+                "subsection": "",
+                "anchor": "19-9-totalpricecell-itogovaya-summa",
+                "text": "",
+                "code": "// Modules/CompleteOrder/UIComponents/Cells/TotalPriceCell.swift\nimport UIKit\n\nfinal class TotalPriceCell: UICollectionViewCell {\n\n    // MARK: - Identifier\n\n    static let identifier = \"TotalPriceCell\"\n\n    // MARK: - UI Components\n\n    private lazy var deliveryLabel: UILabel = {\n        let label = UILabel()\n        label.font = .boldSystemFont(ofSize: 16)\n        label.textColor = .label\n        label.text = \"Delivery\"\n        return label\n    }()\n\n    private lazy var basketLabel: UILabel = {\n        let label = UILabel()\n        label.font = .boldSystemFont(ofSize: 16)\n        label.textColor = .label\n        label.text = \"Basket\"\n        return label\n    }()\n\n    private lazy var deliveryPriceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .boldSystemFont(ofSize: 16)\n        label.textColor = .label\n        return label\n    }()\n\n    private lazy var basketPriceLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .boldSystemFont(ofSize: 16)\n        return label\n    }()\n\n    private lazy var totalLabel: UILabel = {\n        let label = UILabel()\n        label.font = .boldSystemFont(ofSize: 16)\n        label.textColor = .label\n        label.text = \"Total\"\n        return label\n    }()\n\n    private lazy var totalPriceLabel: UILabel = {\n        let label = UILabel()\n        label.font = .boldSystemFont(ofSize: 16)\n        label.textColor = .label\n        return label\n    }()\n\n    // MARK: - Init\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    // MARK: - Setup\n\n    private func setupConstraints() {\n        addSubview(deliveryLabel)\n        addSubview(basketLabel)\n        addSubview(deliveryPriceLabel)\n        addSubview(basketPriceLabel)\n        addSubview(totalLabel)\n        addSubview(totalPriceLabel)\n\n        deliveryLabel.snp.makeConstraints { make in\n            make.top.equalToSuperview().offset(16)\n            make.left.equalToSuperview().offset(16)\n        }\n\n        deliveryPriceLabel.snp.makeConstraints { make in\n            make.centerY.equalTo(deliveryLabel)\n            make.right.equalToSuperview().inset(16)\n        }\n\n        basketLabel.snp.makeConstraints { make in\n            make.top.equalTo(deliveryLabel.snp.bottom).offset(8)\n            make.left.equalTo(deliveryLabel)\n        }\n\n        basketPriceLabel.snp.makeConstraints { make in\n            make.centerY.equalTo(basketLabel)\n            make.right.equalTo(deliveryPriceLabel)\n        }\n\n        totalLabel.snp.makeConstraints { make in\n            make.top.equalTo(basketLabel.snp.bottom).offset(8)\n            make.left.equalTo(basketLabel)\n        }\n\n        totalPriceLabel.snp.makeConstraints { make in\n            make.centerY.equalTo(totalLabel)\n            make.right.equalTo(basketPriceLabel)\n        }\n    }\n\n    // MARK: - Configure\n\n    func showModel(model: (price: Double, delivery: Double)?) {\n        guard let model else { return }\n\n        let formattedPrice = String(format: \"%.2f\", model.price)\n        let formattedDelivery = String(format: \"%.2f\", model.delivery)\n\n        basketPriceLabel.text = \"$\" + formattedPrice\n        deliveryPriceLabel.text = \"$\" + formattedDelivery\n\n        let total = model.price + model.delivery\n        let formattedTotal = String(format: \"%.2f\", total)\n        totalPriceLabel.text = \"$\" + formattedTotal\n    }\n}"
+            },
+            {
+                "section": "19.10 Добавление ошибки в GeneralError",
+                "subsection": "",
+                "anchor": "19-10-dobavlenie-oshibki-v-generalerror",
+                "text": "",
+                "code": "// Entities/Enums/GeneralError.swift\n\nenum GeneralError: LocalizedError {\n    case emptyBasketError\n    case emptyAddressOrCard\n    case unknown\n\n    var errorDescription: String? {\n        switch self {\n        case .emptyBasketError:\n            return \"Your basket is empty. Add some products first.\"\n        case .emptyAddressOrCard:\n            return \"Please select both delivery address and payment card.\"\n        case .unknown:\n            return \"An unknown error occurred.\"\n        }\n    }\n}"
+            },
+            {
+                "section": "19.11 Полная схема взаимодействия",
+                "subsection": "",
+                "anchor": "19-11-polnaya-shema-vzaimodeystviya",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                   COMPLETE ORDER MODULE FLOW                            │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                         │\n│   BasketVC ─────► CompleteOrderVC                                       │\n│                         │                                               │\n│   ┌─────────────────────┴─────────────────────┐                        │\n│   │                                           │                        │\n│   ▼                                           ▼                        │\n│   AddressInfoCell                       CardInfoCell                   │\n│   │                                           │                        │\n│   │ [Add/Update]                             │ [Add/Update]            │\n│   ▼                                           ▼                        │\n│   AddressesModule                       PaymentInfoModule              │\n│   │                                           │                        │\n│   │ (add new address)                        │ (add new card)          │\n│   ▼                                           ▼                        │\n│   ◄───────── viewWillAppear() ──────────────────┘                      │\n│                         │                                               │\n│                         │ [Complete Order]                              │\n│                         ▼                                               │\n│               CompleteOrderInteractor                                   │\n│                         │                                               │\n│   ┌─────────────────────┼─────────────────────┐                        │\n│   │                     │                     │                        │\n│   ▼                     ▼                     ▼                        │\n│   Save Address    Save Card           Save Order                       │\n│   to Firebase     to Firebase         to Firebase                      │\n│                         │                                               │\n│                         │ Clear Basket                                  │\n│                         │                                               │\n│                         ▼                                               │\n│               Show Success Alert                                        │\n│                         │                                               │\n│                         │ (after 3 sec)                                 │\n│                         ▼                                               │\n│               router.toHome()                                           │\n│                                                                         │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "19.12 Итоги главы",
+                "subsection": "",
+                "anchor": "19-12-itogi-glavy",
+                "text": "В этой главе мы создали модуль оформления заказа:",
+                "code": ""
+            },
+            {
+                "section": "19.12 Итоги главы",
+                "subsection": "Компоненты модуля:",
+                "anchor": "komponenty-modulya",
+                "text": "Компонент Ответственность AddressModelRealm-модель адреса доставки CardModelRealm-модель банковской карты CompleteOrderRouterСоздание модуля, навигация CompleteOrderInteractorРабота с Realm и Firebase CompleteOrderPresenterСвязь View-Interactor CompleteOrderViewControllerCollectionView с секциями AddressInfoCellВыбор адреса из списка CardInfoCellВыбор карты из списка TotalPriceCellОтображение итоговой суммы",
+                "code": ""
+            },
+            {
+                "section": "19.12 Итоги главы",
+                "subsection": "Ключевые паттерны:",
+                "anchor": "klyuchevye-patterny",
+                "text": "",
+                "code": "┌────────────────────────────────────────────────────────────────┐\n│                  ИЗУЧЕННЫЕ КОНЦЕПЦИИ                           │\n├────────────────────────────────────────────────────────────────┤\n│                                                                │\n│  ✅ Firebase References (ссылки между документами)             │\n│  ✅ FieldValue.serverTimestamp() (серверное время)             │\n│  ✅ UICollectionView с несколькими секциями                    │\n│  ✅ Delegate pattern для ячеек                                 │\n│  ✅ UIDropDown для выбора из списка                            │\n│  ✅ Валидация данных перед сохранением                         │\n│  ✅ Очистка данных после успешной операции                     │\n│                                                                │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Следующая глава",
+                "subsection": "",
+                "anchor": "sleduyuschaya-glava",
+                "text": "В Главе 20 мы завершим приложение: создадим профиль пользователя, настройки и подготовим приложение к публикации.",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/20-profile.html",
+        "chapter": "Глава 20",
+        "title": "Профиль пользователя и завершение приложения",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В финальной главе мы создадим: Модуль профиля пользователя (Profile VIPER) Управление адресами доставки (Addresses VIPER) Управление платёжными картами (PaymentInfo VIPER) Историю заказов (OrderHistory) Выход из аккаунта",
+                "code": "┌─────────────────────────────────────────────────────────────────────┐\n│                         PROFILE MODULE                               │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│    ┌─────────────────────────────────────┐                          │\n│    │         UserInfoView                │                          │\n│    │   ┌─────────────────────────────┐   │                          │\n│    │   │      [Profile Photo]        │   │                          │\n│    │   │         140x140             │   │                          │\n│    │   └─────────────────────────────┘   │                          │\n│    │         user@email.com              │                          │\n│    └─────────────────────────────────────┘                          │\n│                                                                      │\n│    ┌─────────────────────────────────────┐                          │\n│    │  🗺️  Address Information        >   │ → AddressesModule        │\n│    ├─────────────────────────────────────┤                          │\n│    │  💳  Payment Information        >   │ → PaymentInfoModule      │\n│    ├─────────────────────────────────────┤                          │\n│    │  📦  Order History              >   │ → OrderHistoryModule     │\n│    ├─────────────────────────────────────┤                          │\n│    │  🔌  Sign Out                       │ → LoginModule            │\n│    └─────────────────────────────────────┘                          │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.1 Entity-слой: Модели профиля",
+                "subsection": "CurrentUserModel — данные пользователя",
+                "anchor": "currentusermodel-dannye-polzovatelya",
+                "text": "Анализ: profileImageURLString — URL фото профиля из Firebase Auth (может быть nil) userEmail — email текущего пользователя Equatable — позволяет сравнивать модели (полезно для тестирования)",
+                "code": "// Entities/Models/CurrentUserModel.swift\nimport Foundation\nimport UIKit.UIImage\n\nstruct CurrentUserModel: Equatable {\n    let profileImageURLString: String?\n    let userEmail: String?\n}"
+            },
+            {
+                "section": "20.1 Entity-слой: Модели профиля",
+                "subsection": "ProfileRowItem — элементы меню профиля",
+                "anchor": "profilerowitem-elementy-menyu-profilya",
+                "text": "Почему enum с computed properties: Каждый case — пункт меню профиля title — текст для отображения image — SF Symbol иконка Централизованное управление UI элементами",
+                "code": "// Entities/Enums/ProfileRowItem.swift\nimport Foundation\nimport UIKit.UIImage\n\nenum ProfileRowItem {\n    case address\n    case payment\n    case orderHistory\n    case signOut\n\n    var title: String {\n        switch self {\n        case .address:\n            return \"Address Information\"\n        case .payment:\n            return \"Payment Information\"\n        case .orderHistory:\n            return \"Order History\"\n        case .signOut:\n            return \"Sign Out\"\n        }\n    }\n\n    var image: UIImage? {\n        switch self {\n        case .address:\n            return UIImage(systemName: \"map\")\n        case .payment:\n            return UIImage(systemName: \"creditcard\")\n        case .orderHistory:\n            return UIImage(systemName: \"wallet.pass\")\n        case .signOut:\n            return UIImage(systemName: \"power\")\n        }\n    }\n}"
+            },
+            {
+                "section": "20.1 Entity-слой: Модели профиля",
+                "subsection": "ProfileRowItemModel — обёртка для элемента",
+                "anchor": "profilerowitemmodel-obertka-dlya-elementa",
+                "text": "Зачем нужна обёртка: Позволяет добавить дополнительные свойства в будущем Отделяет enum от модели данных Упрощает работу с коллекциями",
+                "code": "// Entities/Models/ProfileRowItemModel.swift\nimport Foundation\nimport UIKit.UIImage\n\nstruct ProfileRowItemModel {\n    let item: ProfileRowItem\n}"
+            },
+            {
+                "section": "20.2 UserInfoManager — менеджер данных пользователя",
+                "subsection": "",
+                "anchor": "20-2-userinfomanager-menedzher-dannyh-polzovatelya",
+                "text": "Как это работает: Ключевые моменты: Auth.auth().currentUser — текущий авторизованный пользователь photoURL — URL фото (заполняется при Google/Apple Sign-In) uid — уникальный идентификатор для фильтрации данных",
+                "code": "// Managers/UserInfoManager/UserInfoManager.swift\nimport Foundation\nimport GoogleSignIn\nimport FirebaseAuth\n\nprotocol UserInfoManagerProtocol {\n    func getUserProfilePictureAndEmail(completion: @escaping (_ photo: String?, _ email: String?) -> Void)\n    func getUserUid() -> String?\n}\n\nfinal class UserInfoManager: UserInfoManagerProtocol {\n\n    func getUserProfilePictureAndEmail(completion: @escaping (_ photo: String?, _ email: String?) -> Void) {\n        if let currentUser = Auth.auth().currentUser {\n            let profileImageURL = currentUser.photoURL\n            completion(profileImageURL?.absoluteString, currentUser.email)\n        } else {\n            completion(nil, nil)\n        }\n    }\n\n    func getUserUid() -> String? {\n        return Auth.auth().currentUser?.uid\n    }\n}\n┌──────────────────────────────────────────────────────────────────┐\n│                     UserInfoManager                               │\n├──────────────────────────────────────────────────────────────────┤\n│                                                                   │\n│   getUserProfilePictureAndEmail()                                 │\n│   ┌─────────────────────────────────────────────────────────┐    │\n│   │  Auth.auth().currentUser                                 │    │\n│   │       ↓                                                  │    │\n│   │  ┌─────────────────────────────────────────────────┐    │    │\n│   │  │  Firebase User Object                           │    │    │\n│   │  │  ├── photoURL: URL? (Google/Apple photo)        │    │    │\n│   │  │  ├── email: String?                             │    │    │\n│   │  │  └── uid: String                                │    │    │\n│   │  └─────────────────────────────────────────────────┘    │    │\n│   │       ↓                                                  │    │\n│   │  completion(photoURL?.absoluteString, email)             │    │\n│   └─────────────────────────────────────────────────────────┘    │\n│                                                                   │\n│   getUserUid()                                                    │\n│   ┌─────────────────────────────────────────────────────────┐    │\n│   │  return Auth.auth().currentUser?.uid                     │    │\n│   │  (используется для фильтрации данных по пользователю)    │    │\n│   └─────────────────────────────────────────────────────────┘    │\n│                                                                   │\n└──────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.3 Profile VIPER Module",
+                "subsection": "ProfileRouter — точка входа и навигация",
+                "anchor": "profilerouter-tochka-vhoda-i-navigatsiya",
+                "text": "Диаграмма навигации: Особенность toLogin(): Не делает push, а меняет root окна Полностью сбрасывает navigation stack Пользователь не может вернуться назад",
+                "code": "// Modules/Profile/Base/ProfileRouter.swift\nimport Foundation\nimport UIKit.UIViewController\n\nprotocol ProfileRouterProtocol {\n    func toLogin()\n    func toAddresses()\n    func toPaymentInfo()\n    func toOrderHistory()\n}\n\nfinal class ProfileRouter {\n\n    private weak var view: UIViewController?\n    private let windowManager: RootWindowManagerProtocol?\n\n    init(view: UIViewController, windowManager: RootWindowManagerProtocol) {\n        self.view = view\n        self.windowManager = windowManager\n    }\n\n    static func startProfileModule() -> UIViewController {\n        let view = ProfileViewController()\n        let router = ProfileRouter(view: view, windowManager: RootWindowManager.shared)\n        let interactor = ProfileInteractor(userInfoManager: UserInfoManager(), authManager: AuthManager())\n        let presenter = ProfilePresenter(view: view, interactor: interactor, router: router)\n\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\nextension ProfileRouter: ProfileRouterProtocol {\n\n    func toLogin() {\n        let loginModule = UINavigationController(rootViewController: LoginRouter.startLogin())\n        windowManager?.changeRootViewController(loginModule, animated: true)\n    }\n\n    func toAddresses() {\n        let addressesModule = AddressesRouter.startAddressesModule()\n        self.view?.navigationController?.pushViewController(addressesModule, animated: true)\n    }\n\n    func toPaymentInfo() {\n        let paymentInfoModule = PaymentInfoRouter.startPaymentInfoModule()\n        self.view?.navigationController?.pushViewController(paymentInfoModule, animated: true)\n    }\n\n    func toOrderHistory() {\n        let orderHistoryVC = OrderHistoryViewController()\n        self.view?.navigationController?.pushViewController(orderHistoryVC, animated: true)\n    }\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│                      ProfileRouter Navigation                        │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│   ProfileViewController                                              │\n│          │                                                           │\n│          ├── toAddresses() ──────→ AddressesViewController           │\n│          │                              │                            │\n│          │                              └── AddAddressViewController │\n│          │                                                           │\n│          ├── toPaymentInfo() ────→ PaymentInfoViewController         │\n│          │                              │                            │\n│          │                              └── AddCardViewController    │\n│          │                                                           │\n│          ├── toOrderHistory() ───→ OrderHistoryViewController        │\n│          │                                                           │\n│          └── toLogin() ─────────→ ❌ CHANGE ROOT WINDOW              │\n│                                        │                             │\n│                                        ↓                             │\n│                                   LoginViewController                │\n│                                   (новый root controller)            │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.3 Profile VIPER Module",
+                "subsection": "ProfileInteractor — бизнес-логика",
+                "anchor": "profileinteractor-biznes-logika",
+                "text": "Поток данных:",
+                "code": "// Modules/Profile/Base/ProfileInteractor.swift\nimport Foundation\n\nprotocol ProfileInteractorInputs {\n    func getUserInfos()\n    func showItems() -> [ProfileRowItemModel]\n    func signOutAction()\n}\n\nprotocol ProfileInteractorOutputs: AnyObject {\n    func showUserInfo(model: CurrentUserModel?)\n    func startLoading()\n    func endLoading()\n    func signOutCompleted()\n    func onError(message: String)\n}\n\nfinal class ProfileInteractor {\n\n    weak var presenter: ProfileInteractorOutputs?\n    private let userInfoManager: UserInfoManagerProtocol?\n    private let authManager: AuthManagerProtocol?\n\n    private let rowItems: [ProfileRowItemModel] = [\n        .init(item: .address),\n        .init(item: .payment),\n        .init(item: .orderHistory),\n        .init(item: .signOut)\n    ]\n\n    init(userInfoManager: UserInfoManagerProtocol, authManager: AuthManagerProtocol) {\n        self.userInfoManager = userInfoManager\n        self.authManager = authManager\n    }\n}\n\n// MARK: - Interactor Inputs\nextension ProfileInteractor: ProfileInteractorInputs {\n\n    func getUserInfos() {\n        userInfoManager?.getUserProfilePictureAndEmail(completion: { [weak self] photo, email in\n            guard let self else { return }\n            let model: CurrentUserModel = .init(profileImageURLString: photo, userEmail: email)\n            presenter?.showUserInfo(model: model)\n        })\n    }\n\n    func showItems() -> [ProfileRowItemModel] {\n        return self.rowItems\n    }\n\n    func signOutAction() {\n        presenter?.startLoading()\n        authManager?.signOut { [weak self] result in\n            guard let self else { return }\n            presenter?.endLoading()\n\n            switch result {\n            case .success(_):\n                presenter?.signOutCompleted()\n            case .failure(let error):\n                presenter?.onError(message: error.localizedDescription)\n            }\n        }\n    }\n}\n┌──────────────────────────────────────────────────────────────────────┐\n│                      ProfileInteractor Flow                           │\n├──────────────────────────────────────────────────────────────────────┤\n│                                                                       │\n│   getUserInfos()                                                      │\n│   ┌─────────────────────────────────────────────────────────────┐    │\n│   │  userInfoManager.getUserProfilePictureAndEmail()             │    │\n│   │           ↓                                                  │    │\n│   │  completion(photo, email)                                    │    │\n│   │           ↓                                                  │    │\n│   │  CurrentUserModel(profileImageURLString: photo,              │    │\n│   │                   userEmail: email)                          │    │\n│   │           ↓                                                  │    │\n│   │  presenter?.showUserInfo(model: model)                       │    │\n│   └─────────────────────────────────────────────────────────────┘    │\n│                                                                       │\n│   signOutAction()                                                     │\n│   ┌─────────────────────────────────────────────────────────────┐    │\n│   │  presenter?.startLoading()                                   │    │\n│   │           ↓                                                  │    │\n│   │  authManager?.signOut { result in                            │    │\n│   │       switch result {                                        │    │\n│   │       case .success:                                         │    │\n│   │           presenter?.signOutCompleted()  ─→ Router.toLogin() │    │\n│   │       case .failure(error):                                  │    │\n│   │           presenter?.onError(message)                        │    │\n│   │       }                                                      │    │\n│   │  }                                                           │    │\n│   │  presenter?.endLoading()                                     │    │\n│   └─────────────────────────────────────────────────────────────┘    │\n│                                                                       │\n└──────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.3 Profile VIPER Module",
+                "subsection": "ProfilePresenter — координатор",
+                "anchor": "profilepresenter-koordinator",
+                "text": "Обработка выбора пункта меню:",
+                "code": "// Modules/Profile/Base/ProfilePresenter.swift\nimport Foundation\n\nprotocol ProfilePresenterInputs {\n    func viewDidLoad()\n    func numberOfRowsInSection() -> Int\n    func cellForRowAt(indexPath: IndexPath) -> ProfileRowItemModel?\n    func heightForRowAt(indexPath: IndexPath) -> CGFloat\n    func didSelectRowAt(indexPath: IndexPath)\n}\n\nfinal class ProfilePresenter {\n\n    private weak var view: ProfileViewProtocol?\n    private let interactor: ProfileInteractorInputs?\n    private let router: ProfileRouterProtocol?\n\n    init(view: ProfileViewProtocol, interactor: ProfileInteractorInputs, router: ProfileRouterProtocol) {\n        self.view = view\n        self.interactor = interactor\n        self.router = router\n    }\n}\n\n// MARK: - Presenter Inputs\nextension ProfilePresenter: ProfilePresenterInputs {\n\n    func viewDidLoad() {\n        view?.setNavTitle(title: \"My Profile\")\n        view?.setBackgroundColor()\n        view?.prepareUserInfoView()\n        view?.prepareTableView()\n        interactor?.getUserInfos()\n    }\n\n    func numberOfRowsInSection() -> Int {\n        return interactor?.showItems().count ?? 0\n    }\n\n    func cellForRowAt(indexPath: IndexPath) -> ProfileRowItemModel? {\n        return interactor?.showItems()[indexPath.row]\n    }\n\n    func heightForRowAt(indexPath: IndexPath) -> CGFloat {\n        return 60\n    }\n\n    func didSelectRowAt(indexPath: IndexPath) {\n        let selectedItem = interactor?.showItems()[indexPath.row]\n\n        switch selectedItem?.item {\n        case .address:\n            router?.toAddresses()\n        case .payment:\n            router?.toPaymentInfo()\n        case .orderHistory:\n            router?.toOrderHistory()\n        case .signOut:\n            interactor?.signOutAction()\n        default:\n            break\n        }\n    }\n}\n\n// MARK: - Interactor to Presenter\nextension ProfilePresenter: ProfileInteractorOutputs {\n\n    func showUserInfo(model: CurrentUserModel?) {\n        view?.showCurrentUserInfo(model: model)\n    }\n\n    func startLoading() {\n        view?.startLoading()\n    }\n\n    func endLoading() {\n        view?.endLoading()\n    }\n\n    func signOutCompleted() {\n        router?.toLogin()\n    }\n\n    func onError(message: String) {\n        view?.onError(message: message)\n    }\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                didSelectRowAt() Switch Logic                     │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   selectedItem?.item                                             │\n│        │                                                         │\n│        ├── .address ─────────→ router?.toAddresses()             │\n│        │                       (push AddressesViewController)    │\n│        │                                                         │\n│        ├── .payment ─────────→ router?.toPaymentInfo()           │\n│        │                       (push PaymentInfoViewController)  │\n│        │                                                         │\n│        ├── .orderHistory ────→ router?.toOrderHistory()          │\n│        │                       (push OrderHistoryViewController) │\n│        │                                                         │\n│        └── .signOut ─────────→ interactor?.signOutAction()       │\n│                                     │                            │\n│                                     ↓                            │\n│                               signOutCompleted()                 │\n│                                     │                            │\n│                                     ↓                            │\n│                               router?.toLogin()                  │\n│                               (change root window)               │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.3 Profile VIPER Module",
+                "subsection": "ProfileViewController — отображение",
+                "anchor": "profileviewcontroller-otobrazhenie",
+                "text": "Структура экрана:",
+                "code": "// Modules/Profile/Base/ProfileViewController.swift\nimport UIKit\n\nprotocol ProfileViewProtocol: AnyObject {\n    func setNavTitle(title: String)\n    func setBackgroundColor()\n    func prepareUserInfoView()\n    func prepareTableView()\n    func startLoading()\n    func endLoading()\n    func onError(message: String)\n    func showCurrentUserInfo(model: CurrentUserModel?)\n}\n\nfinal class ProfileViewController: UIViewController {\n\n    private lazy var profileTableView: UITableView = {\n        let tableView = UITableView()\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(ProfileCell.self, forCellReuseIdentifier: ProfileCell.identifier)\n        return tableView\n    }()\n\n    private lazy var userInfoView = UserInfoView()\n\n    internal var presenter: ProfilePresenterInputs!\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n}\n\n// MARK: - Profile View Protocol\nextension ProfileViewController: ProfileViewProtocol {\n\n    func setNavTitle(title: String) {\n        self.title = title\n    }\n\n    func setBackgroundColor() {\n        self.view.backgroundColor = .systemBackground\n    }\n\n    func prepareUserInfoView() {\n        view.addSubview(userInfoView)\n\n        userInfoView.snp.makeConstraints { make in\n            make.width.equalToSuperview()\n            make.height.equalTo(280)\n            make.top.equalTo(view.safeAreaLayoutGuide)\n        }\n    }\n\n    func prepareTableView() {\n        view.addSubview(profileTableView)\n\n        profileTableView.snp.makeConstraints { make in\n            make.top.equalTo(userInfoView.snp.bottom)\n            make.left.right.bottom.equalToSuperview()\n        }\n    }\n\n    func startLoading() {\n        // Показать индикатор загрузки\n    }\n\n    func endLoading() {\n        // Скрыть индикатор загрузки\n    }\n\n    func onError(message: String) {\n        showAlert(title: \"\", message: message)\n    }\n\n    func showCurrentUserInfo(model: CurrentUserModel?) {\n        userInfoView.showModel(model: model)\n    }\n}\n\n// MARK: - Profile TableView Delegate & DataSource\nextension ProfileViewController: UITableViewDelegate, UITableViewDataSource {\n\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        return presenter.numberOfRowsInSection()\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        guard let cell = profileTableView.dequeueReusableCell(\n            withIdentifier: ProfileCell.identifier,\n            for: indexPath\n        ) as? ProfileCell else {\n            return UITableViewCell()\n        }\n        cell.showModel(model: presenter.cellForRowAt(indexPath: indexPath))\n        cell.selectionStyle = .none\n        cell.accessoryType = .disclosureIndicator\n        return cell\n    }\n\n    func tableView(_ tableView: UITableView, heightForRowAt indexPath: IndexPath) -> CGFloat {\n        return presenter.heightForRowAt(indexPath: indexPath)\n    }\n\n    func tableView(_ tableView: UITableView, didSelectRowAt indexPath: IndexPath) {\n        profileTableView.deselectRow(at: indexPath, animated: true)\n        presenter.didSelectRowAt(indexPath: indexPath)\n    }\n}\n┌─────────────────────────────────────────────────────────────────┐\n│  Navigation Bar: \"My Profile\"                                    │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌───────────────────────────────────────────────────────────┐  │\n│  │                   UserInfoView (280pt)                     │  │\n│  │                                                            │  │\n│  │              ┌─────────────────┐                          │  │\n│  │              │   [Profile      │                          │  │\n│  │              │    Photo]       │   140x140                │  │\n│  │              │   cornerRadius  │   borderWidth: 3         │  │\n│  │              │      70         │                          │  │\n│  │              └─────────────────┘                          │  │\n│  │                                                            │  │\n│  │                 user@email.com                             │  │\n│  │              (semibold, size 20)                          │  │\n│  └───────────────────────────────────────────────────────────┘  │\n│                                                                  │\n│  ┌───────────────────────────────────────────────────────────┐  │\n│  │  ProfileTableView                                          │  │\n│  │  ┌─────────────────────────────────────────────────────┐  │  │\n│  │  │  🗺️  Address Information                        >   │  │  │\n│  │  ├─────────────────────────────────────────────────────┤  │  │\n│  │  │  💳  Payment Information                        >   │  │  │\n│  │  ├─────────────────────────────────────────────────────┤  │  │\n│  │  │  📦  Order History                              >   │  │  │\n│  │  ├─────────────────────────────────────────────────────┤  │  │\n│  │  │  🔌  Sign Out                                   >   │  │  │\n│  │  └─────────────────────────────────────────────────────┘  │  │\n│  └───────────────────────────────────────────────────────────┘  │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.4 UI Components",
+                "subsection": "UserInfoView — информация о пользователе",
+                "anchor": "userinfoview-informatsiya-o-polzovatele",
+                "text": "Детали реализации:",
+                "code": "// Modules/Profile/UIComponents/CustomViews/UserInfoView.swift\nimport Foundation\nimport UIKit.UIView\nimport SDWebImage\n\nfinal class UserInfoView: UIView {\n\n    private lazy var profilePhotoImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.contentMode = .scaleAspectFit\n        imageView.layer.borderWidth = 3\n        imageView.layer.borderColor = UIColor.label.cgColor\n        imageView.layer.cornerRadius = 70\n        imageView.clipsToBounds = true\n        return imageView\n    }()\n\n    private lazy var emailLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 20, weight: .semibold)\n        label.textAlignment = .center\n        return label\n    }()\n\n    private lazy var vStackView: VerticalStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [profilePhotoImageView, emailLabel],\n            spacing: 48\n        )\n        stackView.alignment = .center\n        return stackView\n    }()\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setUpConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        super.init(coder: coder)\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setUpConstraints() {\n        addSubview(vStackView)\n\n        profilePhotoImageView.snp.makeConstraints { make in\n            make.width.height.equalTo(140)\n        }\n\n        emailLabel.snp.makeConstraints { make in\n            make.width.equalToSuperview().offset(44)\n        }\n\n        vStackView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func showModel(model: CurrentUserModel?) {\n        profilePhotoImageView.sd_setImage(\n            with: URL(string: model?.profileImageURLString ?? \"https://picsum.photos/seed/picsum/500/500\")\n        )\n        emailLabel.text = model?.userEmail ?? \"\"\n    }\n}\n┌────────────────────────────────────────────────────────────────┐\n│                      UserInfoView Layout                        │\n├────────────────────────────────────────────────────────────────┤\n│                                                                 │\n│   VerticalStackView (centered)                                  │\n│   spacing: 48                                                   │\n│   alignment: .center                                            │\n│                                                                 │\n│   ┌─────────────────────────────────────────────────────────┐  │\n│   │              profilePhotoImageView                       │  │\n│   │              ┌───────────────────┐                       │  │\n│   │              │                   │  width: 140           │  │\n│   │              │    [Photo/       │  height: 140          │  │\n│   │              │     Placeholder]  │  cornerRadius: 70     │  │\n│   │              │                   │  borderWidth: 3       │  │\n│   │              │                   │  borderColor: .label  │  │\n│   │              └───────────────────┘                       │  │\n│   │                                                          │  │\n│   │              spacing: 48pt                               │  │\n│   │                                                          │  │\n│   │              emailLabel                                  │  │\n│   │              ─────────────────────                       │  │\n│   │              user@example.com                            │  │\n│   │              font: semibold 20                           │  │\n│   │              textAlignment: .center                      │  │\n│   └─────────────────────────────────────────────────────────┘  │\n│                                                                 │\n│   SDWebImage загружает фото асинхронно:                        │\n│   • Кэширует в памяти и на диске                               │\n│   • Показывает placeholder при загрузке                        │\n│   • Использует picsum.photos как fallback                      │\n│                                                                 │\n└────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.4 UI Components",
+                "subsection": "ProfileCell — ячейка меню",
+                "anchor": "profilecell-yacheyka-menyu",
+                "text": "Структура ячейки:",
+                "code": "// Modules/Profile/UIComponents/Cells/ProfileCell.swift\nimport UIKit\n\nfinal class ProfileCell: UITableViewCell {\n\n    static let identifier = \"ProfileCell\"\n\n    private lazy var symbolImageView: UIImageView = {\n        let imageView = UIImageView()\n        imageView.tintColor = .label\n        return imageView\n    }()\n\n    private lazy var titleLabel: UILabel = {\n        let label = UILabel()\n        return label\n    }()\n\n    private lazy var hStackView: UIStackView = {\n        let stackView = UIStackView(arrangedSubviews: [symbolImageView, titleLabel])\n        stackView.axis = .horizontal\n        stackView.alignment = .center\n        stackView.spacing = 8\n        return stackView\n    }()\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setUpConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setUpConstraints() {\n        addSubview(hStackView)\n\n        symbolImageView.snp.makeConstraints { make in\n            make.width.height.equalTo(36)\n        }\n\n        hStackView.snp.makeConstraints { make in\n            make.left.equalToSuperview().offset(20)\n            make.top.right.bottom.equalToSuperview()\n        }\n    }\n\n    func showModel(model: ProfileRowItemModel?) {\n        symbolImageView.image = model?.item.image\n        titleLabel.text = model?.item.title\n    }\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                       ProfileCell (60pt height)                  │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌────────────────────────────────────────────────────────────┐ │\n│  │  HStackView                                                 │ │\n│  │  left: 20, spacing: 8                                       │ │\n│  │                                                             │ │\n│  │  ┌──────────┐  ┌─────────────────────────────┐  ┌───────┐  │ │\n│  │  │  Symbol  │  │  Title Label                 │  │   >   │  │ │\n│  │  │  36x36   │  │  \"Address Information\"       │  │       │  │ │\n│  │  │   🗺️    │  │                              │  │       │  │ │\n│  │  └──────────┘  └─────────────────────────────┘  └───────┘  │ │\n│  │                                                 accessory   │ │\n│  └────────────────────────────────────────────────────────────┘ │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddressesRouter",
+                "anchor": "addressesrouter",
+                "text": "",
+                "code": "// Modules/Addresses/Base/AddressesRouter.swift\nimport Foundation\nimport UIKit.UIViewController\n\nprotocol AddressesRouterProtocol {\n    func toAddAddress(address: AddressModel?)\n}\n\nfinal class AddressesRouter {\n\n    private weak var view: UIViewController?\n\n    init(view: UIViewController) {\n        self.view = view\n    }\n\n    static func startAddressesModule() -> UIViewController {\n        let view = AddressesViewController()\n        let router = AddressesRouter(view: view)\n        let interactor = AddressesInteractor(\n            storageManager: RealmManager.shared,\n            userInfoManager: UserInfoManager()\n        )\n        let presenter = AddressesPresenter(view: view, interactor: interactor, router: router)\n\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\nextension AddressesRouter: AddressesRouterProtocol {\n\n    func toAddAddress(address: AddressModel?) {\n        let addController = AddAddressViewController(address: address)\n        self.view?.navigationController?.pushViewController(addController, animated: true)\n    }\n}"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddressesInteractor",
+                "anchor": "addressesinteractor",
+                "text": "Фильтрация по userId:",
+                "code": "// Modules/Addresses/Base/AddressesInteractor.swift\nimport Foundation\n\nprotocol AddressesInteractorInputs {\n    func getAddresses()\n    func showAddresses() -> [AddressModel]?\n    func addAction(model: [String: Any])\n    func updateAction(model: [String: Any])\n    func deleteAction(model: AddressModel?)\n}\n\nprotocol AddressesInteractorOutputs: AnyObject {\n    func dataRefreshed()\n    func onError(error: RealmError)\n}\n\nfinal class AddressesInteractor {\n\n    weak var presenter: AddressesInteractorOutputs?\n    private let storageManager: RealmManagerProtocol?\n    private let userInfoManager: UserInfoManagerProtocol?\n\n    private var addresses: [AddressModel]? {\n        didSet {\n            presenter?.dataRefreshed()\n        }\n    }\n\n    init(storageManager: RealmManagerProtocol?, userInfoManager: UserInfoManagerProtocol) {\n        self.storageManager = storageManager\n        self.userInfoManager = userInfoManager\n    }\n}\n\n// MARK: Interactor Inputs\nextension AddressesInteractor: AddressesInteractorInputs {\n\n    func getAddresses() {\n        self.addresses = storageManager?.getAll(AddressModel.self)\n            .filter { $0.userId == userInfoManager?.getUserUid() }\n    }\n\n    func showAddresses() -> [AddressModel]? {\n        return self.addresses\n    }\n\n    func addAction(model: [String: Any]) {\n        let address = AddressModel(\n            userId: (model[\"userId\"] as! String),\n            uuid: (model[\"uuid\"] as! UUID),\n            name: model[\"name\"] as! String,\n            country: model[\"country\"] as! String,\n            city: model[\"city\"] as! String,\n            street: model[\"street\"] as! String,\n            buildingNumber: model[\"buildingNumber\"] as! Int,\n            zipCode: model[\"zipCode\"] as! Int\n        )\n        storageManager?.create(address, onError: { [weak self] error in\n            guard let self else { return }\n            presenter?.onError(error: error)\n        })\n        presenter?.dataRefreshed()\n    }\n\n    func updateAction(model: [String: Any]) {\n        guard let savedAddress = self.addresses?\n            .filter({ $0.uuid == (model[\"uuid\"] as! UUID) }).first\n        else { return }\n\n        storageManager?.update(savedAddress, with: model, onError: { [weak self] error in\n            guard let self else { return }\n            self.presenter?.onError(error: error)\n        })\n        self.presenter?.dataRefreshed()\n    }\n\n    func deleteAction(model: AddressModel?) {\n        if let model {\n            if let index = self.addresses?.firstIndex(where: { $0.uuid == model.uuid }) {\n                storageManager?.delete(model, onError: { [weak self] error in\n                    guard let self else { return }\n                    self.presenter?.onError(error: error)\n                })\n                self.addresses?.remove(at: index)\n            }\n        }\n    }\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                 Address Filtering by User                        │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   Realm Database                                                 │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  AddressModel Objects                                    │   │\n│   │  ├── userId: \"user1\", name: \"Home\", city: \"Moscow\"       │   │\n│   │  ├── userId: \"user1\", name: \"Work\", city: \"SPb\"          │   │\n│   │  ├── userId: \"user2\", name: \"Office\", city: \"Kazan\"      │   │\n│   │  └── userId: \"user1\", name: \"Parents\", city: \"Sochi\"     │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│                           │                                      │\n│                           ↓                                      │\n│   .filter { $0.userId == currentUserId }                        │\n│                           │                                      │\n│                           ↓                                      │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  Filtered (user1 only)                                   │   │\n│   │  ├── name: \"Home\", city: \"Moscow\"                        │   │\n│   │  ├── name: \"Work\", city: \"SPb\"                           │   │\n│   │  └── name: \"Parents\", city: \"Sochi\"                      │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│                                                                  │\n│   Каждый пользователь видит только свои адреса!                 │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddressesPresenter",
+                "anchor": "addressespresenter",
+                "text": "NotificationCenter для передачи данных:",
+                "code": "// Modules/Addresses/Base/AddressesPresenter.swift\nimport Foundation\n\nprotocol AddressesPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n    func numberOfItemsInSection(section: Int) -> Int\n    func cellForItemAt(indexPath: IndexPath) -> AddressModel?\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize\n    func didSelectItemAt(indexPath: IndexPath)\n    func toAddButtonTapped()\n    func trashTapped(model: AddressModel?)\n    func plusButtonTapped()\n}\n\nfinal class AddressesPresenter {\n\n    private weak var view: AddressesViewProtocol?\n    private let interactor: AddressesInteractorInputs?\n    private let router: AddressesRouterProtocol?\n\n    init(view: AddressesViewProtocol, interactor: AddressesInteractorInputs, router: AddressesRouterProtocol) {\n        self.view = view\n        self.router = router\n        self.interactor = interactor\n\n        // Подписка на уведомления о добавлении/обновлении\n        NotificationCenter.default.addObserver(\n            self,\n            selector: #selector(self.notificationReceived(_:)),\n            name: .addUpdateButtonNotification,\n            object: nil\n        )\n    }\n\n    deinit {\n        NotificationCenter.default.removeObserver(self, name: .addUpdateButtonNotification, object: nil)\n    }\n}\n\nextension AddressesPresenter: AddressesPresenterInputs {\n\n    func viewDidLoad() {\n        view?.setViewBackgroundColor(color: .systemBackground)\n        view?.setNavBarTitle(title: \"My Addresses\")\n        view?.prepareCollectionView()\n        view?.prepareEmptyView()\n        view?.preparePlusButton()\n    }\n\n    func viewWillAppear() {\n        interactor?.getAddresses()\n    }\n\n    func numberOfItemsInSection(section: Int) -> Int {\n        return interactor?.showAddresses()?.count ?? 0\n    }\n\n    func cellForItemAt(indexPath: IndexPath) -> AddressModel? {\n        return interactor?.showAddresses()?[indexPath.item]\n    }\n\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize {\n        return .init(width: UIScreenBounds.width - 32, height: 180)\n    }\n\n    func didSelectItemAt(indexPath: IndexPath) {\n        let selectedAddress = interactor?.showAddresses()?[indexPath.item]\n        router?.toAddAddress(address: selectedAddress) // Редактирование\n    }\n\n    func toAddButtonTapped() {\n        router?.toAddAddress(address: nil) // Создание нового\n    }\n\n    func plusButtonTapped() {\n        router?.toAddAddress(address: nil)\n    }\n\n    @objc func notificationReceived(_ notification: Notification) {\n        guard let newInfos = notification.userInfo?[\"address\"] else { return }\n        guard let action = notification.userInfo?[\"action\"] else { return }\n\n        if action as! String == \"add\" {\n            interactor?.addAction(model: newInfos as! [String: Any])\n        } else {\n            interactor?.updateAction(model: newInfos as! [String: Any])\n        }\n    }\n\n    func trashTapped(model: AddressModel?) {\n        interactor?.deleteAction(model: model)\n    }\n}\n\nextension AddressesPresenter: AddressesInteractorOutputs {\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n\n    func onError(error: RealmError) {\n        view?.onError(message: error.localizedDescription)\n    }\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│                 NotificationCenter Communication                     │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│   AddAddressViewController                                           │\n│   ┌───────────────────────────────────────────────────────────────┐ │\n│   │  addUpdateButtonTapped()                                       │ │\n│   │       │                                                        │ │\n│   │       ↓                                                        │ │\n│   │  let userInfo = [\"address\": newInfos, \"action\": \"add/update\"]  │ │\n│   │       │                                                        │ │\n│   │       ↓                                                        │ │\n│   │  NotificationCenter.post(name: .addUpdateButtonNotification,   │ │\n│   │                          object: nil,                          │ │\n│   │                          userInfo: userInfo)                   │ │\n│   └───────────────────────────────────────────────────────────────┘ │\n│                           │                                          │\n│                           │ Broadcast                                │\n│                           ↓                                          │\n│   AddressesPresenter                                                 │\n│   ┌───────────────────────────────────────────────────────────────┐ │\n│   │  notificationReceived(_ notification)                          │ │\n│   │       │                                                        │ │\n│   │       ↓                                                        │ │\n│   │  if action == \"add\":                                           │ │\n│   │      interactor?.addAction(model: newInfos)                    │ │\n│   │  else:                                                         │ │\n│   │      interactor?.updateAction(model: newInfos)                 │ │\n│   └───────────────────────────────────────────────────────────────┘ │\n│                                                                      │\n│   Преимущество: AddAddressVC не знает о Presenter                   │\n│   Недостаток: слабая связь может усложнить отладку                  │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddressesViewController",
+                "anchor": "addressesviewcontroller",
+                "text": "",
+                "code": "// Modules/Addresses/Base/AddressesViewController.swift\nimport UIKit\n\nprotocol AddressesViewProtocol: AnyObject {\n    func setViewBackgroundColor(color: UIColor)\n    func setNavBarTitle(title: String)\n    func prepareCollectionView()\n    func prepareEmptyView()\n    func preparePlusButton()\n    func dataRefreshed()\n    func onError(message: String)\n}\n\nfinal class AddressesViewController: UIViewController {\n\n    private lazy var addressesCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        let collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(AddressCell.self, forCellWithReuseIdentifier: AddressCell.identifier)\n        return collectionView\n    }()\n\n    private lazy var emptyView = EmptyAddressesView()\n\n    internal var presenter: AddressesPresenterInputs!\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n\n    // MARK: - Actions\n    @objc private func plusButtonTapped() {\n        presenter.plusButtonTapped()\n    }\n}\n\n// MARK: - View protocol\nextension AddressesViewController: AddressesViewProtocol {\n\n    func setViewBackgroundColor(color: UIColor) {\n        self.view.backgroundColor = color\n    }\n\n    func setNavBarTitle(title: String) {\n        self.title = title\n    }\n\n    func prepareCollectionView() {\n        view.addSubview(addressesCollectionView)\n        addressesCollectionView.backgroundColor = .systemGray6\n\n        addressesCollectionView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    func prepareEmptyView() {\n        view.addSubview(emptyView)\n        emptyView.delegate = self\n\n        emptyView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func preparePlusButton() {\n        self.navigationItem.rightBarButtonItem = UIBarButtonItem(\n            barButtonSystemItem: .add,\n            target: self,\n            action: #selector(plusButtonTapped)\n        )\n    }\n\n    func dataRefreshed() {\n        self.addressesCollectionView.reloadData()\n    }\n\n    func onError(message: String) {\n        self.showAlert(title: \"\", message: message)\n    }\n}\n\n// MARK: - EmptyAddressView button delegate\nextension AddressesViewController: EmptyAddressesViewButtonDelegate {\n    func toAddButtonTapped() {\n        presenter.toAddButtonTapped()\n    }\n}\n\nextension AddressesViewController: AddressCellTrashButtonDelegate {\n    func trashTapped(model: AddressModel?) {\n        presenter.trashTapped(model: model)\n    }\n}\n\n// MARK: CollectionView Delegate & DataSource\nextension AddressesViewController: UICollectionViewDelegate, UICollectionViewDataSource, UICollectionViewDelegateFlowLayout {\n\n    func collectionView(_ collectionView: UICollectionView, numberOfItemsInSection section: Int) -> Int {\n        emptyView.isHidden = (presenter.numberOfItemsInSection(section: section) == 0) ? false : true\n        return presenter.numberOfItemsInSection(section: section)\n    }\n\n    func collectionView(_ collectionView: UICollectionView, cellForItemAt indexPath: IndexPath) -> UICollectionViewCell {\n        guard let cell = addressesCollectionView.dequeueReusableCell(\n            withReuseIdentifier: AddressCell.identifier,\n            for: indexPath\n        ) as? AddressCell else {\n            return UICollectionViewCell()\n        }\n\n        cell.showModel(model: presenter.cellForItemAt(indexPath: indexPath))\n        cell.delegate = self\n        cell.layer.borderWidth = 1\n        cell.layer.borderColor = UIColor.label.cgColor\n        cell.layer.cornerRadius = 8\n        cell.backgroundColor = .systemBackground\n\n        return cell\n    }\n\n    func collectionView(_ collectionView: UICollectionView, layout collectionViewLayout: UICollectionViewLayout, sizeForItemAt indexPath: IndexPath) -> CGSize {\n        return presenter.sizeForItemAt(indexPath: indexPath)\n    }\n\n    func collectionView(_ collectionView: UICollectionView, didSelectItemAt indexPath: IndexPath) {\n        addressesCollectionView.deselectItem(at: indexPath, animated: true)\n        presenter.didSelectItemAt(indexPath: indexPath)\n    }\n}"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddressCell",
+                "anchor": "addresscell",
+                "text": "Визуальная структура ячейки:",
+                "code": "// Modules/Addresses/UIComponents/Cells/AddressCell.swift\nimport UIKit\n\nprotocol AddressCellTrashButtonDelegate: AnyObject {\n    func trashTapped(model: AddressModel?)\n}\n\nfinal class AddressCell: UICollectionViewCell {\n\n    static let identifier = \"AddressCell\"\n\n    private lazy var addressNameLabel: PaddingLabel = {\n        let label = PaddingLabel(withInsets: 4, 4, 4, 4)\n        label.textColor = .label\n        label.font = .boldSystemFont(ofSize: 16)\n        label.layer.borderWidth = 1\n        label.layer.borderColor = UIColor.gray.cgColor\n        label.layer.cornerRadius = 4\n        return label\n    }()\n\n    private lazy var addressCityAndCountryLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        return label\n    }()\n\n    private lazy var addressLabel: UILabel = {\n        let label = UILabel()\n        label.textColor = .label\n        label.numberOfLines = 0\n        return label\n    }()\n\n    private lazy var trashButton: UIButton = {\n        let button = UIButton()\n        button.setImage(\n            UIImage(systemName: \"trash\", withConfiguration: UIImage.SymbolConfiguration(pointSize: 18)),\n            for: .normal\n        )\n        button.tintColor = .systemRed\n        button.addTarget(self, action: #selector(trashButtonTapped), for: .touchUpInside)\n        return button\n    }()\n\n    private lazy var arrowImageView: UIImageView = {\n        let image = UIImage(systemName: \"arrow.right\", withConfiguration: UIImage.SymbolConfiguration(pointSize: 12))\n        let imageView = UIImageView()\n        imageView.image = image\n        imageView.tintColor = .label\n        return imageView\n    }()\n\n    private lazy var VStackView: VerticalStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [addressNameLabel, addressCityAndCountryLabel, addressLabel],\n            spacing: 26\n        )\n        stackView.alignment = .leading\n        return stackView\n    }()\n\n    private var model: AddressModel?\n    weak var delegate: AddressCellTrashButtonDelegate?\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setUpConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setUpConstraints() {\n        addSubview(VStackView)\n        addSubview(arrowImageView)\n        contentView.addSubview(trashButton)\n\n        arrowImageView.snp.makeConstraints { make in\n            make.centerY.equalTo(contentView.snp.centerY)\n            make.right.equalTo(contentView.snp.right).inset(16)\n        }\n\n        trashButton.snp.makeConstraints { make in\n            make.centerX.equalTo(arrowImageView)\n            make.top.equalToSuperview().offset(14)\n        }\n\n        VStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    @objc private func trashButtonTapped() {\n        delegate?.trashTapped(model: self.model)\n    }\n\n    func showModel(model: AddressModel?) {\n        self.model = model\n        addressNameLabel.text = model?.name ?? \"\"\n        addressCityAndCountryLabel.text = \"\\(model?.city ?? \"\"), \\(model?.country ?? \"\")\"\n        addressLabel.text = \"\\(model?.street ?? \"\"), No: \\(model?.buildingNumber ?? 0), ZIP: \\(model?.zipCode ?? 0)\"\n    }\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│                    AddressCell (180pt height)                        │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│  ┌────────────────────────────────────────────────────────┐  🗑️    │\n│  │  ┌──────────┐                                          │  trash  │\n│  │  │  Home    │  addressNameLabel (with border)          │         │\n│  │  └──────────┘                                          │         │\n│  │                                                        │         │\n│  │  Moscow, Russia                                        │    →    │\n│  │  addressCityAndCountryLabel                            │  arrow  │\n│  │                                                        │         │\n│  │  Lenina Street, No: 15, ZIP: 123456                   │         │\n│  │  addressLabel (numberOfLines: 0)                       │         │\n│  └────────────────────────────────────────────────────────┘         │\n│                                                                      │\n│  VStackView (spacing: 26, inset: 16)                                │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "EmptyAddressesView",
+                "anchor": "emptyaddressesview",
+                "text": "",
+                "code": "// Modules/Addresses/UIComponents/CustomViews/EmptyAddressesView.swift\nimport UIKit\n\nprotocol EmptyAddressesViewButtonDelegate: AnyObject {\n    func toAddButtonTapped()\n}\n\nfinal class EmptyAddressesView: UIView {\n\n    private lazy var infoLabel: UILabel = {\n        let label = UILabel()\n        label.tintColor = .label\n        label.text = \"You haven't added addresses yet!\"\n        label.font = .systemFont(ofSize: 20, weight: .thin)\n        return label\n    }()\n\n    private lazy var toAddButton: UIButton = {\n        let button = UIButton()\n        button.setTitleColor(.systemBackground, for: .normal)\n        button.setTitle(\"+ Add Address\", for: .normal)\n        button.backgroundColor = .label\n        button.layer.cornerRadius = 8\n        button.clipsToBounds = true\n        button.titleEdgeInsets = .init(top: 8, left: 8, bottom: 8, right: 8)\n        button.addTarget(self, action: #selector(toAddButtonTapped), for: .touchUpInside)\n        return button\n    }()\n\n    private lazy var VStackView: VerticalStackView = {\n        let stackView = VerticalStackView(arrangedSubviews: [infoLabel, toAddButton], spacing: 16)\n        stackView.alignment = .center\n        return stackView\n    }()\n\n    weak var delegate: EmptyAddressesViewButtonDelegate?\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setConstraints() {\n        addSubview(VStackView)\n\n        toAddButton.snp.makeConstraints { make in\n            make.width.equalTo(148)\n            make.height.equalTo(40)\n        }\n\n        VStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    @objc private func toAddButtonTapped(_ sender: UIButton) {\n        delegate?.toAddButtonTapped()\n    }\n}"
+            },
+            {
+                "section": "20.5 Addresses Module — управление адресами",
+                "subsection": "AddAddressViewController — форма добавления",
+                "anchor": "addaddressviewcontroller-forma-dobavleniya",
+                "text": "UIPickerView как inputView:",
+                "code": "// Modules/Addresses/AddAddress/AddAddressViewController.swift\nimport UIKit\n\nextension Notification.Name {\n    static let addUpdateButtonNotification = Notification.Name(rawValue: \"AddUpdateButtonNotification\")\n}\n\nfinal class AddAddressViewController: UIViewController {\n\n    @IBOutlet private weak var nameTextField: UITextField!\n    @IBOutlet private weak var countryTextField: UITextField!\n    @IBOutlet private weak var cityTextField: UITextField!\n    @IBOutlet private weak var streetTextField: UITextField!\n    @IBOutlet private weak var buildingNoTextField: UITextField!\n    @IBOutlet private weak var zipCodeTextField: UITextField!\n    @IBOutlet private weak var addUpdateButton: UIButton!\n\n    private lazy var pickerView = UIPickerView()\n\n    private let service: CountriesServiceProtocol = CountriesService()\n    private let userInfoManager: UserInfoManagerProtocol = UserInfoManager()\n\n    private var address: AddressModel?\n    private var countries: [Country] = []\n\n    private let notificationCenter: NotificationCenter = NotificationCenter.default\n\n    init(address: AddressModel?) {\n        self.address = address\n        super.init(nibName: \"AddAddressView\", bundle: nil)\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        setupRequirements()\n        getCountries()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        setupWithModel()\n    }\n\n    private func setupRequirements() {\n        pickerView.delegate = self\n        pickerView.dataSource = self\n        countryTextField.inputView = pickerView\n    }\n\n    private func setupWithModel() {\n        if address != nil {\n            nameTextField.text = address?.name\n            countryTextField.text = address?.country\n            cityTextField.text = address?.city\n            streetTextField.text = address?.street\n            buildingNoTextField.text = String(address?.buildingNumber ?? 0)\n            zipCodeTextField.text = String(address?.zipCode ?? 0)\n            addUpdateButton.setTitle(\"Update\", for: .normal)\n        }\n    }\n\n    @IBAction private func addUpdateButtonTapped(_ sender: Any) {\n        defer {\n            self.navigationController?.popViewController(animated: true)\n        }\n\n        if let name = nameTextField.text,\n           let country = countryTextField.text,\n           let city = cityTextField.text,\n           let street = streetTextField.text,\n           let buildingNo = buildingNoTextField.text,\n           let zipCode = zipCodeTextField.text,\n           !name.isEmpty,\n           !country.isEmpty,\n           !city.isEmpty,\n           !street.isEmpty,\n           !buildingNo.isEmpty,\n           !zipCode.isEmpty {\n\n            let newInfos: [String: AnyHashable] = [\n                \"userId\": userInfoManager.getUserUid(),\n                \"uuid\": self.address?.uuid ?? UUID(),\n                \"name\": name,\n                \"country\": country,\n                \"city\": city,\n                \"street\": street,\n                \"buildingNumber\": Int(buildingNo),\n                \"zipCode\": Int(zipCode)\n            ]\n\n            let action = addUpdateButton.titleLabel?.text == \"Add\" ? \"add\" : \"update\"\n            let userInfoForNC: [String: Any] = [\"address\": newInfos, \"action\": action]\n            notificationCenter.post(name: .addUpdateButtonNotification, object: nil, userInfo: userInfoForNC)\n        } else {\n            self.showAlert(title: \"\", message: GeneralError.addressInfoMissing.localizedDescription)\n        }\n    }\n\n    private func getCountries() {\n        Task {\n            try await service.getAllCountries { [weak self] result in\n                guard let self else { return }\n\n                switch result {\n                case .success(let countries):\n                    DispatchQueue.main.async { [weak self] in\n                        self?.countries = countries.sorted()\n                        self?.pickerView.reloadAllComponents()\n                    }\n                case .failure(let error):\n                    print(error.localizedDescription)\n                }\n            }\n        }\n    }\n}\n\n// MARK: - PickerViewDelegate\nextension AddAddressViewController: UIPickerViewDelegate, UIPickerViewDataSource {\n\n    func numberOfComponents(in pickerView: UIPickerView) -> Int {\n        return 1\n    }\n\n    func pickerView(_ pickerView: UIPickerView, numberOfRowsInComponent component: Int) -> Int {\n        return countries.count\n    }\n\n    func pickerView(_ pickerView: UIPickerView, titleForRow row: Int, forComponent component: Int) -> String? {\n        return countries[row].name.common\n    }\n\n    func pickerView(_ pickerView: UIPickerView, didSelectRow row: Int, inComponent component: Int) {\n        countryTextField.text = countries[row].name.common\n    }\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│           UIPickerView as TextField InputView                        │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│   countryTextField.inputView = pickerView                            │\n│                                                                      │\n│   Когда пользователь нажимает на countryTextField:                  │\n│   ┌─────────────────────────────────────────────────────────────┐   │\n│   │                                                              │   │\n│   │   [ Name:     Home                                    ]      │   │\n│   │   [ Country:  Russia                                  ] ←tap │   │\n│   │   [ City:     _____                                   ]      │   │\n│   │                                                              │   │\n│   └─────────────────────────────────────────────────────────────┘   │\n│                           │                                          │\n│                           ↓                                          │\n│   Вместо клавиатуры появляется:                                     │\n│   ┌─────────────────────────────────────────────────────────────┐   │\n│   │  ┌─────────────────────────────────────────────────────┐    │   │\n│   │  │                 Afghanistan                          │    │   │\n│   │  │                 Albania                              │    │   │\n│   │  │ ═══════════════ Russia ═══════════════ (selected)   │    │   │\n│   │  │                 Rwanda                               │    │   │\n│   │  │                 Saudi Arabia                         │    │   │\n│   │  └─────────────────────────────────────────────────────┘    │   │\n│   │                    UIPickerView                              │   │\n│   └─────────────────────────────────────────────────────────────┘   │\n│                                                                      │\n│   didSelectRow → countryTextField.text = countries[row].name.common  │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.6 PaymentInfo Module — управление картами",
+                "subsection": "PaymentInfoRouter",
+                "anchor": "paymentinforouter",
+                "text": "",
+                "code": "// Modules/PaymentInfo/Base/PaymentInfoRouter.swift\nimport Foundation\nimport UIKit.UIViewController\n\nprotocol PaymentInfoRouterProtocol {\n    func toAddCard(card: CardModel?)\n}\n\nfinal class PaymentInfoRouter {\n\n    private weak var view: UIViewController?\n\n    init(view: UIViewController?) {\n        self.view = view\n    }\n\n    static func startPaymentInfoModule() -> UIViewController {\n        let view = PaymentInfoViewController()\n        let router = PaymentInfoRouter(view: view)\n        let interactor = PaymentInfoInteractor(\n            storageManager: RealmManager.shared,\n            userInfoManager: UserInfoManager()\n        )\n        let presenter = PaymentInfoPresenter(view: view, router: router, interactor: interactor)\n\n        view.presenter = presenter\n        interactor.presenter = presenter\n\n        return view\n    }\n}\n\nextension PaymentInfoRouter: PaymentInfoRouterProtocol {\n\n    func toAddCard(card: CardModel?) {\n        let addCardViewController = AddCardViewController(card: card)\n        self.view?.navigationController?.pushViewController(addCardViewController, animated: true)\n    }\n}"
+            },
+            {
+                "section": "20.6 PaymentInfo Module — управление картами",
+                "subsection": "PaymentInfoInteractor",
+                "anchor": "paymentinfointeractor",
+                "text": "",
+                "code": "// Modules/PaymentInfo/Base/PaymentInfoInteractor.swift\nimport Foundation\n\nprotocol PaymentInfoInteractorInputs {\n    func getCards()\n    func showCards() -> [CardModel]?\n    func addAction(model: [String: Any])\n    func updateAction(model: [String: Any])\n    func deleteAction(model: CardModel?)\n}\n\nprotocol PaymentInfoInteractorOutputs: AnyObject {\n    func onError(error: RealmError)\n    func dataRefreshed()\n}\n\nfinal class PaymentInfoInteractor {\n\n    weak var presenter: PaymentInfoInteractorOutputs!\n    private let storageManager: RealmManagerProtocol?\n    private let userInfoManager: UserInfoManagerProtocol?\n\n    private var cards: [CardModel]?\n\n    init(storageManager: RealmManagerProtocol, userInfoManager: UserInfoManagerProtocol) {\n        self.storageManager = storageManager\n        self.userInfoManager = userInfoManager\n    }\n}\n\nextension PaymentInfoInteractor: PaymentInfoInteractorInputs {\n\n    func getCards() {\n        self.cards = storageManager?.getAll(CardModel.self)\n            .filter { $0.userId == userInfoManager?.getUserUid() }\n    }\n\n    func showCards() -> [CardModel]? {\n        return self.cards\n    }\n\n    func addAction(model: [String : Any]) {\n        let card = CardModel(\n            userId: model[\"userId\"] as! String,\n            uuid: model[\"uuid\"] as! String,\n            nameSurname: model[\"nameSurname\"] as! String,\n            cardName: model[\"cardName\"] as! String,\n            cardNumber: model[\"cardNumber\"] as! String,\n            month: model[\"month\"] as! String,\n            year: model[\"year\"] as! String,\n            cvv: model[\"cvv\"] as! String\n        )\n\n        storageManager?.create(card) { [weak self] error in\n            guard let self else { return }\n            self.presenter.onError(error: error)\n        }\n        presenter?.dataRefreshed()\n    }\n\n    func updateAction(model: [String : Any]) {\n        guard let savedCard = self.cards?\n            .filter({ $0.uuid == (model[\"uuid\"] as! String) }).first\n        else { return }\n\n        storageManager?.update(savedCard, with: model, onError: { [weak self] error in\n            guard let self else { return }\n            self.presenter?.onError(error: error)\n        })\n        self.presenter?.dataRefreshed()\n    }\n\n    func deleteAction(model: CardModel?) {\n        if let model {\n            if let index = self.cards?.firstIndex(where: { $0.uuid == model.uuid }) {\n                storageManager?.delete(model, onError: { [weak self] error in\n                    guard let self else { return }\n                    self.presenter?.onError(error: error)\n                })\n                self.cards?.remove(at: index)\n                self.presenter.dataRefreshed()\n            }\n        }\n    }\n}"
+            },
+            {
+                "section": "20.6 PaymentInfo Module — управление картами",
+                "subsection": "PaymentInfoPresenter",
+                "anchor": "paymentinfopresenter",
+                "text": "",
+                "code": "// Modules/PaymentInfo/Base/PaymentInfoPresenter.swift\nimport Foundation\n\nprotocol PaymentInfoPresenterInputs {\n    func viewDidLoad()\n    func viewWillAppear()\n    func plusButtonTapped()\n    func numberOfItemsInSection(section: Int) -> Int\n    func cellForItemAt(indexPath: IndexPath) -> CardModel?\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize\n    func didSelectItemAt(indexPath: IndexPath)\n    func trashTapped(model: CardModel?)\n    func toAddButtonTapped()\n}\n\nfinal class PaymentInfoPresenter {\n\n    private weak var view: PaymentInfoViewProtocol?\n    private let router: PaymentInfoRouterProtocol?\n    private let interactor: PaymentInfoInteractorInputs?\n\n    init(view: PaymentInfoViewProtocol, router: PaymentInfoRouterProtocol, interactor: PaymentInfoInteractorInputs) {\n        self.view = view\n        self.router = router\n        self.interactor = interactor\n\n        NotificationCenter.default.addObserver(\n            self,\n            selector: #selector(self.notificationReceived(_:)),\n            name: .cardAddButtonNotification,\n            object: nil\n        )\n    }\n}\n\nextension PaymentInfoPresenter: PaymentInfoPresenterInputs {\n\n    func viewDidLoad() {\n        view?.setNavTitle(title: \"My Cards\")\n        view?.setBackgrodunColor(color: .systemBackground)\n        view?.prepareCollectionView()\n        view?.prepareEmptyCardView()\n        view?.preparePlusButton()\n    }\n\n    func viewWillAppear() {\n        interactor?.getCards()\n    }\n\n    func plusButtonTapped() {\n        router?.toAddCard(card: nil)\n    }\n\n    func numberOfItemsInSection(section: Int) -> Int {\n        return interactor?.showCards()?.count ?? 0\n    }\n\n    func cellForItemAt(indexPath: IndexPath) -> CardModel? {\n        return interactor?.showCards()?[indexPath.item]\n    }\n\n    func sizeForItemAt(indexPath: IndexPath) -> CGSize {\n        return .init(width: UIScreenBounds.width - 32, height: 100)\n    }\n\n    func didSelectItemAt(indexPath: IndexPath) {\n        let selectedCard = interactor?.showCards()?[indexPath.item]\n        router?.toAddCard(card: selectedCard)\n    }\n\n    @objc func notificationReceived(_ notification: Notification) {\n        guard let cardInfos = notification.userInfo?[\"card\"] else { return }\n        guard let action = notification.userInfo?[\"action\"] else { return }\n\n        if action as! String == \"add\" {\n            interactor?.addAction(model: cardInfos as! [String: Any])\n        } else {\n            interactor?.updateAction(model: cardInfos as! [String: Any])\n        }\n    }\n\n    func trashTapped(model: CardModel?) {\n        interactor?.deleteAction(model: model)\n    }\n\n    func toAddButtonTapped() {\n        router?.toAddCard(card: nil)\n    }\n}\n\nextension PaymentInfoPresenter: PaymentInfoInteractorOutputs {\n\n    func onError(error: RealmError) {\n        view?.onError(message: error.localizedDescription)\n    }\n\n    func dataRefreshed() {\n        view?.dataRefreshed()\n    }\n}"
+            },
+            {
+                "section": "20.6 PaymentInfo Module — управление картами",
+                "subsection": "PaymentInfoViewController",
+                "anchor": "paymentinfoviewcontroller",
+                "text": "",
+                "code": "// Modules/PaymentInfo/Base/PaymentInfoViewController.swift\nimport UIKit\n\nprotocol PaymentInfoViewProtocol: AnyObject {\n    func setNavTitle(title: String)\n    func setBackgrodunColor(color: UIColor)\n    func preparePlusButton()\n    func prepareCollectionView()\n    func prepareEmptyCardView()\n    func onError(message: String)\n    func dataRefreshed()\n}\n\nfinal class PaymentInfoViewController: UIViewController {\n\n    private lazy var paymentCollectionView: UICollectionView = {\n        let layout = UICollectionViewFlowLayout()\n        let collectionView = UICollectionView(frame: .zero, collectionViewLayout: layout)\n        collectionView.delegate = self\n        collectionView.dataSource = self\n        collectionView.register(CardCell.self, forCellWithReuseIdentifier: CardCell.identifier)\n        return collectionView\n    }()\n\n    private lazy var emptyCardView = EmptyCardView()\n\n    internal var presenter: PaymentInfoPresenterInputs!\n\n    // MARK: - Lifecycle\n    override func viewDidLoad() {\n        super.viewDidLoad()\n        presenter.viewDidLoad()\n    }\n\n    override func viewWillAppear(_ animated: Bool) {\n        super.viewWillAppear(animated)\n        presenter.viewWillAppear()\n    }\n\n    // MARK: - Actions\n    @objc private func plusButtonTapped() {\n        presenter.plusButtonTapped()\n    }\n}\n\n// MARK: - View protocols\nextension PaymentInfoViewController: PaymentInfoViewProtocol {\n\n    func setNavTitle(title: String) {\n        self.title = title\n    }\n\n    func setBackgrodunColor(color: UIColor) {\n        self.view.backgroundColor = color\n    }\n\n    func preparePlusButton() {\n        self.navigationItem.rightBarButtonItem = UIBarButtonItem(\n            barButtonSystemItem: .add,\n            target: self,\n            action: #selector(plusButtonTapped)\n        )\n    }\n\n    func prepareEmptyCardView() {\n        view.addSubview(emptyCardView)\n        emptyCardView.delegate = self\n\n        emptyCardView.snp.makeConstraints { make in\n            make.centerX.centerY.equalToSuperview()\n        }\n    }\n\n    func prepareCollectionView() {\n        view.addSubview(paymentCollectionView)\n        paymentCollectionView.backgroundColor = .systemGray6\n\n        paymentCollectionView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    func onError(message: String) {\n        self.showAlert(title: \"\", message: message)\n    }\n\n    func dataRefreshed() {\n        self.paymentCollectionView.reloadData()\n    }\n}\n\n// MARK: - EmptyView Button Delegate\nextension PaymentInfoViewController: EmptyCardViewButtonDelegate {\n    func toAddButtonTapped() {\n        presenter.toAddButtonTapped()\n    }\n}\n\n// MARK: - Cell Button Delegate\nextension PaymentInfoViewController: CardCellTrashButtonDelegate {\n    func trashTapped(model: CardModel?) {\n        presenter.trashTapped(model: model)\n    }\n}\n\n// MARK: - UICollectionView Delegates & DataSource\nextension PaymentInfoViewController: UICollectionViewDelegate, UICollectionViewDataSource, UICollectionViewDelegateFlowLayout {\n\n    func collectionView(_ collectionView: UICollectionView, numberOfItemsInSection section: Int) -> Int {\n        emptyCardView.isHidden = (presenter.numberOfItemsInSection(section: section) == 0) ? false : true\n        return presenter.numberOfItemsInSection(section: section)\n    }\n\n    func collectionView(_ collectionView: UICollectionView, cellForItemAt indexPath: IndexPath) -> UICollectionViewCell {\n        guard let cell = paymentCollectionView.dequeueReusableCell(\n            withReuseIdentifier: CardCell.identifier,\n            for: indexPath\n        ) as? CardCell else {\n            return UICollectionViewCell()\n        }\n        cell.layer.borderWidth = 1\n        cell.layer.borderColor = UIColor.label.cgColor\n        cell.layer.cornerRadius = 8\n        cell.backgroundColor = .systemBackground\n        cell.delegate = self\n        cell.showModel(model: presenter.cellForItemAt(indexPath: indexPath))\n        return cell\n    }\n\n    func collectionView(_ collectionView: UICollectionView, layout collectionViewLayout: UICollectionViewLayout, sizeForItemAt indexPath: IndexPath) -> CGSize {\n        return presenter.sizeForItemAt(indexPath: indexPath)\n    }\n\n    func collectionView(_ collectionView: UICollectionView, didSelectItemAt indexPath: IndexPath) {\n        paymentCollectionView.deselectItem(at: indexPath, animated: true)\n        presenter.didSelectItemAt(indexPath: indexPath)\n    }\n}"
+            },
+            {
+                "section": "20.6 PaymentInfo Module — управление картами",
+                "subsection": "CardCell",
+                "anchor": "cardcell",
+                "text": "",
+                "code": "// Modules/PaymentInfo/UIComponents/Cells/CardCell.swift\nimport UIKit\n\nprotocol CardCellTrashButtonDelegate: AnyObject {\n    func trashTapped(model: CardModel?)\n}\n\nclass CardCell: UICollectionViewCell {\n\n    static let identifier = \"CardCell\"\n\n    private lazy var cardNameLabel: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 20, weight: .thin)\n        return label\n    }()\n\n    private lazy var cardNumber: UILabel = {\n        let label = UILabel()\n        label.font = .systemFont(ofSize: 16)\n        return label\n    }()\n\n    private lazy var trashButton: UIButton = {\n        let button = UIButton()\n        button.setImage(\n            UIImage(systemName: \"trash\", withConfiguration: UIImage.SymbolConfiguration(pointSize: 18)),\n            for: .normal\n        )\n        button.tintColor = .systemRed\n        button.addTarget(self, action: #selector(trashButtonTapped), for: .touchUpInside)\n        return button\n    }()\n\n    private lazy var vStackView: UIStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [cardNameLabel, cardNumber],\n            spacing: 16\n        )\n        stackView.alignment = .leading\n        return stackView\n    }()\n\n    private var model: CardModel?\n    weak var delegate: CardCellTrashButtonDelegate?\n\n    override init(frame: CGRect) {\n        super.init(frame: frame)\n        setConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setConstraints() {\n        addSubview(vStackView)\n        contentView.addSubview(trashButton)\n\n        trashButton.snp.makeConstraints { make in\n            make.right.equalTo(contentView.snp.right).inset(16)\n            make.top.equalToSuperview().offset(14)\n        }\n\n        vStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    @objc private func trashButtonTapped() {\n        delegate?.trashTapped(model: self.model)\n    }\n\n    func showModel(model: CardModel?) {\n        self.model = model\n        self.cardNameLabel.text = model?.cardName ?? \"\"\n        self.cardNumber.text = model?.cardNumber\n    }\n}"
+            },
+            {
+                "section": "20.7 OrderHistory Module — история заказов",
+                "subsection": "",
+                "anchor": "20-7-orderhistory-module-istoriya-zakazov",
+                "text": "Firestore Query с фильтрацией:",
+                "code": "// Modules/OrderHistory/Controller/OrderHistoryViewController.swift\nimport UIKit\nimport FirebaseFirestore\n\nfinal class OrderHistoryViewController: UIViewController {\n\n    private lazy var ordersTableView: UITableView = {\n        let tableView = UITableView()\n        tableView.delegate = self\n        tableView.dataSource = self\n        tableView.register(OrderCell.self, forCellReuseIdentifier: OrderCell.identifier)\n        tableView.rowHeight = UITableView.automaticDimension\n        tableView.backgroundColor = .systemGray6\n        return tableView\n    }()\n\n    private var orders: [OrderModel] = []\n\n    private let userInfoManager: UserInfoManagerProtocol = UserInfoManager()\n\n    override func viewDidLoad() {\n        super.viewDidLoad()\n\n        self.title = \"Order History\"\n        setupConstraints()\n        getOrders()\n    }\n\n    private func setupConstraints() {\n        view.addSubview(ordersTableView)\n\n        ordersTableView.snp.makeConstraints { make in\n            make.edges.equalToSuperview()\n        }\n    }\n\n    private func getOrders() {\n        if let userId = userInfoManager.getUserUid() {\n            Firestore.firestore()\n                .collection(\"Orders\")\n                .whereField(\"userId\", isEqualTo: userId)\n                .addSnapshotListener { [weak self] snapshot, error in\n                    guard let self else { return }\n\n                    if let error {\n                        showAlert(title: \"\", message: error.localizedDescription)\n                        return\n                    } else {\n                        guard let documents = snapshot?.documents else { return }\n                        self.orders = []\n                        for document in documents {\n                            if let date = document.get(\"date\") as? Timestamp,\n                               let products = document.get(\"products\") as? [String: Int],\n                               let total = document.get(\"total\") as? Double\n                            {\n                                let order = OrderModel(date: date, products: products, total: total)\n                                self.orders.append(order)\n                                self.ordersTableView.reloadData()\n                            }\n                        }\n                    }\n                }\n        }\n    }\n}\n\nextension OrderHistoryViewController: UITableViewDelegate, UITableViewDataSource {\n\n    func tableView(_ tableView: UITableView, numberOfRowsInSection section: Int) -> Int {\n        return self.orders.count\n    }\n\n    func tableView(_ tableView: UITableView, cellForRowAt indexPath: IndexPath) -> UITableViewCell {\n        guard let cell = ordersTableView.dequeueReusableCell(\n            withIdentifier: OrderCell.identifier,\n            for: indexPath\n        ) as? OrderCell else {\n            return UITableViewCell()\n        }\n        cell.showModel(order: self.orders[indexPath.row])\n        cell.selectionStyle = .none\n        cell.backgroundColor = .systemBackground\n        return cell\n    }\n}\n\nstruct OrderModel {\n    let date: Timestamp\n    let products: [String: Int]\n    let total: Double\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│              Firestore Order History Query                           │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│   Firestore.firestore()                                              │\n│       .collection(\"Orders\")                                          │\n│       .whereField(\"userId\", isEqualTo: userId)  ← фильтрация        │\n│       .addSnapshotListener { snapshot, error in ... }                │\n│                                                                      │\n│   Firestore Collection: \"Orders\"                                     │\n│   ┌─────────────────────────────────────────────────────────────┐   │\n│   │  Document 1                                                  │   │\n│   │  ├── userId: \"user1\"  ✓                                      │   │\n│   │  ├── date: Timestamp                                         │   │\n│   │  ├── products: {\"iPhone\": 2, \"AirPods\": 1}                   │   │\n│   │  └── total: 1299.99                                          │   │\n│   ├─────────────────────────────────────────────────────────────┤   │\n│   │  Document 2                                                  │   │\n│   │  ├── userId: \"user2\"  ✗ (не включается)                      │   │\n│   │  └── ...                                                     │   │\n│   ├─────────────────────────────────────────────────────────────┤   │\n│   │  Document 3                                                  │   │\n│   │  ├── userId: \"user1\"  ✓                                      │   │\n│   │  ├── date: Timestamp                                         │   │\n│   │  ├── products: {\"MacBook\": 1}                                │   │\n│   │  └── total: 1999.00                                          │   │\n│   └─────────────────────────────────────────────────────────────┘   │\n│                                                                      │\n│   addSnapshotListener — real-time updates                            │\n│   (если добавится новый заказ, UI обновится автоматически)          │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.7 OrderHistory Module — история заказов",
+                "subsection": "OrderCell",
+                "anchor": "ordercell",
+                "text": "Визуальная структура ячейки заказа:",
+                "code": "// Modules/OrderHistory/Cells/OrderCell.swift\nimport UIKit\n\nfinal class OrderCell: UITableViewCell {\n\n    static let identifier = \"OrderCell\"\n\n    private lazy var orderDateLabel: UILabel = {\n        let label = UILabel()\n        label.numberOfLines = 0\n        label.textColor = .label\n        label.font = .boldSystemFont(ofSize: 18)\n        return label\n    }()\n\n    private lazy var productsLabel: UILabel = {\n        let label = UILabel()\n        label.numberOfLines = 0\n        label.textColor = .label\n        label.font = .systemFont(ofSize: 18)\n        return label\n    }()\n\n    private lazy var totalPriceLabel: UILabel = {\n        let label = UILabel()\n        label.numberOfLines = 0\n        label.textColor = .label\n        label.font = .boldSystemFont(ofSize: 18)\n        return label\n    }()\n\n    private lazy var vStackView: VerticalStackView = {\n        let stackView = VerticalStackView(\n            arrangedSubviews: [orderDateLabel, productsLabel, totalPriceLabel],\n            spacing: 16\n        )\n        stackView.alignment = .center\n        return stackView\n    }()\n\n    override init(style: UITableViewCell.CellStyle, reuseIdentifier: String?) {\n        super.init(style: style, reuseIdentifier: reuseIdentifier)\n        setupConstraints()\n    }\n\n    required init?(coder: NSCoder) {\n        fatalError(\"init(coder:) has not been implemented\")\n    }\n\n    private func setupConstraints() {\n        addSubview(vStackView)\n\n        vStackView.snp.makeConstraints { make in\n            make.edges.equalToSuperview().inset(16)\n        }\n    }\n\n    func showModel(order: OrderModel) {\n        let timestamp: TimeInterval = TimeInterval(order.date.seconds)\n        let date = Date(timeIntervalSince1970: timestamp)\n\n        let dateFormatter = DateFormatter()\n        dateFormatter.dateFormat = \"MMM d, yyyy 'at' h:mm:ss a\"\n\n        let dateString = dateFormatter.string(from: date)\n\n        orderDateLabel.text = dateString\n        let formattedPrice = String(format: \"%.2f\", order.total)\n        totalPriceLabel.text = \"TOTAL: $\" + formattedPrice\n\n        var productsText = \"\"\n        for (key, value) in order.products {\n            productsText += \"🛍️\" + key + \" ⎯ \\(value)\" + \"\\n\"\n        }\n        productsLabel.text = productsText\n    }\n}\n┌─────────────────────────────────────────────────────────────────────┐\n│                      OrderCell (dynamic height)                      │\n├─────────────────────────────────────────────────────────────────────┤\n│                                                                      │\n│  ┌───────────────────────────────────────────────────────────────┐  │\n│  │                                                                │  │\n│  │                   Mar 14, 2023 at 3:26:10 PM                  │  │\n│  │                   (orderDateLabel - bold 18)                  │  │\n│  │                                                                │  │\n│  │                   spacing: 16pt                                │  │\n│  │                                                                │  │\n│  │                   🛍️ iPhone 14 Pro ⎯ 2                        │  │\n│  │                   🛍️ AirPods Pro ⎯ 1                          │  │\n│  │                   🛍️ MacBook Air ⎯ 1                          │  │\n│  │                   (productsLabel - regular 18)                │  │\n│  │                                                                │  │\n│  │                   spacing: 16pt                                │  │\n│  │                                                                │  │\n│  │                   TOTAL: $3499.97                             │  │\n│  │                   (totalPriceLabel - bold 18)                 │  │\n│  │                                                                │  │\n│  └───────────────────────────────────────────────────────────────┘  │\n│                                                                      │\n│  VStackView (alignment: .center, spacing: 16, inset: 16)            │\n│  rowHeight = UITableView.automaticDimension                         │\n│                                                                      │\n└─────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.8 Полная архитектура приложения",
+                "subsection": "",
+                "anchor": "20-8-polnaya-arhitektura-prilozheniya",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    ECommerce App Architecture                            │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│  ┌────────────────────────────────────────────────────────────────────┐ │\n│  │                        UITabBarController                           │ │\n│  │  ┌──────────┬──────────┬──────────┬──────────┬──────────┐          │ │\n│  │  │   Home   │  Search  │  Basket  │Favorites │  Profile │          │ │\n│  │  │   🏠     │   🔍     │   🛒     │    ❤️    │    👤    │          │ │\n│  │  └────┬─────┴────┬─────┴────┬─────┴────┬─────┴────┬─────┘          │ │\n│  └───────│──────────│──────────│──────────│──────────│────────────────┘ │\n│          │          │          │          │          │                   │\n│          ↓          ↓          ↓          ↓          ↓                   │\n│  ┌───────────┐ ┌───────────┐ ┌───────────┐ ┌───────────┐ ┌───────────┐  │\n│  │   Home    │ │  Search   │ │  Basket   │ │ Favorites │ │  Profile  │  │\n│  │   VIPER   │ │   VIPER   │ │   VIPER   │ │   VIPER   │ │   VIPER   │  │\n│  └─────┬─────┘ └─────┬─────┘ └─────┬─────┘ └─────┬─────┘ └─────┬─────┘  │\n│        │             │             │             │             │         │\n│        ↓             ↓             ↓             ↓             ↓         │\n│  ┌───────────┐       │       ┌───────────┐       │       ┌───────────┐  │\n│  │ Product   │       │       │ Complete  │       │       │ Addresses │  │\n│  │ Detail    │←──────┘       │ Order     │       │       │   VIPER   │  │\n│  │   VIPER   │               │   VIPER   │       │       └───────────┘  │\n│  └───────────┘               └───────────┘       │       ┌───────────┐  │\n│                                                  │       │ Payment   │  │\n│                                                  │       │ Info      │  │\n│                                                  │       │   VIPER   │  │\n│                                                  │       └───────────┘  │\n│                                                  │       ┌───────────┐  │\n│                                                  │       │ Order     │  │\n│                                                  │       │ History   │  │\n│                                                  │       │   MVC     │  │\n│                                                  │       └───────────┘  │\n│                                                  │                       │\n├──────────────────────────────────────────────────┴───────────────────────┤\n│                          Shared Services                                 │\n├──────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│  ┌──────────────┐  ┌──────────────┐  ┌──────────────┐  ┌──────────────┐ │\n│  │ AuthManager  │  │ UserInfo     │  │ RealmManager │  │ BasketManager│ │\n│  │ (Firebase)   │  │ Manager      │  │ (Local DB)   │  │ (Firestore)  │ │\n│  └──────────────┘  └──────────────┘  └──────────────┘  └──────────────┘ │\n│                                                                          │\n└──────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "20.9 Полная структура проекта",
+                "subsection": "",
+                "anchor": "20-9-polnaya-struktura-proekta",
+                "text": "",
+                "code": "ECommerce/\n├── Application/\n│   ├── AppDelegate.swift\n│   ├── SceneDelegate.swift\n│   └── Info.plist\n│\n├── Core/\n│   ├── Extensions/\n│   │   ├── UIView+Extensions.swift\n│   │   ├── UIViewController+Extensions.swift\n│   │   └── Notification+Extensions.swift\n│   ├── Helpers/\n│   │   ├── VerticalStackView.swift\n│   │   ├── PaddingLabel.swift\n│   │   └── UIScreenBounds.swift\n│   └── Protocols/\n│       └── RootWindowManagerProtocol.swift\n│\n├── Entities/\n│   ├── Enums/\n│   │   ├── ProfileRowItem.swift\n│   │   ├── FirebaseError.swift\n│   │   ├── GeneralError.swift\n│   │   ├── NetworkError.swift\n│   │   └── RealmError.swift\n│   └── Models/\n│       ├── CurrentUserModel.swift\n│       ├── ProfileRowItemModel.swift\n│       ├── ResponseModels/\n│       │   ├── ProductModel.swift\n│       │   ├── Categories.swift\n│       │   └── CountryModel.swift\n│       └── StorageModels/\n│           ├── AddressModel.swift\n│           ├── CardModel.swift\n│           ├── BasketModel.swift\n│           └── FavoriteProductModel.swift\n│\n├── Managers/\n│   ├── AuthManager/\n│   │   └── AuthManager.swift\n│   ├── UserInfoManager/\n│   │   └── UserInfoManager.swift\n│   ├── RealmManager/\n│   │   └── RealmManager.swift\n│   ├── BasketManager/\n│   │   └── BasketManager.swift\n│   └── RootWindowManager/\n│       └── RootWindowManager.swift\n│\n├── Services/\n│   ├── ProductsService.swift\n│   ├── CategoriesService.swift\n│   └── CountriesService.swift\n│\n├── Modules/\n│   ├── Onboarding/\n│   │   └── ... (VIPER)\n│   ├── Login/\n│   │   └── ... (VIPER)\n│   ├── SignUp/\n│   │   └── ... (VIPER)\n│   ├── Home/\n│   │   └── ... (VIPER)\n│   ├── ProductDetail/\n│   │   └── ... (VIPER)\n│   ├── Basket/\n│   │   └── ... (VIPER)\n│   ├── CompleteOrder/\n│   │   └── ... (VIPER)\n│   ├── Favorites/\n│   │   └── ... (VIPER)\n│   ├── Profile/\n│   │   ├── Base/\n│   │   │   ├── ProfileRouter.swift\n│   │   │   ├── ProfileInteractor.swift\n│   │   │   ├── ProfilePresenter.swift\n│   │   │   └── ProfileViewController.swift\n│   │   └── UIComponents/\n│   │       ├── Cells/\n│   │       │   └── ProfileCell.swift\n│   │       └── CustomViews/\n│   │           └── UserInfoView.swift\n│   ├── Addresses/\n│   │   ├── Base/\n│   │   │   ├── AddressesRouter.swift\n│   │   │   ├── AddressesInteractor.swift\n│   │   │   ├── AddressesPresenter.swift\n│   │   │   └── AddressesViewController.swift\n│   │   ├── AddAddress/\n│   │   │   ├── AddAddressViewController.swift\n│   │   │   └── AddAddressView.xib\n│   │   └── UIComponents/\n│   │       ├── Cells/\n│   │       │   └── AddressCell.swift\n│   │       └── CustomViews/\n│   │           └── EmptyAddressesView.swift\n│   ├── PaymentInfo/\n│   │   ├── Base/\n│   │   │   ├── PaymentInfoRouter.swift\n│   │   │   ├── PaymentInfoInteractor.swift\n│   │   │   ├── PaymentInfoPresenter.swift\n│   │   │   └── PaymentInfoViewController.swift\n│   │   ├── AddCard/\n│   │   │   ├── AddCardViewController.swift\n│   │   │   └── AddCardView.xib\n│   │   └── UIComponents/\n│   │       ├── Cells/\n│   │       │   └── CardCell.swift\n│   │       └── CustomViews/\n│   │           └── EmptyCardView.swift\n│   └── OrderHistory/\n│       ├── Controller/\n│       │   └── OrderHistoryViewController.swift\n│       └── Cells/\n│           └── OrderCell.swift\n│\n└── Resources/\n    ├── Assets.xcassets\n    ├── LaunchScreen.storyboard\n    └── GoogleService-Info.plist"
+            },
+            {
+                "section": "20.10 Итоги главы",
+                "subsection": "",
+                "anchor": "20-10-itogi-glavy",
+                "text": "В этой главе мы создали: Модуль Архитектура Хранение Описание ProfileVIPERFirebase AuthИнформация о пользователе AddressesVIPERRealmАдреса доставки PaymentInfoVIPERRealmПлатёжные карты OrderHistoryMVCFirestoreИстория заказов Ключевые паттерны: NotificationCenter — для передачи данных между экранами Delegate Pattern — для кнопок в ячейках UIPickerView as inputView — для выбора страны Firestore SnapshotListener — для real-time обновлений Realm filtering — фильтрация по userId",
+                "code": ""
+            },
+            {
+                "section": "Заключение книги",
+                "subsection": "",
+                "anchor": "zaklyuchenie-knigi",
+                "text": "Поздравляем! Вы прошли полный путь от основ Swift до создания полноценного iOS-приложения интернет-магазина.",
+                "code": ""
+            },
+            {
+                "section": "Заключение книги",
+                "subsection": "Что вы изучили:",
+                "anchor": "chto-vy-izuchili",
+                "text": "Swift (Главы 1-10) Переменные, типы данных, операторы Условия, циклы, коллекции Функции и замыкания ООП: классы, структуры, перечисления Протоколы и расширения Опционалы и обработка ошибок Управление памятью (ARC) Дженерики Многопоточность UIKit (Главы 11-12) Иерархия классов UIKit UIView, UIViewController TableView, CollectionView Навигация и TabBar Auto Layout и SnapKit Анимации Архитектура (Глава 13) Паттерн VIPER Разделение ответственности Протоколы и модули Практика (Главы 14-20) Настройка проекта Firebase Authentication Работа с API (Fake Store API) Realm Database Firestore для облачных данных Полноценные VIPER-модули",
+                "code": ""
+            },
+            {
+                "section": "Заключение книги",
+                "subsection": "Технологии в проекте:",
+                "anchor": "tehnologii-v-proekte",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────┐\n│                    Technology Stack                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  Language:     Swift 5.9                                         │\n│  UI:           UIKit (programmatic)                              │\n│  Architecture: VIPER                                             │\n│  Layout:       SnapKit (Auto Layout wrapper)                     │\n│  Images:       SDWebImage (async loading + caching)              │\n│  Auth:         Firebase Authentication                           │\n│  Cloud DB:     Firebase Firestore                                │\n│  Local DB:     Realm                                             │\n│  API:          URLSession + Codable                              │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "Заключение книги",
+                "subsection": "Следующие шаги:",
+                "anchor": "sleduyuschie-shagi",
+                "text": "SwiftUI — современный декларативный UI-фреймворк Combine — реактивное программирование Core Data — альтернатива Realm от Apple Unit Testing — тестирование кода CI/CD — автоматизация сборки и деплоя",
+                "code": ""
+            },
+            {
+                "section": "Заключение книги",
+                "subsection": "Ресурсы для продолжения обучения:",
+                "anchor": "resursy-dlya-prodolzheniya-obucheniya",
+                "text": "Swift Documentation Apple Developer Hacking with Swift Ray Wenderlich Удачи в iOS-разработке!",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/21-reusable-views.html",
+        "chapter": "Глава 21",
+        "title": "Создание переиспользуемых UI-компонентов",
+        "sections": [
+            {
+                "section": "Введение",
+                "subsection": "",
+                "anchor": "vvedenie",
+                "text": "В этой главе мы изучим, как создавать переиспользуемые UI-компоненты на примере библиотеки DSKit. Это декларативный подход к построению интерфейсов в UIKit, который значительно ускоряет разработку. Что такое Reusable Views?",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    Традиционный vs Декларативный                         │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Традиционный UIKit:                                                    │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  • Создаём UIView/UITableViewCell                                │   │\n│   │  • Настраиваем constraints вручную                               │   │\n│   │  • Конфигурируем каждый subview отдельно                        │   │\n│   │  • Много повторяющегося кода                                     │   │\n│   │  • Сложно переиспользовать между проектами                      │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Декларативный подход (DSKit):                                         │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  • Описываем ЧТО показать, а не КАК                             │   │\n│   │  • Готовые view models (кнопки, карточки, текст)                │   │\n│   │  • Автоматическая компоновка через .list() и .grid()            │   │\n│   │  • Минимум кода, максимум переиспользования                     │   │\n│   │  • Темизация через Appearance                                   │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.1 Архитектура DSKit",
+                "subsection": "Основные компоненты",
+                "anchor": "osnovnye-komponenty",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                        DSKit Architecture                                │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   DSViewController                                                       │\n│   ├── show(content: [DSSection])      ← основной контент                │\n│   ├── showTop(content: DSSection)     ← верхняя панель (фильтры)        │\n│   └── showBottom(content: DSSection)  ← нижняя панель (кнопки)          │\n│                                                                          │\n│   DSSection                                                              │\n│   ├── [DSViewModel].list()            ← вертикальный список             │\n│   ├── [DSViewModel].grid()            ← сетка                           │\n│   ├── header                          ← заголовок секции                │\n│   └── zeroLeftRightInset()            ← без боковых отступов            │\n│                                                                          │\n│   DSViewModel (протокол)                                                 │\n│   ├── DSActionVM      ← интерактивная карточка                          │\n│   ├── DSButtonVM      ← кнопка                                          │\n│   ├── DSTextFieldVM   ← поле ввода                                      │\n│   ├── DSImageVM       ← изображение                                     │\n│   ├── DSLabelVM       ← текст                                           │\n│   ├── DSCardVM        ← карточка с фоном                                │\n│   ├── DSPageControlVM ← page control                                    │\n│   ├── DSSpaceVM       ← пустое пространство                             │\n│   └── DSQuantityPickerVM ← picker количества                            │\n│                                                                          │\n│   DSTextComposer                                                         │\n│   ├── add(type:text:)  ← добавить текст                                 │\n│   ├── add(price:)      ← добавить цену                                  │\n│   ├── add(rating:)     ← добавить рейтинг                               │\n│   └── actionViewModel() ← создать DSActionVM                            │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.1 Архитектура DSKit",
+                "subsection": "Подключение DSKit",
+                "anchor": "podklyuchenie-dskit",
+                "text": "",
+                "code": "// Package.swift или SPM\ndependencies: [\n    .package(url: \"https://github.com/imodeveloperlab/dskit\", from: \"1.0.0\")\n]\n\n// В файле\nimport DSKit"
+            },
+            {
+                "section": "21.2 DSViewController — базовый контроллер",
+                "subsection": "",
+                "anchor": "21-2-dsviewcontroller-bazovyy-kontroller",
+                "text": "Методы отображения контента:",
+                "code": "import DSKit\n\nopen class Home1ViewController: DSViewController {\n\n    open override func viewDidLoad() {\n        super.viewDidLoad()\n        update()\n    }\n\n    func update() {\n        // Показываем несколько секций\n        show(content: [\n            userProfileSection(),\n            productsGallery(),\n            newArrivals()\n        ])\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                      DSViewController Layout                             │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │                     showTop(content:)                            │   │\n│   │                     (фильтры, сортировка)                        │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │                                                                  │   │\n│   │                                                                  │   │\n│   │                     show(content:)                               │   │\n│   │                     (основной скроллящийся контент)              │   │\n│   │                                                                  │   │\n│   │                                                                  │   │\n│   │                                                                  │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │                     showBottom(content:)                         │   │\n│   │                     (кнопки действий, итоги)                     │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.3 DSTextComposer — композиция текста",
+                "subsection": "",
+                "anchor": "21-3-dstextcomposer-kompozitsiya-teksta",
+                "text": "DSTextComposer позволяет создавать сложные текстовые блоки декларативно: Типы текста: Добавление цены и рейтинга: Визуализация:",
+                "code": "func userProfileSection() -> DSSection {\n\n    // Создаём композер\n    let composer = DSTextComposer()\n\n    // Добавляем заголовок\n    composer.add(type: .headlineWithSize(30), text: \"Shop\")\n\n    // Добавляем подзаголовок\n    composer.add(type: .subheadline, text: \"Over 45k items available for you\")\n\n    // Преобразуем в action view model\n    var action = composer.actionViewModel()\n\n    // Добавляем круглую картинку справа\n    action.rightRoundImage(\n        url: URL(string: \"https://example.com/profile.jpg\"),\n        size: CGSize(width: 60, height: 60)\n    )\n\n    action.style.displayStyle = .default\n\n    // Преобразуем в секцию-список\n    return action.list()\n}\n// Доступные типы текста\ncomposer.add(type: .headline, text: \"...\")        // Заголовок\ncomposer.add(type: .headlineWithSize(20), text: \"...\") // С размером\ncomposer.add(type: .subheadline, text: \"...\")     // Подзаголовок\ncomposer.add(type: .body, text: \"...\")            // Основной текст\ncomposer.add(type: .callout, text: \"...\")         // Выноска\ncomposer.add(type: .title1, text: \"...\")          // Большой заголовок\ncomposer.add(type: .title2, text: \"...\")          // Средний заголовок\n\n// Кастомный текст\ncomposer.add(\n    type: .text(font: .headlineWithSize(14), color: .white),\n    text: \"Custom text\"\n)\nlet composer = DSTextComposer(alignment: .natural)\n\n// Заголовок товара\ncomposer.add(type: .headlineWithSize(16), text: \"Beats Solo Pro\")\n\n// Описание\ncomposer.add(type: .subheadline, text: \"Active Noise Cancelling\")\n\n// Цена\ncomposer.add(price: DSPrice.random(), spacing: 5)\n\n// Рейтинг звёздами\ncomposer.add(\n    rating: 4,\n    maximumValue: 5,\n    positiveSymbol: \"star.fill\",\n    negativeSymbol: \"star\",\n    style: .medium,\n    tint: .custom(.systemYellow),\n    spacing: 3\n)\n┌─────────────────────────────────────────────────────────────────┐\n│                    DSTextComposer Result                         │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   ┌───────────────────────────────────────────────────────────┐ │\n│   │  Beats Solo Pro                 (headlineWithSize(16))    │ │\n│   │  Active Noise Cancelling        (subheadline)             │ │\n│   │                                                            │ │\n│   │  $299.00  $399.00               (price with discount)     │ │\n│   │  ★★★★☆                          (rating 4/5)              │ │\n│   └───────────────────────────────────────────────────────────┘ │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.4 DSActionVM — интерактивные карточки",
+                "subsection": "",
+                "anchor": "21-4-dsactionvm-interaktivnye-kartochki",
+                "text": "DSActionVM — универсальный компонент для создания интерактивных элементов:",
+                "code": ""
+            },
+            {
+                "section": "21.4 DSActionVM — интерактивные карточки",
+                "subsection": "Простая карточка",
+                "anchor": "prostaya-kartochka",
+                "text": "",
+                "code": "func category(title: String, description: String, image: URL? = nil) -> DSViewModel {\n\n    // Создаём action с заголовком, подзаголовком и стрелкой\n    var category = DSActionVM(\n        title: title,\n        subtitle: description,\n        arrow: true\n    ) { [unowned self] action in\n        self.dismiss()\n    }\n\n    // Добавляем изображение слева\n    if let image = image {\n        category.leftImage(\n            url: image,\n            size: .size(CGSize(width: 60, height: 60))\n        )\n    }\n\n    // Фиксированная высота\n    category.height = .absolute(80)\n\n    return category\n}"
+            },
+            {
+                "section": "21.4 DSActionVM — интерактивные карточки",
+                "subsection": "Карточка товара",
+                "anchor": "kartochka-tovara",
+                "text": "Визуализация карточки товара:",
+                "code": "func product(title: String, description: String, image: URL? = nil, badge: String? = nil) -> DSViewModel {\n\n    // Текст\n    let composer = DSTextComposer(alignment: .natural)\n    composer.add(type: .headlineWithSize(16), text: title)\n    composer.add(type: .subheadline, text: description)\n    composer.add(price: DSPrice.random(), spacing: 5)\n    composer.add(\n        rating: 4,\n        maximumValue: 5,\n        positiveSymbol: \"star.fill\",\n        negativeSymbol: \"star\",\n        style: .medium,\n        tint: .custom(.systemYellow),\n        spacing: 3\n    )\n\n    // Action\n    var action = composer.actionViewModel()\n\n    // Изображение слева\n    action.leftImage(url: image, size: .size(.init(width: 90, height: 100)))\n\n    // Picker количества снизу\n    action.bottomSideView = quantityPickerSideView()\n\n    // Обработчик нажатия\n    action.didTap { [unowned self] (_ :DSCardVM) in\n        self.dismiss()\n    }\n\n    return action\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                     Product Card Layout                          │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌─────────────────────────────────────────────────────────────┐│\n│  │                                                              ││\n│  │  ┌────────┐  Beats Solo Pro                                 ││\n│  │  │        │  Active Noise Cancelling (ANC)                  ││\n│  │  │ [IMG]  │                                                  ││\n│  │  │ 90x100 │  $299.00  $399.00                               ││\n│  │  │        │  ★★★★☆                                          ││\n│  │  └────────┘                                                  ││\n│  │                                                              ││\n│  │  ┌─ bottomSideView ─────────────────────────────────────┐   ││\n│  │  │  [-]  2 Items  [+]                         🗑️         │   ││\n│  │  └────────────────────────────────────────────────────────┘  ││\n│  │                                                              ││\n│  └─────────────────────────────────────────────────────────────┘│\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.4 DSActionVM — интерактивные карточки",
+                "subsection": "Методы DSActionVM",
+                "anchor": "metody-dsactionvm",
+                "text": "",
+                "code": "var action = DSActionVM(title: \"Title\")\n\n// Изображения\naction.leftImage(url: url, size: .size(CGSize(width: 60, height: 60)))\naction.rightImage(url: url, size: .size(CGSize(width: 40, height: 40)))\naction.topImage(url: url, height: .absolute(200), contentMode: .scaleAspectFill)\naction.rightRoundImage(url: url, size: CGSize(width: 50, height: 50))\n\n// Иконки\naction.rightIcon(sfSymbolName: \"chevron.right\")\naction.leftSFSymbol(name: \"heart.fill\", style: .medium)\n\n// Текст справа\nlet rightComposer = DSTextComposer()\nrightComposer.add(type: .subheadline, text: \"All\")\naction.rightText(composer: rightComposer)\n\n// Side views\naction.bottomSideView = DSSideView(view: someViewModel)\naction.rightSideView = DSSideView(view: anotherViewModel)\n\n// Supplementary views (badges, buttons)\naction.supplementaryItems = [badgeView(), likeButton()]\n\n// Стили\naction.style.displayStyle = .default  // или .grouped\naction.height = .absolute(80)\naction.width = .absolute(200)"
+            },
+            {
+                "section": "21.5 DSCardVM — карточки с фоновым изображением",
+                "subsection": "",
+                "anchor": "21-5-dscardvm-kartochki-s-fonovym-izobrazheniem",
+                "text": "DSCardVM идеально подходит для товаров с красивыми фотографиями: Визуализация карточки с градиентом:",
+                "code": "func product(title: String, description: String, image: URL? = nil, badge: String? = nil) -> DSViewModel {\n\n    // Текст с кастомными цветами для тёмного фона\n    let composer = DSTextComposer(alignment: .center)\n    composer.add(\n        type: .text(font: .headlineWithSize(14), color: .white),\n        text: title\n    )\n    composer.add(\n        type: .text(font: .headlineWithSize(12), color: .custom(.lightGray)),\n        text: description\n    )\n\n    // Кастомные цвета цены\n    let priceColors = DSDesignablePriceColor(\n        currency: .white,\n        amount: .white,\n        regularAmount: .lightGray,\n        badgeBackground: .systemRed,\n        badgeText: .white,\n        badgeCornerRadius: 5\n    )\n    composer.add(price: DSPrice.random(), color: .custom(priceColors))\n\n    // Карточка с фоновым изображением\n    var card = DSCardVM(\n        composer: composer,\n        textPosition: .bottom,\n        backgroundImage: .imageURL(url: image)\n    )\n\n    card.height = .absolute(250)\n\n    // Градиент снизу для читаемости текста\n    card.gradientTopPosition = 0.6\n    card.gradientBottomPosition = 1.0\n    card.gradientTopColor = UIColor.black.withAlphaComponent(0.0)\n    card.gradientBottomColor = UIColor.black.withAlphaComponent(1.0)\n\n    // Кнопка лайка\n    card.supplementaryItems = [likeButton()]\n\n    // Badge \"SALES\"\n    if let badge = badge {\n        card.supplementaryItems?.append(label(title: badge))\n    }\n\n    card.didTap { [unowned self] (_ :DSCardVM) in\n        self.dismiss()\n    }\n\n    return card\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                     DSCardVM with Gradient                       │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌───────────────────────────────────────────────────────────┐  │\n│  │  ┌─────┐                                        ┌───────┐ │  │\n│  │  │SALES│ (badge)                                │  ♥️   │ │  │\n│  │  └─────┘                                        └───────┘ │  │\n│  │                                                            │  │\n│  │                   [Background Image]                       │  │\n│  │                                                            │  │\n│  │  ░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░░  │  │\n│  │  ▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓ gradient ▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓▓  │  │\n│  │  ████████████████████████████████████████████████████████  │  │\n│  │                   Suede Chuck-a Boots                      │  │\n│  │                     River Island                           │  │\n│  │                      $129.00                               │  │\n│  │                                                            │  │\n│  └───────────────────────────────────────────────────────────┘  │\n│                                                                  │\n│  textPosition: .bottom                                          │\n│  gradientTopPosition: 0.6 (60% от верха)                        │\n│  gradientBottomPosition: 1.0 (до низа)                          │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.6 Supplementary Views — badges и кнопки",
+                "subsection": "",
+                "anchor": "21-6-supplementary-views-badges-i-knopki",
+                "text": "Supplementary views позволяют добавлять элементы поверх основного контента:",
+                "code": ""
+            },
+            {
+                "section": "21.6 Supplementary Views — badges и кнопки",
+                "subsection": "Badge (метка)",
+                "anchor": "badge-metka",
+                "text": "",
+                "code": "func label(title: String) -> DSSupplementaryView {\n\n    let label = DSLabelVM(.headlineWithSize(12), text: title)\n\n    let supView = DSSupplementaryView(\n        view: label,\n        position: .leftTop,\n        background: .primary,\n        insets: .small,\n        cornerRadius: .custom(5)\n    )\n\n    return supView\n}"
+            },
+            {
+                "section": "21.6 Supplementary Views — badges и кнопки",
+                "subsection": "Кнопка лайка",
+                "anchor": "knopka-layka",
+                "text": "",
+                "code": "func likeButton() -> DSSupplementaryView {\n\n    let composer = DSTextComposer()\n    composer.add(\n        sfSymbol: \"heart.fill\",\n        style: .medium,\n        tint: .custom(Int.random(in: 0...1) == 0 ? .red : .white)\n    )\n\n    var action = DSActionVM(composer: composer)\n\n    action.didTap { [unowned self] (_: DSActionVM) in\n        self.dismiss()\n    }\n\n    let supView = DSSupplementaryView(\n        view: action,\n        position: .rightTop,\n        background: .lightBlur,\n        insets: .small,\n        cornerRadius: .custom(10)\n    )\n\n    return supView\n}"
+            },
+            {
+                "section": "21.6 Supplementary Views — badges и кнопки",
+                "subsection": "Badge с числом",
+                "anchor": "badge-s-chislom",
+                "text": "Позиции supplementary views:",
+                "code": "func badgeView(count: Int) -> DSSupplementaryView {\n\n    var label = DSLabelVM(\n        .text(font: .headlineWithSize(12), color: .white),\n        text: count.string(),\n        alignment: .center\n    )\n\n    label.width = .absolute(25)\n    label.height = .absolute(25)\n\n    return label.asSupplementary(\n        position: .rightCenter,\n        background: .custom(UIColor.systemRed),\n        insets: .insets(.zero),\n        offset: .custom(CGPoint(x: 30, y: 0)),\n        cornerRadius: .custom(10)\n    )\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                  Supplementary View Positions                    │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌───────────────────────────────────────────────────────────┐  │\n│  │                                                            │  │\n│  │  .leftTop                              .rightTop           │  │\n│  │     ●                                      ●               │  │\n│  │                                                            │  │\n│  │                                                            │  │\n│  │  .leftCenter                          .rightCenter         │  │\n│  │     ●              [Content]               ●               │  │\n│  │                                                            │  │\n│  │                                                            │  │\n│  │  .leftBottom                          .rightBottom         │  │\n│  │     ●                                      ●               │  │\n│  │                                                            │  │\n│  └───────────────────────────────────────────────────────────┘  │\n│                                                                  │\n│  Background options:                                             │\n│  • .primary         - основной цвет темы                        │\n│  • .secondary       - вторичный цвет                            │\n│  • .lightBlur       - размытие светлое                          │\n│  • .darkBlur        - размытие тёмное                           │\n│  • .custom(UIColor) - кастомный цвет                            │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.7 DSSection — группировка контента",
+                "subsection": "Создание списка",
+                "anchor": "sozdanie-spiska",
+                "text": "",
+                "code": "// Массив view models преобразуется в вертикальный список\nlet section = [product1, product2, product3].list()"
+            },
+            {
+                "section": "21.7 DSSection — группировка контента",
+                "subsection": "Создание сетки",
+                "anchor": "sozdanie-setki",
+                "text": "",
+                "code": "// Массив view models преобразуется в сетку (2 колонки по умолчанию)\nlet section = [product1, product2, product3, product4].grid()"
+            },
+            {
+                "section": "21.7 DSSection — группировка контента",
+                "subsection": "Заголовки секций",
+                "anchor": "zagolovki-sektsiy",
+                "text": "",
+                "code": "// Простой заголовок\nlet section = [item1, item2].list()\nsection.headlineHeader(\"Categories\", size: 30)\n\n// Подзаголовок\nsection.subheadlineHeader(\"Settings\")\n\n// Кастомный header\nlet composer = DSTextComposer()\ncomposer.add(type: .headline, text: \"New Arrivals\")\nvar header = composer.actionViewModel()\nheader.style.displayStyle = .default\n\nheader.rightButton(title: \"View all\", sfSymbolName: \"chevron.right\", style: .medium) { [unowned self] in\n    self.dismiss()\n}\n\nsection.header = header"
+            },
+            {
+                "section": "21.7 DSSection — группировка контента",
+                "subsection": "Модификаторы отступов",
+                "anchor": "modifikatory-otstupov",
+                "text": "Визуализация list vs grid:",
+                "code": "let section = [pageControl].list()\n\n// Убрать боковые отступы\nsection.zeroLeftRightInset()\n\n// Убрать верхний отступ\nsection.zeroTopInset()\n\n// Двойные боковые отступы\nsection.doubleMarginLeftRightInsets()\n┌─────────────────────────────────────────────────────────────────┐\n│                      .list() Layout                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  Item 1                                                  │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  Item 2                                                  │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  Item 3                                                  │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘\n\n┌─────────────────────────────────────────────────────────────────┐\n│                      .grid() Layout                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   ┌────────────────────────┐  ┌────────────────────────┐        │\n│   │  Item 1                │  │  Item 2                │        │\n│   └────────────────────────┘  └────────────────────────┘        │\n│   ┌────────────────────────┐  ┌────────────────────────┐        │\n│   │  Item 3                │  │  Item 4                │        │\n│   └────────────────────────┘  └────────────────────────┘        │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.8 Формы: DSTextFieldVM и DSButtonVM",
+                "subsection": "Форма входа",
+                "anchor": "forma-vhoda",
+                "text": "Типы текстовых полей: Типы кнопок:",
+                "code": "func showContent() {\n\n    // Отступ сверху\n    let space1 = DSSpaceVM(type: .custom(50))\n\n    // Заголовок\n    let composer = DSTextComposer()\n    composer.add(type: .headlineWithSize(38), text: \"Welcome to\\nDSKit shop\")\n    composer.add(type: .body, text: \"An exciting place for the whole\\nfamily to shop\")\n    let text = composer.textViewModel()\n\n    let space2 = DSSpaceVM(type: .custom(50))\n\n    // Поля ввода\n    let email = DSTextFieldVM.email(\n        text: \"john.doe@dskit.app\",\n        placeholder: \"Email\"\n    )\n\n    let password = DSTextFieldVM.password(\n        text: \"qqqqqqqq\",\n        placeholder: \"Password\"\n    )\n\n    // Кнопка входа\n    let login = DSButtonVM(title: \"Login\") { [unowned self] (_: DSButtonVM) in\n        self.dismiss()\n    }\n\n    // Ссылка \"Забыли пароль\"\n    let forgotPassword = DSButtonVM(\n        title: \"Forgot password?\",\n        type: .link,\n        textAlignment: .left\n    ) { [unowned self] (_: DSButtonVM) in\n        self.dismiss()\n    }\n\n    let section = [space1, text, space2, email, password, login, forgotPassword].list()\n    section.doubleMarginLeftRightInsets()\n\n    show(content: section)\n}\n\nfunc showBottomContent() {\n\n    var signUp = DSButtonVM(\n        title: \"Sign Up\",\n        icon: DSSFSymbolConfig.buttonIcon(\"chevron.right\"),\n        type: .secondaryView,\n        textAlignment: .left\n    ) { [unowned self] (_: DSButtonVM) in\n        self.dismiss()\n    }\n\n    signUp.imagePosition = .rightMargin\n\n    showBottom(content: [signUp].list().doubleMarginLeftRightInsets())\n}\n// Email с валидацией\nDSTextFieldVM.email(text: \"\", placeholder: \"Email\")\n\n// Пароль с скрытием\nDSTextFieldVM.password(text: \"\", placeholder: \"Password\")\n\n// Обычное поле\nDSTextFieldVM(text: \"\", placeholder: \"Name\")\n\n// Поле с иконкой\nvar field = DSTextFieldVM(text: \"\", placeholder: \"Search\")\nfield.leftSFSymbolName = \"magnifyingglass\"\n// Основная кнопка\nDSButtonVM(title: \"Login\")\n\n// Вторичная кнопка\nDSButtonVM(title: \"Sign Up\", type: .secondaryView)\n\n// Ссылка\nDSButtonVM(title: \"Forgot password?\", type: .link)\n\n// Кнопка с иконкой\nlet icon = DSSFSymbolConfig.buttonIcon(\"arrow.right\")\nvar button = DSButtonVM(title: \"Continue\", icon: icon)\nbutton.imagePosition = .rightMargin\nbutton.textAlignment = .left"
+            },
+            {
+                "section": "21.9 DSPageControlVM — галерея с пагинацией",
+                "subsection": "",
+                "anchor": "21-9-dspagecontrolvm-galereya-s-paginatsiey",
+                "text": "Визуализация:",
+                "code": "func productsGallery() -> DSSection {\n\n    // Создаём изображения\n    let sneakers = DSImageVM(\n        imageUrl: URL(string: \"https://example.com/1.jpg\"),\n        height: .absolute(200)\n    )\n    let sneakers2 = DSImageVM(\n        imageUrl: URL(string: \"https://example.com/2.jpg\"),\n        height: .absolute(200)\n    )\n    let sneakers3 = DSImageVM(\n        imageUrl: URL(string: \"https://example.com/3.jpg\"),\n        height: .absolute(200)\n    )\n\n    // Page control автоматически добавляет пагинацию\n    let pageControl = DSPageControlVM(\n        type: .viewModels([sneakers, sneakers2, sneakers3])\n    )\n\n    return pageControl.list().zeroLeftRightInset()\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                     DSPageControlVM                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│  ┌───────────────────────────────────────────────────────────┐  │\n│  │                                                            │  │\n│  │                    [Image Gallery]                         │  │\n│  │                                                            │  │\n│  │                      ← swipe →                             │  │\n│  │                                                            │  │\n│  │                        ● ○ ○                               │  │\n│  │                    (page control)                          │  │\n│  └───────────────────────────────────────────────────────────┘  │\n│                                                                  │\n│  • Автоматическая горизонтальная прокрутка                      │\n│  • Индикатор страниц внизу                                      │\n│  • Поддерживает любые DSViewModel                               │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.10 DSQuantityPickerVM — picker количества",
+                "subsection": "",
+                "anchor": "21-10-dsquantitypickervm-picker-kolichestva",
+                "text": "Визуализация:",
+                "code": "func quantityPickerSideView() -> DSSideView {\n\n    // Копируем стили для кастомизации\n    var style = DSAppearance.shared.main.secondaryView\n    style.button.background = appearance.secondaryView.text.headline.withAlphaComponent(0.8)\n\n    let picker = DSQuantityPickerVM()\n    picker.style.colorStyle = .custom(style)\n    picker.quantityTextType = .subheadline\n    picker.width = .absolute(140)\n    picker.height = .absolute(20)\n    picker.quantityPluralText = \"Items\"\n    picker.quantitySingularText = \"Item\"\n\n    // Обработчики\n    picker.quantityDidIncrease = { [unowned self] quantity in\n        self.itemsCount += 1\n        self.updateTotalView()\n    }\n\n    picker.quantityDidDecrease = { [unowned self] quantity in\n        if self.itemsCount != 0 {\n            self.itemsCount -= 1\n            self.updateTotalView()\n        }\n    }\n\n    // Кнопка удаления справа\n    picker.rightButton(sfSymbolName: \"trash.fill\", style: .custom(size: 18, weight: .medium)) { [unowned self] in\n        self.dismiss()\n    }\n\n    return DSSideView(view: picker)\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                   DSQuantityPickerVM                             │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   ┌────────────────────────────────────────────────┐            │\n│   │  [ - ]     2 Items     [ + ]           🗑️      │            │\n│   └────────────────────────────────────────────────┘            │\n│                                                                  │\n│   Компоненты:                                                    │\n│   • Кнопка уменьшения [-]                                       │\n│   • Текст количества (2 Items / 1 Item)                         │\n│   • Кнопка увеличения [+]                                       │\n│   • Опциональная правая кнопка (trash)                          │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.11 Checkbox Actions — выбор опций",
+                "subsection": "",
+                "anchor": "21-11-checkbox-actions-vybor-optsiy",
+                "text": "Визуализация:",
+                "code": "func sortSection() -> DSSection {\n\n    let sortOptions = [\"Featured\", \"New Items\", \"Price (High First)\", \"Price (Low First)\"]\n\n    let models = sortOptions.map { (title) -> DSViewModel in\n\n        // Проверяем, выбран ли элемент\n        let isSelected = selectedSortBy == title\n\n        // Текст\n        let composer = DSTextComposer()\n        composer.add(\n            type: isSelected ? .headlineWithSize(15) : .subheadline,\n            text: title\n        )\n\n        // Checkbox action\n        var model = composer.checkboxActionViewModel(selected: isSelected)\n\n        // Обработчик\n        model.didTap { [unowned self] (_: DSActionVM) in\n            self.selectedSortBy = title\n            self.update()  // Перерисовать UI\n        }\n\n        return model\n    }\n\n    return models.list().headlineHeader(\"Sort by\")\n}\n┌─────────────────────────────────────────────────────────────────┐\n│                    Checkbox Actions                              │\n├─────────────────────────────────────────────────────────────────┤\n│                                                                  │\n│   Sort by                                                        │\n│   ┌─────────────────────────────────────────────────────────┐   │\n│   │  Featured                                        ✓      │   │\n│   ├─────────────────────────────────────────────────────────┤   │\n│   │  New Items                                       ○      │   │\n│   ├─────────────────────────────────────────────────────────┤   │\n│   │  Price (High First)                              ○      │   │\n│   ├─────────────────────────────────────────────────────────┤   │\n│   │  Price (Low First)                               ○      │   │\n│   └─────────────────────────────────────────────────────────┘   │\n│                                                                  │\n│   ✓ = checkboxActionViewModel(selected: true)                   │\n│   ○ = checkboxActionViewModel(selected: false)                  │\n│                                                                  │\n└─────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.12 Appearance — темизация",
+                "subsection": "",
+                "anchor": "21-12-appearance-temizatsiya",
+                "text": "DSKit позволяет создавать различные темы оформления:",
+                "code": ""
+            },
+            {
+                "section": "21.12 Appearance — темизация",
+                "subsection": "Создание кастомной темы",
+                "anchor": "sozdanie-kastomnoy-temy",
+                "text": "",
+                "code": "import UIKit\nimport DSKit\n\npublic class ShopAppearance: DSDesignable {\n\n    // Название темы\n    public var title: String\n\n    // Основной цвет бренда\n    public var brandColor: UIColor\n\n    // Цвета основного view\n    public var primaryView: DSDesignableViewColors\n\n    // Цвета вторичного view\n    public var secondaryView: DSDesignableViewColors\n\n    // Отступы\n    public var margins: CGFloat = 15\n    public var groupMargins: CGFloat = 12\n    public var interItemSpacing: CGFloat = 10\n\n    // Tab bar\n    public var tabBar: DSDesignableTabbarColor\n\n    // Navigation bar\n    public var navigationBar: DSDesignableNavigationBarColor\n\n    // Цены\n    public var price: DSDesignablePriceColor\n\n    // Шрифты\n    public var fonts = DSDesignableFonts()\n\n    // Large titles\n    public var prefersLargeTitles: Bool = true\n\n    // Высота кнопок\n    public var buttonsHeight: CGFloat = 48\n\n    public init(brandColor: UIColor? = nil, title: String = \"Shop\") {\n\n        self.title = title\n        self.brandColor = brandColor ?? UIColor(0x1DA1F2)\n\n        // MARK: - Primary View\n\n        let text = DSDesignableTextColor.textColors(\n            main: UIColor(0x484848),\n            secondary: UIColor(0x767676)\n        )\n\n        let button = DSDesignableButtonColor(\n            background: UIColor(0x006EB9),\n            title: UIColor(0xffffff)\n        )\n\n        let primaryViewTextField = DSDesignableTextFieldColor(\n            border: UIColor(0xF4F4F4),\n            background: UIColor(0xF4F4F4),\n            text: text.headline,\n            placeHolder: text.subheadline\n        )\n\n        primaryView = DSDesignableViewColors(\n            button: button,\n            text: text,\n            textField: primaryViewTextField,\n            background: UIColor(0xFFFFFF),\n            separator: UIColor(0xD5C5B2),\n            cornerRadius: 10\n        )\n\n        // MARK: - Secondary View\n\n        let secondaryText = DSDesignableTextColor.textColors(\n            main: UIColor(0x222222),\n            secondary: UIColor(0x717171)\n        )\n\n        let secondaryViewTextField = DSDesignableTextFieldColor(\n            border: UIColor(0xFFFFFF),\n            background: UIColor(0xFFFFFF),\n            text: text.headline,\n            placeHolder: text.subheadline\n        )\n\n        secondaryView = DSDesignableViewColors(\n            button: button,\n            text: secondaryText,\n            textField: secondaryViewTextField,\n            background: UIColor(0xF4F4F4),\n            separator: UIColor(0xEBEBEB),\n            cornerRadius: 10\n        )\n\n        // MARK: - Tab Bar\n\n        tabBar = DSDesignableTabbarColor(\n            barTint: primaryView.background,\n            itemTint: primaryView.button.background,\n            unselectedItemTint: secondaryText.subheadline,\n            badge: self.brandColor,\n            translucent: true\n        )\n\n        // MARK: - Navigation Bar\n\n        navigationBar = DSDesignableNavigationBarColor(\n            buttons: UIColor(0x3C4856),\n            text: text.title1,\n            bar: primaryView.background,\n            translucent: true\n        )\n\n        // MARK: - Price\n\n        price = DSDesignablePriceColor(\n            currency: UIColor(0x1DA1F2),\n            amount: UIColor(0x1DA1F2),\n            regularAmount: UIColor(0xA0ACBD),\n            badgeBackground: UIColor(0x3C4856),\n            badgeCornerRadius: 6\n        )\n    }\n}"
+            },
+            {
+                "section": "21.12 Appearance — темизация",
+                "subsection": "Применение темы",
+                "anchor": "primenenie-temy",
+                "text": "Структура Appearance:",
+                "code": "// В SceneDelegate или при создании контроллера\nlet appearance = ShopAppearance(brandColor: .systemBlue)\nDSAppearance.shared.main = appearance\n\n// Или при preview\nstruct HomeViewControllerPreview: PreviewProvider {\n    static var previews: some View {\n        Group {\n            PreviewContainer(VC: Home1ViewController(), ShopAppearance())\n                .edgesIgnoringSafeArea(.all)\n        }\n    }\n}\n┌─────────────────────────────────────────────────────────────────────────┐\n│                        DSDesignable Structure                            │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│  brandColor           ← основной цвет бренда                            │\n│                                                                          │\n│  primaryView          ← цвета для основных элементов                    │\n│  ├── button           (background, title)                               │\n│  ├── text             (main, secondary, headline, subheadline...)       │\n│  ├── textField        (border, background, text, placeholder)           │\n│  ├── background       ← фон                                             │\n│  ├── separator        ← разделители                                     │\n│  └── cornerRadius     ← скругление углов                                │\n│                                                                          │\n│  secondaryView        ← цвета для вторичных элементов                   │\n│  └── (та же структура)                                                  │\n│                                                                          │\n│  tabBar               ← цвета tab bar                                   │\n│  ├── barTint                                                            │\n│  ├── itemTint                                                           │\n│  ├── unselectedItemTint                                                 │\n│  └── badge                                                              │\n│                                                                          │\n│  navigationBar        ← цвета navigation bar                            │\n│  ├── buttons                                                            │\n│  ├── text                                                               │\n│  └── bar                                                                │\n│                                                                          │\n│  price                ← цвета для цен                                   │\n│  ├── currency         (символ валюты)                                   │\n│  ├── amount           (сумма)                                           │\n│  ├── regularAmount    (старая цена)                                     │\n│  └── badgeBackground  (фон скидки)                                      │\n│                                                                          │\n│  fonts                ← шрифты                                          │\n│  margins              ← отступы                                         │\n│  buttonsHeight        ← высота кнопок                                   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.13 SwiftUI Preview",
+                "subsection": "",
+                "anchor": "21-13-swiftui-preview",
+                "text": "DSKit поддерживает SwiftUI previews для быстрой разработки: Преимущества: Мгновенный preview без запуска симулятора Быстрое переключение между темами Проверка на разных устройствах",
+                "code": "import SwiftUI\n\nstruct ItemDetails1ViewControllerPreview: PreviewProvider {\n\n    static var previews: some View {\n        Group {\n            // Оборачиваем в navigation controller\n            let nav = DSNavigationViewController(\n                rootViewController: ItemDetails1ViewController()\n            )\n\n            // Используем PreviewContainer с выбранной темой\n            PreviewContainer(VC: nav, ShopAppearance())\n                .edgesIgnoringSafeArea(.all)\n        }\n    }\n}"
+            },
+            {
+                "section": "21.14 Полный пример: экран деталей товара",
+                "subsection": "",
+                "anchor": "21-14-polnyy-primer-ekran-detaley-tovara",
+                "text": "",
+                "code": "import DSKit\nimport DSKitFakery\n\nopen class ItemDetails1ViewController: DSViewController {\n\n    open override func viewDidLoad() {\n        super.viewDidLoad()\n        title = \"Details\"\n\n        // Navigation bar buttons\n        let like = UIBarButtonItem(\n            image: UIImage(systemName: \"heart\"),\n            style: .plain,\n            target: self,\n            action: #selector(likeAction)\n        )\n\n        let share = UIBarButtonItem(\n            image: UIImage(systemName: \"square.and.arrow.up\"),\n            style: .plain,\n            target: self,\n            action: #selector(shareAction)\n        )\n\n        navigationItem.rightBarButtonItems = [like, share]\n\n        update()\n    }\n\n    @objc func shareAction() { dismiss() }\n    @objc func likeAction() { dismiss() }\n\n    func update() {\n\n        // Основной контент\n        show(content: [\n            picturesGallerySection(),\n            productInfoSection(),\n            priceSection(),\n            colorAndSizeSection(),\n            descriptionSection()\n        ])\n\n        // Нижняя кнопка\n        let addToCart = DSButtonVM(\n            title: \"Add to cart\",\n            icon: UIImage(systemName: \"cart.fill\")\n        ) { [unowned self] tap in\n            self.dismiss()\n        }\n\n        showBottom(content: addToCart)\n    }\n\n    // MARK: - Sections\n\n    func picturesGallerySection() -> DSSection {\n\n        let urls = [\n            URL(string: \"https://images.pexels.com/photos/2529148/pexels-photo-2529148.jpeg\"),\n            URL(string: \"https://images.pexels.com/photos/3261069/pexels-photo-3261069.jpeg\"),\n            URL(string: \"https://images.pexels.com/photos/5710082/pexels-photo-5710082.jpeg\")\n        ].compactMap { $0 }\n\n        let pictureModels = urls.map { url -> DSViewModel in\n            return DSImageVM(\n                imageUrl: url,\n                height: .absolute(300),\n                displayStyle: .themeCornerRadius\n            )\n        }\n\n        let pageControl = DSPageControlVM(type: .viewModels(pictureModels))\n        return pageControl.list().zeroLeftRightInset()\n    }\n\n    func productInfoSection() -> DSSection {\n\n        let composer = DSTextComposer()\n        composer.add(type: .title2, text: \"Women's Running Shoe\")\n        composer.add(type: .subheadline, text: \"Nike Revolution 5\")\n\n        return [composer.textViewModel()].list().zeroTopInset()\n    }\n\n    func priceSection() -> DSSection {\n\n        // Text\n        let text = DSTextComposer()\n        text.add(price: DSPrice.random(), size: .large, newLine: false)\n\n        // Action\n        var action = DSActionVM(composer: text)\n        action.style.displayStyle = .default\n        action.height = .absolute(30)\n\n        // Picker\n        let picker = DSQuantityPickerVM(quantity: 1)\n        picker.width = .absolute(120)\n        picker.height = .absolute(35)\n\n        // Supplementary view\n        let supView = picker.asSupplementary(\n            position: .rightCenter,\n            insets: .small,\n            offset: .custom(.init(x: -5, y: 0))\n        )\n\n        action.supplementaryItems = [supView]\n\n        return action.list()\n    }\n\n    func colorAndSizeSection() -> DSSection {\n\n        let color = DSActionVM(title: \"Color\")\n        let size = DSActionVM(title: \"Size\")\n\n        return [color, size].grid()\n    }\n\n    func descriptionSection() -> DSSection {\n\n        let text = \"\"\"\n        The Nike Revolution 5 cushions your stride with soft foam \\\n        to keep you running in comfort. Lightweight knit material \\\n        wraps your foot in breathable support.\n        \"\"\"\n\n        let label = DSLabelVM(.callout, text: text, alignment: .left)\n\n        return [label].list()\n    }\n}"
+            },
+            {
+                "section": "21.15 Сравнение подходов",
+                "subsection": "",
+                "anchor": "21-15-sravnenie-podhodov",
+                "text": "",
+                "code": "┌─────────────────────────────────────────────────────────────────────────┐\n│                    Traditional vs DSKit                                  │\n├─────────────────────────────────────────────────────────────────────────┤\n│                                                                          │\n│   Традиционный UIKit (карточка товара):                                 │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  class ProductCell: UITableViewCell {                            │   │\n│   │      let imageView = UIImageView()                               │   │\n│   │      let titleLabel = UILabel()                                  │   │\n│   │      let priceLabel = UILabel()                                  │   │\n│   │      let ratingView = UIStackView()                              │   │\n│   │                                                                  │   │\n│   │      func setupViews() {                                         │   │\n│   │          // 50+ строк constraints                                │   │\n│   │      }                                                           │   │\n│   │                                                                  │   │\n│   │      func configure(with product: Product) {                     │   │\n│   │          // 20+ строк конфигурации                               │   │\n│   │      }                                                           │   │\n│   │  }                                                               │   │\n│   │                                                                  │   │\n│   │  // ~100 строк кода                                              │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   DSKit (та же карточка):                                               │\n│   ┌─────────────────────────────────────────────────────────────────┐   │\n│   │  func product(title: String, price: DSPrice, image: URL)         │   │\n│   │      -> DSViewModel {                                            │   │\n│   │                                                                  │   │\n│   │      let composer = DSTextComposer()                             │   │\n│   │      composer.add(type: .headline, text: title)                  │   │\n│   │      composer.add(price: price)                                  │   │\n│   │      composer.add(rating: 4, maximumValue: 5, ...)               │   │\n│   │                                                                  │   │\n│   │      var action = composer.actionViewModel()                     │   │\n│   │      action.leftImage(url: image, size: .size(...))              │   │\n│   │                                                                  │   │\n│   │      return action                                               │   │\n│   │  }                                                               │   │\n│   │                                                                  │   │\n│   │  // ~15 строк кода                                               │   │\n│   └─────────────────────────────────────────────────────────────────┘   │\n│                                                                          │\n│   Выигрыш: 85% меньше кода + автоматическая темизация                   │\n│                                                                          │\n└─────────────────────────────────────────────────────────────────────────┘"
+            },
+            {
+                "section": "21.16 Итоги главы",
+                "subsection": "",
+                "anchor": "21-16-itogi-glavy",
+                "text": "В этой главе мы изучили: Компонент Назначение DSViewControllerБазовый контроллер с show/showTop/showBottom DSTextComposerКомпозиция текста, цен, рейтингов DSActionVMИнтерактивные карточки DSCardVMКарточки с фоновым изображением DSButtonVMКнопки разных стилей DSTextFieldVMПоля ввода DSImageVMИзображения DSLabelVMТекстовые метки DSPageControlVMГалереи с пагинацией DSQuantityPickerVMPicker количества DSSupplementaryViewBadges и кнопки поверх контента DSDesignableТемизация Преимущества декларативного подхода: Меньше кода — фокус на данных, а не на layout Переиспользование — одни и те же view models везде Темизация — смена темы в одном месте Консистентность — единый стиль во всём приложении SwiftUI previews — быстрая разработка Ресурсы: DSKit Documentation GitHub Repository",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/22-exercises.html",
+        "chapter": "Глава 22",
+        "title": "Упражнения с ответами",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "Как работать с упражнениями",
+                "anchor": "kak-rabotat-s-uprazhneniyami",
+                "text": "1. Прочитайте задание и попробуйте решить его самостоятельно 2. Напишите код в Xcode Playground 3. Только после попытки решения нажмите \"Показать ответ\" 4. Сравните своё решение с ответом",
+                "code": ""
+            },
+            {
+                "section": "Проверьте себя",
+                "subsection": "",
+                "anchor": "proverte-sebya",
+                "text": "0 / 0 Сбросить Результаты всех тестов книги: Скачать JSON Скачать CSV Итоги обучения →",
+                "code": ""
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "",
+                "anchor": "razdel-1-osnovy-swift-glava-2",
+                "text": "1",
+                "code": ""
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Переменные и константы",
+                "anchor": "peremennye-i-konstanty",
+                "text": "Легко Объявите константу pi со значением 3.14159 и переменную radius со значением 5.0. Вычислите площадь круга по формуле S = pi * r * r и выведите результат. Показать ответ Объяснение: pi — константа (let), потому что число Пи не меняется. radius — переменная (var), потому что радиус может измениться для разных кругов. 2",
+                "code": "let pi = 3.14159\nvar radius = 5.0\n\nlet area = pi * radius * radius\nprint(\"Площадь круга: \\(area)\")\n// Площадь круга: 78.53975"
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Выбор типов данных",
+                "anchor": "vybor-tipov-dannyh",
+                "text": "Легко Для интернет-магазина нужно объявить следующие переменные. Выберите правильные типы данных: Название товара Цена товара Количество на складе Товар в наличии (да/нет) Рейтинг товара (от 0 до 5) Показать ответ Объяснение: • String — для текста (название) • Double — для дробных чисел (цена, рейтинг) • Int — для целых чисел (количество) • Bool — для да/нет (в наличии) 3",
+                "code": "let productName: String = \"iPhone 15 Pro\"\nlet price: Double = 999.99\nvar stockQuantity: Int = 50\nvar isInStock: Bool = true\nvar rating: Double = 4.8"
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Работа со строками",
+                "anchor": "rabota-so-strokami",
+                "text": "Средне Дано: имя пользователя \"ivan\", email \"ivan@mail.ru\", возраст 25. Создайте строку приветствия в формате: \"Добро пожаловать, Ivan! Ваш email: ivan@mail.ru. Вам 25 лет.\" (имя должно быть с заглавной буквы) Показать ответ Объяснение: Используем интерполяцию строк \\(переменная) для вставки значений. Метод .capitalized делает первую букву заглавной. 4",
+                "code": "let name = \"ivan\"\nlet email = \"ivan@mail.ru\"\nlet age = 25\n\nlet capitalizedName = name.capitalized\nlet greeting = \"Добро пожаловать, \\(capitalizedName)! Ваш email: \\(email). Вам \\(age) лет.\"\n\nprint(greeting)\n// Добро пожаловать, Ivan! Ваш email: ivan@mail.ru. Вам 25 лет."
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Массивы",
+                "anchor": "massivy",
+                "text": "Средне Создайте массив с оценками студента: 85, 92, 78, 96, 88. Выведите: количество оценок, первую оценку, последнюю оценку, и добавьте новую оценку 90 в конец массива. Показать ответ Объяснение: Массив объявлен как var, потому что мы будем его изменять. .first и .last возвращают Optional, поэтому используем ! (в реальном коде лучше использовать if let). 5",
+                "code": "var grades = [85, 92, 78, 96, 88]\n\nprint(\"Количество оценок: \\(grades.count)\")  // 5\nprint(\"Первая оценка: \\(grades.first!)\")     // 85\nprint(\"Последняя оценка: \\(grades.last!)\")   // 88\n\ngrades.append(90)\nprint(\"После добавления: \\(grades)\")\n// [85, 92, 78, 96, 88, 90]"
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Словари",
+                "anchor": "slovari",
+                "text": "Средне Создайте словарь с информацией о товаре: название \"MacBook Pro\", цена 1999.99, категория \"Ноутбуки\". Выведите цену, добавьте новый ключ \"brand\" со значением \"Apple\", и измените цену на 1899.99. Показать ответ Объяснение: Тип [String: Any] позволяет хранить значения разных типов. Доступ по ключу возвращает Optional, поэтому используем if let и приведение типа as?. 6",
+                "code": "var product: [String: Any] = [\n    \"name\": \"MacBook Pro\",\n    \"price\": 1999.99,\n    \"category\": \"Ноутбуки\"\n]\n\n// Вывести цену\nif let price = product[\"price\"] as? Double {\n    print(\"Цена: $\\(price)\")  // Цена: $1999.99\n}\n\n// Добавить бренд\nproduct[\"brand\"] = \"Apple\"\n\n// Изменить цену\nproduct[\"price\"] = 1899.99\n\nprint(product)\n// [\"name\": \"MacBook Pro\", \"price\": 1899.99, \"category\": \"Ноутбуки\", \"brand\": \"Apple\"]"
+            },
+            {
+                "section": "Раздел 1: Основы Swift (Глава 2)",
+                "subsection": "Проектирование модели данных",
+                "anchor": "proektirovanie-modeli-dannyh",
+                "text": "Сложно Спроектируйте структуру данных для пользователя приложения доставки еды. Пользователь имеет: ID, имя, email, телефон (может быть не указан), адрес доставки, баланс бонусов, дату регистрации. Определите какие свойства должны быть let, какие var, и какие типы использовать. Показать ответ Ключевые решения: • let для данных, которые не меняются после регистрации • var для данных, которые пользователь может обновить • String? для телефона — не все пользователи его указывают • Вычисляемые свойства для производных данных",
+                "code": "struct User {\n    // ИДЕНТИФИКАЦИЯ — не меняется\n    let id: String                 // уникальный ID\n    let email: String              // email обычно не меняют\n    let registeredAt: Date         // дата регистрации фиксирована\n\n    // ИЗМЕНЯЕМЫЕ ДАННЫЕ\n    var name: String               // имя можно изменить\n    var phone: String?             // Optional — может быть не указан\n    var deliveryAddress: String    // адрес можно менять\n    var bonusBalance: Double       // баланс постоянно меняется\n\n    // ВЫЧИСЛЯЕМОЕ СВОЙСТВО\n    var hasPhone: Bool {\n        phone != nil\n    }\n\n    var formattedBonus: String {\n        String(format: \"%.0f бонусов\", bonusBalance)\n    }\n}\n\n// Пример использования\nvar user = User(\n    id: \"usr_123\",\n    email: \"ivan@mail.ru\",\n    registeredAt: Date(),\n    name: \"Иван\",\n    phone: nil,\n    deliveryAddress: \"ул. Пушкина, д. 10\",\n    bonusBalance: 150.0\n)"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "",
+                "anchor": "razdel-2-upravlenie-potokom-glava-3",
+                "text": "7",
+                "code": ""
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Условный оператор if/else",
+                "anchor": "uslovnyy-operator-if-else",
+                "text": "Легко Напишите код, который проверяет возраст пользователя. Если возраст меньше 18 — выведите \"Доступ запрещён\", если от 18 до 65 — \"Добро пожаловать\", если больше 65 — \"Добро пожаловать, пенсионная скидка 10%\". Показать ответ Объяснение: Условия проверяются сверху вниз. Как только одно условие истинно, выполняется его блок и остальные проверки пропускаются. 8",
+                "code": "let age = 70\n\nif age 18 {\n    print(\"Доступ запрещён\")\n} else if age 65 {\n    print(\"Добро пожаловать\")\n} else {\n    print(\"Добро пожаловать, пенсионная скидка 10%\")\n}\n// Добро пожаловать, пенсионная скидка 10%"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Тернарный оператор",
+                "anchor": "ternarnyy-operator",
+                "text": "Легко Дана переменная isLoggedIn = true. Используя тернарный оператор, присвойте переменной buttonTitle значение \"Выйти\" если пользователь авторизован, иначе \"Войти\". Показать ответ Синтаксис: условие ? значение_если_true : значение_если_false Тернарный оператор — краткая форма if/else для присваивания. 9",
+                "code": "let isLoggedIn = true\n\nlet buttonTitle = isLoggedIn ? \"Выйти\" : \"Войти\"\n\nprint(buttonTitle)  // Выйти"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Switch с диапазонами",
+                "anchor": "switch-s-diapazonami",
+                "text": "Средне Напишите switch, который преобразует оценку (0-100) в буквенную оценку: 90-100 → \"A\", 80-89 → \"B\", 70-79 → \"C\", 60-69 → \"D\", 0-59 → \"F\". Показать ответ Диапазоны: • 90...100 — включает и 90, и 100 • 80.. — включает 80, но НЕ включает 90 • default обязателен для полноты проверки 10",
+                "code": "let score = 85\nlet grade: String\n\nswitch score {\ncase 90...100:\n    grade = \"A\"\ncase 80..90:\n    grade = \"B\"\ncase 70..80:\n    grade = \"C\"\ncase 60..70:\n    grade = \"D\"\ncase 0..60:\n    grade = \"F\"\ndefault:\n    grade = \"Неверная оценка\"\n}\n\nprint(\"Оценка \\(score) = \\(grade)\")\n// Оценка 85 = B"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Цикл for-in с массивом",
+                "anchor": "tsikl-for-in-s-massivom",
+                "text": "Легко Дан массив цен: [100, 250, 50, 300, 120]. Используя цикл for-in, найдите сумму всех цен. Показать ответ Объяснение: Цикл for-in перебирает каждый элемент массива. reduce — функциональный способ сделать то же самое в одну строку. 11",
+                "code": "let prices = [100, 250, 50, 300, 120]\nvar total = 0\n\nfor price in prices {\n    total += price\n}\n\nprint(\"Общая сумма: \\(total)\")\n// Общая сумма: 820\n\n// Альтернатива с reduce:\nlet total2 = prices.reduce(0, +)\nprint(total2)  // 820"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Цикл while",
+                "anchor": "tsikl-while",
+                "text": "Средне Напишите цикл while, который удваивает число, начиная с 1, пока оно не станет больше 1000. Выведите все промежуточные значения и финальное число. Показать ответ Объяснение: Цикл выполняется пока условие number истинно. 1024 выводится, потому что 1024 12",
+                "code": "var number = 1\n\nwhile number 1000 {\n    print(number)\n    number *= 2\n}\n\nprint(\"Финальное число: \\(number)\")\n\n// Вывод: 1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024\n// Финальное число: 2048"
+            },
+            {
+                "section": "Раздел 2: Управление потоком (Глава 3)",
+                "subsection": "Guard для валидации",
+                "anchor": "guard-dlya-validatsii",
+                "text": "Сложно Напишите функцию validateRegistration, которая принимает email (String?), password (String?), age (Int?). Используя guard, проверьте: email не nil, password не nil и длина >= 8, age не nil и >= 18. Если все проверки пройдены — выведите \"Регистрация успешна\". Показать ответ Объяснение: guard let распаковывает Optional и проверяет условие. Если проверка не пройдена — выполняется else блок с обязательным return. После guard переменные гарантированно не nil.",
+                "code": "func validateRegistration(email: String?, password: String?, age: Int?) {\n    guard let email = email, !email.isEmpty else {\n        print(\"Ошибка: email не указан\")\n        return\n    }\n\n    guard let password = password, password.count >= 8 else {\n        print(\"Ошибка: пароль должен быть минимум 8 символов\")\n        return\n    }\n\n    guard let age = age, age >= 18 else {\n        print(\"Ошибка: возраст должен быть 18+\")\n        return\n    }\n\n    // Все проверки пройдены\n    print(\"Регистрация успешна!\")\n    print(\"Email: \\(email), Возраст: \\(age)\")\n}\n\n// Тесты\nvalidateRegistration(email: nil, password: \"12345678\", age: 25)\n// Ошибка: email не указан\n\nvalidateRegistration(email: \"test@mail.ru\", password: \"123\", age: 25)\n// Ошибка: пароль должен быть минимум 8 символов\n\nvalidateRegistration(email: \"test@mail.ru\", password: \"12345678\", age: 25)\n// Регистрация успешна!"
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "",
+                "anchor": "razdel-3-funktsii-i-closures-glava-4",
+                "text": "13",
+                "code": ""
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "Функция с параметрами и возвратом",
+                "anchor": "funktsiya-s-parametrami-i-vozvratom",
+                "text": "Легко Напишите функцию calculateDiscount, которая принимает цену (Double) и процент скидки (Int), и возвращает цену со скидкой. Пример: цена 1000, скидка 15% → вернуть 850. Показать ответ Объяснение: -> Double указывает тип возвращаемого значения. Double(discountPercent) преобразует Int в Double для вычислений. 14",
+                "code": "func calculateDiscount(price: Double, discountPercent: Int) -> Double {\n    let discount = price * Double(discountPercent) / 100\n    return price - discount\n}\n\nlet finalPrice = calculateDiscount(price: 1000, discountPercent: 15)\nprint(\"Цена со скидкой: \\(finalPrice)\")\n// Цена со скидкой: 850.0"
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "Функция со значением по умолчанию",
+                "anchor": "funktsiya-so-znacheniem-po-umolchaniyu",
+                "text": "Средне Напишите функцию formatPrice, которая принимает цену (Double) и символ валюты (String, по умолчанию \"₸\"). Функция должна вернуть отформатированную строку, например: \"1 500 ₸\". Показать ответ Объяснение: _ price — параметр без внешней метки (можно вызывать без имени). currency: String = \"₸\" — параметр со значением по умолчанию. 15",
+                "code": "func formatPrice(_ price: Double, currency: String = \"₸\") -> String {\n    let formatter = NumberFormatter()\n    formatter.numberStyle = .decimal\n    formatter.groupingSeparator = \" \"\n    formatter.maximumFractionDigits = 0\n\n    let formattedNumber = formatter.string(from: NSNumber(value: price)) ?? \"\\(price)\"\n    return \"\\(formattedNumber) \\(currency)\"\n}\n\nprint(formatPrice(1500))            // 1 500 ₸\nprint(formatPrice(1500, currency: \"$\")) // 1 500 $\nprint(formatPrice(999999))          // 999 999 ₸"
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "Closure: map и filter",
+                "anchor": "closure-map-i-filter",
+                "text": "Средне Дан массив чисел: [12, 5, 23, 8, 17, 3, 42]. Используя filter и map: отфильтруйте числа больше 10, затем умножьте каждое на 2. Показать ответ Объяснение: • $0 — сокращение для первого параметра closure • filter возвращает элементы, для которых условие true • map преобразует каждый элемент 16",
+                "code": "let numbers = [12, 5, 23, 8, 17, 3, 42]\n\nlet result = numbers\n    .filter { $0 > 10 }     // [12, 23, 17, 42]\n    .map { $0 * 2 }        // [24, 46, 34, 84]\n\nprint(result)\n// [24, 46, 34, 84]\n\n// Полный синтаксис (для понимания):\nlet result2 = numbers\n    .filter({ (number: Int) -> Bool in\n        return number > 10\n    })\n    .map({ (number: Int) -> Int in\n        return number * 2\n    })"
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "Closure: reduce",
+                "anchor": "closure-reduce",
+                "text": "Сложно Дан массив товаров в корзине (кортежи с названием и ценой): [(\"iPhone\", 999), (\"Case\", 29), (\"AirPods\", 199)] Используя reduce, посчитайте общую сумму покупки. Показать ответ Объяснение: reduce(начальное_значение) { накопитель, элемент in ... } • Первый параметр 0 — начальное значение суммы • sum — накопленный результат • item — текущий элемент массива 17",
+                "code": "let cart = [\n    (\"iPhone\", 999),\n    (\"Case\", 29),\n    (\"AirPods\", 199)\n]\n\nlet total = cart.reduce(0) { sum, item in\n    sum + item.1  // item.1 — цена (второй элемент кортежа)\n}\n\nprint(\"Общая сумма: $\\(total)\")\n// Общая сумма: $1227\n\n// Альтернатива с именованными элементами кортежа:\nlet cart2: [(name: String, price: Int)] = [\n    (name: \"iPhone\", price: 999),\n    (name: \"Case\", price: 29),\n    (name: \"AirPods\", price: 199)\n]\n\nlet total2 = cart2.reduce(0) { $0 + $1.price }\nprint(total2)  // 1227"
+            },
+            {
+                "section": "Раздел 3: Функции и Closures (Глава 4)",
+                "subsection": "Trailing Closure и sorted",
+                "anchor": "trailing-closure-i-sorted",
+                "text": "Средне Дан массив имён: [\"Zara\", \"Anna\", \"Mike\", \"Bob\"]. Отсортируйте его: 1) По алфавиту (A-Z), 2) По алфавиту в обратном порядке (Z-A), 3) По длине имени. Показать ответ Trailing closure: Если closure — последний параметр, его можно вынести за скобки. sorted { ... } вместо sorted(by: { ... })",
+                "code": "let names = [\"Zara\", \"Anna\", \"Mike\", \"Bob\"]\n\n// 1. По алфавиту (A-Z)\nlet sortedAZ = names.sorted { $0 print(sortedAZ)  // [\"Anna\", \"Bob\", \"Mike\", \"Zara\"]\n\n// Короче:\nlet sortedAZ2 = names.sorted()\nprint(sortedAZ2) // [\"Anna\", \"Bob\", \"Mike\", \"Zara\"]\n\n// 2. В обратном порядке (Z-A)\nlet sortedZA = names.sorted { $0 > $1 }\nprint(sortedZA)  // [\"Zara\", \"Mike\", \"Bob\", \"Anna\"]\n\n// 3. По длине имени\nlet sortedByLength = names.sorted { $0.count print(sortedByLength)  // [\"Bob\", \"Zara\", \"Anna\", \"Mike\"]"
+            },
+            {
+                "section": "Раздел 4: ООП (Struct и Class) (Глава 5)",
+                "subsection": "",
+                "anchor": "razdel-4-oop-struct-i-class-glava-5",
+                "text": "18",
+                "code": ""
+            },
+            {
+                "section": "Раздел 4: ООП (Struct и Class) (Глава 5)",
+                "subsection": "Создание структуры",
+                "anchor": "sozdanie-struktury",
+                "text": "Средне Создайте структуру Product с полями: id (String), name (String), price (Double), quantity (Int). Добавьте вычисляемое свойство totalValue (цена × количество) и метод description(), возвращающий строку вида \"iPhone: 5 шт. × $999 = $4995\". Показать ответ Объяснение: • Структура автоматически получает memberwise инициализатор • Вычисляемое свойство не хранит значение, а вычисляет при обращении • quantity — var, потому что количество может меняться 19",
+                "code": "struct Product {\n    let id: String\n    let name: String\n    let price: Double\n    var quantity: Int\n\n    // Вычисляемое свойство\n    var totalValue: Double {\n        price * Double(quantity)\n    }\n\n    // Метод\n    func description() -> String {\n        return \"\\(name): \\(quantity) шт. × $\\(Int(price)) = $\\(Int(totalValue))\"\n    }\n}\n\nlet product = Product(\n    id: \"prod_001\",\n    name: \"iPhone\",\n    price: 999,\n    quantity: 5\n)\n\nprint(product.totalValue)     // 4995.0\nprint(product.description())  // iPhone: 5 шт. × $999 = $4995"
+            },
+            {
+                "section": "Раздел 4: ООП (Struct и Class) (Глава 5)",
+                "subsection": "Struct vs Class: разница в поведении",
+                "anchor": "struct-vs-class-raznitsa-v-povedenii",
+                "text": "Сложно Что выведет этот код? Объясните разницу между struct и class. Показать ответ Объяснение: • Struct (Value Type): s2 = s1 создаёт КОПИЮ. Изменение s2 не влияет на s1. • Class (Reference Type): c2 = c1 копирует ССЫЛКУ. c1 и c2 указывают на один объект в памяти. Изменение через c2 меняет тот же объект, который видит c1. Правило: Используйте struct по умолчанию. Class — когда нужна идентичность объекта или наследование.",
+                "code": "struct PointStruct { var x: Int }\nclass PointClass { var x: Int; init(x: Int) { self.x = x } }\n\nvar s1 = PointStruct(x: 10)\nvar s2 = s1\ns2.x = 20\nprint(\"s1.x = \\(s1.x), s2.x = \\(s2.x)\")\n\nvar c1 = PointClass(x: 10)\nvar c2 = c1\nc2.x = 20\nprint(\"c1.x = \\(c1.x), c2.x = \\(c2.x)\")\n// Вывод:\n// s1.x = 10, s2.x = 20\n// c1.x = 20, c2.x = 20"
+            },
+            {
+                "section": "Раздел 5: Optionals (Глава 7)",
+                "subsection": "",
+                "anchor": "razdel-5-optionals-glava-7",
+                "text": "20",
+                "code": ""
+            },
+            {
+                "section": "Раздел 5: Optionals (Глава 7)",
+                "subsection": "Optional Binding: if let и guard let",
+                "anchor": "optional-binding-if-let-i-guard-let",
+                "text": "Средне Дана функция, которая возвращает Optional пользователя. Напишите код, который безопасно извлекает имя пользователя используя: 1) if let, 2) guard let, 3) nil coalescing (??). Показать ответ Когда использовать: • if let — когда нужно выполнить код только если значение есть • guard let — для раннего выхода из функции (ошибка → return) • ?? — для значения по умолчанию 21",
+                "code": "func fetchUser() -> (name: String, age: Int)? {\n    return (\"Анна\", 25)  // или nil\n}\nfunc fetchUser() -> (name: String, age: Int)? {\n    return (\"Анна\", 25)\n}\n\n// 1. if let\nif let user = fetchUser() {\n    print(\"Привет, \\(user.name)!\")\n} else {\n    print(\"Пользователь не найден\")\n}\n\n// 2. guard let (внутри функции)\nfunc greetUser() {\n    guard let user = fetchUser() else {\n        print(\"Пользователь не найден\")\n        return\n    }\n    // user гарантированно существует\n    print(\"Привет, \\(user.name)! Тебе \\(user.age) лет.\")\n}\ngreetUser()\n\n// 3. nil coalescing (??)\nlet userName = fetchUser()?.name ?? \"Гость\"\nprint(\"Имя: \\(userName)\")  // \"Имя: Анна\" или \"Имя: Гость\""
+            },
+            {
+                "section": "Раздел 5: Optionals (Глава 7)",
+                "subsection": "Optional Chaining",
+                "anchor": "optional-chaining",
+                "text": "Сложно Даны вложенные структуры. Используя optional chaining, безопасно получите название города из адреса пользователя. Если чего-то нет — верните \"Город не указан\". Показать ответ Optional Chaining: user?.address?.city Если любое звено цепочки = nil, вся цепочка возвращает nil. Это безопасный способ обращаться к вложенным Optional без множественных if let. 22",
+                "code": "struct Address { var city: String? }\nstruct User { var address: Address? }\n\nlet user1: User? = User(address: Address(city: \"Москва\"))\nlet user2: User? = User(address: nil)\nlet user3: User? = nil\nstruct Address { var city: String? }\nstruct User { var address: Address? }\n\nlet user1: User? = User(address: Address(city: \"Москва\"))\nlet user2: User? = User(address: nil)\nlet user3: User? = nil\n\n// Optional chaining с nil coalescing\nlet city1 = user1?.address?.city ?? \"Город не указан\"\nlet city2 = user2?.address?.city ?? \"Город не указан\"\nlet city3 = user3?.address?.city ?? \"Город не указан\"\n\nprint(city1)  // Москва\nprint(city2)  // Город не указан (address = nil)\nprint(city3)  // Город не указан (user = nil)\n\n// Функция для получения города\nfunc getCity(from user: User?) -> String {\n    user?.address?.city ?? \"Город не указан\"\n}"
+            },
+            {
+                "section": "Раздел 5: Optionals (Глава 7)",
+                "subsection": "compactMap для фильтрации nil",
+                "anchor": "compactmap-dlya-filtratsii-nil",
+                "text": "Средне Дан массив строк, которые могут представлять числа: [\"1\", \"two\", \"3\", \"four\", \"5\"]. Преобразуйте его в массив Int, отфильтровав невалидные значения. Показать ответ compactMap vs map: • map — преобразует каждый элемент, сохраняя nil • compactMap — преобразует И удаляет nil значения Идеально для безопасного преобразования данных.",
+                "code": "let strings = [\"1\", \"two\", \"3\", \"four\", \"5\"]\n\n// compactMap автоматически отфильтровывает nil\nlet numbers = strings.compactMap { Int($0) }\n\nprint(numbers)  // [1, 3, 5]\n\n// Что происходит под капотом:\n// \"1\"   → Int(\"1\")   → 1     ✓\n// \"two\" → Int(\"two\") → nil   ✗ (отфильтрован)\n// \"3\"   → Int(\"3\")   → 3     ✓\n// \"four\"→ Int(\"four\")→ nil   ✗ (отфильтрован)\n// \"5\"   → Int(\"5\")   → 5     ✓\n\n// Сравните с обычным map:\nlet withNils = strings.map { Int($0) }\nprint(withNils)  // [Optional(1), nil, Optional(3), nil, Optional(5)]"
+            },
+            {
+                "section": "Раздел 5: Optionals (Глава 7)",
+                "subsection": "Поздравляем!",
+                "anchor": "pozdravlyaem",
+                "text": "Вы прошли все 22 упражнения, охватывающие ключевые темы Swift: 6 Основы Swift 6 Control Flow 5 Функции и Closures 2 ООП (Struct/Class) 3 Optionals",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/review.html",
+        "chapter": "Дополнительно",
+        "title": "Повторение",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "Как работает повторение",
+                "anchor": "kak-rabotaet-povtorenie",
+                "text": "1. Вопрос, на который вы ответили неправильно в тесте главы, появляется здесь в тот же день 2. Каждый правильный ответ откладывает следующее повторение: через 1, 2, 4, затем 8 дней 3. После пяти правильных ответов подряд вопрос считается выученным 4. Ошибка возвращает вопрос в начало, и он придёт снова завтра",
+                "code": ""
+            }
+        ]
+    },
+    {
+        "url": "chapters/summary.html",
+        "chapter": "Дополнительно",
+        "title": "Итоги обучения",
+        "sections": [
+            {
+                "section": "",
+                "subsection": "",
+                "anchor": "",
+                "text": "Имя для итогов Печать Скачать JSON Скачать CSV",
+                "code": ""
+            }
+        ]
+    }
+]);
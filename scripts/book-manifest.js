@@ -0,0 +1,145 @@
+// Book manifest: the chapters of a book in reading order
+//
+// html/<book>/book.json lists every page of chapters/ in the groups the sidebar shows:
+//
+//   {
+//       "title": "UIKit + VIPER",
+//       "accent": "blue",
+//       "groups": [
+//           {
+//               "title": "Основы Swift",
+//               "chapters": [
+//                   {
+//                       "file": "01-xcode.html",
+//                       "title": "Знакомство с Xcode",
+//                       "label": "Глава 1",
+//                       "nav": "1. Xcode",
+//                       "keywords": ["xcode", "ide", "симулятор"]
+//                   }
+//               ]
+//           }
+//       ]
+//   }
+//
+// "label" numbers a chapter and "nav" is a shorter title for the sidebar; both are
+// optional. "title" and "accent" of the book go to the search. The order of the file is
+// the order of the book for build-nav.js, build-search-index.js and build-quizzes.js.
+//
+// A chapter written in Markdown names its README instead of a title, and the page is
+// generated from it by build-chapters.js:
+//
+//   {
+//       "file": "03-control-flow.html",
+//       "source": "03-Control-Flow/README.md",
+//       "nav": "3. Управление потоком",
+//       "keywords": ["if", "switch", "циклы"]
+//   }
+//
+// Its title and label come from the # heading of the README, "# Глава 3: Управление
+// потоком и коллекции", so the sidebar, the pagers and the search name the chapter as
+// the Markdown does.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_TITLE = /^\s*# (.+?)[ \t]*(?:\n|$)/;
+const SOURCE_LABEL = /^(Глава \d+): (.+)$/;
+
+function isText(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+function validateChapter(chapter, where, errors) {
+    if (!isText(chapter.file) || !/^[\w-]+\.html$/.test(chapter.file)) errors.push(`${where}: "file" must be the name of a page in chapters/`);
+    if (chapter.source !== undefined) {
+        if (!isText(chapter.source) || !/\.md$/.test(chapter.source)) errors.push(`${where}: "source" must be the path of a Markdown file`);
+        else if (!fs.existsSync(path.join(ROOT, chapter.source))) errors.push(`${where}: ${chapter.source} does not exist`);
+        ['title', 'label'].forEach(field => {
+            if (chapter[field] !== undefined) errors.push(`${where}: "${field}" comes from the # heading of ${chapter.source}`);
+        });
+    } else if (!isText(chapter.title)) {
+        errors.push(`${where}: "title" must be a non-empty string`);
+    }
+    ['label', 'nav'].forEach(field => {
+        if (chapter[field] !== undefined && !isText(chapter[field])) errors.push(`${where}: "${field}" must be a non-empty string`);
+    });
+    if (!Array.isArray(chapter.keywords) || !chapter.keywords.every(isText)) {
+        errors.push(`${where}: "keywords" must be a list of strings`);
+    }
+}
+
+// Title and label of a chapter from the # heading that opens its Markdown
+function sourceHeading(source, where, errors) {
+    const heading = fs.readFileSync(path.join(ROOT, source), 'utf8').match(SOURCE_TITLE);
+    if (!heading) {
+        errors.push(`${where}: ${source} does not start with a # heading`);
+        return {};
+    }
+    const label = heading[1].match(SOURCE_LABEL);
+    return label ? { title: label[2], label: label[1] } : { title: heading[1] };
+}
+
+// The manifest of a book with its chapters in order as `chapters`, each with its URL and
+// group; null, with the problems added to `errors`, when book.json is invalid or does
+// not match the pages of the book
+function loadManifest(bookDir, errors) {
+    const book = path.relative(ROOT, bookDir);
+    const file = path.join(bookDir, 'book.json');
+    const problems = [];
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        errors.push(`${book}/book.json: ${e.message}`);
+        return null;
+    }
+
+    if (!isText(manifest.title)) problems.push(`${book}/book.json: "title" must be a non-empty string`);
+    if (!isText(manifest.accent)) problems.push(`${book}/book.json: "accent" must be a Tailwind colour name`);
+    if (!Array.isArray(manifest.groups) || !manifest.groups.length) {
+        errors.push(`${book}/book.json: "groups" must be a non-empty list`);
+        return null;
+    }
+
+    const chapters = [];
+    manifest.groups.forEach((group, groupIndex) => {
+        const where = `${book}/book.json: group ${groupIndex + 1}`;
+        if (!isText(group.title)) problems.push(`${where}: "title" must be a non-empty string`);
+        if (!Array.isArray(group.chapters) || !group.chapters.length) {
+            problems.push(`${where}: "chapters" must be a non-empty list`);
+            return;
+        }
+        group.chapters.forEach((chapter, index) => {
+            const count = problems.length;
+            validateChapter(chapter, `${where}, chapter ${index + 1}`, problems);
+            const heading = problems.length === count && chapter.source ? sourceHeading(chapter.source, `${where}, chapter ${index + 1}`, problems) : {};
+            chapters.push(Object.assign({ url: `chapters/${chapter.file}`, group: group.title }, chapter, heading));
+        });
+    });
+
+    const listed = new Set();
+    chapters.forEach(chapter => {
+        if (!isText(chapter.file)) return;
+        if (listed.has(chapter.file)) problems.push(`${book}/book.json: ${chapter.file} is listed twice`);
+        listed.add(chapter.file);
+        if (!fs.existsSync(path.join(bookDir, chapter.url))) problems.push(`${book}/book.json: ${chapter.url} does not exist`);
+    });
+    fs.readdirSync(path.join(bookDir, 'chapters'))
+        .filter(page => page.endsWith('.html') && !listed.has(page))
+        .forEach(page => problems.push(`${book}/book.json: chapters/${page} is missing`));
+
+    if (problems.length) {
+        problems.forEach(problem => errors.push(problem));
+        return null;
+    }
+    return Object.assign({}, manifest, { chapters: chapters });
+}
+
+// "Глава 5: ООП в Swift", or the title alone for chapters without a number
+function fullTitle(chapter) {
+    return chapter.label ? `${chapter.label}: ${chapter.title}` : chapter.title;
+}
+
+module.exports = { loadManifest, fullTitle };
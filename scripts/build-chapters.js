@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Chapter generator
+//
+// A chapter with a "source" in book.json (see book-manifest.js) is written once, in
+// Markdown: the README.md of its folder at the root of the repository. This script
+// renders it (scripts/markdown.js) into the page of the book, with the template of the
+// book: the sidebar, a sticky header with the chapter, the title with the subtitle of
+// the README, the text with its code highlighted by highlight.js, the quiz of
+// quizzes/<chapter>.json when there is one and the pager.
+//
+// The parts of the page that other scripts generate are left to them, with the titles
+// of the Markdown: the sidebar, the pager and js/search-data.js to build-nav.js, the
+// quiz to build-quizzes.js and the outputs of snippets to run-snippets.js. Their
+// markers keep what they hold when a page is rendered again, so after editing a README
+// it is enough to run this script and build-search-index.js; a new chapter also needs
+// build-nav.js and build-quizzes.js.
+//
+// Links between the READMEs become links between the pages. The markers of
+// run-snippets.js on the lines after a closing fence make the snippet runnable.
+//
+//   node scripts/build-chapters.js          regenerate the chapters written in Markdown
+//   node scripts/build-chapters.js --check  verify without writing
+//
+// --check fails when book.json is invalid, when a README links to a file that is not a
+// chapter of the book, or when a page is out of date, e.g. after it was edited by hand.
+
+const fs = require('fs');
+const path = require('path');
+const { loadManifest, fullTitle } = require('./book-manifest');
+const { renderMarkdown } = require('./markdown');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOKS = ['html/viper', 'html/swiftui', 'html/android'];
+
+const GENERATED = /^([ \t]*)<!-- ((sidebar|pager|compare|review|quiz|output)(?:: [\w-]+)?) -->\n[\s\S]*?^[ \t]*<!-- \/\3 -->$/gm;
+const EXTERNAL = /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Lines indented by `indent`; a block of code keeps the lines after its first unindented
+function indented(lines, indent) {
+    return lines.map(line => line ? indent + line : line);
+}
+
+// Page templates of the books that have chapters in Markdown
+const TEMPLATES = {
+    viper(page) {
+        const chapter = page.chapter;
+        const label = escapeHtml(chapter.label || chapter.group);
+        const title = escapeHtml(chapter.title);
+        const quiz = page.quiz ? [
+            '',
+            '                <!-- Проверьте себя -->',
+            '                <section class="mt-16">',
+            '                    <h2 id="proverte-sebya" class="text-2xl font-bold mb-6 pb-3 border-b border-zinc-200 dark:border-zinc-700">Проверьте себя</h2>',
+            '                    <div class="flex items-center gap-3 mb-6">',
+            '                        <span id="score" class="px-3 py-1 bg-primary/10 text-primary rounded-full text-sm font-medium">0 / 0</span>',
+            '                        <button onclick="resetProgress()" class="text-sm text-zinc-500 hover:text-primary transition-colors" title="Стереть сохранённые ответы">Сбросить</button>',
+            '                    </div>',
+            '',
+            `                    <!-- quiz: ${page.quiz} -->`,
+            '                    <!-- /quiz -->',
+            '                </section>'
+        ] : [];
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="ru">',
+            '<head>',
+            '    <meta charset="UTF-8">',
+            '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            `    <title>${escapeHtml(fullTitle(chapter))} | iOS Book</title>`,
+            '    <script src="https://cdn.tailwindcss.com"></script>',
+            '    <script>',
+            '        tailwind.config = {',
+            "            darkMode: 'media',",
+            "            theme: { extend: { colors: { primary: '#007AFF' } } }",
+            '        }',
+            '    </script>',
+            '    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css">',
+            '    <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js"></script>',
+            '    <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/swift.min.js"></script>',
+            '    <style>',
+            '        ::-webkit-scrollbar { width: 6px; }',
+            '        ::-webkit-scrollbar-track { background: transparent; }',
+            '        ::-webkit-scrollbar-thumb { background: #d1d5db; border-radius: 3px; }',
+            '        pre code { font-size: 14px; line-height: 1.6; }',
+            '        pre code.hljs { border-radius: 0.75rem; }',
+            '    </style>',
+            '</head>',
+            '<body class="bg-white dark:bg-zinc-950 text-zinc-900 dark:text-zinc-100">',
+            `    <!-- Generated by scripts/build-chapters.js from ${page.source}: edit the Markdown, not this page. -->`,
+            '    <button id="menuBtn" class="lg:hidden fixed top-4 left-4 z-50 p-3 bg-white dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl shadow-lg" aria-label="Оглавление">',
+            '        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">',
+            '            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"/>',
+            '        </svg>',
+            '    </button>',
+            '',
+            '    <div class="flex min-h-screen">',
+            '        <aside id="sidebar" class="fixed inset-y-0 left-0 w-72 bg-zinc-50 dark:bg-zinc-900 border-r border-zinc-200 dark:border-zinc-800 flex flex-col z-40 transform -translate-x-full lg:translate-x-0 transition-transform duration-300">',
+            '            <div class="p-5 border-b border-zinc-200 dark:border-zinc-800">',
+            '                <a href="../index.html" class="flex items-center gap-3 text-lg font-semibold hover:text-primary transition-colors">',
+            '                    <div class="w-9 h-9 bg-primary rounded-lg flex items-center justify-center">',
+            '                        <svg class="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">',
+            '                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M5 13l4 4L19 7"/>',
+            '                        </svg>',
+            '                    </div>',
+            '                    iOS Book',
+            '                </a>',
+            '            </div>',
+            '            <!-- sidebar -->',
+            '            <!-- /sidebar -->',
+            '        </aside>',
+            '',
+            '        <div id="overlay" class="fixed inset-0 bg-black/50 z-30 lg:hidden hidden" onclick="closeSidebar()"></div>',
+            '',
+            '        <main class="flex-1 min-w-0 lg:ml-72">',
+            '            <header class="sticky top-0 z-20 bg-white/80 dark:bg-zinc-950/80 backdrop-blur-md border-b border-zinc-200 dark:border-zinc-800 print:hidden">',
+            '                <div class="max-w-3xl mx-auto pl-20 pr-6 sm:pr-8 lg:px-12 py-4 flex items-center gap-3 text-sm">',
+            `                    <span class="shrink-0 font-semibold text-primary">${label}</span>`,
+            `                    <span class="truncate text-zinc-600 dark:text-zinc-400">${title}</span>`,
+            '                </div>',
+            '            </header>',
+            '',
+            '            <article class="max-w-3xl mx-auto px-6 sm:px-8 lg:px-12 py-12 lg:py-16">',
+            '                <header class="mb-12 pb-8 border-b border-zinc-200 dark:border-zinc-800">',
+            `                    <span class="text-sm font-semibold uppercase tracking-wider text-primary">${label}</span>`,
+        ].concat(page.subtitle ? [
+            `                    <h1 class="text-3xl sm:text-4xl font-bold mt-2 mb-4">${title}</h1>`,
+            `                    <p class="text-lg text-zinc-600 dark:text-zinc-400">${page.subtitle}</p>`
+        ] : [
+            `                    <h1 class="text-3xl sm:text-4xl font-bold mt-2">${title}</h1>`
+        ], [
+            '                </header>',
+            '',
+            '                <div class="max-w-none">'
+        ], indented(page.content, '                    '), [
+            '                </div>'
+        ], quiz, [
+            '',
+            '                <!-- pager -->',
+            '                <!-- /pager -->',
+            '            </article>',
+            '        </main>',
+            '    </div>',
+            '',
+            '    <script>',
+            "        const menuBtn = document.getElementById('menuBtn');",
+            "        const sidebar = document.getElementById('sidebar');",
+            "        const overlay = document.getElementById('overlay');",
+            "        menuBtn.addEventListener('click', () => {",
+            "            sidebar.classList.toggle('-translate-x-full');",
+            "            overlay.classList.toggle('hidden');",
+            '        });',
+            '        function closeSidebar() {',
+            "            sidebar.classList.add('-translate-x-full');",
+            "            overlay.classList.add('hidden');",
+            '        }',
+            '    </script>',
+            '    <script>hljs.highlightAll();</script>',
+            '    <script src="../../js/chapter.js"></script>',
+            '    <script src="../../js/code-blocks.js"></script>',
+            '    <script src="../../js/quiz.js"></script>',
+            '    <script src="../../js/progress.js" data-book="viper"></script>',
+            '    <script src="../js/quiz-index.js"></script>',
+            '    <script src="../../js/review.js"></script>',
+            '    <script src="../../js/offline.js" data-worker="../sw.js"></script>',
+            '</body>',
+            '</html>',
+            ''
+        ]).join('\n');
+    }
+};
+
+// The blocks of other scripts in a new rendering of a page, as the page has them now
+function keepGenerated(html, current) {
+    const blocks = new Map();
+    for (const match of current.matchAll(GENERATED)) blocks.set(match[2], match[0].slice(match[1].length));
+    return html.replace(GENERATED, (block, indent, name) => blocks.has(name) ? indent + blocks.get(name) : block);
+}
+
+// The URL on the page of a link of a README: the page of a README of the book, or the
+// URL itself when it leads elsewhere
+function pageLink(url, source, pages, errors) {
+    if (EXTERNAL.test(url)) return url;
+    const [address, fragment] = url.split('#');
+    const target = path.relative(ROOT, path.resolve(ROOT, path.dirname(source), decodeURIComponent(address)));
+    if (!pages.has(target)) {
+        errors.push(`${source}: the link to ${url} does not lead to a chapter of the book`);
+        return url;
+    }
+    return pages.get(target) + (fragment ? `#${fragment}` : '');
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const errors = [];
+    let stale = false;
+    let rendered = 0;
+
+    BOOKS.forEach(book => {
+        const bookDir = path.join(ROOT, book);
+        const id = path.basename(book);
+        const manifest = loadManifest(bookDir, errors);
+        if (!manifest) return;
+
+        const chapters = manifest.chapters.filter(chapter => chapter.source);
+        if (chapters.length && !TEMPLATES[id]) {
+            errors.push(`${book}/book.json: there is no chapter template for ${book} in build-chapters.js`);
+            return;
+        }
+        const pages = new Map(chapters.map(chapter => [path.normalize(chapter.source), chapter.file]));
+
+        chapters.forEach(chapter => {
+            const target = path.join(bookDir, chapter.url);
+            const markdown = renderMarkdown(fs.readFileSync(path.join(ROOT, chapter.source), 'utf8'), {
+                link: url => pageLink(url, chapter.source, pages, errors),
+                error: (line, message) => errors.push(`${chapter.source}:${line}: ${message}`)
+            });
+            const quiz = path.basename(chapter.file, '.html');
+            const html = TEMPLATES[id]({
+                chapter: chapter,
+                source: chapter.source,
+                subtitle: markdown.subtitle,
+                content: markdown.lines,
+                quiz: fs.existsSync(path.join(bookDir, 'quizzes', `${quiz}.json`)) ? quiz : null
+            });
+
+            const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+            const output = keepGenerated(html, current);
+            rendered++;
+            if (current === output) return;
+
+            if (check) {
+                console.error(`${book}/${chapter.url} is out of date`);
+                stale = true;
+            } else {
+                fs.writeFileSync(target, output);
+                console.log(`${book}/${chapter.url}: rendered from ${chapter.source}`);
+            }
+        });
+    });
+
+    errors.forEach(error => console.error(error));
+    if (stale) console.error('Run `node scripts/build-chapters.js` to render the chapters again, and edit their README.md instead of the pages.');
+    if (!check && !errors.length) console.log(`${rendered} chapter(s) written in Markdown`);
+    if (errors.length || stale) process.exit(1);
+}
+
+main();
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// Navigation generator
+//
+// Renders the chapter order of html/<book>/book.json (described in book-manifest.js)
+// into the pages of the book, between pairs of markers:
+//
+//   <!-- sidebar -->    the chapter list of the sidebar, in index.html and in the
+//   <!-- /sidebar -->   chapters that have a sidebar, with the open chapter highlighted
+//
+//   <!-- pager -->      links to the previous and the next chapter at the end of every
+//   <!-- /pager -->     page, marked rel="prev" and rel="next" for the keyboard
+//                       shortcuts of html/js/chapter.js
+//
+//   <!-- compare -->    a link to html/compare.html, which shows the chapter next to
+//   <!-- /compare -->   the chapter of the same file in the other book of COMPARE_BOOKS
+//
+// It also writes js/search-data.js, the chapter list of the book for the search
+// (html/js/search.js), and the list of chapters that can be compared into
+// html/compare.html (<!-- comparisons -->). Adding a chapter takes a line in book.json
+// and a run of this script, then of build-quizzes.js and build-search-index.js.
+//
+//   node scripts/build-nav.js          regenerate the navigation of every book
+//   node scripts/build-nav.js --check  verify without writing
+//
+// --check fails when book.json is invalid or does not list exactly the pages of
+// chapters/, when a page has no pager, when a chapter that can be compared has no
+// compare link, or when a page or search-data.js is out of date.
+
+const fs = require('fs');
+const path = require('path');
+const { loadManifest, fullTitle } = require('./book-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOKS = ['html/viper', 'html/swiftui', 'html/android'];
+
+const SIDEBAR_MARKER = /^([ \t]*)<!-- sidebar -->\n[\s\S]*?^[ \t]*<!-- \/sidebar -->$/gm;
+const PAGER_MARKER = /^([ \t]*)<!-- pager -->\n[\s\S]*?^[ \t]*<!-- \/pager -->$/gm;
+const COMPARE_MARKER = /^([ \t]*)<!-- compare -->\n[\s\S]*?^[ \t]*<!-- \/compare -->$/gm;
+const COMPARISONS_MARKER = /^([ \t]*)<!-- comparisons -->\n[\s\S]*?^[ \t]*<!-- \/comparisons -->$/gm;
+
+// Books with chapters of the same file on the same topic, in the order of the panes of
+// compare.html; the review and the summary show the learner's own results instead
+const COMPARE_BOOKS = ['swiftui', 'android'];
+const COMPARE_SKIP = ['review.html', 'summary.html'];
+const COMPARE_PAGE = path.join(ROOT, 'html', 'compare.html');
+
+const SIDEBAR_LINK = 'block px-3 py-2 text-sm text-zinc-600 dark:text-zinc-400 hover:text-zinc-900 dark:hover:text-white hover:bg-zinc-200/50 dark:hover:bg-zinc-800 rounded-lg transition-colors';
+const SIDEBAR_CURRENT = 'block px-3 py-2 text-sm text-white bg-primary rounded-lg';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Links of a pager: the neighbour chapter with its rel, or the book index at either end
+function pagerLink(chapter, rel) {
+    return chapter
+        ? { href: chapter.file, rel: ` rel="${rel}"`, chapter: chapter }
+        : { href: '../index.html', rel: '', chapter: null };
+}
+
+// Every book keeps the look its chapters had before the pager was generated
+const PAGERS = {
+    viper(prev, next) {
+        const button = 'flex items-center gap-3 px-5 py-3 bg-zinc-100 dark:bg-zinc-800 hover:bg-primary hover:text-white rounded-xl transition-colors';
+        const text = link => escapeHtml(link.chapter ? fullTitle(link.chapter) : 'Оглавление');
+        return [
+            '<nav class="flex justify-between gap-4 mt-16 pt-8 border-t border-zinc-200 dark:border-zinc-800 print:hidden">',
+            `    <a href="${prev.href}"${prev.rel} class="${button}">`,
+            '        <span class="text-xl">←</span>',
+            `        <span class="font-medium">${text(prev)}</span>`,
+            '    </a>',
+            `    <a href="${next.href}"${next.rel} class="${button} ml-auto">`,
+            `        <span class="font-medium">${text(next)}</span>`,
+            '        <span class="text-xl">→</span>',
+            '    </a>',
+            '</nav>'
+        ];
+    },
+
+    swiftui(prev, next) {
+        const text = link => escapeHtml(link.chapter ? fullTitle(link.chapter) : 'Оглавление');
+        return [
+            '<nav class="flex justify-between items-center gap-4 mt-16 pt-8 border-t border-zinc-200 dark:border-zinc-800 print:hidden">',
+            `    <a href="${prev.href}"${prev.rel} class="flex items-center gap-2 text-zinc-600 dark:text-zinc-400 hover:text-primary transition-colors">`,
+            '        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">',
+            '            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/>',
+            '        </svg>',
+            `        ${text(prev)}`,
+            '    </a>',
+            `    <a href="${next.href}"${next.rel} class="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-xl hover:bg-blue-600 transition-colors">`,
+            `        ${text(next)}`,
+            '        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">',
+            '            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>',
+            '        </svg>',
+            '    </a>',
+            '</nav>'
+        ];
+    },
+
+    android(prev, next) {
+        const side = (link, text) => link.chapter
+            ? `<a href="${link.href}"${link.rel} class="text-green-500 hover:underline">${text(escapeHtml(link.chapter.title))}</a>`
+            : `<span class="text-zinc-400">${link === prev ? 'Начало' : 'Конец'}</span>`;
+        return [
+            '<nav class="flex justify-between items-center gap-4 mt-12 pt-8 border-t border-zinc-200 dark:border-zinc-800 print:hidden">',
+            `    ${side(prev, title => `&larr; ${title}`)}`,
+            '    <a href="../index.html" class="text-green-500 hover:underline">Оглавление</a>',
+            `    ${side(next, title => `${title} &rarr;`)}`,
+            '</nav>'
+        ];
+    }
+};
+
+// Links from a chapter to its comparison, in the header of the book's chapters
+const COMPARE_LINKS = {
+    swiftui(file) {
+        return [
+            `<a href="../../compare.html?chapter=${file}&amp;platform=swiftui" data-compare class="ml-auto mr-6 flex items-center gap-2 text-sm text-zinc-600 dark:text-zinc-400 hover:text-primary transition-colors" title="Глава iOS и глава Android рядом">`,
+            '    <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">',
+            '        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"/>',
+            '    </svg>',
+            '    Сравнить с Android',
+            '</a>'
+        ];
+    },
+
+    android(file) {
+        return [
+            `<a href="../../compare.html?chapter=${file}&amp;platform=android" data-compare class="ml-4 text-green-500 hover:underline mb-4 inline-block" title="Глава Android и глава iOS рядом">Сравнить с iOS &harr;</a>`
+        ];
+    }
+};
+
+// Options of the chapter picker of compare.html, titled after the first book
+function renderComparisons(chapters) {
+    return chapters.map(pair => {
+        const other = pair[1].title === pair[0].title ? '' : ` / ${escapeHtml(pair[1].title)}`;
+        return `<option value="${pair[0].file}">${escapeHtml(fullTitle(pair[0]))}${other}</option>`;
+    });
+}
+
+// The sidebar of the index (base "chapters/") or of a chapter (base "", current set)
+function renderSidebar(manifest, base, current) {
+    const lines = ['<nav class="flex-1 overflow-y-auto p-4">', '    <div class="space-y-6">'];
+    manifest.groups.forEach(group => {
+        lines.push(
+            '        <div>',
+            `            <h3 class="px-3 mb-2 text-xs font-semibold uppercase tracking-wider text-zinc-400">${escapeHtml(group.title)}</h3>`,
+            '            <div class="space-y-1">'
+        );
+        group.chapters.forEach(chapter => {
+            const text = escapeHtml(chapter.nav || chapter.title);
+            lines.push(chapter.file === current
+                ? `                <a href="${base}${chapter.file}" class="${SIDEBAR_CURRENT}" aria-current="page">${text}</a>`
+                : `                <a href="${base}${chapter.file}" class="${SIDEBAR_LINK}">${text}</a>`);
+        });
+        lines.push('            </div>', '        </div>');
+    });
+    lines.push('    </div>', '</nav>');
+    return lines;
+}
+
+function replaceMarker(html, marker, name, lines) {
+    return html.replace(marker, (block, indent) => [`<!-- ${name} -->`]
+        .concat(lines)
+        .concat(`<!-- /${name} -->`)
+        .map(line => line ? indent + line : line)
+        .join('\n'));
+}
+
+function renderSearchData(id, manifest) {
+    const book = {
+        id: id,
+        title: manifest.title,
+        accent: manifest.accent,
+        chapters: manifest.chapters.map(chapter => ({
+            title: chapter.title,
+            url: chapter.url,
+            chapter: chapter.label || chapter.group,
+            keywords: chapter.keywords
+        }))
+    };
+    return [
+        '// Generated by scripts/build-nav.js from book.json.',
+        '// Do not edit by hand: run `node scripts/build-nav.js` after changing the chapters of the book.',
+        `registerSearchBook(${JSON.stringify(book, null, 4)});`,
+        ''
+    ].join('\n');
+}
+
+// Chapters of the same file in both books of COMPARE_BOOKS, as pairs in the order of
+// the first book
+function comparableChapters(manifests) {
+    const [first, second] = COMPARE_BOOKS.map(id => manifests[id]);
+    if (!first || !second) return [];
+    return first.chapters
+        .filter(chapter => !COMPARE_SKIP.includes(chapter.file))
+        .map(chapter => [chapter, second.chapters.find(other => other.file === chapter.file)])
+        .filter(pair => pair[1]);
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const errors = [];
+    const manifests = {};
+    let stale = false;
+
+    function update(target, output) {
+        const name = path.relative(ROOT, target);
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+        if (current === output) return;
+
+        if (check) {
+            console.error(`${name} is out of date`);
+            stale = true;
+        } else {
+            fs.writeFileSync(target, output);
+            console.log(`${name}: navigation updated`);
+        }
+    }
+
+    BOOKS.forEach(book => {
+        manifests[path.basename(book)] = loadManifest(path.join(ROOT, book), errors);
+    });
+    const comparable = comparableChapters(manifests);
+
+    BOOKS.forEach(book => {
+        const bookDir = path.join(ROOT, book);
+        const id = path.basename(book);
+        const manifest = manifests[id];
+        if (!manifest) return;
+
+        const indexFile = path.join(bookDir, 'index.html');
+        update(indexFile, replaceMarker(fs.readFileSync(indexFile, 'utf8'), SIDEBAR_MARKER, 'sidebar', renderSidebar(manifest, 'chapters/', null)));
+
+        manifest.chapters.forEach((chapter, index) => {
+            const target = path.join(bookDir, chapter.url);
+            const html = fs.readFileSync(target, 'utf8');
+            if (!html.match(PAGER_MARKER)) {
+                errors.push(`${book}/${chapter.url}: no <!-- pager --> marker`);
+                return;
+            }
+
+            const compared = COMPARE_LINKS[id] && comparable.some(pair => pair[0].file === chapter.file);
+            if (compared && !html.match(COMPARE_MARKER)) {
+                errors.push(`${book}/${chapter.url}: no <!-- compare --> marker`);
+                return;
+            }
+
+            const prev = pagerLink(manifest.chapters[index - 1], 'prev');
+            const next = pagerLink(manifest.chapters[index + 1], 'next');
+            let output = replaceMarker(html, SIDEBAR_MARKER, 'sidebar', renderSidebar(manifest, '', chapter.file));
+            output = replaceMarker(output, PAGER_MARKER, 'pager', PAGERS[id](prev, next));
+            output = replaceMarker(output, COMPARE_MARKER, 'compare', compared ? COMPARE_LINKS[id](chapter.file) : []);
+            update(target, output);
+        });
+
+        update(path.join(bookDir, 'js', 'search-data.js'), renderSearchData(id, manifest));
+    });
+
+    if (COMPARE_BOOKS.every(id => manifests[id])) {
+        update(COMPARE_PAGE, replaceMarker(fs.readFileSync(COMPARE_PAGE, 'utf8'), COMPARISONS_MARKER, 'comparisons', renderComparisons(comparable)));
+    }
+
+    errors.forEach(error => console.error(error));
+    if (stale) console.error('Run `node scripts/build-nav.js` to regenerate the navigation.');
+    if (errors.length || stale) process.exit(1);
+}
+
+main();
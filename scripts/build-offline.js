@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Offline cache generator
+//
+// Writes sw.js for every book: the files its service worker precaches (index.html,
+// the manifest, chapters/, css/, js/, the shared html/js scripts its pages load and the
+// vendored CDN assets from html/vendor) and a cache name derived from their contents, so
+// browsers install a new worker whenever a page of the book changes.
+//
+//   node scripts/build-offline.js          regenerate sw.js of every book
+//   node scripts/build-offline.js --check  verify without writing
+//
+// --check fails when sw.js is out of date, or when a page loads a CDN asset
+// that has no vendored copy in VENDOR.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const HTML = path.join(ROOT, 'html');
+const BOOKS = ['viper', 'swiftui', 'android'];
+
+// CDN assets loaded by the pages and their copies in html/vendor
+const VENDOR = {
+    'https://cdn.tailwindcss.com/': 'tailwindcss/3.4.10/tailwindcss.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js': 'highlight.js/11.9.0/highlight.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/swift.min.js': 'highlight.js/11.9.0/languages/swift.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/javascript.min.js': 'highlight.js/11.9.0/languages/javascript.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/php.min.js': 'highlight.js/11.9.0/languages/php.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css': 'highlight.js/11.9.0/styles/github-dark.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/vs2015.min.css': 'highlight.js/11.9.0/styles/vs2015.min.css'
+};
+
+function listFiles(dir, extension) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => file.endsWith(extension)).sort();
+}
+
+// Pages of the book relative to its folder
+function bookPages(book) {
+    return ['index.html'].concat(listFiles(path.join(HTML, book, 'chapters'), '.html').map(file => `chapters/${file}`));
+}
+
+// Files of the book relative to its sw.js, with the shared scripts and the vendored
+// copies of the CDN assets it uses
+function precacheList(book, scripts, urls) {
+    const bookDir = path.join(HTML, book);
+    return ['index.html', 'manifest.webmanifest', 'icon.svg']
+        .concat(listFiles(path.join(bookDir, 'chapters'), '.html').map(file => `chapters/${file}`))
+        .concat(listFiles(path.join(bookDir, 'css'), '.css').map(file => `css/${file}`))
+        .concat(listFiles(path.join(bookDir, 'js'), '.js').map(file => `js/${file}`))
+        .concat(scripts.map(file => `../js/${file}`))
+        .concat(urls.filter(url => VENDOR[url]).map(url => `../vendor/${VENDOR[url]}`));
+}
+
+// Shared html/js scripts loaded by the book's pages, and offline-worker.js, which sw.js
+// imports
+function sharedScripts(book) {
+    const scripts = new Set(['offline-worker.js']);
+    bookPages(book).forEach(page => {
+        const html = fs.readFileSync(path.join(HTML, book, page), 'utf8');
+        const pattern = /<script\b[^>]*\bsrc="([^":]+\.js)"/g;
+        let match;
+        while ((match = pattern.exec(html))) {
+            const file = path.resolve(path.dirname(path.join(HTML, book, page)), match[1]);
+            if (path.dirname(file) === path.join(HTML, 'js')) scripts.add(path.basename(file));
+        }
+    });
+    return Array.from(scripts).sort();
+}
+
+// CDN URLs referenced by the book's pages, normalised like request.url in the worker
+function cdnUrls(book) {
+    const urls = new Set();
+    bookPages(book).forEach(page => {
+        const html = fs.readFileSync(path.join(HTML, book, page), 'utf8');
+        const pattern = /<(?:script|link)\b[^>]*\b(?:src|href)="(https:\/\/(?:cdn\.tailwindcss\.com|cdnjs\.cloudflare\.com)[^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(html))) urls.add(new URL(match[1]).href);
+    });
+    return Array.from(urls).sort();
+}
+
+function renderWorker(book, files, urls) {
+    const hash = crypto.createHash('sha1');
+    files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(HTML, book, file)));
+    });
+    const vendor = {};
+    urls.forEach(url => {
+        vendor[url] = `../vendor/${VENDOR[url]}`;
+    });
+
+    return [
+        '// Generated by scripts/build-offline.js from the files of the book.',
+        '// Do not edit by hand: run `node scripts/build-offline.js` after changing a page.',
+        `const CACHE_NAME = '${book}-${hash.digest('hex').slice(0, 10)}';`,
+        `const PRECACHE = ${JSON.stringify(files, null, 4)};`,
+        `const VENDOR = ${JSON.stringify(vendor, null, 4)};`,
+        '',
+        "importScripts('../js/offline-worker.js');",
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    let failed = false;
+    let stale = false;
+
+    BOOKS.forEach(book => {
+        const urls = cdnUrls(book);
+        const files = precacheList(book, sharedScripts(book), urls);
+        const target = path.join(HTML, book, 'sw.js');
+
+        files.forEach(file => {
+            if (!fs.existsSync(path.join(HTML, book, file))) {
+                console.error(`html/${book}/${file} does not exist`);
+                failed = true;
+            }
+        });
+        urls.forEach(url => {
+            if (!VENDOR[url]) {
+                console.error(`html/${book} loads ${url}, which has no vendored copy`);
+                failed = true;
+            }
+        });
+        if (failed) return;
+
+        const output = renderWorker(book, files, urls);
+        if (check) {
+            const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+            if (current !== output) {
+                console.error(`html/${book}/sw.js is out of date`);
+                stale = true;
+            }
+        } else {
+            fs.writeFileSync(target, output);
+            console.log(`html/${book}/sw.js: ${files.length} files`);
+        }
+    });
+
+    if (stale) console.error('Run `node scripts/build-offline.js` to regenerate the service workers.');
+    if (failed || stale) process.exit(1);
+}
+
+main();
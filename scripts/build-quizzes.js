@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+// Quiz generator
+//
+// Renders the questions of html/<book>/quizzes/<name>.json into the chapter pages
+// that ask for them with a pair of markers:
+//
+//   <!-- quiz: exercises -->
+//   <!-- /quiz -->
+//
+// Everything between the markers is replaced, so the questions are edited in the
+// JSON file only. The answers are checked and saved by html/js/quiz.js. The question
+// ids of every chapter also go to js/quiz-index.js of the book for its progress
+// dashboard.
+//
+// The review page of a book (chapters/review.html) has a pair of markers without a
+// name instead, and gets every quiz of the book under the title of its chapter, in the
+// order of the book's book.json:
+//
+//   <!-- review -->
+//   <!-- /review -->
+//
+//   node scripts/build-quizzes.js          regenerate the quizzes of every book
+//   node scripts/build-quizzes.js --check  verify without writing
+//
+// A quiz file looks like this; `code` and `language` are optional, and text in
+// backticks is shown as inline code:
+//
+//   {
+//       "language": "swift",
+//       "questions": [
+//           {
+//               "id": "1",
+//               "prompt": "Что выведет этот код?",
+//               "code": "let x = 10\nprint(x)",
+//               "options": ["10", "Ошибка компиляции"],
+//               "correct": 0,
+//               "explanation": "`x` - константа со значением 10."
+//           }
+//       ]
+//   }
+//
+// "type" selects other kinds of questions; the fields above stay the same except:
+//
+//   "type": "multiple"  "correct" is a list of the indexes of all correct options
+//   "type": "fill"      "code" marks each blank with ___ and "answers" lists, per
+//                       blank, the accepted text (a string or a list of spellings)
+//   "type": "order"     "items" lists the steps in the correct order instead of
+//                       "options"; the page shows them shuffled
+//
+// --check fails when a quiz file is invalid, a marker names a missing file, or a
+// page or quiz-index.js is out of date.
+
+const fs = require('fs');
+const path = require('path');
+const { loadManifest, fullTitle } = require('./book-manifest');
+const { slugify } = require('./markdown');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOKS = ['html/viper', 'html/swiftui', 'html/android'];
+
+const MARKER = /^([ \t]*)<!-- quiz: ([\w-]+) -->\n[\s\S]*?^[ \t]*<!-- \/quiz -->$/gm;
+const REVIEW_MARKER = /^([ \t]*)<!-- review -->\n[\s\S]*?^[ \t]*<!-- \/review -->$/gm;
+const TYPES = ['single', 'multiple', 'fill', 'order'];
+const BLANK = /_{3,}/g;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Escaped text with `backticks` turned into <code>
+function inlineText(text) {
+    return escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+// Accepted spellings of every blank of a fill question
+function blankAnswers(question) {
+    return question.answers.map(answer => Array.isArray(answer) ? answer : [answer]);
+}
+
+// Problems with a quiz file, as messages prefixed with its path
+function validateQuiz(file, quiz) {
+    const errors = [];
+    if (!Array.isArray(quiz.questions) || !quiz.questions.length) {
+        return [`${file}: "questions" must be a non-empty array`];
+    }
+
+    const ids = new Set();
+    quiz.questions.forEach((question, index) => {
+        const where = `${file}: question ${index + 1}`;
+        const type = question.type || 'single';
+        if (!isText(question.id)) errors.push(`${where}: "id" must be a non-empty string`);
+        else if (ids.has(question.id)) errors.push(`${where}: duplicate id "${question.id}"`);
+        ids.add(question.id);
+
+        if (!isText(question.prompt)) errors.push(`${where}: "prompt" must be a non-empty string`);
+        if (!isText(question.explanation)) errors.push(`${where}: "explanation" must be a non-empty string`);
+        if (question.code !== undefined && typeof question.code !== 'string') errors.push(`${where}: "code" must be a string`);
+        if (!TYPES.includes(type)) {
+            errors.push(`${where}: "type" must be one of ${TYPES.join(', ')}`);
+            return;
+        }
+
+        if (type === 'single' || type === 'multiple') {
+            const options = question.options;
+            if (!Array.isArray(options) || options.length < 2 || !options.every(isText)) {
+                errors.push(`${where}: "options" must be an array of at least two strings`);
+                return;
+            }
+            const isOption = value => Number.isInteger(value) && value >= 0 && value < options.length;
+            if (type === 'single' && !isOption(question.correct)) {
+                errors.push(`${where}: "correct" must be the index of one of the options`);
+            }
+            if (type === 'multiple' && (!Array.isArray(question.correct) || !question.correct.length
+                || !question.correct.every(isOption) || new Set(question.correct).size !== question.correct.length)) {
+                errors.push(`${where}: "correct" must be a list of different option indexes`);
+            }
+        }
+        if (type === 'fill') {
+            const blanks = isText(question.code) ? (question.code.match(BLANK) || []).length : 0;
+            if (!blanks) errors.push(`${where}: "code" must mark the blanks with ___`);
+            else if (!Array.isArray(question.answers) || question.answers.length !== blanks) {
+                errors.push(`${where}: "answers" must have one entry per blank (${blanks})`);
+            } else if (!blankAnswers(question).every(answer => answer.length && answer.every(isText))) {
+                errors.push(`${where}: every answer must be a string or a non-empty list of strings`);
+            }
+        }
+        if (type === 'order' && (!Array.isArray(question.items) || question.items.length < 2 || !question.items.every(isText))) {
+            errors.push(`${where}: "items" must be an array of at least two strings`);
+        }
+    });
+    return errors;
+}
+
+// Item positions in a shuffled order that stays the same between builds and never
+// starts out solved
+function shuffledPositions(seed, count) {
+    let state = Array.from(seed).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+    const random = () => {
+        state = (state * 1103515245 + 12345) >>> 0;
+        return state / 0x100000000;
+    };
+    const positions = Array.from({ length: count }, (_, index) => index);
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    if (positions.every((position, index) => position === index)) positions.push(positions.shift());
+    return positions;
+}
+
+function renderCode(question, language) {
+    if (question.type === 'fill') {
+        // The blanks are inputs, so highlight.js must leave this block alone
+        const answers = blankAnswers(question);
+        let blank = 0;
+        const code = escapeHtml(question.code).replace(BLANK, () => {
+            const accepted = answers[blank++];
+            const width = Math.max(...accepted.map(answer => answer.length)) + 2;
+            return `<input class="quiz-blank" size="${width}" data-answers="${escapeAttribute(JSON.stringify(accepted))}" aria-label="Пропуск ${blank}" autocomplete="off" autocapitalize="off" spellcheck="false">`;
+        });
+        return `    <pre class="mb-4"><code class="nohighlight">${code}</code></pre>`;
+    }
+    const codeClass = language ? ` class="language-${escapeAttribute(language)}"` : '';
+    return `    <pre class="mb-4"><code${codeClass}>${escapeHtml(question.code)}</code></pre>`;
+}
+
+function renderChoices(question) {
+    const type = question.type || 'single';
+    const lines = [];
+    if (type === 'multiple') lines.push('    <p class="text-sm text-zinc-500 mb-3">Выберите все подходящие варианты</p>');
+    if (type === 'order') lines.push('    <p class="text-sm text-zinc-500 mb-3">Расставьте шаги по порядку: перетащите их или используйте стрелки</p>');
+
+    if (type === 'single' || type === 'multiple') {
+        const correct = [].concat(question.correct);
+        const action = type === 'single' ? 'checkAnswer(this)' : 'toggleOption(this)';
+        lines.push('    <div class="space-y-2">');
+        question.options.forEach((option, index) => {
+            const mark = correct.includes(index) ? ' data-correct="true"' : '';
+            lines.push(
+                `        <div class="quiz-option p-3 border border-zinc-200 dark:border-zinc-700 rounded-lg"${mark} onclick="${action}">`,
+                `            <span>${inlineText(option)}</span>`,
+                '        </div>'
+            );
+        });
+        lines.push('    </div>');
+    }
+    if (type === 'order') {
+        lines.push('    <ol class="quiz-order space-y-2">');
+        shuffledPositions(question.id, question.items.length).forEach(position => {
+            lines.push(
+                `        <li class="quiz-item flex items-center gap-3 p-3 border border-zinc-200 dark:border-zinc-700 rounded-lg" draggable="true" data-position="${position}">`,
+                '            <span class="text-zinc-400 select-none" aria-hidden="true">⋮⋮</span>',
+                `            <span class="flex-1">${inlineText(question.items[position])}</span>`,
+                '            <button type="button" class="quiz-move px-2 text-zinc-400 hover:text-zinc-900 dark:hover:text-white" onclick="moveItem(this, -1)" aria-label="Выше">↑</button>',
+                '            <button type="button" class="quiz-move px-2 text-zinc-400 hover:text-zinc-900 dark:hover:text-white" onclick="moveItem(this, 1)" aria-label="Ниже">↓</button>',
+                '        </li>'
+            );
+        });
+        lines.push('    </ol>');
+    }
+    if (type !== 'single') {
+        lines.push('    <button type="button" class="quiz-check mt-4 px-4 py-2 bg-zinc-900 dark:bg-white text-white dark:text-zinc-900 rounded-lg text-sm font-medium" onclick="submitQuiz(this)">Проверить</button>');
+    }
+    return lines;
+}
+
+function renderQuestion(quiz, question, number, headingId) {
+    const type = question.type || 'single';
+    const dataType = type === 'single' ? '' : ` data-type="${type}"`;
+    const lines = [
+        `<!-- Quiz ${number} -->`,
+        `<div class="quiz mb-8 p-6 bg-zinc-50 dark:bg-zinc-900 rounded-2xl border border-zinc-200 dark:border-zinc-800" data-quiz="${escapeAttribute(question.id)}"${dataType}>`,
+        `    <h3 id="${headingId}" class="font-bold text-lg mb-4">${number}. ${inlineText(question.prompt)}</h3>`
+    ];
+    if (question.code) lines.push(renderCode(question, question.language || quiz.language));
+    renderChoices(question).forEach(line => lines.push(line));
+    lines.push(
+        '    <div class="solution mt-4 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">',
+        '        <p class="solution-verdict font-medium text-green-800 dark:text-green-300">Правильно!</p>',
+        `        <p class="text-green-700 dark:text-green-400 text-sm mt-1">${inlineText(question.explanation)}</p>`
+    );
+    if (type === 'order') {
+        lines.push('        <ol class="list-decimal list-inside text-green-700 dark:text-green-400 text-sm mt-2 space-y-1">');
+        question.items.forEach(item => lines.push(`            <li>${inlineText(item)}</li>`));
+        lines.push('        </ol>');
+    }
+    lines.push(
+        '    </div>',
+        '</div>'
+    );
+    return lines;
+}
+
+// The quiz set with the heading ids made unique among the ids already on the page
+function renderQuiz(setId, quiz, usedIds, review) {
+    const lines = [`<div class="quiz-set" data-quiz-set="${escapeAttribute(setId)}"${review ? ' data-review' : ''}>`];
+    quiz.questions.forEach((question, index) => {
+        const number = index + 1;
+        const base = slugify(`${number}. ${question.prompt.replace(/`/g, '')}`);
+        let headingId = base;
+        for (let n = 2; usedIds.has(headingId); n++) headingId = `${base}-${n}`;
+        usedIds.add(headingId);
+
+        if (index > 0) lines.push('');
+        renderQuestion(quiz, question, number, headingId).forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('</div>');
+    return lines;
+}
+
+// The parsed quiz html/<book>/quizzes/<name>.json, or null after reporting why it is unusable
+function loadQuiz(bookDir, name, errors) {
+    const file = path.join(bookDir, 'quizzes', `${name}.json`);
+    const relative = path.relative(ROOT, file);
+    if (!fs.existsSync(file)) {
+        errors.push(`${relative} does not exist`);
+        return null;
+    }
+
+    let quiz;
+    try {
+        quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${relative}: ${error.message}`);
+        return null;
+    }
+    const problems = validateQuiz(relative, quiz);
+    if (problems.length) {
+        problems.forEach(problem => errors.push(problem));
+        return null;
+    }
+    return quiz;
+}
+
+// Every quiz of the book, one section per chapter in the order of the chapters
+function renderReview(book, bookDir, chapters, usedIds) {
+    const lines = ['<div id="reviewQuestions" class="hidden">'];
+    chapters.forEach(chapter => {
+        // Problems with the file are reported for the page of its chapter
+        const quiz = loadQuiz(bookDir, chapter.name, []);
+        if (!quiz) return;
+
+        const base = slugify(chapter.title);
+        let headingId = base;
+        for (let n = 2; usedIds.has(headingId); n++) headingId = `${base}-${n}`;
+        usedIds.add(headingId);
+
+        if (lines.length > 1) lines.push('');
+        lines.push(
+            `    <section class="review-chapter mb-12" data-chapter="${escapeAttribute(chapter.url)}">`,
+            `        <h2 id="${headingId}" class="text-xl font-bold mb-6">${escapeHtml(chapter.title)}</h2>`
+        );
+        renderQuiz(`${path.basename(book)}/${chapter.name}`, quiz, usedIds, true)
+            .forEach(line => lines.push(line ? `        ${line}` : line));
+        lines.push('    </section>');
+    });
+    lines.push('</div>');
+    return lines;
+}
+
+// The page with every marked quiz rendered, or null when it has no markers.
+// The question ids of each rendered set are added to `sets`; `chapters` lists the
+// quizzes of the book for the review page.
+function renderPage(book, bookDir, html, errors, sets, chapters) {
+    if (!html.match(MARKER) && !html.match(REVIEW_MARKER)) return null;
+
+    // Ids outside the generated blocks, so renaming a question does not keep its old id taken
+    const usedIds = new Set();
+    const idPattern = /\sid="([^"]+)"/g;
+    let match;
+    const outside = html.replace(MARKER, '').replace(REVIEW_MARKER, '');
+    while ((match = idPattern.exec(outside))) usedIds.add(match[1]);
+
+    return html
+        .replace(MARKER, (block, indent, name) => {
+            const quiz = loadQuiz(bookDir, name, errors);
+            if (!quiz) return block;
+
+            const setId = `${path.basename(book)}/${name}`;
+            sets[setId] = quiz.questions.map(question => question.id);
+            return [`<!-- quiz: ${name} -->`]
+                .concat(renderQuiz(setId, quiz, usedIds))
+                .concat('<!-- /quiz -->')
+                .map(line => line ? indent + line : line)
+                .join('\n');
+        })
+        .replace(REVIEW_MARKER, (block, indent) => ['<!-- review -->']
+            .concat(renderReview(book, bookDir, chapters, usedIds))
+            .concat('<!-- /review -->')
+            .map(line => line ? indent + line : line)
+            .join('\n'));
+}
+
+// Title and quizzes of every chapter for the progress dashboard, the review queue and
+// the results of the book (html/js/progress.js, review.js and results.js)
+function renderIndex(id, chapters) {
+    return [
+        '// Generated by scripts/build-quizzes.js from the quizzes in quizzes/*.json.',
+        '// Do not edit by hand: run `node scripts/build-quizzes.js` after changing a quiz.',
+        `registerQuizIndex('${id}', ${JSON.stringify(chapters, null, 4)});`,
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const errors = [];
+    let stale = false;
+
+    BOOKS.forEach(book => {
+        const bookDir = path.join(ROOT, book);
+        const manifest = loadManifest(bookDir, errors);
+        if (!manifest) return;
+        const chapters = {};
+
+        // The quizzes of the chapters, in order, for the review page
+        const quizzes = [];
+        manifest.chapters.forEach(chapter => {
+            const html = fs.readFileSync(path.join(bookDir, chapter.url), 'utf8');
+            for (const match of html.matchAll(MARKER)) {
+                quizzes.push({ name: match[2], url: chapter.url, title: fullTitle(chapter) });
+            }
+        });
+
+        manifest.chapters.forEach(chapter => {
+            const target = path.join(bookDir, chapter.url);
+            const html = fs.readFileSync(target, 'utf8');
+            const sets = {};
+            const output = renderPage(book, bookDir, html, errors, sets, quizzes);
+            if (Object.keys(sets).length) chapters[chapter.url] = { title: fullTitle(chapter), sets: sets };
+            if (output === null || output === html) return;
+
+            if (check) {
+                console.error(`${book}/${chapter.url} is out of date`);
+                stale = true;
+            } else {
+                fs.writeFileSync(target, output);
+                console.log(`${book}/${chapter.url}: quizzes updated`);
+            }
+        });
+
+        const index = renderIndex(path.basename(book), chapters);
+        const target = path.join(bookDir, 'js', 'quiz-index.js');
+        if (check) {
+            const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+            if (current !== index) {
+                console.error(`${book}/js/quiz-index.js is out of date`);
+                stale = true;
+            }
+        } else {
+            fs.writeFileSync(target, index);
+        }
+    });
+
+    errors.forEach(error => console.error(error));
+    if (stale) console.error('Run `node scripts/build-quizzes.js` to regenerate the quizzes.');
+    if (errors.length || stale) process.exit(1);
+}
+
+main();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Search index generator
+//
+// Reads the chapters of every book in the order of its book.json and writes
+// js/search-index.js with the title, chapter label, headings, text and code of each page.
+//
+//   node scripts/build-search-index.js          regenerate all indexes
+//   node scripts/build-search-index.js --check  verify without writing
+//
+// --check fails when book.json is invalid or when search-index.js is out of date.
+
+const fs = require('fs');
+const path = require('path');
+const { loadManifest } = require('./book-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOKS = ['html/viper', 'html/swiftui', 'html/android'];
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', mdash: '—', ndash: '–', hellip: '…'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] || entity;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Page body without the sidebar, header, navigation and scripts. The quizzes generated
+// by build-quizzes.js are left out too, so that search results do not give their answers
+// away, and so are the questions of the review page, which repeat them.
+function contentOf(html) {
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [, html])[1];
+    return body
+        .replace(/<!-- quiz: [\w-]+ -->[\s\S]*?<!-- \/quiz -->/g, '')
+        .replace(/<!-- review -->[\s\S]*?<!-- \/review -->/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(aside|nav|header|script|style)\b[\s\S]*?<\/\1>/gi, '');
+}
+
+// Split the page into chunks, one per h2/h3, each with its prose and code
+function extractSections(html) {
+    const content = contentOf(html);
+    const headingPattern = /<(h[23])\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+    const headings = [];
+    let match;
+    while ((match = headingPattern.exec(content))) {
+        const id = match[2].match(/\sid="([^"]*)"/);
+        headings.push({
+            level: match[1].toLowerCase(),
+            anchor: id ? id[1] : '',
+            text: normalizeText(stripTags(match[3])),
+            start: match.index,
+            end: headingPattern.lastIndex
+        });
+    }
+
+    const sections = [];
+    let section = '';
+    for (let i = 0; i <= headings.length; i++) {
+        const heading = headings[i - 1];
+        if (heading && heading.level === 'h2') section = heading.text;
+
+        const chunk = content.slice(heading ? heading.end : 0, i < headings.length ? headings[i].start : content.length);
+        const code = [];
+        const prose = chunk.replace(/<pre\b[\s\S]*?<\/pre>/gi, pre => {
+            code.push(stripTags(pre).trim());
+            return ' ';
+        });
+        const text = normalizeText(stripTags(prose));
+        const subsection = heading && heading.level === 'h3' ? heading.text : '';
+        if (!text && !code.length && !subsection) continue;
+
+        sections.push({
+            section: section,
+            subsection: subsection,
+            anchor: heading ? heading.anchor : '',
+            text: text,
+            code: code.join('\n')
+        });
+    }
+    return sections;
+}
+
+// Chapters are labelled as in the search list of build-nav.js: by number, or by group
+function buildIndex(bookDir, manifest) {
+    return manifest.chapters.map(chapter => ({
+        url: chapter.url,
+        chapter: chapter.label || chapter.group,
+        title: chapter.title,
+        sections: extractSections(fs.readFileSync(path.join(bookDir, chapter.url), 'utf8'))
+    }));
+}
+
+function renderIndex(id, pages) {
+    return [
+        '// Generated by scripts/build-search-index.js from chapters/*.html.',
+        '// Do not edit by hand: run `node scripts/build-search-index.js` after changing a chapter.',
+        `registerSearchContent('${id}', ${JSON.stringify(pages, null, 4)});`,
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const errors = [];
+    let stale = false;
+
+    BOOKS.forEach(book => {
+        const bookDir = path.join(ROOT, book);
+        const manifest = loadManifest(bookDir, errors);
+        if (!manifest) return;
+
+        const pages = buildIndex(bookDir, manifest);
+        const output = renderIndex(path.basename(book), pages);
+        const target = path.join(bookDir, 'js', 'search-index.js');
+        const sectionCount = pages.reduce((sum, page) => sum + page.sections.length, 0);
+
+        if (check) {
+            const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+            if (current !== output) {
+                console.error(`${book}/js/search-index.js is out of date`);
+                stale = true;
+            }
+        } else {
+            fs.writeFileSync(target, output);
+            console.log(`${book}/js/search-index.js: ${pages.length} pages, ${sectionCount} sections`);
+        }
+    });
+
+    errors.forEach(error => console.error(error));
+    if (stale) console.error('Run `node scripts/build-search-index.js` to regenerate the indexes.');
+    if (errors.length || stale) process.exit(1);
+}
+
+main();
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Link checker and content linter
+//
+// Reads every HTML page under html/ and docs/ and reports, with the line it is on:
+//
+//   broken-link     a local href or src that points to a file that does not exist
+//   broken-anchor   a #fragment that names no id (or <a name>) of the target page
+//   root-relative   a local URL from the root of the site (/chapters/01.html), which
+//                   breaks when a book is opened from disk and under the subfolder that
+//                   GitHub Pages serves docs/ from
+//   duplicate-id    an id used twice in one page
+//   missing-title   a page without a <title>, or with an empty one
+//   missing-lang    an <html> without a lang attribute
+//   missing-alt     an <img> without an alt attribute (alt="" marks a decorative image)
+//
+// The URLs of the search, in the js/search-data.js and js/search-index.js of every book
+// (see html/js/search.js), are checked as links of those files, relative to the folder
+// of the book. Links to other sites and markup built by scripts are not checked.
+//
+//   node scripts/lint-html.js                 lint html/ and docs/
+//   node scripts/lint-html.js --json          print the report as JSON
+//   node scripts/lint-html.js html/swiftui    lint some folders or pages only
+//
+// The JSON report has the number of pages and links checked, the problems with their
+// file, line, rule and message, and their count by rule. The script exits with 1 when it
+// finds a problem.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_PATHS = ['html', 'docs'];
+
+const TAG = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const LINK_ATTRIBUTES = { a: 'href', link: 'href', area: 'href', script: 'src', img: 'src', iframe: 'src', source: 'src', video: 'src', audio: 'src' };
+const EXTERNAL = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+const SEARCH_FILES = ['search-data.js', 'search-index.js'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] || entity;
+    });
+}
+
+function listFiles(dir, test) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return entry.name === 'vendor' ? [] : listFiles(file, test);
+        return test(entry.name) ? [file] : [];
+    });
+}
+
+// Comments and the code of scripts and styles blanked out, keeping the offsets and
+// lines of everything else
+function markupOf(html) {
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    return html
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (block, open, name, body, close) => open + blank(body) + close);
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const match of text.matchAll(ATTRIBUTE)) {
+        const name = match[1].toLowerCase();
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        if (!(name in attributes)) attributes[name] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+// Tags of a page with their attributes and line, and the text of its <title>
+function parsePage(html) {
+    const markup = markupOf(html);
+    const lineStarts = [0];
+    for (let index = markup.indexOf('\n'); index !== -1; index = markup.indexOf('\n', index + 1)) lineStarts.push(index + 1);
+    const lineOf = offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    };
+
+    const tags = Array.from(markup.matchAll(TAG), match => ({
+        name: match[1].toLowerCase(),
+        attributes: parseAttributes(match[2]),
+        line: lineOf(match.index)
+    }));
+    const title = markup.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return { tags: tags, title: title ? decodeEntities(title[1]).trim() : null };
+}
+
+function main() {
+    const json = process.argv.includes('--json');
+    const targets = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const roots = (targets.length ? targets : DEFAULT_PATHS).map(target => path.resolve(ROOT, target));
+    const problems = [];
+    const pages = new Map();
+    let pageCount = 0;
+    let links = 0;
+
+    function report(file, line, rule, message) {
+        problems.push({ file: path.relative(ROOT, file), line: line, rule: rule, message: message });
+    }
+
+    // Parsed once for the anchors of every link to it
+    function page(file) {
+        if (!pages.has(file)) pages.set(file, parsePage(fs.readFileSync(file, 'utf8')));
+        return pages.get(file);
+    }
+
+    function anchorsOf(file) {
+        const parsed = page(file);
+        if (!parsed.anchors) {
+            parsed.anchors = new Set();
+            parsed.tags.forEach(tag => {
+                if (tag.attributes.id) parsed.anchors.add(tag.attributes.id);
+                if (tag.name === 'a' && tag.attributes.name) parsed.anchors.add(tag.attributes.name);
+            });
+        }
+        return parsed.anchors;
+    }
+
+    // The decoded part of a URL, or null when it has a malformed % escape
+    function decode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // A local URL of `from`, resolved against `base`
+    function checkUrl(from, line, base, url) {
+        if (!url || EXTERNAL.test(url) || url === '#') return;
+        links++;
+
+        if (url.startsWith('/')) {
+            report(from, line, 'root-relative', `${url}: use a URL relative to the page`);
+            return;
+        }
+
+        const [address, fragment] = url.split('#');
+        const file = decode(address.split('?')[0]);
+        const id = fragment && decode(fragment);
+        if (file === null || id === null) {
+            report(from, line, 'broken-link', `${url}: malformed percent escape`);
+            return;
+        }
+
+        let target = from;
+        if (file) {
+            target = path.resolve(base, file);
+            if (fs.existsSync(target) && fs.statSync(target).isDirectory()) target = path.join(target, 'index.html');
+            if (!fs.existsSync(target)) {
+                report(from, line, 'broken-link', `${url}: ${path.relative(ROOT, target)} does not exist`);
+                return;
+            }
+        }
+
+        if (id && /\.html?$/i.test(target) && !anchorsOf(target).has(id)) {
+            report(from, line, 'broken-anchor', `${url}: ${path.relative(ROOT, target)} has no id "${id}"`);
+        }
+    }
+
+    function lintPage(file) {
+        const parsed = page(file);
+        const seen = new Map();
+        pageCount++;
+
+        if (!parsed.title) report(file, 1, 'missing-title', 'the page has no <title>');
+        parsed.tags.forEach(tag => {
+            const attributes = tag.attributes;
+            if (tag.name === 'html' && !attributes.lang) report(file, tag.line, 'missing-lang', '<html> has no lang attribute');
+            if (tag.name === 'img' && !('alt' in attributes)) report(file, tag.line, 'missing-alt', `<img src="${attributes.src || ''}"> has no alt attribute`);
+
+            if (attributes.id) {
+                if (seen.has(attributes.id)) report(file, tag.line, 'duplicate-id', `id "${attributes.id}" is also used on line ${seen.get(attributes.id)}`);
+                else seen.set(attributes.id, tag.line);
+            }
+
+            const attribute = LINK_ATTRIBUTES[tag.name];
+            if (attribute && attribute in attributes) checkUrl(file, tag.line, path.dirname(file), attributes[attribute].trim());
+        });
+    }
+
+    // The search files register their entries through the functions of search.js
+    function lintSearchFile(file) {
+        const source = fs.readFileSync(file, 'utf8');
+        const entries = [];
+        const sandbox = {
+            registerSearchBook: book => book.chapters.forEach(chapter => entries.push({ url: chapter.url })),
+            registerSearchContent: (id, contents) => contents.forEach(content => {
+                entries.push({ url: content.url });
+                content.sections.forEach(section => {
+                    if (section.anchor) entries.push({ url: `${content.url}#${section.anchor}`, anchor: section.anchor });
+                });
+            })
+        };
+        try {
+            vm.runInNewContext(source, sandbox, { filename: file });
+        } catch (error) {
+            report(file, 1, 'broken-link', `the search entries cannot be read: ${error.message}`);
+            return;
+        }
+
+        const bookDir = path.dirname(path.dirname(file));
+        entries.forEach(entry => {
+            const needle = entry.anchor ? `"anchor": ${JSON.stringify(entry.anchor)}` : `"url": ${JSON.stringify(entry.url)}`;
+            const line = source.slice(0, Math.max(source.indexOf(needle), 0)).split('\n').length;
+            checkUrl(file, line, bookDir, entry.url);
+        });
+    }
+
+    roots.forEach(root => {
+        if (!fs.existsSync(root)) {
+            report(root, null, 'broken-link', 'no such file or folder');
+            return;
+        }
+        const isDir = fs.statSync(root).isDirectory();
+        const htmlFiles = isDir ? listFiles(root, name => /\.html?$/i.test(name)) : /\.html?$/i.test(root) ? [root] : [];
+        const searchFiles = isDir
+            ? listFiles(root, name => SEARCH_FILES.includes(name))
+            : SEARCH_FILES.includes(path.basename(root)) ? [root] : [];
+
+        htmlFiles.forEach(lintPage);
+        searchFiles.forEach(lintSearchFile);
+    });
+
+    if (json) {
+        const rules = {};
+        problems.forEach(problem => { rules[problem.rule] = (rules[problem.rule] || 0) + 1; });
+        console.log(JSON.stringify({ pages: pageCount, links: links, problems: problems, rules: rules }, null, 2));
+    } else {
+        problems.forEach(problem => console.error(`${problem.file}${problem.line ? `:${problem.line}` : ''}: ${problem.rule}: ${problem.message}`));
+        console.log(`${pageCount} pages, ${links} links checked, ${problems.length} problem(s)`);
+    }
+    if (problems.length) process.exit(1);
+}
+
+main();
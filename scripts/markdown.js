@@ -0,0 +1,476 @@
+// Markdown renderer for chapters written as README.md files
+//
+// Turns a README into the markup of the hand-written chapters of html/viper, used by
+// build-chapters.js. It knows the Markdown the READMEs are written in and no more:
+//
+//   # Title               the title of the chapter, returned apart from the content
+//   > Subtitle            the line under the title, a paragraph or a quote right after
+//                         it, also returned apart
+//   ## / ### / ####       headings with the transliterated ids of all books; every ##
+//                         opens a <section>
+//   ```swift              fenced code, highlighted on the page by highlight.js
+//   - item / 1. item      lists, nested by indentation, with code and lists in items
+//   | a | b |             tables, with :--: alignment
+//   > **Совет**: ...      callouts
+//   ---                   rules, except those that only separate sections
+//   <details>             solutions, with Markdown between <summary> and </details>
+//   `code` **bold** *em*  inline code, strong and emphasis, [links](url) and \escapes
+//
+// HTML comments on lines of their own are kept, so a page can carry the markers of the
+// other scripts. The markers of run-snippets.js right after a closing fence go into the
+// code window of the snippet, where its output is shown.
+
+const TRANSLIT = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+    к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+    х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const COMMENT = /^\s*<!--.*-->\s*$/;
+const OUTPUT_OPEN = /^\s*<!-- output: [\w-]+ -->\s*$/;
+const OUTPUT_CLOSE = /^\s*<!-- \/output -->\s*$/;
+const DETAILS_OPEN = /^\s*<details>\s*$/i;
+const DETAILS_CLOSE = /^\s*<\/details>\s*$/i;
+const SUMMARY = /^\s*<summary>(.*)<\/summary>\s*$/i;
+const ESCAPABLE = /\\([\\`*_{}[\]()#+\-.!|<>~])/g;
+
+// Classes of the text of the page and of the text in callouts
+const STYLES = {
+    page: { text: 'text-zinc-600 dark:text-zinc-400', paragraph: 'leading-relaxed mb-4', list: 'space-y-2 mb-4' },
+    callout: { text: 'text-zinc-700 dark:text-zinc-300', paragraph: 'mb-2 last:mb-0', list: 'space-y-1 mb-2 last:mb-0' }
+};
+
+// Transliteration used for the heading ids of all books
+function slugify(text) {
+    const slug = Array.from(text.toLowerCase(), char => TRANSLIT[char] !== undefined ? TRANSLIT[char] : char)
+        .join('')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug.slice(0, 60).replace(/-+$/, '') || 'section';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// A line without the first `count` columns of its indentation
+function dedent(line, count) {
+    let index = 0;
+    let column = 0;
+    while (index < line.length && column < count && (line[index] === ' ' || line[index] === '\t')) {
+        column += line[index] === '\t' ? 4 : 1;
+        index++;
+    }
+    return line.slice(index);
+}
+
+function splitRow(line) {
+    const cells = [];
+    let cell = '';
+    let code = false;
+    const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    for (let index = 0; index < row.length; index++) {
+        const char = row[index];
+        if (char === '\\' && row[index + 1] === '|') {
+            cell += '|';
+            index++;
+        } else if (char === '`') {
+            code = !code;
+            cell += char;
+        } else if (char === '|' && !code) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    return cells.concat(cell.trim());
+}
+
+// Lines that end a paragraph: the start of any other block
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) ||
+        /^\s*>/.test(line) || COMMENT.test(line) || DETAILS_OPEN.test(line) || SUMMARY.test(line) || DETAILS_CLOSE.test(line);
+}
+
+// Block structure of a list of lines
+function parseBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        let match;
+
+        if (!line.trim()) {
+            index++;
+        } else if ((match = line.match(FENCE))) {
+            const indent = indentOf(match[1]);
+            const code = [];
+            index++;
+            while (index < lines.length && !(lines[index].trim().startsWith(match[2][0].repeat(match[2].length)) && !lines[index].trim().replace(/[`~]/g, ''))) {
+                code.push(dedent(lines[index], indent));
+                index++;
+            }
+            index++;
+            const block = { type: 'code', language: match[3].toLowerCase(), code: code.join('\n'), markers: [] };
+
+            // Markers of run-snippets.js, allowing for a blank line before them
+            let next = index;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next < lines.length && OUTPUT_OPEN.test(lines[next])) {
+                let end = next + 1;
+                while (end < lines.length && !OUTPUT_CLOSE.test(lines[end]) && !OUTPUT_OPEN.test(lines[end])) end++;
+                // An unclosed marker is left as a comment, see unclosedOutputs()
+                if (end < lines.length && OUTPUT_CLOSE.test(lines[end])) {
+                    block.markers = [lines[next].trim(), '<!-- /output -->'];
+                    index = end + 1;
+                }
+            }
+            blocks.push(block);
+        } else if ((match = line.match(HEADING))) {
+            blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+            index++;
+        } else if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            index++;
+        } else if (line.includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1]) && lines[index + 1].includes('-')) {
+            const align = splitRow(lines[index + 1]).map(cell => {
+                if (/^:-+:$/.test(cell)) return 'center';
+                if (/^-+:$/.test(cell)) return 'right';
+                return 'left';
+            });
+            const header = splitRow(line);
+            const rows = [];
+            index += 2;
+            while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+                rows.push(splitRow(lines[index]));
+                index++;
+            }
+            blocks.push({ type: 'table', align: align, header: header, rows: rows });
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (index < lines.length && /^\s*>/.test(lines[index])) {
+                quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+                index++;
+            }
+            blocks.push({ type: 'callout', blocks: parseBlocks(quoted) });
+        } else if (DETAILS_OPEN.test(line)) {
+            let depth = 1;
+            let end = index + 1;
+            for (; end < lines.length; end++) {
+                if (DETAILS_OPEN.test(lines[end])) depth++;
+                if (DETAILS_CLOSE.test(lines[end]) && !--depth) break;
+            }
+            const inner = lines.slice(index + 1, end);
+            const first = inner.findIndex(text => text.trim());
+            const summary = first !== -1 && inner[first].match(SUMMARY);
+            blocks.push({
+                type: 'details',
+                summary: summary ? summary[1].trim() : 'Подробнее',
+                blocks: parseBlocks(summary ? inner.slice(first + 1) : inner)
+            });
+            index = end + 1;
+        } else if (COMMENT.test(line)) {
+            blocks.push({ type: 'comment', text: line.trim() });
+            index++;
+        } else if ((match = line.match(LIST_ITEM))) {
+            const list = parseList(lines, index);
+            blocks.push(list.block);
+            index = list.end;
+        } else {
+            const text = [line.trim()];
+            index++;
+            while (index < lines.length && lines[index].trim() && !startsBlock(lines[index]) &&
+                !(lines[index].includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1]))) {
+                text.push(lines[index].trim());
+                index++;
+            }
+            blocks.push({ type: 'paragraph', text: text.join(' ') });
+        }
+    }
+    return blocks;
+}
+
+// A list starting at lines[start]: its items run while the next item has the same
+// indentation and kind of marker; an item holds the lines indented under it
+function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const block = { type: 'list', ordered: ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+    let index = start;
+
+    while (index < lines.length) {
+        const match = lines[index].match(LIST_ITEM);
+        if (!match || indentOf(match[1]) !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = indent + match[2].length + Math.max(match[3].length, 1);
+        const itemLines = [match[4]];
+        index++;
+        while (index < lines.length) {
+            const line = lines[index];
+            if (!line.trim()) {
+                // A blank line ends the item unless the text under it goes on indented
+                let next = index;
+                while (next < lines.length && !lines[next].trim()) next++;
+                if (next < lines.length && indentOf(lines[next]) > indent) {
+                    itemLines.push('');
+                    index++;
+                    continue;
+                }
+                break;
+            }
+            if (indentOf(line) > indent) {
+                itemLines.push(dedent(line, Math.min(indentOf(line), contentIndent)));
+            } else if (!startsBlock(line) && itemLines[itemLines.length - 1].trim()) {
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            index++;
+        }
+        block.items.push(parseBlocks(itemLines));
+
+        // Items of a loose list are separated by blank lines
+        let next = index;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const following = next < lines.length && lines[next].match(LIST_ITEM);
+        if (!following || indentOf(following[1]) !== indent || /\d/.test(following[2]) !== ordered) break;
+        index = next;
+    }
+    return { block: block, end: index };
+}
+
+// Inline Markdown of a line of text as HTML; `link` resolves the URL of every link
+function renderInline(text, link) {
+    const saved = [];
+    const save = html => `\u0000${saved.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (span, ticks, code) => save(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(ESCAPABLE, (escape, char) => save(escapeHtml(char)));
+    html = escapeHtml(html)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (anchor, label, url) => {
+            const href = link(url.replace(/&amp;/g, '&'));
+            const external = /^https?:/.test(href) ? ' target="_blank" rel="noopener"' : '';
+            return save(`<a href="${escapeAttribute(href)}"${external} class="text-primary hover:underline">${label}</a>`);
+        })
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>');
+
+    while (/\u0000\d+\u0000/.test(html)) html = html.replace(/\u0000(\d+)\u0000/g, (placeholder, index) => saved[index]);
+    return html;
+}
+
+// Text of a heading without its markup, for its id
+function plainText(text) {
+    return text.replace(/`/g, '').replace(/\*\*|__/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(ESCAPABLE, '$1');
+}
+
+// Blocks as lines of HTML, four spaces per level. The lines of code stay unindented:
+// a block of code is one entry, with the code after its first line break.
+function renderBlocks(blocks, context) {
+    const lines = [];
+    const style = STYLES[context.style];
+    const inline = text => renderInline(text, context.link);
+    const nested = (inner, style) => renderBlocks(inner, Object.assign({}, context, { style: style || context.style })).map(line => line ? `    ${line}` : line);
+
+    blocks.forEach((block, index) => {
+        const previous = blocks[index - 1];
+        const next = blocks[index + 1];
+
+        if (block.type === 'heading') {
+            // Subsections are set apart by a blank line, as in the hand-written pages
+            if (block.level > 2 && lines.length) lines.push('');
+            const id = context.ids ? context.ids(plainText(block.text)) : slugify(plainText(block.text));
+            if (block.level <= 2) {
+                lines.push(`<h2 id="${id}" class="text-2xl font-bold mb-4">${inline(block.text)}</h2>`);
+            } else if (block.level === 3) {
+                lines.push(`<h3 id="${id}" class="text-xl font-semibold mt-8 mb-3">${inline(block.text)}</h3>`);
+            } else {
+                lines.push(`<h4 id="${id}" class="text-lg font-semibold mt-6 mb-2">${inline(block.text)}</h4>`);
+            }
+        } else if (block.type === 'paragraph') {
+            lines.push(`<p class="${style.text} ${style.paragraph}">${inline(block.text)}</p>`);
+        } else if (block.type === 'code') {
+            const language = ` class="language-${block.language || 'plaintext'}"`;
+            const pre = `<pre class="text-sm overflow-x-auto"><code${language}>${escapeHtml(block.code)}</code></pre>`;
+            if (block.markers.length) {
+                lines.push('<div class="bg-zinc-900 rounded-xl p-4 mb-6">', `    ${pre}`);
+                block.markers.forEach(marker => lines.push(`    ${marker}`));
+                lines.push('</div>');
+            } else {
+                lines.push(pre.replace('<pre class="', '<pre class="mb-6 '));
+            }
+        } else if (block.type === 'list') {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const marker = block.ordered ? 'list-decimal' : 'list-disc';
+            const spacing = context.item ? 'space-y-1 mt-2' : style.list;
+            lines.push(`<${tag}${start} class="${marker} pl-6 ${spacing} ${style.text}">`);
+            block.items.forEach(item => {
+                // The text of an item goes in the <li> itself, without a paragraph
+                const text = item[0] && item[0].type === 'paragraph' ? inline(item[0].text) : '';
+                const rest = text ? item.slice(1) : item;
+                if (!rest.length) {
+                    lines.push(`    <li>${text}</li>`);
+                    return;
+                }
+                lines.push(`    <li>${text}`);
+                renderBlocks(rest, Object.assign({}, context, { item: true })).forEach(line => lines.push(line ? `        ${line}` : line));
+                lines.push('    </li>');
+            });
+            lines.push(`</${tag}>`);
+        } else if (block.type === 'table') {
+            const align = column => block.align[column] && block.align[column] !== 'left' ? ` text-${block.align[column]}` : ' text-left';
+            lines.push(
+                '<div class="overflow-x-auto border border-zinc-200 dark:border-zinc-800 rounded-xl mb-6">',
+                '    <table class="w-full text-sm">',
+                '        <thead class="bg-zinc-50 dark:bg-zinc-900">',
+                '            <tr>'
+            );
+            block.header.forEach((cell, column) => lines.push(`                <th class="px-4 py-3${align(column)} font-semibold">${inline(cell)}</th>`));
+            lines.push(
+                '            </tr>',
+                '        </thead>',
+                '        <tbody class="divide-y divide-zinc-200 dark:divide-zinc-800 text-zinc-600 dark:text-zinc-400">'
+            );
+            block.rows.forEach(row => {
+                const cells = block.header.map((header, column) => `<td class="px-4 py-3${align(column).replace(' text-left', '')}">${inline(row[column] || '')}</td>`);
+                lines.push(`            <tr>${cells.join('')}</tr>`);
+            });
+            lines.push('        </tbody>', '    </table>', '</div>');
+        } else if (block.type === 'callout') {
+            lines.push('<blockquote class="p-4 bg-blue-50 dark:bg-blue-900/20 border-l-4 border-primary rounded-r-xl mb-6">');
+            nested(block.blocks, 'callout').forEach(line => lines.push(line));
+            lines.push('</blockquote>');
+        } else if (block.type === 'details') {
+            lines.push(
+                '<details class="group mb-6">',
+                `    <summary class="cursor-pointer text-primary font-medium hover:underline">${inline(block.summary)}</summary>`,
+                '    <div class="mt-4">'
+            );
+            nested(block.blocks).forEach(line => lines.push(line ? `    ${line}` : line));
+            lines.push('    </div>', '</details>');
+        } else if (block.type === 'rule') {
+            // Sections are set apart already
+            const separates = !previous || !next || (next.type === 'heading' && next.level <= 2) || previous.type === 'rule';
+            if (!separates) lines.push('<hr class="my-8 border-zinc-200 dark:border-zinc-800">');
+        } else if (block.type === 'comment') {
+            lines.push(block.text);
+        }
+    });
+    return lines;
+}
+
+// Line numbers of the markers of run-snippets.js that have no <!-- /output --> before
+// the next marker or the end of the README, outside fenced code
+function unclosedOutputs(lines) {
+    const unclosed = [];
+    let fence = null;
+    let open = null;
+
+    lines.forEach((line, index) => {
+        const match = line.match(FENCE);
+        if (open !== null) {
+            if (OUTPUT_CLOSE.test(line)) {
+                open = null;
+            } else if (OUTPUT_OPEN.test(line)) {
+                unclosed.push(open);
+                open = index + 1;
+            }
+        } else if (fence) {
+            if (line.trim().startsWith(fence) && !line.trim().replace(/[`~]/g, '')) fence = null;
+        } else if (match) {
+            fence = match[2];
+        } else if (OUTPUT_OPEN.test(line)) {
+            open = index + 1;
+        }
+    });
+    if (open !== null) unclosed.push(open);
+    return unclosed;
+}
+
+// The title of a README (its # heading), its subtitle as HTML and its content as lines
+// of HTML, in sections. `options.link` maps the URL of a link to the URL on the page;
+// `options.error` gets the line number and description of every mistake in the README,
+// which are thrown as an Error without it.
+function renderMarkdown(source, options) {
+    const sourceLines = source.replace(/\r\n?/g, '\n').split('\n');
+    const error = options && options.error ? options.error : (line, message) => {
+        throw new Error(`line ${line}: ${message}`);
+    };
+    unclosedOutputs(sourceLines).forEach(line => error(line, '<!-- output --> has no <!-- /output --> after it'));
+
+    const blocks = parseBlocks(sourceLines);
+    const title = blocks[0] && blocks[0].type === 'heading' && blocks[0].level === 1 ? blocks.shift().text : null;
+    const link = options && options.link ? options.link : url => url;
+
+    let subtitle = null;
+    const first = title !== null && blocks[0] && blocks[0].type === 'callout' && blocks[0].blocks.length === 1 ? blocks[0].blocks[0] : blocks[0];
+    if (title !== null && first && first.type === 'paragraph') {
+        subtitle = renderInline(first.text, link);
+        blocks.shift();
+    }
+
+    // Ids are numbered when a heading repeats, e.g. "Решение" under every exercise
+    const used = new Map();
+    const context = {
+        style: 'page',
+        link: link,
+        ids: text => {
+            const base = slugify(text);
+            const count = (used.get(base) || 0) + 1;
+            used.set(base, count);
+            return count === 1 ? base : `${base}-${count}`;
+        }
+    };
+
+    const lines = [];
+    let section = [];
+    let open = false;
+    const flush = () => {
+        const rendered = renderBlocks(section, context);
+        if (open) {
+            lines.push('<section class="mb-12">');
+            rendered.forEach(line => lines.push(line ? `    ${line}` : line));
+            lines.push('</section>', '');
+        } else if (rendered.length) {
+            rendered.forEach(line => lines.push(line));
+            lines.push('');
+        }
+        section = [];
+    };
+
+    blocks.forEach(block => {
+        if (block.type === 'heading' && block.level <= 2) {
+            flush();
+            open = true;
+        }
+        section.push(block);
+    });
+    flush();
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    return { title: title, subtitle: subtitle, lines: lines };
+}
+
+module.exports = { renderMarkdown, slugify };
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// Publisher of docs/
+//
+// docs/ is the copy of the VIPER book that GitHub Pages serves. It is built from
+// html/viper only, never edited: this script copies the pages, scripts and styles of the
+// book, the shared scripts of html/js and the vendored assets of html/vendor that its
+// pages load or its sw.js caches (with the license of a vendored library) into one
+// folder, and
+//
+//   - rewrites the local URLs of the pages and of sw.js for the new layout: the shared
+//     ../../js/chapter.js of a chapter becomes ../js/chapter.js, and so on
+//   - adds the hash of its content to every script and stylesheet a page loads
+//     (js/search.js?v=1a2b3c4d), so that browsers fetch the new copy after a release;
+//     the service worker matches its cache without the query
+//   - writes sitemap.xml with the index and the chapters in the order of book.json, and
+//     404.html, which GitHub Pages shows for any missing address
+//   - deletes files of docs/ that are not part of the build
+//
+//   node scripts/publish-docs.js          rebuild docs/
+//   node scripts/publish-docs.js --check  verify docs/ without writing (or --verify)
+//
+// Any other argument is an error, so that a mistyped option does not publish.
+// --check reports every file of docs/ that differs from a fresh build, with the first
+// line that differs, e.g. after a hand edit of docs/ or a change of the book that was
+// not published, and the files that are missing or left over. Run it after the other
+// generators: it publishes the pages as they are.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadManifest } = require('./book-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOK = path.join(ROOT, 'html', 'viper');
+const SHARED = path.join(ROOT, 'html', 'js');
+const VENDOR = path.join(ROOT, 'html', 'vendor');
+const DOCS = path.join(ROOT, 'docs');
+
+// Where GitHub Pages serves docs/ of github.com/sirserik/mobile-ios-book
+const SITE_URL = 'https://sirserik.github.io/mobile-ios-book/';
+
+// Sources of the book that are not published
+const SKIP = ['book.json', 'quizzes', 'outputs'];
+
+const URL_ATTRIBUTE = /(<(?:a|link|script|img|iframe|source)\b[^>]*?\s(?:href|src|data-worker)=")([^"]+)(")/gi;
+const EXTERNAL = /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i;
+const HASHED = /\.(?:js|css)$/;
+// Relative URLs in the string literals of sw.js
+const WORKER_URL = /(["'])(\.\.?\/[^"']+)\1/g;
+
+// --verify is another name of --check
+const OPTIONS = ['--check', '--verify'];
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(file) : [file];
+    }).sort();
+}
+
+function shortHash(content) {
+    return crypto.createHash('sha1').update(content).digest('hex').slice(0, 8);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Files outside the book that a page of the book loads, or that its sw.js caches or
+// imports: the shared scripts of html/js and the vendored assets of html/vendor
+function referencedFiles(bookFiles) {
+    const used = new Set();
+    const use = (url, source) => {
+        if (EXTERNAL.test(url)) return;
+        used.add(path.resolve(path.dirname(source), decodeURIComponent(url.split(/[?#]/)[0])));
+    };
+
+    bookFiles.forEach(source => {
+        const text = fs.readFileSync(source, 'utf8');
+        if (source.endsWith('.html')) {
+            for (const match of text.matchAll(URL_ATTRIBUTE)) use(match[2].replace(/&amp;/g, '&'), source);
+        } else if (source === path.join(BOOK, 'sw.js')) {
+            for (const match of text.matchAll(WORKER_URL)) use(match[2], source);
+        }
+    });
+    return used;
+}
+
+// A vendored file is published when it is used, and a license with the files it covers
+function vendorUsed(file, used) {
+    if (used.has(file)) return true;
+    return /^LICENSE/i.test(path.basename(file)) && Array.from(used).some(other => other.startsWith(path.dirname(file) + path.sep));
+}
+
+// Published path (relative to docs/) of every source file, keyed by its absolute path
+function publishedFiles(errors) {
+    const files = new Map();
+    const add = (source, target) => {
+        const taken = Array.from(files).find(entry => entry[1] === target);
+        if (taken) errors.push(`${path.relative(ROOT, source)} and ${path.relative(ROOT, taken[0])} are both published as docs/${target}`);
+        else files.set(source, target);
+    };
+
+    const bookFiles = listFiles(BOOK).filter(file => !SKIP.includes(path.relative(BOOK, file).split(path.sep)[0]));
+    bookFiles.forEach(file => add(file, path.relative(BOOK, file).split(path.sep).join('/')));
+    const used = referencedFiles(bookFiles);
+    listFiles(SHARED).filter(file => used.has(file)).forEach(file => add(file, `js/${path.basename(file)}`));
+    listFiles(VENDOR).filter(file => vendorUsed(file, used))
+        .forEach(file => add(file, `vendor/${path.relative(VENDOR, file).split(path.sep).join('/')}`));
+    return files;
+}
+
+// A local URL of `source` as it reads from the published copy of `source`; its hash
+// is added when `hashes` is given and it names a script or a stylesheet
+function publishedUrl(url, source, files, hashes, errors) {
+    if (EXTERNAL.test(url)) return url;
+    const [address, fragment] = url.split('#');
+    const [pathname, query] = address.split('?');
+    if (!pathname) return url;
+
+    const target = files.get(path.resolve(path.dirname(source), decodeURIComponent(pathname)));
+    if (!target) {
+        errors.push(`${path.relative(ROOT, source)}: ${url} is not published to docs/`);
+        return url;
+    }
+
+    const relative = path.posix.relative(path.posix.dirname(files.get(source)), target);
+    const search = hashes && hashes.has(target) && !query ? `?v=${hashes.get(target)}` : (query ? `?${query}` : '');
+    return relative + search + (fragment !== undefined ? `#${fragment}` : '');
+}
+
+// The generated service worker lists its files relative to html/viper/sw.js
+function publishWorker(source, files, errors) {
+    return fs.readFileSync(source, 'utf8').replace(WORKER_URL, (literal, quote, url) => {
+        return quote + publishedUrl(url, source, files, null, errors) + quote;
+    });
+}
+
+function publishPage(source, files, hashes, errors) {
+    return fs.readFileSync(source, 'utf8').replace(URL_ATTRIBUTE, (attribute, before, url, after) => {
+        return before + publishedUrl(url.replace(/&amp;/g, '&'), source, files, hashes, errors).replace(/&/g, '&amp;') + after;
+    });
+}
+
+function renderSitemap(manifest) {
+    const pages = ['index.html'].concat(manifest.chapters.map(chapter => chapter.url));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    ].concat(pages.map(page => `    <url><loc>${escapeXml(SITE_URL + page)}</loc></url>`), [
+        '</urlset>',
+        ''
+    ]).join('\n');
+}
+
+// GitHub Pages shows this page at the missing address itself, at any depth, so it links
+// by absolute URL and loads nothing from the book
+function render404() {
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="ru">',
+        '<head>',
+        '    <meta charset="UTF-8">',
+        '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+        '    <title>Страница не найдена | iOS Book</title>',
+        '    <script src="https://cdn.tailwindcss.com"></script>',
+        '    <script>',
+        '        tailwind.config = {',
+        "            darkMode: 'media',",
+        "            theme: { extend: { colors: { primary: '#007AFF' } } }",
+        '        }',
+        '    </script>',
+        '</head>',
+        '<body class="min-h-screen flex items-center justify-center bg-white dark:bg-zinc-950 text-zinc-900 dark:text-zinc-100">',
+        '    <main class="max-w-md px-6 text-center">',
+        '        <p class="text-sm font-semibold uppercase tracking-wider text-primary">Ошибка 404</p>',
+        '        <h1 class="text-3xl font-bold mt-2 mb-4">Страница не найдена</h1>',
+        '        <p class="text-zinc-600 dark:text-zinc-400 mb-8">Такой страницы в книге нет. Возможно, глава была переименована: найдите её в оглавлении.</p>',
+        `        <a href="${SITE_URL}index.html" class="inline-flex items-center gap-2 px-5 py-3 bg-primary text-white rounded-xl hover:bg-blue-600 transition-colors">К оглавлению</a>`,
+        '    </main>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Contents of docs/ by path, as Buffers
+function buildDocs(errors) {
+    const manifest = loadManifest(BOOK, errors);
+    if (!manifest) return null;
+
+    const files = publishedFiles(errors);
+    const output = new Map();
+    const hashes = new Map();
+    const pages = [];
+
+    files.forEach((target, source) => {
+        if (target === 'sw.js') output.set(target, Buffer.from(publishWorker(source, files, errors)));
+        else if (target.endsWith('.html')) pages.push(source);
+        else output.set(target, fs.readFileSync(source));
+        if (HASHED.test(target) && target !== 'sw.js') hashes.set(target, shortHash(output.get(target)));
+    });
+    pages.forEach(source => output.set(files.get(source), Buffer.from(publishPage(source, files, hashes, errors))));
+
+    output.set('.nojekyll', Buffer.alloc(0));
+    output.set('sitemap.xml', Buffer.from(renderSitemap(manifest)));
+    output.set('404.html', Buffer.from(render404()));
+    return output;
+}
+
+// Line of the first difference of two files, for the report of --check
+function firstDifference(expected, actual) {
+    const a = expected.toString('utf8').split('\n');
+    const b = actual.toString('utf8').split('\n');
+    let line = 0;
+    while (line < a.length && line < b.length && a[line] === b[line]) line++;
+    return line + 1;
+}
+
+function main() {
+    const unknown = process.argv.slice(2).filter(arg => !OPTIONS.includes(arg));
+    if (unknown.length) {
+        console.error(`Unknown option(s): ${unknown.join(' ')}`);
+        console.error('Usage: node scripts/publish-docs.js [--check | --verify]');
+        process.exit(1);
+    }
+    const check = process.argv.includes('--check') || process.argv.includes('--verify');
+    const errors = [];
+    const problems = [];
+
+    const output = buildDocs(errors);
+    if (!output) {
+        errors.forEach(error => console.error(error));
+        process.exit(1);
+    }
+
+    const existing = new Set(listFiles(DOCS).map(file => path.relative(DOCS, file).split(path.sep).join('/')));
+    let written = 0;
+
+    Array.from(output.keys()).sort().forEach(target => {
+        const file = path.join(DOCS, target);
+        const content = output.get(target);
+        const current = existing.has(target) ? fs.readFileSync(file) : null;
+        if (current && current.equals(content)) return;
+
+        if (check) {
+            problems.push(current
+                ? `docs/${target}:${firstDifference(content, current)}: differs from the build of the book (edited by hand, or not published)`
+                : `docs/${target}: missing`);
+        } else {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, content);
+            written++;
+        }
+    });
+
+    Array.from(existing).filter(target => !output.has(target)).sort().forEach(target => {
+        if (check) {
+            problems.push(`docs/${target}: not part of the build`);
+        } else {
+            fs.unlinkSync(path.join(DOCS, target));
+            console.log(`docs/${target}: removed`);
+        }
+    });
+
+    errors.forEach(error => console.error(error));
+    problems.forEach(problem => console.error(problem));
+    if (problems.length) console.error('Edit html/viper instead of docs/, then run `node scripts/publish-docs.js` to publish it.');
+    if (!check) console.log(`docs/: ${output.size} files, ${written} updated`);
+    if (errors.length || problems.length) process.exit(1);
+}
+
+main();
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// Runnable snippets
+//
+// A code sample of a chapter becomes runnable when a pair of markers follows its
+// <pre>, and its <code> names the language:
+//
+//   <pre><code class="language-swift">let (lat, lon) = (55.75, 37.62)
+//   print("Широта: \(lat), Долгота: \(lon)")</code></pre>
+//   <!-- output: tuple -->
+//   <!-- /output -->
+//
+// This script runs every runnable snippet with the compiler installed on this machine
+// (`swift` for language-swift, `kotlinc -script` for language-kotlin), records what it
+// printed in html/<book>/outputs/<chapter>.json and renders the recorded output between
+// the markers. A snippet has to be a whole program: it runs on its own, without the
+// samples around it.
+//
+//   node scripts/run-snippets.js           run the snippets and update the pages
+//   node scripts/run-snippets.js --update  also accept outputs that changed
+//   node scripts/run-snippets.js --check   verify without running or writing
+//
+// The output of a new or edited snippet is recorded as it is. When a snippet that has
+// not changed prints something else than its recorded output, e.g. after a compiler
+// update, the script reports the drift and keeps the recorded output until it is run
+// with --update. Snippets of a language whose compiler is missing are skipped.
+//
+// --check needs no compiler: it fails when a snippet has no recorded output, was edited
+// after its output was recorded, or when a page is out of date. It never runs a snippet,
+// so it cannot tell whether a recorded output is what the compiler really prints.
+//
+// The outputs in the repository are curated: they were written by hand next to their
+// snippets and have not been checked against a compiler. Running this script where
+// `swift` and `kotlinc` are installed replaces them with the real outputs, reporting
+// every one that differs as a drift.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadManifest } = require('./book-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const BOOKS = ['html/viper', 'html/swiftui', 'html/android'];
+
+const MARKER = /^([ \t]*)<!-- output: ([\w-]+) -->\n[\s\S]*?^[ \t]*<!-- \/output -->$/gm;
+const SNIPPET = /<pre\b[^>]*>\s*<code\b([^>]*)>([\s\S]*?)<\/code>\s*<\/pre>\s*$/;
+const TIMEOUT = 120 * 1000;
+
+// How to run a snippet of every language, from a temporary directory
+const RUNNERS = {
+    swift: { extension: 'swift', command: file => ['swift', [file]] },
+    kotlin: { extension: 'kts', command: file => ['kotlinc', ['-script', file]] }
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] || entity;
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// The runnable snippets of a page in order: the code before every pair of markers
+function findSnippets(page, html, errors) {
+    const snippets = [];
+    for (const match of html.matchAll(MARKER)) {
+        const id = match[2];
+        const before = html.slice(0, match.index);
+        const snippet = before.slice(before.lastIndexOf('<pre')).match(SNIPPET);
+        const language = snippet && (snippet[1].match(/\blanguage-(\w+)/) || [])[1];
+
+        if (!snippet) {
+            errors.push(`${page}: <!-- output: ${id} --> does not follow a <pre><code> block`);
+        } else if (!RUNNERS[language]) {
+            errors.push(`${page}: snippet "${id}" needs a language-swift or language-kotlin class`);
+        } else if (snippets.some(other => other.id === id)) {
+            errors.push(`${page}: snippet "${id}" is used twice`);
+        } else {
+            snippets.push({ id: id, language: language, source: decodeEntities(snippet[2].replace(/<[^>]+>/g, '')) });
+        }
+    }
+    return snippets;
+}
+
+function loadOutputs(file, errors) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${path.relative(ROOT, file)}: ${error.message}`);
+        return null;
+    }
+}
+
+function hasCommand(command) {
+    return !spawnSync(command, ['--version'], { stdio: 'ignore' }).error;
+}
+
+// The stdout of a snippet, or an error with what the compiler said
+function runSnippet(snippet) {
+    const runner = RUNNERS[snippet.language];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippet-'));
+    const file = path.join(dir, `main.${runner.extension}`);
+    fs.writeFileSync(file, snippet.source + '\n');
+
+    const [command, args] = runner.command(file);
+    const result = spawnSync(command, args, { cwd: dir, encoding: 'utf8', timeout: TIMEOUT });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (result.error) return { error: result.error.message };
+    if (result.status !== 0) return { error: (result.stderr || `exited with ${result.status}`).trim() };
+    return { output: result.stdout };
+}
+
+function renderOutput(output) {
+    return [
+        '<figure class="mt-4 pt-3 border-t border-zinc-700">',
+        '    <figcaption class="mb-2 text-xs font-semibold uppercase tracking-wider text-zinc-500">Вывод</figcaption>',
+        `    <pre class="text-sm text-zinc-300 overflow-x-auto">${escapeHtml(output.replace(/\n$/, ''))}</pre>`,
+        '</figure>'
+    ];
+}
+
+function renderPage(html, outputs) {
+    return html.replace(MARKER, (block, indent, id) => [`<!-- output: ${id} -->`]
+        .concat(outputs[id] ? renderOutput(outputs[id].output) : [])
+        .concat('<!-- /output -->')
+        .map(line => line ? indent + line : line)
+        .join('\n'));
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const update = process.argv.includes('--update');
+    const errors = [];
+    const drifted = [];
+    const skipped = {};
+    const available = {};
+    let stale = false;
+
+    function write(target, output, message) {
+        const name = path.relative(ROOT, target);
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+        if (current === output) return;
+
+        if (check) {
+            console.error(`${name} is out of date`);
+            stale = true;
+        } else {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, output);
+            console.log(`${name}: ${message}`);
+        }
+    }
+
+    BOOKS.forEach(book => {
+        const bookDir = path.join(ROOT, book);
+        const manifest = loadManifest(bookDir, errors);
+        if (!manifest) return;
+
+        manifest.chapters.forEach(chapter => {
+            const target = path.join(bookDir, chapter.url);
+            const page = `${book}/${chapter.url}`;
+            const html = fs.readFileSync(target, 'utf8');
+            const snippets = findSnippets(page, html, errors);
+            const outputsFile = path.join(bookDir, 'outputs', chapter.file.replace(/\.html$/, '.json'));
+            const recorded = loadOutputs(outputsFile, errors);
+            if (!recorded) return;
+            if (!snippets.length && !fs.existsSync(outputsFile)) return;
+
+            const outputs = {};
+            snippets.forEach(snippet => {
+                const previous = recorded[snippet.id];
+                const current = previous && previous.language === snippet.language && previous.source === snippet.source;
+
+                if (check) {
+                    if (!previous) errors.push(`${page}: snippet "${snippet.id}" has no recorded output`);
+                    else if (!current) errors.push(`${page}: snippet "${snippet.id}" changed after its output was recorded`);
+                    if (previous) outputs[snippet.id] = previous;
+                    return;
+                }
+
+                if (!(snippet.language in available)) available[snippet.language] = hasCommand(RUNNERS[snippet.language].command('')[0]);
+                if (!available[snippet.language]) {
+                    skipped[snippet.language] = (skipped[snippet.language] || 0) + 1;
+                    if (previous) outputs[snippet.id] = previous;
+                    return;
+                }
+
+                const result = runSnippet(snippet);
+                if (result.error) {
+                    errors.push(`${page}: snippet "${snippet.id}" failed:\n${result.error}`);
+                    if (previous) outputs[snippet.id] = previous;
+                } else if (current && previous.output !== result.output && !update) {
+                    drifted.push({ page: page, id: snippet.id, expected: previous.output, actual: result.output });
+                    outputs[snippet.id] = previous;
+                } else {
+                    outputs[snippet.id] = { language: snippet.language, source: snippet.source, output: result.output };
+                }
+            });
+
+            if (check) {
+                Object.keys(recorded)
+                    .filter(id => !snippets.some(snippet => snippet.id === id))
+                    .forEach(id => errors.push(`${path.relative(ROOT, outputsFile)}: "${id}" is not a snippet of ${chapter.url}`));
+            } else if (Object.keys(outputs).length) {
+                write(outputsFile, JSON.stringify(outputs, null, 4) + '\n', 'outputs recorded');
+            } else if (fs.existsSync(outputsFile)) {
+                fs.unlinkSync(outputsFile);
+                console.log(`${path.relative(ROOT, outputsFile)}: removed`);
+            }
+            write(target, renderPage(html, outputs), 'outputs updated');
+        });
+    });
+
+    Object.keys(skipped).forEach(language => {
+        console.warn(`${RUNNERS[language].command('')[0]} is not installed: ${skipped[language]} ${language} snippet(s) not run`);
+    });
+    drifted.forEach(drift => {
+        console.error(`${drift.page}: the output of snippet "${drift.id}" changed`);
+        console.error(`  recorded: ${JSON.stringify(drift.expected)}`);
+        console.error(`  now:      ${JSON.stringify(drift.actual)}`);
+    });
+    errors.forEach(error => console.error(error));
+    if (drifted.length) console.error('Check the snippets, then run `node scripts/run-snippets.js --update` to accept the new outputs.');
+    if (stale) console.error('Run `node scripts/run-snippets.js` to regenerate the outputs.');
+    if (errors.length || drifted.length || stale) process.exit(1);
+}
+
+main();